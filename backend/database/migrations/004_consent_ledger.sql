@@ -0,0 +1,47 @@
+-- Migration: Consent Ledger
+-- Purpose: Append-only, per-channel record of consent grants and revocations
+--          so legal can prove the consent state at the moment of any contact
+
+CREATE TABLE IF NOT EXISTS consent_ledger (
+    id BIGSERIAL PRIMARY KEY,
+    lead_id VARCHAR(50) NOT NULL,          -- MongoDB Lead ID
+    contact_id VARCHAR(50),                -- MongoDB Contact ID (optional)
+    phone_number VARCHAR(20),              -- E.164 number consent applies to
+    email VARCHAR(255),
+
+    channel VARCHAR(10) NOT NULL CHECK (channel IN ('call', 'sms', 'email')),
+    action VARCHAR(10) NOT NULL CHECK (action IN ('grant', 'revoke')),
+
+    -- Provenance
+    source VARCHAR(50) NOT NULL,           -- web_form, voice, sms, sms_keyword, import, manual, api
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    proof_reference TEXT,                  -- Recording URL, form snapshot ID, signed document ID
+    disclosure_text TEXT,                  -- Exact disclosure language shown/read to the lead
+    reason TEXT,                           -- Revocation reason
+    recorded_by_user_id VARCHAR(50),       -- MongoDB User ID (NULL for automated entries)
+    metadata JSONB DEFAULT '{}'::jsonb,
+
+    occurred_at TIMESTAMP NOT NULL DEFAULT NOW(),  -- When the lead gave/withdrew consent
+    recorded_at TIMESTAMP NOT NULL DEFAULT NOW()   -- When this row was written
+);
+
+CREATE INDEX IF NOT EXISTS idx_consent_ledger_lead_channel ON consent_ledger(lead_id, channel, occurred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_consent_ledger_phone ON consent_ledger(phone_number, channel, occurred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_consent_ledger_recorded_at ON consent_ledger(recorded_at DESC);
+
+-- Enforce append-only: history may never be rewritten
+CREATE OR REPLACE FUNCTION prevent_consent_ledger_mutation()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'consent_ledger is append-only (% not permitted)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS consent_ledger_append_only ON consent_ledger;
+CREATE TRIGGER consent_ledger_append_only
+    BEFORE UPDATE OR DELETE ON consent_ledger
+    FOR EACH ROW EXECUTE FUNCTION prevent_consent_ledger_mutation();
+
+COMMENT ON TABLE consent_ledger IS 'Append-only TCPA consent ledger (call/SMS/email grants and revocations)';
+COMMENT ON COLUMN consent_ledger.occurred_at IS 'Effective time of the consent event; used for point-in-time proof';
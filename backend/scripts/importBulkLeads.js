@@ -58,38 +58,27 @@ function parseTextFile(content) {
  * Parse CSV format file
  */
 function parseCSVFile(content) {
-  const lines = content.split('\n').filter(line => line.trim());
-  const headers = lines[0].toLowerCase().split(',').map(h => h.trim());
-
-  const leads = [];
-
-  for (let i = 1; i < lines.length; i++) {
-    const values = lines[i].split(',');
-    const rawData = {};
-
-    headers.forEach((header, idx) => {
-      if (header.includes('first')) rawData.firstName = values[idx]?.trim();
-      if (header.includes('last')) rawData.lastName = values[idx]?.trim();
-      if (header.includes('email')) rawData.email = values[idx]?.trim();
-      if (header.includes('phone')) rawData.phone = values[idx]?.trim();
-      if (header.includes('ip')) rawData.ipAddress = values[idx]?.trim();
-      if (header.includes('category')) rawData.category = values[idx]?.trim();
-    });
+  const results = leadParser.parseBulkLeads(content, 'csv');
 
-    // Map to lead schema
-    const leadData = leadParser.mapToLeadSchema(rawData, {});
+  results
+    .filter(r => !r.success)
+    .slice(0, 10)
+    .forEach(r => console.warn('[Bulk Import] Skipping row:', (r.errors || [r.error]).join(', ')));
 
-    // Override category if provided
-    if (category !== 'unknown') {
-      leadData.customFields.category = category;
-      leadData.priority = leadParser.determinePriority(category);
-      leadData.tags = leadParser.buildTags({ category });
-    }
+  return results
+    .filter(r => r.success)
+    .map(r => {
+      const leadData = r.data;
 
-    leads.push(leadData);
-  }
+      // Override category if provided
+      if (category !== 'unknown') {
+        leadData.customFields.category = category;
+        leadData.priority = leadParser.determinePriority(category);
+        leadData.tags = [...new Set([...leadData.tags, ...leadParser.buildTags({ category })])];
+      }
 
-  return leads;
+      return leadData;
+    });
 }
 
 /**
@@ -0,0 +1,56 @@
+// BMAD V4 - Closer Roster Migration
+// Seeds the closer roster from the legacy KEVIN_PHONE_NUMBER env var: every
+// organization without closers gets one closer with the old Mon-Fri 9-5 hours.
+//
+// Usage: node scripts/migrate-closers.js ["Closer Name"] ["America/New_York"]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Organization = require('../src/database/mongodb/schemas/organization.schema');
+const Closer = require('../src/database/mongodb/schemas/closer.schema');
+const { formatPhoneE164 } = require('../src/utils/helpers');
+
+const CLOSER_NAME = process.argv[2] || 'Kevin';
+const TIMEZONE = process.argv[3] || 'America/New_York';
+
+async function migrate() {
+  try {
+    if (!process.env.KEVIN_PHONE_NUMBER) {
+      console.log('ℹ️  KEVIN_PHONE_NUMBER is not set - nothing to migrate');
+      return;
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const phoneNumber = formatPhoneE164(process.env.KEVIN_PHONE_NUMBER);
+    const organizations = await Organization.find({ isActive: true }).lean();
+
+    for (const organization of organizations) {
+      const existing = await Closer.countDocuments({ organizationId: organization._id });
+
+      if (existing > 0) {
+        console.log(`⏭️  ${organization.name}: already has ${existing} closer(s)`);
+        continue;
+      }
+
+      await Closer.create({
+        organizationId: organization._id,
+        name: CLOSER_NAME,
+        phoneNumber,
+        schedule: { timezone: TIMEZONE }
+      });
+
+      console.log(`✅ ${organization.name}: added closer ${CLOSER_NAME} (${phoneNumber})`);
+    }
+
+    console.log('\nℹ️  KEVIN_PHONE_NUMBER is no longer read by the server and can be removed.');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrate();
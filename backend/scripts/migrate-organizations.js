@@ -0,0 +1,61 @@
+// BMAD V4 - Multi-tenant Migration
+// Assigns every user and tenant-scoped document without an organization to a
+// default organization, then rebuilds indexes (phone/email become unique per org).
+// Until it has run, authenticate() refuses users that have no organization.
+//
+// Usage: node scripts/migrate-organizations.js ["Organization Name"]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Organization = require('../src/database/mongodb/schemas/organization.schema');
+const User = require('../src/database/mongodb/schemas/user.schema');
+const Lead = require('../src/database/mongodb/schemas/lead.schema');
+const Contact = require('../src/database/mongodb/schemas/contact.schema');
+const CallLog = require('../src/database/mongodb/schemas/calllog.schema');
+const Call = require('../src/database/mongodb/schemas/call.schema');
+const Campaign = require('../src/database/mongodb/schemas/campaign.schema');
+const Conversation = require('../src/database/mongodb/schemas/conversation.schema');
+
+const ORGANIZATION_NAME = process.argv[2] || process.env.DEFAULT_ORGANIZATION_NAME || 'Default Organization';
+const SCOPED_MODELS = [User, Lead, Contact, CallLog, Call, Campaign, Conversation];
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    let organization = await Organization.findOne({ name: ORGANIZATION_NAME });
+
+    if (!organization) {
+      organization = await Organization.create({
+        name: ORGANIZATION_NAME,
+        slug: await Organization.generateSlug(ORGANIZATION_NAME)
+      });
+      console.log(`🏢 Created organization "${organization.name}" (${organization._id})`);
+    } else {
+      console.log(`🏢 Using existing organization "${organization.name}" (${organization._id})`);
+    }
+
+    for (const Model of SCOPED_MODELS) {
+      const result = await Model.collection.updateMany(
+        { organizationId: { $exists: false } },
+        { $set: { organizationId: organization._id } }
+      );
+      console.log(`✅ ${Model.modelName}: assigned ${result.modifiedCount} documents`);
+    }
+
+    // Replace global unique phone/email indexes with per-organization ones
+    await Lead.syncIndexes();
+    await Contact.syncIndexes();
+    console.log('✅ Indexes synchronized');
+
+    console.log('\n⚠️  Existing access tokens are now invalid - users must log in again.');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrate();
@@ -3,7 +3,9 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
-const rateLimit = require('express-rate-limit');
+const { httpMetrics, metricsEndpoint } = require('./middleware/metrics.middleware');
+const { rateLimiter } = require('./middleware/rate-limit.middleware');
+const requestId = require('./middleware/requestId.middleware');
 
 const app = express();
 
@@ -19,6 +21,13 @@ app.use(helmet({
   }
 }));
 
+// Lead intake is posted to from customers' own web forms
+app.use('/api/intake', cors({
+  origin: true,
+  methods: ['POST', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Api-Key', 'X-Key-Id', 'X-Timestamp', 'X-Signature', 'Idempotency-Key']
+}));
+
 // CORS configuration
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || [
@@ -32,22 +41,28 @@ app.use(cors({
 
 // Compression and parsing
 app.use(compression());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+// Keep the exact intake body - HMAC signatures are computed over it
+const keepRawBody = (req, res, buf) => {
+  if (req.originalUrl.startsWith('/api/intake/')) req.rawBody = buf;
+};
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
 
 // Request logging
+app.use(requestId);
 app.use(morgan('combined'));
+app.use(httpMetrics);
 
-// Rate limiting for API routes
-const apiLimiter = rateLimit({
+// Rate limiting for API routes - per user (else IP), shared
+// across replicas through Redis; supervisors get more headroom for dashboards
+const apiRateLimit = parseInt(process.env.API_RATE_LIMIT, 10) || 1000;
+const apiLimiter = rateLimiter({
+  name: 'api',
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 1000, // Limit each IP to 1000 requests per windowMs
-  message: {
-    error: 'Too many requests from this IP',
-    retryAfter: '15 minutes'
-  },
-  standardHeaders: true,
-  legacyHeaders: false
+  max: apiRateLimit,
+  roles: { manager: apiRateLimit * 2, admin: apiRateLimit * 2 },
+  anonymousMax: parseInt(process.env.API_RATE_LIMIT_ANONYMOUS, 10) || apiRateLimit
 });
 
 app.use('/api/', apiLimiter);
@@ -64,21 +79,27 @@ app.use('/api/analytics', require('./routes/analytics.routes'));
 app.use('/api/reports', require('./routes/reports.routes'));
 app.use('/api/dashboard', require('./routes/dashboard.routes'));
 app.use('/api/agent', require('./routes/agent.routes'));
-app.use('/api/kevin', require('./routes/kevin.routes'));
+app.use('/api/closers', require('./routes/closers.routes'));
 app.use('/api/learning', require('./routes/learning.routes'));
 app.use('/api/graph-rag', require('./routes/graph-rag.routes'));
 app.use('/api/recommendations', require('./routes/recommendation.routes'));
 app.use('/api/dnc', require('./routes/dnc.routes')); // Story 3.8: DNC Compliance
+app.use('/api/consent', require('./routes/consent.routes'));
+app.use('/api/organizations', require('./routes/organizations.routes'));
+app.use('/api/campaigns', require('./routes/campaigns.routes'));
+app.use('/api/sequences', require('./routes/sequences.routes'));
+app.use('/api/lead-sources', require('./routes/leadSources.routes'));
+app.use('/api/intake', require('./routes/intake.routes'));
+app.use('/api/speed-to-lead', require('./routes/speedToLead.routes'));
+app.use('/api/cadence-policies', require('./routes/cadencePolicy.routes'));
+app.use('/api/caller-ids', require('./routes/callerIds.routes'));
+app.use('/api/audit', require('./routes/audit.routes'));
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    environment: process.env.NODE_ENV || 'development'
-  });
-});
+// Health checks (/health, /health/live, /health/ready)
+app.use('/health', require('./routes/health.routes'));
+
+// Prometheus scrape target
+app.get('/metrics', metricsEndpoint);
 
 // 404 handler
 app.use((req, res) => {
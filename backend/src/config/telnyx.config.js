@@ -34,7 +34,6 @@ class TelnyxConfig {
     // Warn about optional but recommended variables
     const recommended = [
       'TELNYX_CONNECTION_ID',
-      'KEVIN_PHONE_NUMBER',
       'API_BASE_URL',
       'WEBHOOK_SECRET'
     ];
@@ -58,7 +57,9 @@ class TelnyxConfig {
 
       // Phone Numbers
       phoneNumber: this.normalizePhoneNumber(process.env.TELNYX_PHONE_NUMBER),
-      kevinPhoneNumber: this.normalizePhoneNumber(process.env.KEVIN_PHONE_NUMBER),
+
+      // Messaging
+      messagingProfileId: process.env.TELNYX_MESSAGING_PROFILE_ID,
 
       // Webhook Configuration
       webhookBaseUrl: process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 3550}`,
@@ -68,6 +69,8 @@ class TelnyxConfig {
       // Call Configuration
       callTimeout: parseInt(process.env.CALL_TIMEOUT_MINUTES) * 60 * 1000 || 900000, // 15 minutes default
       maxConcurrentCalls: parseInt(process.env.MAX_CONCURRENT_CALLS) || 50,
+      // detect_beep reports the greeting end so voicemail drops start after the beep
+      answeringMachineDetection: process.env.TELNYX_AMD_MODE || 'detect_beep',
 
       // Recording Configuration
       enableRecording: process.env.ENABLE_RECORDING === 'true',
@@ -161,21 +164,18 @@ class TelnyxConfig {
 
   /**
    * Check if advanced features are available
+   * Hot transfers also need at least one closer on the roster (/api/closers)
    */
   hasAdvancedFeatures() {
-    return !!(
-      this.config.connectionId &&
-      this.config.kevinPhoneNumber
-    );
+    return !!this.config.connectionId;
   }
 
   /**
    * Get configuration for call initiation
+   * @param {String} from - Caller ID (defaults to TELNYX_PHONE_NUMBER)
    */
-  getCallConfig(phoneNumber, callId, metadata = {}) {
+  getCallConfig(phoneNumber, callId, metadata = {}, from = this.config.phoneNumber) {
     const config = {
-      to: this.normalizePhoneNumber(phoneNumber),
-      from: this.config.phoneNumber,
       webhook_url: this.getWebhookUrl(),
       webhook_url_method: 'POST',
       client_state: Buffer.from(JSON.stringify({
@@ -183,7 +183,10 @@ class TelnyxConfig {
         timestamp: new Date().toISOString(),
         ...metadata
       })).toString('base64'),
-      ...metadata
+      ...metadata,
+      // Never taken from metadata - the caller ID is validated (security/caller-id-validator)
+      to: this.normalizePhoneNumber(phoneNumber),
+      from
     };
 
     // Add connection ID if available
@@ -191,6 +194,11 @@ class TelnyxConfig {
       config.connection_id = this.config.connectionId;
     }
 
+    // Answering machine detection (call.machine.* events)
+    if (this.config.answeringMachineDetection !== 'disabled') {
+      config.answering_machine_detection = this.config.answeringMachineDetection;
+    }
+
     return config;
   }
 
@@ -1,5 +1,6 @@
 const CallLog = require('../database/mongodb/schemas/calllog.schema');
 const engagementService = require('../services/engagement.service');
+const { toCall } = require('../sockets/rooms');
 
 /**
  * Agent Controller for Voice Agent Operations
@@ -43,7 +44,7 @@ exports.recordPhaseTransition = async (req, res, next) => {
     // Emit socket event
     const io = req.app.get('io');
     if (io) {
-      io.to('call-monitoring').emit('call:phase-transition', {
+      toCall(io, call).emit('call:phase-transition', {
         callId,
         fromPhase,
         toPhase,
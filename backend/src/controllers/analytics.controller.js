@@ -26,3 +26,17 @@ exports.getPerformanceMetrics = async (req, res, next) => {
     next(error);
   }
 };
+
+exports.getSpeedToLead = async (req, res, next) => {
+  try {
+    const metrics = await analyticsService.getSpeedToLeadMetrics(req.query);
+
+    if (metrics.error) {
+      return res.status(400).json({ success: false, message: metrics.error });
+    }
+
+    res.json({ success: true, data: metrics });
+  } catch (error) {
+    next(error);
+  }
+};
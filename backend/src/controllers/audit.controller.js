@@ -0,0 +1,127 @@
+/**
+ * Audit Controller
+ *
+ * @description The organization's persisted audit log (see services/audit.service)
+ *
+ * Endpoints:
+ * - GET /api/audit - Search the audit log
+ * - GET /api/audit/export - Download matching entries
+ * - GET /api/audit/verify - Check the hash chain for tampering
+ */
+
+const auditService = require('../services/audit.service');
+const { toCsvRow, CSV_COLUMNS } = require('../utils/auditTrail');
+const { csvCell } = require('../utils/reportExport');
+const logger = require('../utils/logger');
+
+const EXPORT_FORMATS = ['csv', 'json'];
+const FILTER_PARAMS = ['action', 'resourceType', 'resourceId', 'actorId', 'outcome', 'requestId', 'from', 'to'];
+
+/**
+ * Search the audit log, newest first
+ * GET /api/audit?action=LEAD_UPDATED,LEAD_VIEWED&resourceType=lead&resourceId=...&actorId=...
+ *               &outcome=failure&requestId=...&from=2025-01-01&to=2025-01-31&page=1&limit=50
+ */
+exports.getEvents = async (req, res, next) => {
+  try {
+    const result = await auditService.search(req.query);
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.entries,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Error searching audit log:', error);
+    next(error);
+  }
+};
+
+/**
+ * Download matching entries, oldest first
+ * GET /api/audit/export?format=csv|json (plus the GET /api/audit filters)
+ */
+exports.exportEvents = async (req, res, next) => {
+  try {
+    const format = req.query.format || 'csv';
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const result = await auditService.exportEntries(req.query);
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    // Exports leave the building, so they're audited too
+    const filters = Object.fromEntries(FILTER_PARAMS
+      .filter(param => req.query[param])
+      .map(param => [param, String(req.query[param])]));
+
+    await auditService.record({
+      action: 'AUDIT_EXPORTED',
+      resource: { type: 'audit_log' },
+      req,
+      metadata: { format, rows: result.entries.length, truncated: result.truncated, filters }
+    });
+
+    const filename = `audit_log_${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (result.truncated) res.setHeader('X-Export-Truncated', 'true');
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: result.entries,
+        truncated: result.truncated
+      });
+    }
+
+    const lines = [CSV_COLUMNS, ...result.entries.map(toCsvRow)];
+    res.setHeader('Content-Type', 'text/csv');
+    res.send(lines.map(line => line.map(csvCell).join(',')).join('\r\n') + '\r\n');
+  } catch (error) {
+    logger.error('Error exporting audit log:', error);
+    next(error);
+  }
+};
+
+/**
+ * Recompute the organization's hash chain
+ * GET /api/audit/verify
+ */
+exports.verifyChain = async (req, res, next) => {
+  try {
+    const result = await auditService.verify(req.organizationId);
+
+    if (!result.valid) {
+      logger.error('Audit log chain verification failed', {
+        organizationId: req.organizationId,
+        problems: result.problems.slice(0, 10)
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error verifying audit log:', error);
+    next(error);
+  }
+};
@@ -1,7 +1,8 @@
 const User = require('../database/mongodb/schemas/user.schema');
+const Organization = require('../database/mongodb/schemas/organization.schema');
 const { generateTokenPair } = require('../utils/jwt.util');
 const { validatePasswordStrength, generatePasswordResetToken, hashResetToken } = require('../utils/password.util');
-const { auditLog } = require('../security/validation/audit-logger');
+const { auditLog } = require('../security/audit-logger');
 
 /**
  * Register a new user
@@ -9,7 +10,7 @@ const { auditLog } = require('../security/validation/audit-logger');
  */
 const register = async (req, res) => {
   try {
-    const { email, password, firstName, lastName, role } = req.body;
+    const { email, password, firstName, lastName, role, organizationName } = req.body;
 
     // Validate required fields
     if (!email || !password || !firstName || !lastName) {
@@ -38,15 +39,34 @@ const register = async (req, res) => {
       });
     }
 
+    // Admins add members to their own organization; anyone else registers a new one
+    let organization = null;
+    const invitedByAdmin = req.user && req.user.role === 'admin' && req.user.organizationId;
+
+    if (!invitedByAdmin) {
+      const name = organizationName || `${firstName} ${lastName}`;
+      organization = new Organization({
+        name,
+        slug: await Organization.generateSlug(name)
+      });
+    }
+
     // Create new user
     const user = new User({
       email: email.toLowerCase(),
       password,
       firstName,
       lastName,
-      role: role || 'user' // Default to 'user' role unless specified
+      organizationId: invitedByAdmin ? req.user.organizationId : organization._id,
+      // Founding user administers the new organization; otherwise default to 'user' unless specified
+      role: organization ? 'admin' : (role || 'user')
     });
 
+    if (organization) {
+      organization.createdBy = user._id;
+      await organization.save();
+    }
+
     await user.save();
 
     // Generate tokens
@@ -0,0 +1,220 @@
+/**
+ * Cadence Policy Controller
+ *
+ * @description Retry cadences for unanswered leads
+ *              (see services/cadence.service)
+ *
+ * Endpoints:
+ * - GET /api/cadence-policies - List policies
+ * - POST /api/cadence-policies - Create policy
+ * - GET /api/cadence-policies/:id - Get policy
+ * - PUT /api/cadence-policies/:id - Update policy
+ * - DELETE /api/cadence-policies/:id - Delete policy
+ *
+ * Campaigns pick a policy with Campaign.cadencePolicyId.
+ */
+
+const mongoose = require('mongoose');
+const CadencePolicy = require('../database/mongodb/schemas/cadencePolicy.schema');
+const Campaign = require('../database/mongodb/schemas/campaign.schema');
+const { validatePolicy, DEFAULT_POLICY } = require('../utils/cadence');
+const logger = require('../utils/logger');
+
+// Fields managers may set on create/update
+const EDITABLE_FIELDS = [
+  'name', 'description', 'isActive', 'isDefault', 'steps',
+  'maxAttempts', 'windowDays', 'dailyCapPerNumber', 'sources'
+];
+
+/**
+ * Pick editable fields from request body
+ * @private
+ */
+function pickEditable(body) {
+  return EDITABLE_FIELDS.reduce((data, field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+    return data;
+  }, {});
+}
+
+/**
+ * Load policy by :id or respond 404
+ * @private
+ */
+async function loadPolicy(req, res) {
+  const { id } = req.params;
+
+  const policy = mongoose.isValidObjectId(id) ? await CadencePolicy.findById(id) : null;
+
+  if (!policy) {
+    res.status(404).json({
+      success: false,
+      message: 'Cadence policy not found'
+    });
+  }
+
+  return policy;
+}
+
+/**
+ * Keep a single default policy per organization
+ * @private
+ */
+async function clearOtherDefaults(policy) {
+  if (!policy.isDefault) return;
+
+  await CadencePolicy.updateMany(
+    { _id: { $ne: policy._id }, isDefault: true },
+    { $set: { isDefault: false } }
+  );
+}
+
+/**
+ * List policies, with the built-in fallback used when none applies
+ * GET /api/cadence-policies?isActive=true
+ */
+exports.getPolicies = async (req, res, next) => {
+  try {
+    const query = req.query.isActive !== undefined ? { isActive: req.query.isActive === 'true' } : {};
+
+    const policies = await CadencePolicy.find(query).sort({ createdAt: 1 }).lean();
+
+    res.json({
+      success: true,
+      data: policies,
+      count: policies.length,
+      fallback: DEFAULT_POLICY
+    });
+
+  } catch (error) {
+    logger.error('Error listing cadence policies:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create policy
+ * POST /api/cadence-policies
+ */
+exports.createPolicy = async (req, res, next) => {
+  try {
+    const data = pickEditable(req.body);
+
+    if (!data.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Policy name is required'
+      });
+    }
+
+    const invalid = validatePolicy(data);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const policy = await CadencePolicy.create({
+      steps: DEFAULT_POLICY.steps,
+      ...data,
+      createdBy: req.user.id
+    });
+    await clearOtherDefaults(policy);
+
+    res.status(201).json({
+      success: true,
+      message: 'Cadence policy created',
+      data: policy
+    });
+
+  } catch (error) {
+    logger.error('Error creating cadence policy:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get policy
+ * GET /api/cadence-policies/:id
+ */
+exports.getPolicy = async (req, res, next) => {
+  try {
+    const policy = await loadPolicy(req, res);
+    if (!policy) return;
+
+    res.json({
+      success: true,
+      data: policy
+    });
+
+  } catch (error) {
+    logger.error('Error getting cadence policy:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update policy (applies from each lead's next recorded attempt)
+ * PUT /api/cadence-policies/:id
+ */
+exports.updatePolicy = async (req, res, next) => {
+  try {
+    const policy = await loadPolicy(req, res);
+    if (!policy) return;
+
+    const data = pickEditable(req.body);
+
+    const invalid = validatePolicy(data);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    policy.set(data);
+    await policy.save();
+    await clearOtherDefaults(policy);
+
+    res.json({
+      success: true,
+      message: 'Cadence policy updated',
+      data: policy
+    });
+
+  } catch (error) {
+    logger.error('Error updating cadence policy:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete policy (refused while a campaign uses it)
+ * DELETE /api/cadence-policies/:id
+ */
+exports.deletePolicy = async (req, res, next) => {
+  try {
+    const policy = await loadPolicy(req, res);
+    if (!policy) return;
+
+    const campaigns = await Campaign.countDocuments({ cadencePolicyId: policy._id });
+    if (campaigns > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Cadence policy is used by ${campaigns} campaign(s)`
+      });
+    }
+
+    await policy.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Cadence policy deleted'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting cadence policy:', error);
+    next(error);
+  }
+};
@@ -1,8 +1,14 @@
 const CallLog = require('../database/mongodb/schemas/calllog.schema');
 const Lead = require('../database/mongodb/schemas/lead.schema');
 const telnyxService = require('../services/telnyx.service');
-const kevinService = require('../services/kevin.service');
+const closerService = require('../services/closer.service');
+const warmTransferService = require('../services/warmTransfer.service');
+const supervisorService = require('../services/supervisor.service');
 const engagementService = require('../services/engagement.service');
+const auditService = require('../services/audit.service');
+const consentManager = require('../security/consent-manager');
+const { toCall, toMonitors } = require('../sockets/rooms');
+const { findOpenSession } = require('../utils/supervisorMonitoring');
 
 /**
  * Comprehensive Call Controller with Telnyx Integration
@@ -108,8 +114,12 @@ exports.startCall = async (req, res, next) => {
       });
     }
 
-    // Check Kevin availability
-    const kevinAvailable = await kevinService.isAvailable();
+    // Check closer availability
+    const closerAvailable = await closerService.hasAvailableCloser();
+
+    // Snapshot the consent entry in force when the call is placed
+    const initiatedAt = new Date();
+    const consentProof = await consentManager.getConsentProof(lead._id, 'call', initiatedAt);
 
     // Create call log record
     const callLogId = `CALL_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -128,9 +138,14 @@ exports.startCall = async (req, res, next) => {
         displayName: `${lead.firstName} ${lead.lastName}`
       },
       status: 'initiated',
-      initiatedAt: new Date(),
+      initiatedAt,
       telnyx: {
         apiResponse: {}
+      },
+      compliance: {
+        timeOfDayCompliant: req.callingWindow?.allowed,
+        consentRecorded: consentProof.consented,
+        consentLedgerEntryId: consentProof.entry ? String(consentProof.entry.id) : undefined
       }
     };
 
@@ -141,7 +156,7 @@ exports.startCall = async (req, res, next) => {
     const callMetadata = {
       callLogId: callLog.callLogId,
       leadId: lead._id,
-      kevinAvailable
+      closerAvailable
     };
 
     // Include Graph RAG knowledge for the voice agent
@@ -161,7 +176,8 @@ exports.startCall = async (req, res, next) => {
       callLog._id,
       {
         client_state: JSON.stringify(callMetadata)
-      }
+      },
+      { lead }
     );
 
     if (!telnyxResult.success) {
@@ -185,20 +201,24 @@ exports.startCall = async (req, res, next) => {
     callLog.telnyx.callControlId = telnyxResult.callControlId;
     callLog.telnyx.callSessionId = telnyxResult.telnyxCallId;
     callLog.telnyx.apiResponse = telnyxResult.data;
+    callLog.from.number = telnyxResult.from;
     callLog.status = 'ringing';
     callLog.ringingAt = new Date();
     await callLog.save();
 
+    // Time-to-first-dial analytics
+    await Lead.updateOne({ _id: lead._id }, { $min: { firstDialedAt: initiatedAt } });
+
     // Emit socket event for real-time monitoring
     const io = req.app.get('io');
     if (io) {
-      io.emit('call:started', {
+      toCall(io, callLog).emit('call:started', {
         callId: callLog._id,
         callLogId: callLog.callLogId,
         leadId: lead._id,
         leadName: `${lead.firstName} ${lead.lastName}`,
         phoneNumber,
-        kevinAvailable,
+        closerAvailable,
         timestamp: new Date()
       });
     }
@@ -210,7 +230,7 @@ exports.startCall = async (req, res, next) => {
         callLogId: callLog.callLogId,
         telnyxCallId: telnyxResult.telnyxCallId,
         status: 'initiated',
-        kevinAvailable
+        closerAvailable
       },
       message: 'Call initiated successfully'
     });
@@ -273,7 +293,7 @@ exports.updateEngagementScore = async (req, res, next) => {
     // Emit real-time update via Socket.io
     const io = req.app.get('io');
     if (io) {
-      io.to('call-monitoring').emit('call:engagement-update', {
+      toCall(io, call).emit('call:engagement-update', {
         callId: call._id,
         callLogId: call.callLogId,
         engagementScore,
@@ -285,17 +305,17 @@ exports.updateEngagementScore = async (req, res, next) => {
     }
 
     // Check for hot transfer opportunity
-    const kevinAvailable = await kevinService.isAvailable();
-    const shouldTransfer = engagementService.shouldTransfer(engagementScore, kevinAvailable);
+    const closerAvailable = await closerService.hasAvailableCloser();
+    const shouldTransfer = engagementService.shouldTransfer(engagementScore, closerAvailable);
 
     if (shouldTransfer && !call.transfer?.wasTransferred) {
       if (io) {
-        io.to('call-monitoring').emit('transfer-opportunity', {
+        toCall(io, call).emit('transfer-opportunity', {
           callId: call._id,
           callLogId: call.callLogId,
           engagementScore,
           suggestTransfer: true,
-          kevinAvailable: true,
+          closerAvailable: true,
           timestamp: new Date()
         });
       }
@@ -308,7 +328,7 @@ exports.updateEngagementScore = async (req, res, next) => {
         engagementScore,
         buyingSignals,
         suggestTransfer: shouldTransfer,
-        kevinAvailable
+        closerAvailable
       }
     });
 
@@ -319,7 +339,9 @@ exports.updateEngagementScore = async (req, res, next) => {
 };
 
 /**
- * Initiate hot transfer to Kevin
+ * Initiate hot transfer to the best available closer
+ * Starts a warm transfer: the closer hears a whisper briefing and presses 1
+ * to accept before the lead is bridged (see services/warmTransfer.service)
  */
 exports.initiateHotTransfer = async (req, res, next) => {
   try {
@@ -333,16 +355,7 @@ exports.initiateHotTransfer = async (req, res, next) => {
       });
     }
 
-    // Check Kevin availability again
-    const kevinAvailable = await kevinService.isAvailable();
-    if (!kevinAvailable) {
-      return res.status(400).json({
-        success: false,
-        error: 'Kevin is not available for transfer'
-      });
-    }
-
-    // Check if already transferred
+    // Check if already transferred or a transfer is under way
     if (call.transfer?.wasTransferred) {
       return res.status(400).json({
         success: false,
@@ -350,56 +363,37 @@ exports.initiateHotTransfer = async (req, res, next) => {
       });
     }
 
-    // Create conference call with Kevin
-    const conferenceName = `transfer-${call.callLogId}`;
-    const transferResult = await telnyxService.createConferenceCall(
-      call.telnyx.callControlId,
-      process.env.KEVIN_PHONE_NUMBER,
-      conferenceName
-    );
-
-    // Update call record
-    if (!call.transfer) {
-      call.transfer = {};
+    if (['dialing_closer', 'whispering', 'awaiting_accept', 'bridged'].includes(call.transfer?.state)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A transfer is already in progress for this call'
+      });
     }
 
-    call.transfer.wasTransferred = true;
-    call.transfer.transferType = 'warm';
-    call.transfer.transferredAt = new Date();
-    call.transfer.transferSuccessful = transferResult.success;
-    call.transfer.transferredTo = {
-      number: process.env.KEVIN_PHONE_NUMBER,
-      name: 'Kevin'
-    };
-
-    if (transferResult.success) {
-      call.status = 'bridged';
-
-      // Set Kevin as busy
-      await kevinService.setBusy(30, 'In transferred call');
-
-      // Record transfer in Kevin service
-      await kevinService.recordTransfer({
-        callId: call._id,
-        leadId: call.leadId?._id,
-        engagementScore: call.aiAnalysis?.qualification?.score || 0,
-        success: true,
-        timestamp: new Date()
+    // Pick and reserve a closer (round-robin, least-recent or skill match)
+    const routing = await closerService.routeTransfer(call.leadId);
+    if (!routing) {
+      return res.status(400).json({
+        success: false,
+        error: 'No closer is available for transfer'
       });
-    } else {
-      call.transfer.transferReason = 'Transfer failed - continuing with agent';
     }
 
-    await call.save();
+    const { closer } = routing;
+
+    // Dial the closer; whisper, accept and bridge continue via Telnyx webhooks
+    const transferResult = await warmTransferService.start(call, routing);
 
     // Emit transfer event
     const io = req.app.get('io');
     if (io) {
-      io.emit('call:transfer', {
+      toCall(io, call).emit('call:transfer', {
         callId: call._id,
         callLogId: call.callLogId,
         success: transferResult.success,
-        kevinJoined: transferResult.success,
+        state: transferResult.state,
+        closerId: closer._id,
+        closerName: closer.name,
         timestamp: new Date()
       });
     }
@@ -409,10 +403,15 @@ exports.initiateHotTransfer = async (req, res, next) => {
       data: {
         callId: call._id,
         transferSuccess: transferResult.success,
+        transferState: transferResult.state,
+        closer: {
+          id: closer._id,
+          name: closer.name
+        },
+        routingStrategy: routing.strategy,
         message: transferResult.success
-          ? 'Transfer successful - Kevin joined the call'
-          : 'Transfer failed - continuing with agent',
-        conferenceName: transferResult.success ? conferenceName : null
+          ? `Dialing ${closer.name} - lead stays with the agent until they accept`
+          : 'Transfer failed - continuing with agent'
       }
     });
 
@@ -468,7 +467,7 @@ exports.endCall = async (req, res, next) => {
     // Emit socket event
     const io = req.app.get('io');
     if (io) {
-      io.emit('call:ended', {
+      toCall(io, call).emit('call:ended', {
         callId: call._id,
         callLogId: call.callLogId,
         duration: call.duration?.total || 0,
@@ -535,6 +534,13 @@ exports.getRecording = async (req, res, next) => {
       });
     }
 
+    await auditService.record({
+      action: 'RECORDING_ACCESSED',
+      resource: { type: 'call_recording', id: call._id },
+      req,
+      metadata: { callLogId: call.callLogId }
+    });
+
     res.json({
       success: true,
       url: call.recording.recordingUrl,
@@ -548,4 +554,128 @@ exports.getRecording = async (req, res, next) => {
   }
 };
 
+/**
+ * Supervisor monitoring failures → HTTP status and message
+ */
+const MONITORING_ERRORS = {
+  invalid_mode: [400, 'Mode must be listen, whisper or barge'],
+  forbidden_role: [403, 'Your role cannot use this monitoring mode'],
+  wrong_organization: [404, 'Call not found'],
+  forbidden_session: [403, 'Only the supervisor or an admin can end this session'],
+  call_not_live: [409, 'Call is not live'],
+  no_closer_leg: [409, 'Whisper needs a closer on the call - use listen or barge on AI calls'],
+  session_not_found: [404, 'Monitoring session not found'],
+  conference_failed: [502, 'Could not open the call for monitoring'],
+  dial_failed: [502, 'Could not dial the supervisor'],
+  telnyx_error: [502, 'Telnyx rejected the change']
+};
+
+function sendMonitoringError(res, result) {
+  const [status, message] = MONITORING_ERRORS[result.reason] || [500, 'Monitoring failed'];
+  return res.status(status).json({
+    success: false,
+    error: message,
+    details: result.error
+  });
+}
+
+/**
+ * Join a live call as supervisor in a mode; switches mode if already monitoring
+ * Body: { phoneNumber } - number or SIP URI the supervisor is dialed on
+ */
+function startMonitoring(mode) {
+  return async (req, res, next) => {
+    try {
+      const call = await CallLog.findById(req.params.id);
+      if (!call) {
+        return res.status(404).json({
+          success: false,
+          error: 'Call not found'
+        });
+      }
+
+      const { phoneNumber } = req.body;
+      const monitoring = findOpenSession(call, req.user._id);
+
+      if (!monitoring && !/^(\+[1-9]\d{9,14}|sips?:\S+@\S+)$/.test(phoneNumber || '')) {
+        return res.status(400).json({
+          success: false,
+          error: 'phoneNumber (E.164 or SIP URI) is required to dial the supervisor'
+        });
+      }
+
+      const result = await supervisorService.startSession(call, req.user, {
+        mode,
+        phoneNumber,
+        ipAddress: req.ip
+      });
+
+      if (!result.success) return sendMonitoringError(res, result);
+
+      const io = req.app.get('io');
+      if (io) {
+        toMonitors(io, call.organizationId).emit('call:monitoring', {
+          callId: call._id,
+          callLogId: call.callLogId,
+          sessionId: result.session.sessionId,
+          supervisor: result.session.userName,
+          mode,
+          timestamp: new Date()
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result.session
+      });
+
+    } catch (error) {
+      console.error(`Start ${mode} monitoring error:`, error);
+      next(error);
+    }
+  };
+}
+
+exports.listen = startMonitoring('listen');
+exports.whisper = startMonitoring('whisper');
+exports.barge = startMonitoring('barge');
+
+/**
+ * Leave a monitoring session (own session, or any session for admins)
+ */
+exports.stopMonitoring = async (req, res, next) => {
+  try {
+    const call = await CallLog.findById(req.params.id);
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call not found'
+      });
+    }
+
+    const result = await supervisorService.endSession(call, req.params.sessionId, req.user, { ipAddress: req.ip });
+    if (!result.success) return sendMonitoringError(res, result);
+
+    const io = req.app.get('io');
+    if (io) {
+      toMonitors(io, call.organizationId).emit('call:monitoring', {
+        callId: call._id,
+        callLogId: call.callLogId,
+        sessionId: req.params.sessionId,
+        ended: true,
+        timestamp: new Date()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Monitoring session ended'
+    });
+
+  } catch (error) {
+    console.error('Stop monitoring error:', error);
+    next(error);
+  }
+};
+
 module.exports = exports;
@@ -0,0 +1,241 @@
+/**
+ * Caller ID Controller
+ *
+ * @description Owned outbound numbers for local-presence caller ID
+ *              (see services/callerIdPool.service)
+ *
+ * Endpoints:
+ * - GET /api/caller-ids - List pool numbers
+ * - POST /api/caller-ids - Register an owned number
+ * - POST /api/caller-ids/evaluate - Recompute reputation now
+ * - GET /api/caller-ids/:id - Get number
+ * - PUT /api/caller-ids/:id - Update number
+ * - DELETE /api/caller-ids/:id - Retire number
+ */
+
+const mongoose = require('mongoose');
+const CallerNumber = require('../database/mongodb/schemas/callerNumber.schema');
+const callerIdPoolService = require('../services/callerIdPool.service');
+const { registerCallerID } = require('../security/caller-id-validator');
+const { validateCallerNumber, dayKey, usageOn } = require('../utils/callerIdPool');
+const logger = require('../utils/logger');
+
+// Fields managers may change after registration
+const EDITABLE_FIELDS = ['label', 'state', 'dailyCap', 'status'];
+
+/**
+ * Number with today's usage
+ * @private
+ */
+function present(number) {
+  const data = number.toObject ? number.toObject() : number;
+  return { ...data, callsToday: usageOn(data, dayKey()) };
+}
+
+/**
+ * Load number by :id or respond 404
+ * @private
+ */
+async function loadNumber(req, res) {
+  const { id } = req.params;
+
+  const number = mongoose.isValidObjectId(id) ? await CallerNumber.findById(id) : null;
+
+  if (!number) {
+    res.status(404).json({
+      success: false,
+      message: 'Caller ID not found'
+    });
+  }
+
+  return number;
+}
+
+/**
+ * List pool numbers
+ * GET /api/caller-ids?status=active
+ */
+exports.getNumbers = async (req, res, next) => {
+  try {
+    const query = req.query.status ? { status: req.query.status } : {};
+
+    const numbers = await CallerNumber.find(query).sort({ areaCode: 1, phoneNumber: 1 }).lean();
+
+    res.json({
+      success: true,
+      data: numbers.map(present),
+      count: numbers.length
+    });
+
+  } catch (error) {
+    logger.error('Error listing caller IDs:', error);
+    next(error);
+  }
+};
+
+/**
+ * Register an owned number
+ * POST /api/caller-ids
+ */
+exports.registerNumber = async (req, res, next) => {
+  try {
+    const { phoneNumber, label, state, dailyCap } = req.body;
+
+    if (!phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'phoneNumber is required'
+      });
+    }
+
+    const invalid = validateCallerNumber({ phoneNumber, dailyCap });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    if (await CallerNumber.exists({ phoneNumber })) {
+      return res.status(409).json({
+        success: false,
+        message: `${phoneNumber} is already registered`
+      });
+    }
+
+    const number = await registerCallerID(phoneNumber, {
+      label,
+      state,
+      dailyCap,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Caller ID registered',
+      data: present(number)
+    });
+
+  } catch (error) {
+    logger.error('Error registering caller ID:', error);
+    next(error);
+  }
+};
+
+/**
+ * Recompute answer rates and rest or retire flagged numbers now
+ * POST /api/caller-ids/evaluate
+ */
+exports.evaluateReputation = async (req, res, next) => {
+  try {
+    const result = await callerIdPoolService.evaluateReputation(new Date());
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error evaluating caller ID reputation:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get number
+ * GET /api/caller-ids/:id
+ */
+exports.getNumber = async (req, res, next) => {
+  try {
+    const number = await loadNumber(req, res);
+    if (!number) return;
+
+    res.json({
+      success: true,
+      data: present(number)
+    });
+
+  } catch (error) {
+    logger.error('Error getting caller ID:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update number (status: put a rested or retired number back, or take one out)
+ * PUT /api/caller-ids/:id
+ */
+exports.updateNumber = async (req, res, next) => {
+  try {
+    const number = await loadNumber(req, res);
+    if (!number) return;
+
+    const invalid = validateCallerNumber(req.body);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    if (req.body.status === 'resting') {
+      return res.status(400).json({
+        success: false,
+        message: 'Numbers rest automatically - set status to active or retired'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) number.set(field, req.body[field]);
+    });
+
+    if (number.isModified('status')) {
+      if (number.status === 'retired') {
+        number.retiredAt = new Date();
+        number.retiredReason = req.body.reason || 'Retired manually';
+      } else {
+        number.retiredAt = undefined;
+        number.retiredReason = undefined;
+        number.restingUntil = undefined;
+      }
+      if (number.status === 'active') number.restCount = 0;
+    }
+
+    await number.save();
+
+    res.json({
+      success: true,
+      message: 'Caller ID updated',
+      data: present(number)
+    });
+
+  } catch (error) {
+    logger.error('Error updating caller ID:', error);
+    next(error);
+  }
+};
+
+/**
+ * Retire number (kept so its calls still resolve to an owned number)
+ * DELETE /api/caller-ids/:id
+ */
+exports.retireNumber = async (req, res, next) => {
+  try {
+    const number = await loadNumber(req, res);
+    if (!number) return;
+
+    number.status = 'retired';
+    number.retiredAt = new Date();
+    number.retiredReason = req.body?.reason || 'Retired manually';
+    await number.save();
+
+    res.json({
+      success: true,
+      message: 'Caller ID retired'
+    });
+
+  } catch (error) {
+    logger.error('Error retiring caller ID:', error);
+    next(error);
+  }
+};
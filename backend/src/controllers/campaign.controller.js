@@ -0,0 +1,286 @@
+/**
+ * Campaign Controller
+ *
+ * @description API endpoints for outbound dialing campaigns
+ *
+ * Endpoints:
+ * - GET /api/campaigns - List campaigns
+ * - POST /api/campaigns - Create campaign
+ * - GET /api/campaigns/:id - Get campaign
+ * - PUT /api/campaigns/:id - Update campaign configuration
+ * - GET /api/campaigns/:id/status - Live metrics and dialing capacity
+ * - POST /api/campaigns/:id/start - Start dialing
+ * - POST /api/campaigns/:id/pause - Pause dialing
+ * - POST /api/campaigns/:id/resume - Resume dialing
+ * - POST /api/campaigns/:id/stop - Stop dialing
+ */
+
+const mongoose = require('mongoose');
+const Campaign = require('../database/mongodb/schemas/campaign.schema');
+const Lead = require('../database/mongodb/schemas/lead.schema');
+const campaignEngine = require('../services/campaignEngine.service');
+const { isValidTimezone } = require('../security/tcpa/calling-window');
+const logger = require('../utils/logger');
+
+// Fields managers may set on create/update
+const EDITABLE_FIELDS = [
+  'name', 'description', 'startDate', 'endDate',
+  'segment', 'schedule', 'pacing', 'retry', 'cadencePolicyId', 'voicemail', 'scriptType', 'metadata'
+];
+
+/**
+ * Pick editable fields from request body
+ * @private
+ */
+function pickEditable(body) {
+  return EDITABLE_FIELDS.reduce((data, field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+    return data;
+  }, {});
+}
+
+/**
+ * Validate campaign fields that are present
+ * @private
+ * @returns {String|null} Error message
+ */
+function validateCampaign(data) {
+  if (data.schedule?.timezone && !isValidTimezone(data.schedule.timezone)) {
+    return `Invalid schedule timezone: ${data.schedule.timezone}`;
+  }
+
+  if (data.cadencePolicyId && !mongoose.isValidObjectId(data.cadencePolicyId)) {
+    return 'Invalid cadencePolicyId';
+  }
+
+  const voicemail = data.voicemail;
+  if (voicemail) {
+    if (voicemail.audioUrl && !/^https?:\/\//i.test(voicemail.audioUrl)) {
+      return 'voicemail.audioUrl must be an http(s) URL';
+    }
+    if (voicemail.enabled && !voicemail.audioUrl && !voicemail.text) {
+      return 'An enabled voicemail needs an audioUrl or text';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load campaign by :id or respond 404
+ * @private
+ */
+async function loadCampaign(req, res) {
+  const { id } = req.params;
+
+  const campaign = mongoose.isValidObjectId(id) ? await Campaign.findById(id) : null;
+
+  if (!campaign) {
+    res.status(404).json({
+      success: false,
+      message: 'Campaign not found'
+    });
+  }
+
+  return campaign;
+}
+
+/**
+ * List campaigns
+ * GET /api/campaigns?status=running
+ */
+exports.getAll = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const query = status ? { status } : {};
+
+    const campaigns = await Campaign.find(query).sort({ createdAt: -1 }).lean();
+
+    res.json({
+      success: true,
+      data: campaigns,
+      count: campaigns.length
+    });
+
+  } catch (error) {
+    logger.error('Error listing campaigns:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create campaign
+ * POST /api/campaigns
+ */
+exports.create = async (req, res, next) => {
+  try {
+    const data = pickEditable(req.body);
+
+    if (!data.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Campaign name is required'
+      });
+    }
+
+    const invalid = validateCampaign(data);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const campaign = await Campaign.create({
+      ...data,
+      status: 'draft',
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Campaign created',
+      data: campaign
+    });
+
+  } catch (error) {
+    logger.error('Error creating campaign:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get campaign
+ * GET /api/campaigns/:id
+ */
+exports.getById = async (req, res, next) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    res.json({
+      success: true,
+      data: campaign
+    });
+
+  } catch (error) {
+    logger.error('Error getting campaign:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update campaign configuration
+ * Pacing, schedule and segment changes apply from the next tick
+ * PUT /api/campaigns/:id
+ */
+exports.update = async (req, res, next) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    const data = pickEditable(req.body);
+
+    const invalid = validateCampaign(data);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    campaign.set(data);
+    await campaign.save();
+
+    res.json({
+      success: true,
+      message: 'Campaign updated',
+      data: campaign
+    });
+
+  } catch (error) {
+    logger.error('Error updating campaign:', error);
+    next(error);
+  }
+};
+
+/**
+ * Live campaign status
+ * GET /api/campaigns/:id/status
+ */
+exports.getStatus = async (req, res, next) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    const now = new Date();
+    const [capacity, eligibleLeads, remainingLeads] = await Promise.all([
+      campaignEngine.getAvailableCapacity(campaign, now),
+      Lead.countDocuments(campaignEngine.buildSegmentQuery(campaign, now)),
+      Lead.countDocuments(campaignEngine.buildSegmentQuery(campaign, now, { includeDeferred: true }))
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        status: campaign.status,
+        metrics: campaign.metrics,
+        run: campaign.run,
+        withinSchedule: campaignEngine.isWithinSchedule(campaign, now),
+        capacity,
+        leads: {
+          eligibleNow: eligibleLeads,
+          remaining: remainingLeads
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error getting campaign status:', error);
+    next(error);
+  }
+};
+
+/**
+ * Build a lifecycle action handler (start/pause/resume/stop)
+ * @private
+ */
+function lifecycleHandler(action, pastTense) {
+  return async (req, res, next) => {
+    try {
+      const campaign = await loadCampaign(req, res);
+      if (!campaign) return;
+
+      if (!campaignEngine.canTransition(campaign.status, action)) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot ${action} a campaign that is ${campaign.status}`
+        });
+      }
+
+      if (action === 'start' && !campaign.organizationId) {
+        return res.status(409).json({
+          success: false,
+          message: 'Campaign has no organization; DNC checks cannot run'
+        });
+      }
+
+      await campaignEngine[action](campaign, req.user.id);
+
+      res.json({
+        success: true,
+        message: `Campaign ${pastTense}`,
+        data: campaign
+      });
+
+    } catch (error) {
+      logger.error(`Error trying to ${action} campaign:`, error);
+      next(error);
+    }
+  };
+}
+
+exports.start = lifecycleHandler('start', 'started');
+exports.pause = lifecycleHandler('pause', 'paused');
+exports.resume = lifecycleHandler('resume', 'resumed');
+exports.stop = lifecycleHandler('stop', 'stopped');
@@ -0,0 +1,331 @@
+/**
+ * Closer Controller
+ *
+ * @description API endpoints for the hot-transfer closer roster
+ *
+ * Endpoints:
+ * - GET /api/closers - Roster with live availability
+ * - GET /api/closers/availability - Closers who can take a transfer now
+ * - GET /api/closers/transfers - Transfer history
+ * - GET /api/closers/transfers/stats - Transfer statistics
+ * - POST /api/closers - Add closer
+ * - GET /api/closers/:id - Get closer
+ * - PUT /api/closers/:id - Update closer (phone, schedule, skills)
+ * - PUT /api/closers/:id/status - Update live status
+ */
+
+const mongoose = require('mongoose');
+const Closer = require('../database/mongodb/schemas/closer.schema');
+const closerService = require('../services/closer.service');
+const { isValidTimezone } = require('../security/tcpa/calling-window');
+const { formatPhoneE164 } = require('../utils/helpers');
+const { toOrganization } = require('../sockets/rooms');
+const logger = require('../utils/logger');
+
+// Fields managers may set on create/update
+const EDITABLE_FIELDS = [
+  'name', 'userId', 'phoneNumber', 'email', 'isActive',
+  'schedule', 'skills', 'priority', 'metadata'
+];
+
+const STATUSES = ['available', 'busy', 'on_call', 'offline'];
+
+/**
+ * Pick editable fields from request body
+ * @private
+ */
+function pickEditable(body) {
+  const data = EDITABLE_FIELDS.reduce((picked, field) => {
+    if (body[field] !== undefined) picked[field] = body[field];
+    return picked;
+  }, {});
+
+  if (data.phoneNumber) {
+    data.phoneNumber = formatPhoneE164(String(data.phoneNumber));
+  }
+
+  return data;
+}
+
+/**
+ * Load closer by :id or respond 404
+ * @private
+ */
+async function loadCloser(req, res) {
+  const { id } = req.params;
+
+  const closer = mongoose.isValidObjectId(id) ? await Closer.findById(id) : null;
+
+  if (!closer) {
+    res.status(404).json({
+      success: false,
+      message: 'Closer not found'
+    });
+  }
+
+  return closer;
+}
+
+/**
+ * Reject invalid schedule timezones
+ * @private
+ */
+function invalidTimezone(data, res) {
+  const timezone = data.schedule?.timezone;
+
+  if (timezone && !isValidTimezone(timezone)) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid schedule timezone: ${timezone}`
+    });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Roster with live availability
+ * GET /api/closers?isActive=true&status=available
+ */
+exports.getAll = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+    if (req.query.status) filter.status = req.query.status;
+
+    const closers = await closerService.getRoster(filter);
+
+    res.json({
+      success: true,
+      data: closers,
+      count: closers.length
+    });
+
+  } catch (error) {
+    logger.error('Error listing closers:', error);
+    next(error);
+  }
+};
+
+/**
+ * Closers who can take a transfer now
+ * GET /api/closers/availability
+ */
+exports.getAvailability = async (req, res, next) => {
+  try {
+    const closers = await closerService.getAvailableClosers();
+
+    res.json({
+      success: true,
+      data: {
+        available: closers.length > 0,
+        closers,
+        routingStrategy: closerService.getRoutingStrategy()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error getting closer availability:', error);
+    next(error);
+  }
+};
+
+/**
+ * Transfer history
+ * GET /api/closers/transfers?closerId=...&limit=50
+ */
+exports.getTransferHistory = async (req, res, next) => {
+  try {
+    const { closerId, limit } = req.query;
+
+    if (closerId && !mongoose.isValidObjectId(closerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid closerId'
+      });
+    }
+
+    const transfers = await closerService.getTransferHistory({
+      closerId,
+      limit: limit ? parseInt(limit) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: transfers,
+      count: transfers.length
+    });
+
+  } catch (error) {
+    logger.error('Error getting transfer history:', error);
+    next(error);
+  }
+};
+
+/**
+ * Transfer statistics
+ * GET /api/closers/transfers/stats?closerId=...
+ */
+exports.getTransferStats = async (req, res, next) => {
+  try {
+    const { closerId } = req.query;
+
+    if (closerId && !mongoose.isValidObjectId(closerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid closerId'
+      });
+    }
+
+    const stats = await closerService.getTransferStats({ closerId });
+
+    res.json({
+      success: true,
+      data: stats
+    });
+
+  } catch (error) {
+    logger.error('Error getting transfer stats:', error);
+    next(error);
+  }
+};
+
+/**
+ * Add closer
+ * POST /api/closers
+ */
+exports.create = async (req, res, next) => {
+  try {
+    const data = pickEditable(req.body);
+
+    if (!data.name || !data.phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Closer name and phoneNumber are required'
+      });
+    }
+
+    if (invalidTimezone(data, res)) return;
+
+    const closer = await Closer.create(data);
+
+    res.status(201).json({
+      success: true,
+      message: 'Closer created',
+      data: closer
+    });
+
+  } catch (error) {
+    logger.error('Error creating closer:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get closer
+ * GET /api/closers/:id
+ */
+exports.getById = async (req, res, next) => {
+  try {
+    const closer = await loadCloser(req, res);
+    if (!closer) return;
+
+    res.json({
+      success: true,
+      data: closer
+    });
+
+  } catch (error) {
+    logger.error('Error getting closer:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update closer
+ * PUT /api/closers/:id
+ */
+exports.update = async (req, res, next) => {
+  try {
+    const closer = await loadCloser(req, res);
+    if (!closer) return;
+
+    const data = pickEditable(req.body);
+    if (invalidTimezone(data, res)) return;
+
+    closer.set(data);
+    await closer.save();
+
+    res.json({
+      success: true,
+      message: 'Closer updated',
+      data: closer
+    });
+
+  } catch (error) {
+    logger.error('Error updating closer:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update live status
+ * Managers can update anyone; a closer can update their own status
+ * PUT /api/closers/:id/status
+ */
+exports.updateStatus = async (req, res, next) => {
+  try {
+    const closer = await loadCloser(req, res);
+    if (!closer) return;
+
+    const isManager = ['admin', 'manager'].includes(req.user.role);
+    const isSelf = closer.userId && closer.userId.toString() === req.user.id;
+
+    if (!isManager && !isSelf) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only managers or the closer can update this status'
+      });
+    }
+
+    const { status, reason, until } = req.body;
+
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of ${STATUSES.join(', ')}`
+      });
+    }
+
+    const updated = await closerService.setStatus(closer._id, {
+      status,
+      reason,
+      until,
+      updatedBy: req.user.id
+    });
+
+    // Broadcast status change via Socket.io
+    const io = req.app.get('io');
+    if (io) {
+      toOrganization(io, req.organizationId).emit('closer-status-changed', {
+        closerId: updated._id,
+        name: updated.name,
+        status: updated.status,
+        reason: updated.statusReason,
+        until: updated.statusUntil,
+        timestamp: new Date()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Closer status updated',
+      data: updated
+    });
+
+  } catch (error) {
+    logger.error('Error updating closer status:', error);
+    next(error);
+  }
+};
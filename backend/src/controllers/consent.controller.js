@@ -0,0 +1,244 @@
+/**
+ * Consent Controller
+ *
+ * @description API endpoints for the TCPA consent ledger
+ *
+ * Endpoints:
+ * - POST /api/consent - Record consent grant
+ * - POST /api/consent/revoke - Record consent revocation
+ * - GET /api/consent/:leadId - Current consent status
+ * - GET /api/consent/:leadId/history - Full ledger history
+ * - GET /api/consent/:leadId/proof - Consent state at a point in time
+ */
+
+const mongoose = require('mongoose');
+const consentManager = require('../security/consent-manager');
+const Lead = require('../database/mongodb/schemas/lead.schema');
+const logger = require('../utils/logger');
+
+/**
+ * Validate channel list from request
+ * @private
+ */
+function invalidChannels(channels) {
+  if (!channels || channels === 'all') return [];
+  const list = Array.isArray(channels) ? channels : [channels];
+  return list.filter(channel => !consentManager.CHANNELS.includes(channel));
+}
+
+/**
+ * Respond 404 unless the lead belongs to the caller's organization
+ *
+ * The consent ledger is keyed by lead only, so this organization-scoped
+ * lookup is what keeps one tenant out of another's ledger.
+ * @private
+ */
+async function rejectUnknownLead(leadId, res) {
+  const exists = mongoose.isValidObjectId(leadId) && await Lead.exists({ _id: leadId });
+  if (exists) return false;
+
+  res.status(404).json({
+    success: false,
+    message: 'Lead not found'
+  });
+  return true;
+}
+
+/**
+ * Record consent grant
+ * POST /api/consent
+ */
+exports.recordConsent = async (req, res, next) => {
+  try {
+    const {
+      leadId,
+      channels,
+      source,
+      proofReference,
+      disclosureText,
+      occurredAt,
+      ipAddress,
+      userAgent,
+      metadata
+    } = req.body;
+
+    if (!leadId || !mongoose.isValidObjectId(leadId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid leadId is required'
+      });
+    }
+
+    if (!source) {
+      return res.status(400).json({
+        success: false,
+        message: 'Source is required (web_form, voice, sms, import, manual, api)'
+      });
+    }
+
+    const invalid = invalidChannels(channels);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid channel(s): ${invalid.join(', ')}. Use call, sms or email`
+      });
+    }
+
+    if (await rejectUnknownLead(leadId, res)) return;
+
+    const entries = await consentManager.recordConsent(leadId, {
+      channels,
+      source,
+      proofReference,
+      disclosureText,
+      occurredAt,
+      // Default provenance to the submitting client when not captured upstream
+      ipAddress: ipAddress || req.ip,
+      userAgent: userAgent || req.get('user-agent'),
+      recordedBy: req.user.id,
+      metadata
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Consent recorded',
+      data: entries
+    });
+
+  } catch (error) {
+    logger.error('Error recording consent:', error);
+    next(error);
+  }
+};
+
+/**
+ * Record consent revocation
+ * POST /api/consent/revoke
+ */
+exports.revokeConsent = async (req, res, next) => {
+  try {
+    const { leadId, channels = 'all', source = 'manual', reason, proofReference } = req.body;
+
+    if (!leadId || !mongoose.isValidObjectId(leadId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid leadId is required'
+      });
+    }
+
+    const invalid = invalidChannels(channels);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid channel(s): ${invalid.join(', ')}. Use call, sms or email`
+      });
+    }
+
+    if (await rejectUnknownLead(leadId, res)) return;
+
+    const entries = await consentManager.revokeConsent(leadId, channels, {
+      source,
+      reason,
+      proofReference,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      recordedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Consent revoked',
+      data: entries
+    });
+
+  } catch (error) {
+    logger.error('Error revoking consent:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get current consent status
+ * GET /api/consent/:leadId
+ */
+exports.getConsentStatus = async (req, res, next) => {
+  try {
+    if (await rejectUnknownLead(req.params.leadId, res)) return;
+
+    const status = await consentManager.getConsentStatus(req.params.leadId);
+
+    res.json({
+      success: true,
+      data: status
+    });
+
+  } catch (error) {
+    logger.error('Error getting consent status:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get consent ledger history
+ * GET /api/consent/:leadId/history?channel=sms
+ */
+exports.getConsentHistory = async (req, res, next) => {
+  try {
+    const { channel, startDate, endDate } = req.query;
+
+    if (await rejectUnknownLead(req.params.leadId, res)) return;
+
+    const history = await consentManager.getConsentHistory(req.params.leadId, {
+      channel,
+      startDate,
+      endDate
+    });
+
+    res.json({
+      success: true,
+      data: history
+    });
+
+  } catch (error) {
+    logger.error('Error getting consent history:', error);
+    next(error);
+  }
+};
+
+/**
+ * Prove consent state at a point in time
+ * GET /api/consent/:leadId/proof?channel=call&at=2025-03-12T14:00:00Z
+ */
+exports.getConsentProof = async (req, res, next) => {
+  try {
+    const { channel = 'call', at } = req.query;
+    const instant = at ? new Date(at) : new Date();
+
+    if (Number.isNaN(instant.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid "at" timestamp'
+      });
+    }
+
+    if (invalidChannels(channel).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Channel must be call, sms or email'
+      });
+    }
+
+    if (await rejectUnknownLead(req.params.leadId, res)) return;
+
+    const proof = await consentManager.getConsentProof(req.params.leadId, channel, instant);
+
+    res.json({
+      success: true,
+      data: proof
+    });
+
+  } catch (error) {
+    logger.error('Error getting consent proof:', error);
+    next(error);
+  }
+};
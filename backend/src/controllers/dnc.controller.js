@@ -18,6 +18,7 @@
 
 const dncService = require('../services/dncService');
 const dncBloomFilter = require('../services/dncBloomFilter');
+const auditService = require('../services/audit.service');
 const { analyzeTranscriptForOptOut } = require('../utils/dncTranscriptAnalyzer');
 const logger = require('../utils/logger');
 
@@ -52,7 +53,7 @@ exports.addToDNC = async (req, res, next) => {
     }
 
     // Get organization from user
-    const organizationId = req.user.organization_id;
+    const organizationId = req.organizationId;
     const addedByUserId = req.user.id;
 
     logger.info('Adding phone to DNC via API', {
@@ -77,6 +78,15 @@ exports.addToDNC = async (req, res, next) => {
     // Add to bloom filter for fast lookups
     await dncBloomFilter.add(phoneNumber);
 
+    await auditService.record({
+      action: 'DNC_ADDED',
+      resource: { type: 'dnc', id: dncEntry?.phone_number || phoneNumber },
+      req,
+      before: null,
+      after: { reason, source, notes, detectedPhrase, expiresAt },
+      metadata: { dncId: dncEntry?.id }
+    });
+
     res.status(201).json({
       success: true,
       message: 'Phone number added to DNC list',
@@ -104,7 +114,7 @@ exports.checkDNC = async (req, res, next) => {
       });
     }
 
-    const organizationId = req.user.organization_id;
+    const organizationId = req.organizationId;
 
     // Check bloom filter first (ultra-fast)
     const mightBeOnDNC = await dncBloomFilter.check(phoneNumber);
@@ -168,7 +178,7 @@ exports.removeFromDNC = async (req, res, next) => {
       });
     }
 
-    const organizationId = req.user.organization_id;
+    const organizationId = req.organizationId;
     const removedByUserId = req.user.id;
 
     logger.info('Removing phone from DNC via API', {
@@ -194,6 +204,13 @@ exports.removeFromDNC = async (req, res, next) => {
     // Remove from bloom filter
     await dncBloomFilter.remove(phoneNumber);
 
+    await auditService.record({
+      action: 'DNC_REMOVED',
+      resource: { type: 'dnc', id: phoneNumber },
+      req,
+      metadata: { reason: reason || 'Master admin removal' }
+    });
+
     res.json({
       success: true,
       message: 'Phone number removed from DNC list'
@@ -221,7 +238,7 @@ exports.getDNCList = async (req, res, next) => {
       search
     } = req.query;
 
-    const organizationId = req.user.organization_id;
+    const organizationId = req.organizationId;
 
     const result = await dncService.getDNCList({
       organizationId,
@@ -276,7 +293,7 @@ exports.scrubLeadList = async (req, res, next) => {
       });
     }
 
-    const organizationId = req.user.organization_id;
+    const organizationId = req.organizationId;
 
     logger.info('Scrubbing lead list', {
       count: phoneNumbers.length,
@@ -312,7 +329,7 @@ exports.getComplianceReport = async (req, res, next) => {
       });
     }
 
-    const organizationId = req.user.organization_id;
+    const organizationId = req.organizationId;
 
     logger.info('Generating compliance report', {
       startDate,
@@ -343,7 +360,7 @@ exports.getComplianceReport = async (req, res, next) => {
  */
 exports.exportDNC = async (req, res, next) => {
   try {
-    const organizationId = req.user.organization_id;
+    const organizationId = req.organizationId;
 
     logger.info('Exporting DNC list to CSV', {
       userId: req.user.id,
@@ -439,7 +456,7 @@ exports.rebuildBloomFilter = async (req, res, next) => {
     const { pgPool } = require('../config/database');
     const result = await pgPool.query(
       'SELECT phone_number FROM dnc_list WHERE organization_id = $1',
-      [req.user.organization_id]
+      [req.organizationId]
     );
 
     const phoneNumbers = result.rows.map(row => row.phone_number);
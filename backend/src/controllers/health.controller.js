@@ -0,0 +1,55 @@
+/**
+ * Health Controller
+ *
+ * @description Liveness and readiness for orchestration and dashboards
+ *              (see services/health.service)
+ *
+ * Endpoints:
+ * - GET /health - Basic status (kept for existing monitors)
+ * - GET /health/live - Process is up
+ * - GET /health/ready - Every dependency probed; 503 when a critical one is down
+ */
+
+const healthService = require('../services/health.service');
+const logger = require('../utils/logger');
+
+/**
+ * Basic status
+ * GET /health
+ */
+exports.getStatus = (req, res) => {
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    environment: process.env.NODE_ENV || 'development'
+  });
+};
+
+/**
+ * Liveness
+ * GET /health/live
+ */
+exports.live = (req, res) => {
+  res.json(healthService.liveness());
+};
+
+/**
+ * Readiness
+ * GET /health/ready
+ */
+exports.ready = async (req, res, next) => {
+  try {
+    const health = await healthService.readiness();
+
+    if (health.status !== 'ok') {
+      logger.warn(`Readiness ${health.status}: ${[...health.failing.critical, ...health.failing.degraded].join(', ')}`);
+    }
+
+    res.status(health.status === 'unavailable' ? 503 : 200).json(health);
+
+  } catch (error) {
+    logger.error('Error checking readiness:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,65 @@
+/**
+ * Lead Intake Controller
+ *
+ * @description Inbound lead webhook for web forms and lead vendors. Public -
+ *              callers authenticate with a lead source's intake key
+ *              (see services/leadIntake.service)
+ *
+ * Endpoints:
+ * - POST /api/intake/:sourceSlug - Submit a lead
+ */
+
+const leadIntakeService = require('../services/leadIntake.service');
+const { toOrganization } = require('../sockets/rooms');
+const logger = require('../utils/logger');
+
+/**
+ * Submit a lead (authenticated by middleware/intakeAuth)
+ * POST /api/intake/:sourceSlug
+ * Headers: X-Api-Key (or Authorization: Bearer) | X-Key-Id + X-Timestamp + X-Signature,
+ *          Idempotency-Key (optional)
+ * Body: JSON or form fields, mapped with the source's intake fields
+ */
+exports.submitLead = async (req, res, next) => {
+  try {
+    const source = req.intakeSource;
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey && idempotencyKey.length > 255) {
+      return res.status(400).json({
+        success: false,
+        message: 'Idempotency-Key must be at most 255 characters'
+      });
+    }
+
+    const result = await leadIntakeService.submit(source, {
+      body: req.body,
+      rawBody: req.rawBody,
+      idempotencyKey,
+      keyId: req.intakeKeyId,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    if (result.replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
+
+    // Emit socket event for real-time updates
+    const io = req.app.get('io');
+    if (io && result.lead) {
+      toOrganization(io, result.lead.organizationId).emit('lead:created', {
+        leadId: result.lead._id,
+        name: `${result.lead.firstName} ${result.lead.lastName}`,
+        source: result.lead.source,
+        leadSource: source.slug,
+        timestamp: new Date()
+      });
+    }
+
+    res.status(result.statusCode).json(result.body);
+
+  } catch (error) {
+    logger.error('Error taking in lead:', error);
+    next(error);
+  }
+};
@@ -1,5 +1,8 @@
 const Lead = require('../database/mongodb/schemas/lead.schema');
 const CallLog = require('../database/mongodb/schemas/calllog.schema');
+const leadDeduplicationService = require('../services/leadDeduplication.service');
+const auditService = require('../services/audit.service');
+const { toOrganization } = require('../sockets/rooms');
 
 /**
  * Lead Controller with Advanced Filtering and Pagination
@@ -96,6 +99,12 @@ exports.getById = async (req, res, next) => {
       });
     }
 
+    await auditService.record({
+      action: 'LEAD_VIEWED',
+      resource: { type: 'lead', id: lead._id },
+      req
+    });
+
     res.json({ success: true, data: lead });
   } catch (error) {
     console.error('Get lead error:', error);
@@ -118,10 +127,23 @@ exports.create = async (req, res, next) => {
     const lead = new Lead(leadData);
     await lead.save();
 
+    await auditService.record({
+      action: 'LEAD_CREATED',
+      resource: { type: 'lead', id: lead._id },
+      req,
+      before: null,
+      after: lead.toObject()
+    });
+
+    // Queue likely duplicates for review (doesn't block the response)
+    leadDeduplicationService.detectForLead(lead).catch(error => {
+      console.error('Duplicate detection error:', error);
+    });
+
     // Emit socket event for real-time updates
     const io = req.app.get('io');
     if (io) {
-      io.emit('lead:created', {
+      toOrganization(io, req.organizationId).emit('lead:created', {
         leadId: lead._id,
         name: `${lead.firstName} ${lead.lastName}`,
         source: lead.source,
@@ -162,8 +184,11 @@ exports.update = async (req, res, next) => {
     // Remove fields that shouldn't be updated directly
     delete updateData.createdAt;
     delete updateData._id;
+    delete updateData.consent; // Projection of the consent ledger - use /api/consent
 
-    const lead = await Lead.findByIdAndUpdate(
+    const before = await Lead.findById(id).lean();
+
+    const lead = before && await Lead.findByIdAndUpdate(
       id,
       updateData,
       { new: true, runValidators: true }
@@ -176,10 +201,18 @@ exports.update = async (req, res, next) => {
       });
     }
 
+    await auditService.record({
+      action: 'LEAD_UPDATED',
+      resource: { type: 'lead', id: lead._id },
+      req,
+      before,
+      after: lead.toObject()
+    });
+
     // Emit socket event for real-time updates
     const io = req.app.get('io');
     if (io) {
-      io.emit('lead:updated', {
+      toOrganization(io, req.organizationId).emit('lead:updated', {
         leadId: lead._id,
         changes: updateData,
         timestamp: new Date()
@@ -220,6 +253,13 @@ exports.delete = async (req, res, next) => {
       });
     }
 
+    await auditService.record({
+      action: 'LEAD_DELETED',
+      resource: { type: 'lead', id: lead._id },
+      req,
+      metadata: { archivedReason: lead.archivedReason }
+    });
+
     res.json({
       success: true,
       message: 'Lead deleted successfully'
@@ -340,8 +380,16 @@ exports.getNextLead = async (req, res, next) => {
       });
     }
 
-    // Reserve lead for calling
-    await leadQueueService.reserveLead(lead._id);
+    // Reserve lead for calling (another dialer may have claimed it first)
+    const reserved = await leadQueueService.reserveLead(lead._id);
+
+    if (!reserved) {
+      return res.json({
+        success: true,
+        data: null,
+        message: 'Next lead is already being called, try again'
+      });
+    }
 
     res.json({
       success: true,
@@ -0,0 +1,310 @@
+/**
+ * Lead Duplicate Controller
+ *
+ * @description Duplicate review queue and lead merge / undo
+ *
+ * Endpoints:
+ * - GET /api/leads/duplicates/candidates - Review queue
+ * - POST /api/leads/duplicates/scan - Re-scan all leads for duplicates
+ * - POST /api/leads/duplicates/candidates/:id/dismiss - Not a duplicate
+ * - POST /api/leads/duplicates/merge - Merge leads into a survivor
+ * - GET /api/leads/duplicates/merges - Merge history
+ * - GET /api/leads/duplicates/merges/:id - Merge record
+ * - POST /api/leads/duplicates/merges/:id/undo - Undo a merge
+ * - GET /api/leads/:id/duplicates - Live matches for one lead
+ */
+
+const mongoose = require('mongoose');
+const Lead = require('../database/mongodb/schemas/lead.schema');
+const LeadMerge = require('../database/mongodb/schemas/leadMerge.schema');
+const DuplicateCandidate = require('../database/mongodb/schemas/duplicateCandidate.schema');
+const leadDeduplicationService = require('../services/leadDeduplication.service');
+const { toOrganization } = require('../sockets/rooms');
+const logger = require('../utils/logger');
+
+/**
+ * Respond 404 unless :id is a valid ObjectId
+ * @private
+ * @returns {Boolean} true when the response was sent
+ */
+function rejectInvalidId(req, res, message) {
+  if (mongoose.isValidObjectId(req.params.id)) return false;
+
+  res.status(404).json({
+    success: false,
+    message
+  });
+  return true;
+}
+
+/**
+ * Review queue
+ * GET /api/leads/duplicates/candidates?status=pending&minScore=60&leadId=...&page=1&limit=25
+ */
+exports.getCandidates = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+
+    const { candidates, total } = await leadDeduplicationService.getQueue({
+      status: req.query.status || 'pending',
+      minScore: req.query.minScore ? parseInt(req.query.minScore) : undefined,
+      leadId: mongoose.isValidObjectId(req.query.leadId) ? req.query.leadId : undefined,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: candidates,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        limit
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error getting duplicate candidates:', error);
+    next(error);
+  }
+};
+
+/**
+ * Re-scan every active lead for duplicates
+ * POST /api/leads/duplicates/scan
+ */
+exports.scan = async (req, res, next) => {
+  try {
+    const summary = await leadDeduplicationService.scan();
+
+    res.json({
+      success: true,
+      message: `${summary.queued} new possible duplicate(s) found`,
+      data: summary
+    });
+
+  } catch (error) {
+    logger.error('Error scanning for duplicates:', error);
+    next(error);
+  }
+};
+
+/**
+ * Mark a candidate pair as not duplicates
+ * POST /api/leads/duplicates/candidates/:id/dismiss
+ */
+exports.dismissCandidate = async (req, res, next) => {
+  try {
+    if (rejectInvalidId(req, res, 'Duplicate candidate not found')) return;
+
+    const result = await leadDeduplicationService.dismiss(req.params.id, req.user.id);
+
+    if (result.error) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Marked as not a duplicate',
+      data: result.candidate
+    });
+
+  } catch (error) {
+    logger.error('Error dismissing duplicate candidate:', error);
+    next(error);
+  }
+};
+
+/**
+ * Merge leads into a survivor
+ * POST /api/leads/duplicates/merge
+ * Body: { survivorId, mergeIds: [] } or { candidateId, survivorId }
+ */
+exports.merge = async (req, res, next) => {
+  try {
+    let { survivorId, mergeIds } = req.body;
+
+    // Merging a queued pair: the other lead is the one merged
+    if (req.body.candidateId) {
+      const candidate = mongoose.isValidObjectId(req.body.candidateId)
+        ? await DuplicateCandidate.findById(req.body.candidateId).lean()
+        : null;
+
+      if (!candidate) {
+        return res.status(404).json({
+          success: false,
+          message: 'Duplicate candidate not found'
+        });
+      }
+
+      const pair = candidate.leadIds.map(String);
+      if (!pair.includes(String(survivorId))) {
+        return res.status(400).json({
+          success: false,
+          message: 'survivorId must be one of the candidate\'s leads'
+        });
+      }
+
+      mergeIds = pair.filter(id => id !== String(survivorId));
+    }
+
+    if (!mongoose.isValidObjectId(survivorId) || !Array.isArray(mergeIds) || !mergeIds.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'survivorId and mergeIds (array of lead IDs) are required'
+      });
+    }
+
+    const result = await leadDeduplicationService.merge(survivorId, mergeIds, req.user.id);
+
+    if (result.error) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      toOrganization(io, req.organizationId).emit('lead:merged', {
+        leadId: result.survivor._id,
+        mergedIds: result.merge.mergedIds,
+        mergeId: result.merge._id,
+        timestamp: new Date()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Merged ${result.merge.mergedIds.length} lead(s)`,
+      data: {
+        merge: { ...result.merge.toObject(), mergedSnapshots: undefined },
+        survivor: result.survivor
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error merging leads:', error);
+    next(error);
+  }
+};
+
+/**
+ * Merge history
+ * GET /api/leads/duplicates/merges?leadId=...&status=completed&limit=50
+ */
+exports.getMerges = async (req, res, next) => {
+  try {
+    const merges = await leadDeduplicationService.getMerges({
+      leadId: mongoose.isValidObjectId(req.query.leadId) ? req.query.leadId : undefined,
+      status: req.query.status,
+      limit: parseInt(req.query.limit) || 50
+    });
+
+    res.json({
+      success: true,
+      data: merges,
+      count: merges.length
+    });
+
+  } catch (error) {
+    logger.error('Error getting lead merges:', error);
+    next(error);
+  }
+};
+
+/**
+ * Merge record, including the merged leads as they were
+ * GET /api/leads/duplicates/merges/:id
+ */
+exports.getMerge = async (req, res, next) => {
+  try {
+    if (rejectInvalidId(req, res, 'Merge not found')) return;
+
+    const merge = await LeadMerge.findById(req.params.id).lean();
+
+    if (!merge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Merge not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: merge
+    });
+
+  } catch (error) {
+    logger.error('Error getting lead merge:', error);
+    next(error);
+  }
+};
+
+/**
+ * Undo a merge
+ * POST /api/leads/duplicates/merges/:id/undo
+ */
+exports.undoMerge = async (req, res, next) => {
+  try {
+    if (rejectInvalidId(req, res, 'Merge not found')) return;
+
+    const result = await leadDeduplicationService.undo(req.params.id, req.user.id);
+
+    if (result.error) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Merge undone',
+      data: {
+        merge: { ...result.merge.toObject(), mergedSnapshots: undefined },
+        survivor: result.survivor
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error undoing lead merge:', error);
+    next(error);
+  }
+};
+
+/**
+ * Live duplicate matches for one lead (any score above zero)
+ * GET /api/leads/:id/duplicates
+ */
+exports.getLeadDuplicates = async (req, res, next) => {
+  try {
+    if (rejectInvalidId(req, res, 'Lead not found')) return;
+
+    const lead = await Lead.findById(req.params.id).lean();
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    const matches = await leadDeduplicationService.findMatches(lead, { threshold: 1 });
+
+    res.json({
+      success: true,
+      data: matches,
+      count: matches.length
+    });
+
+  } catch (error) {
+    logger.error('Error finding lead duplicates:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,412 @@
+/**
+ * Lead Import Controller
+ *
+ * @description CSV / XLSX / JSON lead uploads with column mapping and dry-run preview
+ *
+ * Endpoints:
+ * - GET /api/leads/import/fields - Lead fields a column can map to
+ * - POST /api/leads/import/preview - Dry run: classify every row, write nothing
+ * - POST /api/leads/import - Import the valid rows (queued for large files)
+ * - GET /api/leads/import/jobs - Recent imports
+ * - GET /api/leads/import/jobs/:id - Import status / progress
+ * - GET /api/leads/import/mappings - List saved mappings
+ * - POST /api/leads/import/mappings - Save a mapping
+ * - GET /api/leads/import/mappings/:id - Get saved mapping
+ * - PUT /api/leads/import/mappings/:id - Update saved mapping
+ * - DELETE /api/leads/import/mappings/:id - Delete saved mapping
+ */
+
+const mongoose = require('mongoose');
+const LeadImport = require('../database/mongodb/schemas/leadImport.schema');
+const LeadImportMapping = require('../database/mongodb/schemas/leadImportMapping.schema');
+const leadImportService = require('../services/leadImport.service');
+const { LEAD_FIELDS, LEAD_SOURCES, LEAD_PRIORITIES, validateMapping } = require('../utils/leadImportMapping');
+const logger = require('../utils/logger');
+
+const FORMATS = ['csv', 'xlsx', 'json'];
+
+/**
+ * Read import options from a multipart body (objects arrive as JSON strings)
+ * @private
+ * @returns {Object} { options } or { error }
+ */
+function readImportOptions(body = {}) {
+  const options = {};
+
+  for (const field of ['mapping', 'defaults']) {
+    if (body[field] === undefined || body[field] === '') continue;
+
+    if (typeof body[field] === 'string') {
+      try {
+        options[field] = JSON.parse(body[field]);
+      } catch (error) {
+        return { error: `${field} must be valid JSON` };
+      }
+    } else {
+      options[field] = body[field];
+    }
+  }
+
+  if (body.mappingId) {
+    if (!mongoose.isValidObjectId(body.mappingId)) {
+      return { error: 'Invalid mappingId' };
+    }
+    options.mappingId = body.mappingId;
+  }
+
+  if (body.format) {
+    if (!FORMATS.includes(body.format)) {
+      return { error: `format must be one of: ${FORMATS.join(', ')}` };
+    }
+    options.format = body.format;
+  }
+
+  if (body.source) options.source = String(body.source).slice(0, 100);
+
+  return { options };
+}
+
+/**
+ * Convert a { header: field } mapping to the saved column list
+ * @private
+ */
+function toColumns(mapping) {
+  return Object.entries(mapping).map(([header, field]) => ({ header, field: field || null }));
+}
+
+/**
+ * Lead fields a column can map to
+ * GET /api/leads/import/fields
+ */
+exports.getFields = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        fields: Object.entries(LEAD_FIELDS).map(([field, { label }]) => ({ field, label })),
+        customFieldPattern: 'customFields.<name>',
+        sources: LEAD_SOURCES,
+        priorities: LEAD_PRIORITIES,
+        formats: FORMATS
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error getting lead import fields:', error);
+    next(error);
+  }
+};
+
+/**
+ * Dry run an upload
+ * POST /api/leads/import/preview (multipart: file, mapping?, mappingId?, defaults?, format?)
+ */
+exports.preview = async (req, res, next) => {
+  try {
+    const { options, error } = readImportOptions(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const preview = await leadImportService.preview(req.file, options, req.organizationId);
+
+    if (preview.error) {
+      return res.status(400).json({
+        success: false,
+        message: preview.error,
+        data: preview.headers ? { headers: preview.headers, mapping: preview.mapping } : undefined
+      });
+    }
+
+    res.json({
+      success: true,
+      data: preview
+    });
+
+  } catch (error) {
+    logger.error('Error previewing lead import:', error);
+    next(error);
+  }
+};
+
+/**
+ * Import the valid rows of an upload
+ * POST /api/leads/import (multipart: file, mapping?, mappingId?, defaults?, format?, source?)
+ */
+exports.importFile = async (req, res, next) => {
+  try {
+    const { options, error } = readImportOptions(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const result = await leadImportService.start(req.file, options, {
+      userId: req.user.id,
+      organizationId: req.organizationId
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+        data: result.headers ? { headers: result.headers, mapping: result.mapping } : undefined
+      });
+    }
+
+    const { importJob, queued } = result;
+
+    res.status(queued ? 202 : 201).json({
+      success: true,
+      message: queued
+        ? `Importing ${importJob.counts.valid} leads in the background`
+        : `Imported ${importJob.results.imported} of ${importJob.counts.total} rows`,
+      data: importJob
+    });
+
+  } catch (error) {
+    logger.error('Error importing leads:', error);
+    next(error);
+  }
+};
+
+/**
+ * Recent imports
+ * GET /api/leads/import/jobs?status=running&limit=20
+ */
+exports.getImports = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const imports = await LeadImport.find(filter)
+      .select('-mapping -errorDetails')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({
+      success: true,
+      data: imports,
+      count: imports.length
+    });
+
+  } catch (error) {
+    logger.error('Error listing lead imports:', error);
+    next(error);
+  }
+};
+
+/**
+ * Import status / progress
+ * GET /api/leads/import/jobs/:id
+ */
+exports.getImport = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const importJob = mongoose.isValidObjectId(id) ? await LeadImport.findById(id).lean() : null;
+
+    if (!importJob) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: importJob
+    });
+
+  } catch (error) {
+    logger.error('Error getting lead import:', error);
+    next(error);
+  }
+};
+
+/**
+ * List saved mappings
+ * GET /api/leads/import/mappings
+ */
+exports.getMappings = async (req, res, next) => {
+  try {
+    const mappings = await LeadImportMapping.find().sort({ name: 1 }).lean();
+
+    res.json({
+      success: true,
+      data: mappings,
+      count: mappings.length
+    });
+
+  } catch (error) {
+    logger.error('Error listing lead import mappings:', error);
+    next(error);
+  }
+};
+
+/**
+ * Save a mapping
+ * POST /api/leads/import/mappings
+ * Body: { name, description?, mapping: { [header]: field | null }, defaults? }
+ */
+exports.createMapping = async (req, res, next) => {
+  try {
+    const { name, description, mapping, defaults = {} } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'name is required'
+      });
+    }
+
+    const invalid = validateMapping(mapping) || leadImportService.validateDefaults(defaults);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    if (await LeadImportMapping.exists({ name })) {
+      return res.status(409).json({
+        success: false,
+        message: `A mapping named "${name}" already exists`
+      });
+    }
+
+    const saved = await LeadImportMapping.create({
+      name,
+      description,
+      columns: toColumns(mapping),
+      defaults,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Mapping saved',
+      data: saved
+    });
+
+  } catch (error) {
+    logger.error('Error saving lead import mapping:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get saved mapping
+ * GET /api/leads/import/mappings/:id
+ */
+exports.getMapping = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const saved = mongoose.isValidObjectId(id) ? await LeadImportMapping.findById(id) : null;
+
+    if (!saved) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mapping not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { ...saved.toObject(), mapping: saved.toMapping() }
+    });
+
+  } catch (error) {
+    logger.error('Error getting lead import mapping:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update saved mapping
+ * PUT /api/leads/import/mappings/:id
+ */
+exports.updateMapping = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const saved = mongoose.isValidObjectId(id) ? await LeadImportMapping.findById(id) : null;
+
+    if (!saved) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mapping not found'
+      });
+    }
+
+    const { name, description, mapping, defaults } = req.body;
+
+    const invalid = (mapping !== undefined && validateMapping(mapping)) ||
+      (defaults !== undefined && leadImportService.validateDefaults(defaults));
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    if (name && name !== saved.name && await LeadImportMapping.exists({ name })) {
+      return res.status(409).json({
+        success: false,
+        message: `A mapping named "${name}" already exists`
+      });
+    }
+
+    if (name) saved.name = name;
+    if (description !== undefined) saved.description = description;
+    if (mapping !== undefined) saved.columns = toColumns(mapping);
+    if (defaults !== undefined) saved.defaults = defaults;
+
+    await saved.save();
+
+    res.json({
+      success: true,
+      message: 'Mapping updated',
+      data: saved
+    });
+
+  } catch (error) {
+    logger.error('Error updating lead import mapping:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete saved mapping
+ * DELETE /api/leads/import/mappings/:id
+ */
+exports.deleteMapping = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const saved = mongoose.isValidObjectId(id) ? await LeadImportMapping.findById(id) : null;
+
+    if (!saved) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mapping not found'
+      });
+    }
+
+    await saved.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Mapping deleted'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting lead import mapping:', error);
+    next(error);
+  }
+};
@@ -21,6 +21,7 @@ const {
   updateScoringWeights
 } = require('../services/leadScoringService');
 const { queueScoreCalculation } = require('../queues/leadScoring.queue');
+const auditService = require('../services/audit.service');
 const { cache } = require('../config/redis');
 
 /**
@@ -268,8 +269,17 @@ exports.updateConfig = async (req, res, next) => {
       });
     }
 
+    const previousWeights = await getScoringWeights();
     await updateScoringWeights(weights);
 
+    await auditService.record({
+      action: 'SCORING_CONFIG_UPDATED',
+      resource: { type: 'scoring_config', id: 'weights' },
+      req,
+      before: previousWeights,
+      after: weights
+    });
+
     res.json({
       success: true,
       data: weights,
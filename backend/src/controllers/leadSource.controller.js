@@ -0,0 +1,559 @@
+/**
+ * Lead Source Controller
+ *
+ * @description Lead-source parser registry, the quarantine of lead emails
+ *              no source could parse, and intake webhook credentials
+ *
+ * Endpoints:
+ * - GET /api/lead-sources - Sources in match order (built-ins included)
+ * - POST /api/lead-sources - Create a source
+ * - POST /api/lead-sources/test - Dry run a source against a sample email
+ * - GET /api/lead-sources/quarantine - Quarantined emails
+ * - GET /api/lead-sources/quarantine/:id - Quarantined email with its content
+ * - POST /api/lead-sources/quarantine/:id/reprocess - Re-run through the sources
+ * - POST /api/lead-sources/quarantine/:id/dismiss - Drop from the queue
+ * - GET /api/lead-sources/:id - Get a source
+ * - PUT /api/lead-sources/:id - Update a source
+ * - DELETE /api/lead-sources/:id - Delete a source
+ * - POST /api/lead-sources/:id/intake/keys - Issue an intake API key / signing secret
+ * - DELETE /api/lead-sources/:id/intake/keys/:keyId - Revoke an intake key
+ * - GET /api/lead-sources/:id/intake/requests - Recent intake requests
+ */
+
+const mongoose = require('mongoose');
+const LeadSource = require('../database/mongodb/schemas/leadSource.schema');
+const QuarantinedEmail = require('../database/mongodb/schemas/quarantinedEmail.schema');
+const leadSourceService = require('../services/leadSource.service');
+const leadImportService = require('../services/leadImport.service');
+const leadIntakeService = require('../services/leadIntake.service');
+const { matchesSource, validateMatchRules, validateTemplate } = require('../utils/leadSourceParsers');
+const logger = require('../utils/logger');
+
+const EDITABLE_FIELDS = ['name', 'slug', 'description', 'isActive', 'priority', 'match', 'template', 'defaults'];
+
+// Keys are managed through their own endpoints and never written from a source body
+const INTAKE_FIELDS = ['enabled', 'fields', 'consent'];
+
+/**
+ * Validate a source body; with partial, only the fields present
+ * @private
+ * @returns {String|null} Error message
+ */
+function validateSource(body, { partial = false } = {}) {
+  if (!partial && (!body.name || !body.slug)) {
+    return 'name and slug are required';
+  }
+
+  if (body.slug !== undefined && !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(body.slug)) {
+    return 'slug must be lowercase letters, digits and dashes';
+  }
+
+  // A source only fed by the intake webhook needs no email rules
+  const intakeOnly = Boolean(body.intake && body.intake.enabled) &&
+    body.match === undefined && body.template === undefined;
+
+  if ((!partial && !intakeOnly) || body.match !== undefined) {
+    const invalid = validateMatchRules(body.match);
+    if (invalid) return invalid;
+  }
+
+  if ((!partial && !intakeOnly) || body.template !== undefined) {
+    const invalid = validateTemplate(body.template);
+    if (invalid) return invalid;
+  }
+
+  if (body.intake !== undefined) {
+    const invalid = leadIntakeService.validateConfig(body.intake);
+    if (invalid) return invalid;
+  }
+
+  if (body.defaults !== undefined) {
+    return leadImportService.validateDefaults(body.defaults);
+  }
+
+  return null;
+}
+
+/**
+ * Writable intake settings from a source body
+ * @private
+ */
+function intakeSettings(intake) {
+  return INTAKE_FIELDS.reduce((values, field) => {
+    if (intake[field] !== undefined) values[field] = intake[field];
+    return values;
+  }, {});
+}
+
+/**
+ * Respond 404 unless :id is a valid ObjectId
+ * @private
+ * @returns {Boolean} true when the response was sent
+ */
+function rejectInvalidId(req, res, message) {
+  if (mongoose.isValidObjectId(req.params.id)) return false;
+
+  res.status(404).json({
+    success: false,
+    message
+  });
+  return true;
+}
+
+/**
+ * Sources in match order
+ * GET /api/lead-sources?includeInactive=true
+ */
+exports.getSources = async (req, res, next) => {
+  try {
+    const sources = await leadSourceService.getSources({
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: sources,
+      count: sources.length
+    });
+
+  } catch (error) {
+    logger.error('Error listing lead sources:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create a source
+ * POST /api/lead-sources
+ * Body: { name, slug, description?, isActive?, priority?, match, template, defaults?, intake? }
+ * match and template may be left out when intake.enabled is set
+ */
+exports.createSource = async (req, res, next) => {
+  try {
+    const invalid = validateSource(req.body);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    if (await LeadSource.exists({ slug: req.body.slug })) {
+      return res.status(409).json({
+        success: false,
+        message: `A lead source with slug "${req.body.slug}" already exists`
+      });
+    }
+
+    const fields = EDITABLE_FIELDS.reduce((values, field) => {
+      if (req.body[field] !== undefined) values[field] = req.body[field];
+      return values;
+    }, {});
+
+    if (req.body.intake !== undefined) {
+      fields.intake = intakeSettings(req.body.intake);
+    }
+
+    const source = await LeadSource.create({ ...fields, createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Lead source created',
+      data: source
+    });
+
+  } catch (error) {
+    logger.error('Error creating lead source:', error);
+    next(error);
+  }
+};
+
+/**
+ * Dry run a source against a sample email; nothing is imported
+ * POST /api/lead-sources/test
+ * Body: { sourceId | slug | source: { match, template, defaults }, message: { from, subject, body, html, attachments } }
+ */
+exports.testSource = async (req, res, next) => {
+  try {
+    const { sourceId, slug, message } = req.body;
+
+    if (!message || typeof message !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'message ({ from, subject, body, html, attachments }) is required'
+      });
+    }
+
+    let source = req.body.source;
+
+    if (sourceId || slug) {
+      const sources = await leadSourceService.getSources({ includeInactive: true });
+      source = sources.find(candidate => (sourceId ? String(candidate._id) === String(sourceId) : candidate.slug === slug));
+
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          message: 'Lead source not found'
+        });
+      }
+    } else {
+      const invalid = validateTemplate(source && source.template) ||
+        (source.defaults && leadImportService.validateDefaults(source.defaults));
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          message: invalid
+        });
+      }
+      source = { slug: 'test', match: {}, defaults: {}, ...source };
+    }
+
+    const sample = { id: 'test', attachments: [], ...message };
+    const routed = await leadSourceService.route(sample);
+
+    res.json({
+      success: true,
+      data: {
+        matched: matchesSource(source, sample),
+        routedTo: routed.source ? routed.source.slug : null,
+        ...leadSourceService.parse(source, sample)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error testing lead source:', error);
+    next(error);
+  }
+};
+
+/**
+ * Quarantined emails
+ * GET /api/lead-sources/quarantine?status=pending&reason=no_matching_source&page=1&limit=25
+ */
+exports.getQuarantine = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+
+    const { emails, total } = await leadSourceService.getQuarantine({
+      status: req.query.status || 'pending',
+      reason: req.query.reason,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: emails,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        limit
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error listing quarantined emails:', error);
+    next(error);
+  }
+};
+
+/**
+ * Quarantined email with its content
+ * GET /api/lead-sources/quarantine/:id
+ */
+exports.getQuarantinedEmail = async (req, res, next) => {
+  try {
+    if (rejectInvalidId(req, res, 'Quarantined email not found')) return;
+
+    const email = await QuarantinedEmail.findById(req.params.id).lean();
+
+    if (!email) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quarantined email not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: email
+    });
+
+  } catch (error) {
+    logger.error('Error getting quarantined email:', error);
+    next(error);
+  }
+};
+
+/**
+ * Re-run a quarantined email through the lead sources
+ * POST /api/lead-sources/quarantine/:id/reprocess
+ * Body: { sourceSlug? } - force a source instead of matching
+ */
+exports.reprocessQuarantined = async (req, res, next) => {
+  try {
+    if (rejectInvalidId(req, res, 'Quarantined email not found')) return;
+
+    const result = await leadSourceService.reprocess(req.params.id, {
+      sourceSlug: req.body.sourceSlug
+    }, req.user.id);
+
+    if (result.error) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.error,
+        data: result.email
+      });
+    }
+
+    const { outcome } = result;
+
+    res.json({
+      success: true,
+      message: `Imported ${outcome.importedLeads.length} lead(s), ${outcome.duplicateLeads.length} duplicate(s)`,
+      data: {
+        email: result.email,
+        importedLeads: outcome.importedLeads,
+        duplicateLeads: outcome.duplicateLeads
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error reprocessing quarantined email:', error);
+    next(error);
+  }
+};
+
+/**
+ * Drop a quarantined email from the queue
+ * POST /api/lead-sources/quarantine/:id/dismiss
+ * Body: { note? }
+ */
+exports.dismissQuarantined = async (req, res, next) => {
+  try {
+    if (rejectInvalidId(req, res, 'Quarantined email not found')) return;
+
+    const result = await leadSourceService.dismiss(req.params.id, req.user.id, req.body.note);
+
+    if (result.error) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email dismissed',
+      data: result.email
+    });
+
+  } catch (error) {
+    logger.error('Error dismissing quarantined email:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a source
+ * GET /api/lead-sources/:id
+ */
+exports.getSource = async (req, res, next) => {
+  try {
+    if (rejectInvalidId(req, res, 'Lead source not found')) return;
+
+    const source = await LeadSource.findById(req.params.id).lean();
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead source not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: source
+    });
+
+  } catch (error) {
+    logger.error('Error getting lead source:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update a source
+ * PUT /api/lead-sources/:id
+ */
+exports.updateSource = async (req, res, next) => {
+  try {
+    if (rejectInvalidId(req, res, 'Lead source not found')) return;
+
+    const source = await LeadSource.findById(req.params.id);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead source not found'
+      });
+    }
+
+    const invalid = validateSource(req.body, { partial: true });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    if (req.body.slug && req.body.slug !== source.slug && await LeadSource.exists({ slug: req.body.slug })) {
+      return res.status(409).json({
+        success: false,
+        message: `A lead source with slug "${req.body.slug}" already exists`
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) source.set(field, req.body[field]);
+    });
+
+    if (req.body.intake !== undefined) {
+      Object.entries(intakeSettings(req.body.intake)).forEach(([field, value]) => {
+        source.set(`intake.${field}`, value);
+      });
+    }
+
+    await source.save();
+
+    res.json({
+      success: true,
+      message: 'Lead source updated',
+      data: source
+    });
+
+  } catch (error) {
+    logger.error('Error updating lead source:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a source (a built-in source with the same slug takes over again)
+ * DELETE /api/lead-sources/:id
+ */
+exports.deleteSource = async (req, res, next) => {
+  try {
+    if (rejectInvalidId(req, res, 'Lead source not found')) return;
+
+    const source = await LeadSource.findById(req.params.id);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead source not found'
+      });
+    }
+
+    await source.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Lead source deleted'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting lead source:', error);
+    next(error);
+  }
+};
+
+/**
+ * Issue an intake credential; the key or signing secret is only shown in this response
+ * POST /api/lead-sources/:id/intake/keys
+ * Body: { name?, type?: 'api_key' | 'hmac' }
+ */
+exports.createIntakeKey = async (req, res, next) => {
+  try {
+    if (rejectInvalidId(req, res, 'Lead source not found')) return;
+
+    const result = await leadIntakeService.createKey(req.params.id, {
+      name: req.body.name,
+      type: req.body.type
+    }, req.user.id);
+
+    if (result.error) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Intake key created. Store the secret now - it cannot be shown again',
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error creating intake key:', error);
+    next(error);
+  }
+};
+
+/**
+ * Revoke an intake credential
+ * DELETE /api/lead-sources/:id/intake/keys/:keyId
+ */
+exports.revokeIntakeKey = async (req, res, next) => {
+  try {
+    if (rejectInvalidId(req, res, 'Lead source not found')) return;
+
+    const result = await leadIntakeService.revokeKey(req.params.id, req.params.keyId);
+
+    if (result.error) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Intake key revoked',
+      data: result.key
+    });
+
+  } catch (error) {
+    logger.error('Error revoking intake key:', error);
+    next(error);
+  }
+};
+
+/**
+ * Recent intake requests for a source
+ * GET /api/lead-sources/:id/intake/requests?result=invalid&status=completed&limit=50
+ */
+exports.getIntakeRequests = async (req, res, next) => {
+  try {
+    if (rejectInvalidId(req, res, 'Lead source not found')) return;
+
+    const requests = await leadIntakeService.getRequests(req.params.id, {
+      result: req.query.result,
+      status: req.query.status,
+      limit: parseInt(req.query.limit) || 50
+    });
+
+    res.json({
+      success: true,
+      data: requests,
+      count: requests.length
+    });
+
+  } catch (error) {
+    logger.error('Error listing intake requests:', error);
+    next(error);
+  }
+};
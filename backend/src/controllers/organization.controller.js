@@ -0,0 +1,114 @@
+/**
+ * Organization Controller
+ *
+ * @description API endpoints for the caller's organization (tenant)
+ *
+ * Endpoints:
+ * - GET /api/organizations/current - Current organization
+ * - PATCH /api/organizations/current - Update organization (admin only)
+ * - GET /api/organizations/current/members - List members
+ */
+
+const Organization = require('../database/mongodb/schemas/organization.schema');
+const User = require('../database/mongodb/schemas/user.schema');
+const logger = require('../utils/logger');
+
+/**
+ * Get the caller's organization
+ * GET /api/organizations/current
+ */
+exports.getCurrent = async (req, res, next) => {
+  try {
+    const organization = await Organization.findById(req.organizationId).lean();
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a member of any organization'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: organization
+    });
+
+  } catch (error) {
+    logger.error('Error getting organization:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update the caller's organization
+ * PATCH /api/organizations/current
+ */
+exports.updateCurrent = async (req, res, next) => {
+  try {
+    const { name, settings } = req.body;
+    const update = {};
+
+    if (name) update.name = name;
+    if (settings?.timezone) update['settings.timezone'] = settings.timezone;
+    if (settings?.callerIdNumber) update['settings.callerIdNumber'] = settings.callerIdNumber;
+
+    const organization = await Organization.findByIdAndUpdate(
+      req.organizationId,
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    logger.info('Organization updated', {
+      organizationId: req.organizationId,
+      userId: req.user.id,
+      fields: Object.keys(update)
+    });
+
+    res.json({
+      success: true,
+      message: 'Organization updated',
+      data: organization
+    });
+
+  } catch (error) {
+    logger.error('Error updating organization:', error);
+    next(error);
+  }
+};
+
+/**
+ * List members of the caller's organization
+ * GET /api/organizations/current/members
+ */
+exports.getMembers = async (req, res, next) => {
+  try {
+    if (!req.organizationId) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a member of any organization'
+      });
+    }
+
+    const members = await User.find({ organizationId: req.organizationId })
+      .select('email firstName lastName role isActive lastLogin createdAt')
+      .sort({ lastName: 1, firstName: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: members,
+      count: members.length
+    });
+
+  } catch (error) {
+    logger.error('Error listing organization members:', error);
+    next(error);
+  }
+};
@@ -1,34 +1,129 @@
-exports.getDailyReport = async (req, res, next) => {
-  try {
-    const report = { period: 'daily', data: {} };
-    res.json({ success: true, data: report });
-  } catch (error) {
-    next(error);
-  }
-};
+/**
+ * Report Controller
+ *
+ * @description Call, lead and compliance reports. Every endpoint builds a
+ *              report definition (utils/reportDefinitions) and runs it
+ *              through services/report.service
+ *
+ * Endpoints:
+ * - GET /api/reports/daily - One calendar day
+ * - GET /api/reports/weekly - Monday-Sunday week
+ * - GET /api/reports/monthly - Calendar month
+ * - POST /api/reports/custom - Chosen metrics, dimensions and date range
+ */
 
-exports.getWeeklyReport = async (req, res, next) => {
-  try {
-    const report = { period: 'weekly', data: {} };
-    res.json({ success: true, data: report });
-  } catch (error) {
-    next(error);
+const Organization = require('../database/mongodb/schemas/organization.schema');
+const reportService = require('../services/report.service');
+const { METRICS, DIMENSIONS, buildPeriodDefinition, buildCustomDefinition } = require('../utils/reportDefinitions');
+const { isValidTimezone } = require('../security/tcpa/calling-window');
+const logger = require('../utils/logger');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Report timezone: ?timezone, else the organization's, else the default
+ * @private
+ */
+async function resolveTimezone(req) {
+  if (req.query.timezone || req.body?.timezone) {
+    return req.query.timezone || req.body.timezone;
   }
-};
 
-exports.getMonthlyReport = async (req, res, next) => {
+  if (!req.organizationId) return undefined;
+
+  const organization = await Organization.findById(req.organizationId, 'settings.timezone').lean();
+  return organization?.settings?.timezone;
+}
+
+/**
+ * Shared handler for the preset periods
+ * @private
+ */
+function periodReport(period) {
+  return async (req, res, next) => {
+    try {
+      const { date } = req.query;
+
+      if (date && !DATE_PATTERN.test(date)) {
+        return res.status(400).json({
+          success: false,
+          message: 'date must be YYYY-MM-DD'
+        });
+      }
+
+      const timezone = await resolveTimezone(req);
+      if (timezone && !isValidTimezone(timezone)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid timezone: ${timezone}`
+        });
+      }
+
+      const definition = buildPeriodDefinition(period, { date, timezone });
+      const report = await reportService.run(definition);
+
+      res.json({ success: true, data: report });
+
+    } catch (error) {
+      logger.error(`Error generating ${period} report:`, error);
+      next(error);
+    }
+  };
+}
+
+exports.getDailyReport = periodReport('daily');
+
+exports.getWeeklyReport = periodReport('weekly');
+
+exports.getMonthlyReport = periodReport('monthly');
+
+/**
+ * Custom report
+ * POST /api/reports/custom
+ */
+exports.getCustomReport = async (req, res, next) => {
   try {
-    const report = { period: 'monthly', data: {} };
+    const timezone = await resolveTimezone(req);
+    const { definition, error } = buildCustomDefinition({ ...req.body, timezone });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const report = await reportService.run(definition);
+
     res.json({ success: true, data: report });
+
   } catch (error) {
+    logger.error('Error generating custom report:', error);
     next(error);
   }
 };
 
-exports.getCustomReport = async (req, res, next) => {
+/**
+ * Available metrics and dimensions (for building custom reports)
+ * GET /api/reports/definitions
+ */
+exports.getDefinitions = async (req, res, next) => {
   try {
-    const report = { period: 'custom', data: req.body };
-    res.json({ success: true, data: report });
+    res.json({
+      success: true,
+      data: {
+        metrics: Object.entries(METRICS).map(([name, metric]) => ({
+          name,
+          label: metric.label,
+          source: metric.source
+        })),
+        dimensions: Object.entries(DIMENSIONS).map(([name, dimension]) => ({
+          name,
+          label: dimension.label,
+          sources: dimension.sources
+        }))
+      }
+    });
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,246 @@
+/**
+ * Report Subscription Controller
+ *
+ * @description Saved reports emailed on a schedule as CSV / PDF attachments
+ *
+ * Endpoints:
+ * - GET /api/reports/subscriptions - List subscriptions
+ * - POST /api/reports/subscriptions - Create subscription
+ * - GET /api/reports/subscriptions/:id - Get subscription
+ * - PUT /api/reports/subscriptions/:id - Update subscription
+ * - DELETE /api/reports/subscriptions/:id - Delete subscription
+ * - POST /api/reports/subscriptions/:id/send - Send now
+ * - GET /api/reports/subscriptions/:id/deliveries - Delivery log
+ */
+
+const mongoose = require('mongoose');
+const ReportSubscription = require('../database/mongodb/schemas/reportSubscription.schema');
+const reportSubscriptionService = require('../services/reportSubscription.service');
+const logger = require('../utils/logger');
+
+// Fields managers may set on create/update
+const EDITABLE_FIELDS = ['name', 'isActive', 'report', 'schedule', 'formats', 'recipients', 'metadata'];
+
+/**
+ * Pick editable fields from request body
+ * @private
+ */
+function pickEditable(body) {
+  return EDITABLE_FIELDS.reduce((picked, field) => {
+    if (body[field] !== undefined) picked[field] = body[field];
+    return picked;
+  }, {});
+}
+
+/**
+ * Load subscription by :id or respond 404
+ * @private
+ */
+async function loadSubscription(req, res) {
+  const { id } = req.params;
+
+  const subscription = mongoose.isValidObjectId(id) ? await ReportSubscription.findById(id) : null;
+
+  if (!subscription) {
+    res.status(404).json({
+      success: false,
+      message: 'Report subscription not found'
+    });
+  }
+
+  return subscription;
+}
+
+/**
+ * Validate a subscription document before saving, responding 400 on failure
+ * @private
+ * @returns {Boolean} true when invalid (response already sent)
+ */
+function rejectInvalid(subscription, res) {
+  const validationError = subscription.validateSync();
+  const message = validationError
+    ? Object.values(validationError.errors).map(error => error.message).join('; ')
+    : reportSubscriptionService.validate(subscription);
+
+  if (message) {
+    res.status(400).json({
+      success: false,
+      message
+    });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * List subscriptions
+ * GET /api/reports/subscriptions?isActive=true
+ */
+exports.getAll = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    const subscriptions = await ReportSubscription.find(filter).sort({ name: 1 }).lean();
+
+    res.json({
+      success: true,
+      data: subscriptions,
+      count: subscriptions.length
+    });
+
+  } catch (error) {
+    logger.error('Error listing report subscriptions:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create subscription
+ * POST /api/reports/subscriptions
+ */
+exports.create = async (req, res, next) => {
+  try {
+    const subscription = new ReportSubscription({
+      ...pickEditable(req.body),
+      createdBy: req.user.id
+    });
+
+    if (rejectInvalid(subscription, res)) return;
+
+    reportSubscriptionService.scheduleRecipients(subscription);
+    await subscription.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Report subscription created',
+      data: subscription
+    });
+
+  } catch (error) {
+    logger.error('Error creating report subscription:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get subscription
+ * GET /api/reports/subscriptions/:id
+ */
+exports.getById = async (req, res, next) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+
+  } catch (error) {
+    logger.error('Error getting report subscription:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update subscription (recomputes every recipient's next delivery)
+ * PUT /api/reports/subscriptions/:id
+ */
+exports.update = async (req, res, next) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    subscription.set(pickEditable(req.body));
+    if (rejectInvalid(subscription, res)) return;
+
+    reportSubscriptionService.scheduleRecipients(subscription);
+    await subscription.save();
+
+    res.json({
+      success: true,
+      message: 'Report subscription updated',
+      data: subscription
+    });
+
+  } catch (error) {
+    logger.error('Error updating report subscription:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete subscription (the delivery log is kept)
+ * DELETE /api/reports/subscriptions/:id
+ */
+exports.remove = async (req, res, next) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    await subscription.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Report subscription deleted'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting report subscription:', error);
+    next(error);
+  }
+};
+
+/**
+ * Send the report to every recipient now
+ * POST /api/reports/subscriptions/:id/send
+ */
+exports.sendNow = async (req, res, next) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    const deliveries = await reportSubscriptionService.sendNow(subscription, req.user.id);
+    const failed = deliveries.filter(delivery => delivery.status === 'failed');
+
+    res.json({
+      success: failed.length === 0,
+      message: failed.length === 0
+        ? `Report sent to ${subscription.recipients.length} recipient(s)`
+        : `${failed.length} of ${deliveries.length} deliveries failed`,
+      data: deliveries
+    });
+
+  } catch (error) {
+    logger.error('Error sending report subscription:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delivery log
+ * GET /api/reports/subscriptions/:id/deliveries?limit=50
+ */
+exports.getDeliveries = async (req, res, next) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    const deliveries = await reportSubscriptionService.getDeliveries(
+      subscription._id,
+      req.query.limit ? parseInt(req.query.limit) : undefined
+    );
+
+    res.json({
+      success: true,
+      data: deliveries,
+      count: deliveries.length
+    });
+
+  } catch (error) {
+    logger.error('Error getting report deliveries:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,335 @@
+/**
+ * Nurture Sequence Controller
+ *
+ * @description API endpoints for SMS / email / call-task nurture sequences
+ *
+ * Endpoints:
+ * - GET /api/sequences - List sequences
+ * - POST /api/sequences - Create sequence
+ * - GET /api/sequences/:id - Get sequence
+ * - PUT /api/sequences/:id - Update sequence
+ * - POST /api/sequences/:id/enroll - Enroll leads manually
+ * - GET /api/sequences/:id/enrollments - List enrollments
+ * - POST /api/sequences/enrollments/:enrollmentId/pause - Pause enrollment
+ * - POST /api/sequences/enrollments/:enrollmentId/resume - Resume enrollment
+ * - POST /api/sequences/enrollments/:enrollmentId/cancel - Cancel enrollment
+ */
+
+const mongoose = require('mongoose');
+const NurtureSequence = require('../database/mongodb/schemas/nurtureSequence.schema');
+const SequenceEnrollment = require('../database/mongodb/schemas/sequenceEnrollment.schema');
+const Lead = require('../database/mongodb/schemas/lead.schema');
+const nurtureSequenceService = require('../services/nurtureSequence.service');
+const logger = require('../utils/logger');
+
+// Fields managers may set on create/update
+const EDITABLE_FIELDS = [
+  'name', 'description', 'isActive', 'trigger', 'steps',
+  'pauseOnReply', 'exitOnStatusChange', 'metadata'
+];
+
+const STEP_TYPES = ['sms', 'email', 'call_task'];
+
+/**
+ * Pick editable fields from request body
+ * @private
+ */
+function pickEditable(body) {
+  return EDITABLE_FIELDS.reduce((data, field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+    return data;
+  }, {});
+}
+
+/**
+ * Validate sequence steps
+ * @private
+ * @returns {String|null} Error message
+ */
+function validateSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return 'At least one step is required';
+  }
+
+  for (const [index, step] of steps.entries()) {
+    if (!STEP_TYPES.includes(step.type)) {
+      return `Step ${index + 1}: type must be one of ${STEP_TYPES.join(', ')}`;
+    }
+    if (!step.template) {
+      return `Step ${index + 1}: template is required`;
+    }
+    if (step.type === 'email' && !step.subject) {
+      return `Step ${index + 1}: email steps need a subject`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load sequence by :id or respond 404
+ * @private
+ */
+async function loadSequence(req, res) {
+  const { id } = req.params;
+
+  const sequence = mongoose.isValidObjectId(id) ? await NurtureSequence.findById(id) : null;
+
+  if (!sequence) {
+    res.status(404).json({
+      success: false,
+      message: 'Sequence not found'
+    });
+  }
+
+  return sequence;
+}
+
+/**
+ * List sequences
+ * GET /api/sequences?isActive=true
+ */
+exports.getAll = async (req, res, next) => {
+  try {
+    const query = req.query.isActive !== undefined ? { isActive: req.query.isActive === 'true' } : {};
+
+    const sequences = await NurtureSequence.find(query).sort({ createdAt: -1 }).lean();
+
+    res.json({
+      success: true,
+      data: sequences,
+      count: sequences.length
+    });
+
+  } catch (error) {
+    logger.error('Error listing sequences:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create sequence
+ * POST /api/sequences
+ */
+exports.create = async (req, res, next) => {
+  try {
+    const data = pickEditable(req.body);
+
+    if (!data.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sequence name is required'
+      });
+    }
+
+    const stepError = validateSteps(data.steps);
+    if (stepError) {
+      return res.status(400).json({
+        success: false,
+        message: stepError
+      });
+    }
+
+    const sequence = await NurtureSequence.create({
+      ...data,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Sequence created',
+      data: sequence
+    });
+
+  } catch (error) {
+    logger.error('Error creating sequence:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get sequence
+ * GET /api/sequences/:id
+ */
+exports.getById = async (req, res, next) => {
+  try {
+    const sequence = await loadSequence(req, res);
+    if (!sequence) return;
+
+    res.json({
+      success: true,
+      data: sequence
+    });
+
+  } catch (error) {
+    logger.error('Error getting sequence:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update sequence
+ * Open enrollments pick up step changes from their next step
+ * PUT /api/sequences/:id
+ */
+exports.update = async (req, res, next) => {
+  try {
+    const sequence = await loadSequence(req, res);
+    if (!sequence) return;
+
+    const data = pickEditable(req.body);
+
+    if (data.steps !== undefined) {
+      const stepError = validateSteps(data.steps);
+      if (stepError) {
+        return res.status(400).json({
+          success: false,
+          message: stepError
+        });
+      }
+    }
+
+    sequence.set(data);
+    await sequence.save();
+
+    res.json({
+      success: true,
+      message: 'Sequence updated',
+      data: sequence
+    });
+
+  } catch (error) {
+    logger.error('Error updating sequence:', error);
+    next(error);
+  }
+};
+
+/**
+ * Enroll leads manually
+ * POST /api/sequences/:id/enroll
+ */
+exports.enroll = async (req, res, next) => {
+  try {
+    const sequence = await loadSequence(req, res);
+    if (!sequence) return;
+
+    const { leadIds } = req.body;
+
+    if (!Array.isArray(leadIds) || leadIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'leadIds must be a non-empty array'
+      });
+    }
+
+    if (!sequence.isActive) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot enroll leads in an inactive sequence'
+      });
+    }
+
+    const leads = await Lead.find({ _id: { $in: leadIds.filter(id => mongoose.isValidObjectId(id)) } });
+
+    const results = { enrolled: [], alreadyEnrolled: [], notFound: [] };
+    const found = new Set(leads.map(lead => lead._id.toString()));
+    results.notFound = leadIds.filter(id => !found.has(String(id)));
+
+    for (const lead of leads) {
+      const result = await nurtureSequenceService.enroll(sequence, lead, { enrolledBy: req.user.id });
+      (result.enrolled ? results.enrolled : results.alreadyEnrolled).push(lead._id.toString());
+    }
+
+    res.json({
+      success: true,
+      message: `Enrolled ${results.enrolled.length} lead(s)`,
+      data: results
+    });
+
+  } catch (error) {
+    logger.error('Error enrolling leads:', error);
+    next(error);
+  }
+};
+
+/**
+ * List enrollments
+ * GET /api/sequences/:id/enrollments?status=active
+ */
+exports.getEnrollments = async (req, res, next) => {
+  try {
+    const sequence = await loadSequence(req, res);
+    if (!sequence) return;
+
+    const query = { sequenceId: sequence._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const enrollments = await SequenceEnrollment.find(query)
+      .sort({ enrolledAt: -1 })
+      .populate('leadId', 'firstName lastName phone email status')
+      .lean();
+
+    res.json({
+      success: true,
+      data: enrollments,
+      count: enrollments.length
+    });
+
+  } catch (error) {
+    logger.error('Error listing enrollments:', error);
+    next(error);
+  }
+};
+
+// Statuses each enrollment action applies to
+const ENROLLMENT_ACTIONS = {
+  pause: ['active'],
+  resume: ['paused'],
+  cancel: ['active', 'paused']
+};
+
+/**
+ * Build an enrollment action handler (pause/resume/cancel)
+ * @private
+ */
+function enrollmentHandler(action, pastTense) {
+  return async (req, res, next) => {
+    try {
+      const { enrollmentId } = req.params;
+
+      const enrollment = mongoose.isValidObjectId(enrollmentId)
+        ? await SequenceEnrollment.findById(enrollmentId)
+        : null;
+
+      if (!enrollment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Enrollment not found'
+        });
+      }
+
+      if (!ENROLLMENT_ACTIONS[action].includes(enrollment.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot ${action} an enrollment that is ${enrollment.status}`
+        });
+      }
+
+      await nurtureSequenceService[action](enrollment, req.body?.reason);
+
+      res.json({
+        success: true,
+        message: `Enrollment ${pastTense}`,
+        data: enrollment
+      });
+
+    } catch (error) {
+      logger.error(`Error trying to ${action} enrollment:`, error);
+      next(error);
+    }
+  };
+}
+
+exports.pauseEnrollment = enrollmentHandler('pause', 'paused');
+exports.resumeEnrollment = enrollmentHandler('resume', 'resumed');
+exports.cancelEnrollment = enrollmentHandler('cancel', 'cancelled');
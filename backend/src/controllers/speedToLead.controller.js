@@ -0,0 +1,233 @@
+/**
+ * Speed-to-Lead Controller
+ *
+ * @description Rules for auto-dialing newly imported hot leads
+ *              (see services/speedToLead.service)
+ *
+ * Endpoints:
+ * - GET /api/speed-to-lead/rules - List rules in match order
+ * - POST /api/speed-to-lead/rules - Create rule
+ * - GET /api/speed-to-lead/queue - Dial queue statistics
+ * - GET /api/speed-to-lead/rules/:id - Get rule
+ * - PUT /api/speed-to-lead/rules/:id - Update rule
+ * - DELETE /api/speed-to-lead/rules/:id - Delete rule
+ *
+ * Time-to-first-dial metrics: GET /api/analytics/speed-to-lead
+ */
+
+const mongoose = require('mongoose');
+const SpeedToLeadRule = require('../database/mongodb/schemas/speedToLeadRule.schema');
+const { getQueueStats } = require('../queues/speedToLead.queue');
+const { validateCriteria } = require('../utils/speedToLead');
+const logger = require('../utils/logger');
+
+// Fields managers may set on create/update
+const EDITABLE_FIELDS = ['name', 'description', 'isActive', 'priority', 'criteria', 'maxWaitMinutes', 'maxConcurrent'];
+
+/**
+ * Pick editable fields from request body
+ * @private
+ */
+function pickEditable(body) {
+  return EDITABLE_FIELDS.reduce((data, field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+    return data;
+  }, {});
+}
+
+/**
+ * Validate rule fields that are present
+ * @private
+ * @returns {String|null} Error message
+ */
+function validateRule(data) {
+  const criteriaError = validateCriteria(data.criteria);
+  if (criteriaError) return criteriaError;
+
+  if (data.maxWaitMinutes !== undefined &&
+    !(Number.isInteger(data.maxWaitMinutes) && data.maxWaitMinutes >= 1 && data.maxWaitMinutes <= 1440)) {
+    return 'maxWaitMinutes must be a whole number from 1 to 1440';
+  }
+
+  if (data.maxConcurrent !== undefined && !(Number.isInteger(data.maxConcurrent) && data.maxConcurrent >= 1)) {
+    return 'maxConcurrent must be a whole number of at least 1';
+  }
+
+  return null;
+}
+
+/**
+ * Load rule by :id or respond 404
+ * @private
+ */
+async function loadRule(req, res) {
+  const { id } = req.params;
+
+  const rule = mongoose.isValidObjectId(id) ? await SpeedToLeadRule.findById(id) : null;
+
+  if (!rule) {
+    res.status(404).json({
+      success: false,
+      message: 'Speed-to-lead rule not found'
+    });
+  }
+
+  return rule;
+}
+
+/**
+ * List rules in the order they are matched
+ * GET /api/speed-to-lead/rules?isActive=true
+ */
+exports.getRules = async (req, res, next) => {
+  try {
+    const query = req.query.isActive !== undefined ? { isActive: req.query.isActive === 'true' } : {};
+
+    const rules = await SpeedToLeadRule.find(query).sort({ priority: 1, createdAt: 1 }).lean();
+
+    res.json({
+      success: true,
+      data: rules,
+      count: rules.length
+    });
+
+  } catch (error) {
+    logger.error('Error listing speed-to-lead rules:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create rule
+ * POST /api/speed-to-lead/rules
+ */
+exports.createRule = async (req, res, next) => {
+  try {
+    const data = pickEditable(req.body);
+
+    if (!data.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rule name is required'
+      });
+    }
+
+    const invalid = validateRule(data);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const rule = await SpeedToLeadRule.create({
+      ...data,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Speed-to-lead rule created',
+      data: rule
+    });
+
+  } catch (error) {
+    logger.error('Error creating speed-to-lead rule:', error);
+    next(error);
+  }
+};
+
+/**
+ * Dial queue statistics
+ * GET /api/speed-to-lead/queue
+ */
+exports.getQueue = async (req, res, next) => {
+  try {
+    const stats = await getQueueStats();
+
+    res.json({
+      success: true,
+      data: stats
+    });
+
+  } catch (error) {
+    logger.error('Error getting speed-to-lead queue stats:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get rule
+ * GET /api/speed-to-lead/rules/:id
+ */
+exports.getRule = async (req, res, next) => {
+  try {
+    const rule = await loadRule(req, res);
+    if (!rule) return;
+
+    res.json({
+      success: true,
+      data: rule
+    });
+
+  } catch (error) {
+    logger.error('Error getting speed-to-lead rule:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update rule (leads already queued keep the rule they matched)
+ * PUT /api/speed-to-lead/rules/:id
+ */
+exports.updateRule = async (req, res, next) => {
+  try {
+    const rule = await loadRule(req, res);
+    if (!rule) return;
+
+    const data = pickEditable(req.body);
+
+    const invalid = validateRule(data);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    rule.set(data);
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Speed-to-lead rule updated',
+      data: rule
+    });
+
+  } catch (error) {
+    logger.error('Error updating speed-to-lead rule:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete rule (queued dial attempts for it are dropped)
+ * DELETE /api/speed-to-lead/rules/:id
+ */
+exports.deleteRule = async (req, res, next) => {
+  try {
+    const rule = await loadRule(req, res);
+    if (!rule) return;
+
+    await rule.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Speed-to-lead rule deleted'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting speed-to-lead rule:', error);
+    next(error);
+  }
+};
@@ -224,9 +224,9 @@ exports.startCallWithAgent = async (req, res, next) => {
 };
 
 /**
- * Request transfer to Kevin
+ * Request transfer to a closer
  */
-exports.requestKevinTransfer = async (req, res, next) => {
+exports.requestCloserTransfer = async (req, res, next) => {
   try {
     const { callId, callControlId, qualificationScore, leadData } = req.body;
 
@@ -1,6 +1,12 @@
 const webhookValidator = require('../security/validation/webhook-validator');
 const telnyxService = require('../services/telnyx.service');
+const telnyxConfig = require('../config/telnyx.config');
 const voiceAgentService = require('../services/voice-agent.service');
+const callLifecycle = require('../services/callLifecycle.service');
+const smsService = require('../services/sms.service');
+const warmTransferService = require('../services/warmTransfer.service');
+const supervisorService = require('../services/supervisor.service');
+const { toCall, toMonitors } = require('../sockets/rooms');
 
 exports.handleTelnyxWebhook = async (req, res, next) => {
   try {
@@ -25,16 +31,6 @@ exports.handleTelnyxWebhook = async (req, res, next) => {
 
     console.log('[Webhook] Telnyx event received:', eventType);
 
-    // Emit event via Socket.io if available
-    const io = req.app.get('io');
-    if (io && eventType) {
-      io.to('call-monitoring').emit('telnyx:event', {
-        type: eventType,
-        data: event.data,
-        timestamp: new Date()
-      });
-    }
-
     // Forward relevant events to voice agent service
     const callRelatedEvents = [
       'call.initiated',
@@ -44,28 +40,71 @@ exports.handleTelnyxWebhook = async (req, res, next) => {
       'call.dtmf.received',
       'call.speak.started',
       'call.speak.ended',
+      'call.gather.ended',
       'recording.started',
       'recording.stopped'
     ];
 
-    if (callRelatedEvents.includes(eventType) && voiceAgentService.isConfigured()) {
-      // Extract call information
-      let callId = null;
-      try {
-        if (payload.client_state) {
-          const clientState = JSON.parse(
-            Buffer.from(payload.client_state, 'base64').toString('utf8')
-          );
-          callId = clientState.callId;
-        }
-      } catch (error) {
-        console.warn('[Webhook] Could not parse client_state:', error.message);
+    // Extract call information
+    let clientState = {};
+    try {
+      if (payload.client_state) {
+        clientState = JSON.parse(
+          Buffer.from(payload.client_state, 'base64').toString('utf8')
+        );
+      }
+    } catch (error) {
+      console.warn('[Webhook] Could not parse client_state:', error.message);
+    }
+
+    // The closer's leg of a warm transfer belongs to the transfer state machine,
+    // not the voice agent
+    if (clientState.warmTransfer) {
+      if (callRelatedEvents.includes(eventType)) {
+        warmTransferService.handleCallEvent(eventType, clientState, payload).catch(error => {
+          console.error('[Webhook] Error handling warm transfer event:', error);
+        });
       }
+      return res.json({ success: true });
+    }
+
+    // Supervisor legs join the monitored call's conference when answered
+    if (clientState.supervisorSessionId) {
+      if (callRelatedEvents.includes(eventType)) {
+        supervisorService.handleCallEvent(eventType, clientState, payload).catch(error => {
+          console.error('[Webhook] Error handling supervisor event:', error);
+        });
+      }
+      return res.json({ success: true });
+    }
 
+    // A lead hanging up mid-transfer cancels the closer leg
+    if (eventType === 'call.hangup') {
+      warmTransferService.handleLeadHangup(payload.call_control_id).catch(error => {
+        console.error('[Webhook] Error handling lead hangup during transfer:', error);
+      });
+    }
+
+    // Persist the event to the CallLog; awaited so a failure returns 5xx and
+    // Telnyx redelivers (duplicate and out-of-order events are ignored)
+    const lifecycle = await callLifecycle.handleEvent(event.data || {});
+
+    // Emit to the call's monitors and agent; events for calls we don't track
+    // have no organization to go to
+    const io = req.app.get('io');
+    if (io && lifecycle.callLog) {
+      toCall(io, lifecycle.callLog).emit('telnyx:event', {
+        type: eventType,
+        data: event.data,
+        timestamp: new Date()
+      });
+    }
+
+    if (callRelatedEvents.includes(eventType) && voiceAgentService.isConfigured()) {
       // Forward to voice agent
       voiceAgentService.sendCallEvent({
         type: eventType,
-        callId: callId,
+        callId: clientState.callId || null,
         callControlId: payload.call_control_id,
         data: payload
       }).catch(error => {
@@ -90,12 +129,60 @@ exports.handleVoiceEvent = async (req, res, next) => {
   }
 };
 
+/**
+ * Why a messaging webhook's signature is not acceptable, if it is not
+ * Unlike the call webhook, a missing signature or public key is a rejection.
+ * @private
+ * @returns {String|null}
+ */
+function checkMessagingSignature(req) {
+  if (!telnyxConfig.config.publicKey) return 'Webhook signature cannot be verified';
+
+  const signature = req.headers['telnyx-signature'];
+  const timestamp = req.headers['telnyx-timestamp'];
+  if (!signature || !timestamp) return 'Missing signature';
+
+  return telnyxService.validateWebhookSignature(req.body, signature, timestamp) ? null : 'Invalid signature';
+}
+
 exports.handleMessagingEvent = async (req, res, next) => {
   try {
+    // Inbound keywords revoke and grant consent - only signed requests get that far
+    const signatureError = checkMessagingSignature(req);
+    if (signatureError) {
+      console.warn(`[Webhook] Rejected Telnyx messaging webhook: ${signatureError}`);
+      return res.status(401).json({ error: signatureError });
+    }
+
     const event = req.body;
-    console.log('Messaging event:', event);
+    const eventType = event.data?.event_type || 'unknown';
+    const payload = event.data?.payload || {};
+
+    console.log('[Webhook] Telnyx messaging event received:', eventType);
+
+    if (eventType !== 'message.received') {
+      return res.json({ success: true });
+    }
+
+    // Awaited so a failure returns 5xx and Telnyx redelivers (processing is idempotent)
+    const result = await smsService.handleInboundMessage(payload);
+
+    const io = req.app.get('io');
+    if (io && result.processed) {
+      Object.entries(result.leadsByOrganization).forEach(([organizationId, leadIds]) => {
+        toMonitors(io, organizationId).emit('sms:received', {
+          messageId: result.messageId,
+          keyword: result.keyword,
+          leadIds,
+          from: payload.from?.phone_number,
+          timestamp: new Date()
+        });
+      });
+    }
+
     res.json({ success: true });
   } catch (error) {
+    console.error('[Webhook] Error processing Telnyx messaging webhook:', error);
     next(error);
   }
 };
@@ -0,0 +1,96 @@
+const cron = require('node-cron');
+const auditService = require('../services/audit.service');
+const logger = require('../utils/logger');
+
+/**
+ * Audit Retention Cron Job
+ * Deletes audit events older than AUDIT_RETENTION_DAYS, anchoring each
+ * organization's remaining chain (see services/audit.service)
+ *
+ * @schedule Daily at 03:30 (configurable via AUDIT_RETENTION_CRON)
+ */
+
+class AuditRetentionCron {
+  constructor() {
+    this.cronSchedule = process.env.AUDIT_RETENTION_CRON || '30 3 * * *';
+    this.isRunning = false;
+    this.stats = {
+      totalRuns: 0,
+      totalDeleted: 0,
+      lastRunDate: null,
+      lastRunResult: null
+    };
+  }
+
+  /**
+   * Start the cron job
+   */
+  start() {
+    logger.info(`[Audit Retention Cron] Starting with schedule: ${this.cronSchedule}`);
+
+    this.job = cron.schedule(this.cronSchedule, async () => {
+      await this.run();
+    });
+
+    logger.info('[Audit Retention Cron] Successfully started');
+  }
+
+  /**
+   * Stop the cron job
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      logger.info('[Audit Retention Cron] Stopped');
+    }
+  }
+
+  /**
+   * Purge expired audit events
+   */
+  async run() {
+    if (this.isRunning) {
+      logger.warn('[Audit Retention Cron] Previous run still in progress, skipping this cycle');
+      return { skipped: true, reason: 'Previous run still in progress' };
+    }
+
+    this.isRunning = true;
+
+    try {
+      const result = await auditService.purgeExpired(new Date());
+
+      this.stats.totalRuns++;
+      this.stats.totalDeleted += result.deleted;
+      this.stats.lastRunDate = new Date();
+      this.stats.lastRunResult = result;
+
+      if (result.deleted) {
+        logger.info(`[Audit Retention Cron] Deleted ${result.deleted} events across ${result.chains} organizations`);
+      }
+
+      return result;
+
+    } catch (error) {
+      logger.error('[Audit Retention Cron] Run failed:', error);
+      return { success: false, error: error.message };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Get cron job status
+   */
+  getStatus() {
+    return {
+      isActive: !!this.job,
+      isRunning: this.isRunning,
+      schedule: this.cronSchedule,
+      retentionDays: auditService.retentionDays,
+      stats: this.stats
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new AuditRetentionCron();
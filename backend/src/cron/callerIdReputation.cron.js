@@ -0,0 +1,97 @@
+const cron = require('node-cron');
+const callerIdPoolService = require('../services/callerIdPool.service');
+const logger = require('../utils/logger');
+
+/**
+ * Caller ID Reputation Cron Job
+ * Recomputes pool numbers' answer rates and rests or retires numbers that
+ * look spam-flagged (see services/callerIdPool.service)
+ *
+ * @schedule Hourly at minute 15 (configurable via CALLER_ID_REPUTATION_CRON)
+ */
+
+class CallerIdReputationCron {
+  constructor() {
+    this.cronSchedule = process.env.CALLER_ID_REPUTATION_CRON || '15 * * * *';
+    this.isRunning = false;
+    this.stats = {
+      totalRuns: 0,
+      totalRested: 0,
+      totalRetired: 0,
+      lastRunDate: null,
+      lastRunResult: null
+    };
+  }
+
+  /**
+   * Start the cron job
+   */
+  start() {
+    logger.info(`[Caller ID Reputation Cron] Starting with schedule: ${this.cronSchedule}`);
+
+    this.job = cron.schedule(this.cronSchedule, async () => {
+      await this.run();
+    });
+
+    logger.info('[Caller ID Reputation Cron] Successfully started');
+  }
+
+  /**
+   * Stop the cron job
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      logger.info('[Caller ID Reputation Cron] Stopped');
+    }
+  }
+
+  /**
+   * Evaluate every pool number
+   */
+  async run() {
+    if (this.isRunning) {
+      logger.warn('[Caller ID Reputation Cron] Previous run still in progress, skipping this cycle');
+      return { skipped: true, reason: 'Previous run still in progress' };
+    }
+
+    this.isRunning = true;
+
+    try {
+      const result = await callerIdPoolService.evaluateReputation(new Date());
+
+      this.stats.totalRuns++;
+      this.stats.totalRested += result.rested;
+      this.stats.totalRetired += result.retired;
+      this.stats.lastRunDate = new Date();
+      this.stats.lastRunResult = result;
+
+      if (result.rested || result.retired) {
+        logger.info(`[Caller ID Reputation Cron] ${result.rested} rested, ${result.retired} retired of ${result.evaluated} numbers`);
+      }
+
+      return result;
+
+    } catch (error) {
+      logger.error('[Caller ID Reputation Cron] Run failed:', error);
+      return { success: false, error: error.message };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Get cron job status
+   */
+  getStatus() {
+    return {
+      isActive: !!this.job,
+      isRunning: this.isRunning,
+      schedule: this.cronSchedule,
+      stats: this.stats
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new CallerIdReputationCron();
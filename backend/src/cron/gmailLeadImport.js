@@ -1,6 +1,9 @@
 const cron = require('node-cron');
 const gmailService = require('../services/gmailService');
 const leadImporter = require('../services/leadImporter');
+const leadSourceService = require('../services/leadSource.service');
+const nurtureSequenceService = require('../services/nurtureSequence.service');
+const { runWithOrganization } = require('../utils/tenant.util');
 const logger = require('../utils/logger');
 
 /**
@@ -9,8 +12,15 @@ const logger = require('../utils/logger');
  *
  * @author James Taylor - Lead Management Developer
  * @schedule Every hour at :00 minutes (configurable via GMAIL_IMPORT_CRON)
+ *
+ * The mailbox belongs to one organization (GMAIL_IMPORT_ORGANIZATION_ID): its
+ * lead sources are used for routing and imported leads and quarantined
+ * emails are created in it.
  */
 
+// Applied to inbox messages already handled as nurture replies
+const REPLY_LABEL = 'BMAD_Reply';
+
 class GmailLeadImportCron {
   constructor() {
     this.cronSchedule = process.env.GMAIL_IMPORT_CRON || '0 * * * *'; // Default: every hour
@@ -20,6 +30,7 @@ class GmailLeadImportCron {
       totalRuns: 0,
       totalImported: 0,
       totalDuplicates: 0,
+      totalQuarantined: 0,
       totalErrors: 0,
       lastRunDate: null,
       lastRunResult: null
@@ -61,6 +72,38 @@ class GmailLeadImportCron {
    * Execute the import process
    */
   async runImport() {
+    return runWithOrganization(process.env.GMAIL_IMPORT_ORGANIZATION_ID || null, async () => {
+      const result = await this.importEmails();
+      await this.processReplies();
+      return result;
+    });
+  }
+
+  /**
+   * Pause nurture sequences for leads that replied by email. Replies are
+   * labelled so they're only counted once.
+   */
+  async processReplies() {
+    try {
+      const emails = await gmailService.getInboxReplies({ excludeLabel: REPLY_LABEL });
+      const { replyIds, paused } = await nurtureSequenceService.handleEmailReplies(emails);
+
+      if (replyIds.length > 0) {
+        await gmailService.applyLabel(replyIds, REPLY_LABEL);
+        logger.info(`[Gmail Import Cron] ${replyIds.length} lead replies, ${paused} enrollment(s) paused`);
+      }
+
+      return { replies: replyIds.length, paused };
+    } catch (error) {
+      logger.error('[Gmail Import Cron] Reply processing failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Fetch, route and import unread lead emails
+   */
+  async importEmails() {
     if (this.isRunning) {
       logger.warn('[Gmail Import Cron] Import already running, skipping this cycle');
       return { skipped: true, reason: 'Previous import still running' };
@@ -74,13 +117,18 @@ class GmailLeadImportCron {
 
       // Step 1: Fetch unread lead emails from Gmail
       logger.info('[Gmail Import Cron] Step 1: Fetching unread emails from Gmail...');
-      const emails = await gmailService.getUnreadLeadEmails();
+      // Without an import label, search mail from every known source sender
+      const sources = await leadSourceService.getSources();
+      const emails = await gmailService.getUnreadLeadEmails({
+        senders: sources.flatMap(source => source.match?.senders || [])
+      });
 
       if (emails.length === 0) {
         logger.info('[Gmail Import Cron] No new emails found');
         this.updateStats({
           imported: 0,
           duplicates: 0,
+          quarantined: 0,
           errors: 0,
           emailsFound: 0
         });
@@ -96,13 +144,14 @@ class GmailLeadImportCron {
       // Step 2: Import leads from emails
       const importResults = await leadImporter.importFromEmails(emails);
 
-      // Step 3: Mark processed emails as read
+      // Step 3: Mark handled emails as read (imported, duplicate or quarantined);
+      // emails that hit an error stay unread and are retried next run
       logger.info('[Gmail Import Cron] Step 3: Marking emails as read...');
-      const emailIds = emails.map(e => e.id);
+      const emailIds = importResults.processedIds;
       await gmailService.markEmailsAsRead(emailIds);
 
       // Step 4: Apply processed label
-      if (importResults.imported > 0) {
+      if (emailIds.length > 0) {
         logger.info('[Gmail Import Cron] Step 4: Applying "Processed" label...');
         await gmailService.applyLabel(emailIds, 'BMAD_Processed');
       }
@@ -111,13 +160,14 @@ class GmailLeadImportCron {
       this.updateStats({
         imported: importResults.imported,
         duplicates: importResults.duplicates,
+        quarantined: importResults.quarantined,
         errors: importResults.errors,
         emailsFound: emails.length
       });
 
       const duration = Date.now() - startTime;
       logger.info(`[Gmail Import Cron] ========== IMPORT COMPLETE (${duration}ms) ==========`);
-      logger.info(`[Gmail Import Cron] Results: ${importResults.imported} imported, ${importResults.duplicates} duplicates, ${importResults.errors} errors`);
+      logger.info(`[Gmail Import Cron] Results: ${importResults.imported} imported, ${importResults.duplicates} duplicates, ${importResults.quarantined} quarantined, ${importResults.errors} errors`);
 
       // Send notification if errors occurred
       if (importResults.errors > 0) {
@@ -155,6 +205,7 @@ class GmailLeadImportCron {
     this.stats.totalRuns++;
     this.stats.totalImported += runStats.imported;
     this.stats.totalDuplicates += runStats.duplicates;
+    this.stats.totalQuarantined += runStats.quarantined;
     this.stats.totalErrors += runStats.errors;
     this.stats.lastRunDate = new Date();
     this.stats.lastRunResult = runStats;
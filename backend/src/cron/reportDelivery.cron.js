@@ -0,0 +1,100 @@
+const cron = require('node-cron');
+const reportSubscriptionService = require('../services/reportSubscription.service');
+const logger = require('../utils/logger');
+
+/**
+ * Scheduled Report Delivery Cron Job
+ * Emails report subscriptions whose recipients are due
+ *
+ * Delivery times live on each recipient (nextDeliveryAt, in their own
+ * timezone), so this job only has to poll often enough for the schedules'
+ * minute resolution to feel on time.
+ *
+ * @schedule Every 5 minutes (configurable via REPORT_DELIVERY_CRON)
+ */
+
+class ReportDeliveryCron {
+  constructor() {
+    this.cronSchedule = process.env.REPORT_DELIVERY_CRON || '*/5 * * * *';
+    this.isRunning = false;
+    this.stats = {
+      totalRuns: 0,
+      totalSent: 0,
+      totalFailed: 0,
+      lastRunDate: null,
+      lastRunResult: null
+    };
+  }
+
+  /**
+   * Start the cron job
+   */
+  start() {
+    logger.info(`[Report Delivery Cron] Starting with schedule: ${this.cronSchedule}`);
+
+    this.job = cron.schedule(this.cronSchedule, async () => {
+      await this.run();
+    });
+
+    logger.info('[Report Delivery Cron] Successfully started');
+  }
+
+  /**
+   * Stop the cron job
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      logger.info('[Report Delivery Cron] Stopped');
+    }
+  }
+
+  /**
+   * Deliver every due subscription
+   */
+  async run() {
+    if (this.isRunning) {
+      logger.warn('[Report Delivery Cron] Previous run still in progress, skipping this cycle');
+      return { skipped: true, reason: 'Previous run still in progress' };
+    }
+
+    this.isRunning = true;
+
+    try {
+      const result = await reportSubscriptionService.deliverDue(new Date());
+
+      this.stats.totalRuns++;
+      this.stats.totalSent += result.sent;
+      this.stats.totalFailed += result.failed;
+      this.stats.lastRunDate = new Date();
+      this.stats.lastRunResult = result;
+
+      if (result.subscriptions > 0) {
+        logger.info(`[Report Delivery Cron] ${result.sent} sent, ${result.failed} failed across ${result.subscriptions} subscriptions`);
+      }
+
+      return result;
+
+    } catch (error) {
+      logger.error('[Report Delivery Cron] Run failed:', error);
+      return { success: false, error: error.message };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Get cron job status
+   */
+  getStatus() {
+    return {
+      isActive: !!this.job,
+      isRunning: this.isRunning,
+      schedule: this.cronSchedule,
+      stats: this.stats
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ReportDeliveryCron();
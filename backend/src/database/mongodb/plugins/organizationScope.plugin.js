@@ -0,0 +1,91 @@
+const { getOrganizationId } = require('../../../utils/tenant.util');
+
+/**
+ * Organization Scope Plugin
+ * Adds `organizationId` to a schema and restricts every query, update,
+ * delete and aggregate to the organization of the current request
+ * (see utils/tenant.util.js). New documents are stamped with that organization.
+ *
+ * Outside a request context nothing is filtered, so background jobs keep
+ * working across organizations.
+ */
+
+const QUERY_HOOKS = [
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+// Aggregation stages that must stay first in the pipeline
+const LEADING_STAGES = ['$geoNear', '$search', '$searchMeta', '$vectorSearch'];
+
+function organizationScope(schema) {
+  if (!schema.path('organizationId')) {
+    schema.add({
+      organizationId: {
+        type: String,
+        ref: 'Organization',
+        index: true
+      }
+    });
+  }
+
+  schema.pre(QUERY_HOOKS, function() {
+    const organizationId = getOrganizationId();
+    if (!organizationId) return;
+
+    // Overrides any organizationId the caller put in the filter
+    this.where({ organizationId });
+
+    // Documents can never be moved to another organization
+    const update = this.getUpdate();
+    if (update) {
+      delete update.organizationId;
+      if (update.$set) delete update.$set.organizationId;
+      if (update.$unset) delete update.$unset.organizationId;
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    const organizationId = getOrganizationId();
+    if (!organizationId) return;
+
+    const pipeline = this.pipeline();
+    const first = pipeline[0] ? Object.keys(pipeline[0])[0] : null;
+    const position = LEADING_STAGES.includes(first) ? 1 : 0;
+
+    pipeline.splice(position, 0, { $match: { organizationId } });
+  });
+
+  schema.pre('validate', function() {
+    const organizationId = getOrganizationId();
+    if (!organizationId) return;
+
+    if (this.isNew) {
+      this.organizationId = organizationId;
+    }
+  });
+
+  schema.pre('insertMany', function(next, docs) {
+    const organizationId = getOrganizationId();
+
+    if (organizationId && Array.isArray(docs)) {
+      docs.forEach(doc => {
+        doc.organizationId = organizationId;
+      });
+    }
+
+    next();
+  });
+}
+
+module.exports = organizationScope;
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const organizationScope = require('../plugins/organizationScope.plugin');
+
+/**
+ * Audit event - append-only, hash-chained per organization
+ * (see utils/auditTrail and services/audit.service)
+ *
+ * Updates and deletes through mongoose are refused; only the retention job
+ * removes expired entries, through the driver.
+ */
+const auditEventSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true
+  },
+  actor: {
+    type: { type: String, enum: ['user', 'api_key', 'system'], required: true },
+    userId: String,
+    email: String,
+    role: String,
+    apiKeyId: String
+  },
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  resource: {
+    type: { type: String },                        // auth | lead | dnc | call_recording | ...
+    id: String
+  },
+  changes: [{
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    _id: false
+  }],
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+  ipAddress: String,
+  userAgent: String,
+  requestId: String,
+  metadata: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  versionKey: false,
+  minimize: false
+});
+
+// One chain per organization; the unique sequence makes concurrent appends
+// from different replicas retry instead of forking the chain
+auditEventSchema.index({ organizationId: 1, sequence: 1 }, { unique: true });
+auditEventSchema.index({ organizationId: 1, 'resource.type': 1, 'resource.id': 1, createdAt: -1 });
+auditEventSchema.index({ organizationId: 1, 'actor.userId': 1, createdAt: -1 });
+
+const APPEND_ONLY_HOOKS = [
+  'deleteMany',
+  'deleteOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+auditEventSchema.pre(APPEND_ONLY_HOOKS, function() {
+  throw new Error('Audit events are append-only');
+});
+
+auditEventSchema.pre('save', function() {
+  if (!this.isNew) throw new Error('Audit events are append-only');
+});
+
+// Multi-tenant: restrict queries to the caller's organization
+auditEventSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
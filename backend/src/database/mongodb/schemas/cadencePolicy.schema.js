@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const organizationScope = require('../plugins/organizationScope.plugin');
+
+/**
+ * Cadence policy - when unanswered leads are called again (see utils/cadence).
+ * Assigned per campaign (Campaign.cadencePolicyId) or per lead source;
+ * the organization's default policy covers everything else.
+ */
+const cadenceStepSchema = new mongoose.Schema({
+  delayMinutes: { type: Number, required: true, min: 0 },   // After the previous attempt
+  slot: {
+    type: String,
+    enum: ['any', 'rotate', 'morning', 'afternoon', 'evening'],
+    default: 'any'
+  }
+}, { _id: false });
+
+const cadencePolicySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: String,
+  isActive: { type: Boolean, default: true },
+  isDefault: { type: Boolean, default: false },
+
+  // Step N applies to attempt N+1; the last step repeats
+  steps: { type: [cadenceStepSchema], default: undefined },
+  maxAttempts: { type: Number, default: 6, min: 1, max: 50 },
+  windowDays: { type: Number, default: 14, min: 1, max: 365 },
+
+  // Compliance: attempts to one phone number per rolling 24 hours
+  dailyCapPerNumber: { type: Number, default: 3, min: 1, max: 20 },
+
+  // Lead.source values or lead-source slugs (customFields.leadSource) this policy covers
+  sources: [String],
+
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+cadencePolicySchema.index({ organizationId: 1, isActive: 1 });
+
+// Multi-tenant: restrict queries to the caller's organization
+cadencePolicySchema.plugin(organizationScope);
+
+module.exports = mongoose.model('CadencePolicy', cadencePolicySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const organizationScope = require('../plugins/organizationScope.plugin');
 
 const callSchema = new mongoose.Schema({
   leadId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead' },
@@ -25,4 +26,7 @@ const callSchema = new mongoose.Schema({
 callSchema.index({ leadId: 1 });
 callSchema.index({ telnyxCallId: 1 });
 
+// Multi-tenant: restrict queries to the caller's organization
+callSchema.plugin(organizationScope);
+
 module.exports = mongoose.model('Call', callSchema);
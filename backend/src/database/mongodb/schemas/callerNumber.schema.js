@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const organizationScope = require('../plugins/organizationScope.plugin');
+
+/**
+ * Caller Number - an owned outbound DID in the local-presence pool
+ * (see services/callerIdPool.service). Only registered numbers may be
+ * used as caller ID.
+ */
+const callerNumberSchema = new mongoose.Schema({
+  phoneNumber: { type: String, required: true, trim: true },   // E.164
+  areaCode: { type: Number, index: true },
+  state: { type: String, uppercase: true },
+  label: String,
+
+  // active: in rotation; resting: pulled after a low answer rate until restingUntil; retired: never used again
+  status: {
+    type: String,
+    enum: ['active', 'resting', 'retired'],
+    default: 'active',
+    index: true
+  },
+  dailyCap: { type: Number, default: 100, min: 1, max: 1000 },
+
+  // Calls placed today (UTC day)
+  usage: {
+    date: String,
+    calls: { type: Number, default: 0 }
+  },
+  lastUsedAt: Date,
+
+  // Answer rate over the reputation window (services/callerIdPool.service)
+  reputation: {
+    status: { type: String, enum: ['good', 'flagged', 'unknown'], default: 'unknown' },
+    score: Number,                 // 0-100, answer rate relative to the pool
+    answerRate: Number,
+    calls: Number,
+    answered: Number,
+    evaluatedAt: Date,
+    flaggedAt: Date
+  },
+
+  restingUntil: Date,
+  restCount: { type: Number, default: 0 },
+  retiredAt: Date,
+  retiredReason: String,
+
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+callerNumberSchema.index({ organizationId: 1, phoneNumber: 1 }, { unique: true });
+
+// Multi-tenant: restrict queries to the caller's organization
+callerNumberSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('CallerNumber', callerNumberSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const organizationScope = require('../plugins/organizationScope.plugin');
 
 /**
  * CallLog Schema for BMAD V4 Lead Qualification App
@@ -315,7 +316,59 @@ const callLogSchema = new mongoose.Schema({
     },
     transferredAt: Date,
     transferReason: String,
-    transferSuccessful: Boolean
+    transferSuccessful: Boolean,
+    // Warm-transfer state machine (services/warmTransfer.service)
+    state: {
+      type: String,
+      enum: [
+        'dialing_closer', 'whispering', 'awaiting_accept', 'bridged',
+        'completed', 'declined', 'no_answer', 'failed', 'abandoned', 'fallback'
+      ]
+    },
+    closerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Closer'
+    },
+    closerCallControlId: String,
+    routingStrategy: String,
+    matchedSkills: [String],
+    whisperText: String,
+    acceptDigits: String,                          // Digits the closer pressed
+    bridgedAt: Date,
+    completedAt: Date,
+    fallbackReason: String,                        // declined | no_answer | failed
+    fallbackScript: String,                        // Callback script handed back to the AI
+    steps: [{
+      state: String,
+      at: { type: Date, default: Date.now },
+      detail: String
+    }]
+  },
+
+  // Supervisor live monitoring (services/supervisor.service)
+  monitoring: {
+    conferenceId: String,                          // Telnyx conference the call was moved into
+    sessions: [{
+      sessionId: String,
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      userName: String,
+      mode: {
+        type: String,
+        enum: ['listen', 'whisper', 'barge']
+      },
+      phoneNumber: String,                         // Where the supervisor was dialed
+      callControlId: String,                       // Supervisor's leg
+      status: {
+        type: String,
+        enum: ['dialing', 'active', 'ended', 'failed']
+      },
+      startedAt: Date,
+      joinedAt: Date,
+      endedAt: Date
+    }]
   },
 
   // Hold Information
@@ -332,7 +385,18 @@ const callLogSchema = new mongoose.Schema({
     duration: Number,
     transcription: String,
     audioUrl: String,
-    retrievedAt: Date
+    retrievedAt: Date,
+    // Voicemail drop (services/voicemailDrop.service)
+    status: {
+      type: String,
+      enum: ['waiting_for_beep', 'playing', 'left', 'skipped', 'failed']
+    },
+    method: {
+      type: String,
+      enum: ['audio', 'tts']
+    },
+    message: String,                               // TTS text as spoken
+    startedAt: Date
   },
 
   // AI Analysis (specific to the call)
@@ -468,6 +532,7 @@ const callLogSchema = new mongoose.Schema({
     doNotCallCheck: Boolean,
     timeOfDayCompliant: Boolean,
     consentRecorded: Boolean,
+    consentLedgerEntryId: String, // consent_ledger row governing this call
     disclosuresMade: [String],
     regulatoryFlags: [String],
     reviewRequired: { type: Boolean, default: false },
@@ -638,4 +703,7 @@ callLogSchema.methods.getSummary = function() {
   };
 };
 
+// Multi-tenant: restrict queries to the caller's organization
+callLogSchema.plugin(organizationScope);
+
 module.exports = mongoose.model('CallLog', callLogSchema);
@@ -1,23 +1,104 @@
 const mongoose = require('mongoose');
+const organizationScope = require('../plugins/organizationScope.plugin');
 
 const campaignSchema = new mongoose.Schema({
   name: { type: String, required: true },
   description: String,
-  status: { type: String, default: 'active' },
+  status: {
+    type: String,
+    // 'active' is kept for campaigns created before the dialing engine
+    enum: ['draft', 'running', 'paused', 'stopped', 'completed', 'active'],
+    default: 'draft',
+    index: true
+  },
   startDate: Date,
   endDate: Date,
+
+  // Lead segment the campaign dials (combined with AND)
+  segment: {
+    statuses: { type: [String], default: ['new', 'contacted'] },
+    priorities: [String],
+    sources: [String],
+    tags: [String],
+    assignedTo: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    minQualificationScore: Number,
+    maxQualificationScore: Number,
+    // Only leads tagged with this campaign (Lead.campaignId)
+    campaignLeadsOnly: { type: Boolean, default: false }
+  },
+
+  // Calling schedule in the campaign's timezone (TCPA windows are enforced per lead on top of this)
+  schedule: {
+    timezone: { type: String, default: 'America/New_York' },
+    daysOfWeek: { type: [Number], default: [1, 2, 3, 4, 5] }, // 0 = Sunday
+    startTime: { type: String, default: '09:00', match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+    endTime: { type: String, default: '17:00', match: /^([01]\d|2[0-3]):[0-5]\d$/ }
+  },
+
+  // Dialing rate; maxConcurrent is further capped by telnyx.config maxConcurrentCalls
+  pacing: {
+    callsPerMinute: { type: Number, default: 5, min: 1, max: 120 },
+    maxConcurrent: { type: Number, default: 5, min: 1 }
+  },
+
+  // Retry rules for leads that were not reached (used when no cadence policy is set)
+  retry: {
+    maxAttempts: { type: Number, default: 3, min: 1 },
+    retryDelayMinutes: { type: Number, default: 240, min: 1 }
+  },
+  cadencePolicyId: { type: mongoose.Schema.Types.ObjectId, ref: 'CadencePolicy' },
+
+  // Message left when answering machine detection finds a machine
+  // (services/voicemailDrop.service); audioUrl wins over TTS text
+  voicemail: {
+    enabled: { type: Boolean, default: false },
+    audioUrl: String,
+    text: String,                                  // Merge fields from the lead, e.g. {{firstName | there}}
+    voice: String,
+    language: String
+  },
+
+  scriptType: {
+    type: String,
+    enum: ['initial_call', 'follow_up', 'objection_handling', 'qualification', 'closing'],
+    default: 'qualification'
+  },
+
   totalLeads: { type: Number, default: 0 },
   qualifiedLeads: { type: Number, default: 0 },
   metrics: {
     callsMade: { type: Number, default: 0 },
     callsAnswered: { type: Number, default: 0 },
+    callsFailed: { type: Number, default: 0 },
+    callsInProgress: { type: Number, default: 0 },
+    leadsSkipped: { type: Number, default: 0 },
+    voicemails: { type: Number, default: 0 },
+    voicemailsLeft: { type: Number, default: 0 },
+    totalTalkSeconds: { type: Number, default: 0 },
     qualificationRate: { type: Number, default: 0 },
-    avgCallDuration: { type: Number, default: 0 }
+    avgCallDuration: { type: Number, default: 0 },
+    lastCallAt: Date
   },
+
+  // Run state (maintained by services/campaignEngine.service)
+  run: {
+    startedAt: Date,
+    pausedAt: Date,
+    resumedAt: Date,
+    stoppedAt: Date,
+    completedAt: Date,
+    lastTickAt: Date,
+    lastTickResult: String,
+    startedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+
   createdBy: String,
   metadata: mongoose.Schema.Types.Mixed
 }, {
   timestamps: true
 });
 
+// Multi-tenant: restrict queries to the caller's organization
+campaignSchema.plugin(organizationScope);
+
 module.exports = mongoose.model('Campaign', campaignSchema);
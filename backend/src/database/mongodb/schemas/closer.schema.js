@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const organizationScope = require('../plugins/organizationScope.plugin');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const dayScheduleSchema = new mongoose.Schema({
+  available: { type: Boolean, default: false },
+  start: { type: String, match: TIME_PATTERN },
+  end: { type: String, match: TIME_PATTERN }
+}, { _id: false });
+
+const weekdayHours = { available: true, start: '09:00', end: '17:00' };
+const dayOff = { available: false };
+
+const closerSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  // Linked login (lets the closer update their own status)
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  phoneNumber: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^\+[1-9]\d{1,14}$/, 'Phone number must be in E.164 format']
+  },
+  email: String,
+  isActive: { type: Boolean, default: true, index: true },
+
+  // Live status (maintained by services/closer.service)
+  status: {
+    type: String,
+    enum: ['available', 'busy', 'on_call', 'offline'],
+    default: 'available',
+    index: true
+  },
+  statusReason: String,
+  // Busy / on_call / offline until this time, then available again
+  statusUntil: Date,
+  statusUpdatedAt: Date,
+  statusUpdatedBy: String,
+
+  // Weekly hours in the closer's own timezone
+  schedule: {
+    timezone: { type: String, default: 'America/New_York' },
+    weekly: {
+      sunday: { type: dayScheduleSchema, default: () => dayOff },
+      monday: { type: dayScheduleSchema, default: () => weekdayHours },
+      tuesday: { type: dayScheduleSchema, default: () => weekdayHours },
+      wednesday: { type: dayScheduleSchema, default: () => weekdayHours },
+      thursday: { type: dayScheduleSchema, default: () => weekdayHours },
+      friday: { type: dayScheduleSchema, default: () => weekdayHours },
+      saturday: { type: dayScheduleSchema, default: () => dayOff }
+    }
+  },
+
+  // Routing skills; empty licensedStates means licensed everywhere
+  skills: {
+    industries: [{ type: String, lowercase: true, trim: true }],
+    licensedStates: [{ type: String, uppercase: true, trim: true, match: /^[A-Z]{2}$/ }],
+    languages: [{ type: String, lowercase: true, trim: true }],
+    tags: [{ type: String, lowercase: true, trim: true }]
+  },
+
+  // Higher priority wins ties in skill-match routing
+  priority: { type: Number, default: 0 },
+
+  stats: {
+    totalTransfers: { type: Number, default: 0 },
+    successfulTransfers: { type: Number, default: 0 },
+    lastTransferAt: Date
+  },
+
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+closerSchema.index({ isActive: 1, status: 1, 'stats.lastTransferAt': 1 });
+
+// Multi-tenant: restrict queries to the caller's organization
+closerSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('Closer', closerSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const organizationScope = require('../plugins/organizationScope.plugin');
+
+// One document per hot-transfer attempt to a closer
+const closerTransferSchema = new mongoose.Schema({
+  closerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Closer',
+    required: true,
+    index: true
+  },
+  callLogId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CallLog',
+    index: true
+  },
+  leadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    index: true
+  },
+  engagementScore: { type: Number, default: 0 },
+  success: { type: Boolean, required: true },
+
+  // How the closer was picked
+  routingStrategy: {
+    type: String,
+    enum: ['round_robin', 'least_recent', 'skill_match', 'manual']
+  },
+  matchedSkills: [String],
+
+  conferenceName: String,
+  notes: String,
+  timestamp: { type: Date, default: Date.now, index: true }
+}, {
+  timestamps: true
+});
+
+closerTransferSchema.index({ closerId: 1, timestamp: -1 });
+
+// Multi-tenant: restrict queries to the caller's organization
+closerTransferSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('CloserTransfer', closerTransferSchema);
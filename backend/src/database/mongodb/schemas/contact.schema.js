@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const organizationScope = require('../plugins/organizationScope.plugin');
 
 /**
  * Contact Schema for BMAD V4 Lead Qualification App
@@ -55,8 +56,6 @@ const contactSchema = new mongoose.Schema({
   email: {
     primary: {
       type: String,
-      unique: true,
-      sparse: true,
       lowercase: true,
       trim: true,
       match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
@@ -78,7 +77,6 @@ const contactSchema = new mongoose.Schema({
     primary: {
       type: String,
       required: true,
-      unique: true,
       trim: true,
       match: [/^\+?[1-9]\d{1,14}$/, 'Please provide a valid phone number in E.164 format']
     },
@@ -197,6 +195,7 @@ const contactSchema = new mongoose.Schema({
   },
 
   // Consent and Compliance
+  // canCall/canEmail/canSMS are a projection of the consent_ledger table
   consent: {
     canCall: { type: Boolean, default: true },
     canEmail: { type: Boolean, default: true },
@@ -206,6 +205,7 @@ const contactSchema = new mongoose.Schema({
     ccpaOptOut: { type: Boolean, default: false },
     consentDate: Date,
     consentSource: String,
+    ledgerSyncedAt: Date,
     privacyPolicyAccepted: { type: Boolean, default: false },
     termsAccepted: { type: Boolean, default: false }
   },
@@ -348,6 +348,12 @@ const contactSchema = new mongoose.Schema({
 // Indexes for Query Optimization
 contactSchema.index({ 'phone.primary': 1 });
 contactSchema.index({ 'email.primary': 1 });
+// Phone/email are unique per organization, not globally
+contactSchema.index({ organizationId: 1, 'phone.primary': 1 }, { unique: true });
+contactSchema.index(
+  { organizationId: 1, 'email.primary': 1 },
+  { unique: true, partialFilterExpression: { 'email.primary': { $type: 'string' } } }
+);
 contactSchema.index({ type: 1, status: 1 });
 contactSchema.index({ leadId: 1 });
 contactSchema.index({ accountManager: 1, status: 1 });
@@ -476,4 +482,7 @@ contactSchema.methods.canContact = function(channel = 'phone') {
   }
 };
 
+// Multi-tenant: restrict queries to the caller's organization
+contactSchema.plugin(organizationScope);
+
 module.exports = mongoose.model('Contact', contactSchema);
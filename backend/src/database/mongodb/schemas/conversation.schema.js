@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const organizationScope = require('../plugins/organizationScope.plugin');
 
 /**
  * Conversation Schema for BMAD V4 Lead Qualification App
@@ -551,4 +552,7 @@ conversationSchema.methods.getSentimentBreakdown = function() {
   return breakdown;
 };
 
+// Multi-tenant: restrict queries to the caller's organization
+conversationSchema.plugin(organizationScope);
+
 module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const organizationScope = require('../plugins/organizationScope.plugin');
+
+/**
+ * Duplicate candidate - a pair of leads that fuzzy-matched (utils/duplicateMatching)
+ * and waits in the review queue to be merged or dismissed
+ */
+const duplicateCandidateSchema = new mongoose.Schema({
+  // Sorted pair; pairKey is "<idA>:<idB>" so a pair is only queued once
+  leadIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  }],
+  pairKey: { type: String, required: true },
+
+  score: { type: Number, min: 0, max: 100, index: true },
+  reasons: [{
+    rule: String,                                  // phone | email | emailSimilar | name | lastNameInitial | company
+    points: Number,
+    detail: String,
+    _id: false
+  }],
+
+  status: {
+    type: String,
+    enum: ['pending', 'merged', 'dismissed'],
+    default: 'pending',
+    index: true
+  },
+  detectedAt: { type: Date, default: Date.now },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  mergeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeadMerge'
+  }
+}, {
+  timestamps: true
+});
+
+duplicateCandidateSchema.index({ organizationId: 1, pairKey: 1 }, { unique: true });
+duplicateCandidateSchema.index({ status: 1, score: -1 });
+duplicateCandidateSchema.index({ leadIds: 1 });
+
+// Multi-tenant: restrict queries to the caller's organization
+duplicateCandidateSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('DuplicateCandidate', duplicateCandidateSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const organizationScope = require('../plugins/organizationScope.plugin');
+
+const RETENTION_DAYS = parseInt(process.env.LEAD_INTAKE_LOG_RETENTION_DAYS) || 30;
+
+/**
+ * Lead intake request - one POST to /api/intake/:sourceSlug and what came of it.
+ * Doubles as the idempotency record: a repeated Idempotency-Key replays the
+ * stored response instead of creating the lead again.
+ */
+const intakeRequestSchema = new mongoose.Schema({
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeadSource',
+    required: true
+  },
+  sourceSlug: String,
+  keyId: String,                                   // Credential used
+
+  idempotencyKey: String,
+  payloadHash: String,                             // Same key, different body = client error
+
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'failed'],
+    default: 'processing'
+  },
+  result: {
+    type: String,
+    enum: ['imported', 'duplicate', 'suppressed', 'invalid']
+  },
+  leadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  },
+  errorMessages: [String],
+  warnings: [String],
+  consentRecorded: { type: Boolean, default: false },
+
+  // Replayed verbatim for a repeated Idempotency-Key
+  response: {
+    statusCode: Number,
+    body: mongoose.Schema.Types.Mixed
+  },
+
+  ipAddress: String,
+  userAgent: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: RETENTION_DAYS * 24 * 60 * 60
+  }
+});
+
+intakeRequestSchema.index(
+  { organizationId: 1, sourceId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+intakeRequestSchema.index({ organizationId: 1, sourceId: 1, createdAt: -1 });
+
+// Multi-tenant: restrict queries to the caller's organization
+intakeRequestSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('IntakeRequest', intakeRequestSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const organizationScope = require('../plugins/organizationScope.plugin');
+const { dedupeKeys } = require('../../../utils/duplicateMatching');
 
 /**
  * Lead Schema for BMAD V4 Lead Qualification App
@@ -24,8 +26,6 @@ const leadSchema = new mongoose.Schema({
   },
   email: {
     type: String,
-    unique: true,
-    sparse: true,
     lowercase: true,
     trim: true,
     match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
@@ -33,7 +33,6 @@ const leadSchema = new mongoose.Schema({
   phone: {
     type: String,
     required: true,
-    unique: true,
     trim: true,
     match: [/^\+?[1-9]\d{1,14}$/, 'Please provide a valid phone number in E.164 format']
   },
@@ -111,6 +110,22 @@ const leadSchema = new mongoose.Schema({
   },
   nextFollowUpAt: Date,
   contactAttempts: { type: Number, default: 0 },
+  firstDialedAt: Date, // First outbound call attempt (time-to-first-dial analytics)
+  // Retry cadence for unanswered calls (services/cadence.service)
+  cadence: {
+    policyId: { type: mongoose.Schema.Types.ObjectId, ref: 'CadencePolicy' },
+    attempts: Number,
+    firstAttemptAt: Date,
+    lastAttemptAt: Date,
+    slots: [String],                               // Time-of-day slot of each attempt
+    nextAttemptAt: Date,
+    exhaustedAt: Date,                             // maxAttempts / windowDays used up
+    reachedAt: Date                                // Answered by a person - cadence stops
+  },
+  timezone: {
+    type: String,
+    trim: true
+  },
 
   // Notes and Activities
   notes: [{
@@ -165,13 +180,17 @@ const leadSchema = new mongoose.Schema({
   metadata: mongoose.Schema.Types.Mixed,
 
   // Consent and Compliance
+  // canCall/canEmail/canSMS are a projection of the consent_ledger table,
+  // rewritten by security/consent-manager - never set them directly
   consent: {
     canCall: { type: Boolean, default: true },
     canEmail: { type: Boolean, default: true },
     canSMS: { type: Boolean, default: true },
     recordCalls: { type: Boolean, default: true },
     gdprConsent: { type: Boolean, default: false },
-    consentDate: Date
+    consentDate: Date,
+    consentSource: String,
+    ledgerSyncedAt: Date
   },
 
   // Conversion Tracking
@@ -181,7 +200,15 @@ const leadSchema = new mongoose.Schema({
   // Lifecycle Tracking
   isActive: { type: Boolean, default: true, index: true },
   archivedAt: Date,
-  archivedReason: String
+  archivedReason: String,
+
+  // Duplicate handling (services/leadDeduplication.service)
+  // dedupeKeys are fuzzy-match blocking keys, recomputed on save
+  dedupeKeys: [String],
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  }
 
 }, {
   timestamps: true,
@@ -192,16 +219,24 @@ const leadSchema = new mongoose.Schema({
 // Indexes for Query Optimization
 leadSchema.index({ phone: 1 });
 leadSchema.index({ email: 1 });
+// Phone/email are unique per organization, not globally
+leadSchema.index({ organizationId: 1, phone: 1 }, { unique: true });
+leadSchema.index(
+  { organizationId: 1, email: 1 },
+  { unique: true, partialFilterExpression: { email: { $type: 'string' } } }
+);
 leadSchema.index({ status: 1, qualificationScore: -1 });
 leadSchema.index({ assignedTo: 1, status: 1 });
 leadSchema.index({ campaignId: 1, status: 1 });
 leadSchema.index({ createdAt: -1 });
 leadSchema.index({ lastContactedAt: -1 });
 leadSchema.index({ nextFollowUpAt: 1 });
+leadSchema.index({ 'cadence.nextAttemptAt': 1 });
 leadSchema.index({ qualificationScore: -1 });
 leadSchema.index({ tags: 1 });
 leadSchema.index({ 'company.industry': 1 });
 leadSchema.index({ isActive: 1, status: 1 });
+leadSchema.index({ dedupeKeys: 1 });
 
 // Compound indexes for common queries
 leadSchema.index({ assignedTo: 1, status: 1, nextFollowUpAt: 1 });
@@ -239,6 +274,11 @@ leadSchema.pre('save', function(next) {
     this.contactAttempts += 1;
   }
 
+  // Keep duplicate-matching keys in step with the fields they're built from
+  if (this.isNew || ['phone', 'alternatePhone', 'email', 'firstName', 'lastName'].some(path => this.isModified(path))) {
+    this.dedupeKeys = dedupeKeys(this);
+  }
+
   next();
 });
 
@@ -270,4 +310,7 @@ leadSchema.methods.calculateEngagement = function() {
   return Math.min(100, Math.round((totalConversations / daysSinceCreated) * 10));
 };
 
+// Multi-tenant: restrict queries to the caller's organization
+leadSchema.plugin(organizationScope);
+
 module.exports = mongoose.model('Lead', leadSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const organizationScope = require('../plugins/organizationScope.plugin');
+
+/**
+ * Lead import job - one uploaded file committed through leadImporter.importBulk
+ * Small files run inline; large ones run on the lead-imports queue and report
+ * progress over Socket.io (room "lead-import:<id>")
+ */
+const leadImportSchema = new mongoose.Schema({
+  filename: String,
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx', 'json']
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  source: { type: String, default: 'bulk_upload' },
+  mappingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeadImportMapping'
+  },
+  mapping: mongoose.Schema.Types.Mixed,            // { [header]: field | null } as used
+
+  // Dry-run classification of the file at upload time
+  counts: {
+    total: { type: Number, default: 0 },
+    valid: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 },
+    duplicate: { type: Number, default: 0 },
+    dnc: { type: Number, default: 0 }
+  },
+
+  progress: {
+    processed: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }
+  },
+
+  // leadImporter.importBulk outcome for the valid rows
+  results: {
+    imported: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 }
+  },
+  errorDetails: [{
+    row: Number,                                   // 1-based data row in the file
+    error: String,
+    _id: false
+  }],
+  warnings: [String],
+  error: String,
+
+  jobId: String,
+  startedAt: Date,
+  completedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+leadImportSchema.index({ createdAt: -1 });
+
+// Multi-tenant: restrict queries to the caller's organization
+leadImportSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('LeadImport', leadImportSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const organizationScope = require('../plugins/organizationScope.plugin');
+
+/**
+ * Saved lead import mapping - reusable column → lead field assignments
+ * for files that always arrive in the same layout (see utils/leadImportMapping)
+ */
+const leadImportMappingSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: String,
+
+  // Stored as a list: spreadsheet headers may contain "." which map keys can't
+  columns: [{
+    header: { type: String, required: true },
+    field: String,                                 // null = ignore the column
+    _id: false
+  }],
+
+  // Applied to every imported row
+  defaults: {
+    source: String,
+    priority: String,
+    tags: [String],
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign'
+    }
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+leadImportMappingSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+
+/**
+ * Column mapping as { [header]: field | null }
+ */
+leadImportMappingSchema.methods.toMapping = function() {
+  return this.columns.reduce((mapping, column) => {
+    mapping[column.header] = column.field || null;
+    return mapping;
+  }, {});
+};
+
+// Multi-tenant: restrict queries to the caller's organization
+leadImportMappingSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('LeadImportMapping', leadImportMappingSchema);
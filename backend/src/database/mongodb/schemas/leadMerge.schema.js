@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const organizationScope = require('../plugins/organizationScope.plugin');
+
+/**
+ * Lead merge - the undo record for merging duplicates into a surviving lead
+ *
+ * Holds exactly what the merge changed so it can be reversed without losing
+ * activity recorded on the survivor afterwards.
+ */
+const movedSchema = new mongoose.Schema({
+  id: String,                                      // Moved record (Mongo ObjectId or PostgreSQL id)
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  }
+}, { _id: false });
+
+const leadMergeSchema = new mongoose.Schema({
+  survivorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true,
+    index: true
+  },
+  mergedIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    index: true
+  }],
+
+  // Survivor changes: field values before / after, plus added array items
+  survivorChanges: {
+    fields: [{
+      path: String,                                // e.g. "email", "company.name"
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed,
+      _id: false
+    }],
+    addedTags: [String],
+    addedNoteIds: [mongoose.Schema.Types.ObjectId],
+    addedConversationIds: [mongoose.Schema.Types.ObjectId]
+  },
+
+  // Merged leads as they were before being archived
+  mergedSnapshots: [mongoose.Schema.Types.Mixed],
+
+  moved: {
+    callLogs: [movedSchema],
+    conversations: [movedSchema],
+    scoreHistory: [movedSchema]
+  },
+
+  candidateIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DuplicateCandidate'
+  }],
+  warnings: [String],
+
+  status: {
+    type: String,
+    enum: ['completed', 'undone'],
+    default: 'completed',
+    index: true
+  },
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  mergedAt: { type: Date, default: Date.now },
+  undoneBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  undoneAt: Date
+}, {
+  timestamps: true
+});
+
+leadMergeSchema.index({ mergedAt: -1 });
+
+// Multi-tenant: restrict queries to the caller's organization
+leadMergeSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('LeadMerge', leadMergeSchema);
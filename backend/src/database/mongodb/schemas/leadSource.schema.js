@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const organizationScope = require('../plugins/organizationScope.plugin');
+const { TEMPLATE_FORMATS } = require('../../../utils/leadSourceParsers');
+
+/**
+ * Lead source - a vendor or channel that sends us leads, with the rules
+ * that recognise its emails and the template that extracts their fields
+ * (see utils/leadSourceParsers). Sources are tried in priority order; a
+ * source whose slug matches a built-in one replaces it.
+ *
+ * With intake enabled the source also accepts leads posted to
+ * POST /api/intake/:slug (see services/leadIntake.service).
+ */
+const leadSourceSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  slug: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+  },
+  description: String,
+  isActive: { type: Boolean, default: true },
+  priority: { type: Number, default: 100 },        // Lower is tried first
+
+  match: {
+    senders: [String],                             // Address or "@domain.com"
+    subjectPatterns: [String]                      // Case-insensitive regular expressions
+  },
+
+  // Email template; intake-only sources have none
+  template: {
+    format: {
+      type: String,
+      enum: TEMPLATE_FORMATS
+    },
+    // Stored as a list: labels and JSON paths may contain "." which map keys can't.
+    // Empty = map labels by name, like file imports
+    fields: [{
+      label: { type: String, required: true },
+      field: String,                               // null = ignore the label
+      _id: false
+    }],
+    jsonRoot: String                               // json: dot path to the lead object / array
+  },
+
+  // Applied to every lead from this source
+  defaults: {
+    source: String,
+    priority: String,
+    tags: [String],
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign'
+    }
+  },
+
+  intake: {
+    enabled: { type: Boolean, default: false },
+
+    // Credentials: API key ("lsk_<keyId>_<secret>", only the hash is kept)
+    // or HMAC signing secret (kept to verify signatures)
+    keys: [{
+      keyId: { type: String, required: true },
+      name: String,
+      type: {
+        type: String,
+        enum: ['api_key', 'hmac'],
+        default: 'api_key'
+      },
+      secretHash: { type: String, select: false },
+      signingSecret: { type: String, select: false },
+      createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      createdAt: { type: Date, default: Date.now },
+      lastUsedAt: Date,
+      revokedAt: Date
+    }],
+
+    // Payload key → lead field; empty = map keys by name
+    fields: [{
+      label: { type: String, required: true },
+      field: String,
+      _id: false
+    }],
+
+    consent: {
+      channels: {
+        type: [String],
+        default: ['call', 'sms', 'email']
+      },
+      disclosureText: String,                      // The form's TCPA disclosure, when not posted
+      fields: {                                    // Payload keys, when not the usual names
+        granted: String,
+        disclosureText: String,
+        pageUrl: String,
+        ipAddress: String,
+        userAgent: String,
+        consentedAt: String
+      }
+    }
+  },
+
+  stats: {
+    matched: { type: Number, default: 0 },
+    imported: { type: Number, default: 0 },
+    quarantined: { type: Number, default: 0 },
+    lastMatchedAt: Date
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+leadSourceSchema.index({ organizationId: 1, slug: 1 }, { unique: true });
+leadSourceSchema.index({ organizationId: 1, isActive: 1, priority: 1 });
+leadSourceSchema.index({ 'intake.keys.keyId': 1 });
+
+// Multi-tenant: restrict queries to the caller's organization
+leadSourceSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('LeadSource', leadSourceSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const organizationScope = require('../plugins/organizationScope.plugin');
+
+const LEAD_STATUSES = ['new', 'contacted', 'qualified', 'nurturing', 'converted', 'disqualified', 'lost'];
+
+// Lead status / score filter shared by enrollment triggers and step conditions
+const leadConditionSchema = new mongoose.Schema({
+  statuses: [{ type: String, enum: LEAD_STATUSES }],
+  minScore: Number,
+  maxScore: Number
+}, { _id: false });
+
+const stepSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['sms', 'email', 'call_task'],
+    required: true
+  },
+  // Wait after enrollment (first step) or after the previous step
+  delayMinutes: { type: Number, default: 0, min: 0 },
+
+  // Message body / task note; supports {{merge.fields}} from leadContextService
+  template: { type: String, required: true },
+  subject: String, // email only
+
+  // Step only runs when the lead matches; otherwise onConditionFail applies
+  conditions: leadConditionSchema,
+  onConditionFail: {
+    type: String,
+    enum: ['skip', 'exit'],
+    default: 'skip'
+  }
+}, { _id: true });
+
+const nurtureSequenceSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: String,
+  isActive: { type: Boolean, default: true, index: true },
+
+  // Leads are auto-enrolled when leadLifecycleService moves them into one of these statuses
+  trigger: leadConditionSchema,
+
+  steps: {
+    type: [stepSchema],
+    validate: [steps => steps.length > 0, 'A sequence needs at least one step']
+  },
+
+  // Pause enrollments when the lead replies (SMS or email)
+  pauseOnReply: { type: Boolean, default: true },
+
+  // Exit enrollments when the lead leaves the trigger statuses
+  exitOnStatusChange: { type: Boolean, default: true },
+
+  createdBy: String,
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+nurtureSequenceSchema.index({ isActive: 1, 'trigger.statuses': 1 });
+
+// Multi-tenant: restrict queries to the caller's organization
+nurtureSequenceSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('NurtureSequence', nurtureSequenceSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Organization Schema
+ * Tenant boundary for users, leads, calls, campaigns and DNC entries
+ *
+ * _id is a UUID string (not an ObjectId) so the same identifier is used
+ * for the PostgreSQL `organization_id UUID` columns (dnc_list, leads, etc.)
+ */
+
+const organizationSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: () => crypto.randomUUID()
+  },
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9-]+$/, 'Slug may only contain lowercase letters, numbers and hyphens']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  settings: {
+    timezone: { type: String, default: 'America/New_York' },
+    callerIdNumber: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+/**
+ * Build a unique slug from an organization name
+ */
+organizationSchema.statics.generateSlug = async function(name) {
+  const base = String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50) || 'org';
+
+  let slug = base;
+  let suffix = 1;
+  while (await this.exists({ slug })) {
+    suffix += 1;
+    slug = `${base}-${suffix}`;
+  }
+
+  return slug;
+};
+
+module.exports = mongoose.model('Organization', organizationSchema);
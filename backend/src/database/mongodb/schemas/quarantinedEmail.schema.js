@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const organizationScope = require('../plugins/organizationScope.plugin');
+
+/**
+ * Quarantined lead email - an imported email no lead source could parse.
+ * The message is kept so it can be re-run once a source is added or fixed.
+ */
+const quarantinedEmailSchema = new mongoose.Schema({
+  messageId: { type: String, required: true },     // Gmail message ID
+  threadId: String,
+  from: String,
+  subject: String,
+  receivedAt: Date,
+
+  body: String,
+  html: String,
+  attachments: [{
+    filename: String,
+    mimeType: String,
+    size: Number,
+    content: String,                               // CSV text only
+    _id: false
+  }],
+
+  reason: {
+    type: String,
+    enum: ['no_matching_source', 'parse_failed', 'invalid_leads'],
+    required: true,
+    index: true
+  },
+  sourceSlug: String,                              // Source that matched, if any
+  parseErrors: [String],
+
+  status: {
+    type: String,
+    enum: ['pending', 'imported', 'dismissed'],
+    default: 'pending',
+    index: true
+  },
+  attempts: { type: Number, default: 0 },
+  leadIds: [{                                      // Leads imported from it (partial or on reprocess)
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  }],
+
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: String
+}, {
+  timestamps: true
+});
+
+quarantinedEmailSchema.index({ organizationId: 1, messageId: 1 }, { unique: true });
+quarantinedEmailSchema.index({ organizationId: 1, status: 1, createdAt: -1 });
+
+// Multi-tenant: restrict queries to the caller's organization
+quarantinedEmailSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('QuarantinedEmail', quarantinedEmailSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const organizationScope = require('../plugins/organizationScope.plugin');
+
+/**
+ * Report delivery log - one entry per email sent for a ReportSubscription
+ * (recipients sharing a timezone receive a single email)
+ */
+const reportDeliverySchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReportSubscription',
+    required: true,
+    index: true
+  },
+  recipients: [String],
+  timezone: String,
+  range: {
+    start: Date,
+    end: Date
+  },
+  formats: [String],
+  attachments: [{
+    filename: String,
+    size: Number,                                  // Bytes
+    _id: false
+  }],
+  transport: String,                               // gmail | smtp
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true,
+    index: true
+  },
+  messageId: String,
+  error: String,
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deliveredAt: { type: Date, default: Date.now, index: true }
+}, {
+  timestamps: true
+});
+
+reportDeliverySchema.index({ subscriptionId: 1, deliveredAt: -1 });
+
+// Multi-tenant: restrict queries to the caller's organization
+reportDeliverySchema.plugin(organizationScope);
+
+module.exports = mongoose.model('ReportDelivery', reportDeliverySchema);
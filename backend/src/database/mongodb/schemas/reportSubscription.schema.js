@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const organizationScope = require('../plugins/organizationScope.plugin');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Each recipient gets the report at the scheduled local time in their own timezone
+const recipientSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+  },
+  name: String,
+  timezone: { type: String, default: 'America/New_York' },
+  // Maintained by services/reportSubscription.service
+  nextDeliveryAt: { type: Date, index: true },
+  lastDeliveredAt: Date
+}, { _id: true });
+
+const reportSubscriptionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  isActive: { type: Boolean, default: true, index: true },
+
+  // What to run (see utils/reportDefinitions)
+  // daily / weekly / monthly send the last complete period; custom sends the last lookbackDays
+  report: {
+    period: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly', 'custom'],
+      required: true
+    },
+    metrics: [String],       // custom only
+    dimensions: [String],    // custom only
+    lookbackDays: { type: Number, min: 1, max: 366, default: 7 }
+  },
+
+  // When to send, in each recipient's local time
+  schedule: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly'],
+      required: true
+    },
+    dayOfWeek: { type: Number, min: 0, max: 6, default: 1 },    // weekly: 0 = Sunday
+    dayOfMonth: { type: Number, min: 1, max: 28, default: 1 },  // monthly
+    time: { type: String, match: TIME_PATTERN, default: '08:00' }
+  },
+
+  formats: {
+    type: [{ type: String, enum: ['csv', 'pdf'] }],
+    default: ['csv', 'pdf'],
+    validate: [formats => formats.length > 0, 'At least one format is required']
+  },
+
+  recipients: {
+    type: [recipientSchema],
+    validate: [recipients => recipients.length > 0, 'At least one recipient is required']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+reportSubscriptionSchema.index({ isActive: 1, 'recipients.nextDeliveryAt': 1 });
+
+// Multi-tenant: restrict queries to the caller's organization
+reportSubscriptionSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('ReportSubscription', reportSubscriptionSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const organizationScope = require('../plugins/organizationScope.plugin');
+
+const sequenceEnrollmentSchema = new mongoose.Schema({
+  sequenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NurtureSequence',
+    required: true,
+    index: true
+  },
+  leadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true,
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed', 'exited', 'cancelled'],
+    default: 'active',
+    index: true
+  },
+
+  // Index into NurtureSequence.steps of the next step to run
+  currentStep: { type: Number, default: 0 },
+  nextStepAt: Date,
+  // Bull job the enrollment is waiting on; older jobs for it are ignored
+  jobId: String,
+
+  enrolledAt: { type: Date, default: Date.now },
+  enrolledBy: String, // User ID, or 'lifecycle' for automatic enrollment
+  pausedAt: Date,
+  pauseReason: String,
+  completedAt: Date,
+  exitReason: String,
+
+  // One entry per step attempt (maintained by services/nurtureSequence.service)
+  history: [{
+    stepIndex: Number,
+    type: { type: String },
+    outcome: {
+      type: String,
+      enum: ['sent', 'created', 'skipped', 'deferred', 'blocked', 'failed']
+    },
+    reason: String,
+    messageId: String,
+    at: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+sequenceEnrollmentSchema.index({ leadId: 1, status: 1 });
+sequenceEnrollmentSchema.index({ sequenceId: 1, leadId: 1, status: 1 });
+
+// Multi-tenant: restrict queries to the caller's organization
+sequenceEnrollmentSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('SequenceEnrollment', sequenceEnrollmentSchema);
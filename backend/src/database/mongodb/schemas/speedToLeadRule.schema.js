@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const organizationScope = require('../plugins/organizationScope.plugin');
+
+/**
+ * Speed-to-lead rule - which newly imported leads (Gmail, intake webhook)
+ * the AI agent dials straight away (see services/speedToLead.service).
+ * Rules are checked in priority order; the first match wins.
+ */
+const speedToLeadRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: String,
+  isActive: { type: Boolean, default: true },
+  priority: { type: Number, default: 100 },        // Lower is checked first
+
+  // Every list that is set must contain the lead's value (utils/speedToLead)
+  criteria: {
+    priorities: [{ type: String, enum: ['low', 'medium', 'high', 'urgent'] }],
+    sources: [String],                             // Lead.source
+    leadSources: [String],                         // Lead-source slugs (customFields.leadSource)
+    categories: [String],                          // customFields.category, e.g. "fresh"
+    tags: [String]                                 // Any one tag
+  },
+
+  // Keep retrying this long while every line is busy, then leave the lead to the queue
+  maxWaitMinutes: { type: Number, default: 15, min: 1, max: 1440 },
+
+  // Speed-to-lead calls this rule may have live at once
+  maxConcurrent: { type: Number, default: 5, min: 1 },
+
+  stats: {
+    triggered: { type: Number, default: 0 },
+    dialed: { type: Number, default: 0 },
+    deferred: { type: Number, default: 0 },        // Calling window closed - dialed when it opens
+    blocked: { type: Number, default: 0 },         // DNC / no consent / daily cap
+    expired: { type: Number, default: 0 },         // No capacity within maxWaitMinutes
+    lastTriggeredAt: Date,
+    lastDialedAt: Date
+  },
+
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+speedToLeadRuleSchema.index({ organizationId: 1, isActive: 1, priority: 1 });
+
+// Multi-tenant: restrict queries to the caller's organization
+speedToLeadRuleSchema.plugin(organizationScope);
+
+module.exports = mongoose.model('SpeedToLeadRule', speedToLeadRuleSchema);
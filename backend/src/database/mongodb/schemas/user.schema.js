@@ -26,6 +26,11 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Last name is required'],
     trim: true
   },
+  organizationId: {
+    type: String,
+    ref: 'Organization',
+    index: true
+  },
   role: {
     type: String,
     enum: ['user', 'admin', 'manager', 'agent'],
@@ -0,0 +1,96 @@
+/**
+ * Call Lifecycle Subscribers
+ *
+ * Wires services to the call domain events raised by
+ * services/callLifecycle.service once a Telnyx event has been persisted:
+ * - Campaign metrics (answered calls, voicemails, lines in use, talk time)
+ * - Speed-to-lead answer time
+ * - Voicemail drop on answering machines
+ * - Retry cadence for every ended attempt (including voicemail follow-ups)
+ * - Lead queue reservation release when a call ends
+ * - Supervisor monitoring legs hung up when a call ends
+ * - Lead score recalculation when a call ends
+ *
+ * Registered once at startup from server.js.
+ */
+
+const callLifecycle = require('../services/callLifecycle.service');
+const campaignEngine = require('../services/campaignEngine.service');
+const speedToLeadService = require('../services/speedToLead.service');
+const leadQueueService = require('../services/leadQueueService');
+const leadLifecycleService = require('../services/leadLifecycleService');
+const voicemailDropService = require('../services/voicemailDrop.service');
+const cadenceService = require('../services/cadence.service');
+const supervisorService = require('../services/supervisor.service');
+const { triggerScoreAfterCall } = require('./leadScoringTriggers');
+
+let registered = false;
+
+/**
+ * Subscribe services to call domain events (safe to call more than once)
+ */
+function registerCallLifecycleSubscribers() {
+  if (registered) return;
+  registered = true;
+
+  callLifecycle.subscribe('call.answered', async ({ callLog }) => {
+    if (callLog.campaignId) {
+      await campaignEngine.handleCallAnswered(callLog);
+    }
+    if (callLog.metadata?.speedToLeadRuleId) {
+      await speedToLeadService.handleCallAnswered(callLog);
+    }
+  });
+
+  callLifecycle.subscribe('call.ended', async ({ callLog }) => {
+    if (callLog.campaignId) {
+      await campaignEngine.handleCallEnded(callLog);
+    }
+  });
+
+  callLifecycle.subscribe('call.machine_detected', ({ callLog }) => voicemailDropService.handleMachineDetected(callLog));
+  callLifecycle.subscribe('call.greeting_ended', ({ callLog }) => voicemailDropService.handleGreetingEnded(callLog));
+  callLifecycle.subscribe('call.playback_ended', ({ callLog }) => voicemailDropService.handlePlaybackEnded(callLog));
+
+  callLifecycle.subscribe('call.voicemail', async ({ callLog }) => {
+    if (callLog.campaignId) {
+      await campaignEngine.handleCallVoicemail(callLog);
+    }
+  });
+
+  // Every ended attempt advances the lead's retry cadence; voicemails are
+  // retried when the cadence says so
+  callLifecycle.subscribe('call.ended', async ({ callLog, leadId }) => {
+    if (!leadId) return;
+
+    const attempt = await cadenceService.recordAttempt(callLog);
+
+    if (callLog.answeredAt && ['machine', 'voicemail'].includes(callLog.answerState)) {
+      await leadLifecycleService.scheduleVoicemailRetry(leadId, {
+        left: Boolean(callLog.voicemail?.left),
+        callLogId: callLog.callLogId,
+        ...(attempt && { retryAt: attempt.nextAttemptAt })
+      });
+    }
+  });
+
+  // Supervisors monitoring the call are hung up with it
+  callLifecycle.subscribe('call.ended', async ({ callLog }) => {
+    if (callLog.monitoring?.sessions?.length) {
+      await supervisorService.endAllSessions(callLog);
+    }
+  });
+
+  // Dialers reserve the lead before calling; any ended call frees it
+  callLifecycle.subscribe('call.ended', async ({ leadId }) => {
+    if (leadId) await leadQueueService.releaseLead(leadId);
+  });
+
+  callLifecycle.subscribe('call.ended', async ({ leadId, callLog }) => {
+    if (leadId) await triggerScoreAfterCall(String(leadId), callLog);
+  });
+}
+
+module.exports = {
+  registerCallLifecycleSubscribers
+};
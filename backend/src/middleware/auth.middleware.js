@@ -1,5 +1,6 @@
 const User = require('../database/mongodb/schemas/user.schema');
 const { verifyToken, extractTokenFromHeader, validateTokenType } = require('../utils/jwt.util');
+const { runWithOrganization } = require('../utils/tenant.util');
 
 /**
  * Main authentication middleware
@@ -62,11 +63,30 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Fail closed - a null organization context is unscoped and would see every tenant
+    const organizationId = user.organizationId ? String(user.organizationId) : null;
+    if (!organizationId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is not assigned to an organization. Please contact support.'
+      });
+    }
+
+    // Token must have been issued for the user's current organization
+    if ((decoded.orgId || null) !== organizationId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Organization membership has changed. Please log in again.'
+      });
+    }
+
     // Attach user to request
     req.user = user;
     req.token = token;
+    req.organizationId = organizationId;
 
-    next();
+    // Scope everything downstream (including mongoose queries) to the organization
+    runWithOrganization(organizationId, next);
   } catch (error) {
     console.error('Authentication error:', error);
     return res.status(500).json({
@@ -118,9 +138,14 @@ const optionalAuth = async (req, res, next) => {
     if (validateTokenType(decoded, 'access')) {
       const user = await User.findById(decoded.userId).select('-password -refreshTokens');
 
-      if (user && user.isActive && !user.isLocked()) {
+      const organizationId = user?.organizationId ? String(user.organizationId) : null;
+
+      // Users without an organization are treated as anonymous rather than unscoped
+      if (user && organizationId && user.isActive && !user.isLocked() && decoded.orgId === organizationId) {
         req.user = user;
         req.token = token;
+        req.organizationId = organizationId;
+        return runWithOrganization(organizationId, next);
       }
     }
 
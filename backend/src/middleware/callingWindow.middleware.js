@@ -0,0 +1,88 @@
+/**
+ * Calling Window Middleware
+ *
+ * @description Blocks outbound call initiation outside the TCPA calling
+ *              window in the lead's local timezone (8am-9pm federal, plus
+ *              state-specific quiet hours and holidays)
+ * @owner Marcus Thompson (Security Specialist)
+ *
+ * Blocked requests get a 403 with a structured reason and `nextAllowedAt`
+ * so the dialer can reschedule instead of retrying blindly.
+ */
+
+const mongoose = require('mongoose');
+const Lead = require('../database/mongodb/schemas/lead.schema');
+const tcpaCompliance = require('../security/tcpa-compliance');
+const logger = require('../utils/logger');
+
+/**
+ * Enforce calling window before call initiation
+ * Reads leadId/lead_id/metadata.leadId and phoneNumber/to from the body
+ */
+async function enforceCallingWindow(req, res, next) {
+  try {
+    const { leadId, lead_id, phoneNumber, to, metadata } = req.body;
+    const targetLeadId = leadId || lead_id || metadata?.leadId;
+    const targetPhone = phoneNumber || to;
+
+    let lead = null;
+    if (targetLeadId && mongoose.isValidObjectId(targetLeadId)) {
+      lead = await Lead.findById(targetLeadId).lean();
+    }
+
+    // Nothing to evaluate - let the controller's own validation respond
+    if (!lead && !targetPhone) {
+      return next();
+    }
+
+    const result = await tcpaCompliance.checkCallingWindow(lead, { phoneNumber: targetPhone });
+    req.callingWindow = result;
+
+    if (!result.allowed) {
+      logger.warn('Call blocked: outside calling window', {
+        phoneNumber: targetPhone,
+        leadId: targetLeadId,
+        userId: req.user?._id,
+        reason: result.reason,
+        state: result.state,
+        timezones: result.timezones
+      });
+
+      return res.status(403).json({
+        success: false,
+        message: 'Call blocked: outside the permitted calling window for this lead',
+        error: 'OUTSIDE_CALLING_WINDOW',
+        data: {
+          reason: result.reason,
+          description: result.message,
+          nextAllowedAt: result.nextAllowedAt,
+          state: result.state,
+          timezones: result.timezones,
+          timezoneSource: result.source,
+          localTimes: result.zones.map(zone => ({
+            timezone: zone.timezone,
+            localTime: zone.localTime,
+            window: zone.window
+          }))
+        }
+      });
+    }
+
+    next();
+
+  } catch (error) {
+    logger.error('Error in calling window middleware:', error);
+
+    // FAIL-SAFE: On error, block the call
+    return res.status(500).json({
+      success: false,
+      message: 'Unable to verify calling window. Call blocked for compliance safety.',
+      error: 'CALLING_WINDOW_CHECK_FAILED',
+      details: error.message
+    });
+  }
+}
+
+module.exports = {
+  enforceCallingWindow
+};
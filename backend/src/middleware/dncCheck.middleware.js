@@ -35,7 +35,7 @@ async function checkDNCBeforeCall(req, res, next) {
       });
     }
 
-    const organizationId = req.user.organization_id;
+    const organizationId = req.organizationId;
     const userId = req.user.id;
 
     logger.debug('Checking DNC before call initiation', {
@@ -125,7 +125,7 @@ async function checkDNCBulk(req, res, next) {
       });
     }
 
-    const organizationId = req.user.organization_id;
+    const organizationId = req.organizationId;
 
     let phonesToCheck = phoneNumbers;
 
@@ -313,7 +313,7 @@ async function checkDNCOverridePermission(req, res, next) {
     // Log the override
     await logDNCOverride({
       userId: req.user.id,
-      organizationId: req.user.organization_id,
+      organizationId: req.organizationId,
       phoneNumber: req.body.phoneNumber,
       reason: overrideReason,
       consentDocumented
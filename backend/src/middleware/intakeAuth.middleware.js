@@ -0,0 +1,44 @@
+/**
+ * Intake Auth Middleware
+ *
+ * @description Authenticates lead intake requests with one of the lead
+ *              source's intake keys (see services/leadIntake.service)
+ *
+ * Sets req.intakeSource, req.intakeKey and req.intakeKeyId. Only a verified
+ * key gets its own rate-limit bucket - until then the caller counts by IP.
+ */
+
+const leadIntakeService = require('../services/leadIntake.service');
+const logger = require('../utils/logger');
+
+/**
+ * Verify the API key or HMAC signature for :sourceSlug
+ */
+async function authenticateIntake(req, res, next) {
+  try {
+    const auth = await leadIntakeService.authenticate(req.params.sourceSlug, {
+      headers: req.headers,
+      rawBody: req.rawBody
+    });
+
+    if (auth.error) {
+      return res.status(auth.status || 401).json({
+        success: false,
+        message: auth.error
+      });
+    }
+
+    req.intakeSource = auth.source;
+    req.intakeKey = auth.key;
+    req.intakeKeyId = auth.key.keyId;
+
+    next();
+  } catch (error) {
+    logger.error('Error authenticating intake request:', error);
+    next(error);
+  }
+}
+
+module.exports = {
+  authenticateIntake
+};
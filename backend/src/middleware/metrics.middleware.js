@@ -0,0 +1,74 @@
+/**
+ * Metrics Middleware
+ *
+ * @description HTTP latency per route and the Prometheus scrape endpoint
+ *              (see utils/metrics)
+ */
+
+const crypto = require('crypto');
+const { register, httpRequestDuration } = require('../utils/metrics');
+
+/**
+ * Route pattern for the latency label - the matched route, never the raw path,
+ * so ids don't create a series per request
+ * @param {Object} req - Express request
+ * @returns {String} e.g. /api/leads/:id, or 'unmatched' when no route handled it
+ */
+function routeLabel(req) {
+  if (!req.route) return 'unmatched';
+  return `${req.baseUrl}${req.route.path}`;
+}
+
+/**
+ * Observe request latency once the response is sent
+ */
+function httpMetrics(req, res, next) {
+  const end = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    end({
+      method: req.method,
+      route: routeLabel(req),
+      status_code: res.statusCode
+    });
+  });
+
+  next();
+}
+
+/**
+ * Serve metrics in the Prometheus text format
+ * GET /metrics - requires "Authorization: Bearer <METRICS_TOKEN>" when METRICS_TOKEN is set
+ */
+async function metricsEndpoint(req, res, next) {
+  try {
+    const token = process.env.METRICS_TOKEN;
+    if (token && !safeEqual(req.get('authorization') || '', `Bearer ${token}`)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid metrics token'
+      });
+    }
+
+    res.set('Content-Type', register.contentType);
+    res.end(await register.metrics());
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Constant-time string comparison
+ * @private
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+module.exports = {
+  httpMetrics,
+  metricsEndpoint,
+  routeLabel
+};
@@ -1,11 +1,224 @@
-const rateLimit = require('express-rate-limit');
+/**
+ * Rate Limit Middleware
+ *
+ * @description Redis-backed fixed-window limits shared by every backend
+ *              replica (arithmetic in utils/rateLimits)
+ *
+ * - rateLimiter(policy) - requests per window per caller: the signed-in user,
+ *   else the verified lead intake key (routes after middleware/intakeAuth),
+ *   else the client IP
+ * - quota(policy) - cost units per window, e.g. phone numbers scrubbed per
+ *   organization per day. Blocked requests don't use up the quota.
+ *
+ * Limits come back in RateLimit-* headers (the tightest limit on the request
+ * wins) and blocked requests are answered 429 and audited. If Redis is
+ * unavailable requests are let through rather than taking the API down.
+ */
 
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.',
-  standardHeaders: true,
-  legacyHeaders: false,
-});
+const { redisClient } = require('../config/database');
+const { verifyToken, extractTokenFromHeader, validateTokenType } = require('../utils/jwt.util');
+const {
+  identify,
+  resolveMax,
+  currentWindow,
+  evaluate,
+  limitHeaders,
+  validatePolicy
+} = require('../utils/rateLimits');
+const auditLogger = require('../security/audit-logger');
+const logger = require('../utils/logger');
 
-module.exports = limiter;
+const KEY_PREFIX = 'ratelimit';
+
+let redisDown = false;
+
+/**
+ * Who is calling. Before authenticate has run (the API-wide limiter) the
+ * user comes from the access token itself - verified, but without a
+ * database lookup.
+ * @private
+ */
+function callerOf(req) {
+  const caller = { ip: req.ip };
+
+  if (req.user) {
+    return {
+      ...caller,
+      userId: String(req.user._id),
+      role: req.user.role,
+      organizationId: req.organizationId || null
+    };
+  }
+
+  const token = extractTokenFromHeader(req.headers.authorization);
+  if (token && !token.startsWith('lsk_')) {
+    try {
+      const decoded = verifyToken(token);
+      if (validateTokenType(decoded, 'access')) {
+        return { ...caller, userId: decoded.userId, role: decoded.role, organizationId: decoded.orgId || null };
+      }
+    } catch (error) {
+      // Invalid or expired - authenticate answers it, limit by IP meanwhile
+    }
+  }
+
+  // Only a key middleware/intakeAuth verified - presented key IDs are unproven
+  if (req.intakeKeyId) caller.apiKeyId = String(req.intakeKeyId);
+
+  return caller;
+}
+
+/**
+ * Add cost to a window's counter
+ * @private
+ * @returns {Number|null} Counter after this request, null when Redis is unavailable
+ */
+async function consume(key, cost, windowMs) {
+  if (!redisClient.isReady) {
+    if (!redisDown) logger.warn('Rate limiting disabled: Redis is not connected');
+    redisDown = true;
+    return null;
+  }
+
+  try {
+    const [count] = await redisClient.multi()
+      .incrBy(key, cost)
+      .pExpire(key, windowMs)
+      .exec();
+
+    redisDown = false;
+    return Number(count);
+  } catch (error) {
+    logger.warn('Rate limiting skipped: Redis error', { key, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Set RateLimit-* headers unless a tighter limit already set them
+ * @private
+ */
+function setHeaders(res, result, windowMs) {
+  const current = res.getHeader('RateLimit-Remaining');
+  if (current !== undefined && Number(current) < result.remaining && result.allowed) return;
+
+  res.set(limitHeaders(result, windowMs));
+}
+
+/**
+ * Answer and audit a blocked request
+ * @private
+ */
+function block(req, res, { policy, identity, caller, result, message }) {
+  auditLogger.logSecurityViolation('rate_limit_exceeded', {
+    policy: policy.name,
+    limitedBy: identity.key,
+    limit: result.limit,
+    windowMs: policy.windowMs,
+    userId: caller.userId || null,
+    organizationId: caller.organizationId || null,
+    apiKeyId: caller.apiKeyId || null,
+    ipAddress: req.ip,
+    method: req.method,
+    path: req.originalUrl
+  }).catch(error => logger.error('Failed to audit rate limit violation:', error));
+
+  return res.status(429).json({
+    success: false,
+    message,
+    retryAfter: result.resetSeconds
+  });
+}
+
+/**
+ * Build a limiter middleware
+ * @private
+ */
+function createLimiter(policy, { per, cost, refundBlocked, message }) {
+  const invalid = validatePolicy(policy);
+  if (invalid) throw new Error(invalid);
+
+  return async (req, res, next) => {
+    try {
+      if (policy.skip && policy.skip(req)) return next();
+
+      const caller = callerOf(req);
+      const identity = identify(caller, per);
+      const max = resolveMax(policy, identity);
+      const units = cost(req);
+
+      const now = Date.now();
+      const window = currentWindow(now, policy.windowMs);
+      const key = `${KEY_PREFIX}:${policy.name}:${identity.key}:${window.index}`;
+
+      const count = await consume(key, units, policy.windowMs);
+      if (count === null) return next();
+
+      const result = evaluate({ count, max, resetAt: window.resetAt, now });
+      setHeaders(res, result, policy.windowMs);
+
+      if (result.allowed) return next();
+
+      if (refundBlocked) {
+        await redisClient.decrBy(key, units).catch(() => undefined);
+        result.remaining = Math.max(max - (count - units), 0);
+        setHeaders(res, result, policy.windowMs);
+      }
+
+      return block(req, res, { policy, identity, caller, result, message: message(result, units) });
+    } catch (error) {
+      logger.error('Rate limiter error:', error);
+      next();
+    }
+  };
+}
+
+/**
+ * Requests per window per caller
+ * @param {Object} policy - { name, max, windowMs, roles, anonymousMax, skip(req) }
+ *                          name defaults to the route (method + path) it's mounted on
+ * @returns {Function} Express middleware
+ */
+function rateLimiter(policy) {
+  const limiters = new Map();
+
+  const options = {
+    per: 'caller',
+    cost: () => 1,
+    refundBlocked: false,
+    message: () => 'Too many requests, please try again later.'
+  };
+
+  if (policy.name) return createLimiter(policy, options);
+
+  const invalid = validatePolicy({ name: 'rateLimiter', ...policy });
+  if (invalid) throw new Error(invalid);
+
+  // Unnamed: one counter per route it guards (dnc.routes declares one per route)
+  return (req, res, next) => {
+    const name = `${req.method}:${req.baseUrl}${req.route ? req.route.path : req.path}`;
+    if (!limiters.has(name)) limiters.set(name, createLimiter({ ...policy, name }, options));
+    return limiters.get(name)(req, res, next);
+  };
+}
+
+/**
+ * Cost units per window, per caller or per organization
+ * @param {Object} policy - { name, max, windowMs, roles, per: 'caller'|'organization', cost(req), unit }
+ *                          With per 'organization', roles[role] is how far a caller
+ *                          with that role may take the organization's shared total.
+ * @returns {Function} Express middleware
+ */
+function quota({ per = 'caller', cost = () => 1, unit = 'requests', ...policy }) {
+  return createLimiter(policy, {
+    per,
+    cost: req => Math.max(Number(cost(req)) || 0, 0),
+    refundBlocked: true,
+    message: (result, units) => `Quota exceeded: ${units} ${unit} requested, ${result.remaining} of ${result.limit} left in this window.`
+  });
+}
+
+module.exports = {
+  rateLimiter,
+  quota
+};
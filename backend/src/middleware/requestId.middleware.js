@@ -0,0 +1,21 @@
+/**
+ * Request ID Middleware
+ *
+ * @description Gives every request an ID - the caller's X-Request-Id (e.g.
+ *              from the load balancer) when it looks sane, else a new UUID.
+ *              Echoed in the response and stored with audit events.
+ */
+
+const crypto = require('crypto');
+
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+module.exports = requestId;
@@ -0,0 +1,45 @@
+/**
+ * Upload Middleware
+ *
+ * @description Single-file multipart uploads held in memory (req.file.buffer).
+ *              Multer errors - oversized files, wrong field name - become 400s
+ *              instead of reaching the generic error handler as 500s.
+ */
+
+const multer = require('multer');
+
+const DEFAULT_MAX_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Accept one file in a multipart field
+ * @param {String} fieldName - Form field carrying the file
+ * @param {Object} options - { maxBytes }
+ * @returns {Function} Express middleware
+ */
+function uploadSingleFile(fieldName = 'file', { maxBytes = DEFAULT_MAX_BYTES } = {}) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 }
+  }).single(fieldName);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) return next();
+
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({
+          success: false,
+          message: error.code === 'LIMIT_FILE_SIZE'
+            ? `File is larger than ${Math.round(maxBytes / (1024 * 1024))} MB`
+            : `Upload error: ${error.message} (${error.field || fieldName})`
+        });
+      }
+
+      next(error);
+    });
+  };
+}
+
+module.exports = {
+  uploadSingleFile
+};
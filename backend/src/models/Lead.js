@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const organizationScope = require('../database/mongodb/plugins/organizationScope.plugin');
 
 const leadSchema = new mongoose.Schema({
   // Basic Lead Information
@@ -209,6 +210,9 @@ leadSchema.pre('save', function(next) {
   next();
 });
 
+// Multi-tenant: restrict queries to the caller's organization
+leadSchema.plugin(organizationScope);
+
 const Lead = mongoose.model('Lead', leadSchema);
 
 module.exports = Lead;
@@ -0,0 +1,108 @@
+/**
+ * Campaign Dialer Queue
+ *
+ * Bull queue that drives running campaigns:
+ * - One repeatable 'dial-tick' job per running campaign
+ * - Each tick dials as many leads as pacing and capacity allow
+ *
+ * Repeatable jobs live in Redis, so running campaigns survive restarts.
+ */
+
+const Bull = require('bull');
+
+// How often each running campaign is ticked
+const TICK_INTERVAL_MS = parseInt(process.env.CAMPAIGN_TICK_INTERVAL_MS) || 5000;
+
+// Create campaign dialer queue
+const campaignQueue = new Bull('campaign-dialer', {
+  redis: {
+    host: process.env.REDIS_HOST || 'localhost',
+    port: process.env.REDIS_PORT || 6379,
+    password: process.env.REDIS_PASSWORD
+  },
+  defaultJobOptions: {
+    attempts: 1,           // Next tick is the retry
+    removeOnComplete: 50,
+    removeOnFail: 100
+  }
+});
+
+/**
+ * Process a campaign tick
+ * Service is required lazily - it requires this module to schedule ticks
+ */
+campaignQueue.process('dial-tick', async (job) => {
+  const campaignEngine = require('../services/campaignEngine.service');
+  const { campaignId } = job.data;
+
+  try {
+    return await campaignEngine.tick(campaignId);
+  } catch (error) {
+    console.error(`[Campaign Queue] Tick failed for campaign ${campaignId}:`, error);
+    throw error;
+  }
+});
+
+campaignQueue.on('failed', (job, err) => {
+  console.error(`[Campaign Queue] Job ${job.id} failed:`, err.message);
+});
+
+/**
+ * Repeat options for a campaign's tick job
+ * @private
+ */
+function tickRepeatOptions(campaignId) {
+  return {
+    every: TICK_INTERVAL_MS,
+    jobId: `campaign:${campaignId}`
+  };
+}
+
+/**
+ * Start ticking a campaign
+ * @param {String} campaignId - Campaign ID
+ * @returns {Promise<Job>} Bull job
+ */
+async function scheduleCampaignTicks(campaignId) {
+  const id = campaignId.toString();
+
+  return await campaignQueue.add('dial-tick', { campaignId: id }, {
+    repeat: tickRepeatOptions(id),
+    jobId: `campaign:${id}`
+  });
+}
+
+/**
+ * Stop ticking a campaign
+ * @param {String} campaignId - Campaign ID
+ */
+async function unscheduleCampaignTicks(campaignId) {
+  await campaignQueue.removeRepeatable('dial-tick', tickRepeatOptions(campaignId.toString()));
+}
+
+/**
+ * Get queue statistics
+ */
+async function getQueueStats() {
+  const [waiting, active, failed, repeatable] = await Promise.all([
+    campaignQueue.getWaitingCount(),
+    campaignQueue.getActiveCount(),
+    campaignQueue.getFailedCount(),
+    campaignQueue.getRepeatableJobs()
+  ]);
+
+  return {
+    waiting,
+    active,
+    failed,
+    runningCampaigns: repeatable.length
+  };
+}
+
+module.exports = {
+  campaignQueue,
+  TICK_INTERVAL_MS,
+  scheduleCampaignTicks,
+  unscheduleCampaignTicks,
+  getQueueStats
+};
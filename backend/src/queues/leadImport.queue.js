@@ -0,0 +1,74 @@
+/**
+ * Lead Import Queue
+ *
+ * Bull queue that commits large uploaded lead files in the background:
+ * - One 'run-import' job per LeadImport, carrying the rows that passed the dry run
+ * - Progress is written to the LeadImport and pushed over Socket.io by the service
+ */
+
+const Bull = require('bull');
+
+// Create lead import queue
+const leadImportQueue = new Bull('lead-imports', {
+  redis: {
+    host: process.env.REDIS_HOST || 'localhost',
+    port: process.env.REDIS_PORT || 6379,
+    password: process.env.REDIS_PASSWORD
+  },
+  defaultJobOptions: {
+    // Not retried: a partial run would re-report its own leads as duplicates
+    attempts: 1,
+    removeOnComplete: 50,
+    removeOnFail: 100
+  }
+});
+
+/**
+ * Run an import
+ * Service is required lazily - it requires this module to enqueue imports
+ */
+leadImportQueue.process('run-import', async (job) => {
+  const leadImportService = require('../services/leadImport.service');
+  const { importId, organizationId, leads, rows } = job.data;
+
+  try {
+    return await leadImportService.runImport(importId, organizationId, leads, rows);
+  } catch (error) {
+    console.error(`[Lead Import Queue] Import ${importId} failed:`, error);
+    throw error;
+  }
+});
+
+leadImportQueue.on('failed', (job, err) => {
+  console.error(`[Lead Import Queue] Job ${job.id} failed:`, err.message);
+});
+
+/**
+ * Queue an import
+ * @param {Object} data - { importId, organizationId, leads, rows }
+ * @returns {Promise<Job>} Bull job
+ */
+async function enqueueImport(data) {
+  return await leadImportQueue.add('run-import', data, {
+    jobId: `lead-import:${data.importId}`
+  });
+}
+
+/**
+ * Get queue statistics
+ */
+async function getQueueStats() {
+  const [waiting, active, failed] = await Promise.all([
+    leadImportQueue.getWaitingCount(),
+    leadImportQueue.getActiveCount(),
+    leadImportQueue.getFailedCount()
+  ]);
+
+  return { waiting, active, failed };
+}
+
+module.exports = {
+  leadImportQueue,
+  enqueueImport,
+  getQueueStats
+};
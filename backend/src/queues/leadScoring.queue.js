@@ -17,6 +17,7 @@ const {
   recalculateAllScores
 } = require('../services/leadScoringService');
 const { cache } = require('../config/redis');
+const { trackQueue } = require('../utils/metrics');
 
 // Create lead scoring queue
 const leadScoringQueue = new Bull('lead-scoring', {
@@ -193,6 +194,9 @@ leadScoringQueue.process('invalidate-cache', async (job) => {
 /**
  * Job event handlers
  */
+// Depth and failures are exported at /metrics
+trackQueue('lead-scoring', leadScoringQueue);
+
 leadScoringQueue.on('completed', (job, result) => {
   console.log(`[Lead Scoring Queue] Job ${job.id} (${job.name}) completed:`, result);
 });
@@ -0,0 +1,88 @@
+/**
+ * Nurture Sequence Queue
+ *
+ * Bull queue that executes nurture sequence steps:
+ * - One delayed 'execute-step' job per pending enrollment step
+ * - The processor re-reads the enrollment and only runs the job the
+ *   enrollment is waiting on, so jobs left behind by a pause, resume or
+ *   cancel simply no-op
+ */
+
+const Bull = require('bull');
+
+// Create nurture sequence queue
+const nurtureQueue = new Bull('nurture-sequences', {
+  redis: {
+    host: process.env.REDIS_HOST || 'localhost',
+    port: process.env.REDIS_PORT || 6379,
+    password: process.env.REDIS_PASSWORD
+  },
+  defaultJobOptions: {
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 60000
+    },
+    removeOnComplete: 100,
+    removeOnFail: 500
+  }
+});
+
+/**
+ * Process an enrollment step
+ * Service is required lazily - it requires this module to schedule steps
+ */
+nurtureQueue.process('execute-step', async (job) => {
+  const nurtureSequenceService = require('../services/nurtureSequence.service');
+  const { enrollmentId } = job.data;
+
+  try {
+    return await nurtureSequenceService.executeStep(enrollmentId, job.id);
+  } catch (error) {
+    console.error(`[Nurture Queue] Step failed for enrollment ${enrollmentId}:`, error);
+    throw error;
+  }
+});
+
+nurtureQueue.on('failed', (job, err) => {
+  console.error(`[Nurture Queue] Job ${job.id} failed:`, err.message);
+});
+
+/**
+ * Schedule an enrollment step
+ * Job IDs are unique per step and run time; the caller stores the ID on
+ * the enrollment as the job it is waiting on
+ * @param {String} enrollmentId - Enrollment ID
+ * @param {Number} stepIndex - Step to run
+ * @param {Date} runAt - When to run
+ * @returns {Promise<Job>} Bull job
+ */
+async function scheduleStep(enrollmentId, stepIndex, runAt) {
+  const id = enrollmentId.toString();
+  const delay = Math.max(0, new Date(runAt).getTime() - Date.now());
+
+  return await nurtureQueue.add('execute-step', { enrollmentId: id, stepIndex }, {
+    delay,
+    jobId: `enrollment:${id}:${stepIndex}:${new Date(runAt).getTime()}`
+  });
+}
+
+/**
+ * Get queue statistics
+ */
+async function getQueueStats() {
+  const [waiting, active, delayed, failed] = await Promise.all([
+    nurtureQueue.getWaitingCount(),
+    nurtureQueue.getActiveCount(),
+    nurtureQueue.getDelayedCount(),
+    nurtureQueue.getFailedCount()
+  ]);
+
+  return { waiting, active, delayed, failed };
+}
+
+module.exports = {
+  nurtureQueue,
+  scheduleStep,
+  getQueueStats
+};
@@ -11,6 +11,7 @@
 const Bull = require('bull');
 const { generateUserRecommendations } = require('../services/aiRecommendationService');
 const { cache } = require('../config/redis');
+const { trackQueue } = require('../utils/metrics');
 
 // Create recommendation queue
 const recommendationQueue = new Bull('recommendations', {
@@ -95,6 +96,9 @@ recommendationQueue.process('invalidate-cache', async (job) => {
 /**
  * Job event handlers
  */
+// Depth and failures are exported at /metrics
+trackQueue('recommendations', recommendationQueue);
+
 recommendationQueue.on('completed', (job, result) => {
   console.log(`Job ${job.id} completed:`, result);
 });
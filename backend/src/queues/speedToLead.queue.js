@@ -0,0 +1,86 @@
+/**
+ * Speed-to-Lead Queue
+ *
+ * Bull queue that dials newly imported leads matched by a speed-to-lead rule:
+ * - One 'dial-lead' job per attempt, run immediately on import
+ * - Attempts that find no free line, or a closed calling window, schedule
+ *   the next attempt as a delayed job
+ */
+
+const Bull = require('bull');
+
+// Create speed-to-lead queue
+const speedToLeadQueue = new Bull('speed-to-lead', {
+  redis: {
+    host: process.env.REDIS_HOST || 'localhost',
+    port: process.env.REDIS_PORT || 6379,
+    password: process.env.REDIS_PASSWORD
+  },
+  defaultJobOptions: {
+    attempts: 1,           // The service schedules its own retries
+    removeOnComplete: 100,
+    removeOnFail: 500
+  }
+});
+
+/**
+ * Process a dial attempt
+ * Service is required lazily - it requires this module to schedule attempts
+ */
+speedToLeadQueue.process('dial-lead', async (job) => {
+  const speedToLeadService = require('../services/speedToLead.service');
+  const { leadId } = job.data;
+
+  try {
+    return await speedToLeadService.attempt(job.data);
+  } catch (error) {
+    console.error(`[Speed-to-Lead Queue] Dial attempt failed for lead ${leadId}:`, error);
+    throw error;
+  }
+});
+
+speedToLeadQueue.on('failed', (job, err) => {
+  console.error(`[Speed-to-Lead Queue] Job ${job.id} failed:`, err.message);
+});
+
+/**
+ * Schedule a dial attempt
+ * @param {Object} data - { leadId, ruleId, organizationId }
+ * @param {Date} runAt - When to dial (default now)
+ * @returns {Promise<Job>} Bull job
+ */
+async function scheduleDial({ leadId, ruleId, organizationId }, runAt = new Date()) {
+  const id = leadId.toString();
+  const delay = Math.max(0, new Date(runAt).getTime() - Date.now());
+
+  return await speedToLeadQueue.add('dial-lead', {
+    leadId: id,
+    ruleId: ruleId.toString(),
+    organizationId: organizationId || null
+  }, {
+    delay,
+    // First attempts for fresh leads run ahead of retries
+    priority: delay === 0 ? 1 : 5,
+    jobId: `lead:${id}:${new Date(runAt).getTime()}`
+  });
+}
+
+/**
+ * Get queue statistics
+ */
+async function getQueueStats() {
+  const [waiting, active, delayed, failed] = await Promise.all([
+    speedToLeadQueue.getWaitingCount(),
+    speedToLeadQueue.getActiveCount(),
+    speedToLeadQueue.getDelayedCount(),
+    speedToLeadQueue.getFailedCount()
+  ]);
+
+  return { waiting, active, delayed, failed };
+}
+
+module.exports = {
+  speedToLeadQueue,
+  scheduleDial,
+  getQueueStats
+};
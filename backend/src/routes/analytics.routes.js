@@ -1,9 +1,10 @@
 const router = require('express').Router();
 const analyticsController = require('../controllers/analytics.controller');
-const auth = require('../middleware/auth.middleware');
+const { authenticate: auth } = require('../middleware/auth.middleware');
 
 router.get('/overview', auth, analyticsController.getOverview);
 router.get('/conversion', auth, analyticsController.getConversionMetrics);
 router.get('/performance', auth, analyticsController.getPerformanceMetrics);
+router.get('/speed-to-lead', auth, analyticsController.getSpeedToLead);
 
 module.exports = router;
@@ -0,0 +1,39 @@
+/**
+ * Audit Routes
+ *
+ * @description The organization's persisted, hash-chained audit log
+ */
+
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/audit.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+// Admins only
+router.use(authenticate, authorize('admin'));
+
+/**
+ * @route   GET /api/audit
+ * @desc    Search audit events, newest first
+ * @access  Private (Admin)
+ * @query   action (comma-separated), resourceType, resourceId, actorId, outcome,
+ *          requestId, from, to, page, limit (max 200)
+ */
+router.get('/', auditController.getEvents);
+
+/**
+ * @route   GET /api/audit/export
+ * @desc    Download matching audit events, oldest first
+ * @access  Private (Admin)
+ * @query   format (csv, json), plus the GET /api/audit filters
+ */
+router.get('/export', auditController.exportEvents);
+
+/**
+ * @route   GET /api/audit/verify
+ * @desc    Recompute the hash chain and list any tampered, missing or reordered entries
+ * @access  Private (Admin)
+ */
+router.get('/verify', auditController.verifyChain);
+
+module.exports = router;
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
 const { validate } = require('../middleware/validation.middleware');
-const { authenticate, authenticateRefreshToken } = require('../middleware/auth.middleware');
+const { authenticate, authenticateRefreshToken, optionalAuth } = require('../middleware/auth.middleware');
 const authController = require('../controllers/auth.controller');
 
 // Validation rules
@@ -29,7 +29,12 @@ const registerValidation = [
   body('role')
     .optional()
     .isIn(['user', 'admin', 'manager', 'agent'])
-    .withMessage('Invalid role specified')
+    .withMessage('Invalid role specified'),
+  body('organizationName')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Organization name must be between 2 and 100 characters')
 ];
 
 const loginValidation = [
@@ -87,10 +92,11 @@ const updateProfileValidation = [
 
 /**
  * @route   POST /api/auth/register
- * @desc    Register a new user
+ * @desc    Register a new user. Creates a new organization unless the caller
+ *          is an authenticated admin, in which case the user joins theirs
  * @access  Public
  */
-router.post('/register', registerValidation, validate, authController.register);
+router.post('/register', optionalAuth, registerValidation, validate, authController.register);
 
 /**
  * @route   POST /api/auth/login
@@ -0,0 +1,54 @@
+/**
+ * Cadence Policy Routes
+ *
+ * @description Retry cadences for unanswered leads
+ */
+
+const express = require('express');
+const router = express.Router();
+const cadencePolicyController = require('../controllers/cadencePolicy.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+// Apply authentication to all cadence policy routes
+router.use(authenticate);
+
+const managers = authorize('admin', 'manager');
+
+/**
+ * @route   GET /api/cadence-policies
+ * @desc    Cadence policies, plus the fallback used when none applies
+ * @access  Private
+ * @query   isActive
+ */
+router.get('/', cadencePolicyController.getPolicies);
+
+/**
+ * @route   POST /api/cadence-policies
+ * @desc    Create a cadence policy
+ * @access  Private (Admin, Manager)
+ * @body    { name, description, isActive, isDefault, steps: [{ delayMinutes, slot: any|rotate|morning|afternoon|evening }], maxAttempts, windowDays, dailyCapPerNumber, sources }
+ */
+router.post('/', managers, cadencePolicyController.createPolicy);
+
+/**
+ * @route   GET /api/cadence-policies/:id
+ * @desc    Get a cadence policy
+ * @access  Private
+ */
+router.get('/:id', cadencePolicyController.getPolicy);
+
+/**
+ * @route   PUT /api/cadence-policies/:id
+ * @desc    Update a cadence policy
+ * @access  Private (Admin, Manager)
+ */
+router.put('/:id', managers, cadencePolicyController.updatePolicy);
+
+/**
+ * @route   DELETE /api/cadence-policies/:id
+ * @desc    Delete a cadence policy that no campaign uses
+ * @access  Private (Admin, Manager)
+ */
+router.delete('/:id', managers, cadencePolicyController.deletePolicy);
+
+module.exports = router;
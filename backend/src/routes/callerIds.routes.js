@@ -0,0 +1,62 @@
+/**
+ * Caller ID Routes
+ *
+ * @description Owned outbound numbers for local-presence caller ID
+ */
+
+const express = require('express');
+const router = express.Router();
+const callerIdController = require('../controllers/callerId.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+// Apply authentication to all caller ID routes
+router.use(authenticate);
+
+const managers = authorize('admin', 'manager');
+
+/**
+ * @route   GET /api/caller-ids
+ * @desc    Pool numbers with today's usage and reputation
+ * @access  Private
+ * @query   status (active, resting, retired)
+ */
+router.get('/', callerIdController.getNumbers);
+
+/**
+ * @route   POST /api/caller-ids
+ * @desc    Register an owned number; only registered numbers may be used as caller ID
+ * @access  Private (Admin, Manager)
+ * @body    { phoneNumber, label, state, dailyCap }
+ */
+router.post('/', managers, callerIdController.registerNumber);
+
+/**
+ * @route   POST /api/caller-ids/evaluate
+ * @desc    Recompute answer rates and rest or retire flagged numbers now
+ * @access  Private (Admin, Manager)
+ */
+router.post('/evaluate', managers, callerIdController.evaluateReputation);
+
+/**
+ * @route   GET /api/caller-ids/:id
+ * @desc    Get a pool number
+ * @access  Private
+ */
+router.get('/:id', callerIdController.getNumber);
+
+/**
+ * @route   PUT /api/caller-ids/:id
+ * @desc    Update a pool number
+ * @access  Private (Admin, Manager)
+ * @body    { label, state, dailyCap, status (active, retired), reason }
+ */
+router.put('/:id', managers, callerIdController.updateNumber);
+
+/**
+ * @route   DELETE /api/caller-ids/:id
+ * @desc    Retire a pool number
+ * @access  Private (Admin, Manager)
+ */
+router.delete('/:id', managers, callerIdController.retireNumber);
+
+module.exports = router;
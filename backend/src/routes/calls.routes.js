@@ -1,15 +1,23 @@
 const router = require('express').Router();
 const callController = require('../controllers/call.controller');
-const auth = require('../middleware/auth.middleware');
+const { authenticate: auth, authorize } = require('../middleware/auth.middleware');
 const { attachCallData, learnFromCompletedCall, enrichWithKnowledge } = require('../middleware/auto-learning.middleware');
+const { enforceCallingWindow } = require('../middleware/callingWindow.middleware');
+const { MODE_ROLES } = require('../utils/supervisorMonitoring');
 
 router.get('/', auth, callController.getAll);
 router.get('/active', auth, callController.getActiveCalls);
 router.get('/:id', auth, callController.getById);
-router.post('/start', auth, enrichWithKnowledge, callController.startCall);
+router.post('/start', auth, enforceCallingWindow, enrichWithKnowledge, callController.startCall);
 router.post('/:id/end', auth, attachCallData, learnFromCompletedCall, callController.endCall);
 router.post('/:id/engagement', auth, callController.updateEngagementScore);
 router.post('/:id/transfer', auth, callController.initiateHotTransfer);
 router.get('/:id/recording', auth, callController.getRecording);
 
+// Supervisor live monitoring (services/supervisor.service); every action is audit-logged
+router.post('/:id/listen', auth, authorize(...MODE_ROLES.listen), callController.listen);
+router.post('/:id/whisper', auth, authorize(...MODE_ROLES.whisper), callController.whisper);
+router.post('/:id/barge', auth, authorize(...MODE_ROLES.barge), callController.barge);
+router.delete('/:id/monitor/:sessionId', auth, authorize('admin', 'manager', 'agent'), callController.stopMonitoring);
+
 module.exports = router;
@@ -0,0 +1,83 @@
+/**
+ * Campaign Routes
+ *
+ * @description API routes for outbound dialing campaigns
+ */
+
+const express = require('express');
+const router = express.Router();
+const campaignController = require('../controllers/campaign.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+// Apply authentication to all campaign routes
+router.use(authenticate);
+
+const managers = authorize('admin', 'manager');
+
+/**
+ * @route   GET /api/campaigns
+ * @desc    List campaigns
+ * @access  Private
+ * @query   status
+ */
+router.get('/', campaignController.getAll);
+
+/**
+ * @route   POST /api/campaigns
+ * @desc    Create a campaign (starts in draft)
+ * @access  Private (Admin, Manager)
+ * @body    { name, description, startDate, endDate, segment, schedule, pacing, retry, cadencePolicyId, voicemail: { enabled, audioUrl, text, voice, language }, scriptType }
+ */
+router.post('/', managers, campaignController.create);
+
+/**
+ * @route   GET /api/campaigns/:id
+ * @desc    Get a campaign
+ * @access  Private
+ */
+router.get('/:id', campaignController.getById);
+
+/**
+ * @route   PUT /api/campaigns/:id
+ * @desc    Update campaign configuration (applies from the next dialing tick)
+ * @access  Private (Admin, Manager)
+ * @body    { name, description, startDate, endDate, segment, schedule, pacing, retry, cadencePolicyId, voicemail: { enabled, audioUrl, text, voice, language }, scriptType }
+ */
+router.put('/:id', managers, campaignController.update);
+
+/**
+ * @route   GET /api/campaigns/:id/status
+ * @desc    Live metrics, dialing capacity and remaining leads
+ * @access  Private
+ */
+router.get('/:id/status', campaignController.getStatus);
+
+/**
+ * @route   POST /api/campaigns/:id/start
+ * @desc    Start dialing the campaign segment
+ * @access  Private (Admin, Manager)
+ */
+router.post('/:id/start', managers, campaignController.start);
+
+/**
+ * @route   POST /api/campaigns/:id/pause
+ * @desc    Pause dialing (calls in progress continue)
+ * @access  Private (Admin, Manager)
+ */
+router.post('/:id/pause', managers, campaignController.pause);
+
+/**
+ * @route   POST /api/campaigns/:id/resume
+ * @desc    Resume a paused campaign
+ * @access  Private (Admin, Manager)
+ */
+router.post('/:id/resume', managers, campaignController.resume);
+
+/**
+ * @route   POST /api/campaigns/:id/stop
+ * @desc    Stop dialing (calls in progress continue)
+ * @access  Private (Admin, Manager)
+ */
+router.post('/:id/stop', managers, campaignController.stop);
+
+module.exports = router;
@@ -0,0 +1,79 @@
+/**
+ * Closer Routes
+ *
+ * @description API routes for the hot-transfer closer roster
+ */
+
+const express = require('express');
+const router = express.Router();
+const closerController = require('../controllers/closer.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+// Apply authentication to all closer routes
+router.use(authenticate);
+
+const managers = authorize('admin', 'manager');
+
+/**
+ * @route   GET /api/closers
+ * @desc    Closer roster with live availability and next available time
+ * @access  Private
+ * @query   isActive, status
+ */
+router.get('/', closerController.getAll);
+
+/**
+ * @route   GET /api/closers/availability
+ * @desc    Closers who can take a transfer right now
+ * @access  Private
+ */
+router.get('/availability', closerController.getAvailability);
+
+/**
+ * @route   GET /api/closers/transfers
+ * @desc    Transfer history, newest first
+ * @access  Private
+ * @query   closerId, limit
+ */
+router.get('/transfers', closerController.getTransferHistory);
+
+/**
+ * @route   GET /api/closers/transfers/stats
+ * @desc    Transfer statistics overall and per closer
+ * @access  Private
+ * @query   closerId
+ */
+router.get('/transfers/stats', closerController.getTransferStats);
+
+/**
+ * @route   POST /api/closers
+ * @desc    Add a closer
+ * @access  Private (Admin, Manager)
+ * @body    { name, phoneNumber, email, userId, schedule, skills, priority }
+ */
+router.post('/', managers, closerController.create);
+
+/**
+ * @route   GET /api/closers/:id
+ * @desc    Get a closer
+ * @access  Private
+ */
+router.get('/:id', closerController.getById);
+
+/**
+ * @route   PUT /api/closers/:id
+ * @desc    Update a closer's phone, schedule, skills or priority
+ * @access  Private (Admin, Manager)
+ * @body    { name, phoneNumber, email, userId, isActive, schedule, skills, priority }
+ */
+router.put('/:id', managers, closerController.update);
+
+/**
+ * @route   PUT /api/closers/:id/status
+ * @desc    Update live status (available, busy, on_call, offline)
+ * @access  Private (Admin, Manager, or the closer)
+ * @body    { status, reason, until }
+ */
+router.put('/:id/status', closerController.updateStatus);
+
+module.exports = router;
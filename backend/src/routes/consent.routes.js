@@ -0,0 +1,54 @@
+/**
+ * Consent Routes
+ *
+ * @description API routes for the TCPA consent ledger
+ */
+
+const express = require('express');
+const router = express.Router();
+const consentController = require('../controllers/consent.controller');
+const { authenticate } = require('../middleware/auth.middleware');
+
+// Apply authentication to all consent routes
+router.use(authenticate);
+
+/**
+ * @route   POST /api/consent
+ * @desc    Record a consent grant in the ledger
+ * @access  Private
+ * @body    { leadId, channels, source, proofReference, disclosureText, occurredAt, ipAddress, userAgent, metadata }
+ */
+router.post('/', consentController.recordConsent);
+
+/**
+ * @route   POST /api/consent/revoke
+ * @desc    Record a consent revocation in the ledger
+ * @access  Private
+ * @body    { leadId, channels, source, reason, proofReference }
+ */
+router.post('/revoke', consentController.revokeConsent);
+
+/**
+ * @route   GET /api/consent/:leadId
+ * @desc    Get current consent status per channel
+ * @access  Private
+ */
+router.get('/:leadId', consentController.getConsentStatus);
+
+/**
+ * @route   GET /api/consent/:leadId/history
+ * @desc    Get full consent ledger history for a lead
+ * @access  Private
+ * @query   channel, startDate, endDate
+ */
+router.get('/:leadId/history', consentController.getConsentHistory);
+
+/**
+ * @route   GET /api/consent/:leadId/proof
+ * @desc    Get consent state and governing ledger entry at a point in time
+ * @access  Private
+ * @query   channel, at
+ */
+router.get('/:leadId/proof', consentController.getConsentProof);
+
+module.exports = router;
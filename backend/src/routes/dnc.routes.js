@@ -11,11 +11,28 @@ const express = require('express');
 const router = express.Router();
 const dncController = require('../controllers/dnc.controller');
 const { authenticate } = require('../middleware/auth.middleware');
-const { rateLimiter } = require('../middleware/rate-limit.middleware');
+const { rateLimiter, quota } = require('../middleware/rate-limit.middleware');
+const { DAY_MS } = require('../utils/rateLimits');
 
 // Apply authentication to all DNC routes
 router.use(authenticate);
 
+// Phone numbers an organization may scrub per UTC day. Agents and users can
+// only take the organization's total up to their own role's ceiling.
+const scrubDailyQuota = parseInt(process.env.DNC_SCRUB_DAILY_QUOTA, 10) || 100000;
+const scrubQuota = quota({
+  name: 'dnc-scrub',
+  per: 'organization',
+  windowMs: DAY_MS,
+  max: scrubDailyQuota,
+  roles: {
+    agent: Math.floor(scrubDailyQuota / 2),
+    user: Math.floor(scrubDailyQuota / 10)
+  },
+  cost: req => (Array.isArray(req.body.phoneNumbers) ? Math.min(req.body.phoneNumbers.length, 10000) : 0),
+  unit: 'phone numbers'
+});
+
 /**
  * @route   POST /api/dnc
  * @desc    Add phone number to DNC list
@@ -55,7 +72,7 @@ router.get('/', rateLimiter({ max: 100, windowMs: 60000 }), dncController.getDNC
  * @access  Private
  * @body    { phoneNumbers: [] }
  */
-router.post('/scrub', rateLimiter({ max: 10, windowMs: 60000 }), dncController.scrubLeadList);
+router.post('/scrub', rateLimiter({ max: 10, windowMs: 60000 }), scrubQuota, dncController.scrubLeadList);
 
 /**
  * @route   GET /api/dnc/compliance-report
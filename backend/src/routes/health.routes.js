@@ -0,0 +1,33 @@
+/**
+ * Health Routes
+ *
+ * @description Unauthenticated probes for load balancers, orchestration and dashboards
+ */
+
+const express = require('express');
+const router = express.Router();
+const healthController = require('../controllers/health.controller');
+
+/**
+ * @route   GET /health
+ * @desc    Basic status
+ * @access  Public
+ */
+router.get('/', healthController.getStatus);
+
+/**
+ * @route   GET /health/live
+ * @desc    Liveness - the process is up; dependencies are not probed
+ * @access  Public
+ */
+router.get('/live', healthController.live);
+
+/**
+ * @route   GET /health/ready
+ * @desc    Readiness - probes data stores and integrations with a timeout each;
+ *          503 when a critical dependency is down, 200 with status 'degraded' otherwise
+ * @access  Public
+ */
+router.get('/ready', healthController.ready);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+/**
+ * Lead Intake Routes
+ *
+ * @description Public lead webhook for web forms and lead vendors; requests
+ *              are authenticated per lead source, not with a user token
+ */
+
+const express = require('express');
+const router = express.Router();
+const intakeController = require('../controllers/intake.controller');
+const { authenticateIntake } = require('../middleware/intakeAuth.middleware');
+const { rateLimiter } = require('../middleware/rate-limit.middleware');
+
+// Per verified intake key; unauthenticated posts only count against the API-wide IP limit
+const intakeLimiter = rateLimiter({
+  name: 'intake',
+  windowMs: 60 * 1000,
+  max: parseInt(process.env.INTAKE_RATE_LIMIT, 10) || 300
+});
+
+/**
+ * @route   POST /api/intake/:sourceSlug
+ * @desc    Submit a lead to a lead source
+ * @access  Public (source intake key or HMAC signature)
+ * @limit   INTAKE_RATE_LIMIT requests per minute per intake key (default 300)
+ * @headers X-Api-Key | Authorization: Bearer <key> | X-Key-Id + X-Timestamp + X-Signature, Idempotency-Key
+ * @body    Lead fields (JSON or form encoded) with optional consent evidence
+ */
+router.post('/:sourceSlug', authenticateIntake, intakeLimiter, intakeController.submitLead);
+
+module.exports = router;
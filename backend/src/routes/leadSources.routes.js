@@ -0,0 +1,129 @@
+/**
+ * Lead Source Routes
+ *
+ * @description Lead-source parser registry, quarantined lead emails and
+ *              intake webhook credentials
+ */
+
+const express = require('express');
+const router = express.Router();
+const leadSourceController = require('../controllers/leadSource.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+// Apply authentication to all lead source routes
+router.use(authenticate);
+
+const managers = authorize('admin', 'manager');
+
+/**
+ * @route   GET /api/lead-sources
+ * @desc    Lead sources in the order emails are matched (built-ins included)
+ * @access  Private
+ * @query   includeInactive
+ */
+router.get('/', leadSourceController.getSources);
+
+/**
+ * @route   POST /api/lead-sources
+ * @desc    Create a lead source
+ * @access  Private (Admin, Manager)
+ * @body    { name, slug, description, isActive, priority, match: { senders, subjectPatterns }, template: { format, fields, jsonRoot }, defaults, intake: { enabled, fields, consent } }
+ */
+router.post('/', managers, leadSourceController.createSource);
+
+/**
+ * @route   POST /api/lead-sources/test
+ * @desc    Dry run a source against a sample email
+ * @access  Private (Admin, Manager)
+ * @body    { sourceId | slug | source, message: { from, subject, body, html, attachments } }
+ */
+router.post('/test', managers, leadSourceController.testSource);
+
+// ============================================
+// QUARANTINE
+// ============================================
+
+/**
+ * @route   GET /api/lead-sources/quarantine
+ * @desc    Lead emails no source could parse
+ * @access  Private
+ * @query   status, reason, page, limit
+ */
+router.get('/quarantine', leadSourceController.getQuarantine);
+
+/**
+ * @route   GET /api/lead-sources/quarantine/:id
+ * @desc    Quarantined email with its content
+ * @access  Private
+ */
+router.get('/quarantine/:id', leadSourceController.getQuarantinedEmail);
+
+/**
+ * @route   POST /api/lead-sources/quarantine/:id/reprocess
+ * @desc    Re-run a quarantined email through the lead sources
+ * @access  Private (Admin, Manager)
+ * @body    { sourceSlug } - optional, skips matching
+ */
+router.post('/quarantine/:id/reprocess', managers, leadSourceController.reprocessQuarantined);
+
+/**
+ * @route   POST /api/lead-sources/quarantine/:id/dismiss
+ * @desc    Drop a quarantined email from the queue
+ * @access  Private (Admin, Manager)
+ * @body    { note }
+ */
+router.post('/quarantine/:id/dismiss', managers, leadSourceController.dismissQuarantined);
+
+// ============================================
+// SOURCE BY ID
+// ============================================
+
+/**
+ * @route   GET /api/lead-sources/:id
+ * @desc    Get a lead source
+ * @access  Private
+ */
+router.get('/:id', leadSourceController.getSource);
+
+/**
+ * @route   PUT /api/lead-sources/:id
+ * @desc    Update a lead source
+ * @access  Private (Admin, Manager)
+ */
+router.put('/:id', managers, leadSourceController.updateSource);
+
+/**
+ * @route   DELETE /api/lead-sources/:id
+ * @desc    Delete a lead source
+ * @access  Private (Admin, Manager)
+ */
+router.delete('/:id', managers, leadSourceController.deleteSource);
+
+// ============================================
+// INTAKE WEBHOOK
+// ============================================
+
+/**
+ * @route   POST /api/lead-sources/:id/intake/keys
+ * @desc    Issue an intake API key or HMAC signing secret (shown once)
+ * @access  Private (Admin, Manager)
+ * @body    { name, type: 'api_key' | 'hmac' }
+ */
+router.post('/:id/intake/keys', managers, leadSourceController.createIntakeKey);
+
+/**
+ * @route   DELETE /api/lead-sources/:id/intake/keys/:keyId
+ * @desc    Revoke an intake key
+ * @access  Private (Admin, Manager)
+ */
+router.delete('/:id/intake/keys/:keyId', managers, leadSourceController.revokeIntakeKey);
+
+/**
+ * @route   GET /api/lead-sources/:id/intake/requests
+ * @desc    Recent intake requests and their results
+ * @access  Private
+ * @query   result, status, limit
+ */
+router.get('/:id/intake/requests', leadSourceController.getIntakeRequests);
+
+module.exports = router;
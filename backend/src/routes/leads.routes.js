@@ -1,6 +1,11 @@
 const router = require('express').Router();
 const leadController = require('../controllers/lead.controller');
-const auth = require('../middleware/auth.middleware');
+const leadImportController = require('../controllers/leadImport.controller');
+const leadDuplicateController = require('../controllers/leadDuplicate.controller');
+const { authenticate: auth, authorize } = require('../middleware/auth.middleware');
+const { uploadSingleFile } = require('../middleware/upload.middleware');
+
+const managers = authorize('admin', 'manager');
 
 // ============================================
 // BASIC LEAD CRUD (David Rodriguez)
@@ -38,4 +43,32 @@ router.post('/import/gmail/trigger', auth, leadController.triggerGmailImport);
 router.get('/import/gmail/stats', auth, leadController.getGmailImportStats);
 router.get('/import/gmail/test', auth, leadController.testGmailConnection);
 
+// ============================================
+// FILE IMPORT - CSV / XLSX / JSON
+// ============================================
+// Multipart field "file"; mapping / defaults are JSON strings (see leadImport.controller)
+router.get('/import/fields', auth, leadImportController.getFields);
+router.post('/import/preview', auth, uploadSingleFile('file'), leadImportController.preview);
+router.post('/import', auth, uploadSingleFile('file'), leadImportController.importFile);
+router.get('/import/jobs', auth, leadImportController.getImports);
+router.get('/import/jobs/:id', auth, leadImportController.getImport);
+router.get('/import/mappings', auth, leadImportController.getMappings);
+router.post('/import/mappings', auth, leadImportController.createMapping);
+router.get('/import/mappings/:id', auth, leadImportController.getMapping);
+router.put('/import/mappings/:id', auth, leadImportController.updateMapping);
+router.delete('/import/mappings/:id', auth, leadImportController.deleteMapping);
+
+// ============================================
+// DUPLICATES & MERGE
+// ============================================
+// Merge / undo / scan rewrite several leads at once, so they're manager-only
+router.get('/duplicates/candidates', auth, leadDuplicateController.getCandidates);
+router.post('/duplicates/scan', auth, managers, leadDuplicateController.scan);
+router.post('/duplicates/candidates/:id/dismiss', auth, leadDuplicateController.dismissCandidate);
+router.post('/duplicates/merge', auth, managers, leadDuplicateController.merge);
+router.get('/duplicates/merges', auth, leadDuplicateController.getMerges);
+router.get('/duplicates/merges/:id', auth, leadDuplicateController.getMerge);
+router.post('/duplicates/merges/:id/undo', auth, managers, leadDuplicateController.undoMerge);
+router.get('/:id/duplicates', auth, leadDuplicateController.getLeadDuplicates);
+
 module.exports = router;
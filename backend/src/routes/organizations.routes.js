@@ -0,0 +1,37 @@
+/**
+ * Organization Routes
+ *
+ * @description API routes for the caller's organization (tenant)
+ */
+
+const express = require('express');
+const router = express.Router();
+const organizationController = require('../controllers/organization.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+// Apply authentication to all organization routes
+router.use(authenticate);
+
+/**
+ * @route   GET /api/organizations/current
+ * @desc    Get the caller's organization
+ * @access  Private
+ */
+router.get('/current', organizationController.getCurrent);
+
+/**
+ * @route   PATCH /api/organizations/current
+ * @desc    Update the caller's organization
+ * @access  Private (Admin)
+ * @body    { name, settings: { timezone, callerIdNumber } }
+ */
+router.patch('/current', authorize('admin'), organizationController.updateCurrent);
+
+/**
+ * @route   GET /api/organizations/current/members
+ * @desc    List users in the caller's organization
+ * @access  Private (Admin, Manager)
+ */
+router.get('/current/members', authorize('admin', 'manager'), organizationController.getMembers);
+
+module.exports = router;
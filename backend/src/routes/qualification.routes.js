@@ -1,6 +1,6 @@
 const router = require('express').Router();
 const qualificationController = require('../controllers/qualification.controller');
-const auth = require('../middleware/auth.middleware');
+const { authenticate: auth } = require('../middleware/auth.middleware');
 
 router.post('/qualify/:leadId', auth, qualificationController.qualifyLead);
 router.get('/lead/:leadId', auth, qualificationController.getQualificationByLead);
@@ -11,8 +11,10 @@ const express = require('express');
 const router = express.Router();
 const recommendationController = require('../controllers/recommendation.controller');
 
-// Note: Add authentication middleware as needed
-// const { authenticate } = require('../middleware/auth');
+const { authenticate } = require('../middleware/auth.middleware');
+
+// Authentication also scopes recommendations to the caller's organization
+router.use(authenticate);
 
 /**
  * @route   GET /api/recommendations
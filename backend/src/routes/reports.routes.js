@@ -1,10 +1,101 @@
 const router = require('express').Router();
 const reportController = require('../controllers/report.controller');
-const auth = require('../middleware/auth.middleware');
+const subscriptionController = require('../controllers/reportSubscription.controller');
+const { authenticate: auth, authorize } = require('../middleware/auth.middleware');
 
+const managers = authorize('admin', 'manager');
+
+/**
+ * @route   GET /api/reports/definitions
+ * @desc    Metrics and dimensions available to custom reports
+ * @access  Private
+ */
+router.get('/definitions', auth, reportController.getDefinitions);
+
+/**
+ * @route   GET /api/reports/daily
+ * @desc    Totals plus campaign, agent and lead-source breakdowns for one day
+ * @access  Private
+ * @query   date (YYYY-MM-DD, default today), timezone
+ */
 router.get('/daily', auth, reportController.getDailyReport);
+
+/**
+ * @route   GET /api/reports/weekly
+ * @desc    Monday-Sunday week containing date, with a per-day breakdown
+ * @access  Private
+ * @query   date (YYYY-MM-DD, default today), timezone
+ */
 router.get('/weekly', auth, reportController.getWeeklyReport);
+
+/**
+ * @route   GET /api/reports/monthly
+ * @desc    Calendar month containing date, with a per-day breakdown
+ * @access  Private
+ * @query   date (YYYY-MM-DD, default today), timezone
+ */
 router.get('/monthly', auth, reportController.getMonthlyReport);
+
+/**
+ * @route   POST /api/reports/custom
+ * @desc    Chosen metrics broken down by up to three dimensions
+ * @access  Private
+ * @body    { metrics: [], dimensions: [], startDate, endDate, timezone }
+ */
 router.post('/custom', auth, reportController.getCustomReport);
 
+/**
+ * @route   GET /api/reports/subscriptions
+ * @desc    Scheduled report subscriptions
+ * @access  Private
+ * @query   isActive
+ */
+router.get('/subscriptions', auth, subscriptionController.getAll);
+
+/**
+ * @route   POST /api/reports/subscriptions
+ * @desc    Email a report on a schedule as CSV / PDF attachments
+ * @access  Private (Admin, Manager)
+ * @body    { name, report: { period, metrics, dimensions, lookbackDays },
+ *            schedule: { frequency, dayOfWeek, dayOfMonth, time },
+ *            formats: ['csv', 'pdf'], recipients: [{ email, name, timezone }] }
+ */
+router.post('/subscriptions', auth, managers, subscriptionController.create);
+
+/**
+ * @route   GET /api/reports/subscriptions/:id
+ * @desc    Get a subscription
+ * @access  Private
+ */
+router.get('/subscriptions/:id', auth, subscriptionController.getById);
+
+/**
+ * @route   PUT /api/reports/subscriptions/:id
+ * @desc    Update a subscription (reschedules every recipient)
+ * @access  Private (Admin, Manager)
+ */
+router.put('/subscriptions/:id', auth, managers, subscriptionController.update);
+
+/**
+ * @route   DELETE /api/reports/subscriptions/:id
+ * @desc    Delete a subscription (delivery log is kept)
+ * @access  Private (Admin, Manager)
+ */
+router.delete('/subscriptions/:id', auth, managers, subscriptionController.remove);
+
+/**
+ * @route   POST /api/reports/subscriptions/:id/send
+ * @desc    Send the report to all recipients now
+ * @access  Private (Admin, Manager)
+ */
+router.post('/subscriptions/:id/send', auth, managers, subscriptionController.sendNow);
+
+/**
+ * @route   GET /api/reports/subscriptions/:id/deliveries
+ * @desc    Delivery log, newest first
+ * @access  Private
+ * @query   limit
+ */
+router.get('/subscriptions/:id/deliveries', auth, subscriptionController.getDeliveries);
+
 module.exports = router;
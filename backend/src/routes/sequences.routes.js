@@ -0,0 +1,87 @@
+/**
+ * Nurture Sequence Routes
+ *
+ * @description API routes for SMS / email / call-task nurture sequences
+ */
+
+const express = require('express');
+const router = express.Router();
+const sequenceController = require('../controllers/sequence.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+// Apply authentication to all sequence routes
+router.use(authenticate);
+
+const managers = authorize('admin', 'manager');
+
+/**
+ * @route   GET /api/sequences
+ * @desc    List nurture sequences
+ * @access  Private
+ * @query   isActive
+ */
+router.get('/', sequenceController.getAll);
+
+/**
+ * @route   POST /api/sequences
+ * @desc    Create a nurture sequence
+ * @access  Private (Admin, Manager)
+ * @body    { name, description, isActive, trigger, steps, pauseOnReply, exitOnStatusChange }
+ */
+router.post('/', managers, sequenceController.create);
+
+/**
+ * @route   POST /api/sequences/enrollments/:enrollmentId/pause
+ * @desc    Pause an enrollment
+ * @access  Private (Admin, Manager)
+ * @body    { reason }
+ */
+router.post('/enrollments/:enrollmentId/pause', managers, sequenceController.pauseEnrollment);
+
+/**
+ * @route   POST /api/sequences/enrollments/:enrollmentId/resume
+ * @desc    Resume a paused enrollment (pending step runs immediately)
+ * @access  Private (Admin, Manager)
+ */
+router.post('/enrollments/:enrollmentId/resume', managers, sequenceController.resumeEnrollment);
+
+/**
+ * @route   POST /api/sequences/enrollments/:enrollmentId/cancel
+ * @desc    Cancel an enrollment
+ * @access  Private (Admin, Manager)
+ * @body    { reason }
+ */
+router.post('/enrollments/:enrollmentId/cancel', managers, sequenceController.cancelEnrollment);
+
+/**
+ * @route   GET /api/sequences/:id
+ * @desc    Get a nurture sequence
+ * @access  Private
+ */
+router.get('/:id', sequenceController.getById);
+
+/**
+ * @route   PUT /api/sequences/:id
+ * @desc    Update a nurture sequence
+ * @access  Private (Admin, Manager)
+ * @body    { name, description, isActive, trigger, steps, pauseOnReply, exitOnStatusChange }
+ */
+router.put('/:id', managers, sequenceController.update);
+
+/**
+ * @route   POST /api/sequences/:id/enroll
+ * @desc    Enroll leads in a sequence
+ * @access  Private (Admin, Manager)
+ * @body    { leadIds }
+ */
+router.post('/:id/enroll', managers, sequenceController.enroll);
+
+/**
+ * @route   GET /api/sequences/:id/enrollments
+ * @desc    List enrollments for a sequence
+ * @access  Private
+ * @query   status
+ */
+router.get('/:id/enrollments', sequenceController.getEnrollments);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+/**
+ * Speed-to-Lead Routes
+ *
+ * @description Rules for auto-dialing newly imported hot leads
+ */
+
+const express = require('express');
+const router = express.Router();
+const speedToLeadController = require('../controllers/speedToLead.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+// Apply authentication to all speed-to-lead routes
+router.use(authenticate);
+
+const managers = authorize('admin', 'manager');
+
+/**
+ * @route   GET /api/speed-to-lead/rules
+ * @desc    Speed-to-lead rules in the order leads are matched
+ * @access  Private
+ * @query   isActive
+ */
+router.get('/rules', speedToLeadController.getRules);
+
+/**
+ * @route   POST /api/speed-to-lead/rules
+ * @desc    Create a speed-to-lead rule
+ * @access  Private (Admin, Manager)
+ * @body    { name, description, isActive, priority, criteria: { priorities, sources, leadSources, categories, tags }, maxWaitMinutes, maxConcurrent }
+ */
+router.post('/rules', managers, speedToLeadController.createRule);
+
+/**
+ * @route   GET /api/speed-to-lead/queue
+ * @desc    Waiting, delayed and failed dial attempts
+ * @access  Private (Admin, Manager)
+ */
+router.get('/queue', managers, speedToLeadController.getQueue);
+
+/**
+ * @route   GET /api/speed-to-lead/rules/:id
+ * @desc    Get a speed-to-lead rule with its stats
+ * @access  Private
+ */
+router.get('/rules/:id', speedToLeadController.getRule);
+
+/**
+ * @route   PUT /api/speed-to-lead/rules/:id
+ * @desc    Update a speed-to-lead rule
+ * @access  Private (Admin, Manager)
+ */
+router.put('/rules/:id', managers, speedToLeadController.updateRule);
+
+/**
+ * @route   DELETE /api/speed-to-lead/rules/:id
+ * @desc    Delete a speed-to-lead rule
+ * @access  Private (Admin, Manager)
+ */
+router.delete('/rules/:id', managers, speedToLeadController.deleteRule);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const router = require('express').Router();
 const voiceController = require('../controllers/voice.controller');
+const { enforceCallingWindow } = require('../middleware/callingWindow.middleware');
 
 // Telnyx Configuration & Testing
 router.get('/test-connection', voiceController.testConnection);
@@ -7,7 +8,7 @@ router.get('/configuration', voiceController.getConfiguration);
 router.get('/websocket/status', voiceController.getWebSocketStatus);
 
 // Call Management
-router.post('/initiate', voiceController.initiateCall);
+router.post('/initiate', enforceCallingWindow, voiceController.initiateCall);
 router.post('/transfer', voiceController.transferCall);
 router.post('/answer', voiceController.answerCall);
 router.post('/hangup', voiceController.hangupCall);
@@ -21,6 +22,6 @@ router.post('/recording/stop', voiceController.stopRecording);
 router.get('/agent/test', voiceController.testVoiceAgent);
 router.get('/agent/configuration', voiceController.getVoiceAgentConfig);
 router.post('/agent/start', voiceController.startCallWithAgent);
-router.post('/agent/transfer', voiceController.requestKevinTransfer);
+router.post('/agent/transfer', voiceController.requestCloserTransfer);
 
 module.exports = router;
@@ -1,24 +1,49 @@
 /**
  * BMAD V4 - Audit Logger
  * 
- * @description Logs security-relevant events
+ * @description Logs security-relevant events to winston and to the
+ *              persisted, hash-chained audit log (services/audit.service)
  * @owner Marcus Thompson (Security Specialist)
  * @created 2025-10-21
- * 
- * TODO: Implement audit logging
- * - Log authentication events
- * - Track data access
- * - Monitor security violations
- * - Generate compliance reports
  */
 
+const auditService = require('../services/audit.service');
 const logger = require('../utils/logger');
 
+/**
+ * Log an auth controller action ('USER_LOGIN', 'LOGIN_FAILED', ...)
+ */
+exports.auditLog = async ({ userId, action, resource = 'auth', ipAddress, userAgent, details, organizationId }) => {
+  const auditEntry = {
+    type: 'auth',
+    action,
+    userId,
+    timestamp: new Date(),
+    ipAddress,
+    userAgent,
+    ...details
+  };
+
+  logger.info('Auth event', auditEntry);
+
+  await auditService.record({
+    action,
+    resource: { type: resource, id: userId },
+    actor: userId ? { userId } : { type: 'system' },
+    organizationId,
+    ipAddress,
+    userAgent,
+    metadata: details,
+    outcome: /FAILED/.test(action) ? 'failure' : 'success'
+  });
+
+  return auditEntry;
+};
+
 /**
  * Log authentication event
  */
 exports.logAuth = async (event, userId, metadata = {}) => {
-  // TODO: Store in audit log table
   const auditEntry = {
     type: 'auth',
     event, // 'login', 'logout', 'failed_login', 'password_reset'
@@ -30,6 +55,16 @@ exports.logAuth = async (event, userId, metadata = {}) => {
   };
 
   logger.info('Auth event', auditEntry);
+
+  await auditService.record({
+    action: `AUTH_${String(event).toUpperCase()}`,
+    resource: { type: 'auth', id: userId },
+    actor: { userId },
+    ipAddress: metadata.ipAddress,
+    userAgent: metadata.userAgent,
+    outcome: auditEntry.success ? 'success' : 'failure'
+  });
+
   return auditEntry;
 };
 
@@ -37,7 +72,6 @@ exports.logAuth = async (event, userId, metadata = {}) => {
  * Log data access
  */
 exports.logDataAccess = async (userId, resource, action, metadata = {}) => {
-  // TODO: Store in audit log table
   const auditEntry = {
     type: 'data_access',
     userId,
@@ -48,14 +82,49 @@ exports.logDataAccess = async (userId, resource, action, metadata = {}) => {
   };
 
   logger.info('Data access', auditEntry);
+
+  const { resourceId, ipAddress, ...rest } = metadata;
+  await auditService.record({
+    action: `${String(resource).toUpperCase()}_${String(action).toUpperCase()}`,
+    resource: { type: resource, id: resourceId },
+    actor: { userId },
+    ipAddress,
+    metadata: rest
+  });
+
+  return auditEntry;
+};
+
+/**
+ * Log supervisor action on a live call
+ */
+exports.logSupervisorAction = async (userId, action, metadata = {}) => {
+  const auditEntry = {
+    type: 'supervisor',
+    action, // 'listen', 'whisper', 'barge', 'mode_change', 'leave'
+    userId,
+    timestamp: new Date(),
+    ...metadata
+  };
+
+  logger.info('Supervisor action', auditEntry);
+
+  const { callLogId, ipAddress, ...rest } = metadata;
+  await auditService.record({
+    action: `SUPERVISOR_${String(action).toUpperCase()}`,
+    resource: { type: 'call', id: callLogId },
+    actor: { userId },
+    ipAddress,
+    metadata: rest
+  });
+
   return auditEntry;
 };
 
 /**
  * Log security violation
  */
-exports.logSecurityViolation = async (type, details) => {
-  // TODO: Store in audit log and alert
+exports.logSecurityViolation = async (type, details = {}) => {
   const auditEntry = {
     type: 'security_violation',
     violationType: type, // 'invalid_signature', 'rate_limit_exceeded', 'unauthorized_access'
@@ -65,6 +134,18 @@ exports.logSecurityViolation = async (type, details) => {
   };
 
   logger.error('Security violation', auditEntry);
+
+  const { userId, apiKeyId, organizationId, ipAddress, ...rest } = details;
+  await auditService.record({
+    action: `SECURITY_${String(type).toUpperCase()}`,
+    resource: { type: 'security' },
+    actor: userId ? { userId } : apiKeyId ? { type: 'api_key', apiKeyId } : { type: 'system' },
+    organizationId: organizationId || undefined,
+    ipAddress,
+    metadata: { severity: 'high', ...rest },
+    outcome: 'failure'
+  });
+
   return auditEntry;
 };
 
@@ -72,13 +153,18 @@ exports.logSecurityViolation = async (type, details) => {
  * Generate audit report
  */
 exports.generateAuditReport = async (startDate, endDate) => {
-  // TODO: Query audit logs and generate report
+  const { entries, truncated, error } = await auditService.exportEntries({ from: startDate, to: endDate });
+  if (error) throw new Error(error);
+
+  const count = (prefix) => entries.filter(entry => entry.action.startsWith(prefix)).length;
+
   return {
     period: { startDate, endDate },
-    totalEvents: 0,
-    authEvents: 0,
-    dataAccessEvents: 0,
-    securityViolations: 0,
-    events: []
+    totalEvents: entries.length,
+    truncated,
+    authEvents: entries.filter(entry => entry.resource?.type === 'auth').length,
+    dataAccessEvents: entries.filter(entry => !['auth', 'security'].includes(entry.resource?.type)).length,
+    securityViolations: count('SECURITY_'),
+    events: entries
   };
 };
@@ -1,66 +1,376 @@
 /**
  * BMAD V4 - Consent Manager
- * 
+ *
  * @description Manages user consent and preferences
  * @owner Marcus Thompson (Security Specialist)
  * @created 2025-10-21
- * 
- * TODO: Implement consent management
- * - Track consent types (call, SMS, email)
- * - Store consent records with proof
- * - Handle consent updates and revocations
- * - Generate consent audit reports
+ *
+ * Consent is stored in the append-only `consent_ledger` PostgreSQL table
+ * (database/migrations/004_consent_ledger.sql). Every grant and revocation
+ * is a new row; nothing is ever updated or deleted, so the consent state
+ * for any channel can be reconstructed at any past instant.
+ *
+ * `Lead.consent` and `Contact.consent` are projections of the ledger that
+ * this module rewrites after every ledger write. Never set them directly.
  */
 
+const { pgPool } = require('../config/database');
+const Lead = require('../database/mongodb/schemas/lead.schema');
+const Contact = require('../database/mongodb/schemas/contact.schema');
 const logger = require('../utils/logger');
+const { formatPhoneE164 } = require('../utils/helpers');
+
+const CHANNELS = ['call', 'sms', 'email'];
+
+// Ledger channel → Lead/Contact consent projection field
+const PROJECTION_FIELDS = {
+  call: 'canCall',
+  sms: 'canSMS',
+  email: 'canEmail'
+};
+
+exports.CHANNELS = CHANNELS;
 
 /**
  * Record consent from lead
+ * @param {String} leadId - MongoDB Lead ID
+ * @param {Object} consentData - { type|channels, source, ipAddress, userAgent,
+ *                               proofReference, disclosureText, occurredAt,
+ *                               phoneNumber, email, recordedBy, metadata }
+ * @returns {Array} Ledger entries written (one per channel)
  */
-exports.recordConsent = async (leadId, consentData) => {
-  // TODO: Store in database with timestamp and proof
-  return {
-    leadId,
-    consentType: consentData.type, // 'call', 'sms', 'email'
-    granted: true,
-    grantedAt: new Date(),
-    source: consentData.source, // 'web_form', 'voice', 'sms'
-    ipAddress: consentData.ipAddress,
-    userAgent: consentData.userAgent
-  };
+exports.recordConsent = async (leadId, consentData = {}) => {
+  const channels = normalizeChannels(consentData.channels || consentData.type);
+
+  if (!consentData.source) {
+    throw new Error('Consent source is required');
+  }
+
+  const entries = await appendEntries(leadId, channels, 'grant', consentData);
+
+  logger.info(`Consent recorded: ${leadId}, channels: ${channels.join(',')}`, {
+    source: consentData.source
+  });
+
+  return entries;
 };
 
 /**
  * Revoke consent
+ * @param {String} leadId - MongoDB Lead ID
+ * @param {String|String[]} consentType - Channel(s) to revoke, or 'all'
+ * @param {Object} details - { source, reason, ipAddress, userAgent, proofReference, recordedBy }
+ * @returns {Array} Ledger entries written (one per channel)
  */
-exports.revokeConsent = async (leadId, consentType) => {
-  // TODO: Update database and log revocation
-  logger.info(`Consent revoked: ${leadId}, type: ${consentType}`);
-  return {
-    leadId,
-    consentType,
-    revokedAt: new Date()
-  };
+exports.revokeConsent = async (leadId, consentType = 'all', details = {}) => {
+  const channels = normalizeChannels(consentType);
+
+  const entries = await appendEntries(leadId, channels, 'revoke', {
+    source: 'manual',
+    ...details
+  });
+
+  logger.info(`Consent revoked: ${leadId}, type: ${channels.join(',')}`, {
+    source: details.source,
+    reason: details.reason
+  });
+
+  return entries;
+};
+
+/**
+ * Revoke consent for every lead on a phone number
+ * Used by opt-out channels (SMS keywords, IVR) that only know the number
+ * @param {String} phoneNumber - Phone number
+ * @param {String|String[]} consentType - Channel(s) to revoke, or 'all'
+ * @param {Object} details - Revocation details (see revokeConsent)
+ * @returns {Array} Ledger entries written
+ */
+exports.revokeConsentByPhone = async (phoneNumber, consentType = 'all', details = {}) => {
+  const normalizedPhone = formatPhoneE164(phoneNumber);
+
+  const leads = await Lead.find({
+    $or: [{ phone: normalizedPhone }, { alternatePhone: normalizedPhone }]
+  }).select('_id').lean();
+
+  const ledgerLeads = await pgPool.query(
+    'SELECT DISTINCT lead_id FROM consent_ledger WHERE phone_number = $1',
+    [normalizedPhone]
+  );
+
+  const leadIds = new Set([
+    ...leads.map(lead => lead._id.toString()),
+    ...ledgerLeads.rows.map(row => row.lead_id)
+  ]);
+
+  const entries = [];
+  for (const leadId of leadIds) {
+    entries.push(...await exports.revokeConsent(leadId, consentType, {
+      ...details,
+      phoneNumber: normalizedPhone
+    }));
+  }
+
+  return entries;
 };
 
 /**
  * Get consent status
+ * @param {String} leadId - MongoDB Lead ID
+ * @param {Date} at - Point in time to evaluate (defaults to now)
+ * @returns {Object} { leadId, call, sms, email, entries, lastUpdated, asOf }
  */
-exports.getConsentStatus = async (leadId) => {
-  // TODO: Query database for all consent types
-  return {
-    leadId,
+exports.getConsentStatus = async (leadId, at = new Date()) => {
+  const query = `
+    SELECT DISTINCT ON (channel) *
+    FROM consent_ledger
+    WHERE lead_id = $1 AND occurred_at <= $2
+    ORDER BY channel, occurred_at DESC, id DESC
+  `;
+
+  const result = await pgPool.query(query, [String(leadId), at]);
+
+  const status = {
+    leadId: String(leadId),
     call: false,
     sms: false,
     email: false,
-    lastUpdated: new Date()
+    entries: { call: null, sms: null, email: null },
+    lastUpdated: null,
+    asOf: at
   };
+
+  for (const row of result.rows) {
+    const entry = formatEntry(row);
+    status[row.channel] = row.action === 'grant';
+    status.entries[row.channel] = entry;
+
+    if (!status.lastUpdated || entry.occurredAt > status.lastUpdated) {
+      status.lastUpdated = entry.occurredAt;
+    }
+  }
+
+  return status;
 };
 
 /**
  * Get consent audit trail
+ * @param {String} leadId - MongoDB Lead ID
+ * @param {Object} options - { channel, startDate, endDate }
+ * @returns {Array} Ledger entries, oldest first
  */
-exports.getConsentHistory = async (leadId) => {
-  // TODO: Return full consent history
-  return [];
+exports.getConsentHistory = async (leadId, options = {}) => {
+  const conditions = ['lead_id = $1'];
+  const params = [String(leadId)];
+
+  if (options.channel) {
+    params.push(options.channel);
+    conditions.push(`channel = $${params.length}`);
+  }
+
+  if (options.startDate) {
+    params.push(new Date(options.startDate));
+    conditions.push(`occurred_at >= $${params.length}`);
+  }
+
+  if (options.endDate) {
+    params.push(new Date(options.endDate));
+    conditions.push(`occurred_at <= $${params.length}`);
+  }
+
+  const query = `
+    SELECT * FROM consent_ledger
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY occurred_at ASC, id ASC
+  `;
+
+  const result = await pgPool.query(query, params);
+  return result.rows.map(formatEntry);
+};
+
+/**
+ * Prove the consent state of a channel at a specific instant
+ * Returns the governing ledger entry plus all prior entries for that channel
+ * @param {String} leadId - MongoDB Lead ID
+ * @param {String} channel - 'call' | 'sms' | 'email'
+ * @param {Date} at - Instant to prove (e.g. CallLog.initiatedAt)
+ * @returns {Object} { leadId, channel, at, consented, entry, history }
+ */
+exports.getConsentProof = async (leadId, channel = 'call', at = new Date()) => {
+  const [channelName] = normalizeChannels(channel);
+  const history = await exports.getConsentHistory(leadId, {
+    channel: channelName,
+    endDate: at
+  });
+
+  const entry = history.length > 0 ? history[history.length - 1] : null;
+
+  return {
+    leadId: String(leadId),
+    channel: channelName,
+    at,
+    consented: entry?.action === 'grant',
+    entry,
+    history
+  };
 };
+
+/**
+ * Check whether a lead currently has consent on a channel
+ * @param {String} leadId - MongoDB Lead ID
+ * @param {String} channel - 'call' | 'sms' | 'email'
+ * @returns {Boolean}
+ */
+exports.hasConsent = async (leadId, channel = 'call') => {
+  const proof = await exports.getConsentProof(leadId, channel);
+  return proof.consented;
+};
+
+/**
+ * Check whether a phone number currently has consent on a channel
+ * @param {String} phoneNumber - Phone number
+ * @param {String} channel - 'call' | 'sms' | 'email'
+ * @returns {Boolean}
+ */
+exports.hasConsentByPhone = async (phoneNumber, channel = 'call') => {
+  const query = `
+    SELECT action FROM consent_ledger
+    WHERE phone_number = $1 AND channel = $2 AND occurred_at <= NOW()
+    ORDER BY occurred_at DESC, id DESC
+    LIMIT 1
+  `;
+
+  const result = await pgPool.query(query, [formatPhoneE164(phoneNumber), channel]);
+  return result.rows[0]?.action === 'grant';
+};
+
+/**
+ * Rewrite Lead.consent / Contact.consent from the ledger
+ * @param {String} leadId - MongoDB Lead ID
+ * @returns {Object} Current consent status
+ */
+exports.syncConsentProjection = async (leadId) => {
+  const status = await exports.getConsentStatus(leadId);
+
+  const latestGrant = CHANNELS
+    .map(channel => status.entries[channel])
+    .filter(entry => entry && entry.action === 'grant')
+    .sort((a, b) => b.occurredAt - a.occurredAt)[0];
+
+  const update = {
+    'consent.consentDate': latestGrant ? latestGrant.occurredAt : null,
+    'consent.consentSource': latestGrant ? latestGrant.source : null,
+    'consent.ledgerSyncedAt': new Date()
+  };
+
+  CHANNELS.forEach(channel => {
+    update[`consent.${PROJECTION_FIELDS[channel]}`] = status[channel];
+  });
+
+  await Lead.updateOne({ _id: leadId }, { $set: update });
+  await Contact.updateMany({ leadId }, { $set: update });
+
+  return status;
+};
+
+// ============================================================================
+// PRIVATE HELPERS
+// ============================================================================
+
+/**
+ * Normalize channel argument to a list of ledger channels
+ * @private
+ */
+function normalizeChannels(type) {
+  if (!type || type === 'all') return [...CHANNELS];
+
+  const list = (Array.isArray(type) ? type : [type]).map(channel => {
+    const name = String(channel).toLowerCase();
+    return name === 'voice' || name === 'phone' ? 'call' : name;
+  });
+
+  const invalid = list.filter(channel => !CHANNELS.includes(channel));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid consent channel(s): ${invalid.join(', ')}`);
+  }
+
+  return [...new Set(list)];
+}
+
+/**
+ * Insert one ledger row per channel, then refresh the projections
+ * @private
+ */
+async function appendEntries(leadId, channels, action, data) {
+  const lead = await Lead.findById(leadId).select('phone email').lean();
+
+  if (!lead) {
+    throw new Error(`Lead ${leadId} not found`);
+  }
+
+  const contact = await Contact.findOne({ leadId }).select('_id').lean();
+  const phoneNumber = data.phoneNumber || lead.phone;
+
+  const query = `
+    INSERT INTO consent_ledger (
+      lead_id, contact_id, phone_number, email, channel, action,
+      source, ip_address, user_agent, proof_reference, disclosure_text,
+      reason, recorded_by_user_id, metadata, occurred_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+    RETURNING *
+  `;
+
+  const entries = [];
+
+  for (const channel of channels) {
+    const result = await pgPool.query(query, [
+      String(leadId),
+      contact ? contact._id.toString() : null,
+      phoneNumber ? formatPhoneE164(phoneNumber) : null,
+      data.email || lead.email || null,
+      channel,
+      action,
+      data.source,
+      data.ipAddress || null,
+      data.userAgent || null,
+      data.proofReference || null,
+      data.disclosureText || null,
+      data.reason || null,
+      data.recordedBy ? String(data.recordedBy) : null,
+      JSON.stringify(data.metadata || {}),
+      data.occurredAt ? new Date(data.occurredAt) : new Date()
+    ]);
+
+    entries.push(formatEntry(result.rows[0]));
+  }
+
+  await exports.syncConsentProjection(leadId);
+
+  return entries;
+}
+
+/**
+ * Map a ledger row to API shape
+ * @private
+ */
+function formatEntry(row) {
+  return {
+    id: row.id,
+    leadId: row.lead_id,
+    contactId: row.contact_id,
+    phoneNumber: row.phone_number,
+    email: row.email,
+    channel: row.channel,
+    action: row.action,
+    source: row.source,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    proofReference: row.proof_reference,
+    disclosureText: row.disclosure_text,
+    reason: row.reason,
+    recordedBy: row.recorded_by_user_id,
+    metadata: row.metadata,
+    occurredAt: row.occurred_at,
+    recordedAt: row.recorded_at
+  };
+}
@@ -6,43 +6,76 @@
  * @created 2025-10-21
  * 
  * TODO: Implement TCPA compliance checks
- * - Verify consent before calling
  * - Track opt-in/opt-out status
  * - Maintain compliance records
- * - Block calls during restricted hours
  */
 
 const logger = require('../utils/logger');
+const Lead = require('../database/mongodb/schemas/lead.schema');
+const Contact = require('../database/mongodb/schemas/contact.schema');
+const callingWindow = require('./tcpa/calling-window');
+const consentManager = require('./consent-manager');
 
 /**
- * Check if lead has valid TCPA consent
+ * Check if lead has valid TCPA consent (read from the consent ledger)
  */
 exports.hasValidConsent = async (leadId) => {
-  // TODO: Check consent status in database
-  return false;
+  const lead = await Lead.findById(leadId).select('isActive').lean();
+  if (!lead || lead.isActive === false) return false;
+
+  return consentManager.hasConsent(leadId, 'call');
 };
 
 /**
  * Record consent event
  */
 exports.recordConsent = async (leadId, consentData) => {
-  // TODO: Store consent record
-  return {
-    leadId,
-    consentGiven: true,
-    timestamp: new Date(),
-    ...consentData
-  };
+  return consentManager.recordConsent(leadId, consentData);
 };
 
 /**
- * Check if calling is allowed at current time
+ * Check if calling is allowed at current time (8am-9pm in the given timezone)
  */
-exports.isCallingAllowed = (timezone = 'America/New_York') => {
-  // TODO: Implement time-of-day restrictions (8am-9pm local time)
-  const now = new Date();
-  const hour = now.getHours();
-  return hour >= 8 && hour < 21;
+exports.isCallingAllowed = (timezone = callingWindow.DEFAULT_TIMEZONE, at = new Date()) => {
+  return callingWindow.checkCallingWindow({ timezone, at }).allowed;
+};
+
+/**
+ * Check the calling window for a lead in its local timezone
+ * Applies federal hours plus state quiet hours and holidays
+ * @param {Object|String} lead - Lead document or lead ID
+ * @param {Object} options - { phoneNumber, contact, at }
+ * @returns {Object} Calling-window decision with reason and nextAllowedAt
+ */
+exports.checkCallingWindow = async (lead, options = {}) => {
+  const leadDoc = typeof lead === 'string' || lead?._bsontype === 'ObjectId'
+    ? await Lead.findById(lead).lean()
+    : lead;
+
+  const contact = options.contact !== undefined
+    ? options.contact
+    : leadDoc?._id
+      ? await Contact.findOne({ leadId: leadDoc._id }).select('address preferences phone').lean()
+      : null;
+
+  const result = callingWindow.checkCallingWindow({
+    lead: leadDoc,
+    contact,
+    phoneNumber: options.phoneNumber,
+    at: options.at
+  });
+
+  if (!result.allowed) {
+    logger.info('Calling window closed', {
+      leadId: leadDoc?._id,
+      reason: result.reason,
+      state: result.state,
+      timezones: result.timezones,
+      nextAllowedAt: result.nextAllowedAt
+    });
+  }
+
+  return result;
 };
 
 /**
@@ -60,14 +93,16 @@ exports.checkDNCStatus = async (phoneNumber) => {
 module.exports.validateBeforeCall = async (leadId, phoneNumber) => {
   const hasConsent = await exports.hasValidConsent(leadId);
   const dncStatus = await exports.checkDNCStatus(phoneNumber);
-  const timeAllowed = exports.isCallingAllowed();
+  const window = await exports.checkCallingWindow(leadId, { phoneNumber });
 
   return {
-    canCall: hasConsent && !dncStatus.isDNC && timeAllowed,
+    canCall: hasConsent && !dncStatus.isDNC && window.allowed,
     reasons: {
       hasConsent,
       isDNC: dncStatus.isDNC,
-      timeAllowed
-    }
+      timeAllowed: window.allowed,
+      callingWindow: window.reason
+    },
+    nextAllowedAt: window.nextAllowedAt
   };
 };
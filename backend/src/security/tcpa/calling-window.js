@@ -0,0 +1,425 @@
+/**
+ * TCPA Calling-Window Engine
+ *
+ * @description Decides whether an outbound dial is allowed right now in the
+ *              lead's local time, and when the next permitted moment is.
+ *              Federal rule: 8am-9pm local time. Several states narrow the
+ *              window further or prohibit Sunday/holiday solicitation.
+ * @owner Marcus Thompson (Security Specialist)
+ *
+ * Timezone resolution order:
+ * 1. Explicit timezone on the lead (lead.timezone / lead.customFields.timezone)
+ * 2. State from the linked Contact's postal address
+ * 3. Phone number area code
+ * 4. Contact communication preference (schema default, so lowest priority)
+ * 5. DEFAULT_TIMEZONE
+ *
+ * NOTE: STATE_CALLING_RULES must be reviewed by legal whenever a state
+ * amends its telemarketing statute.
+ */
+
+const { lookupAreaCode, getStateTimezone } = require('./timezones');
+
+const DEFAULT_TIMEZONE = 'America/New_York';
+const FEDERAL_WINDOW = [8, 21];
+const MAX_LOOKAHEAD_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Build a rule that applies the same hours every day
+ */
+const everyDay = (start, end) => ({ weekday: [start, end], saturday: [start, end], sunday: [start, end] });
+
+/**
+ * State-specific calling hours (local time, decimal hours, end exclusive).
+ * `sunday: null` prohibits Sunday calls; `noHolidays` blocks federal holidays.
+ */
+const STATE_CALLING_RULES = {
+  AL: { ...everyDay(8, 20), sunday: null, noHolidays: true },
+  CT: everyDay(9, 20),
+  FL: everyDay(8, 20),
+  KY: everyDay(10, 21),
+  LA: { ...everyDay(8, 20), sunday: null, noHolidays: true },
+  MA: everyDay(8, 20),
+  MD: everyDay(8, 20),
+  MS: { ...everyDay(8, 20), sunday: null },
+  OK: everyDay(8, 20),
+  PA: { ...everyDay(8, 21), sunday: [13.5, 21] },
+  RI: { weekday: [9, 18], saturday: [10, 17], sunday: null, noHolidays: true },
+  TX: { ...everyDay(9, 21), sunday: [12, 21] },
+  UT: { ...everyDay(8, 21), sunday: null, noHolidays: true },
+  WA: everyDay(8, 20)
+};
+
+const REASONS = {
+  OUTSIDE_CALLING_HOURS: 'OUTSIDE_CALLING_HOURS',
+  RESTRICTED_DAY: 'RESTRICTED_DAY',
+  HOLIDAY: 'HOLIDAY',
+  NO_WINDOW_AVAILABLE: 'NO_WINDOW_AVAILABLE'
+};
+
+const formatterCache = new Map();
+
+/**
+ * Get (cached) Intl formatter for a timezone
+ * @private
+ */
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * Check that a string is a valid IANA timezone
+ * @param {String} timeZone - Timezone name
+ * @returns {Boolean}
+ */
+function isValidTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get wall-clock parts of a date in a timezone
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second, weekday }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = getFormatter(timeZone).formatToParts(date).reduce((acc, part) => {
+    if (part.type !== 'literal') acc[part.type] = parseInt(part.value, 10);
+    return acc;
+  }, {});
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+  };
+}
+
+/**
+ * Offset (ms) between a timezone's wall clock and UTC at an instant
+ * @private
+ */
+function getTimezoneOffset(timestamp, timeZone) {
+  const p = getZonedParts(new Date(timestamp), timeZone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUTC - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Convert a local wall-clock time in a timezone to a UTC Date
+ * @param {Object} date - { year, month, day }
+ * @param {Number} hours - Decimal hours (e.g. 13.5 = 1:30pm)
+ * @param {String} timeZone - IANA timezone
+ * @returns {Date}
+ */
+function zonedTimeToUtc({ year, month, day }, hours, timeZone) {
+  const wholeHours = Math.floor(hours);
+  const minutes = Math.round((hours - wholeHours) * 60);
+  const guess = Date.UTC(year, month - 1, day, wholeHours, minutes);
+
+  const offset = getTimezoneOffset(guess, timeZone);
+  let result = guess - offset;
+
+  // Re-check across DST transitions
+  const correctedOffset = getTimezoneOffset(result, timeZone);
+  if (correctedOffset !== offset) {
+    result = guess - correctedOffset;
+  }
+
+  return new Date(result);
+}
+
+/**
+ * Get the observed US federal holidays for a year as YYYY-MM-DD strings
+ * @param {Number} year - Calendar year
+ * @returns {String[]}
+ */
+function getFederalHolidays(year) {
+  const fmt = (month, day) => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+  // nth weekday of month (n = -1 for last)
+  const nthWeekday = (month, weekday, n) => {
+    if (n > 0) {
+      const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+      return 1 + ((weekday - first + 7) % 7) + (n - 1) * 7;
+    }
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const last = new Date(Date.UTC(year, month - 1, lastDay)).getUTCDay();
+    return lastDay - ((last - weekday + 7) % 7);
+  };
+
+  return [
+    fmt(1, 1),                       // New Year's Day
+    fmt(1, nthWeekday(1, 1, 3)),     // Martin Luther King Jr. Day
+    fmt(2, nthWeekday(2, 1, 3)),     // Presidents' Day
+    fmt(5, nthWeekday(5, 1, -1)),    // Memorial Day
+    fmt(6, 19),                      // Juneteenth
+    fmt(7, 4),                       // Independence Day
+    fmt(9, nthWeekday(9, 1, 1)),     // Labor Day
+    fmt(10, nthWeekday(10, 1, 2)),   // Columbus Day
+    fmt(11, 11),                     // Veterans Day
+    fmt(11, nthWeekday(11, 4, 4)),   // Thanksgiving
+    fmt(12, 25)                      // Christmas Day
+  ];
+}
+
+/**
+ * Check whether a local calendar date is a federal holiday
+ * @param {Object} date - { year, month, day }
+ * @returns {Boolean}
+ */
+function isFederalHoliday({ year, month, day }) {
+  const key = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  return getFederalHolidays(year).includes(key);
+}
+
+/**
+ * Get the calling window for a local calendar date
+ * @param {String|null} state - State abbreviation
+ * @param {Object} date - { year, month, day, weekday }
+ * @returns {Object} { window: [start, end] | null, reason }
+ */
+function getWindowForDate(state, date) {
+  const rules = (state && STATE_CALLING_RULES[state]) || null;
+
+  if (!rules) {
+    return { window: FEDERAL_WINDOW, reason: null };
+  }
+
+  if (rules.noHolidays && isFederalHoliday(date)) {
+    return { window: null, reason: REASONS.HOLIDAY };
+  }
+
+  const dayName = WEEKDAYS[date.weekday];
+  const window = dayName === 'sunday' || dayName === 'saturday'
+    ? rules[dayName]
+    : rules.weekday;
+
+  if (!window) {
+    return { window: null, reason: REASONS.RESTRICTED_DAY };
+  }
+
+  // State rules can only narrow the federal window, never widen it
+  return {
+    window: [Math.max(window[0], FEDERAL_WINDOW[0]), Math.min(window[1], FEDERAL_WINDOW[1])],
+    reason: null
+  };
+}
+
+/**
+ * Find the next instant at or after `from` when calling is permitted in a zone
+ * @param {Date} from - Starting instant
+ * @param {String} timeZone - IANA timezone
+ * @param {String|null} state - State abbreviation
+ * @returns {Date|null} Next allowed instant (null if none within lookahead)
+ */
+function getNextAllowedTimeInZone(from, timeZone, state) {
+  const local = getZonedParts(from, timeZone);
+
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    const calendarDay = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+    const date = {
+      year: calendarDay.getUTCFullYear(),
+      month: calendarDay.getUTCMonth() + 1,
+      day: calendarDay.getUTCDate(),
+      weekday: calendarDay.getUTCDay()
+    };
+
+    const { window } = getWindowForDate(state, date);
+    if (!window) continue;
+
+    const windowStart = zonedTimeToUtc(date, window[0], timeZone);
+    const windowEnd = zonedTimeToUtc(date, window[1], timeZone);
+
+    if (from < windowStart) return windowStart;
+    if (from < windowEnd) return from;
+  }
+
+  return null;
+}
+
+/**
+ * Evaluate the calling window in a single timezone
+ * @private
+ */
+function evaluateZone(at, timeZone, state) {
+  const local = getZonedParts(at, timeZone);
+  const { window, reason } = getWindowForDate(state, local);
+  const localHours = local.hour + local.minute / 60;
+
+  const allowed = !!window && localHours >= window[0] && localHours < window[1];
+
+  return {
+    timezone: timeZone,
+    allowed,
+    reason: allowed ? null : (reason || REASONS.OUTSIDE_CALLING_HOURS),
+    window,
+    localTime: `${local.year}-${String(local.month).padStart(2, '0')}-${String(local.day).padStart(2, '0')}T` +
+      `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`
+  };
+}
+
+/**
+ * Find the next instant when calling is permitted in every timezone
+ * @param {Date} from - Starting instant
+ * @param {String[]} timezones - IANA timezones
+ * @param {String|null} state - State abbreviation
+ * @returns {Date|null}
+ */
+function getNextAllowedTime(from, timezones, state) {
+  let candidate = from;
+
+  // Each pass can only move the candidate forward, so a few passes converge
+  for (let pass = 0; pass < 5; pass++) {
+    const nextTimes = timezones.map(tz => getNextAllowedTimeInZone(candidate, tz, state));
+
+    if (nextTimes.some(time => time === null)) return null;
+
+    const latest = new Date(Math.max(...nextTimes.map(time => time.getTime())));
+
+    if (timezones.every(tz => evaluateZone(latest, tz, state).allowed)) {
+      return latest;
+    }
+
+    candidate = new Date(latest.getTime() + 60 * 1000);
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a lead's state and timezone(s) from the best available source
+ * @param {Object} params
+ * @param {Object} params.lead - Lead document (optional)
+ * @param {Object} params.contact - Contact document linked to the lead (optional)
+ * @param {String} params.phoneNumber - Number being dialed (falls back to lead.phone)
+ * @returns {Object} { timezones, state, source, areaCode }
+ */
+function resolveLeadLocation({ lead = null, contact = null, phoneNumber = null } = {}) {
+  const phone = phoneNumber || lead?.phone || contact?.phone?.primary;
+  const areaCodeInfo = lookupAreaCode(phone);
+  const addressState = contact?.address?.state ? String(contact.address.state).trim().toUpperCase() : null;
+  const state = (getStateTimezone(addressState) && addressState) || areaCodeInfo?.state || null;
+
+  const explicitTimezone = lead?.timezone || lead?.customFields?.timezone;
+  if (isValidTimezone(explicitTimezone)) {
+    return { timezones: [explicitTimezone], state, source: 'explicit', areaCode: areaCodeInfo?.areaCode || null };
+  }
+
+  const addressTimezone = getStateTimezone(addressState);
+  if (addressTimezone) {
+    return { timezones: [addressTimezone], state, source: 'address', areaCode: areaCodeInfo?.areaCode || null };
+  }
+
+  if (areaCodeInfo) {
+    return { timezones: areaCodeInfo.timezones, state, source: 'area_code', areaCode: areaCodeInfo.areaCode };
+  }
+
+  if (isValidTimezone(contact?.preferences?.timezone)) {
+    return { timezones: [contact.preferences.timezone], state, source: 'contact_preference', areaCode: null };
+  }
+
+  return { timezones: [DEFAULT_TIMEZONE], state, source: 'default', areaCode: null };
+}
+
+/**
+ * Check whether an outbound call is allowed now
+ * @param {Object} params
+ * @param {Object} params.lead - Lead document (optional)
+ * @param {Object} params.contact - Linked contact (optional)
+ * @param {String} params.phoneNumber - Number being dialed
+ * @param {String} params.timezone - Explicit timezone override (optional)
+ * @param {Date} params.at - Instant to evaluate (defaults to now)
+ * @returns {Object} { allowed, reason, message, nextAllowedAt, timezones, state, source, zones }
+ */
+function checkCallingWindow({ lead = null, contact = null, phoneNumber = null, timezone = null, at = new Date() } = {}) {
+  const location = resolveLeadLocation({ lead, contact, phoneNumber });
+
+  if (isValidTimezone(timezone)) {
+    location.timezones = [timezone];
+    location.source = 'explicit';
+  }
+
+  const zones = location.timezones.map(tz => evaluateZone(at, tz, location.state));
+  const blocked = zones.find(zone => !zone.allowed);
+
+  if (!blocked) {
+    return {
+      allowed: true,
+      reason: null,
+      message: null,
+      nextAllowedAt: null,
+      ...location,
+      zones
+    };
+  }
+
+  const nextAllowedAt = getNextAllowedTime(at, location.timezones, location.state);
+
+  return {
+    allowed: false,
+    reason: nextAllowedAt ? blocked.reason : REASONS.NO_WINDOW_AVAILABLE,
+    message: buildMessage(blocked, location.state),
+    nextAllowedAt,
+    ...location,
+    zones
+  };
+}
+
+/**
+ * Human-readable explanation for a blocked zone
+ * @private
+ */
+function buildMessage(zone, state) {
+  const where = state ? `${state} (${zone.timezone})` : zone.timezone;
+
+  switch (zone.reason) {
+    case REASONS.HOLIDAY:
+      return `Calls are not permitted on legal holidays in ${where}`;
+    case REASONS.RESTRICTED_DAY:
+      return `Calls are not permitted on this day of the week in ${where}`;
+    default:
+      return `Local time ${zone.localTime.substring(11)} in ${where} is outside the permitted calling window`;
+  }
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  FEDERAL_WINDOW,
+  STATE_CALLING_RULES,
+  REASONS,
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  getFederalHolidays,
+  isFederalHoliday,
+  getWindowForDate,
+  getNextAllowedTime,
+  resolveLeadLocation,
+  checkCallingWindow
+};
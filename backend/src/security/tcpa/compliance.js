@@ -3,15 +3,15 @@
  * Ensures all calls comply with TCPA regulations
  */
 
+const callingWindow = require('./calling-window');
+
 class TCPACompliance {
   constructor() {
     this.allowedCallHours = { start: 8, end: 21 }; // 8 AM to 9 PM
   }
 
-  isCallTimeAllowed(timezone = 'America/New_York') {
-    const now = new Date();
-    const hour = now.getHours();
-    return hour >= this.allowedCallHours.start && hour < this.allowedCallHours.end;
+  isCallTimeAllowed(timezone = callingWindow.DEFAULT_TIMEZONE) {
+    return callingWindow.checkCallingWindow({ timezone }).allowed;
   }
 
   async checkConsent(phone) {
@@ -0,0 +1,211 @@
+/**
+ * NANP Area Code → State / Timezone Reference
+ *
+ * @description Lookup tables used by the calling-window engine to place a
+ *              phone number in a state and IANA timezone when the lead has
+ *              no explicit timezone or postal address on file.
+ * @owner Marcus Thompson (Security Specialist)
+ *
+ * Area codes that straddle a timezone boundary map to every zone they
+ * cover. The calling-window engine requires the window to be open in ALL
+ * of them, so a split area code is always treated conservatively.
+ */
+
+const STATE_AREA_CODES = {
+  AL: [205, 251, 256, 334, 659, 938],
+  AK: [907],
+  AZ: [480, 520, 602, 623, 928],
+  AR: [327, 479, 501, 870],
+  CA: [209, 213, 279, 310, 323, 341, 350, 408, 415, 424, 442, 510, 530, 559, 562, 619, 626, 628, 650, 657, 661, 669, 707, 714, 747, 760, 805, 818, 820, 831, 840, 858, 909, 916, 925, 949, 951],
+  CO: [303, 719, 720, 970, 983],
+  CT: [203, 475, 860, 959],
+  DC: [202, 771],
+  DE: [302],
+  FL: [239, 305, 321, 352, 386, 407, 448, 561, 656, 689, 727, 754, 772, 786, 813, 850, 863, 904, 941, 954],
+  GA: [229, 404, 470, 478, 678, 706, 762, 770, 912, 943],
+  HI: [808],
+  IA: [319, 515, 563, 641, 712],
+  ID: [208, 986],
+  IL: [217, 224, 309, 312, 331, 447, 464, 618, 630, 708, 730, 773, 779, 815, 847, 861, 872],
+  IN: [219, 260, 317, 463, 574, 765, 812, 930],
+  KS: [316, 620, 785, 913],
+  KY: [270, 364, 502, 606, 859],
+  LA: [225, 318, 337, 504, 985],
+  MA: [339, 351, 413, 508, 617, 774, 781, 857, 978],
+  MD: [227, 240, 301, 410, 443, 667],
+  ME: [207],
+  MI: [231, 248, 269, 313, 517, 586, 616, 679, 734, 810, 906, 947, 989],
+  MN: [218, 320, 507, 612, 651, 763, 952],
+  MO: [235, 314, 417, 557, 573, 636, 660, 816, 975],
+  MS: [228, 601, 662, 769],
+  MT: [406],
+  NC: [252, 336, 472, 704, 743, 828, 910, 919, 980, 984],
+  ND: [701],
+  NE: [308, 402, 531],
+  NH: [603],
+  NJ: [201, 551, 609, 640, 732, 848, 856, 862, 908, 973],
+  NM: [505, 575],
+  NV: [702, 725, 775],
+  NY: [212, 315, 329, 332, 347, 363, 516, 518, 585, 607, 624, 631, 646, 680, 716, 718, 838, 845, 914, 917, 929, 934],
+  OH: [216, 220, 234, 283, 326, 330, 380, 419, 436, 440, 513, 567, 614, 740, 937],
+  OK: [405, 539, 572, 580, 918],
+  OR: [458, 503, 541, 971],
+  PA: [215, 223, 267, 272, 412, 445, 484, 570, 582, 610, 717, 724, 814, 835, 878],
+  PR: [787, 939],
+  RI: [401],
+  SC: [803, 839, 843, 854, 864],
+  SD: [605],
+  TN: [423, 615, 629, 731, 865, 901, 931],
+  TX: [210, 214, 254, 281, 325, 346, 361, 409, 430, 432, 469, 512, 682, 713, 726, 737, 806, 817, 830, 832, 903, 915, 936, 940, 945, 956, 972, 979],
+  UT: [385, 435, 801],
+  VA: [276, 434, 540, 571, 686, 703, 757, 804, 826, 948],
+  VT: [802],
+  WA: [206, 253, 360, 425, 509, 564],
+  WI: [262, 274, 353, 414, 534, 608, 715, 920],
+  WV: [304, 681],
+  WY: [307]
+};
+
+/**
+ * Primary timezone for each state
+ */
+const STATE_TIMEZONES = {
+  AL: 'America/Chicago',
+  AK: 'America/Anchorage',
+  AZ: 'America/Phoenix',
+  AR: 'America/Chicago',
+  CA: 'America/Los_Angeles',
+  CO: 'America/Denver',
+  CT: 'America/New_York',
+  DC: 'America/New_York',
+  DE: 'America/New_York',
+  FL: 'America/New_York',
+  GA: 'America/New_York',
+  HI: 'Pacific/Honolulu',
+  IA: 'America/Chicago',
+  ID: 'America/Boise',
+  IL: 'America/Chicago',
+  IN: 'America/Indiana/Indianapolis',
+  KS: 'America/Chicago',
+  KY: 'America/New_York',
+  LA: 'America/Chicago',
+  MA: 'America/New_York',
+  MD: 'America/New_York',
+  ME: 'America/New_York',
+  MI: 'America/Detroit',
+  MN: 'America/Chicago',
+  MO: 'America/Chicago',
+  MS: 'America/Chicago',
+  MT: 'America/Denver',
+  NC: 'America/New_York',
+  ND: 'America/Chicago',
+  NE: 'America/Chicago',
+  NH: 'America/New_York',
+  NJ: 'America/New_York',
+  NM: 'America/Denver',
+  NV: 'America/Los_Angeles',
+  NY: 'America/New_York',
+  OH: 'America/New_York',
+  OK: 'America/Chicago',
+  OR: 'America/Los_Angeles',
+  PA: 'America/New_York',
+  PR: 'America/Puerto_Rico',
+  RI: 'America/New_York',
+  SC: 'America/New_York',
+  SD: 'America/Chicago',
+  TN: 'America/Chicago',
+  TX: 'America/Chicago',
+  UT: 'America/Denver',
+  VA: 'America/New_York',
+  VT: 'America/New_York',
+  WA: 'America/Los_Angeles',
+  WI: 'America/Chicago',
+  WV: 'America/New_York',
+  WY: 'America/Denver'
+};
+
+/**
+ * Area codes whose coverage differs from the state's primary timezone
+ */
+const AREA_CODE_TIMEZONE_OVERRIDES = {
+  208: ['America/Boise', 'America/Los_Angeles'],
+  219: ['America/Chicago'],
+  270: ['America/Chicago', 'America/New_York'],
+  308: ['America/Chicago', 'America/Denver'],
+  364: ['America/Chicago', 'America/New_York'],
+  423: ['America/New_York'],
+  458: ['America/Los_Angeles', 'America/Boise'],
+  541: ['America/Los_Angeles', 'America/Boise'],
+  605: ['America/Chicago', 'America/Denver'],
+  620: ['America/Chicago', 'America/Denver'],
+  701: ['America/Chicago', 'America/Denver'],
+  785: ['America/Chicago', 'America/Denver'],
+  812: ['America/Indiana/Indianapolis', 'America/Chicago'],
+  850: ['America/New_York', 'America/Chicago'],
+  865: ['America/New_York'],
+  906: ['America/Detroit', 'America/Chicago'],
+  915: ['America/Denver'],
+  928: ['America/Phoenix', 'America/Denver'],
+  931: ['America/Chicago', 'America/New_York'],
+  986: ['America/Boise', 'America/Los_Angeles']
+};
+
+const AREA_CODE_STATES = Object.entries(STATE_AREA_CODES).reduce((map, [state, codes]) => {
+  codes.forEach(code => { map[code] = state; });
+  return map;
+}, {});
+
+/**
+ * Extract the NANP area code from a phone number
+ * @param {String} phoneNumber - Phone number in any common US format
+ * @returns {Number|null} Three-digit area code
+ */
+function getAreaCode(phoneNumber) {
+  if (!phoneNumber) return null;
+
+  let digits = String(phoneNumber).replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('1')) {
+    digits = digits.substring(1);
+  }
+
+  if (digits.length !== 10) return null;
+
+  return parseInt(digits.substring(0, 3), 10);
+}
+
+/**
+ * Look up state and timezones for a phone number's area code
+ * @param {String} phoneNumber - Phone number
+ * @returns {Object|null} { areaCode, state, timezones }
+ */
+function lookupAreaCode(phoneNumber) {
+  const areaCode = getAreaCode(phoneNumber);
+  const state = areaCode ? AREA_CODE_STATES[areaCode] : null;
+
+  if (!state) return null;
+
+  return {
+    areaCode,
+    state,
+    timezones: AREA_CODE_TIMEZONE_OVERRIDES[areaCode] || [STATE_TIMEZONES[state]]
+  };
+}
+
+/**
+ * Get the primary timezone for a two-letter state code
+ * @param {String} state - State abbreviation
+ * @returns {String|null} IANA timezone
+ */
+function getStateTimezone(state) {
+  if (!state) return null;
+  return STATE_TIMEZONES[String(state).trim().toUpperCase()] || null;
+}
+
+module.exports = {
+  STATE_AREA_CODES,
+  STATE_TIMEZONES,
+  AREA_CODE_TIMEZONE_OVERRIDES,
+  getAreaCode,
+  lookupAreaCode,
+  getStateTimezone
+};
@@ -1,27 +1,23 @@
 /**
  * Security Audit Logger
+ *
+ * Kept for older callers - entries go to the persisted audit log
+ * (services/audit.service). New code should use security/audit-logger.
  */
 
-const fs = require('fs').promises;
-const path = require('path');
+const auditService = require('../../services/audit.service');
+const { auditLog } = require('../audit-logger');
 
 class AuditLogger {
-  constructor() {
-    this.logDir = path.join(__dirname, '../../../logs/audit');
-  }
-
-  async log(event, data, userId = 'system') {
-    const timestamp = new Date().toISOString();
-    const logEntry = {
-      timestamp,
-      event,
-      userId,
-      data,
-      ip: data.ip || 'unknown'
-    };
+  async log(event, data = {}, userId = 'system') {
+    const { ip, ...metadata } = data;
 
-    const logFile = path.join(this.logDir, `${timestamp.split('T')[0]}.log`);
-    await fs.appendFile(logFile, JSON.stringify(logEntry) + '\n');
+    return auditService.record({
+      action: String(event).toUpperCase(),
+      actor: userId === 'system' ? { type: 'system' } : { userId },
+      ipAddress: ip,
+      metadata
+    });
   }
 
   async logAccess(resource, action, userId) {
@@ -31,6 +27,10 @@ class AuditLogger {
   async logSecurityEvent(type, details) {
     await this.log('security', { type, details });
   }
+
+  async auditLog(entry) {
+    return auditLog(entry);
+  }
 }
 
 module.exports = new AuditLogger();
@@ -37,6 +37,15 @@ async function startServer() {
     const socketHandler = new SocketHandler(io);
     console.log('✅ Socket.io initialized');
 
+    // /metrics reports the active call count the dashboards see
+    require('./utils/metrics').setActiveCallsSource(() => socketHandler.getActiveCallsCount());
+
+    // Lead file imports report progress over Socket.io
+    require('./services/leadImport.service').setSocketServer(io);
+
+    // Campaign metrics, lead release and scoring follow persisted call events
+    require('./integrations/callLifecycleSubscribers').registerCallLifecycleSubscribers();
+
     // Initialize Telnyx WebSocket connection
     const telnyxConnected = await telnyxWebSocket.connect(io);
     if (telnyxConnected) {
@@ -65,6 +74,21 @@ async function startServer() {
       console.log('⚠️  Gmail Lead Import not configured (set GMAIL_* env variables)');
     }
 
+    // Initialize scheduled report delivery cron job
+    const reportDeliveryCron = require('./cron/reportDelivery.cron');
+    reportDeliveryCron.start();
+    console.log('✅ Report delivery cron job started');
+
+    // Initialize caller ID reputation cron job
+    const callerIdReputationCron = require('./cron/callerIdReputation.cron');
+    callerIdReputationCron.start();
+    console.log('✅ Caller ID reputation cron job started');
+
+    // Initialize audit log retention cron job
+    const auditRetentionCron = require('./cron/auditRetention.cron');
+    auditRetentionCron.start();
+    console.log('✅ Audit retention cron job started');
+
     // Start server
     server.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
@@ -88,6 +112,11 @@ async function startServer() {
         console.log('Gmail cron job stopped');
       }
 
+      // Stop report delivery cron job
+      reportDeliveryCron.stop();
+      callerIdReputationCron.stop();
+      auditRetentionCron.stop();
+
       // Disconnect Telnyx WebSocket
       telnyxWebSocket.disconnect();
 
@@ -110,6 +139,11 @@ async function startServer() {
         console.log('Gmail cron job stopped');
       }
 
+      // Stop report delivery cron job
+      reportDeliveryCron.stop();
+      callerIdReputationCron.stop();
+      auditRetentionCron.stop();
+
       // Disconnect Telnyx WebSocket
       telnyxWebSocket.disconnect();
 
@@ -17,11 +17,12 @@
 
 const Anthropic = require('@anthropic-ai/sdk');
 const { assembleLeadContext } = require('./leadContextService');
+const { instrumentAnthropic } = require('../utils/metrics');
 
 // Initialize Anthropic client
-const anthropic = new Anthropic({
+const anthropic = instrumentAnthropic(new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY
-});
+}), 'recommendation');
 
 /**
  * Generate recommendation for a single lead using Claude
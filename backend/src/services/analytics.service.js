@@ -1,5 +1,9 @@
 const Lead = require('../database/mongodb/schemas/lead.schema');
 const Call = require('../database/mongodb/schemas/call.schema');
+const SpeedToLeadRule = require('../database/mongodb/schemas/speedToLeadRule.schema');
+const { summarizeDelays } = require('../utils/speedToLead');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class AnalyticsService {
   async getOverview(params) {
@@ -35,6 +39,83 @@ class AnalyticsService {
       successRate: 0
     };
   }
+
+  /**
+   * Time from lead creation to first dial, for leads created in a range
+   * @param {Object} params - { startDate, endDate } (default: last 7 days)
+   * @returns {Object} { range, overall, bySource, byRule }
+   */
+  async getSpeedToLeadMetrics(params = {}) {
+    const end = params.endDate ? new Date(params.endDate) : new Date();
+    const start = params.startDate ? new Date(params.startDate) : new Date(end.getTime() - 7 * DAY_MS);
+
+    if (isNaN(start) || isNaN(end) || start >= end) {
+      return { error: 'startDate must be a date before endDate' };
+    }
+
+    const created = { createdAt: { $gte: start, $lt: end } };
+
+    const [sources, rules] = await Promise.all([
+      Lead.aggregate([
+        { $match: created },
+        {
+          $group: {
+            _id: { $ifNull: ['$customFields.leadSource', '$source'] },
+            delays: {
+              $push: {
+                $cond: [
+                  { $ifNull: ['$firstDialedAt', false] },
+                  { $divide: [{ $subtract: ['$firstDialedAt', '$createdAt'] }, 1000] },
+                  null
+                ]
+              }
+            }
+          }
+        }
+      ]),
+      Lead.aggregate([
+        { $match: { ...created, 'customFields.speedToLead.ruleId': { $exists: true } } },
+        {
+          $group: {
+            _id: { ruleId: '$customFields.speedToLead.ruleId', status: '$customFields.speedToLead.status' },
+            leads: { $sum: 1 },
+            secondsToDial: { $sum: { $ifNull: ['$customFields.speedToLead.secondsToDial', 0] } }
+          }
+        }
+      ])
+    ]);
+
+    const ruleNames = await SpeedToLeadRule.find({ _id: { $in: [...new Set(rules.map(row => row._id.ruleId))] } })
+      .select('name')
+      .lean();
+
+    const byRule = Object.values(rules.reduce((result, row) => {
+      const ruleId = row._id.ruleId;
+      const rule = result[ruleId] || (result[ruleId] = {
+        ruleId,
+        name: ruleNames.find(candidate => String(candidate._id) === ruleId)?.name || null,
+        triggered: 0,
+        statuses: {},
+        averageSecondsToDial: null
+      });
+
+      rule.triggered += row.leads;
+      rule.statuses[row._id.status] = row.leads;
+      if (row._id.status === 'dialed') {
+        rule.averageSecondsToDial = Math.round(row.secondsToDial / row.leads);
+      }
+      return result;
+    }, {}));
+
+    return {
+      range: { start, end },
+      overall: summarizeDelays(sources.flatMap(row => row.delays)),
+      bySource: sources
+        .map(row => ({ source: row._id || 'unknown', ...summarizeDelays(row.delays) }))
+        .sort((a, b) => b.leads - a.leads),
+      byRule
+    };
+  }
 }
 
 module.exports = new AnalyticsService();
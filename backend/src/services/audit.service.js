@@ -0,0 +1,286 @@
+const AuditEvent = require('../database/mongodb/schemas/auditEvent.schema');
+const User = require('../database/mongodb/schemas/user.schema');
+const { runWithOrganization, getOrganizationId } = require('../utils/tenant.util');
+const {
+  sanitize,
+  diff,
+  hashEntry,
+  createChainVerifier,
+  buildFilter,
+  retentionCutoff,
+  GENESIS_HASH
+} = require('../utils/auditTrail');
+const logger = require('../utils/logger');
+
+/**
+ * Audit Service
+ * Append-only, tamper-evident record of who did what to which resource
+ *
+ * record() appends to the organization's hash chain (see utils/auditTrail).
+ * Appends to one chain are serialized in this process, and the unique
+ * (organizationId, sequence) index makes replicas racing for the same
+ * sequence retry rather than fork the chain.
+ *
+ * Recording never throws - a failed audit write is logged, not surfaced to
+ * the request that triggered it.
+ */
+
+const RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS) || 730;
+const EXPORT_MAX_ROWS = parseInt(process.env.AUDIT_EXPORT_MAX_ROWS) || 50000;
+const MAX_APPEND_ATTEMPTS = 5;
+const PURGE_ACTION = 'AUDIT_RETENTION_PURGED';
+
+class AuditService {
+  constructor() {
+    this.retentionDays = RETENTION_DAYS;
+    this.exportMaxRows = EXPORT_MAX_ROWS;
+    this.chains = new Map();
+  }
+
+  /**
+   * Record an audit event
+   * @param {Object} event - {
+   *   action,                     e.g. 'LEAD_UPDATED'
+   *   resource: { type, id },
+   *   req,                        Express request - actor, organization, IP, user agent, request ID
+   *   actor,                      { type, userId, email, role, apiKeyId } when there's no req.user
+   *   organizationId,             defaults to the request's organization
+   *   before, after,              document versions to diff
+   *   changes,                    precomputed [{ path, before, after }]
+   *   metadata,
+   *   outcome                     'success' | 'failure'
+   * }
+   * @returns {Object|null} Stored entry, null if it couldn't be written
+   */
+  async record(event) {
+    try {
+      const { req } = event;
+      const actor = this.actorOf(event);
+      const organizationId = await this.organizationOf(event, actor);
+
+      const changes = event.changes
+        || (event.before !== undefined || event.after !== undefined ? diff(event.before, event.after) : []);
+
+      return await this.append(organizationId, {
+        actor,
+        action: event.action,
+        resource: sanitize({
+          type: event.resource?.type,
+          id: event.resource?.id ? String(event.resource.id) : undefined
+        }),
+        changes: sanitize(changes),
+        outcome: event.outcome || 'success',
+        ipAddress: event.ipAddress || req?.ip,
+        userAgent: event.userAgent || req?.get?.('user-agent'),
+        requestId: req?.id,
+        metadata: event.metadata && Object.keys(event.metadata).length > 0 ? sanitize(event.metadata) : undefined
+      });
+    } catch (error) {
+      logger.error('Failed to write audit event', { action: event.action, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Who performed the action
+   * @private
+   */
+  actorOf({ actor, req }) {
+    if (actor) return sanitize({ type: 'user', ...actor, userId: actor.userId ? String(actor.userId) : undefined });
+
+    if (req?.user) {
+      return sanitize({
+        type: 'user',
+        userId: String(req.user._id),
+        email: req.user.email,
+        role: req.user.role
+      });
+    }
+
+    return { type: 'system' };
+  }
+
+  /**
+   * Chain the event belongs to: explicit, else the request's organization,
+   * else the acting user's (auth events happen before there's a context)
+   * @private
+   */
+  async organizationOf({ organizationId, req }, actor) {
+    if (organizationId !== undefined) return organizationId ? String(organizationId) : null;
+
+    const current = req?.organizationId || getOrganizationId();
+    if (current) return current;
+
+    if (actor.userId) {
+      const user = await runWithOrganization(null, () => User.findById(actor.userId).select('organizationId').lean());
+      if (user?.organizationId) return String(user.organizationId);
+    }
+
+    return null;
+  }
+
+  /**
+   * Append to an organization's chain, one write at a time per chain
+   * @private
+   */
+  append(organizationId, fields) {
+    const key = organizationId || '';
+    const previous = this.chains.get(key) || Promise.resolve();
+
+    const write = previous.then(() => runWithOrganization(organizationId, () => this.appendNow(organizationId, fields)));
+    const settled = write.catch(() => undefined);
+
+    this.chains.set(key, settled);
+    settled.then(() => {
+      if (this.chains.get(key) === settled) this.chains.delete(key);
+    });
+
+    return write;
+  }
+
+  /**
+   * Link and insert one entry, retrying if another replica took the sequence
+   * @private
+   */
+  async appendNow(organizationId, fields) {
+    for (let attempt = 1; ; attempt++) {
+      const last = await AuditEvent.findOne({ organizationId })
+        .sort({ sequence: -1 })
+        .select('sequence hash')
+        .lean();
+
+      const entry = {
+        ...fields,
+        organizationId,
+        sequence: last ? last.sequence + 1 : 1,
+        createdAt: new Date()
+      };
+      const prevHash = last ? last.hash : GENESIS_HASH;
+
+      try {
+        const created = await AuditEvent.create({ ...entry, prevHash, hash: hashEntry(entry, prevHash) });
+        return created.toObject();
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  /**
+   * Page through the current organization's audit log, newest first
+   * @param {Object} query - utils/auditTrail buildFilter parameters plus page, limit
+   * @returns {Object} { entries, pagination } or { error }
+   */
+  async search(query = {}) {
+    const { filter, error } = buildFilter(query);
+    if (error) return { error };
+
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), 200);
+
+    const [entries, total] = await Promise.all([
+      AuditEvent.find(filter).sort({ sequence: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      AuditEvent.countDocuments(filter)
+    ]);
+
+    return {
+      entries,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Entries for an export, oldest first, capped at exportMaxRows
+   * @param {Object} query - utils/auditTrail buildFilter parameters
+   * @returns {Object} { entries, truncated } or { error }
+   */
+  async exportEntries(query = {}) {
+    const { filter, error } = buildFilter(query);
+    if (error) return { error };
+
+    const entries = await AuditEvent.find(filter)
+      .sort({ sequence: 1 })
+      .limit(this.exportMaxRows + 1)
+      .lean();
+
+    const truncated = entries.length > this.exportMaxRows;
+    return { entries: truncated ? entries.slice(0, this.exportMaxRows) : entries, truncated };
+  }
+
+  /**
+   * Recompute an organization's chain and report any tampering
+   * @param {String} organizationId - Organization ID (null = system chain)
+   * @returns {Object} utils/auditTrail createChainVerifier result
+   */
+  async verify(organizationId) {
+    return runWithOrganization(organizationId, async () => {
+      const first = await AuditEvent.findOne({ organizationId }).sort({ sequence: 1 }).lean();
+      if (!first) return createChainVerifier().result();
+
+      // After retention purges the chain starts mid-way, anchored by the
+      // hash the purge recorded
+      let anchorHash;
+      if (first.sequence > 1) {
+        const purge = await AuditEvent.findOne({
+          organizationId,
+          action: PURGE_ACTION,
+          'metadata.throughSequence': first.sequence - 1
+        }).lean();
+        anchorHash = purge?.metadata?.throughHash;
+      }
+
+      const verifier = createChainVerifier({ anchorHash });
+      const cursor = AuditEvent.find({ organizationId }).sort({ sequence: 1 }).lean().cursor();
+
+      for await (const entry of cursor) {
+        verifier.push(entry);
+      }
+
+      return verifier.result();
+    });
+  }
+
+  /**
+   * Delete entries past the retention period, per chain
+   * @param {Date} now - Current time
+   * @returns {Object} { chains, deleted }
+   */
+  async purgeExpired(now = new Date()) {
+    const cutoff = retentionCutoff(now, this.retentionDays);
+    const chains = await AuditEvent.distinct('organizationId', { createdAt: { $lt: cutoff } });
+    let deleted = 0;
+
+    for (const organizationId of chains) {
+      const through = await AuditEvent.findOne({ organizationId, createdAt: { $lt: cutoff } })
+        .sort({ sequence: -1 })
+        .select('sequence hash')
+        .lean();
+
+      // Anchor first, so the remaining chain stays verifiable
+      const anchor = await this.record({
+        action: PURGE_ACTION,
+        organizationId,
+        actor: { type: 'system' },
+        resource: { type: 'audit_log' },
+        metadata: {
+          throughSequence: through.sequence,
+          throughHash: through.hash,
+          cutoff: cutoff.toISOString(),
+          retentionDays: this.retentionDays
+        }
+      });
+      if (!anchor) continue;
+
+      // The model refuses deletes; retention is the one exception
+      const result = await AuditEvent.collection.deleteMany({
+        organizationId,
+        sequence: { $lte: through.sequence }
+      });
+      deleted += result.deletedCount;
+    }
+
+    return { chains: chains.length, deleted };
+  }
+}
+
+module.exports = new AuditService();
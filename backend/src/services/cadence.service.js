@@ -0,0 +1,144 @@
+const CadencePolicy = require('../database/mongodb/schemas/cadencePolicy.schema');
+const CallLog = require('../database/mongodb/schemas/calllog.schema');
+const Campaign = require('../database/mongodb/schemas/campaign.schema');
+const Lead = require('../database/mongodb/schemas/lead.schema');
+const { resolveLeadLocation } = require('../security/tcpa/calling-window');
+const {
+  slotOf,
+  nextAttemptAt,
+  dailyCapStatus,
+  selectPolicy,
+  CADENCE_STATUSES
+} = require('../utils/cadence');
+const logger = require('../utils/logger');
+
+/**
+ * Cadence Service
+ * Schedules retries for unanswered leads from CadencePolicy documents
+ *
+ * Every outbound call that ends records an attempt on Lead.cadence
+ * (see integrations/callLifecycleSubscribers). A call answered by a person
+ * ends the cadence; anything else (no answer, busy, voicemail) schedules
+ * the next attempt from the lead's policy - the dialing campaign's, the one
+ * covering the lead's source, or the organization default.
+ *
+ * Dialers read Lead.cadence.nextAttemptAt (leadQueueService.getNextLead,
+ * campaignEngine segments) and check the per-number daily cap before dialing.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CadenceService {
+  /**
+   * Policy that applies to a lead
+   * @param {Object} lead - Lead
+   * @param {String} campaignPolicyId - Policy assigned to the dialing campaign (optional)
+   * @returns {Object} CadencePolicy (utils/cadence DEFAULT_POLICY when none applies)
+   */
+  async getPolicy(lead, campaignPolicyId = null) {
+    const policies = await CadencePolicy.find({ isActive: true }).sort({ createdAt: 1 }).lean();
+    return selectPolicy(policies, lead, campaignPolicyId);
+  }
+
+  /**
+   * Lead query for leads a cadence policy may dial
+   * @param {String} policyId - CadencePolicy id
+   * @param {Date} now - Evaluation time
+   * @param {Object} options - { includeDeferred: also match leads waiting for their next attempt }
+   * @returns {Object} MongoDB query fragment
+   */
+  buildDueQuery(policyId, now = new Date(), options = {}) {
+    return {
+      $or: [
+        // Not on this policy yet (new lead, or a cadence run under another policy)
+        { 'cadence.policyId': { $ne: policyId } },
+        { 'cadence.attempts': { $in: [null, 0] } },
+        { 'cadence.nextAttemptAt': options.includeDeferred ? { $ne: null } : { $lte: now } }
+      ]
+    };
+  }
+
+  /**
+   * Record an ended outbound call as a cadence attempt and schedule the next one
+   * @param {Object} callLog - Ended CallLog
+   * @returns {Object|null} { nextAttemptAt, reached, exhausted } or null when not a lead call
+   */
+  async recordAttempt(callLog) {
+    if (callLog.direction !== 'outbound' || !callLog.leadId) return null;
+
+    const lead = await Lead.findById(callLog.leadId).lean();
+    if (!lead) return null;
+
+    let campaignPolicyId = null;
+    if (callLog.campaignId) {
+      const campaign = await Campaign.findById(callLog.campaignId).select('cadencePolicyId').lean();
+      campaignPolicyId = campaign?.cadencePolicyId || null;
+    }
+
+    const policy = await this.getPolicy(lead, campaignPolicyId);
+    const policyId = policy._id || null;
+    const attemptAt = new Date(callLog.initiatedAt || callLog.endedAt || Date.now());
+    const timezone = resolveLeadLocation({ lead }).timezones[0];
+
+    // A finished cadence, or one run under another policy, starts over
+    const previous = lead.cadence || {};
+    const restart = !previous.attempts || previous.reachedAt || previous.exhaustedAt ||
+      String(previous.policyId || '') !== String(policyId || '');
+
+    const cadence = {
+      policyId,
+      attempts: (restart ? 0 : previous.attempts) + 1,
+      firstAttemptAt: restart ? attemptAt : previous.firstAttemptAt,
+      lastAttemptAt: attemptAt,
+      slots: [...(restart ? [] : previous.slots || []), slotOf(attemptAt, timezone)].filter(Boolean),
+      nextAttemptAt: null,
+      exhaustedAt: null,
+      reachedAt: null
+    };
+
+    const reached = Boolean(callLog.answeredAt) && !['machine', 'voicemail', 'fax'].includes(callLog.answerState);
+
+    if (reached) {
+      cadence.reachedAt = callLog.answeredAt;
+    } else if (CADENCE_STATUSES.includes(lead.status)) {
+      cadence.nextAttemptAt = nextAttemptAt(policy, cadence, timezone);
+      if (!cadence.nextAttemptAt) cadence.exhaustedAt = new Date();
+    }
+
+    await Lead.updateOne({ _id: lead._id }, { $set: { cadence } });
+
+    logger.info(`[Cadence] Attempt ${cadence.attempts}/${policy.maxAttempts} for lead ${lead._id} (${policy.name})`, {
+      callLogId: callLog.callLogId,
+      reached,
+      nextAttemptAt: cadence.nextAttemptAt
+    });
+
+    return {
+      nextAttemptAt: cadence.nextAttemptAt,
+      reached,
+      exhausted: Boolean(cadence.exhaustedAt)
+    };
+  }
+
+  /**
+   * Per-number daily attempt cap for a lead's phone
+   * @param {Object} lead - Lead
+   * @param {String} campaignPolicyId - Policy assigned to the dialing campaign (optional)
+   * @returns {Object} { allowed, attempts, cap, nextAllowedAt }
+   */
+  async checkDailyCap(lead, campaignPolicyId = null, now = new Date()) {
+    const policy = await this.getPolicy(lead, campaignPolicyId);
+
+    const calls = await CallLog.find({
+      direction: 'outbound',
+      'to.number': lead.phone,
+      initiatedAt: { $gt: new Date(now.getTime() - DAY_MS) }
+    })
+      .select('initiatedAt')
+      .lean();
+
+    return dailyCapStatus(calls.map(call => call.initiatedAt), policy.dailyCapPerNumber, now);
+  }
+}
+
+module.exports = new CadenceService();
@@ -0,0 +1,190 @@
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const CallLog = require('../database/mongodb/schemas/calllog.schema');
+const { normalizeEvent, planEvent, TRACKED_EVENTS } = require('../utils/callStateMachine');
+const { runWithOrganization } = require('../utils/tenant.util');
+const logger = require('../utils/logger');
+
+/**
+ * Call Lifecycle Service
+ * Persists Telnyx call-control events to CallLog and raises call domain events
+ *
+ * The Telnyx webhook and WebSocket stream both hand every call event to
+ * handleEvent(). The event is matched to its CallLog by client_state
+ * (callLogId / callId) or call_control_id, planned by utils/callStateMachine
+ * and written with a conditional update, so redelivered, doubly delivered
+ * and out-of-order events are no-ops. Telnyx events carry no organization
+ * context, so calls are looked up across tenants.
+ *
+ * Domain events (detail: { callLog, leadId, organizationId, event }):
+ * - call.answered
+ * - call.completed - answered by a person
+ * - call.voicemail - answered by a machine / voicemail
+ * - call.no_answer - busy, no answer, rejected or cancelled
+ * - call.failed
+ * - call.ended - after any of the four above
+ * - call.machine_detected, call.greeting_ended, call.playback_ended -
+ *   answering machine detection and voicemail drop progress
+ *
+ * Subscribers are wired in integrations/callLifecycleSubscribers.
+ */
+
+// Attempts before giving up on a CallLog that keeps changing underneath us
+const MAX_ATTEMPTS = 3;
+
+class CallLifecycleService extends EventEmitter {
+  /**
+   * Subscribe to a domain event
+   * Handlers run in the call's organization context; their errors are logged, never thrown
+   * @param {String} eventName - e.g. call.completed
+   * @param {Function} handler - async (detail) => {}
+   */
+  subscribe(eventName, handler) {
+    this.on(eventName, detail => {
+      Promise.resolve().then(() => runWithOrganization(detail.organizationId, () => handler(detail))).catch(error => {
+        logger.error(`[Call Lifecycle] ${eventName} subscriber failed for call ${detail.callLog.callLogId}:`, error);
+      });
+    });
+  }
+
+  /**
+   * Decode base64 JSON client_state (plain JSON is accepted too)
+   * @param {String} clientState - client_state from the event payload
+   * @returns {Object}
+   */
+  decodeClientState(clientState) {
+    if (!clientState) return {};
+
+    for (const text of [Buffer.from(clientState, 'base64').toString('utf8'), clientState]) {
+      try {
+        const parsed = JSON.parse(text);
+        if (parsed && typeof parsed === 'object') return parsed;
+      } catch (error) {
+        // Try the next encoding
+      }
+    }
+
+    return {};
+  }
+
+  /**
+   * Find the CallLog an event belongs to
+   * @param {Object} clientState - Decoded client_state
+   * @param {Object} payload - Telnyx event payload
+   * @returns {Object|null} Lean CallLog
+   */
+  async findCallLog(clientState, payload) {
+    const queries = [];
+
+    if (clientState.callLogId) queries.push({ callLogId: clientState.callLogId });
+    if (payload.call_control_id) queries.push({ 'telnyx.callControlId': payload.call_control_id });
+    if (clientState.callId) {
+      queries.push(mongoose.isValidObjectId(clientState.callId)
+        ? { _id: clientState.callId }
+        : { callLogId: clientState.callId });
+    }
+
+    for (const query of queries) {
+      const callLog = await CallLog.findOne(query).lean();
+      if (callLog) return callLog;
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the CallLog for any Telnyx event, tracked or not (conference events,
+   * speak/gather events); null for transfer and supervisor legs
+   * @param {Object} data - Telnyx event ({ event_type, payload })
+   * @returns {Object|null} Lean CallLog
+   */
+  async findCallForEvent(data) {
+    const payload = data.payload || {};
+    const clientState = this.decodeClientState(payload.client_state);
+
+    if (clientState.warmTransfer || clientState.supervisorSessionId) return null;
+    return this.findCallLog(clientState, payload);
+  }
+
+  /**
+   * Apply one Telnyx call event
+   * @param {Object} data - Telnyx event ({ id, event_type, occurred_at, payload })
+   * @returns {Object} { applied, reason, status, callLog } - callLog when the event matched one
+   */
+  async handleEvent(data) {
+    const event = normalizeEvent(data);
+
+    if (!TRACKED_EVENTS.includes(event.type)) {
+      return { applied: false, reason: 'untracked' };
+    }
+
+    const clientState = this.decodeClientState(event.payload.client_state);
+
+    // The closer's leg of a warm transfer belongs to services/warmTransfer
+    if (clientState.warmTransfer) {
+      return { applied: false, reason: 'transfer_leg' };
+    }
+
+    // Supervisor legs belong to services/supervisor
+    if (clientState.supervisorSessionId) {
+      return { applied: false, reason: 'supervisor_leg' };
+    }
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const callLog = await this.findCallLog(clientState, event.payload);
+
+      if (!callLog) {
+        logger.debug(`[Call Lifecycle] No call log for ${event.type} ${event.payload.call_control_id}`);
+        return { applied: false, reason: 'unknown_call' };
+      }
+
+      if ((callLog.events || []).some(entry => entry.data?.eventId === event.id)) {
+        return { applied: false, reason: 'duplicate', status: callLog.status, callLog };
+      }
+
+      const plan = planEvent(callLog, event);
+
+      if (plan.ignored) {
+        logger.debug(`[Call Lifecycle] Ignored ${event.type} for call ${callLog.callLogId}: ${plan.ignored}`);
+        return { applied: false, reason: plan.ignored, status: callLog.status, callLog };
+      }
+
+      const update = { $push: plan.push };
+      if (Object.keys(plan.set).length > 0) update.$set = plan.set;
+
+      const updated = await CallLog.findOneAndUpdate(
+        { _id: callLog._id, 'events.data.eventId': { $ne: event.id }, ...plan.guard },
+        update,
+        { new: true }
+      ).lean();
+
+      if (updated) {
+        logger.info(`[Call Lifecycle] ${event.type} → call ${updated.callLogId} ${updated.status}`);
+        this.raise(plan.domainEvents, updated, event);
+        return { applied: true, status: updated.status, callLog: updated };
+      }
+
+      // Another delivery changed the call first - re-plan against the new state
+    }
+
+    logger.warn(`[Call Lifecycle] Gave up applying ${event.type} ${event.id} after ${MAX_ATTEMPTS} attempts`);
+    return { applied: false, reason: 'conflict' };
+  }
+
+  /**
+   * Emit domain events for an applied transition
+   * @private
+   */
+  raise(eventNames, callLog, event) {
+    const detail = {
+      callLog,
+      leadId: callLog.leadId,
+      organizationId: callLog.organizationId || null,
+      event
+    };
+
+    eventNames.forEach(eventName => this.emit(eventName, detail));
+  }
+}
+
+module.exports = new CallLifecycleService();
@@ -0,0 +1,222 @@
+const CallerNumber = require('../database/mongodb/schemas/callerNumber.schema');
+const CallLog = require('../database/mongodb/schemas/calllog.schema');
+const telnyxConfig = require('../config/telnyx.config');
+const { resolveLeadLocation } = require('../security/tcpa/calling-window');
+const {
+  dayKey,
+  locate,
+  rankNumbers,
+  evaluateReputation,
+  reputationAction,
+  REPUTATION_DEFAULTS
+} = require('../utils/callerIdPool');
+const logger = require('../utils/logger');
+
+/**
+ * Caller ID Pool Service
+ * Picks a local-presence caller ID for each outbound call and keeps the
+ * pool's reputation healthy
+ *
+ * telnyxService.initiateCall asks selectNumber() for a number with the
+ * called party's area code (or state) that is still under its daily cap.
+ * When no number is registered the configured TELNYX_PHONE_NUMBER is used.
+ *
+ * evaluateReputation() (cron/callerIdReputation.cron) computes each
+ * number's human answer rate from CallLog and rests or retires numbers
+ * that look spam-flagged (see utils/callerIdPool).
+ */
+
+const WINDOW_DAYS = parseInt(process.env.CALLER_ID_REPUTATION_WINDOW_DAYS) || 7;
+const REST_DAYS = parseInt(process.env.CALLER_ID_REST_DAYS) || 7;
+const REPUTATION_OPTIONS = {
+  ...REPUTATION_DEFAULTS,
+  minAnswerRate: parseFloat(process.env.CALLER_ID_MIN_ANSWER_RATE) || REPUTATION_DEFAULTS.minAnswerRate
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CallerIdPoolService {
+  /**
+   * Register an owned number
+   * @param {String} phoneNumber - E.164 number
+   * @param {Object} data - { label, dailyCap, state, createdBy }
+   * @returns {Object} CallerNumber
+   */
+  async registerNumber(phoneNumber, data = {}) {
+    const normalized = telnyxConfig.normalizePhoneNumber(phoneNumber);
+    const { areaCode, state } = locate(normalized);
+
+    return CallerNumber.create({
+      ...data,
+      phoneNumber: normalized,
+      areaCode,
+      state: data.state || state
+    });
+  }
+
+  /**
+   * Pick and claim a caller ID for a call
+   * @param {String} toNumber - Number being called
+   * @param {Object} options - { lead }
+   * @returns {Object|null} { phoneNumber, callerNumberId, match }, null when every pool number is at its cap
+   */
+  async selectNumber(toNumber, options = {}) {
+    const now = new Date();
+    await this.wakeRestedNumbers(now);
+
+    const numbers = await CallerNumber.find({ status: 'active' }).lean();
+
+    if (numbers.length === 0) {
+      return { phoneNumber: telnyxConfig.config.phoneNumber, callerNumberId: null, match: 'default' };
+    }
+
+    const { areaCode } = locate(toNumber);
+    const { state } = resolveLeadLocation({ lead: options.lead, phoneNumber: toNumber });
+    const day = dayKey(now);
+
+    for (const { number, match } of rankNumbers(numbers, { areaCode, state }, day)) {
+      if (await this.claim(number, day, now)) {
+        return { phoneNumber: number.phoneNumber, callerNumberId: number._id, match };
+      }
+    }
+
+    logger.warn(`[Caller ID Pool] Every active number has reached its daily cap (${numbers.length} numbers)`);
+    return null;
+  }
+
+  /**
+   * Count a call against a number's daily cap if it has room
+   * @private
+   * @returns {Boolean} Whether the call was counted
+   */
+  async claim(number, day, now) {
+    const sameDay = await CallerNumber.updateOne(
+      { _id: number._id, status: 'active', 'usage.date': day, 'usage.calls': { $lt: number.dailyCap } },
+      { $inc: { 'usage.calls': 1 }, $set: { lastUsedAt: now } }
+    );
+    if (sameDay.modifiedCount > 0) return true;
+
+    // First call of the day resets the counter
+    const newDay = await CallerNumber.updateOne(
+      { _id: number._id, status: 'active', 'usage.date': { $ne: day } },
+      { $set: { usage: { date: day, calls: 1 }, lastUsedAt: now } }
+    );
+    return newDay.modifiedCount > 0;
+  }
+
+  /**
+   * Put rested numbers back in rotation
+   * @private
+   */
+  async wakeRestedNumbers(now = new Date()) {
+    const result = await CallerNumber.updateMany(
+      { status: 'resting', restingUntil: { $lte: now } },
+      { $set: { status: 'active' }, $unset: { restingUntil: '' } }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.info(`[Caller ID Pool] ${result.modifiedCount} rested number(s) back in rotation`);
+    }
+  }
+
+  /**
+   * Recompute answer rates and rest or retire spam-flagged numbers
+   * @param {Date} now - Evaluation time
+   * @returns {Object} { evaluated, flagged, rested, retired }
+   */
+  async evaluateReputation(now = new Date()) {
+    await this.wakeRestedNumbers(now);
+
+    const stats = await CallLog.aggregate([
+      {
+        $match: {
+          direction: 'outbound',
+          initiatedAt: { $gte: new Date(now.getTime() - WINDOW_DAYS * DAY_MS) },
+          endedAt: { $ne: null },
+          'telnyx.callControlId': { $ne: null }
+        }
+      },
+      {
+        $group: {
+          _id: { organizationId: '$organizationId', number: '$from.number' },
+          calls: { $sum: 1 },
+          // Machines answer whatever the caller ID looks like - only people count
+          answered: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $ne: [{ $ifNull: ['$answeredAt', null] }, null] },
+                    { $not: [{ $in: ['$answerState', ['machine', 'voicemail', 'fax']] }] }
+                  ]
+                },
+                1,
+                0
+              ]
+            }
+          }
+        }
+      }
+    ]);
+
+    const key = (organizationId, number) => `${organizationId || ''}:${number}`;
+    const byNumber = new Map(stats.map(row => [key(row._id.organizationId, row._id.number), row]));
+
+    const numbers = await CallerNumber.find({ status: { $ne: 'retired' } });
+
+    // Pool answer rate per organization
+    const pools = new Map();
+    for (const number of numbers) {
+      const row = byNumber.get(key(number.organizationId, number.phoneNumber));
+      const pool = pools.get(number.organizationId || '') || { calls: 0, answered: 0 };
+      pool.calls += row?.calls || 0;
+      pool.answered += row?.answered || 0;
+      pools.set(number.organizationId || '', pool);
+    }
+
+    const summary = { evaluated: 0, flagged: 0, rested: 0, retired: 0 };
+
+    for (const number of numbers) {
+      const row = byNumber.get(key(number.organizationId, number.phoneNumber)) || { calls: 0, answered: 0 };
+      const pool = pools.get(number.organizationId || '');
+      const poolAnswerRate = pool.calls ? pool.answered / pool.calls : null;
+
+      const evaluation = evaluateReputation(row, poolAnswerRate, REPUTATION_OPTIONS);
+      const action = reputationAction(number, evaluation, REPUTATION_OPTIONS);
+
+      number.reputation = {
+        status: evaluation.status,
+        score: evaluation.score,
+        answerRate: evaluation.answerRate,
+        calls: row.calls,
+        answered: row.answered,
+        evaluatedAt: now,
+        flaggedAt: evaluation.status === 'flagged' ? (number.reputation?.flaggedAt || now) : null
+      };
+
+      if (action === 'rest') {
+        number.status = 'resting';
+        number.restingUntil = new Date(now.getTime() + REST_DAYS * DAY_MS);
+        number.restCount = (number.restCount || 0) + 1;
+        summary.rested++;
+      } else if (action === 'retire') {
+        number.status = 'retired';
+        number.retiredAt = now;
+        number.retiredReason = `Answer rate ${(evaluation.answerRate * 100).toFixed(1)}% after ${number.restCount} rests`;
+        summary.retired++;
+      }
+
+      if (action !== 'none') {
+        logger.warn(`[Caller ID Pool] ${number.phoneNumber} ${number.status}: answer rate ${(evaluation.answerRate * 100).toFixed(1)}% vs pool ${((poolAnswerRate || 0) * 100).toFixed(1)}%`);
+      }
+
+      await number.save();
+      summary.evaluated++;
+      if (evaluation.status === 'flagged') summary.flagged++;
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new CallerIdPoolService();
@@ -0,0 +1,465 @@
+const Campaign = require('../database/mongodb/schemas/campaign.schema');
+const CallLog = require('../database/mongodb/schemas/calllog.schema');
+const Lead = require('../database/mongodb/schemas/lead.schema');
+const leadQueueService = require('./leadQueueService');
+const cadenceService = require('./cadence.service');
+const telnyxService = require('./telnyx.service');
+const dncService = require('./dncService');
+const telnyxConfig = require('../config/telnyx.config');
+const tcpaCompliance = require('../security/tcpa-compliance');
+const consentManager = require('../security/consent-manager');
+const { buildSegmentQuery, isWithinSchedule, computeCapacity } = require('../utils/campaignDialing');
+const { runWithOrganization } = require('../utils/tenant.util');
+const { ACTIVE_CALL_STATUSES } = require('../utils/callStateMachine');
+const { scheduleCampaignTicks, unscheduleCampaignTicks } = require('../queues/campaign.queue');
+const logger = require('../utils/logger');
+
+/**
+ * Campaign Engine Service
+ * Runs outbound dialing campaigns over lead segments
+ *
+ * Lifecycle: draft → running ⇄ paused → stopped / completed
+ * While running, queues/campaign.queue ticks the campaign every few seconds;
+ * each tick dials as many segment leads as the schedule, pacing and
+ * concurrency limits allow. Call lifecycle events feed results back into
+ * Campaign.metrics via handleCallAnswered() / handleCallEnded().
+ */
+
+// Allowed status transitions per action
+const TRANSITIONS = {
+  start: ['draft', 'stopped', 'completed', 'active'],
+  pause: ['running'],
+  resume: ['paused'],
+  stop: ['running', 'paused']
+};
+
+// Campaign scriptType → CallLog callType
+const CALL_TYPES = {
+  initial_call: 'cold-call',
+  follow_up: 'follow-up',
+  objection_handling: 'follow-up',
+  qualification: 'qualification',
+  closing: 'closing'
+};
+
+// How long a compliance-blocked lead is skipped when no reopen time is known
+const BLOCK_RETRY_MS = 24 * 60 * 60 * 1000;
+
+class CampaignEngineService {
+  /**
+   * Check whether a lifecycle action is allowed from a status
+   * @param {String} status - Current campaign status
+   * @param {String} action - start | pause | resume | stop
+   * @returns {Boolean}
+   */
+  canTransition(status, action) {
+    return (TRANSITIONS[action] || []).includes(status);
+  }
+
+  /**
+   * Start a campaign run
+   * @param {Object} campaign - Campaign document
+   * @param {String} userId - User starting the campaign
+   */
+  async start(campaign, userId) {
+    campaign.status = 'running';
+    campaign.run = {
+      startedAt: new Date(),
+      startedBy: userId
+    };
+    await campaign.save();
+
+    await scheduleCampaignTicks(campaign._id);
+
+    logger.info(`[Campaign Engine] Campaign ${campaign._id} started`, { userId });
+    return campaign;
+  }
+
+  /**
+   * Pause a running campaign (calls in progress are not interrupted)
+   * @param {Object} campaign - Campaign document
+   */
+  async pause(campaign) {
+    await unscheduleCampaignTicks(campaign._id);
+
+    campaign.status = 'paused';
+    campaign.run.pausedAt = new Date();
+    await campaign.save();
+
+    logger.info(`[Campaign Engine] Campaign ${campaign._id} paused`);
+    return campaign;
+  }
+
+  /**
+   * Resume a paused campaign
+   * @param {Object} campaign - Campaign document
+   */
+  async resume(campaign) {
+    campaign.status = 'running';
+    campaign.run.resumedAt = new Date();
+    await campaign.save();
+
+    await scheduleCampaignTicks(campaign._id);
+
+    logger.info(`[Campaign Engine] Campaign ${campaign._id} resumed`);
+    return campaign;
+  }
+
+  /**
+   * Stop a campaign (calls in progress are not interrupted)
+   * @param {Object} campaign - Campaign document
+   */
+  async stop(campaign) {
+    await unscheduleCampaignTicks(campaign._id);
+
+    campaign.status = 'stopped';
+    campaign.run.stoppedAt = new Date();
+    await campaign.save();
+
+    logger.info(`[Campaign Engine] Campaign ${campaign._id} stopped`);
+    return campaign;
+  }
+
+  /**
+   * Run one dialing tick for a campaign (called by the campaign queue)
+   * @param {String} campaignId - Campaign ID
+   * @returns {Object} { dialed, reason }
+   */
+  async tick(campaignId) {
+    const campaign = await Campaign.findById(campaignId);
+
+    if (!campaign || campaign.status !== 'running') {
+      await unscheduleCampaignTicks(campaignId);
+      return { dialed: 0, reason: 'not_running' };
+    }
+
+    // Scope lead/call queries to the campaign's organization
+    const result = await runWithOrganization(campaign.organizationId, () => this.dialBatch(campaign));
+
+    await Campaign.updateOne(
+      { _id: campaign._id },
+      { $set: { 'run.lastTickAt': new Date(), 'run.lastTickResult': result.reason } }
+    );
+
+    return result;
+  }
+
+  /**
+   * Dial as many leads as the campaign may dial right now
+   * @private
+   */
+  async dialBatch(campaign, now = new Date()) {
+    if (campaign.endDate && campaign.endDate <= now) {
+      await this.complete(campaign, 'end_date_reached');
+      return { dialed: 0, reason: 'end_date_reached' };
+    }
+
+    if (campaign.startDate && campaign.startDate > now) {
+      return { dialed: 0, reason: 'not_started' };
+    }
+
+    if (!this.isWithinSchedule(campaign, now)) {
+      return { dialed: 0, reason: 'outside_schedule' };
+    }
+
+    const capacity = await this.getAvailableCapacity(campaign, now);
+    if (capacity.available <= 0) {
+      return { dialed: 0, reason: `limited_by_${capacity.limitedBy}` };
+    }
+
+    // Over-fetch: some leads will be skipped by compliance checks or reserved elsewhere
+    const leads = await Lead.find(this.buildSegmentQuery(campaign, now))
+      .sort({ qualificationScore: -1, lastContactedAt: 1, createdAt: 1 })
+      .limit(capacity.available * 3)
+      .lean();
+
+    if (leads.length === 0) {
+      // Complete only when no lead is merely waiting on a retry delay or compliance hold
+      const remaining = await Lead.countDocuments(
+        this.buildSegmentQuery(campaign, now, { includeDeferred: true })
+      );
+
+      if (remaining === 0 && capacity.campaignActive === 0) {
+        await this.complete(campaign, 'segment_exhausted');
+        return { dialed: 0, reason: 'segment_exhausted' };
+      }
+      return { dialed: 0, reason: 'no_eligible_leads' };
+    }
+
+    let dialed = 0;
+    for (const lead of leads) {
+      if (dialed >= capacity.available) break;
+
+      const result = await this.dialLead(campaign, lead);
+      if (result.dialed) dialed += 1;
+    }
+
+    return { dialed, reason: dialed > 0 ? 'dialed' : 'no_dialable_leads' };
+  }
+
+  /**
+   * Reserve, compliance-check and dial a single lead
+   * @private
+   */
+  async dialLead(campaign, lead) {
+    const reserved = await leadQueueService.reserveLead(lead._id);
+    if (!reserved) {
+      return { dialed: false, reason: 'reserved' };
+    }
+
+    try {
+      const compliance = await this.checkCompliance(campaign, reserved);
+
+      if (!compliance.allowed) {
+        await this.skipLead(campaign, reserved, compliance);
+        return { dialed: false, reason: compliance.reason };
+      }
+
+      const callLog = await CallLog.create({
+        callLogId: `CALL_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        leadId: reserved._id,
+        campaignId: campaign._id,
+        direction: 'outbound',
+        callType: CALL_TYPES[campaign.scriptType] || 'other',
+        from: {
+          number: telnyxConfig.config.phoneNumber,
+          displayName: 'Voice Agent'
+        },
+        to: {
+          number: reserved.phone,
+          displayName: `${reserved.firstName} ${reserved.lastName}`
+        },
+        status: 'initiated',
+        initiatedAt: new Date(),
+        compliance: {
+          doNotCallCheck: true,
+          timeOfDayCompliant: true,
+          consentRecorded: true,
+          consentLedgerEntryId: compliance.consentEntryId
+        },
+        metadata: { scriptType: campaign.scriptType }
+      });
+
+      const result = await telnyxService.initiateCall(reserved.phone, callLog.callLogId, {
+        callLogId: callLog.callLogId,
+        leadId: reserved._id.toString(),
+        campaignId: campaign._id.toString()
+      }, { lead: reserved });
+
+      if (!result.success) {
+        callLog.status = 'failed';
+        callLog.endedAt = new Date();
+        callLog.errors = [{ errorType: 'initiation', errorMessage: result.error, timestamp: new Date(), severity: 'high' }];
+        await callLog.save();
+
+        await leadQueueService.releaseLead(reserved._id);
+        await Campaign.updateOne({ _id: campaign._id }, { $inc: { 'metrics.callsFailed': 1 } });
+
+        logger.warn(`[Campaign Engine] Call failed to start for lead ${reserved._id}`, {
+          campaignId: campaign._id,
+          error: result.error
+        });
+        return { dialed: false, reason: 'initiation_failed' };
+      }
+
+      callLog.telnyx = {
+        callControlId: result.callControlId,
+        apiResponse: result.data
+      };
+      callLog.from.number = result.from;
+      await callLog.save();
+
+      const now = new Date();
+      await Lead.updateOne(
+        { _id: reserved._id },
+        {
+          $set: { lastContactedAt: now, lastContactMethod: 'phone' },
+          $min: { firstDialedAt: now },
+          $inc: { contactAttempts: 1 }
+        }
+      );
+
+      await Campaign.updateOne(
+        { _id: campaign._id },
+        {
+          $inc: { 'metrics.callsMade': 1, 'metrics.callsInProgress': 1 },
+          $set: { 'metrics.lastCallAt': now }
+        }
+      );
+
+      return { dialed: true, callLogId: callLog.callLogId };
+
+    } catch (error) {
+      await leadQueueService.releaseLead(reserved._id);
+      throw error;
+    }
+  }
+
+  /**
+   * DNC, consent, calling-window and daily-cap checks for a lead
+   * @private
+   */
+  async checkCompliance(campaign, lead) {
+    const dnc = await dncService.checkDNC(lead.phone, campaign.organizationId);
+    if (dnc.onDNCList) {
+      return { allowed: false, reason: 'dnc' };
+    }
+
+    const consent = await consentManager.getConsentProof(lead._id, 'call');
+    if (!consent.consented) {
+      return { allowed: false, reason: 'no_consent' };
+    }
+
+    const window = await tcpaCompliance.checkCallingWindow(lead, { phoneNumber: lead.phone });
+    if (!window.allowed) {
+      return { allowed: false, reason: 'calling_window', retryAt: window.nextAllowedAt };
+    }
+
+    const dailyCap = await cadenceService.checkDailyCap(lead, campaign.cadencePolicyId);
+    if (!dailyCap.allowed) {
+      return { allowed: false, reason: 'daily_cap', retryAt: dailyCap.nextAllowedAt };
+    }
+
+    return { allowed: true, consentEntryId: String(consent.entry.id) };
+  }
+
+  /**
+   * Release a compliance-blocked lead and hold it out of the segment for a while
+   * @private
+   */
+  async skipLead(campaign, lead, compliance) {
+    const blockedUntil = compliance.retryAt || new Date(Date.now() + BLOCK_RETRY_MS);
+
+    await leadQueueService.releaseLead(lead._id);
+    await Lead.updateOne(
+      { _id: lead._id },
+      { $set: { 'customFields.campaignBlockedUntil': blockedUntil } }
+    );
+    await Campaign.updateOne({ _id: campaign._id }, { $inc: { 'metrics.leadsSkipped': 1 } });
+
+    logger.info(`[Campaign Engine] Skipped lead ${lead._id}: ${compliance.reason}`, {
+      campaignId: campaign._id,
+      blockedUntil
+    });
+  }
+
+  /**
+   * Mark a campaign completed
+   * @private
+   */
+  async complete(campaign, reason) {
+    await unscheduleCampaignTicks(campaign._id);
+    await Campaign.updateOne(
+      { _id: campaign._id },
+      { $set: { status: 'completed', 'run.completedAt': new Date(), 'run.lastTickResult': reason } }
+    );
+
+    logger.info(`[Campaign Engine] Campaign ${campaign._id} completed: ${reason}`);
+  }
+
+  /**
+   * Build the Lead query for a campaign's segment and retry rules
+   * (see utils/campaignDialing)
+   * @param {Object} campaign - Campaign document
+   * @param {Date} now - Evaluation time
+   * @param {Object} options - { includeDeferred: also match leads waiting on a retry delay, hold or live call }
+   * @returns {Object} MongoDB query
+   */
+  buildSegmentQuery(campaign, now = new Date(), options = {}) {
+    const dueQuery = campaign.cadencePolicyId
+      ? cadenceService.buildDueQuery(campaign.cadencePolicyId, now, options)
+      : null;
+
+    return buildSegmentQuery(campaign, now, { ...options, dueQuery });
+  }
+
+  /**
+   * Check the campaign's own calling schedule
+   * @param {Object} campaign - Campaign document
+   * @param {Date} at - Instant to check
+   * @returns {Boolean}
+   */
+  isWithinSchedule(campaign, at = new Date()) {
+    return isWithinSchedule(campaign.schedule, at);
+  }
+
+  /**
+   * How many calls the campaign may place right now
+   * Limited by campaign concurrency, account-wide maxConcurrentCalls and calls/minute
+   * @param {Object} campaign - Campaign document
+   * @param {Date} now - Evaluation time
+   * @returns {Object} { available, limitedBy, campaignActive, accountActive, lastMinute }
+   */
+  async getAvailableCapacity(campaign, now = new Date()) {
+    // Ignore calls that never received a hangup webhook
+    const staleCutoff = new Date(now.getTime() - telnyxConfig.config.callTimeout);
+    const activeFilter = { status: { $in: ACTIVE_CALL_STATUSES }, initiatedAt: { $gte: staleCutoff } };
+
+    const [campaignActive, accountActive, lastMinute] = await Promise.all([
+      CallLog.countDocuments({ ...activeFilter, campaignId: campaign._id }),
+      // Telnyx concurrency is account-wide - count across all organizations
+      runWithOrganization(null, () => CallLog.countDocuments(activeFilter)),
+      CallLog.countDocuments({
+        campaignId: campaign._id,
+        initiatedAt: { $gte: new Date(now.getTime() - 60000) }
+      })
+    ]);
+
+    const counts = { campaignActive, accountActive, lastMinute };
+    const { available, limitedBy } = computeCapacity(campaign, counts, telnyxConfig.config.maxConcurrentCalls);
+
+    return { available, limitedBy, ...counts };
+  }
+
+  /**
+   * Count an answered campaign call
+   * Subscribed to call.answered (see integrations/callLifecycleSubscribers)
+   * @param {Object} callLog - CallLog with campaignId
+   */
+  async handleCallAnswered(callLog) {
+    await Campaign.updateOne({ _id: callLog.campaignId }, { $inc: { 'metrics.callsAnswered': 1 } });
+  }
+
+  /**
+   * Count a campaign call that reached voicemail
+   * Subscribed to call.voicemail (see integrations/callLifecycleSubscribers)
+   * @param {Object} callLog - CallLog with campaignId
+   */
+  async handleCallVoicemail(callLog) {
+    const inc = { 'metrics.voicemails': 1 };
+    if (callLog.voicemail?.left) inc['metrics.voicemailsLeft'] = 1;
+
+    await Campaign.updateOne({ _id: callLog.campaignId }, { $inc: inc });
+  }
+
+  /**
+   * Free the campaign line and add the talk time of an ended call
+   * Subscribed to call.ended (see integrations/callLifecycleSubscribers)
+   * @param {Object} callLog - CallLog with campaignId
+   */
+  async handleCallEnded(callLog) {
+    const talkSeconds = callLog.duration?.talking || 0;
+
+    await Campaign.updateOne({ _id: callLog.campaignId }, [
+      {
+        $set: {
+          'metrics.callsInProgress': { $max: [0, { $subtract: ['$metrics.callsInProgress', 1] }] },
+          'metrics.totalTalkSeconds': { $add: [{ $ifNull: ['$metrics.totalTalkSeconds', 0] }, talkSeconds] }
+        }
+      },
+      {
+        $set: {
+          'metrics.avgCallDuration': {
+            $cond: [
+              { $gt: ['$metrics.callsAnswered', 0] },
+              { $round: [{ $divide: ['$metrics.totalTalkSeconds', '$metrics.callsAnswered'] }, 0] },
+              0
+            ]
+          }
+        }
+      }
+    ]);
+  }
+}
+
+module.exports = new CampaignEngineService();
@@ -0,0 +1,336 @@
+const mongoose = require('mongoose');
+const Closer = require('../database/mongodb/schemas/closer.schema');
+const CloserTransfer = require('../database/mongodb/schemas/closerTransfer.schema');
+const { client } = require('../config/redis');
+const { resolveLeadLocation } = require('../security/tcpa/calling-window');
+const {
+  STRATEGIES,
+  isWithinCloserSchedule,
+  getNextScheduledStart,
+  selectCloser
+} = require('../utils/closerRouting');
+const { getOrganizationId } = require('../utils/tenant.util');
+const logger = require('../utils/logger');
+
+/**
+ * Closer Roster Service
+ * Persistent roster of closers for hot transfers
+ *
+ * Replaces the single in-memory "Kevin" availability service: every
+ * closer has a phone number, weekly hours in their own timezone, skill
+ * tags and a live status. Transfers are routed to the best available
+ * closer (see utils/closerRouting) and recorded in CloserTransfer so
+ * history and stats survive restarts.
+ *
+ * All queries are scoped to the caller's organization by the
+ * organizationScope plugin.
+ */
+
+// How long a closer stays on_call after a successful transfer
+const TRANSFER_BUSY_MINUTES = parseInt(process.env.CLOSER_TRANSFER_BUSY_MINUTES) || 30;
+
+// Attempts to reserve a closer before giving up (another transfer may grab the same one)
+const MAX_RESERVE_ATTEMPTS = 3;
+
+class CloserService {
+  /**
+   * Routing strategy from the environment
+   * @returns {String} round_robin | least_recent | skill_match
+   */
+  getRoutingStrategy() {
+    const strategy = process.env.CLOSER_ROUTING_STRATEGY;
+    return STRATEGIES.includes(strategy) ? strategy : 'skill_match';
+  }
+
+  /**
+   * Return closers whose temporary status has expired to available
+   * @private
+   */
+  async releaseExpiredStatuses(at = new Date()) {
+    await Closer.updateMany(
+      { status: { $ne: 'available' }, statusUntil: { $lte: at } },
+      {
+        status: 'available',
+        statusReason: null,
+        statusUntil: null,
+        statusUpdatedAt: at,
+        statusUpdatedBy: 'system'
+      }
+    );
+  }
+
+  /**
+   * Closers who can take a transfer right now
+   * @param {Date} at - Instant to evaluate
+   * @returns {Array} Closer documents
+   */
+  async getAvailableClosers(at = new Date()) {
+    await this.releaseExpiredStatuses(at);
+
+    const closers = await Closer.find({ isActive: true, status: 'available' }).lean();
+    return closers.filter(closer => isWithinCloserSchedule(closer, at));
+  }
+
+  /**
+   * Whether any closer can take a transfer right now
+   * @returns {Boolean}
+   */
+  async hasAvailableCloser() {
+    try {
+      const closers = await this.getAvailableClosers();
+      return closers.length > 0;
+    } catch (error) {
+      logger.error('[Closer Service] Check availability error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Roster with computed availability
+   * @param {Object} filter - Extra Closer query
+   * @returns {Array} Closers with isWithinSchedule, canTakeTransfer, nextAvailableAt
+   */
+  async getRoster(filter = {}) {
+    const now = new Date();
+    await this.releaseExpiredStatuses(now);
+
+    const closers = await Closer.find(filter).sort({ priority: -1, name: 1 }).lean();
+
+    return closers.map(closer => {
+      const isWithinSchedule = isWithinCloserSchedule(closer, now);
+      const canTakeTransfer = closer.isActive && closer.status === 'available' && isWithinSchedule;
+
+      let nextAvailableAt = null;
+      if (canTakeTransfer) {
+        nextAvailableAt = now;
+      } else if (closer.isActive) {
+        const statusClear = closer.status === 'available' ? now : closer.statusUntil;
+        nextAvailableAt = statusClear ? getNextScheduledStart(closer, new Date(statusClear)) : null;
+      }
+
+      return { ...closer, isWithinSchedule, canTakeTransfer, nextAvailableAt };
+    });
+  }
+
+  /**
+   * Pick and reserve the best available closer for a lead
+   * Reservation is atomic, so two simultaneous transfers never get the same closer
+   * @param {Object} lead - Lead document (optional)
+   * @param {Object} options - { strategy }
+   * @returns {Object|null} { closer, strategy, matchedSkills } or null when nobody is available
+   */
+  async routeTransfer(lead, options = {}) {
+    const strategy = options.strategy || this.getRoutingStrategy();
+    const leadProfile = {
+      state: lead ? resolveLeadLocation({ lead }).state : null,
+      industry: lead?.company?.industry,
+      language: lead?.customFields?.language
+    };
+
+    const excluded = new Set();
+
+    for (let attempt = 0; attempt < MAX_RESERVE_ATTEMPTS; attempt++) {
+      const candidates = (await this.getAvailableClosers())
+        .filter(closer => !excluded.has(closer._id.toString()));
+
+      const rotation = strategy === 'round_robin' ? await this.nextRotation() : 0;
+      const selection = selectCloser(candidates, { strategy, leadProfile, rotation });
+
+      if (!selection) {
+        return null;
+      }
+
+      const reserved = await this.reserve(selection.closer._id);
+      if (reserved) {
+        logger.info(`[Closer Service] Routed transfer to ${reserved.name}`, {
+          strategy,
+          matchedSkills: selection.matchedSkills,
+          leadId: lead?._id
+        });
+
+        return { closer: reserved, strategy, matchedSkills: selection.matchedSkills };
+      }
+
+      excluded.add(selection.closer._id.toString());
+    }
+
+    return null;
+  }
+
+  /**
+   * Round-robin counter for the current organization
+   * @private
+   */
+  async nextRotation() {
+    try {
+      return await client.incr(`closers:rotation:${getOrganizationId() || 'global'}`);
+    } catch (error) {
+      logger.warn('[Closer Service] Round-robin counter unavailable, using random rotation');
+      return Math.floor(Math.random() * 1000);
+    }
+  }
+
+  /**
+   * Atomically move an available closer to on_call
+   * @private
+   * @returns {Object|null} Updated closer, or null if no longer available
+   */
+  async reserve(closerId) {
+    const now = new Date();
+
+    return Closer.findOneAndUpdate(
+      { _id: closerId, isActive: true, status: 'available' },
+      {
+        status: 'on_call',
+        statusReason: 'In transferred call',
+        statusUntil: new Date(now.getTime() + TRANSFER_BUSY_MINUTES * 60 * 1000),
+        statusUpdatedAt: now,
+        statusUpdatedBy: 'system'
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Update a closer's live status
+   * @param {String} closerId - Closer ID
+   * @param {Object} data - { status, reason, until, updatedBy }
+   * @returns {Object|null} Updated closer
+   */
+  async setStatus(closerId, { status, reason, until, updatedBy }) {
+    const closer = await Closer.findByIdAndUpdate(
+      closerId,
+      {
+        status,
+        statusReason: reason || null,
+        statusUntil: status === 'available' ? null : (until || null),
+        statusUpdatedAt: new Date(),
+        statusUpdatedBy: updatedBy || 'system'
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (closer) {
+      logger.info(`[Closer Service] ${closer.name} status: ${status}`, { reason, until });
+    }
+
+    return closer;
+  }
+
+  /**
+   * Record a transfer attempt and update the closer's stats
+   * @param {Object} data - { closer, callLogId, leadId, engagementScore, success, strategy, matchedSkills, conferenceName, notes }
+   * @returns {Object} CloserTransfer document
+   */
+  async recordTransfer({ closer, callLogId, leadId, engagementScore, success, strategy, matchedSkills, conferenceName, notes }) {
+    const timestamp = new Date();
+
+    const transfer = await CloserTransfer.create({
+      closerId: closer._id,
+      callLogId,
+      leadId,
+      engagementScore: engagementScore || 0,
+      success,
+      routingStrategy: strategy,
+      matchedSkills,
+      conferenceName,
+      notes,
+      timestamp
+    });
+
+    await Closer.updateOne(
+      { _id: closer._id },
+      {
+        $inc: {
+          'stats.totalTransfers': 1,
+          'stats.successfulTransfers': success ? 1 : 0
+        },
+        $set: { 'stats.lastTransferAt': timestamp }
+      }
+    );
+
+    // A failed transfer frees the closer straight away
+    if (!success) {
+      await this.setStatus(closer._id, { status: 'available', updatedBy: 'system' });
+    }
+
+    return transfer;
+  }
+
+  /**
+   * Transfer history, newest first
+   * @param {Object} options - { closerId, limit }
+   * @returns {Array} CloserTransfer documents with closer name
+   */
+  async getTransferHistory({ closerId, limit = 50 } = {}) {
+    const query = closerId ? { closerId } : {};
+
+    return CloserTransfer.find(query)
+      .sort({ timestamp: -1 })
+      .limit(Math.min(limit, 500))
+      .populate('closerId', 'name phoneNumber')
+      .lean();
+  }
+
+  /**
+   * Transfer statistics
+   * @param {Object} options - { closerId }
+   * @returns {Object} Totals, success rate, last 24 hours and per-closer breakdown
+   */
+  async getTransferStats({ closerId } = {}) {
+    const match = closerId ? { closerId: new mongoose.Types.ObjectId(closerId) } : {};
+    const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    const [summary] = await CloserTransfer.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          successful: { $sum: { $cond: ['$success', 1, 0] } },
+          averageEngagementScore: { $avg: '$engagementScore' },
+          last24Total: { $sum: { $cond: [{ $gte: ['$timestamp', oneDayAgo] }, 1, 0] } },
+          last24Successful: {
+            $sum: { $cond: [{ $and: [{ $gte: ['$timestamp', oneDayAgo] }, '$success'] }, 1, 0] }
+          }
+        }
+      }
+    ]);
+
+    const byCloser = await CloserTransfer.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$closerId',
+          total: { $sum: 1 },
+          successful: { $sum: { $cond: ['$success', 1, 0] } },
+          lastTransferAt: { $max: '$timestamp' }
+        }
+      },
+      { $sort: { total: -1 } }
+    ]);
+
+    const total = summary?.total || 0;
+    const successful = summary?.successful || 0;
+
+    return {
+      total,
+      successful,
+      failed: total - successful,
+      successRate: total > 0 ? parseFloat(((successful / total) * 100).toFixed(2)) : 0,
+      last24Hours: {
+        total: summary?.last24Total || 0,
+        successful: summary?.last24Successful || 0
+      },
+      averageEngagementScore: parseFloat((summary?.averageEngagementScore || 0).toFixed(2)),
+      byCloser: byCloser.map(row => ({
+        closerId: row._id,
+        total: row.total,
+        successful: row.successful,
+        lastTransferAt: row.lastTransferAt
+      }))
+    };
+  }
+}
+
+module.exports = new CloserService();
@@ -15,6 +15,7 @@ const { pgPool } = require('../config/database');
 const { cache } = require('../config/redis');
 const logger = require('../utils/logger');
 const { parsePhoneNumber, formatPhoneNumber } = require('../utils/helpers');
+const { recordDncCheck } = require('../utils/metrics');
 
 class DNCService {
   constructor() {
@@ -112,7 +113,9 @@ class DNCService {
       return dncEntry;
     } catch (error) {
       logger.error('Error adding to DNC:', error);
-      throw new Error(`Failed to add to DNC: ${error.message}`);
+      const wrapped = new Error(`Failed to add to DNC: ${error.message}`);
+      wrapped.code = error.code; // e.g. 23505 unique violation
+      throw wrapped;
     }
   }
 
@@ -132,6 +135,7 @@ class DNCService {
 
       if (cached) {
         const entry = JSON.parse(cached);
+        recordDncCheck('cache', 'listed');
         return {
           onDNCList: true,
           reason: entry.reason,
@@ -157,6 +161,7 @@ class DNCService {
         // Cache the result
         await cache.set(cacheKey, entry, this.CACHE_TTL);
 
+        recordDncCheck('database', 'listed');
         return {
           onDNCList: true,
           reason: entry.reason,
@@ -165,6 +170,7 @@ class DNCService {
         };
       }
 
+      recordDncCheck('database', 'clear');
       return {
         onDNCList: false,
         reason: null,
@@ -172,6 +178,7 @@ class DNCService {
         entry: null
       };
     } catch (error) {
+      recordDncCheck('database', 'error');
       logger.error('Error checking DNC:', error);
       throw new Error(`Failed to check DNC: ${error.message}`);
     }
@@ -366,6 +373,8 @@ class DNCService {
       }
 
       logger.info(`Scrubbing complete: ${dncNumbers.length} DNC, ${cleanNumbers.length} clean`);
+      recordDncCheck('scrub', 'listed', dncNumbers.length);
+      recordDncCheck('scrub', 'clear', cleanNumbers.length);
 
       return {
         dncNumbers,
@@ -630,34 +639,16 @@ class DNCService {
    */
   async _cancelNurtureSequences(phoneNumber, organizationId) {
     try {
-      // Find leads with this phone number
-      const leadsQuery = `
-        SELECT id FROM leads
-        WHERE phone_number = $1
-          AND organization_id = $2
-          AND deleted_at IS NULL
-      `;
-
-      const leads = await pgPool.query(leadsQuery, [phoneNumber, organizationId]);
-
-      if (leads.rows.length > 0) {
-        const leadIds = leads.rows.map(row => row.id);
+      // Required lazily - the nurture engine checks DNC through this service
+      const nurtureSequenceService = require('./nurtureSequence.service');
 
-        // Cancel active enrollments
-        const cancelQuery = `
-          UPDATE lead_sequence_enrollments
-          SET
-            status = 'cancelled',
-            pause_reason = 'Lead added to DNC list',
-            completed_at = NOW()
-          WHERE lead_id = ANY($1)
-            AND status = 'active'
-        `;
-
-        const result = await pgPool.query(cancelQuery, [leadIds]);
+      const cancelled = await nurtureSequenceService.cancelForPhone(
+        phoneNumber,
+        organizationId,
+        'Lead added to DNC list'
+      );
 
-        logger.info(`Cancelled ${result.rowCount} nurture sequences for DNC number`);
-      }
+      logger.info(`Cancelled ${cancelled} nurture sequences for DNC number`);
     } catch (error) {
       logger.error('Error cancelling nurture sequences:', error);
       // Don't throw - this is not critical
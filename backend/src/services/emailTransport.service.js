@@ -0,0 +1,126 @@
+const nodemailer = require('nodemailer');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const gmailConfig = require('../config/gmail.config');
+const logger = require('../utils/logger');
+
+/**
+ * Email Transport Service
+ * Pluggable outbound email with attachments
+ *
+ * Transports:
+ * - gmail: sends through the Gmail API client in config/gmail.config
+ *          (the OAuth scope already includes gmail.modify, which allows sending)
+ * - smtp:  nodemailer SMTP, e.g. MailHog / Mailpit for local testing
+ *
+ * EMAIL_TRANSPORT picks one; by default Gmail is used when configured,
+ * otherwise SMTP. Extra transports can be added with register().
+ */
+
+class EmailTransportService {
+  constructor() {
+    this.transports = {
+      gmail: { send: mail => this.sendViaGmail(mail) },
+      smtp: { send: mail => this.sendViaSmtp(mail) }
+    };
+    this.smtpTransporter = null;
+  }
+
+  /**
+   * Register (or replace) a transport
+   * @param {String} name - Transport name used in EMAIL_TRANSPORT
+   * @param {Object} transport - { send(mail) → { messageId } }
+   */
+  register(name, transport) {
+    this.transports[name] = transport;
+  }
+
+  /**
+   * Name of the active transport
+   * @returns {String}
+   */
+  getTransportName() {
+    const configured = process.env.EMAIL_TRANSPORT;
+    if (configured && this.transports[configured]) return configured;
+
+    return gmailConfig.isConfigured() ? 'gmail' : 'smtp';
+  }
+
+  /**
+   * Sender address for outbound mail
+   * @private
+   */
+  getFromAddress() {
+    return process.env.EMAIL_FROM || process.env.SMTP_USER || 'noreply@localhost';
+  }
+
+  /**
+   * Send an email
+   * @param {Object} mail - { to, subject, text, html, attachments: [{ filename, content, contentType }] }
+   * @returns {Object} { success, transport, messageId, error }
+   */
+  async send(mail) {
+    const transport = this.getTransportName();
+
+    try {
+      const result = await this.transports[transport].send({
+        from: this.getFromAddress(),
+        ...mail
+      });
+
+      logger.info(`[Email Transport] Sent "${mail.subject}" via ${transport}`, {
+        to: mail.to,
+        attachments: (mail.attachments || []).length
+      });
+
+      return { success: true, transport, messageId: result.messageId };
+
+    } catch (error) {
+      logger.error(`[Email Transport] ${transport} send failed:`, error.message);
+      return { success: false, transport, error: error.message };
+    }
+  }
+
+  /**
+   * Send through the Gmail API
+   * @private
+   */
+  async sendViaGmail(mail) {
+    const raw = await new Promise((resolve, reject) => {
+      new MailComposer(mail).compile().build((error, message) => {
+        if (error) reject(error);
+        else resolve(message);
+      });
+    });
+
+    const response = await gmailConfig.getGmailAPI().users.messages.send({
+      userId: 'me',
+      requestBody: {
+        raw: raw.toString('base64url')
+      }
+    });
+
+    return { messageId: response.data.id };
+  }
+
+  /**
+   * Send through SMTP
+   * @private
+   */
+  async sendViaSmtp(mail) {
+    if (!this.smtpTransporter) {
+      this.smtpTransporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT) || 1025,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+          : undefined
+      });
+    }
+
+    const info = await this.smtpTransporter.sendMail(mail);
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = new EmailTransportService();
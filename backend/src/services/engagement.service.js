@@ -75,8 +75,8 @@ class EngagementService {
   /**
    * Check if engagement score qualifies for hot transfer
    */
-  shouldTransfer(score, kevinAvailable = true) {
-    return score >= this.transferThreshold && kevinAvailable;
+  shouldTransfer(score, closerAvailable = true) {
+    return score >= this.transferThreshold && closerAvailable;
   }
 
   /**
@@ -222,10 +222,10 @@ class EngagementService {
         buyingSignals = [],
         sentiment,
         conversationDuration,
-        kevinAvailable
+        closerAvailable
       } = engagementData;
 
-      const shouldTransfer = this.shouldTransfer(score, kevinAvailable);
+      const shouldTransfer = this.shouldTransfer(score, closerAvailable);
       const scoreLevel = this.getScoreLevel(score);
 
       return {
@@ -233,7 +233,7 @@ class EngagementService {
         scoreLevel,
         phase,
         shouldTransfer,
-        kevinAvailable,
+        closerAvailable,
         indicators: {
           count: Object.keys(indicators).length,
           details: indicators
@@ -269,7 +269,7 @@ class EngagementService {
    */
   getRecommendation(score, shouldTransfer) {
     if (shouldTransfer) {
-      return 'HIGH ENGAGEMENT - Initiate hot transfer to Kevin immediately';
+      return 'HIGH ENGAGEMENT - Initiate hot transfer to a closer immediately';
     }
 
     if (score >= 70) {
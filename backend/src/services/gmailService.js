@@ -1,5 +1,4 @@
 const { google } = require('googleapis');
-const Lead = require('../models/Lead');
 
 class GmailService {
   constructor() {
@@ -58,114 +57,206 @@ class GmailService {
   }
 
   /**
-   * Parse lead data from email content
-   * @param {string} emailBody - Email body text
-   * @returns {object} Parsed lead data
+   * Get message content from Gmail
+   * @param {string} messageId - Gmail message ID
+   * @returns {object} Message data with text body, HTML body and CSV attachments
    */
-  parseLeadFromEmail(emailBody) {
-    const lead = {};
+  async getMessage(messageId) {
+    await this.ensureInitialized();
 
-    // Extract LEAD Category
-    const categoryMatch = emailBody.match(/LEAD Category:\s*([^\n]+)/i);
-    if (categoryMatch) {
-      lead.leadCategory = categoryMatch[1].trim().replace(/]/g, '');
-    }
+    try {
+      const response = await this.gmail.users.messages.get({
+        userId: 'me',
+        id: messageId,
+        format: 'full'
+      });
 
-    // Extract First Name
-    const firstNameMatch = emailBody.match(/(?:FIRST NAME|First Name)\s*:\s*([^\n]+)/i);
-    if (firstNameMatch) {
-      lead.firstName = firstNameMatch[1].trim();
-    }
+      const message = response.data;
+      const content = { body: '', html: '', attachments: [] };
 
-    // Extract Last Name
-    const lastNameMatch = emailBody.match(/(?:LAST NAME|Last Name)\s*:\s*([^\n]+)/i);
-    if (lastNameMatch) {
-      lead.lastName = lastNameMatch[1].trim();
-    }
+      await this.collectParts(message.id, message.payload, content);
 
-    // Extract Email
-    const emailMatch = emailBody.match(/(?:EMAIL|Email Address)\s*:\s*([^\s\n]+)/i);
-    if (emailMatch) {
-      lead.email = emailMatch[1].trim().toLowerCase();
+      return {
+        id: message.id,
+        threadId: message.threadId,
+        subject: this.getHeader(message.payload.headers, 'Subject'),
+        from: this.getHeader(message.payload.headers, 'From'),
+        date: this.getHeader(message.payload.headers, 'Date'),
+        body: content.body,
+        html: content.html,
+        attachments: content.attachments
+      };
+    } catch (error) {
+      console.error(`❌ Error fetching message ${messageId}:`, error.message);
+      throw error;
     }
+  }
+
+  /**
+   * Walk a MIME part tree (multipart/mixed > multipart/alternative > ...)
+   * collecting the first text and HTML bodies and any CSV attachments
+   * @param {string} messageId - Gmail message ID
+   * @param {object} part - Message payload or part
+   * @param {object} content - { body, html, attachments } filled in place
+   */
+  async collectParts(messageId, part, content) {
+    if (!part) return;
+
+    const isCsv = /\.csv$/i.test(part.filename || '') || /csv/i.test(part.mimeType || '');
 
-    // Extract Phone (try to get the full number first, fallback to just number)
-    const phoneMatch = emailBody.match(/(?:PHONE|Phone)\s*:\s*(\d+)/i);
-    if (phoneMatch) {
-      lead.phone = phoneMatch[1].trim();
+    if (part.filename && isCsv) {
+      let data = part.body.data;
+
+      if (!data && part.body.attachmentId) {
+        const attachment = await this.gmail.users.messages.attachments.get({
+          userId: 'me',
+          messageId,
+          id: part.body.attachmentId
+        });
+        data = attachment.data.data;
+      }
+
+      content.attachments.push({
+        filename: part.filename,
+        mimeType: part.mimeType,
+        size: part.body.size,
+        content: data ? Buffer.from(data, 'base64').toString('utf-8') : ''
+      });
+    } else if (!part.filename && part.mimeType === 'text/plain' && part.body.data && !content.body) {
+      content.body = Buffer.from(part.body.data, 'base64').toString('utf-8');
+    } else if (!part.filename && part.mimeType === 'text/html' && part.body.data && !content.html) {
+      content.html = Buffer.from(part.body.data, 'base64').toString('utf-8');
     }
 
-    // Extract Phone Area Code
-    const areaCodeMatch = emailBody.match(/Phone Area Code\s*:\s*(\d+)/i);
-    if (areaCodeMatch) {
-      lead.phoneAreaCode = areaCodeMatch[1].trim();
+    for (const child of part.parts || []) {
+      await this.collectParts(messageId, child, content);
     }
+  }
 
-    // Extract IP Address
-    const ipMatch = emailBody.match(/(?:IP ADDRESS|Applicant's Originating IP Address)\s*:\s*([^\s\n]+)/i);
-    if (ipMatch) {
-      lead.ipAddress = ipMatch[1].trim();
+  /**
+   * Fetch unread lead emails
+   * Searches the import label (GMAIL_IMPORT_LABEL); without one, mail from
+   * the given senders. Sorting emails into lead sources is the importer's job.
+   * @param {object} options - { labelName, senders, maxResults }
+   * @returns {Array} Full messages (see getMessage)
+   */
+  async getUnreadLeadEmails(options = {}) {
+    await this.ensureInitialized();
+
+    const {
+      labelName = process.env.GMAIL_IMPORT_LABEL,
+      senders = [process.env.GMAIL_CHECK_FROM_EMAIL || 'register@leadpower.com'],
+      maxResults = 100
+    } = options;
+
+    let query = 'is:unread';
+    if (labelName) {
+      query += ` label:${labelName}`;
+    } else {
+      query += ` {${senders.map(sender => `from:${sender}`).join(' ')}}`;
     }
 
-    // Extract Gender (optional)
-    const genderMatch = emailBody.match(/Gender\s*:\s*([^\n]+)/i);
-    if (genderMatch && genderMatch[1].trim()) {
-      lead.gender = genderMatch[1].trim();
+    const searchResponse = await this.gmail.users.messages.list({
+      userId: 'me',
+      q: query,
+      maxResults
+    });
+
+    const messages = searchResponse.data.messages || [];
+    const emails = [];
+
+    for (const message of messages) {
+      try {
+        emails.push(await this.getMessage(message.id));
+      } catch (error) {
+        // Left unread - picked up again next run
+        console.error(`❌ Skipping message ${message.id}:`, error.message);
+      }
     }
 
-    // Extract Misc fields (optional)
-    for (let i = 1; i <= 8; i++) {
-      const miscMatch = emailBody.match(new RegExp(`Misc${i}\\s*:\\s*([^\\n]+)`, 'i'));
-      if (miscMatch && miscMatch[1].trim()) {
-        lead[`misc${i}`] = miscMatch[1].trim();
+    return emails;
+  }
+
+  /**
+   * Inbox messages not yet checked for nurture replies
+   * Left unread - the mailbox's users still handle the conversation
+   * @param {object} options - { excludeLabel, newerThanDays, maxResults }
+   * @returns {Array} Messages (see getMessage)
+   */
+  async getInboxReplies(options = {}) {
+    await this.ensureInitialized();
+
+    const { excludeLabel, newerThanDays = 2, maxResults = 50 } = options;
+
+    let query = `in:inbox newer_than:${newerThanDays}d -from:me`;
+    if (excludeLabel) query += ` -label:${excludeLabel}`;
+
+    const searchResponse = await this.gmail.users.messages.list({
+      userId: 'me',
+      q: query,
+      maxResults
+    });
+
+    const emails = [];
+    for (const message of searchResponse.data.messages || []) {
+      try {
+        emails.push(await this.getMessage(message.id));
+      } catch (error) {
+        console.error(`❌ Skipping message ${message.id}:`, error.message);
       }
     }
 
-    return lead;
+    return emails;
   }
 
   /**
-   * Get message content from Gmail
-   * @param {string} messageId - Gmail message ID
-   * @returns {object} Message data with body
+   * Mark messages as read
+   * @param {Array} messageIds - Gmail message IDs
    */
-  async getMessage(messageId) {
+  async markEmailsAsRead(messageIds) {
+    if (messageIds.length === 0) return;
     await this.ensureInitialized();
 
-    try {
-      const response = await this.gmail.users.messages.get({
+    await this.gmail.users.messages.batchModify({
+      userId: 'me',
+      requestBody: {
+        ids: messageIds,
+        removeLabelIds: ['UNREAD']
+      }
+    });
+  }
+
+  /**
+   * Apply a label to messages, creating the label if needed
+   * @param {Array} messageIds - Gmail message IDs
+   * @param {string} labelName - Label name
+   */
+  async applyLabel(messageIds, labelName) {
+    if (messageIds.length === 0) return;
+    await this.ensureInitialized();
+
+    const { data } = await this.gmail.users.labels.list({ userId: 'me' });
+    let label = (data.labels || []).find(existing => existing.name === labelName);
+
+    if (!label) {
+      const created = await this.gmail.users.labels.create({
         userId: 'me',
-        id: messageId,
-        format: 'full'
+        requestBody: {
+          name: labelName,
+          labelListVisibility: 'labelShow',
+          messageListVisibility: 'show'
+        }
       });
+      label = created.data;
+    }
 
-      const message = response.data;
-      let body = '';
-
-      // Extract body from message parts
-      if (message.payload.parts) {
-        const textPart = message.payload.parts.find(
-          part => part.mimeType === 'text/plain'
-        );
-        if (textPart && textPart.body.data) {
-          body = Buffer.from(textPart.body.data, 'base64').toString('utf-8');
-        }
-      } else if (message.payload.body.data) {
-        body = Buffer.from(message.payload.body.data, 'base64').toString('utf-8');
+    await this.gmail.users.messages.batchModify({
+      userId: 'me',
+      requestBody: {
+        ids: messageIds,
+        addLabelIds: [label.id]
       }
-
-      return {
-        id: message.id,
-        threadId: message.threadId,
-        subject: this.getHeader(message.payload.headers, 'Subject'),
-        from: this.getHeader(message.payload.headers, 'From'),
-        date: this.getHeader(message.payload.headers, 'Date'),
-        body: body
-      };
-    } catch (error) {
-      console.error(`❌ Error fetching message ${messageId}:`, error.message);
-      throw error;
-    }
+    });
   }
 
   /**
@@ -181,108 +272,47 @@ class GmailService {
 
   /**
    * Import leads from Gmail
-   * @param {object} options - Import options
+   * Unread lead emails are routed to their lead source by the lead importer;
+   * handled emails (imported, duplicate or quarantined) are marked read
+   * @param {object} options - Import options (see getUnreadLeadEmails)
    * @returns {object} Import results
    */
   async importLeads(options = {}) {
-    await this.ensureInitialized();
-
-    const {
-      labelName = process.env.GMAIL_IMPORT_LABEL || 'Leads',
-      fromEmail = process.env.GMAIL_CHECK_FROM_EMAIL || 'register@leadpower.com',
-      maxResults = 100
-    } = options;
+    // Loaded here so the Gmail client can be used without the lead models
+    const leadImporter = require('./leadImporter');
 
     try {
-      console.log(`📧 Starting Gmail lead import from label: ${labelName}`);
+      const emails = await this.getUnreadLeadEmails(options);
 
-      // Build search query
-      let query = `from:${fromEmail}`;
-      if (labelName) {
-        query += ` label:${labelName}`;
-      }
-
-      // Search for messages
-      const searchResponse = await this.gmail.users.messages.list({
-        userId: 'me',
-        q: query,
-        maxResults: maxResults
-      });
-
-      const messages = searchResponse.data.messages || [];
-      
-      if (messages.length === 0) {
+      if (emails.length === 0) {
         console.log('ℹ️  No new lead emails found');
         return {
           success: true,
           processed: 0,
           imported: 0,
           duplicates: 0,
+          quarantined: 0,
           errors: 0
         };
       }
 
-      console.log(`📨 Found ${messages.length} messages to process`);
-
-      let imported = 0;
-      let duplicates = 0;
-      let errors = 0;
-
-      // Process each message
-      for (const message of messages) {
-        try {
-          // Get full message content
-          const fullMessage = await this.getMessage(message.id);
-          
-          // Parse lead data from email body
-          const leadData = this.parseLeadFromEmail(fullMessage.body);
-
-          // Validate required fields
-          if (!leadData.firstName || !leadData.lastName || !leadData.email || !leadData.phone) {
-            console.warn(`⚠️  Skipping message ${message.id}: Missing required fields`);
-            errors++;
-            continue;
-          }
-
-          // Check for duplicate
-          const existingLead = await Lead.findDuplicate(leadData.email, leadData.phone);
-          
-          if (existingLead) {
-            console.log(`⏭️  Skipping duplicate lead: ${leadData.email}`);
-            duplicates++;
-            continue;
-          }
-
-          // Create new lead
-          const newLead = new Lead({
-            ...leadData,
-            gmailMessageId: fullMessage.id,
-            gmailThreadId: fullMessage.threadId,
-            status: 'new',
-            importSource: 'gmail',
-            importedAt: new Date()
-          });
-
-          await newLead.save();
-          console.log(`✅ Imported lead: ${newLead.fullName} (${newLead.email})`);
-          imported++;
-
-        } catch (error) {
-          console.error(`❌ Error processing message ${message.id}:`, error.message);
-          errors++;
-        }
-      }
+      console.log(`📨 Found ${emails.length} messages to process`);
+
+      const results = await leadImporter.importFromEmails(emails);
+
+      await this.markEmailsAsRead(results.processedIds);
 
-      const results = {
+      const summary = {
         success: true,
-        processed: messages.length,
-        imported,
-        duplicates,
-        errors
+        processed: emails.length,
+        imported: results.imported,
+        duplicates: results.duplicates,
+        quarantined: results.quarantined,
+        errors: results.errors
       };
 
-      console.log('📊 Import Summary:', results);
-      return results;
+      console.log('📊 Import Summary:', summary);
+      return summary;
 
     } catch (error) {
       console.error('❌ Gmail import failed:', error.message);
@@ -290,6 +320,47 @@ class GmailService {
     }
   }
 
+  /**
+   * Send a plain-text email from the connected mailbox
+   * Requires the gmail.send scope on the refresh token
+   * @param {string} to - Recipient address
+   * @param {string} subject - Subject line
+   * @param {string} body - Plain-text body
+   * @returns {object} { success, messageId } or { success: false, error }
+   */
+  async sendEmail(to, subject, body) {
+    try {
+      await this.ensureInitialized();
+
+      const message = [
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset="UTF-8"',
+        '',
+        body
+      ].join('\r\n');
+
+      const response = await this.gmail.users.messages.send({
+        userId: 'me',
+        requestBody: {
+          raw: Buffer.from(message).toString('base64url')
+        }
+      });
+
+      return {
+        success: true,
+        messageId: response.data.id
+      };
+    } catch (error) {
+      console.error(`❌ Error sending email to ${to}:`, error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Test Gmail connection
    * @returns {object} Connection test results
@@ -0,0 +1,147 @@
+/**
+ * Health Service
+ *
+ * @description Dependency probes behind /health/live and /health/ready
+ *              (rollup rules in utils/healthChecks)
+ *
+ * Critical: MongoDB, PostgreSQL (DNC list - no compliant dialing without it)
+ * and Redis. Everything else degrades features without taking the API down.
+ */
+
+const mongoose = require('mongoose');
+const Bull = require('bull');
+const { pgPool, redisClient } = require('../config/database');
+const graphRagService = require('./graph-rag.service');
+const voiceAgentService = require('./voice-agent.service');
+const telnyxWebSocket = require('../websocket/telnyx-websocket.service');
+const { runCheck, summarize, DEFAULT_TIMEOUT_MS } = require('../utils/healthChecks');
+
+// Bull queues the API process runs. Requiring a queue module registers its
+// workers (.process() at load), so the probe counts jobs through its own
+// plain Bull instances instead - they only read, never process
+const QUEUE_NAMES = [
+  'lead-scoring',
+  'campaign-dialer',
+  'speed-to-lead',
+  'nurture-sequences',
+  'lead-imports',
+  'recommendations'
+];
+
+class HealthService {
+  constructor() {
+    this.timeoutMs = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+    this.queues = new Map();
+
+    this.checks = [
+      { name: 'mongodb', critical: true, probe: () => this.pingMongo() },
+      { name: 'postgres', critical: true, probe: () => pgPool.query('SELECT 1').then(() => undefined) },
+      { name: 'redis', critical: true, probe: () => this.pingRedis() },
+      { name: 'neo4j', critical: false, probe: () => graphRagService.neo4jDriver.verifyConnectivity().then(() => undefined) },
+      { name: 'chromadb', critical: false, probe: () => graphRagService.chromaClient.heartbeat().then(() => undefined) },
+      { name: 'queues', critical: false, probe: () => this.checkQueues() },
+      { name: 'telnyxWebSocket', critical: false, probe: () => this.checkTelnyxWebSocket() },
+      { name: 'voiceAgent', critical: false, probe: () => this.checkVoiceAgent() }
+    ];
+  }
+
+  /**
+   * Process-only liveness - never touches dependencies, so an outage
+   * doesn't get healthy pods restarted
+   */
+  liveness() {
+    const memory = process.memoryUsage();
+
+    return {
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      memory: {
+        heapUsedMb: Math.round(memory.heapUsed / 1024 / 1024),
+        rssMb: Math.round(memory.rss / 1024 / 1024)
+      }
+    };
+  }
+
+  /**
+   * Probe every dependency in parallel
+   * @returns {Object} utils/healthChecks summary plus timestamp and uptime
+   */
+  async readiness() {
+    const results = await Promise.all(this.checks.map(check => runCheck(check, this.timeoutMs)));
+
+    return {
+      ...summarize(results),
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime()
+    };
+  }
+
+  async pingMongo() {
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error('Not connected');
+    }
+
+    await mongoose.connection.db.admin().ping();
+  }
+
+  async pingRedis() {
+    if (!redisClient.isReady) {
+      throw new Error('Not connected');
+    }
+
+    await redisClient.ping();
+  }
+
+  /**
+   * Job counts per queue; down if any queue can't reach Redis
+   */
+  async checkQueues() {
+    const entries = await Promise.all(QUEUE_NAMES.map(async name => {
+      const { waiting, active, delayed, failed } = await this.queue(name).getJobCounts();
+      return [name, { waiting, active, delayed, failed }];
+    }));
+
+    return Object.fromEntries(entries);
+  }
+
+  /**
+   * Count-only handle on a queue, created on first probe
+   * @private
+   */
+  queue(name) {
+    if (!this.queues.has(name)) {
+      this.queues.set(name, new Bull(name, {
+        redis: {
+          host: process.env.REDIS_HOST || 'localhost',
+          port: process.env.REDIS_PORT || 6379,
+          password: process.env.REDIS_PASSWORD
+        }
+      }));
+    }
+
+    return this.queues.get(name);
+  }
+
+  async checkTelnyxWebSocket() {
+    const status = telnyxWebSocket.getStatus();
+
+    if (!telnyxWebSocket.isConnectedToTelnyx()) {
+      throw new Error(`Disconnected (${status.reconnectAttempts}/${status.maxReconnectAttempts} reconnect attempts)`);
+    }
+
+    return { connectionId: status.connectionId };
+  }
+
+  async checkVoiceAgent() {
+    const result = await voiceAgentService.testConnection({ timeout: this.timeoutMs });
+
+    if (!result.success) {
+      throw new Error(result.error || `${result.message} (HTTP ${result.statusCode})`);
+    }
+
+    return { url: result.url };
+  }
+}
+
+module.exports = new HealthService();
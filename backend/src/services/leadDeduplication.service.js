@@ -0,0 +1,537 @@
+const Lead = require('../database/mongodb/schemas/lead.schema');
+const CallLog = require('../database/mongodb/schemas/calllog.schema');
+const Conversation = require('../database/mongodb/schemas/conversation.schema');
+const DuplicateCandidate = require('../database/mongodb/schemas/duplicateCandidate.schema');
+const LeadMerge = require('../database/mongodb/schemas/leadMerge.schema');
+const { pgPool } = require('../config/database');
+const { DUPLICATE_THRESHOLD, dedupeKeys, scoreMatch, pairKey } = require('../utils/duplicateMatching');
+const logger = require('../utils/logger');
+
+// Copied from merged leads when the survivor has no value
+const FILL_FIELDS = [
+  'email',
+  'alternatePhone',
+  'timezone',
+  'company.name',
+  'company.title',
+  'company.industry',
+  'company.size',
+  'company.website',
+  'company.linkedinUrl',
+  'assignedTo',
+  'campaignId',
+  'nextFollowUpAt'
+];
+
+// Merged-lead fields archived by a merge and restored by undo
+const ARCHIVE_FIELDS = ['isActive', 'archivedAt', 'archivedReason', 'email'];
+
+const MATCH_FIELDS = 'firstName lastName phone alternatePhone email company.name dedupeKeys';
+const MAX_MATCHES_PER_LEAD = 50;
+
+/**
+ * Whether a lead field is empty
+ * @private
+ */
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+/**
+ * Compare stored values (ObjectIds and Dates included)
+ * @private
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Lead Deduplication Service
+ * Fuzzy duplicate detection, review queue, and merge / undo
+ *
+ * Detection: each lead stores blocking keys (lead.dedupeKeys - phones, email,
+ * email local part, phonetic name); leads sharing a key are scored by
+ * utils/duplicateMatching and pairs at or above the threshold are queued as
+ * DuplicateCandidates. New leads are checked on creation; scan() sweeps the
+ * whole organization.
+ *
+ * Merge: notes, conversationHistory and tags are combined onto the survivor,
+ * empty survivor fields are filled from the duplicates, call logs,
+ * conversations and score history are re-pointed, and the duplicates are
+ * archived with mergedInto set. Everything changed is recorded on a LeadMerge
+ * so undo() can put it back.
+ */
+
+class LeadDeduplicationService {
+  /**
+   * Leads that look like the same person
+   * @param {Object} lead - Lead (document or plain object)
+   * @param {Object} options - { threshold }
+   * @returns {Array} [{ lead, score, reasons }] best first
+   */
+  async findMatches(lead, { threshold = DUPLICATE_THRESHOLD } = {}) {
+    const keys = lead.dedupeKeys && lead.dedupeKeys.length > 0 ? lead.dedupeKeys : dedupeKeys(lead);
+    if (keys.length === 0) return [];
+
+    const others = await Lead.find({
+      _id: { $ne: lead._id },
+      isActive: true,
+      dedupeKeys: { $in: keys }
+    })
+      .select(MATCH_FIELDS)
+      .limit(MAX_MATCHES_PER_LEAD)
+      .lean();
+
+    return others
+      .map(other => ({ lead: other, ...scoreMatch(lead, other) }))
+      .filter(match => match.score >= threshold)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Queue review candidates for one lead
+   * @param {Object} lead - Lead
+   * @returns {Number} New candidates queued
+   */
+  async detectForLead(lead) {
+    const matches = await this.findMatches(lead);
+    let queued = 0;
+
+    for (const match of matches) {
+      if (await this.queueCandidate(lead._id, match.lead._id, match)) queued++;
+    }
+
+    if (queued > 0) {
+      logger.info(`[Lead Dedup] ${queued} possible duplicate(s) queued for lead ${lead._id}`);
+    }
+
+    return queued;
+  }
+
+  /**
+   * Add a pair to the review queue (reviewed pairs are left alone)
+   * @private
+   * @returns {Boolean} true when a new candidate was created
+   */
+  async queueCandidate(idA, idB, { score, reasons }) {
+    const key = pairKey(idA, idB);
+    const existing = await DuplicateCandidate.findOne({ pairKey: key });
+
+    if (existing) {
+      if (existing.status === 'pending' && existing.score !== score) {
+        existing.score = score;
+        existing.reasons = reasons;
+        await existing.save();
+      }
+      return false;
+    }
+
+    try {
+      await DuplicateCandidate.create({ leadIds: key.split(':'), pairKey: key, score, reasons });
+      return true;
+    } catch (error) {
+      // Queued concurrently by another detection
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Sweep every active lead: refresh its keys (leads changed with update
+   * queries skip the save hook), then queue its matches
+   * @returns {Object} { scanned, keysUpdated, queued }
+   */
+  async scan() {
+    const summary = { scanned: 0, keysUpdated: 0, queued: 0 };
+    let updates = [];
+
+    const flush = async () => {
+      if (updates.length === 0) return;
+      await Lead.bulkWrite(updates, { ordered: false });
+      summary.keysUpdated += updates.length;
+      updates = [];
+    };
+
+    for await (const lead of Lead.find({ isActive: true }).select(MATCH_FIELDS).lean().cursor()) {
+      const keys = dedupeKeys(lead);
+      if (!sameValue([...(lead.dedupeKeys || [])].sort(), [...keys].sort())) {
+        updates.push({ updateOne: { filter: { _id: lead._id }, update: { $set: { dedupeKeys: keys } } } });
+      }
+      if (updates.length >= 500) await flush();
+    }
+    await flush();
+
+    for await (const lead of Lead.find({ isActive: true }).select(MATCH_FIELDS).lean().cursor()) {
+      summary.scanned++;
+      summary.queued += await this.detectForLead(lead);
+    }
+
+    logger.info(`[Lead Dedup] Scan complete: ${summary.scanned} leads, ${summary.keysUpdated} keys refreshed, ${summary.queued} new candidates`);
+
+    return summary;
+  }
+
+  /**
+   * Review queue
+   * @param {Object} filters - { status, minScore, leadId, page, limit }
+   * @returns {Object} { candidates, total }
+   */
+  async getQueue({ status = 'pending', minScore, leadId, page = 1, limit = 25 } = {}) {
+    const filter = { status };
+    if (minScore) filter.score = { $gte: minScore };
+    if (leadId) filter.leadIds = leadId;
+
+    const [candidates, total] = await Promise.all([
+      DuplicateCandidate.find(filter)
+        .sort({ score: -1, detectedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('leadIds', 'firstName lastName phone alternatePhone email company.name status qualificationScore createdAt isActive')
+        .lean(),
+      DuplicateCandidate.countDocuments(filter)
+    ]);
+
+    return { candidates, total };
+  }
+
+  /**
+   * Mark a pair as not duplicates
+   * @param {String} candidateId - DuplicateCandidate ID
+   * @param {String} userId - Reviewer
+   * @returns {Object} { candidate } or { error, status }
+   */
+  async dismiss(candidateId, userId) {
+    const candidate = await DuplicateCandidate.findById(candidateId);
+    if (!candidate) return { error: 'Duplicate candidate not found', status: 404 };
+
+    if (candidate.status !== 'pending') {
+      return { error: `Candidate is already ${candidate.status}`, status: 409 };
+    }
+
+    candidate.status = 'dismissed';
+    candidate.reviewedBy = userId;
+    candidate.reviewedAt = new Date();
+    await candidate.save();
+
+    return { candidate };
+  }
+
+  /**
+   * Merge duplicates into a surviving lead
+   * @param {String} survivorId - Lead that remains
+   * @param {Array} mergeIds - Leads merged into it and archived
+   * @param {String} userId - User merging
+   * @returns {Object} { merge, survivor } or { error, status }
+   */
+  async merge(survivorId, mergeIds, userId) {
+    const ids = [...new Set((mergeIds || []).map(String))].filter(id => id !== String(survivorId));
+    if (ids.length === 0) {
+      return { error: 'mergeIds must include at least one lead other than the survivor', status: 400 };
+    }
+
+    const survivor = await Lead.findById(survivorId);
+    if (!survivor) return { error: 'Surviving lead not found', status: 404 };
+    if (survivor.mergedInto) {
+      return { error: `Surviving lead was itself merged into ${survivor.mergedInto}`, status: 409 };
+    }
+
+    const duplicates = await Lead.find({ _id: { $in: ids } }).sort({ createdAt: 1 });
+    if (duplicates.length !== ids.length) {
+      return { error: 'One or more leads to merge were not found', status: 404 };
+    }
+
+    const alreadyMerged = duplicates.find(lead => lead.mergedInto);
+    if (alreadyMerged) {
+      return { error: `Lead ${alreadyMerged._id} was already merged into ${alreadyMerged.mergedInto}`, status: 409 };
+    }
+
+    const plan = this.planSurvivorUpdate(survivor, duplicates);
+
+    // Undo record first, so a failure part-way through can still be reversed
+    const merge = await LeadMerge.create({
+      survivorId: survivor._id,
+      mergedIds: duplicates.map(lead => lead._id),
+      survivorChanges: plan.changes,
+      mergedSnapshots: duplicates.map(lead => lead.toObject({ virtuals: false })),
+      mergedBy: userId
+    });
+
+    const now = new Date();
+
+    // Archive duplicates first - their emails must be released before the survivor can take one
+    await Lead.updateMany({ _id: { $in: ids } }, {
+      $set: {
+        isActive: false,
+        archivedAt: now,
+        archivedReason: `Merged into ${survivor._id}`,
+        mergedInto: survivor._id
+      },
+      $unset: { email: 1 }
+    });
+
+    try {
+      await Lead.updateOne({ _id: survivor._id }, plan.update);
+    } catch (error) {
+      logger.error(`[Lead Dedup] Merge into ${survivor._id} failed, restoring duplicates:`, error);
+      await this.restoreMergedLeads(merge.mergedSnapshots, []);
+      await merge.deleteOne();
+      throw error;
+    }
+
+    merge.moved = await this.moveRelatedRecords(survivor._id, ids, merge.warnings);
+
+    const candidates = await DuplicateCandidate.find({ leadIds: { $in: ids }, status: 'pending' }).select('_id').lean();
+    merge.candidateIds = candidates.map(candidate => candidate._id);
+    await DuplicateCandidate.updateMany({ _id: { $in: merge.candidateIds } }, {
+      status: 'merged',
+      mergeId: merge._id,
+      reviewedBy: userId,
+      reviewedAt: now
+    });
+
+    await merge.save();
+
+    logger.info(`[Lead Dedup] Merged ${ids.length} lead(s) into ${survivor._id} (merge ${merge._id})`);
+
+    return { merge, survivor: await Lead.findById(survivor._id) };
+  }
+
+  /**
+   * Work out the survivor update and record what it changes
+   * @private
+   * @returns {Object} { update, changes }
+   */
+  planSurvivorUpdate(survivor, duplicates) {
+    const set = {};
+
+    const fill = (path, value) => {
+      if (isEmpty(survivor.get(path)) && set[path] === undefined && !isEmpty(value)) {
+        set[path] = value;
+      }
+    };
+
+    duplicates.forEach(duplicate => {
+      // A duplicate's main number becomes the survivor's alternate
+      if (duplicate.phone !== survivor.phone) fill('alternatePhone', duplicate.phone);
+      FILL_FIELDS.forEach(path => fill(path, duplicate.get(path)));
+    });
+
+    const qualificationScore = Math.max(survivor.qualificationScore || 0, ...duplicates.map(lead => lead.qualificationScore || 0));
+    if (qualificationScore !== survivor.qualificationScore) set.qualificationScore = qualificationScore;
+
+    const contactAttempts = duplicates.reduce((total, lead) => total + (lead.contactAttempts || 0), survivor.contactAttempts || 0);
+    if (contactAttempts !== survivor.contactAttempts) set.contactAttempts = contactAttempts;
+
+    const lastContactedAt = [survivor, ...duplicates]
+      .map(lead => lead.lastContactedAt)
+      .filter(Boolean)
+      .sort((a, b) => b - a)[0];
+    if (lastContactedAt && !sameValue(lastContactedAt, survivor.lastContactedAt)) set.lastContactedAt = lastContactedAt;
+
+    // Survivor's custom fields win
+    const customFields = Object.assign({}, ...duplicates.map(lead => lead.customFields || {}), survivor.customFields || {});
+    if (!sameValue(customFields, survivor.customFields || {})) set.customFields = customFields;
+
+    const notes = duplicates.flatMap(lead => lead.notes.map(note => note.toObject()));
+    const conversationHistory = duplicates.flatMap(lead => lead.conversationHistory.map(entry => entry.toObject()));
+    const addedTags = [...new Set(duplicates.flatMap(lead => lead.tags || []))]
+      .filter(tag => !(survivor.tags || []).includes(tag));
+
+    const keyFields = { ...survivor.toObject(), ...set };
+
+    return {
+      update: {
+        $set: { ...set, dedupeKeys: dedupeKeys(keyFields) },
+        $push: {
+          notes: { $each: notes, $sort: { createdAt: 1 } },
+          conversationHistory: { $each: conversationHistory, $sort: { timestamp: 1 } }
+        },
+        $addToSet: { tags: { $each: addedTags } }
+      },
+      changes: {
+        fields: Object.entries(set).map(([path, after]) => ({ path, before: survivor.get(path) ?? null, after })),
+        addedTags,
+        addedNoteIds: notes.map(note => note._id),
+        addedConversationIds: conversationHistory.map(entry => entry._id)
+      }
+    };
+  }
+
+  /**
+   * Re-point call logs, conversations and score history to the survivor
+   * @private
+   * @returns {Object} { callLogs, conversations, scoreHistory } as [{ id, from }]
+   */
+  async moveRelatedRecords(survivorId, fromIds, warnings) {
+    const moved = { callLogs: [], conversations: [], scoreHistory: [] };
+
+    for (const [key, Model] of [['callLogs', CallLog], ['conversations', Conversation]]) {
+      const records = await Model.find({ leadId: { $in: fromIds } }).select('_id leadId').lean();
+      if (records.length === 0) continue;
+
+      await Model.updateMany({ _id: { $in: records.map(record => record._id) } }, { leadId: survivorId });
+      moved[key] = records.map(record => ({ id: String(record._id), from: record.leadId }));
+    }
+
+    try {
+      for (const fromId of fromIds) {
+        const result = await pgPool.query(
+          `UPDATE lead_score_history SET lead_id = $1
+           WHERE lead_id::text = $2
+           RETURNING id`,
+          [String(survivorId), String(fromId)]
+        );
+        moved.scoreHistory.push(...result.rows.map(row => ({ id: String(row.id), from: fromId })));
+      }
+    } catch (error) {
+      logger.warn('[Lead Dedup] Could not move score history:', error.message);
+      warnings.push('Score history was not moved (PostgreSQL unavailable)');
+    }
+
+    return moved;
+  }
+
+  /**
+   * Reverse a merge
+   * Survivor fields are only reverted while they still hold the merged value,
+   * so edits made after the merge are kept
+   * @param {String} mergeId - LeadMerge ID
+   * @param {String} userId - User undoing
+   * @returns {Object} { merge, survivor } or { error, status }
+   */
+  async undo(mergeId, userId) {
+    const merge = await LeadMerge.findById(mergeId);
+    if (!merge) return { error: 'Merge not found', status: 404 };
+    if (merge.status === 'undone') return { error: 'Merge was already undone', status: 409 };
+
+    const survivor = await Lead.findById(merge.survivorId);
+    if (!survivor) return { error: 'Surviving lead no longer exists', status: 409 };
+
+    const { fields = [], addedTags = [], addedNoteIds = [], addedConversationIds = [] } = merge.survivorChanges || {};
+    const $set = {};
+    const $unset = {};
+
+    fields.forEach(({ path, before, after }) => {
+      if (!sameValue(survivor.get(path), after)) return;
+
+      if (isEmpty(before)) {
+        $unset[path] = 1;
+      } else {
+        $set[path] = before;
+      }
+    });
+
+    const update = {
+      $pull: {
+        notes: { _id: { $in: addedNoteIds } },
+        conversationHistory: { _id: { $in: addedConversationIds } },
+        tags: { $in: addedTags }
+      }
+    };
+    if (Object.keys($set).length > 0) update.$set = $set;
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+    await Lead.updateOne({ _id: survivor._id }, update);
+
+    const restored = await Lead.findById(survivor._id).lean();
+    await Lead.updateOne({ _id: survivor._id }, { dedupeKeys: dedupeKeys(restored) });
+
+    await this.restoreMergedLeads(merge.mergedSnapshots, merge.warnings);
+    await this.moveRecordsBack(merge);
+
+    await DuplicateCandidate.updateMany({ _id: { $in: merge.candidateIds } }, {
+      $set: { status: 'pending' },
+      $unset: { mergeId: 1, reviewedBy: 1, reviewedAt: 1 }
+    });
+
+    merge.status = 'undone';
+    merge.undoneBy = userId;
+    merge.undoneAt = new Date();
+    await merge.save();
+
+    logger.info(`[Lead Dedup] Undid merge ${merge._id} into ${survivor._id}`);
+
+    return { merge, survivor: await Lead.findById(survivor._id) };
+  }
+
+  /**
+   * Un-archive merged leads from their snapshots
+   * @private
+   */
+  async restoreMergedLeads(snapshots, warnings) {
+    for (const snapshot of snapshots) {
+      const $set = {};
+      const $unset = { mergedInto: 1 };
+
+      ARCHIVE_FIELDS.forEach(path => {
+        if (isEmpty(snapshot[path])) {
+          $unset[path] = 1;
+        } else {
+          $set[path] = snapshot[path];
+        }
+      });
+
+      try {
+        await Lead.updateOne({ _id: snapshot._id }, { $set, $unset });
+      } catch (error) {
+        if (error.code !== 11000 || !$set.email) throw error;
+
+        // The email now belongs to another lead; restore without it
+        delete $set.email;
+        await Lead.updateOne({ _id: snapshot._id }, { $set, $unset });
+        warnings.push(`Email ${snapshot.email} of lead ${snapshot._id} is now used by another lead and was not restored`);
+      }
+
+      await Lead.updateOne({ _id: snapshot._id }, { dedupeKeys: dedupeKeys(snapshot) });
+    }
+  }
+
+  /**
+   * Return moved call logs, conversations and score history to their leads
+   * @private
+   */
+  async moveRecordsBack(merge) {
+    const byLead = records => records.reduce((groups, { id, from }) => {
+      (groups[from] = groups[from] || []).push(id);
+      return groups;
+    }, {});
+
+    for (const [key, Model] of [['callLogs', CallLog], ['conversations', Conversation]]) {
+      for (const [from, ids] of Object.entries(byLead(merge.moved?.[key] || []))) {
+        await Model.updateMany({ _id: { $in: ids }, leadId: merge.survivorId }, { leadId: from });
+      }
+    }
+
+    const scoreHistory = byLead(merge.moved?.scoreHistory || []);
+    try {
+      for (const [from, ids] of Object.entries(scoreHistory)) {
+        await pgPool.query(
+          'UPDATE lead_score_history SET lead_id = $1 WHERE id::text = ANY($2::text[])',
+          [from, ids]
+        );
+      }
+    } catch (error) {
+      logger.warn('[Lead Dedup] Could not move score history back:', error.message);
+      merge.warnings.push('Score history was not moved back (PostgreSQL unavailable)');
+    }
+  }
+
+  /**
+   * Merge history
+   * @param {Object} filters - { leadId, status, limit }
+   * @returns {Array} LeadMerge documents (snapshots omitted)
+   */
+  async getMerges({ leadId, status, limit = 50 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (leadId) filter.$or = [{ survivorId: leadId }, { mergedIds: leadId }];
+
+    return LeadMerge.find(filter)
+      .select('-mergedSnapshots')
+      .sort({ mergedAt: -1 })
+      .limit(Math.min(limit, 200))
+      .lean();
+  }
+}
+
+module.exports = new LeadDeduplicationService();
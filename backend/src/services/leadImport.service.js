@@ -0,0 +1,535 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const Lead = require('../database/mongodb/schemas/lead.schema');
+const LeadImport = require('../database/mongodb/schemas/leadImport.schema');
+const LeadImportMapping = require('../database/mongodb/schemas/leadImportMapping.schema');
+const leadImporter = require('./leadImporter');
+const dncService = require('./dncService');
+const { enqueueImport } = require('../queues/leadImport.queue');
+const {
+  LEAD_SOURCES,
+  LEAD_PRIORITIES,
+  parseCsv,
+  rowsToRecords,
+  flattenJsonRecords,
+  suggestMapping,
+  validateMapping,
+  mapRecord
+} = require('../utils/leadImportMapping');
+const { chunkArray } = require('../utils/helpers');
+const { runWithOrganization } = require('../utils/tenant.util');
+const logger = require('../utils/logger');
+
+// Files with more importable rows than this run on the lead-imports queue
+const SYNC_ROW_LIMIT = parseInt(process.env.LEAD_IMPORT_SYNC_ROWS) || 500;
+const MAX_ROWS = parseInt(process.env.LEAD_IMPORT_MAX_ROWS) || 50000;
+
+const PREVIEW_ROWS = 100;
+const PREVIEW_ISSUES = 500;
+const ERROR_DETAIL_LIMIT = 500;
+
+const FORMATS_BY_EXTENSION = {
+  '.csv': 'csv',
+  '.tsv': 'csv',
+  '.txt': 'csv',
+  '.xlsx': 'xlsx',
+  '.json': 'json'
+};
+
+const FORMATS_BY_MIMETYPE = {
+  'text/csv': 'csv',
+  'text/plain': 'csv',
+  'text/tab-separated-values': 'csv',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/json': 'json'
+};
+
+/**
+ * Lead Import Service
+ * File upload → dry-run preview → commit through leadImporter.importBulk
+ *
+ * Every row is classified before anything is written:
+ * - invalid:   fails mapping / validation (utils/leadImportMapping)
+ * - dnc:       phone is on the organization's DNC list
+ * - duplicate: repeats an earlier row, or matches an existing lead by phone / email
+ * - valid:     will be imported
+ *
+ * Only valid rows are committed. Small files import inline; larger ones are
+ * queued and report progress to Socket.io room "lead-import:<importId>".
+ */
+
+class LeadImportService {
+  constructor() {
+    this.io = null;
+  }
+
+  /**
+   * Socket.io server for progress events (set by server.js)
+   * @param {Object} io - Socket.io server
+   */
+  setSocketServer(io) {
+    this.io = io;
+  }
+
+  /**
+   * Detect file format from extension, then MIME type
+   * @param {String} filename - Original filename
+   * @param {String} mimetype - Upload MIME type
+   * @returns {String|null} csv | xlsx | json
+   */
+  detectFormat(filename = '', mimetype = '') {
+    return FORMATS_BY_EXTENSION[path.extname(filename).toLowerCase()] ||
+      FORMATS_BY_MIMETYPE[mimetype] ||
+      null;
+  }
+
+  /**
+   * Parse an uploaded file into records keyed by column header
+   * @param {Object} file - { buffer, originalname, mimetype }
+   * @param {String} format - Explicit format (optional)
+   * @returns {Object} { format, headers, records, hasHeader } or { error }
+   */
+  async parseFile(file, format) {
+    if (!file || !file.buffer || file.buffer.length === 0) {
+      return { error: 'file is required' };
+    }
+
+    const fileFormat = format || this.detectFormat(file.originalname, file.mimetype);
+    if (!fileFormat) {
+      return { error: 'Unsupported file type (expected .csv, .xlsx or .json)' };
+    }
+
+    let parsed;
+    try {
+      if (fileFormat === 'csv') {
+        parsed = rowsToRecords(parseCsv(file.buffer.toString('utf8')));
+      } else if (fileFormat === 'xlsx') {
+        parsed = rowsToRecords(await this.readWorkbook(file.buffer));
+      } else if (fileFormat === 'json') {
+        parsed = this.readJson(file.buffer);
+        if (parsed.error) return parsed;
+      } else {
+        return { error: `Unsupported format: ${fileFormat}` };
+      }
+    } catch (error) {
+      logger.warn(`[Lead Import] Could not parse ${file.originalname}:`, error.message);
+      return { error: `Could not read ${fileFormat.toUpperCase()} file: ${error.message}` };
+    }
+
+    if (parsed.records.length === 0) {
+      return { error: 'The file has no data rows' };
+    }
+
+    if (parsed.records.length > MAX_ROWS) {
+      return { error: `The file has ${parsed.records.length} rows; the limit is ${MAX_ROWS}` };
+    }
+
+    return { format: fileFormat, hasHeader: true, ...parsed };
+  }
+
+  /**
+   * Rows of the first worksheet
+   * @private
+   */
+  async readWorkbook(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) return [];
+
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, row => {
+      // row.values is 1-based and sparse
+      rows.push(Array.from(row.values.slice(1), value => this.cellValue(value)));
+    });
+
+    return rows;
+  }
+
+  /**
+   * Plain value of an ExcelJS cell (rich text, hyperlinks and formulas unwrapped)
+   * @private
+   */
+  cellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value;
+    if (typeof value !== 'object') return value;
+
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return this.cellValue(value.text);
+    if (value.result !== undefined) return this.cellValue(value.result);
+
+    return '';
+  }
+
+  /**
+   * Records from a JSON array (or { leads: [] } / { data: [] })
+   * @private
+   */
+  readJson(buffer) {
+    const data = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    const items = Array.isArray(data) ? data : (data.leads || data.data);
+
+    if (!Array.isArray(items)) {
+      return { error: 'JSON must be an array of leads, or an object with a "leads" array' };
+    }
+
+    return flattenJsonRecords(items);
+  }
+
+  /**
+   * Resolve the mapping and row defaults for a file:
+   * explicit mapping, else a saved mapping, else a suggestion from the headers
+   * @param {Object} options - { mapping, mappingId, defaults }
+   * @param {Object} parsed - parseFile() result
+   * @returns {Object} { mapping, defaults, mappingId, suggested, warnings } or { error }
+   */
+  async resolveMapping({ mapping, mappingId, defaults = {} }, parsed) {
+    let columns = mapping;
+    let savedDefaults = {};
+    const warnings = [];
+
+    if (!columns && mappingId) {
+      const saved = await LeadImportMapping.findById(mappingId);
+      if (!saved) return { error: 'Saved mapping not found' };
+
+      columns = saved.toMapping();
+      savedDefaults = saved.defaults?.toObject ? saved.defaults.toObject() : (saved.defaults || {});
+    }
+
+    const suggested = !columns;
+    if (suggested) {
+      columns = suggestMapping(parsed.headers, parsed.records);
+    }
+
+    const error = validateMapping(columns);
+    if (error) return { error, mapping: columns, suggested };
+
+    const missing = Object.keys(columns).filter(header => columns[header] && !parsed.headers.includes(header));
+    if (missing.length > 0) {
+      warnings.push(`Mapped column(s) not in this file: ${missing.join(', ')}`);
+    }
+
+    const rowDefaults = { ...savedDefaults, ...defaults };
+    const defaultsError = this.validateDefaults(rowDefaults);
+    if (defaultsError) return { error: defaultsError };
+
+    return {
+      mapping: columns,
+      defaults: rowDefaults,
+      mappingId: suggested || mapping ? undefined : mappingId,
+      suggested,
+      warnings
+    };
+  }
+
+  /**
+   * Validate row defaults ({ source, priority, tags, campaignId })
+   * @param {Object} defaults - Row defaults
+   * @returns {String|null} Error message
+   */
+  validateDefaults(defaults = {}) {
+    if (defaults.source && !LEAD_SOURCES.includes(defaults.source)) {
+      return `Invalid default source: ${defaults.source} (expected ${LEAD_SOURCES.join(', ')})`;
+    }
+
+    if (defaults.priority && !LEAD_PRIORITIES.includes(defaults.priority)) {
+      return `Invalid default priority: ${defaults.priority} (expected ${LEAD_PRIORITIES.join(', ')})`;
+    }
+
+    if (defaults.tags && !Array.isArray(defaults.tags)) {
+      return 'Default tags must be an array';
+    }
+
+    return null;
+  }
+
+  /**
+   * Classify every record as valid / invalid / duplicate / dnc
+   * @param {Array} records - Parsed records
+   * @param {Object} mapping - { [header]: field | null }
+   * @param {Object} defaults - Row defaults
+   * @param {String} organizationId - Organization for the DNC scrub
+   * @returns {Object} { rows: [{ row, status, errors, lead, duplicateOf }], counts, warnings }
+   */
+  async classify(records, mapping, defaults, organizationId) {
+    const warnings = [];
+
+    const rows = records.map((record, index) => {
+      const { lead, errors } = mapRecord(record, mapping, defaults);
+      return { row: index + 1, status: errors.length > 0 ? 'invalid' : 'valid', errors, lead };
+    });
+
+    // DNC takes precedence over duplicates: those rows must never be dialed
+    const mappable = rows.filter(row => row.status === 'valid');
+    if (mappable.length > 0) {
+      try {
+        const { dncNumbers } = await dncService.scrubLeadList(mappable.map(row => row.lead.phone), organizationId);
+        const dnc = new Set(dncNumbers);
+
+        mappable.forEach(row => {
+          if (dnc.has(row.lead.phone)) row.status = 'dnc';
+        });
+      } catch (error) {
+        logger.error('[Lead Import] DNC scrub failed:', error.message);
+        warnings.push('DNC list unavailable - rows were not scrubbed against it');
+      }
+    }
+
+    // Repeats within the file: the first occurrence wins
+    const seen = new Map();
+    rows.filter(row => row.status === 'valid').forEach(row => {
+      const keys = [`phone:${row.lead.phone}`, row.lead.email && `email:${row.lead.email}`].filter(Boolean);
+      const firstRow = keys.map(key => seen.get(key)).find(Boolean);
+
+      if (firstRow) {
+        row.status = 'duplicate';
+        row.duplicateOf = { row: firstRow };
+      } else {
+        keys.forEach(key => seen.set(key, row.row));
+      }
+    });
+
+    // Existing leads
+    const pending = rows.filter(row => row.status === 'valid');
+    const existing = await this.findExisting(pending.map(row => row.lead));
+    pending.forEach(row => {
+      const match = existing.get(`phone:${row.lead.phone}`) || (row.lead.email && existing.get(`email:${row.lead.email}`));
+      if (match) {
+        row.status = 'duplicate';
+        row.duplicateOf = match;
+      }
+    });
+
+    const counts = rows.reduce((totals, row) => {
+      totals[row.status]++;
+      return totals;
+    }, { total: rows.length, valid: 0, invalid: 0, duplicate: 0, dnc: 0 });
+
+    return { rows, counts, warnings };
+  }
+
+  /**
+   * Existing leads matching any phone / email, keyed "phone:<e164>" / "email:<address>"
+   * @private
+   */
+  async findExisting(leads) {
+    const matches = new Map();
+
+    for (const batch of chunkArray(leads, 500)) {
+      const phones = batch.map(lead => lead.phone);
+      const emails = batch.map(lead => lead.email).filter(Boolean);
+
+      const conditions = [{ phone: { $in: phones } }];
+      if (emails.length > 0) conditions.push({ email: { $in: emails } });
+
+      const found = await Lead.find({ $or: conditions }).select('phone email').lean();
+
+      found.forEach(lead => {
+        matches.set(`phone:${lead.phone}`, { leadId: lead._id, matchedBy: 'phone' });
+        if (lead.email) {
+          matches.set(`email:${lead.email}`, { leadId: lead._id, matchedBy: 'email' });
+        }
+      });
+    }
+
+    return matches;
+  }
+
+  /**
+   * Parse, map and classify a file (shared by preview and import)
+   * @private
+   * @returns {Object} { parsed, resolved, classified } or { error, ... }
+   */
+  async analyze(file, options, organizationId) {
+    const parsed = await this.parseFile(file, options.format);
+    if (parsed.error) return { error: parsed.error };
+
+    const resolved = await this.resolveMapping(options, parsed);
+    if (resolved.error) {
+      return { error: resolved.error, headers: parsed.headers, mapping: resolved.mapping };
+    }
+
+    const classified = await this.classify(parsed.records, resolved.mapping, resolved.defaults, organizationId);
+
+    return { parsed, resolved, classified };
+  }
+
+  /**
+   * Dry run: how each row would be imported, without writing anything
+   * @param {Object} file - { buffer, originalname, mimetype }
+   * @param {Object} options - { format, mapping, mappingId, defaults }
+   * @param {String} organizationId - Organization ID
+   * @returns {Object} Preview or { error, headers, mapping }
+   */
+  async preview(file, options, organizationId) {
+    const analysis = await this.analyze(file, options, organizationId);
+    if (analysis.error) return analysis;
+
+    const { parsed, resolved, classified } = analysis;
+
+    return {
+      format: parsed.format,
+      hasHeader: parsed.hasHeader,
+      headers: parsed.headers,
+      mapping: resolved.mapping,
+      suggested: resolved.suggested,
+      mappingId: resolved.mappingId,
+      defaults: resolved.defaults,
+      counts: classified.counts,
+      warnings: [...resolved.warnings, ...classified.warnings],
+      rows: classified.rows.slice(0, PREVIEW_ROWS),
+      issues: classified.rows.filter(row => row.status !== 'valid').slice(0, PREVIEW_ISSUES)
+    };
+  }
+
+  /**
+   * Commit a file: classify it, then import the valid rows
+   * @param {Object} file - { buffer, originalname, mimetype }
+   * @param {Object} options - { format, mapping, mappingId, defaults, source }
+   * @param {Object} context - { userId, organizationId }
+   * @returns {Object} { importJob, queued } or { error, headers, mapping }
+   */
+  async start(file, options, { userId, organizationId }) {
+    const analysis = await this.analyze(file, options, organizationId);
+    if (analysis.error) return analysis;
+
+    const { parsed, resolved, classified } = analysis;
+    const valid = classified.rows.filter(row => row.status === 'valid');
+
+    const importJob = await LeadImport.create({
+      filename: file.originalname,
+      format: parsed.format,
+      source: options.source || 'bulk_upload',
+      mappingId: resolved.mappingId,
+      mapping: resolved.mapping,
+      counts: classified.counts,
+      progress: { processed: 0, total: valid.length },
+      warnings: [...resolved.warnings, ...classified.warnings],
+      createdBy: userId
+    });
+
+    const leads = valid.map(row => ({
+      ...row.lead,
+      customFields: {
+        ...row.lead.customFields,
+        importSource: importJob.source,
+        importId: String(importJob._id)
+      },
+      metadata: {
+        importMethod: 'file_upload',
+        importedBy: userId ? String(userId) : undefined,
+        filename: file.originalname,
+        fileRow: row.row
+      }
+    }));
+    const rowNumbers = valid.map(row => row.row);
+
+    if (valid.length <= SYNC_ROW_LIMIT) {
+      await this.runImport(importJob._id, organizationId, leads, rowNumbers);
+      return { importJob: await LeadImport.findById(importJob._id), queued: false };
+    }
+
+    const job = await enqueueImport({
+      importId: String(importJob._id),
+      organizationId,
+      leads,
+      rows: rowNumbers
+    });
+
+    importJob.jobId = String(job.id);
+    await importJob.save();
+
+    logger.info(`[Lead Import] Queued ${valid.length} leads from ${file.originalname} (import ${importJob._id})`);
+
+    return { importJob, queued: true };
+  }
+
+  /**
+   * Import the valid rows of a LeadImport (inline or from the queue)
+   * @param {String} importId - LeadImport ID
+   * @param {String} organizationId - Organization the leads belong to
+   * @param {Array} leads - Lead data
+   * @param {Array} rows - File row number of each lead
+   * @returns {Object} Import results
+   */
+  async runImport(importId, organizationId, leads, rows = []) {
+    return runWithOrganization(organizationId, async () => {
+      const importJob = await LeadImport.findByIdAndUpdate(importId, {
+        status: 'running',
+        startedAt: new Date(),
+        'progress.total': leads.length
+      }, { new: true });
+
+      if (!importJob) {
+        logger.warn(`[Lead Import] Import ${importId} no longer exists`);
+        return null;
+      }
+
+      try {
+        const results = await leadImporter.importBulk(leads, importJob.source, {
+          onProgress: async (processed, total, partial) => {
+            await LeadImport.updateOne({ _id: importId }, { 'progress.processed': processed });
+
+            this.emit(importId, 'lead-import:progress', {
+              processed,
+              total,
+              imported: partial.imported,
+              duplicates: partial.duplicates,
+              errors: partial.errors
+            });
+          }
+        });
+
+        importJob.status = 'completed';
+        importJob.completedAt = new Date();
+        importJob.progress.processed = leads.length;
+        importJob.results = {
+          imported: results.imported,
+          duplicates: results.duplicates,
+          errors: results.errors
+        };
+        importJob.errorDetails = results.errorDetails.slice(0, ERROR_DETAIL_LIMIT).map(detail => ({
+          row: rows[detail.index],
+          error: detail.error
+        }));
+        await importJob.save();
+
+        this.emit(importId, 'lead-import:completed', {
+          counts: importJob.counts,
+          results: importJob.results
+        });
+
+        return results;
+
+      } catch (error) {
+        logger.error(`[Lead Import] Import ${importId} failed:`, error);
+
+        importJob.status = 'failed';
+        importJob.error = error.message;
+        importJob.completedAt = new Date();
+        await importJob.save();
+
+        this.emit(importId, 'lead-import:failed', { error: error.message });
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Push an import event to its Socket.io room
+   * @private
+   */
+  emit(importId, event, data) {
+    if (!this.io) return;
+
+    this.io.to(`lead-import:${importId}`).emit(event, {
+      importId: String(importId),
+      ...data,
+      timestamp: new Date()
+    });
+  }
+}
+
+module.exports = new LeadImportService();
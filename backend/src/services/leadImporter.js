@@ -1,5 +1,9 @@
 const Lead = require('../database/mongodb/schemas/lead.schema');
-const leadParser = require('./leadParser');
+const leadSourceService = require('./leadSource.service');
+const leadDeduplicationService = require('./leadDeduplication.service');
+const dncService = require('./dncService');
+const { leadPhones } = require('../utils/duplicateMatching');
+const { getOrganizationId } = require('../utils/tenant.util');
 const logger = require('../utils/logger');
 
 /**
@@ -13,6 +17,8 @@ const logger = require('../utils/logger');
 class LeadImporter {
   /**
    * Import leads from Gmail emails
+   * Each email is routed to its lead source (services/leadSource.service);
+   * emails no source can parse are quarantined for review
    * @param {Array} emails - Array of email objects from Gmail
    * @returns {Object} Import results
    */
@@ -21,85 +27,191 @@ class LeadImporter {
       total: emails.length,
       imported: 0,
       duplicates: 0,
+      suppressed: 0,
+      quarantined: 0,
       errors: 0,
       errorDetails: [],
       importedLeads: [],
-      duplicateLeads: []
+      duplicateLeads: [],
+      bySource: {},
+      processedIds: []                    // Safe to mark read: imported, duplicate or quarantined
     };
 
     logger.info(`[Lead Importer] Processing ${emails.length} emails`);
 
+    const sources = await leadSourceService.getSources();
+
     for (const email of emails) {
       try {
-        // Parse email body
-        const parseResult = leadParser.parseLeadEmail(email.body, {
+        const outcome = await this.importEmail(email, { sources });
+
+        results.imported += outcome.importedLeads.length;
+        results.duplicates += outcome.duplicateLeads.length;
+        results.suppressed += outcome.suppressedLeads.length;
+        results.importedLeads.push(...outcome.importedLeads);
+        results.duplicateLeads.push(...outcome.duplicateLeads);
+        if (outcome.quarantined) results.quarantined++;
+
+        const sourceKey = outcome.source || 'unmatched';
+        results.bySource[sourceKey] = (results.bySource[sourceKey] || 0) + 1;
+
+        results.processedIds.push(email.id);
+
+      } catch (error) {
+        results.errors++;
+        results.errorDetails.push({
           emailId: email.id,
-          from: email.from,
-          subject: email.subject,
-          date: email.date
+          error: error.message
         });
+        logger.error(`[Lead Importer] Error processing email ${email.id}:`, error);
+      }
+    }
 
-        if (!parseResult.success) {
-          results.errors++;
-          results.errorDetails.push({
-            emailId: email.id,
-            error: parseResult.errors || parseResult.error,
-            rawData: parseResult.rawData
-          });
-          continue;
-        }
+    logger.info(`[Lead Importer] Complete: ${results.imported} imported, ${results.duplicates} duplicates, ${results.suppressed} on DNC, ${results.quarantined} quarantined, ${results.errors} errors`);
 
-        // Check for duplicates
-        const duplicateCheck = await this.checkDuplicate(parseResult.data);
+    return results;
+  }
 
-        if (duplicateCheck.isDuplicate) {
-          results.duplicates++;
-          results.duplicateLeads.push({
+  /**
+   * Route one email to its lead source and import what it contains
+   * @param {Object} email - { id, threadId, from, subject, date, body, html, attachments }
+   * @param {Object} options - { sources, sourceSlug (force a source), quarantine (default true) }
+   * @returns {Object} { emailId, source, importedLeads, duplicateLeads, suppressedLeads, reason, errors, quarantined }
+   */
+  async importEmail(email, { sources, sourceSlug, quarantine = true } = {}) {
+    const outcome = {
+      emailId: email.id,
+      source: null,
+      importedLeads: [],
+      duplicateLeads: [],
+      suppressedLeads: [],                // On the organization's DNC list
+      reason: null,                       // Quarantine reason when not fully imported
+      errors: [],
+      quarantined: false
+    };
+
+    const routed = await leadSourceService.route(email, { sources, sourceSlug });
+    outcome.source = routed.source ? routed.source.slug : null;
+
+    if (!routed.source) {
+      outcome.reason = 'no_matching_source';
+      outcome.errors.push(`No lead source matches sender ${email.from || 'unknown'}`);
+    } else if (routed.error) {
+      outcome.reason = 'parse_failed';
+      outcome.errors.push(routed.error);
+    } else {
+      for (const leadData of routed.leads) {
+        const intake = await this.intakeLead(leadData);
+
+        if (intake.result === 'duplicate') {
+          outcome.duplicateLeads.push({
             emailId: email.id,
-            phone: parseResult.data.phone,
-            email: parseResult.data.email,
-            existingId: duplicateCheck.existingLead._id
+            phone: leadData.phone,
+            email: leadData.email,
+            existingId: intake.existingLead?._id
           });
 
-          logger.info(`[Lead Importer] Duplicate found: ${parseResult.data.email} (${parseResult.data.phone})`);
-          continue;
-        }
-
-        // Import new lead
-        const lead = await this.importLead(parseResult.data);
-
-        if (lead) {
-          results.imported++;
-          results.importedLeads.push({
+          logger.info(`[Lead Importer] Duplicate found: ${leadData.email} (${leadData.phone})`);
+        } else if (intake.result === 'suppressed') {
+          outcome.suppressedLeads.push({ emailId: email.id, phone: leadData.phone });
+        } else {
+          const { lead } = intake;
+          outcome.importedLeads.push({
             id: lead._id,
             name: `${lead.firstName} ${lead.lastName}`,
             phone: lead.phone,
             email: lead.email
           });
 
-          logger.info(`[Lead Importer] Imported: ${lead.firstName} ${lead.lastName} (ID: ${lead._id})`);
-        } else {
-          results.errors++;
-          results.errorDetails.push({
-            emailId: email.id,
-            error: 'Failed to save lead',
-            data: parseResult.data
-          });
+          logger.info(`[Lead Importer] Imported: ${lead.firstName} ${lead.lastName} (ID: ${lead._id}) from ${outcome.source}`);
         }
+      }
 
-      } catch (error) {
-        results.errors++;
-        results.errorDetails.push({
-          emailId: email.id,
-          error: error.message
-        });
-        logger.error(`[Lead Importer] Error processing email ${email.id}:`, error);
+      routed.rejected.forEach(({ row, errors }) => {
+        outcome.errors.push(routed.leads.length + routed.rejected.length > 1 ? `Row ${row}: ${errors.join(', ')}` : errors.join(', '));
+      });
+
+      if (outcome.errors.length > 0) outcome.reason = 'invalid_leads';
+    }
+
+    if (outcome.reason && quarantine) {
+      await leadSourceService.quarantine(email, {
+        reason: outcome.reason,
+        source: routed.source,
+        errors: outcome.errors,
+        leadIds: outcome.importedLeads.map(lead => lead.id)
+      });
+      outcome.quarantined = true;
+    }
+
+    await leadSourceService.recordStats(routed.source, {
+      imported: outcome.importedLeads.length,
+      quarantined: outcome.quarantined ? 1 : 0
+    });
+
+    return outcome;
+  }
+
+  /**
+   * Take in one new lead the way every automated channel does (Gmail, intake
+   * webhook): skip known leads, suppress numbers on the organization's DNC
+   * list, save, then queue duplicate review, scoring and speed-to-lead dialing
+   * @param {Object} leadData - Lead data matching Lead schema
+   * @param {Object} options - { autoDial: false when the caller runs autoDial() itself }
+   * @returns {Object} { result: 'imported', lead } / { result: 'duplicate', existingLead } / { result: 'suppressed' }
+   */
+  async intakeLead(leadData, { autoDial = true } = {}) {
+    const duplicateCheck = await this.checkDuplicate(leadData);
+    if (duplicateCheck.isDuplicate) {
+      return { result: 'duplicate', existingLead: duplicateCheck.existingLead };
+    }
+
+    try {
+      const { onDNCList } = await dncService.checkDNC(leadData.phone, getOrganizationId());
+      if (onDNCList) {
+        logger.info(`[Lead Importer] Suppressed lead on DNC list: ${leadData.phone}`);
+        return { result: 'suppressed' };
       }
+    } catch (error) {
+      // Dialing re-checks DNC; don't lose the lead over a failed lookup
+      logger.warn('[Lead Importer] DNC check failed:', error.message);
     }
 
-    logger.info(`[Lead Importer] Complete: ${results.imported} imported, ${results.duplicates} duplicates, ${results.errors} errors`);
+    const lead = await this.importLead(leadData);
 
-    return results;
+    if (!lead) {
+      // Lost a race with another import of the same lead
+      const existing = await this.checkDuplicate(leadData);
+      return { result: 'duplicate', existingLead: existing.existingLead || null };
+    }
+
+    try {
+      // Loaded here: the scoring queue opens a Redis connection on load
+      const { queueScoreCalculation } = require('../queues/leadScoring.queue');
+      await queueScoreCalculation(lead._id, { priority: 1 });
+    } catch (error) {
+      logger.warn('[Lead Importer] Could not queue lead scoring:', error.message);
+    }
+
+    if (autoDial) {
+      await this.autoDial(lead);
+    }
+
+    return { result: 'imported', lead };
+  }
+
+  /**
+   * Hand a new lead to the speed-to-lead rules; never fails the import
+   * @param {Object} lead - Newly created lead
+   */
+  async autoDial(lead) {
+    try {
+      // Loaded here for the same reason as the scoring queue
+      const speedToLeadService = require('./speedToLead.service');
+      await speedToLeadService.evaluate(lead);
+    } catch (error) {
+      logger.warn(`[Lead Importer] Speed-to-lead evaluation failed for lead ${lead._id}:`, error.message);
+    }
   }
 
   /**
@@ -109,19 +221,24 @@ class LeadImporter {
    */
   async checkDuplicate(leadData) {
     try {
-      // Search by phone OR email
-      const existing = await Lead.findOne({
-        $or: [
-          { phone: leadData.phone },
-          { email: leadData.email }
-        ]
-      });
+      // Exact matches only: any of its phones (E.164) against either phone
+      // field, or the same email. Near matches go to the duplicate review
+      // queue after import (services/leadDeduplication.service)
+      const phones = leadPhones(leadData);
+      const conditions = [
+        { phone: { $in: phones } },
+        { alternatePhone: { $in: phones } }
+      ];
+      // A missing email would otherwise match every lead without one
+      if (leadData.email) conditions.push({ email: String(leadData.email).toLowerCase() });
+
+      const existing = await Lead.findOne({ $or: conditions });
 
       if (existing) {
         return {
           isDuplicate: true,
           existingLead: existing,
-          matchedBy: existing.phone === leadData.phone ? 'phone' : 'email'
+          matchedBy: leadPhones(existing).some(phone => phones.includes(phone)) ? 'phone' : 'email'
         };
       }
 
@@ -148,6 +265,13 @@ class LeadImporter {
     try {
       const lead = new Lead(leadData);
       await lead.save();
+
+      try {
+        await leadDeduplicationService.detectForLead(lead);
+      } catch (error) {
+        logger.warn('[Lead Importer] Duplicate detection failed:', error.message);
+      }
+
       return lead;
 
     } catch (error) {
@@ -166,9 +290,12 @@ class LeadImporter {
    * Import leads from bulk data (CSV, JSON, text)
    * @param {Array} leadsData - Array of lead objects
    * @param {String} source - Import source identifier
+   * @param {Object} options - { onProgress(processed, total, results), progressInterval }
    * @returns {Object} Import results
    */
-  async importBulk(leadsData, source = 'bulk_import') {
+  async importBulk(leadsData, source = 'bulk_import', options = {}) {
+    const { onProgress, progressInterval = 50 } = options;
+
     const results = {
       total: leadsData.length,
       imported: 0,
@@ -214,6 +341,12 @@ class LeadImporter {
           leadData,
           error: error.message
         });
+
+      } finally {
+        // Also reached when a duplicate is skipped
+        if (onProgress && ((i + 1) % progressInterval === 0 || i === leadsData.length - 1)) {
+          await onProgress(i + 1, leadsData.length, results);
+        }
       }
     }
 
@@ -0,0 +1,397 @@
+const LeadSource = require('../database/mongodb/schemas/leadSource.schema');
+const IntakeRequest = require('../database/mongodb/schemas/intakeRequest.schema');
+const leadImporter = require('./leadImporter');
+const consentManager = require('../security/consent-manager');
+const { runWithOrganization } = require('../utils/tenant.util');
+const { validateMapping } = require('../utils/leadImportMapping');
+const { fieldsToMapping } = require('../utils/leadSourceParsers');
+const {
+  generateKey,
+  parseApiKey,
+  hashSecret,
+  verifyApiKey,
+  verifySignature,
+  payloadHash,
+  readPayload,
+  extractConsent,
+  mapPayload
+} = require('../utils/leadIntake');
+const logger = require('../utils/logger');
+
+const UNAUTHORIZED = { error: 'Invalid or missing intake credentials', status: 401 };
+
+const RESULT_RESPONSES = {
+  imported: { statusCode: 201, message: 'Lead received' },
+  duplicate: { statusCode: 200, message: 'Lead already exists' },
+  suppressed: { statusCode: 200, message: 'Lead is on the do-not-call list and was not imported' }
+};
+
+/**
+ * Lead Intake Service
+ * Inbound lead webhook for web forms and lead vendors (POST /api/intake/:sourceSlug)
+ *
+ * The caller authenticates with one of the source's intake keys - an API key
+ * (X-Api-Key or Bearer) or an HMAC signature over the raw body (X-Key-Id,
+ * X-Timestamp, X-Signature) - which also identifies the organization. The
+ * payload is mapped to lead fields like any other source and taken in with
+ * leadImporter.intakeLead (dedupe, DNC suppression, scoring), any TCPA
+ * consent evidence on the form is written to the consent ledger, and the
+ * lead is then handed to the speed-to-lead rules.
+ *
+ * Every request is logged as an IntakeRequest; with an Idempotency-Key a
+ * retried request gets the original response back.
+ */
+
+class LeadIntakeService {
+  /**
+   * Find the source and credential a request was made with
+   * @param {String} slug - Source slug from the URL
+   * @param {Object} request - { headers (lowercase), rawBody }
+   * @returns {Object} { source, key } or { error, status }
+   */
+  async authenticate(slug, { headers, rawBody }) {
+    const presented = headers['x-api-key'] || String(headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const apiKey = parseApiKey(presented);
+    const keyId = apiKey ? apiKey.keyId : headers['x-key-id'];
+
+    if (!keyId) return UNAUTHORIZED;
+
+    // Key IDs are random, so slug + key ID finds one source across organizations
+    const source = await runWithOrganization(null, () => LeadSource.findOne({
+      slug: String(slug).toLowerCase(),
+      'intake.keys.keyId': keyId
+    }).select('+intake.keys.secretHash +intake.keys.signingSecret'));
+
+    const key = source && source.intake.keys.find(candidate => candidate.keyId === keyId);
+    if (!key || key.revokedAt) return UNAUTHORIZED;
+
+    if (key.type === 'hmac') {
+      const invalid = verifySignature({
+        secret: key.signingSecret,
+        timestamp: headers['x-timestamp'],
+        signature: headers['x-signature'],
+        rawBody
+      });
+      if (invalid) return { error: invalid, status: 401 };
+    } else if (!apiKey || !verifyApiKey(apiKey.secret, key.secretHash)) {
+      return UNAUTHORIZED;
+    }
+
+    if (!source.isActive || !source.intake.enabled) {
+      return { error: 'Intake is disabled for this source', status: 403 };
+    }
+
+    runWithOrganization(null, () => LeadSource.updateOne(
+      { _id: source._id, 'intake.keys.keyId': keyId },
+      { $set: { 'intake.keys.$.lastUsedAt': new Date() } }
+    )).catch(error => logger.warn('[Lead Intake] Could not update key usage:', error.message));
+
+    return { source, key };
+  }
+
+  /**
+   * Take in a posted lead, replaying the stored response for a repeated Idempotency-Key
+   * @param {Object} source - Authenticated LeadSource
+   * @param {Object} request - { body, rawBody, idempotencyKey, keyId, ipAddress, userAgent }
+   * @returns {Object} { statusCode, body, replayed, lead }
+   */
+  async submit(source, { body, rawBody, idempotencyKey, keyId, ipAddress, userAgent }) {
+    return runWithOrganization(source.organizationId, async () => {
+      const hash = payloadHash(rawBody || body);
+      let request;
+
+      try {
+        request = await IntakeRequest.create({
+          sourceId: source._id,
+          sourceSlug: source.slug,
+          keyId,
+          idempotencyKey: idempotencyKey || undefined,
+          payloadHash: hash,
+          ipAddress,
+          userAgent
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        return this.replay(source, idempotencyKey, hash);
+      }
+
+      try {
+        const { response, lead } = await this.process(source, request, body, { ipAddress, userAgent });
+
+        request.status = 'completed';
+        request.response = response;
+        await request.save();
+
+        return { ...response, lead };
+
+      } catch (error) {
+        // Release the key so the client can retry
+        request.status = 'failed';
+        request.idempotencyKey = undefined;
+        request.errorMessages = [error.message];
+        await request.save().catch(saveError => logger.error('[Lead Intake] Could not log failed request:', saveError));
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Response for a repeated Idempotency-Key
+   * @private
+   */
+  async replay(source, idempotencyKey, hash) {
+    const previous = await IntakeRequest.findOne({ sourceId: source._id, idempotencyKey }).lean();
+
+    if (previous && previous.payloadHash !== hash) {
+      return {
+        statusCode: 422,
+        body: { success: false, message: 'Idempotency-Key was already used with a different payload' }
+      };
+    }
+
+    if (!previous || previous.status === 'processing') {
+      return {
+        statusCode: 409,
+        body: { success: false, message: 'A request with this Idempotency-Key is still being processed' }
+      };
+    }
+
+    return { ...previous.response, replayed: true };
+  }
+
+  /**
+   * Map, take in and record consent for one request
+   * @private
+   * @returns {Object} { response: { statusCode, body }, lead }
+   */
+  async process(source, request, body, client) {
+    const { record } = readPayload(body);
+    const consent = extractConsent(record, source.intake.consent);
+
+    const { lead: leadData, errors } = mapPayload(record, {
+      fields: source.intake.fields,
+      defaults: source.defaults,
+      excludeKeys: consent.keys
+    });
+
+    if (errors.length > 0) {
+      request.result = 'invalid';
+      request.errorMessages = errors;
+
+      return {
+        response: {
+          statusCode: 422,
+          body: { success: false, message: 'Lead could not be accepted', errors, data: { requestId: request._id } }
+        }
+      };
+    }
+
+    const intake = await leadImporter.intakeLead({
+      ...leadData,
+      status: 'new',
+      customFields: {
+        ...leadData.customFields,
+        importSource: 'intake',
+        leadSource: source.slug,
+        pageUrl: consent.pageUrl
+      },
+      metadata: { importMethod: 'intake_webhook', intakeRequestId: request._id }
+    }, { autoDial: false });
+
+    const lead = intake.lead || intake.existingLead;
+    request.result = intake.result;
+    request.leadId = lead ? lead._id : undefined;
+
+    if (lead) {
+      await this.recordConsent(lead, consent, source, request, client);
+    }
+
+    // Only once consent is on the ledger - the speed-to-lead consent check reads it
+    if (intake.lead) {
+      await leadImporter.autoDial(intake.lead);
+    }
+
+    if (intake.result === 'imported') {
+      await LeadSource.updateOne({ _id: source._id }, {
+        $inc: { 'stats.imported': 1 },
+        $set: { 'stats.lastMatchedAt': new Date() }
+      });
+    }
+
+    const { statusCode, message } = RESULT_RESPONSES[intake.result];
+
+    return {
+      lead: intake.lead,
+      response: {
+        statusCode,
+        body: {
+          success: true,
+          message,
+          data: {
+            requestId: request._id,
+            result: intake.result,
+            leadId: request.leadId,
+            consentRecorded: request.consentRecorded,
+            warnings: request.warnings.length > 0 ? request.warnings : undefined
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Write the form's consent to the ledger
+   * @private
+   */
+  async recordConsent(lead, consent, source, request, client) {
+    if (consent.missing) {
+      request.warnings.push('No consent value was posted; consent not recorded');
+      return;
+    }
+
+    if (!consent.granted) {
+      request.warnings.push('Consent was not affirmatively given on the form; none recorded');
+      return;
+    }
+
+    if (!consent.disclosureText) {
+      request.warnings.push('No TCPA disclosure text was posted or configured; consent not recorded');
+      return;
+    }
+
+    try {
+      await consentManager.recordConsent(lead._id, {
+        channels: source.intake.consent.channels,
+        source: consent.pageUrl ? 'web_form' : 'api',
+        proofReference: consent.pageUrl || `intake:${request._id}`,
+        disclosureText: consent.disclosureText,
+        occurredAt: consent.consentedAt || new Date(),
+        // A browser posting the form directly is the consumer; a vendor server isn't
+        ipAddress: consent.ipAddress || client.ipAddress,
+        userAgent: consent.userAgent || client.userAgent,
+        phoneNumber: lead.phone,
+        email: lead.email,
+        metadata: {
+          intakeRequestId: String(request._id),
+          leadSource: source.slug,
+          pageUrl: consent.pageUrl,
+          ipAddressFrom: consent.ipAddress ? 'payload' : 'request'
+        }
+      });
+      request.consentRecorded = true;
+    } catch (error) {
+      logger.error(`[Lead Intake] Could not record consent for lead ${lead._id}:`, error);
+      request.warnings.push('Consent could not be recorded');
+    }
+  }
+
+  /**
+   * Validate intake settings ({ enabled, fields, consent })
+   * @param {Object} intake - Intake settings
+   * @returns {String|null} Error message
+   */
+  validateConfig(intake) {
+    if (!intake || typeof intake !== 'object') {
+      return 'intake must be an object';
+    }
+
+    if (intake.fields !== undefined) {
+      if (!Array.isArray(intake.fields) || intake.fields.some(entry => !entry || !entry.label)) {
+        return 'intake.fields must be an array of { label, field }';
+      }
+      if (intake.fields.length > 0) {
+        const invalid = validateMapping(fieldsToMapping(intake.fields));
+        if (invalid) return invalid;
+      }
+    }
+
+    const channels = intake.consent && intake.consent.channels;
+    if (channels !== undefined) {
+      const invalid = [].concat(channels).filter(channel => !consentManager.CHANNELS.includes(channel));
+      if (invalid.length > 0) {
+        return `Invalid consent channel(s): ${invalid.join(', ')}. Use call, sms or email`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Issue an intake credential; the secret is only returned here
+   * @param {String} sourceId - LeadSource ID
+   * @param {Object} options - { name, type: 'api_key' | 'hmac' }
+   * @param {String} userId - Creator
+   * @returns {Object} { key, apiKey | signingSecret } or { error, status }
+   */
+  async createKey(sourceId, { name, type = 'api_key' } = {}, userId) {
+    if (!['api_key', 'hmac'].includes(type)) {
+      return { error: 'type must be api_key or hmac', status: 400 };
+    }
+
+    const source = await LeadSource.findById(sourceId);
+    if (!source) {
+      return { error: 'Lead source not found', status: 404 };
+    }
+
+    const { keyId, secret, apiKey } = generateKey();
+
+    source.intake.keys.push({
+      keyId,
+      name,
+      type,
+      secretHash: type === 'api_key' ? hashSecret(secret) : undefined,
+      signingSecret: type === 'hmac' ? secret : undefined,
+      createdBy: userId
+    });
+    await source.save();
+
+    const key = source.intake.keys.find(candidate => candidate.keyId === keyId);
+
+    return {
+      key: { keyId, name, type, createdAt: key.createdAt },
+      ...(type === 'api_key' ? { apiKey } : { signingSecret: secret })
+    };
+  }
+
+  /**
+   * Revoke an intake credential
+   * @param {String} sourceId - LeadSource ID
+   * @param {String} keyId - Key ID
+   * @returns {Object} { key } or { error, status }
+   */
+  async revokeKey(sourceId, keyId) {
+    const source = await LeadSource.findById(sourceId);
+    const key = source && source.intake.keys.find(candidate => candidate.keyId === keyId);
+
+    if (!key) {
+      return { error: 'Intake key not found', status: 404 };
+    }
+
+    if (!key.revokedAt) {
+      key.revokedAt = new Date();
+      await source.save();
+    }
+
+    return { key };
+  }
+
+  /**
+   * Recent intake requests for a source
+   * @param {String} sourceId - LeadSource ID
+   * @param {Object} filters - { result, status, limit }
+   * @returns {Array}
+   */
+  async getRequests(sourceId, { result, status, limit = 50 } = {}) {
+    const filter = { sourceId };
+    if (result) filter.result = result;
+    if (status) filter.status = status;
+
+    return IntakeRequest.find(filter)
+      .select('-response')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(limit, 200))
+      .lean();
+  }
+}
+
+module.exports = new LeadIntakeService();
@@ -1,6 +1,10 @@
 const Lead = require('../database/mongodb/schemas/lead.schema');
+const nurtureSequenceService = require('./nurtureSequence.service');
 const logger = require('../utils/logger');
 
+// Wait before calling a lead again after reaching their voicemail
+const VOICEMAIL_RETRY_MINUTES = parseInt(process.env.VOICEMAIL_RETRY_MINUTES) || 1440;
+
 /**
  * Lead Lifecycle Management Service
  * Manages lead status transitions, follow-ups, archival, and do-not-call lists
@@ -79,11 +83,20 @@ class LeadLifecycleService {
         });
       }
 
+      const previousStatus = lead.status;
+
       // Update lead
       Object.assign(lead, updateData);
       await lead.save();
 
-      logger.info(`[Lead Lifecycle] Updated lead ${leadId} status: ${lead.status} → ${newStatus}`);
+      logger.info(`[Lead Lifecycle] Updated lead ${leadId} status: ${previousStatus} → ${newStatus}`);
+
+      // Enroll in / exit nurture sequences; never fails the status update
+      if (previousStatus !== newStatus) {
+        await nurtureSequenceService.handleStatusChange(lead, previousStatus).catch(error => {
+          logger.error(`[Lead Lifecycle] Error updating nurture sequences for lead ${leadId}:`, error);
+        });
+      }
 
       return lead;
 
@@ -93,6 +106,67 @@ class LeadLifecycleService {
     }
   }
 
+  /**
+   * Schedule the next attempt after a call reached voicemail
+   * Keeps a follow-up that is already scheduled; new leads become contacted
+   * @param {String} leadId - Lead ID
+   * @param {Object} data - { left: whether a message was left, callLogId,
+   *   retryAt: next cadence attempt (null = cadence exhausted, omitted = VOICEMAIL_RETRY_MINUTES) }
+   * @returns {Object} Updated lead
+   */
+  async scheduleVoicemailRetry(leadId, data = {}) {
+    try {
+      const lead = await Lead.findById(leadId);
+
+      if (!lead) {
+        throw new Error(`Lead ${leadId} not found`);
+      }
+
+      const now = new Date();
+      const previousStatus = lead.status;
+
+      if (lead.status === 'new') {
+        lead.status = 'contacted';
+      }
+
+      const retryAt = data.retryAt !== undefined
+        ? data.retryAt
+        : new Date(now.getTime() + VOICEMAIL_RETRY_MINUTES * 60000);
+
+      if (retryAt && (!lead.nextFollowUpAt || lead.nextFollowUpAt <= now)) {
+        lead.nextFollowUpAt = retryAt;
+      }
+
+      lead.customFields = {
+        ...(lead.customFields || {}),
+        lastVoicemailAt: now,
+        voicemailsLeft: (lead.customFields?.voicemailsLeft || 0) + (data.left ? 1 : 0)
+      };
+
+      lead.notes.push({
+        text: data.left ? 'Voicemail left' : 'Reached voicemail, no message left',
+        type: 'call',
+        createdAt: now
+      });
+
+      await lead.save();
+
+      logger.info(`[Lead Lifecycle] Voicemail on call ${data.callLogId} - lead ${leadId} due again ${lead.nextFollowUpAt?.toISOString() || 'never'}`);
+
+      if (previousStatus !== lead.status) {
+        await nurtureSequenceService.handleStatusChange(lead, previousStatus).catch(error => {
+          logger.error(`[Lead Lifecycle] Error updating nurture sequences for lead ${leadId}:`, error);
+        });
+      }
+
+      return lead;
+
+    } catch (error) {
+      logger.error('[Lead Lifecycle] Error scheduling voicemail retry:', error);
+      throw error;
+    }
+  }
+
   /**
    * Schedule follow-up for lead
    * @param {String} leadId - Lead ID
@@ -154,6 +228,8 @@ class LeadLifecycleService {
         { new: true }
       );
 
+      await nurtureSequenceService.cancelForLeads([leadId], 'Lead marked do-not-call');
+
       logger.warn(`[Lead Lifecycle] Added lead ${leadId} to Do Not Call list: ${reason}`);
       return lead;
 
@@ -1,4 +1,12 @@
 const logger = require('../utils/logger');
+const {
+  parseCsv,
+  rowsToRecords,
+  flattenJsonRecords,
+  suggestMapping,
+  validateMapping,
+  mapRecord
+} = require('../utils/leadImportMapping');
 
 /**
  * Lead Email Parser
@@ -14,6 +22,9 @@ const logger = require('../utils/logger');
  * EMAIL:           rdnyroberson@gmail.com
  * PHONE:           3363502553
  * IP ADDRESS:      107.77.249.8
+ *
+ * Gmail imports use it as the built-in "leadpower" lead source; other
+ * vendors are configured as LeadSource templates (services/leadSource.service)
  */
 
 class LeadParser {
@@ -326,12 +337,15 @@ class LeadParser {
   }
 
   /**
-   * Parse bulk leads from CSV or text format
+   * Parse bulk leads from text, CSV or JSON
+   * CSV / JSON columns are mapped to lead fields from their headers
+   * (see utils/leadImportMapping) unless a mapping is given
    * @param {String} content - File content
-   * @param {String} format - Format type (csv, text)
+   * @param {String} format - Format type (text, csv, json)
+   * @param {Object} options - { mapping, defaults } for csv / json
    * @returns {Array} Array of parsed lead results
    */
-  parseBulkLeads(content, format = 'text') {
+  parseBulkLeads(content, format = 'text', options = {}) {
     const results = [];
 
     if (format === 'text') {
@@ -344,6 +358,33 @@ class LeadParser {
           results.push(result);
         }
       }
+    } else if (format === 'csv' || format === 'json') {
+      const { headers, records } = format === 'csv'
+        ? rowsToRecords(parseCsv(content))
+        : flattenJsonRecords([].concat(JSON.parse(content)));
+
+      const mapping = options.mapping || suggestMapping(headers, records);
+      const mappingError = validateMapping(mapping);
+      if (mappingError) {
+        logger.error('[Lead Parser] Cannot map columns:', mappingError);
+        return [{ success: false, error: mappingError }];
+      }
+
+      for (const record of records) {
+        const { lead, errors } = mapRecord(record, mapping, options.defaults);
+
+        results.push(errors.length > 0
+          ? { success: false, errors, rawData: record }
+          : {
+            success: true,
+            data: {
+              ...lead,
+              status: 'new',
+              customFields: { ...lead.customFields, importSource: 'bulk_import' }
+            },
+            rawData: record
+          });
+      }
     }
 
     return results;
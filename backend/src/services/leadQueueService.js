@@ -1,4 +1,12 @@
 const Lead = require('../database/mongodb/schemas/lead.schema');
+const cadenceService = require('./cadence.service');
+const {
+  dueAt,
+  rankDueLeads,
+  DEFAULT_POLICY,
+  FOLLOW_UP_STATUSES,
+  CADENCE_STATUSES
+} = require('../utils/cadence');
 const logger = require('../utils/logger');
 
 /**
@@ -9,6 +17,9 @@ const logger = require('../utils/logger');
  * @purpose Provide leads to Jennifer Kim's Telnyx Integration for calling
  */
 
+// Due leads ranked per getNextLead call
+const CANDIDATE_LIMIT = 200;
+
 class LeadQueueService {
   constructor() {
     this.queueCache = null;
@@ -18,12 +29,10 @@ class LeadQueueService {
 
   /**
    * Get next lead to call
-   * Priority order:
-   * 1. Scheduled follow-ups (overdue)
-   * 2. Fresh leads (never contacted, high priority)
-   * 3. Fresh leads (never contacted, medium priority)
-   * 4. Aged leads needing retry
-   * 5. Nurturing leads ready for follow-up
+   * Leads are due when their retry cadence says so (see services/cadence.service),
+   * when a scheduled follow-up is overdue, or when they have never been dialed.
+   * Due leads are ordered by priority, then by how long they have been due;
+   * leads whose number has reached its daily attempt cap are passed over.
    *
    * @returns {Object} Next lead to call
    */
@@ -31,39 +40,22 @@ class LeadQueueService {
     try {
       logger.info('[Lead Queue] Finding next lead to call...');
 
-      // Priority 1: Overdue follow-ups
-      let lead = await this.getOverdueFollowUps();
-      if (lead) {
-        logger.info(`[Lead Queue] Selected overdue follow-up: ${lead._id}`);
-        return lead;
-      }
-
-      // Priority 2: Fresh high-priority leads
-      lead = await this.getFreshLeads('high');
-      if (lead) {
-        logger.info(`[Lead Queue] Selected fresh high-priority lead: ${lead._id}`);
-        return lead;
-      }
-
-      // Priority 3: Fresh medium-priority leads
-      lead = await this.getFreshLeads('medium');
-      if (lead) {
-        logger.info(`[Lead Queue] Selected fresh medium-priority lead: ${lead._id}`);
-        return lead;
-      }
-
-      // Priority 4: Aged leads (recycled)
-      lead = await this.getAgedLeads();
-      if (lead) {
-        logger.info(`[Lead Queue] Selected aged lead: ${lead._id}`);
-        return lead;
-      }
-
-      // Priority 5: Nurturing leads
-      lead = await this.getNurturingLeads();
-      if (lead) {
-        logger.info(`[Lead Queue] Selected nurturing lead: ${lead._id}`);
-        return lead;
+      const now = new Date();
+      const candidates = await Lead.find({
+        ...this.buildDueQuery(now),
+        'customFields.callInProgress': { $ne: true }
+      })
+        .sort({ 'cadence.nextAttemptAt': 1, nextFollowUpAt: 1, createdAt: 1 })
+        .limit(CANDIDATE_LIMIT)
+        .lean();
+
+      for (const lead of rankDueLeads(candidates, now)) {
+        const dailyCap = await cadenceService.checkDailyCap(lead, null, now);
+
+        if (dailyCap.allowed) {
+          logger.info(`[Lead Queue] Selected lead ${lead._id} (${lead.priority}, due ${dueAt(lead, now).toISOString()})`);
+          return lead;
+        }
       }
 
       logger.warn('[Lead Queue] No leads available in queue');
@@ -76,68 +68,23 @@ class LeadQueueService {
   }
 
   /**
-   * Get overdue follow-up leads
+   * Lead query for leads due for a call (utils/cadence dueAt, as a query)
+   * @private
    */
-  async getOverdueFollowUps() {
-    return await Lead.findOne({
-      nextFollowUpAt: { $lte: new Date() },
-      status: { $in: ['contacted', 'qualified', 'nurturing'] },
-      isActive: true,
-      'consent.canCall': true
-    })
-      .sort({ priority: -1, nextFollowUpAt: 1 })
-      .lean();
-  }
-
-  /**
-   * Get fresh leads (never contacted)
-   */
-  async getFreshLeads(priority = 'high') {
-    return await Lead.findOne({
-      status: 'new',
-      contactAttempts: 0,
-      priority: priority,
+  buildDueQuery(now = new Date()) {
+    return {
       isActive: true,
       'consent.canCall': true,
-      tags: 'gmail_import'
-    })
-      .sort({ createdAt: -1 }) // Most recent first
-      .lean();
-  }
-
-  /**
-   * Get aged leads needing retry
-   */
-  async getAgedLeads() {
-    // Leads that haven't been contacted in 7+ days
-    const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-
-    return await Lead.findOne({
-      status: { $in: ['new', 'contacted'] },
-      contactAttempts: { $lt: 5 }, // Max 5 attempts
       $or: [
-        { lastContactedAt: { $lte: sevenDaysAgo } },
-        { lastContactedAt: null }
-      ],
-      isActive: true,
-      'consent.canCall': true
-    })
-      .sort({ lastContactedAt: 1 }) // Oldest first
-      .lean();
-  }
-
-  /**
-   * Get nurturing leads ready for follow-up
-   */
-  async getNurturingLeads() {
-    return await Lead.findOne({
-      status: 'nurturing',
-      nextFollowUpAt: { $lte: new Date() },
-      isActive: true,
-      'consent.canCall': true
-    })
-      .sort({ qualificationScore: -1 }) // Highest score first
-      .lean();
+        { 'cadence.nextAttemptAt': { $lte: now }, status: { $in: CADENCE_STATUSES } },
+        { nextFollowUpAt: { $lte: now }, status: { $in: FOLLOW_UP_STATUSES } },
+        {
+          'cadence.attempts': { $in: [null, 0] },
+          status: { $in: ['new', 'contacted'] },
+          contactAttempts: { $lt: DEFAULT_POLICY.maxAttempts }
+        }
+      ]
+    };
   }
 
   /**
@@ -187,15 +134,33 @@ class LeadQueueService {
           'consent.canCall': true
         }),
 
+        // Leads due on their retry cadence
+        Lead.countDocuments({
+          'cadence.nextAttemptAt': { $lte: new Date() },
+          status: { $in: CADENCE_STATUSES },
+          isActive: true,
+          'consent.canCall': true
+        }),
+
+        // Leads whose cadence ran out of attempts
+        Lead.countDocuments({
+          'cadence.exhaustedAt': { $ne: null },
+          status: { $in: CADENCE_STATUSES },
+          isActive: true
+        }),
+
         // Total active leads
         Lead.countDocuments({ isActive: true }),
 
-        // Qualified leads (ready for Kevin)
+        // Qualified leads (ready for a closer)
         Lead.countDocuments({
           status: 'qualified',
           qualificationScore: { $gte: 70 },
           isActive: true
-        })
+        }),
+
+        // Due now (what getNextLead picks from)
+        Lead.countDocuments(this.buildDueQuery())
       ]);
 
       return {
@@ -204,9 +169,11 @@ class LeadQueueService {
         freshMediumPriority: stats[2],
         agedLeads: stats[3],
         nurturingLeads: stats[4],
-        totalActive: stats[5],
-        qualifiedLeads: stats[6],
-        totalInQueue: stats[0] + stats[1] + stats[2] + stats[3] + stats[4]
+        cadenceDue: stats[5],
+        cadenceExhausted: stats[6],
+        totalActive: stats[7],
+        qualifiedLeads: stats[8],
+        totalInQueue: stats[9]
       };
 
     } catch (error) {
@@ -232,11 +199,12 @@ class LeadQueueService {
   /**
    * Reserve lead for calling (mark as in-progress)
    * Prevents multiple simultaneous calls to same lead
+   * @returns {Object|null} Reserved lead, or null if it was already reserved
    */
   async reserveLead(leadId) {
     try {
-      const lead = await Lead.findByIdAndUpdate(
-        leadId,
+      const lead = await Lead.findOneAndUpdate(
+        { _id: leadId, 'customFields.callInProgress': { $ne: true } },
         {
           $set: {
             'customFields.callInProgress': true,
@@ -246,6 +214,11 @@ class LeadQueueService {
         { new: true }
       );
 
+      if (!lead) {
+        logger.info(`[Lead Queue] Lead ${leadId} already reserved`);
+        return null;
+      }
+
       logger.info(`[Lead Queue] Reserved lead ${leadId} for calling`);
       return lead;
 
@@ -13,14 +13,16 @@
 
 const Lead = require('../database/mongodb/schemas/lead.schema');
 const Call = require('../database/mongodb/schemas/call.schema');
+const Conversation = require('../database/mongodb/schemas/conversation.schema');
 const { pool } = require('../config/database');
 const { cache } = require('../config/redis');
 const Anthropic = require('@anthropic-ai/sdk');
+const { instrumentAnthropic } = require('../utils/metrics');
 
 // Initialize Claude client
-const anthropic = new Anthropic({
+const anthropic = instrumentAnthropic(new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY
-});
+}), 'lead_scoring');
 
 // Default scoring weights (can be overridden via system_config)
 const DEFAULT_WEIGHTS = {
@@ -178,33 +180,41 @@ async function getEngagementPoints(lead, calls) {
     points += 3;  // 1-2 calls
   }
 
-  // Positive engagement signals (would integrate with nurture system)
-  // For now, checking for notes that indicate engagement
-  if (lead.notes && lead.notes.length > 0) {
-    // Check for positive indicators in notes
-    const recentNotes = lead.notes.slice(-5).map(n => (n.content || n.text || '').toLowerCase());
-
-    if (recentNotes.some(note =>
-      note.includes('replied') ||
-      note.includes('responded') ||
-      note.includes('sms reply')
-    )) {
-      points += 5; // SMS reply
+  // Inbound SMS replies within the last 30 days
+  const repliedBySMS = await Conversation.exists({
+    leadId: lead._id,
+    channel: 'sms',
+    messages: {
+      $elemMatch: {
+        'sender.type': 'lead',
+        timestamp: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
+      }
     }
+  });
 
-    if (recentNotes.some(note =>
-      note.includes('opened email') ||
-      note.includes('email open')
-    )) {
-      points += 3; // Email open
-    }
+  // Positive engagement signals from notes (manually logged interactions)
+  const recentNotes = (lead.notes || []).slice(-5).map(n => (n.content || n.text || '').toLowerCase());
 
-    if (recentNotes.some(note =>
-      note.includes('clicked') ||
-      note.includes('email click')
-    )) {
-      points += 5; // Email click
-    }
+  if (repliedBySMS || recentNotes.some(note =>
+    note.includes('replied') ||
+    note.includes('responded') ||
+    note.includes('sms reply')
+  )) {
+    points += 5; // SMS reply
+  }
+
+  if (recentNotes.some(note =>
+    note.includes('opened email') ||
+    note.includes('email open')
+  )) {
+    points += 3; // Email open
+  }
+
+  if (recentNotes.some(note =>
+    note.includes('clicked') ||
+    note.includes('email click')
+  )) {
+    points += 5; // Email click
   }
 
   return Math.min(points, 30); // Cap at 30 points
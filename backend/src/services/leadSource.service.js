@@ -0,0 +1,309 @@
+const LeadSource = require('../database/mongodb/schemas/leadSource.schema');
+const QuarantinedEmail = require('../database/mongodb/schemas/quarantinedEmail.schema');
+const leadParser = require('./leadParser');
+const { htmlToText, matchesSource, parseMessage } = require('../utils/leadSourceParsers');
+const logger = require('../utils/logger');
+
+// Kept on quarantined emails so they can be re-run (MongoDB documents max out at 16MB)
+const MAX_BODY_CHARS = 100000;
+const MAX_HTML_CHARS = 200000;
+const MAX_ATTACHMENT_CHARS = 1000000;
+
+const LEGACY_VENDOR_SLUG = 'leadpower';
+
+/**
+ * Lead Source Service
+ * Routes imported lead emails to the source that sent them and quarantines
+ * the ones nobody can parse
+ *
+ * Sources are the organization's LeadSource documents (tried by priority)
+ * followed by the built-in sources below. The built-in LeadPower source keeps
+ * its hand-written parser (leadParser.parseLeadEmail - category drives
+ * priority and tags); every other source is a template (utils/leadSourceParsers).
+ */
+
+class LeadSourceService {
+  /**
+   * Sources available to every organization without configuration
+   * @returns {Array}
+   */
+  builtInSources() {
+    return [{
+      slug: LEGACY_VENDOR_SLUG,
+      name: 'LeadPower email',
+      description: 'Labeled-line lead emails (FIRST NAME: / LEAD Category: ...)',
+      builtIn: true,
+      isActive: true,
+      priority: 1000,
+      match: {
+        senders: [process.env.GMAIL_CHECK_FROM_EMAIL || 'register@leadpower.com'],
+        subjectPatterns: []
+      },
+      template: { format: 'labeled_lines', fields: [] },
+      defaults: {}
+    }];
+  }
+
+  /**
+   * Sources in the order emails are matched against them
+   * @param {Object} options - { includeInactive }
+   * @returns {Array} LeadSource objects, built-ins flagged builtIn: true
+   */
+  async getSources({ includeInactive = false } = {}) {
+    const configured = await LeadSource.find().sort({ priority: 1, createdAt: 1 }).lean();
+    const slugs = new Set(configured.map(source => source.slug));
+
+    const sources = [
+      ...configured,
+      ...this.builtInSources().filter(source => !slugs.has(source.slug))
+    ].sort((a, b) => a.priority - b.priority);
+
+    return includeInactive ? sources : sources.filter(source => source.isActive);
+  }
+
+  /**
+   * Extract leads from an email with one source
+   * @param {Object} source - LeadSource
+   * @param {Object} message - { id, from, subject, date, body, html, attachments }
+   * @returns {Object} { leads, rejected: [{ row, errors }], headers, mapping } or { error }
+   */
+  parse(source, message) {
+    const provenance = {
+      importSource: 'gmail',
+      leadSource: source.slug,
+      importedFrom: message.from,
+      importedSubject: message.subject,
+      importedDate: message.date
+    };
+
+    if (source.builtIn && source.slug === LEGACY_VENDOR_SLUG) {
+      const result = leadParser.parseLeadEmail(message.body || htmlToText(message.html), {
+        emailId: message.id,
+        from: message.from,
+        subject: message.subject,
+        date: message.date
+      });
+
+      if (!result.success) {
+        return { error: [].concat(result.errors || result.error).join('; ') };
+      }
+
+      return {
+        leads: [{ ...result.data, customFields: { ...result.data.customFields, ...provenance } }],
+        rejected: []
+      };
+    }
+
+    const result = parseMessage(source, message);
+    if (result.error) return result;
+
+    return {
+      ...result,
+      leads: result.leads.map(lead => ({
+        ...lead,
+        status: 'new',
+        customFields: { ...lead.customFields, ...provenance },
+        metadata: { importMethod: 'gmail_automation', emailId: message.id }
+      }))
+    };
+  }
+
+  /**
+   * Find the email's source and extract its leads
+   * @param {Object} message - Email
+   * @param {Object} options - { sources (pre-loaded), sourceSlug (skip matching) }
+   * @returns {Object} { source, leads, rejected } / { source, error } / { source: null }
+   */
+  async route(message, { sources, sourceSlug } = {}) {
+    const candidates = sources || await this.getSources();
+
+    const source = sourceSlug
+      ? candidates.find(candidate => candidate.slug === sourceSlug)
+      : candidates.find(candidate => matchesSource(candidate, message));
+
+    if (!source) return { source: null };
+
+    return { source, ...this.parse(source, message) };
+  }
+
+  /**
+   * Count what a source produced (configured sources only)
+   * @param {Object} source - LeadSource
+   * @param {Object} counts - { imported, quarantined }
+   */
+  async recordStats(source, { imported = 0, quarantined = 0 }) {
+    if (!source || !source._id) return;
+
+    try {
+      await LeadSource.updateOne({ _id: source._id }, {
+        $inc: {
+          'stats.matched': 1,
+          'stats.imported': imported,
+          'stats.quarantined': quarantined
+        },
+        $set: { 'stats.lastMatchedAt': new Date() }
+      });
+    } catch (error) {
+      logger.warn(`[Lead Sources] Could not update stats for ${source.slug}:`, error.message);
+    }
+  }
+
+  /**
+   * Keep an email for review
+   * @param {Object} message - Email
+   * @param {Object} details - { reason, source, errors, leadIds }
+   * @returns {Object} QuarantinedEmail
+   */
+  async quarantine(message, { reason, source, errors = [], leadIds = [] }) {
+    const receivedAt = message.date ? new Date(message.date) : null;
+
+    const quarantined = await QuarantinedEmail.findOneAndUpdate(
+      { messageId: message.id },
+      {
+        $set: {
+          threadId: message.threadId,
+          from: message.from,
+          subject: message.subject,
+          receivedAt: receivedAt && !isNaN(receivedAt) ? receivedAt : undefined,
+          body: (message.body || '').slice(0, MAX_BODY_CHARS),
+          html: (message.html || '').slice(0, MAX_HTML_CHARS),
+          attachments: (message.attachments || []).map(file => ({
+            filename: file.filename,
+            mimeType: file.mimeType,
+            size: file.size,
+            content: file.content && file.content.length <= MAX_ATTACHMENT_CHARS ? file.content : undefined
+          })),
+          reason,
+          sourceSlug: source ? source.slug : null,
+          parseErrors: errors,
+          status: 'pending'
+        },
+        $addToSet: { leadIds: { $each: leadIds } },
+        $inc: { attempts: 1 }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    logger.warn(`[Lead Sources] Quarantined email ${message.id} (${reason}): ${errors.join('; ') || 'no details'}`);
+
+    return quarantined;
+  }
+
+  /**
+   * Review queue
+   * @param {Object} filters - { status, reason, page, limit }
+   * @returns {Object} { emails, total }
+   */
+  async getQuarantine({ status = 'pending', reason, page = 1, limit = 25 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (reason) filter.reason = reason;
+
+    const [emails, total] = await Promise.all([
+      QuarantinedEmail.find(filter)
+        .select('-body -html -attachments.content')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      QuarantinedEmail.countDocuments(filter)
+    ]);
+
+    return { emails, total };
+  }
+
+  /**
+   * Re-run a quarantined email, optionally forcing a source
+   * @param {String} id - QuarantinedEmail ID
+   * @param {Object} options - { sourceSlug }
+   * @param {String} userId - Reviewer
+   * @returns {Object} { email, outcome } or { error, status }
+   */
+  async reprocess(id, { sourceSlug } = {}, userId) {
+    const quarantined = await QuarantinedEmail.findById(id);
+
+    if (!quarantined) {
+      return { error: 'Quarantined email not found', status: 404 };
+    }
+
+    if (quarantined.status !== 'pending') {
+      return { error: `Email is already ${quarantined.status}`, status: 409 };
+    }
+
+    const sources = await this.getSources({ includeInactive: Boolean(sourceSlug) });
+    if (sourceSlug && !sources.some(source => source.slug === sourceSlug)) {
+      return { error: `Lead source not found: ${sourceSlug}`, status: 404 };
+    }
+
+    // Loaded here: leadImporter routes through this service
+    const leadImporter = require('./leadImporter');
+
+    const message = {
+      id: quarantined.messageId,
+      threadId: quarantined.threadId,
+      from: quarantined.from,
+      subject: quarantined.subject,
+      date: quarantined.receivedAt ? quarantined.receivedAt.toISOString() : undefined,
+      body: quarantined.body,
+      html: quarantined.html,
+      attachments: quarantined.attachments.map(file => file.toObject())
+    };
+
+    const outcome = await leadImporter.importEmail(message, { sources, sourceSlug, quarantine: false });
+
+    quarantined.attempts += 1;
+    quarantined.leadIds.addToSet(...outcome.importedLeads.map(lead => lead.id));
+
+    if (outcome.reason) {
+      quarantined.reason = outcome.reason;
+      quarantined.sourceSlug = outcome.source;
+      quarantined.parseErrors = outcome.errors;
+      await quarantined.save();
+
+      return {
+        error: outcome.errors.join('; ') || 'Email still could not be parsed',
+        status: 422,
+        email: quarantined,
+        outcome
+      };
+    }
+
+    quarantined.status = 'imported';
+    quarantined.sourceSlug = outcome.source;
+    quarantined.parseErrors = [];
+    quarantined.reviewedBy = userId;
+    quarantined.reviewedAt = new Date();
+    await quarantined.save();
+
+    return { email: quarantined, outcome };
+  }
+
+  /**
+   * Drop a quarantined email from the queue
+   * @param {String} id - QuarantinedEmail ID
+   * @param {String} userId - Reviewer
+   * @param {String} note - Why
+   * @returns {Object} { email } or { error, status }
+   */
+  async dismiss(id, userId, note) {
+    const quarantined = await QuarantinedEmail.findById(id);
+
+    if (!quarantined) {
+      return { error: 'Quarantined email not found', status: 404 };
+    }
+
+    if (quarantined.status !== 'pending') {
+      return { error: `Email is already ${quarantined.status}`, status: 409 };
+    }
+
+    quarantined.status = 'dismissed';
+    quarantined.reviewedBy = userId;
+    quarantined.reviewedAt = new Date();
+    quarantined.reviewNote = note;
+    await quarantined.save();
+
+    return { email: quarantined };
+  }
+}
+
+module.exports = new LeadSourceService();
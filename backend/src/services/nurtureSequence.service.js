@@ -0,0 +1,534 @@
+const NurtureSequence = require('../database/mongodb/schemas/nurtureSequence.schema');
+const SequenceEnrollment = require('../database/mongodb/schemas/sequenceEnrollment.schema');
+const Lead = require('../database/mongodb/schemas/lead.schema');
+const Organization = require('../database/mongodb/schemas/organization.schema');
+const smsService = require('./sms.service');
+const gmailService = require('./gmailService');
+const dncService = require('./dncService');
+const tcpaCompliance = require('../security/tcpa-compliance');
+const consentManager = require('../security/consent-manager');
+const { assembleLeadContext } = require('./leadContextService');
+const { renderTemplate } = require('../utils/mergeFields');
+const { senderAddress } = require('../utils/leadSourceParsers');
+const { triggerScoreAfterNurtureInteraction } = require('../integrations/leadScoringTriggers');
+const { runWithOrganization } = require('../utils/tenant.util');
+const { formatPhoneE164 } = require('../utils/helpers');
+const { scheduleStep } = require('../queues/nurture.queue');
+const logger = require('../utils/logger');
+
+/**
+ * Nurture Sequence Service
+ * Runs multi-step SMS / email / call-task sequences for leads
+ *
+ * Lifecycle: active ⇄ paused → completed / exited / cancelled
+ * Leads are enrolled when leadLifecycleService moves them into a sequence's
+ * trigger status (or manually via the API). queues/nurture.queue runs each
+ * step after its delay; DNC, consent and quiet-hours checks run before
+ * every step. Inbound replies pause the enrollment.
+ */
+
+// Consent ledger channel each step type needs
+const STEP_CHANNELS = {
+  sms: 'sms',
+  email: 'email',
+  call_task: 'call'
+};
+
+// Step types that contact the lead's phone (DNC + quiet hours apply)
+const PHONE_STEPS = ['sms', 'call_task'];
+
+// Enrollments still in flight
+const OPEN_STATUSES = ['active', 'paused'];
+
+class NurtureSequenceService {
+  /**
+   * Check a lead against a status / score condition
+   * @param {Object} lead - Lead document
+   * @param {Object} conditions - { statuses, minScore, maxScore }
+   * @returns {Boolean} True when the lead matches (or there are no conditions)
+   */
+  matchesConditions(lead, conditions) {
+    if (!conditions) return true;
+
+    const score = lead.qualificationScore || 0;
+
+    if (conditions.statuses?.length && !conditions.statuses.includes(lead.status)) return false;
+    if (conditions.minScore !== undefined && conditions.minScore !== null && score < conditions.minScore) return false;
+    if (conditions.maxScore !== undefined && conditions.maxScore !== null && score > conditions.maxScore) return false;
+
+    return true;
+  }
+
+  /**
+   * Enroll a lead in a sequence
+   * No-op when the lead already has an open enrollment in the sequence
+   * @param {Object} sequence - NurtureSequence document
+   * @param {Object} lead - Lead document
+   * @param {Object} options - { enrolledBy }
+   * @returns {Object} { enrolled, enrollment, reason }
+   */
+  async enroll(sequence, lead, options = {}) {
+    const existing = await SequenceEnrollment.findOne({
+      sequenceId: sequence._id,
+      leadId: lead._id,
+      status: { $in: OPEN_STATUSES }
+    });
+
+    if (existing) {
+      return { enrolled: false, enrollment: existing, reason: 'already_enrolled' };
+    }
+
+    const enrollment = new SequenceEnrollment({
+      sequenceId: sequence._id,
+      leadId: lead._id,
+      enrolledBy: options.enrolledBy
+    });
+
+    await this.scheduleCurrentStep(enrollment, sequence, enrollment.enrolledAt);
+
+    logger.info(`[Nurture] Enrolled lead ${lead._id} in sequence ${sequence._id}`, {
+      enrolledBy: options.enrolledBy
+    });
+
+    return { enrolled: true, enrollment };
+  }
+
+  /**
+   * React to a lead status change from leadLifecycleService
+   * Exits enrollments the lead no longer qualifies for, then enrolls the
+   * lead in every active sequence triggered by the new status
+   * @param {Object} lead - Lead document (already saved with the new status)
+   * @param {String} previousStatus - Status before the change
+   * @returns {Object} { enrolled, exited }
+   */
+  async handleStatusChange(lead, previousStatus) {
+    return runWithOrganization(lead.organizationId, async () => {
+      let exited = 0;
+
+      const openEnrollments = await SequenceEnrollment.find({
+        leadId: lead._id,
+        status: { $in: OPEN_STATUSES }
+      });
+
+      for (const enrollment of openEnrollments) {
+        const sequence = await NurtureSequence.findById(enrollment.sequenceId).lean();
+        const triggerStatuses = sequence?.trigger?.statuses || [];
+
+        if (sequence?.exitOnStatusChange && triggerStatuses.length && !triggerStatuses.includes(lead.status)) {
+          await this.finish(enrollment, 'exited', `Lead status changed from ${previousStatus} to ${lead.status}`);
+          exited++;
+        }
+      }
+
+      const sequences = await NurtureSequence.find({
+        isActive: true,
+        'trigger.statuses': lead.status
+      });
+
+      let enrolled = 0;
+      for (const sequence of sequences) {
+        if (!this.matchesConditions(lead, sequence.trigger)) continue;
+
+        const result = await this.enroll(sequence, lead, { enrolledBy: 'lifecycle' });
+        if (result.enrolled) enrolled++;
+      }
+
+      return { enrolled, exited };
+    });
+  }
+
+  /**
+   * Execute the pending step of an enrollment (called by the queue)
+   * @param {String} enrollmentId - Enrollment ID
+   * @param {String} jobId - Bull job ID being processed
+   * @returns {Object} Step result
+   */
+  async executeStep(enrollmentId, jobId) {
+    // Queue jobs run outside a request - load unscoped, then scope to the enrollment's org
+    const enrollment = await runWithOrganization(null, () => SequenceEnrollment.findById(enrollmentId));
+
+    if (!enrollment) {
+      return { executed: false, reason: 'enrollment_not_found' };
+    }
+
+    return runWithOrganization(enrollment.organizationId, () => this.runStep(enrollment, jobId));
+  }
+
+  /**
+   * Run one step: conditions → compliance → send → schedule next
+   * @private
+   */
+  async runStep(enrollment, jobId) {
+    if (enrollment.status !== 'active') {
+      return { executed: false, reason: `enrollment_${enrollment.status}` };
+    }
+
+    // A pause/resume or deferral rescheduled the step; this job is stale
+    if (jobId && enrollment.jobId && enrollment.jobId !== String(jobId)) {
+      return { executed: false, reason: 'stale_job' };
+    }
+
+    const sequence = await NurtureSequence.findById(enrollment.sequenceId);
+    if (!sequence || !sequence.isActive) {
+      await this.finish(enrollment, 'exited', 'Sequence deactivated');
+      return { executed: false, reason: 'sequence_inactive' };
+    }
+
+    const stepIndex = enrollment.currentStep;
+    const step = sequence.steps[stepIndex];
+    if (!step) {
+      await this.finish(enrollment, 'completed');
+      return { executed: false, reason: 'no_more_steps' };
+    }
+
+    const lead = await Lead.findById(enrollment.leadId);
+    if (!lead) {
+      await this.finish(enrollment, 'exited', 'Lead not found');
+      return { executed: false, reason: 'lead_not_found' };
+    }
+
+    if (!this.matchesConditions(lead, step.conditions)) {
+      this.recordStep(enrollment, stepIndex, step, 'skipped', 'conditions_not_met');
+
+      if (step.onConditionFail === 'exit') {
+        await this.finish(enrollment, 'exited', `Step ${stepIndex + 1} conditions not met`);
+        return { executed: false, reason: 'conditions_not_met' };
+      }
+
+      await this.advance(enrollment, sequence);
+      return { executed: false, reason: 'conditions_not_met' };
+    }
+
+    const compliance = await this.checkCompliance(lead, step);
+
+    if (!compliance.allowed) {
+      if (compliance.retryAt) {
+        // Quiet hours - run this step again when the window opens
+        this.recordStep(enrollment, stepIndex, step, 'deferred', compliance.reason);
+        await this.scheduleCurrentStep(enrollment, sequence, compliance.retryAt, { withDelay: false });
+        return { executed: false, reason: compliance.reason, retryAt: compliance.retryAt };
+      }
+
+      this.recordStep(enrollment, stepIndex, step, 'blocked', compliance.reason);
+      await this.finish(enrollment, 'cancelled', `Compliance: ${compliance.reason}`);
+      return { executed: false, reason: compliance.reason };
+    }
+
+    const result = await this.dispatchStep(lead, step);
+
+    if (result.success) {
+      this.recordStep(enrollment, stepIndex, step, step.type === 'call_task' ? 'created' : 'sent', null, result.messageId);
+    } else {
+      // Keep the sequence moving; the failure stays visible in history
+      this.recordStep(enrollment, stepIndex, step, 'failed', result.error);
+      logger.warn(`[Nurture] Step ${stepIndex + 1} failed for enrollment ${enrollment._id}`, {
+        type: step.type,
+        error: result.error
+      });
+    }
+
+    await this.advance(enrollment, sequence);
+
+    return { executed: result.success, stepIndex, type: step.type };
+  }
+
+  /**
+   * DNC, consent and quiet-hours checks for a step
+   * @param {Object} lead - Lead document
+   * @param {Object} step - Sequence step
+   * @returns {Object} { allowed, reason, retryAt }
+   */
+  async checkCompliance(lead, step) {
+    if (PHONE_STEPS.includes(step.type)) {
+      if (!lead.phone) {
+        return { allowed: false, reason: 'no_phone' };
+      }
+
+      if (lead.doNotCall) {
+        return { allowed: false, reason: 'dnc' };
+      }
+
+      const dnc = await dncService.checkDNC(lead.phone, lead.organizationId);
+      if (dnc.onDNCList) {
+        return { allowed: false, reason: 'dnc' };
+      }
+    }
+
+    if (step.type === 'email' && !lead.email) {
+      return { allowed: false, reason: 'no_email' };
+    }
+
+    const consent = await consentManager.getConsentProof(lead._id, STEP_CHANNELS[step.type]);
+    if (!consent.consented) {
+      return { allowed: false, reason: 'no_consent' };
+    }
+
+    if (PHONE_STEPS.includes(step.type)) {
+      const window = await tcpaCompliance.checkCallingWindow(lead, { phoneNumber: lead.phone });
+      if (!window.allowed) {
+        return {
+          allowed: false,
+          reason: 'quiet_hours',
+          // No window at all (e.g. unresolvable timezone) blocks instead of deferring
+          retryAt: window.nextAllowedAt
+        };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Render and send a step
+   * @private
+   */
+  async dispatchStep(lead, step) {
+    const context = await assembleLeadContext(lead._id);
+    const organization = lead.organizationId
+      ? await Organization.findById(lead.organizationId).select('name').lean()
+      : null;
+    context.organization = { name: organization?.name };
+
+    const text = renderTemplate(step.template, context);
+
+    switch (step.type) {
+      case 'sms':
+        return smsService.sendMessage(lead, text, {
+          sender: { type: 'system', name: 'nurture' },
+          metadata: { nurtureStepId: step._id.toString() }
+        });
+
+      case 'email':
+        return gmailService.sendEmail(lead.email, renderTemplate(step.subject, context), text);
+
+      case 'call_task':
+        await Lead.updateOne({ _id: lead._id }, {
+          nextFollowUpAt: new Date(),
+          $push: {
+            notes: { text, type: 'task', createdAt: new Date() }
+          }
+        });
+        return { success: true };
+
+      default:
+        return { success: false, error: `Unknown step type: ${step.type}` };
+    }
+  }
+
+  /**
+   * Append a step outcome to the enrollment history (saved by the caller)
+   * @private
+   */
+  recordStep(enrollment, stepIndex, step, outcome, reason = null, messageId = null) {
+    enrollment.history.push({
+      stepIndex,
+      type: step.type,
+      outcome,
+      reason,
+      messageId,
+      at: new Date()
+    });
+  }
+
+  /**
+   * Move to the next step, or complete the enrollment
+   * @private
+   */
+  async advance(enrollment, sequence) {
+    enrollment.currentStep += 1;
+
+    if (enrollment.currentStep >= sequence.steps.length) {
+      return this.finish(enrollment, 'completed');
+    }
+
+    return this.scheduleCurrentStep(enrollment, sequence, new Date());
+  }
+
+  /**
+   * Queue the enrollment's current step and save the enrollment
+   * @param {Object} enrollment - Enrollment document
+   * @param {Object} sequence - Sequence document
+   * @param {Date} from - Base time (step delay is added unless withDelay is false)
+   * @private
+   */
+  async scheduleCurrentStep(enrollment, sequence, from, { withDelay = true } = {}) {
+    const step = sequence.steps[enrollment.currentStep];
+    const delayMs = withDelay ? (step.delayMinutes || 0) * 60 * 1000 : 0;
+    const runAt = new Date(new Date(from).getTime() + delayMs);
+
+    // Save first so the enrollment has an ID and the job never runs ahead of the save
+    enrollment.nextStepAt = runAt;
+    enrollment.jobId = null;
+    await enrollment.save();
+
+    const job = await scheduleStep(enrollment._id, enrollment.currentStep, runAt);
+
+    enrollment.jobId = String(job.id);
+    await enrollment.save();
+
+    return enrollment;
+  }
+
+  /**
+   * Close an enrollment
+   * @private
+   */
+  async finish(enrollment, status, reason = null) {
+    enrollment.status = status;
+    enrollment.completedAt = new Date();
+    enrollment.nextStepAt = null;
+    enrollment.jobId = null;
+    if (reason) enrollment.exitReason = reason;
+
+    await enrollment.save();
+
+    logger.info(`[Nurture] Enrollment ${enrollment._id} ${status}`, { reason });
+    return enrollment;
+  }
+
+  /**
+   * Pause an active enrollment
+   * @param {Object} enrollment - Enrollment document
+   * @param {String} reason - Pause reason
+   * @returns {Object} Enrollment
+   */
+  async pause(enrollment, reason = 'manual') {
+    enrollment.status = 'paused';
+    enrollment.pausedAt = new Date();
+    enrollment.pauseReason = reason;
+    enrollment.nextStepAt = null;
+    enrollment.jobId = null;
+
+    await enrollment.save();
+    return enrollment;
+  }
+
+  /**
+   * Resume a paused enrollment; the pending step runs immediately
+   * @param {Object} enrollment - Enrollment document
+   * @returns {Object} Enrollment
+   */
+  async resume(enrollment) {
+    const sequence = await NurtureSequence.findById(enrollment.sequenceId);
+
+    enrollment.status = 'active';
+    enrollment.pausedAt = null;
+    enrollment.pauseReason = null;
+
+    if (!sequence || enrollment.currentStep >= sequence.steps.length) {
+      return this.finish(enrollment, 'completed');
+    }
+
+    return this.scheduleCurrentStep(enrollment, sequence, new Date(), { withDelay: false });
+  }
+
+  /**
+   * Cancel an open enrollment
+   * @param {Object} enrollment - Enrollment document
+   * @param {String} reason - Cancellation reason
+   * @returns {Object} Enrollment
+   */
+  async cancel(enrollment, reason = 'manual') {
+    return this.finish(enrollment, 'cancelled', reason);
+  }
+
+  /**
+   * Pause a lead's active enrollments after it replies
+   * Only sequences with pauseOnReply are paused
+   * @param {String} leadId - Lead ID
+   * @param {String} channel - Reply channel (sms, email)
+   * @returns {Number} Enrollments paused
+   */
+  async pauseForReply(leadId, channel) {
+    const enrollments = await SequenceEnrollment.find({ leadId, status: 'active' });
+
+    let paused = 0;
+    for (const enrollment of enrollments) {
+      const sequence = await NurtureSequence.findById(enrollment.sequenceId).select('pauseOnReply').lean();
+      if (sequence && sequence.pauseOnReply === false) continue;
+
+      await this.pause(enrollment, `lead_replied_${channel}`);
+      paused++;
+    }
+
+    if (paused > 0) {
+      logger.info(`[Nurture] Paused ${paused} enrollment(s) for lead ${leadId} after ${channel} reply`);
+    }
+
+    return paused;
+  }
+
+  /**
+   * Treat inbound emails from leads as replies: pause their sequences and
+   * queue a score recalculation (the SMS equivalent is in sms.service)
+   * @param {Array} emails - Messages from gmailService.getInboxReplies
+   * @returns {Object} { replyIds: message IDs sent by a lead, paused }
+   */
+  async handleEmailReplies(emails) {
+    const replyIds = [];
+    let paused = 0;
+
+    for (const email of emails) {
+      const address = senderAddress(email.from);
+      if (!address) continue;
+
+      const leads = await Lead.find({ email: address }).select('_id organizationId').lean();
+      if (leads.length === 0) continue;
+
+      for (const lead of leads) {
+        paused += await runWithOrganization(lead.organizationId, () =>
+          this.pauseForReply(lead._id, 'email')
+        );
+        await triggerScoreAfterNurtureInteraction(lead._id.toString(), { type: 'email', action: 'reply' });
+      }
+
+      replyIds.push(email.id);
+    }
+
+    return { replyIds, paused };
+  }
+
+  /**
+   * Cancel open enrollments for leads
+   * @param {Array<String>} leadIds - Lead IDs
+   * @param {String} reason - Cancellation reason
+   * @returns {Number} Enrollments cancelled
+   */
+  async cancelForLeads(leadIds, reason) {
+    const result = await SequenceEnrollment.updateMany(
+      { leadId: { $in: leadIds }, status: { $in: OPEN_STATUSES } },
+      {
+        status: 'cancelled',
+        exitReason: reason,
+        completedAt: new Date(),
+        nextStepAt: null,
+        jobId: null
+      }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Cancel open enrollments for every lead with a phone number
+   * @param {String} phoneNumber - Phone number
+   * @param {String} organizationId - Organization ID
+   * @param {String} reason - Cancellation reason
+   * @returns {Number} Enrollments cancelled
+   */
+  async cancelForPhone(phoneNumber, organizationId, reason) {
+    const phone = formatPhoneE164(phoneNumber);
+
+    return runWithOrganization(organizationId, async () => {
+      const leads = await Lead.find({
+        $or: [{ phone }, { alternatePhone: phone }]
+      }).select('_id').lean();
+
+      if (leads.length === 0) return 0;
+
+      return this.cancelForLeads(leads.map(lead => lead._id), reason);
+    });
+  }
+}
+
+module.exports = new NurtureSequenceService();
@@ -0,0 +1,454 @@
+const CallLog = require('../database/mongodb/schemas/calllog.schema');
+const Lead = require('../database/mongodb/schemas/lead.schema');
+const Conversation = require('../database/mongodb/schemas/conversation.schema');
+const Campaign = require('../database/mongodb/schemas/campaign.schema');
+const User = require('../database/mongodb/schemas/user.schema');
+const { pgPool } = require('../config/database');
+const {
+  SOURCE_FIELDS,
+  DIMENSIONS,
+  requiredFields,
+  supportsDimensions,
+  deriveMetrics
+} = require('../utils/reportDefinitions');
+const { getOrganizationId } = require('../utils/tenant.util');
+const logger = require('../utils/logger');
+
+/**
+ * Report Service
+ * Runs report definitions (see utils/reportDefinitions) against the data stores
+ *
+ * Calls, leads and conversations are aggregated in MongoDB; DNC additions and
+ * lead score history come from PostgreSQL. Each source returns raw counters
+ * grouped by the requested dimensions; rows are merged on their dimension
+ * values and derived metrics (rates, averages) are computed last.
+ *
+ * Mongo aggregations are scoped to the caller's organization by the
+ * organizationScope plugin; Postgres queries filter on it explicitly.
+ */
+
+// Per-source field holding each record dimension
+const DIMENSION_FIELDS = {
+  calls: { campaign: '$campaignId', agent: '$assignedAgent', source: '$leadSource', time: '$initiatedAt' },
+  leads: { campaign: '$campaignId', agent: '$assignedTo', source: '$source', time: '$event.at' },
+  conversations: { campaign: '$campaignId', agent: '$assignedAgent', source: '$leadSource', time: '$startedAt' }
+};
+
+// Placeholder labels for records without a campaign / agent / source
+const UNASSIGNED_LABELS = {
+  campaign: 'No campaign',
+  agent: 'Unassigned',
+  source: 'unknown'
+};
+
+class ReportService {
+  /**
+   * Run a report definition
+   * @param {Object} definition - From buildPeriodDefinition / buildCustomDefinition
+   * @returns {Object} { period, timezone, range, metrics, totals, breakdowns, warnings }
+   */
+  async run(definition) {
+    const { metrics, breakdowns } = definition;
+    const warnings = new Set();
+
+    const totalRows = await this.aggregate(definition, [], metrics, warnings);
+    const totals = deriveMetrics(totalRows[0]?.raw || {}, metrics);
+
+    const results = [];
+    for (const dimensions of breakdowns) {
+      const breakdownMetrics = metrics.filter(name => supportsDimensions(name, dimensions));
+      if (breakdownMetrics.length === 0) continue;
+
+      const rows = await this.aggregate(definition, dimensions, breakdownMetrics, warnings);
+      const labelled = await this.labelRows(rows, dimensions);
+
+      results.push({
+        dimensions,
+        metrics: breakdownMetrics,
+        rows: this.sortRows(labelled.map(row => ({
+          ...row.dimensions,
+          metrics: deriveMetrics(row.raw, breakdownMetrics)
+        })), dimensions, breakdownMetrics)
+      });
+    }
+
+    return {
+      period: definition.period,
+      timezone: definition.timezone,
+      range: definition.range,
+      metrics,
+      totals,
+      breakdowns: results,
+      warnings: [...warnings],
+      generatedAt: new Date()
+    };
+  }
+
+  /**
+   * Aggregate every source the metrics need and merge rows by dimension values
+   * @private
+   * @returns {Array} [{ key, values: { dimension: rawValue }, raw: { field: number } }]
+   */
+  async aggregate(definition, dimensions, metrics, warnings) {
+    const fieldsBySource = requiredFields(metrics);
+    const merged = new Map();
+
+    for (const source of Object.keys(fieldsBySource)) {
+      const rows = await this.aggregateSource(source, definition, dimensions, warnings);
+
+      rows.forEach(row => {
+        const values = dimensions.reduce((acc, dimension) => {
+          const value = row._id ? row._id[dimension] : null;
+          acc[dimension] = value === undefined || value === null ? null : String(value);
+          return acc;
+        }, {});
+        const key = JSON.stringify(values);
+
+        if (!merged.has(key)) {
+          merged.set(key, { key, values, raw: {} });
+        }
+
+        const target = merged.get(key).raw;
+        SOURCE_FIELDS[source].forEach(field => {
+          target[field] = (target[field] || 0) + (Number(row[field]) || 0);
+        });
+      });
+    }
+
+    return [...merged.values()];
+  }
+
+  /**
+   * Raw counters for one source
+   * @private
+   */
+  async aggregateSource(source, definition, dimensions, warnings) {
+    switch (source) {
+      case 'calls':
+        return this.aggregateCalls(definition, dimensions);
+      case 'leads':
+        return this.aggregateLeads(definition, dimensions);
+      case 'conversations':
+        return this.aggregateConversations(definition, dimensions);
+      case 'dnc':
+        return this.aggregateDnc(definition, dimensions, warnings);
+      case 'scores':
+        return this.aggregateScores(definition, dimensions, warnings);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Mongo $group _id for the requested dimensions
+   * @private
+   */
+  groupId(source, dimensions, timezone) {
+    if (dimensions.length === 0) return null;
+
+    const fields = DIMENSION_FIELDS[source];
+
+    return dimensions.reduce((id, dimension) => {
+      const unit = DIMENSIONS[dimension].time;
+      id[dimension] = unit
+        ? {
+          $dateToString: {
+            format: '%Y-%m-%d',
+            timezone,
+            date: { $dateTrunc: { date: fields.time, unit, timezone, startOfWeek: 'monday' } }
+          }
+        }
+        : fields[dimension];
+      return id;
+    }, {});
+  }
+
+  /**
+   * Stages adding the linked lead's source as `leadSource`
+   * @private
+   */
+  leadSourceStages(dimensions) {
+    if (!dimensions.includes('source')) return [];
+
+    return [
+      {
+        $lookup: {
+          from: Lead.collection.name,
+          localField: 'leadId',
+          foreignField: '_id',
+          pipeline: [{ $project: { source: 1 } }],
+          as: 'lead'
+        }
+      },
+      { $set: { leadSource: { $first: '$lead.source' } } }
+    ];
+  }
+
+  /**
+   * Calls placed/answered, talk time, transfers and voicemails
+   * @private
+   */
+  async aggregateCalls({ range, timezone }, dimensions) {
+    return CallLog.aggregate([
+      { $match: { initiatedAt: { $gte: range.start, $lt: range.end }, isActive: { $ne: false } } },
+      ...this.leadSourceStages(dimensions),
+      {
+        $group: {
+          _id: this.groupId('calls', dimensions, timezone),
+          callsPlaced: { $sum: 1 },
+          callsAnswered: { $sum: { $cond: [{ $ifNull: ['$answeredAt', false] }, 1, 0] } },
+          totalTalkSeconds: { $sum: { $ifNull: ['$duration.talking', 0] } },
+          transfers: {
+            $sum: {
+              $cond: [
+                { $or: [{ $eq: ['$transfer.wasTransferred', true] }, { $ifNull: ['$transfer.state', false] }] },
+                1,
+                0
+              ]
+            }
+          },
+          transferSuccesses: { $sum: { $cond: [{ $eq: ['$transfer.transferSuccessful', true] }, 1, 0] } },
+          voicemails: {
+            $sum: { $cond: [{ $and: [{ $ifNull: ['$answeredAt', false] }, { $in: ['$answerState', ['machine', 'voicemail']] }] }, 1, 0] }
+          },
+          voicemailsLeft: { $sum: { $cond: [{ $eq: ['$voicemail.left', true] }, 1, 0] } }
+        }
+      }
+    ]);
+  }
+
+  /**
+   * New, qualified and converted leads plus revenue
+   * Each lead contributes one event per milestone inside the range, so time
+   * buckets use the milestone's own date. Time to first dial is counted on
+   * the lead's creation event.
+   * @private
+   */
+  async aggregateLeads({ range, timezone }, dimensions) {
+    const inRange = { $gte: range.start, $lt: range.end };
+
+    return Lead.aggregate([
+      { $match: { $or: [{ createdAt: inRange }, { qualifiedAt: inRange }, { convertedAt: inRange }] } },
+      {
+        $project: {
+          campaignId: 1,
+          assignedTo: 1,
+          source: 1,
+          event: [
+            {
+              type: 'created',
+              at: '$createdAt',
+              dialSeconds: {
+                $cond: [
+                  { $ifNull: ['$firstDialedAt', false] },
+                  { $divide: [{ $subtract: ['$firstDialedAt', '$createdAt'] }, 1000] },
+                  null
+                ]
+              }
+            },
+            { type: 'qualified', at: '$qualifiedAt' },
+            { type: 'converted', at: '$convertedAt', value: '$conversionValue' }
+          ]
+        }
+      },
+      { $unwind: '$event' },
+      { $match: { 'event.at': inRange } },
+      {
+        $group: {
+          _id: this.groupId('leads', dimensions, timezone),
+          leadsCreated: { $sum: { $cond: [{ $eq: ['$event.type', 'created'] }, 1, 0] } },
+          leadsQualified: { $sum: { $cond: [{ $eq: ['$event.type', 'qualified'] }, 1, 0] } },
+          conversions: { $sum: { $cond: [{ $eq: ['$event.type', 'converted'] }, 1, 0] } },
+          revenue: { $sum: { $ifNull: ['$event.value', 0] } },
+          leadsDialed: { $sum: { $cond: [{ $eq: [{ $type: '$event.dialSeconds' }, 'double'] }, 1, 0] } },
+          secondsToFirstDial: { $sum: { $ifNull: ['$event.dialSeconds', 0] } },
+          dialedWithin5Minutes: {
+            $sum: {
+              $cond: [
+                { $and: [{ $eq: [{ $type: '$event.dialSeconds' }, 'double'] }, { $lte: ['$event.dialSeconds', 300] }] },
+                1,
+                0
+              ]
+            }
+          }
+        }
+      }
+    ]);
+  }
+
+  /**
+   * Conversations started and meetings scheduled
+   * @private
+   */
+  async aggregateConversations({ range, timezone }, dimensions) {
+    return Conversation.aggregate([
+      { $match: { startedAt: { $gte: range.start, $lt: range.end }, isActive: { $ne: false } } },
+      ...this.leadSourceStages(dimensions),
+      {
+        $group: {
+          _id: this.groupId('conversations', dimensions, timezone),
+          conversations: { $sum: 1 },
+          meetingsScheduled: {
+            $sum: { $cond: [{ $eq: ['$outcome.meetingScheduled.scheduled', true] }, 1, 0] }
+          }
+        }
+      }
+    ]);
+  }
+
+  /**
+   * SQL bucket expression for a time dimension ('NULL' for totals)
+   * @private
+   */
+  sqlBucket(column, dimensions, timezone, params) {
+    const dimension = dimensions.find(name => DIMENSIONS[name].time);
+    if (!dimension) return 'NULL';
+
+    params.push(timezone);
+    const unit = DIMENSIONS[dimension].time;
+    return `to_char(date_trunc('${unit}', (${column} AT TIME ZONE 'UTC') AT TIME ZONE $${params.length}), 'YYYY-MM-DD')`;
+  }
+
+  /**
+   * Shape Postgres rows like Mongo $group output
+   * @private
+   */
+  fromSqlRows(rows, dimensions) {
+    const dimension = dimensions.find(name => DIMENSIONS[name].time);
+
+    return rows.map(({ bucket, ...counters }) => ({
+      _id: dimension ? { [dimension]: bucket } : null,
+      ...counters
+    }));
+  }
+
+  /**
+   * DNC additions (PostgreSQL dnc_list)
+   * @private
+   */
+  async aggregateDnc({ range, timezone }, dimensions, warnings) {
+    const organizationId = getOrganizationId();
+    const params = [range.start, range.end];
+    const bucket = this.sqlBucket('added_at', dimensions, timezone, params);
+
+    let orgFilter = '';
+    if (organizationId) {
+      params.push(organizationId);
+      orgFilter = `AND organization_id = $${params.length}`;
+    }
+
+    try {
+      const result = await pgPool.query(
+        `SELECT ${bucket} AS bucket, COUNT(*)::int AS "dncAdditions"
+         FROM dnc_list
+         WHERE added_at >= $1 AND added_at < $2 ${orgFilter}
+         GROUP BY 1`,
+        params
+      );
+
+      return this.fromSqlRows(result.rows, dimensions);
+    } catch (error) {
+      logger.warn('[Report Service] DNC additions unavailable:', error.message);
+      warnings.add('DNC additions are unavailable (PostgreSQL query failed)');
+      return [];
+    }
+  }
+
+  /**
+   * Lead score calculations and average score (PostgreSQL lead_score_history)
+   * Score history has no organization column, so it is limited to the
+   * organization's leads
+   * @private
+   */
+  async aggregateScores({ range, timezone }, dimensions, warnings) {
+    const params = [range.start, range.end];
+    const bucket = this.sqlBucket('calculated_at', dimensions, timezone, params);
+
+    let leadFilter = '';
+    if (getOrganizationId()) {
+      const leadIds = await Lead.distinct('_id');
+      if (leadIds.length === 0) return [];
+
+      params.push(leadIds.map(String));
+      leadFilter = `AND lead_id::text = ANY($${params.length}::text[])`;
+    }
+
+    try {
+      const result = await pgPool.query(
+        `SELECT ${bucket} AS bucket,
+                COUNT(*)::int AS "scoreCalculations",
+                COALESCE(SUM(score), 0)::int AS "scoreTotal"
+         FROM lead_score_history
+         WHERE calculated_at >= $1 AND calculated_at < $2 ${leadFilter}
+         GROUP BY 1`,
+        params
+      );
+
+      return this.fromSqlRows(result.rows, dimensions);
+    } catch (error) {
+      logger.warn('[Report Service] Score history unavailable:', error.message);
+      warnings.add('Lead score history is unavailable (PostgreSQL query failed)');
+      return [];
+    }
+  }
+
+  /**
+   * Replace campaign / agent IDs with { id, name }
+   * @private
+   */
+  async labelRows(rows, dimensions) {
+    const lookups = {};
+
+    if (dimensions.includes('campaign')) {
+      const ids = rows.map(row => row.values.campaign).filter(Boolean);
+      const campaigns = ids.length > 0 ? await Campaign.find({ _id: { $in: ids } }, 'name').lean() : [];
+      lookups.campaign = new Map(campaigns.map(campaign => [String(campaign._id), campaign.name]));
+    }
+
+    if (dimensions.includes('agent')) {
+      const ids = rows.map(row => row.values.agent).filter(Boolean);
+      const users = ids.length > 0 ? await User.find({ _id: { $in: ids } }, 'firstName lastName email').lean() : [];
+      lookups.agent = new Map(users.map(user => [
+        String(user._id),
+        [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email
+      ]));
+    }
+
+    return rows.map(row => ({
+      ...row,
+      dimensions: dimensions.reduce((labelled, dimension) => {
+        const value = row.values[dimension];
+
+        if (lookups[dimension]) {
+          labelled[dimension] = {
+            id: value,
+            name: value ? (lookups[dimension].get(value) || 'Deleted') : UNASSIGNED_LABELS[dimension]
+          };
+        } else if (dimension === 'source') {
+          labelled[dimension] = value || UNASSIGNED_LABELS.source;
+        } else {
+          labelled[dimension] = value;
+        }
+
+        return labelled;
+      }, {})
+    }));
+  }
+
+  /**
+   * Time breakdowns oldest first; others by the first metric, highest first
+   * @private
+   */
+  sortRows(rows, dimensions, metrics) {
+    const timeDimension = dimensions.find(name => DIMENSIONS[name].time);
+
+    if (timeDimension) {
+      return rows.sort((a, b) => String(a[timeDimension]).localeCompare(String(b[timeDimension])));
+    }
+
+    const [first] = metrics;
+    return rows.sort((a, b) => (b.metrics[first] || 0) - (a.metrics[first] || 0));
+  }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,226 @@
+const ReportSubscription = require('../database/mongodb/schemas/reportSubscription.schema');
+const ReportDelivery = require('../database/mongodb/schemas/reportDelivery.schema');
+const reportService = require('./report.service');
+const emailTransport = require('./emailTransport.service');
+const { METRICS } = require('../utils/reportDefinitions');
+const { getNextDelivery, getDeliveryDefinition } = require('../utils/reportSchedule');
+const { toCsv, describeRange } = require('../utils/reportExport');
+const { toPdf } = require('../utils/reportPdf');
+const { isValidTimezone } = require('../security/tcpa/calling-window');
+const { runWithOrganization } = require('../utils/tenant.util');
+const logger = require('../utils/logger');
+
+/**
+ * Report Subscription Service
+ * Emails saved reports as CSV / PDF attachments on a schedule
+ *
+ * Each recipient has their own nextDeliveryAt, computed from the schedule in
+ * their timezone; cron/reportDelivery.cron calls deliverDue() every few
+ * minutes. Recipients due at the same time in the same timezone share one
+ * email, and every email is written to the ReportDelivery log.
+ */
+
+class ReportSubscriptionService {
+  /**
+   * Validate subscription settings that the schema can't check
+   * @param {Object} data - { report, recipients }
+   * @returns {String|null} Error message
+   */
+  validate({ report, recipients }) {
+    const invalidTimezone = (recipients || []).find(recipient => recipient.timezone && !isValidTimezone(recipient.timezone));
+    if (invalidTimezone) {
+      return `Invalid timezone for ${invalidTimezone.email}: ${invalidTimezone.timezone}`;
+    }
+
+    if (report?.period === 'custom') {
+      const { error } = getDeliveryDefinition(report, new Date(), 'UTC');
+      if (error) return error;
+    }
+
+    return null;
+  }
+
+  /**
+   * Compute each recipient's next delivery
+   * @param {Object} subscription - ReportSubscription document (not saved)
+   * @param {Date} after - Schedule deliveries after this instant
+   */
+  scheduleRecipients(subscription, after = new Date()) {
+    subscription.recipients.forEach(recipient => {
+      recipient.nextDeliveryAt = subscription.isActive
+        ? getNextDelivery(subscription.schedule, recipient.timezone, after)
+        : null;
+    });
+  }
+
+  /**
+   * Deliver every subscription with recipients due (cron entry point)
+   * Runs unscoped; each subscription is delivered in its organization's context
+   * @param {Date} now - Current time
+   * @returns {Object} { subscriptions, sent, failed }
+   */
+  async deliverDue(now = new Date()) {
+    const subscriptions = await runWithOrganization(null, () => ReportSubscription.find({
+      isActive: true,
+      'recipients.nextDeliveryAt': { $lte: now }
+    }));
+
+    const summary = { subscriptions: subscriptions.length, sent: 0, failed: 0 };
+
+    for (const subscription of subscriptions) {
+      await runWithOrganization(subscription.organizationId, async () => {
+        const due = subscription.recipients.filter(recipient => recipient.nextDeliveryAt && recipient.nextDeliveryAt <= now);
+
+        try {
+          const deliveries = await this.deliver(subscription, due, { at: now, trigger: 'schedule' });
+          deliveries.forEach(delivery => {
+            summary[delivery.status === 'sent' ? 'sent' : 'failed']++;
+          });
+        } catch (error) {
+          logger.error(`[Report Subscriptions] Delivery of ${subscription._id} failed:`, error);
+          summary.failed++;
+        }
+
+        // Always move on to the next slot; failures are in the delivery log
+        due.forEach(recipient => {
+          recipient.lastDeliveredAt = now;
+          recipient.nextDeliveryAt = getNextDelivery(subscription.schedule, recipient.timezone, now);
+        });
+        await subscription.save();
+      });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Run, render and email a subscription's report
+   * @param {Object} subscription - ReportSubscription document
+   * @param {Array} recipients - Recipients to send to
+   * @param {Object} options - { at, trigger, triggeredBy }
+   * @returns {Array} ReportDelivery documents
+   */
+  async deliver(subscription, recipients, { at = new Date(), trigger = 'schedule', triggeredBy } = {}) {
+    const byTimezone = recipients.reduce((groups, recipient) => {
+      const timezone = isValidTimezone(recipient.timezone) ? recipient.timezone : 'America/New_York';
+      (groups[timezone] = groups[timezone] || []).push(recipient.email);
+      return groups;
+    }, {});
+
+    const deliveries = [];
+
+    for (const [timezone, emails] of Object.entries(byTimezone)) {
+      const { definition, error } = getDeliveryDefinition(subscription.report, at, timezone);
+
+      let delivery;
+      if (error) {
+        delivery = { status: 'failed', error, range: null, attachments: [], transport: null };
+      } else {
+        delivery = await this.sendReport(subscription, definition, emails);
+      }
+
+      deliveries.push(await ReportDelivery.create({
+        subscriptionId: subscription._id,
+        recipients: emails,
+        timezone,
+        formats: subscription.formats,
+        trigger,
+        triggeredBy,
+        deliveredAt: new Date(),
+        ...delivery
+      }));
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Run one definition and email it to a group of recipients
+   * @private
+   * @returns {Object} Delivery log fields
+   */
+  async sendReport(subscription, definition, emails) {
+    const report = await reportService.run(definition);
+    const title = subscription.name;
+    const period = describeRange(report);
+    const baseName = this.fileBaseName(subscription.name, definition.range.start, definition.timezone);
+
+    const attachments = [];
+    if (subscription.formats.includes('csv')) {
+      attachments.push({ filename: `${baseName}.csv`, content: Buffer.from(toCsv(report, { title }), 'utf8'), contentType: 'text/csv' });
+    }
+    if (subscription.formats.includes('pdf')) {
+      attachments.push({ filename: `${baseName}.pdf`, content: await toPdf(report, { title }), contentType: 'application/pdf' });
+    }
+
+    const result = await emailTransport.send({
+      to: emails.join(', '),
+      subject: `${title} - ${period}`,
+      text: this.buildSummary(title, period, report),
+      attachments
+    });
+
+    return {
+      status: result.success ? 'sent' : 'failed',
+      transport: result.transport,
+      messageId: result.messageId,
+      error: result.error,
+      range: definition.range,
+      attachments: attachments.map(attachment => ({ filename: attachment.filename, size: attachment.content.length }))
+    };
+  }
+
+  /**
+   * Plain-text email body with the headline totals
+   * @private
+   */
+  buildSummary(title, period, report) {
+    const lines = [
+      title,
+      period,
+      '',
+      ...report.metrics.map(name => `${METRICS[name]?.label || name}: ${report.totals[name]}`)
+    ];
+
+    if (report.warnings.length > 0) {
+      lines.push('', ...report.warnings.map(warning => `Note: ${warning}`));
+    }
+
+    lines.push('', 'Full breakdowns are attached.');
+    return lines.join('\n');
+  }
+
+  /**
+   * Attachment name, e.g. weekly-numbers-2026-03-09
+   * @private
+   */
+  fileBaseName(name, start, timezone) {
+    const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'report';
+    return `${slug}-${new Date(start).toLocaleDateString('en-CA', { timeZone: timezone })}`;
+  }
+
+  /**
+   * Send a subscription to all its recipients now (does not change the schedule)
+   * @param {Object} subscription - ReportSubscription document
+   * @param {String} userId - User triggering the send
+   * @returns {Array} ReportDelivery documents
+   */
+  async sendNow(subscription, userId) {
+    return this.deliver(subscription, subscription.recipients, { trigger: 'manual', triggeredBy: userId });
+  }
+
+  /**
+   * Delivery log for a subscription, newest first
+   * @param {String} subscriptionId - Subscription ID
+   * @param {Number} limit - Max entries
+   * @returns {Array} ReportDelivery documents
+   */
+  async getDeliveries(subscriptionId, limit = 50) {
+    return ReportDelivery.find({ subscriptionId })
+      .sort({ deliveredAt: -1 })
+      .limit(Math.min(limit, 500))
+      .lean();
+  }
+}
+
+module.exports = new ReportSubscriptionService();
@@ -16,11 +16,12 @@
 const Anthropic = require('@anthropic-ai/sdk');
 const { assembleLeadContext } = require('./leadContextService');
 const mongoose = require('mongoose');
+const { instrumentAnthropic } = require('../utils/metrics');
 
 // Initialize Anthropic client
-const anthropic = new Anthropic({
+const anthropic = instrumentAnthropic(new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY
-});
+}), 'script_generation');
 
 // AI Scripts Schema (will be created separately)
 const aiScriptSchema = new mongoose.Schema({
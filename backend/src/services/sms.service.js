@@ -0,0 +1,281 @@
+const Conversation = require('../database/mongodb/schemas/conversation.schema');
+const Lead = require('../database/mongodb/schemas/lead.schema');
+const Organization = require('../database/mongodb/schemas/organization.schema');
+const telnyxService = require('./telnyx.service');
+const dncService = require('./dncService');
+const consentManager = require('../security/consent-manager');
+const { triggerScoreAfterNurtureInteraction } = require('../integrations/leadScoringTriggers');
+const { parseKeyword, buildKeywordReply, KEYWORD_TYPES } = require('../utils/smsKeywords');
+const { runWithOrganization } = require('../utils/tenant.util');
+const { formatPhoneE164 } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+/**
+ * SMS Service
+ * Handles inbound Telnyx messages and SMS conversation threads
+ *
+ * Inbound flow (message.received webhook):
+ * 1. Resolve the organization (by the number texted) and matching leads
+ * 2. Apply keywords - STOP revokes consent and adds the number to DNC,
+ *    START re-grants SMS consent, HELP only replies
+ * 3. Append the message to the lead's SMS Conversation
+ * 4. Send the carrier-required keyword confirmation
+ * 5. For normal replies, pause nurture sequences and queue a score
+ *    recalculation
+ *
+ * Webhooks run outside a request, so all lead/conversation access is
+ * explicitly scoped with runWithOrganization.
+ */
+
+// dnc_list.added_by_user_id is NOT NULL; keyword opt-outs have no user
+const SYSTEM_USER_ID = '00000000-0000-0000-0000-000000000000';
+
+const KEYWORD_SOURCE = 'sms_keyword';
+
+const PG_UNIQUE_VIOLATION = '23505';
+
+class SMSService {
+  /**
+   * Handle an inbound message.received payload
+   * @param {Object} payload - Telnyx message payload
+   * @returns {Object} Processing result
+   */
+  async handleInboundMessage(payload) {
+    const messageId = payload.id;
+    const from = payload.from?.phone_number && formatPhoneE164(payload.from.phone_number);
+    const to = payload.to?.[0]?.phone_number && formatPhoneE164(payload.to[0].phone_number);
+    const text = payload.text || '';
+
+    if (!from) {
+      logger.warn('Inbound SMS without sender number', { messageId });
+      return { processed: false, reason: 'missing_sender' };
+    }
+
+    // Telnyx retries webhooks - skip messages already stored
+    if (messageId && await runWithOrganization(null, () =>
+      Conversation.exists({ channel: 'sms', 'messages.messageId': messageId })
+    )) {
+      logger.info(`Inbound SMS already processed: ${messageId}`);
+      return { processed: false, reason: 'duplicate', messageId };
+    }
+
+    const organization = to
+      ? await Organization.findOne({ 'settings.callerIdNumber': to }).lean()
+      : null;
+
+    const leads = await runWithOrganization(null, () => Lead.find({
+      $or: [{ phone: from }, { alternatePhone: from }],
+      ...(organization && { organizationId: organization._id })
+    }));
+
+    const keyword = parseKeyword(text);
+
+    logger.info(`Inbound SMS from ${from}`, {
+      messageId,
+      keyword: keyword?.type,
+      leads: leads.length,
+      organizationId: organization?._id
+    });
+
+    if (keyword) {
+      await this.applyKeyword(keyword, { from, text, messageId, organization, leads });
+    }
+
+    const conversations = [];
+    for (const lead of leads) {
+      conversations.push(await runWithOrganization(lead.organizationId, () =>
+        this.appendMessage(lead, {
+          messageId,
+          timestamp: payload.received_at ? new Date(payload.received_at) : new Date(),
+          sender: { type: 'lead', id: lead._id, name: lead.name },
+          content: text || '[media]',
+          contentType: payload.media?.length ? 'image' : 'text',
+          mediaUrl: payload.media?.[0]?.url,
+          metadata: { from, to, keyword: keyword?.keyword }
+        })
+      ));
+    }
+
+    if (keyword) {
+      await this.sendKeywordReply(keyword.type, { from, to, organization, conversations });
+    } else {
+      // Required lazily - the nurture engine sends through this service
+      const nurtureSequenceService = require('./nurtureSequence.service');
+
+      for (const lead of leads) {
+        await runWithOrganization(lead.organizationId, () =>
+          nurtureSequenceService.pauseForReply(lead._id, 'sms')
+        );
+        await triggerScoreAfterNurtureInteraction(lead._id.toString(), { type: 'sms', action: 'reply' });
+      }
+    }
+
+    return {
+      processed: true,
+      messageId,
+      keyword: keyword?.type || null,
+      leadIds: leads.map(lead => lead._id.toString()),
+      leadsByOrganization: leads.reduce((groups, lead) => {
+        const organizationId = String(lead.organizationId || '');
+        (groups[organizationId] = groups[organizationId] || []).push(lead._id.toString());
+        return groups;
+      }, {}),
+      conversationIds: conversations.map(conversation => conversation.conversationId)
+    };
+  }
+
+  /**
+   * Apply DNC / consent changes for a keyword
+   * @private
+   */
+  async applyKeyword(keyword, { from, text, messageId, organization, leads }) {
+    const details = {
+      source: KEYWORD_SOURCE,
+      reason: `SMS keyword: ${keyword.keyword}`,
+      phoneNumber: from,
+      proofReference: messageId
+    };
+
+    if (keyword.type === KEYWORD_TYPES.OPT_OUT) {
+      // Consent first - revocation must stand even if the DNC write fails
+      for (const lead of leads) {
+        await consentManager.revokeConsent(lead._id.toString(), 'all', details);
+      }
+
+      const organizationIds = new Set(leads.map(lead => lead.organizationId).filter(Boolean).map(String));
+      if (organization) organizationIds.add(String(organization._id));
+
+      if (organizationIds.size === 0) {
+        logger.warn(`SMS opt-out from ${from} matched no organization; DNC not updated`, { messageId });
+      }
+
+      const failures = [];
+      for (const organizationId of organizationIds) {
+        try {
+          await dncService.addToDNC({
+            phoneNumber: from,
+            reason: 'lead_requested',
+            source: KEYWORD_SOURCE,
+            addedByUserId: SYSTEM_USER_ID,
+            organizationId,
+            detectedPhrase: text
+          });
+        } catch (error) {
+          // dnc_list.phone_number is globally unique - the number is
+          // already blocked, through another organization's row
+          if (error.code === PG_UNIQUE_VIOLATION) {
+            logger.info(`SMS opt-out from ${from} already on DNC`, { messageId, organizationId });
+          } else {
+            failures.push(error);
+          }
+        }
+      }
+
+      // Let Telnyx redeliver so the DNC write is retried
+      if (failures.length > 0) throw failures[0];
+    }
+
+    if (keyword.type === KEYWORD_TYPES.OPT_IN) {
+      // Re-grants SMS only - DNC removal stays a manual, audited action
+      for (const lead of leads) {
+        await consentManager.recordConsent(lead._id.toString(), { type: 'sms', ...details });
+      }
+    }
+  }
+
+  /**
+   * Send the keyword confirmation and log it on each conversation
+   * Failures are logged, not thrown - the keyword itself was applied
+   * @private
+   */
+  async sendKeywordReply(type, { from, to, organization, conversations }) {
+    const reply = buildKeywordReply(type, { brand: organization?.name });
+    const result = await telnyxService.sendSMS(from, reply, { from: to });
+
+    if (!result.success) {
+      logger.error(`Failed to send SMS keyword reply to ${from}:`, result.error);
+      return result;
+    }
+
+    for (const conversation of conversations) {
+      await runWithOrganization(conversation.organizationId, () => {
+        conversation.addMessage({
+          messageId: result.messageId,
+          sender: { type: 'system', name: 'sms-keyword' },
+          content: reply,
+          metadata: { from: to, to: from, keywordReply: type }
+        });
+        return conversation.save();
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Send an outbound SMS to a lead and log it on the SMS conversation
+   * Callers are responsible for DNC / consent / quiet-hours checks
+   * @param {Object} lead - Lead document
+   * @param {String} text - Message body
+   * @param {Object} options - { sender, metadata }
+   * @returns {Object} { success, messageId, conversationId } or { success: false, error }
+   */
+  async sendMessage(lead, text, options = {}) {
+    const organization = lead.organizationId
+      ? await Organization.findById(lead.organizationId).lean()
+      : null;
+    const from = organization?.settings?.callerIdNumber;
+
+    const result = await telnyxService.sendSMS(lead.phone, text, { from });
+
+    if (!result.success) {
+      logger.error(`Failed to send SMS to lead ${lead._id}:`, result.error);
+      return result;
+    }
+
+    const conversation = await this.appendMessage(lead, {
+      messageId: result.messageId,
+      sender: options.sender || { type: 'system' },
+      content: text,
+      metadata: { from, to: lead.phone, ...options.metadata }
+    });
+
+    return {
+      success: true,
+      messageId: result.messageId,
+      conversationId: conversation.conversationId
+    };
+  }
+
+  /**
+   * Append a message to the lead's active SMS conversation
+   * Starts a new conversation when none is active
+   * @param {Object} lead - Lead document
+   * @param {Object} message - Conversation message fields
+   * @returns {Object} Conversation document
+   */
+  async appendMessage(lead, message) {
+    let conversation = await Conversation.findOne({
+      leadId: lead._id,
+      channel: 'sms',
+      status: 'active'
+    }).sort({ lastActivityAt: -1 });
+
+    if (!conversation) {
+      conversation = new Conversation({
+        conversationId: `SMS_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        leadId: lead._id,
+        channel: 'sms',
+        subChannel: 'telnyx-sms',
+        status: 'active'
+      });
+    }
+
+    conversation.addMessage(message);
+    await conversation.save();
+
+    return conversation;
+  }
+}
+
+module.exports = new SMSService();
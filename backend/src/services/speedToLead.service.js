@@ -0,0 +1,341 @@
+const SpeedToLeadRule = require('../database/mongodb/schemas/speedToLeadRule.schema');
+const CallLog = require('../database/mongodb/schemas/calllog.schema');
+const Lead = require('../database/mongodb/schemas/lead.schema');
+const leadQueueService = require('./leadQueueService');
+const cadenceService = require('./cadence.service');
+const telnyxService = require('./telnyx.service');
+const dncService = require('./dncService');
+const telnyxConfig = require('../config/telnyx.config');
+const tcpaCompliance = require('../security/tcpa-compliance');
+const consentManager = require('../security/consent-manager');
+const { selectRule } = require('../utils/speedToLead');
+const { ACTIVE_CALL_STATUSES } = require('../utils/callStateMachine');
+const { runWithOrganization, getOrganizationId } = require('../utils/tenant.util');
+const { scheduleDial } = require('../queues/speedToLead.queue');
+const logger = require('../utils/logger');
+
+/**
+ * Speed-to-Lead Service
+ * Dials newly imported hot leads with the AI agent within seconds
+ *
+ * leadImporter.intakeLead (Gmail import, intake webhook) calls evaluate()
+ * for every new lead. The first active SpeedToLeadRule the lead matches
+ * queues a dial attempt on queues/speedToLead.queue, which reserves the
+ * lead through leadQueueService and places the call once DNC, consent,
+ * calling-window and daily-cap checks pass and a line is free:
+ *
+ *   queued → dialed
+ *          → deferred (calling window closed; dialed when it opens)
+ *          → blocked (DNC / no consent / daily cap) | expired (no free line within maxWaitMinutes)
+ *          → skipped (already contacted or reserved by another dialer)
+ *
+ * Progress is kept on the lead as customFields.speedToLead; Lead.firstDialedAt
+ * feeds the time-to-first-dial analytics.
+ */
+
+// Wait between attempts while every line is busy
+const CAPACITY_RETRY_MS = parseInt(process.env.SPEED_TO_LEAD_RETRY_SECONDS) * 1000 || 30000;
+
+class SpeedToLeadService {
+  /**
+   * Queue an immediate dial when a new lead matches a rule
+   * Runs in the lead's organization context
+   * @param {Object} lead - Newly created lead
+   * @returns {Object|null} Matched rule
+   */
+  async evaluate(lead) {
+    const rules = await SpeedToLeadRule.find({ isActive: true }).sort({ priority: 1 }).lean();
+    const rule = selectRule(rules, lead);
+
+    if (!rule) return null;
+
+    const now = new Date();
+    await Lead.updateOne({ _id: lead._id }, {
+      $set: {
+        'customFields.speedToLead': {
+          ruleId: String(rule._id),
+          ruleName: rule.name,
+          status: 'queued',
+          triggeredAt: now
+        }
+      }
+    });
+    await SpeedToLeadRule.updateOne({ _id: rule._id }, {
+      $inc: { 'stats.triggered': 1 },
+      $set: { 'stats.lastTriggeredAt': now }
+    });
+
+    await scheduleDial({ leadId: lead._id, ruleId: rule._id, organizationId: getOrganizationId() });
+
+    logger.info(`[Speed-to-Lead] Lead ${lead._id} matched rule "${rule.name}"`);
+    return rule;
+  }
+
+  /**
+   * Run one dial attempt (called by the speed-to-lead queue)
+   * @param {Object} job - { leadId, ruleId, organizationId }
+   * @returns {Object} { status, reason }
+   */
+  async attempt({ leadId, ruleId, organizationId }) {
+    return runWithOrganization(organizationId, async () => {
+      const [lead, rule] = await Promise.all([
+        Lead.findById(leadId).lean(),
+        SpeedToLeadRule.findById(ruleId).lean()
+      ]);
+      const state = lead?.customFields?.speedToLead;
+
+      if (!lead || !rule || !state || !['queued', 'deferred'].includes(state.status)) {
+        return { status: 'ignored', reason: 'not_pending' };
+      }
+
+      if (!rule.isActive) {
+        return this.finish(lead, rule, 'skipped', 'rule_inactive');
+      }
+
+      if (!lead.isActive || lead.status !== 'new' || lead.lastContactedAt) {
+        return this.finish(lead, rule, 'skipped', 'already_contacted');
+      }
+
+      const now = new Date();
+      const waitingSince = new Date(state.deferredUntil || state.triggeredAt);
+      if (now - waitingSince > rule.maxWaitMinutes * 60000) {
+        return this.finish(lead, rule, 'expired', state.reason || 'no_capacity');
+      }
+
+      const capacity = await this.getAvailableCapacity(rule, now);
+      if (capacity.available <= 0) {
+        return this.retry(lead, rule, new Date(now.getTime() + CAPACITY_RETRY_MS), `limited_by_${capacity.limitedBy}`);
+      }
+
+      return this.dial(lead, rule, organizationId);
+    });
+  }
+
+  /**
+   * Reserve, compliance-check and dial a lead
+   * @private
+   */
+  async dial(lead, rule, organizationId) {
+    const reserved = await leadQueueService.reserveLead(lead._id);
+    if (!reserved) {
+      return this.finish(lead, rule, 'skipped', 'reserved');
+    }
+
+    try {
+      const compliance = await this.checkCompliance(reserved, organizationId);
+
+      if (!compliance.allowed) {
+        await leadQueueService.releaseLead(reserved._id);
+
+        if (compliance.retryAt) {
+          return this.defer(lead, rule, compliance.retryAt);
+        }
+        return this.finish(lead, rule, 'blocked', compliance.reason);
+      }
+
+      const callLog = await CallLog.create({
+        callLogId: `CALL_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        leadId: reserved._id,
+        direction: 'outbound',
+        callType: 'qualification',
+        from: {
+          number: telnyxConfig.config.phoneNumber,
+          displayName: 'Voice Agent'
+        },
+        to: {
+          number: reserved.phone,
+          displayName: `${reserved.firstName} ${reserved.lastName}`
+        },
+        status: 'initiated',
+        initiatedAt: new Date(),
+        compliance: {
+          doNotCallCheck: true,
+          timeOfDayCompliant: true,
+          consentRecorded: true,
+          consentLedgerEntryId: compliance.consentEntryId
+        },
+        metadata: { speedToLeadRuleId: String(rule._id) }
+      });
+
+      const result = await telnyxService.initiateCall(reserved.phone, callLog.callLogId, {
+        callLogId: callLog.callLogId,
+        leadId: reserved._id.toString(),
+        speedToLeadRuleId: rule._id.toString()
+      }, { lead: reserved });
+
+      if (!result.success) {
+        callLog.status = 'failed';
+        callLog.endedAt = new Date();
+        callLog.errors = [{ errorType: 'initiation', errorMessage: result.error, timestamp: new Date(), severity: 'high' }];
+        await callLog.save();
+
+        await leadQueueService.releaseLead(reserved._id);
+
+        logger.warn(`[Speed-to-Lead] Call failed to start for lead ${reserved._id}`, { error: result.error });
+        return this.retry(lead, rule, new Date(Date.now() + CAPACITY_RETRY_MS), 'initiation_failed');
+      }
+
+      callLog.telnyx = {
+        callControlId: result.callControlId,
+        apiResponse: result.data
+      };
+      callLog.from.number = result.from;
+      await callLog.save();
+
+      const now = new Date();
+      const triggeredAt = new Date(lead.customFields.speedToLead.triggeredAt);
+
+      await Lead.updateOne({ _id: reserved._id }, {
+        $set: {
+          lastContactedAt: now,
+          lastContactMethod: 'phone',
+          'customFields.speedToLead.status': 'dialed',
+          'customFields.speedToLead.dialedAt': now,
+          'customFields.speedToLead.callLogId': callLog.callLogId,
+          'customFields.speedToLead.secondsToDial': Math.round((now - triggeredAt) / 1000)
+        },
+        $unset: { 'customFields.speedToLead.reason': '' },
+        $min: { firstDialedAt: now },
+        $inc: { contactAttempts: 1 }
+      });
+
+      await SpeedToLeadRule.updateOne({ _id: rule._id }, {
+        $inc: { 'stats.dialed': 1 },
+        $set: { 'stats.lastDialedAt': now }
+      });
+
+      logger.info(`[Speed-to-Lead] Dialed lead ${reserved._id} ${Math.round((now - new Date(reserved.createdAt)) / 1000)}s after it arrived`);
+      return { status: 'dialed', callLogId: callLog.callLogId };
+
+    } catch (error) {
+      await leadQueueService.releaseLead(reserved._id);
+      throw error;
+    }
+  }
+
+  /**
+   * DNC, consent, calling-window and daily-cap checks for a lead
+   * @private
+   */
+  async checkCompliance(lead, organizationId) {
+    const dnc = await dncService.checkDNC(lead.phone, organizationId);
+    if (dnc.onDNCList) {
+      return { allowed: false, reason: 'dnc' };
+    }
+
+    const consent = await consentManager.getConsentProof(lead._id, 'call');
+    if (!consent.consented) {
+      return { allowed: false, reason: 'no_consent' };
+    }
+
+    const window = await tcpaCompliance.checkCallingWindow(lead, { phoneNumber: lead.phone });
+    if (!window.allowed) {
+      return { allowed: false, reason: 'calling_window', retryAt: window.nextAllowedAt };
+    }
+
+    // Speed matters more than a retry tomorrow - a capped number is blocked, not deferred
+    const dailyCap = await cadenceService.checkDailyCap(lead);
+    if (!dailyCap.allowed) {
+      return { allowed: false, reason: 'daily_cap' };
+    }
+
+    return { allowed: true, consentEntryId: String(consent.entry.id) };
+  }
+
+  /**
+   * How many speed-to-lead calls a rule may place right now
+   * Limited by the rule's maxConcurrent and account-wide maxConcurrentCalls
+   * @param {Object} rule - SpeedToLeadRule
+   * @param {Date} now - Evaluation time
+   * @returns {Object} { available, limitedBy, ruleActive, accountActive }
+   */
+  async getAvailableCapacity(rule, now = new Date()) {
+    // Ignore calls that never received a hangup webhook
+    const staleCutoff = new Date(now.getTime() - telnyxConfig.config.callTimeout);
+    const activeFilter = { status: { $in: ACTIVE_CALL_STATUSES }, initiatedAt: { $gte: staleCutoff } };
+
+    const [ruleActive, accountActive] = await Promise.all([
+      CallLog.countDocuments({ ...activeFilter, 'metadata.speedToLeadRuleId': String(rule._id) }),
+      // Telnyx concurrency is account-wide - count across all organizations
+      runWithOrganization(null, () => CallLog.countDocuments(activeFilter))
+    ]);
+
+    const limits = {
+      rule_concurrency: (rule.maxConcurrent || 1) - ruleActive,
+      account_concurrency: telnyxConfig.config.maxConcurrentCalls - accountActive
+    };
+
+    const [limitedBy, available] = Object.entries(limits).sort((a, b) => a[1] - b[1])[0];
+
+    return { available, limitedBy, ruleActive, accountActive };
+  }
+
+  /**
+   * Try again shortly (no free line / call failed to start)
+   * @private
+   */
+  async retry(lead, rule, runAt, reason) {
+    await Lead.updateOne({ _id: lead._id }, { $set: { 'customFields.speedToLead.reason': reason } });
+    await scheduleDial({ leadId: lead._id, ruleId: rule._id, organizationId: getOrganizationId() }, runAt);
+
+    return { status: 'retrying', reason, retryAt: runAt };
+  }
+
+  /**
+   * Wait for the lead's calling window to open
+   * @private
+   */
+  async defer(lead, rule, until) {
+    await Lead.updateOne({ _id: lead._id }, {
+      $set: {
+        'customFields.speedToLead.status': 'deferred',
+        'customFields.speedToLead.reason': 'calling_window',
+        'customFields.speedToLead.deferredUntil': until
+      }
+    });
+
+    // Count each lead once however many times its window is checked
+    if (lead.customFields.speedToLead.status !== 'deferred') {
+      await SpeedToLeadRule.updateOne({ _id: rule._id }, { $inc: { 'stats.deferred': 1 } });
+    }
+
+    await scheduleDial({ leadId: lead._id, ruleId: rule._id, organizationId: getOrganizationId() }, until);
+
+    logger.info(`[Speed-to-Lead] Lead ${lead._id} deferred until ${new Date(until).toISOString()}`);
+    return { status: 'deferred', reason: 'calling_window', retryAt: until };
+  }
+
+  /**
+   * Stop trying to dial a lead; it stays in the regular call queue
+   * @private
+   */
+  async finish(lead, rule, status, reason) {
+    await Lead.updateOne({ _id: lead._id }, {
+      $set: {
+        'customFields.speedToLead.status': status,
+        'customFields.speedToLead.reason': reason,
+        'customFields.speedToLead.finishedAt': new Date()
+      }
+    });
+
+    if (['blocked', 'expired'].includes(status)) {
+      await SpeedToLeadRule.updateOne({ _id: rule._id }, { $inc: { [`stats.${status}`]: 1 } });
+    }
+
+    logger.info(`[Speed-to-Lead] Lead ${lead._id} not dialed: ${status} (${reason})`);
+    return { status, reason };
+  }
+
+  /**
+   * Record when a speed-to-lead call was answered
+   * Subscribed to call.answered (see integrations/callLifecycleSubscribers)
+   * @param {Object} callLog - CallLog with metadata.speedToLeadRuleId
+   */
+  async handleCallAnswered(callLog) {
+    await Lead.updateOne({ _id: callLog.leadId }, {
+      $set: { 'customFields.speedToLead.answeredAt': callLog.answeredAt }
+    });
+  }
+}
+
+module.exports = new SpeedToLeadService();
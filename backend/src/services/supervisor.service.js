@@ -0,0 +1,318 @@
+const CallLog = require('../database/mongodb/schemas/calllog.schema');
+const telnyxService = require('./telnyx.service');
+const voiceAgentService = require('./voice-agent.service');
+const auditLogger = require('../security/audit-logger');
+const { runWithOrganization } = require('../utils/tenant.util');
+const {
+  checkAccess,
+  sameOrganization,
+  checkMode,
+  canEndSession,
+  whisperTargets,
+  findOpenSession,
+  SUPERVISOR_ROLES,
+  LIVE_STATUSES,
+  OPEN_SESSION_STATUSES
+} = require('../utils/supervisorMonitoring');
+const logger = require('../utils/logger');
+
+/**
+ * Supervisor Service
+ * Live monitoring of active calls: listen, whisper and barge
+ *
+ * The first supervisor on a call moves the lead's leg (and the closer's,
+ * after a warm transfer) into a Telnyx conference. Each supervisor is then
+ * dialed and joins that conference with a supervisor role:
+ *
+ *   listen  → monitor  (hears everyone, nobody hears them)
+ *   whisper → whisper  (heard by the closer's leg only)
+ *   barge   → barge    (a full participant)
+ *
+ * Session state (CallLog.monitoring.sessions):
+ *
+ *   dialing → active → ended
+ *      ↘ failed
+ *
+ * Supervisor legs carry supervisorSessionId in client_state; their Telnyx
+ * events come here from the webhook (handleCallEvent) instead of the
+ * call lifecycle. Every action is audit-logged. Who may use which mode
+ * on which call is decided in utils/supervisorMonitoring.
+ */
+
+class SupervisorService {
+  /**
+   * Telnyx participant options for a mode
+   * @private
+   */
+  participantOptions(callLog, mode) {
+    return {
+      supervisorRole: SUPERVISOR_ROLES[mode],
+      whisperCallControlIds: mode === 'whisper' ? whisperTargets(callLog) : undefined
+    };
+  }
+
+  /**
+   * Move the call into a conference the first time a supervisor joins
+   * @private
+   * @returns {String|null} Conference ID
+   */
+  async ensureConference(callLog) {
+    if (callLog.monitoring?.conferenceId) return callLog.monitoring.conferenceId;
+
+    const created = await telnyxService.createConference(callLog.telnyx.callControlId, `monitor-${callLog.callLogId}`);
+    if (!created.success) {
+      logger.warn(`[Supervisor] Could not create conference for call ${callLog.callLogId}: ${created.error}`);
+      return null;
+    }
+
+    // A bridged closer leg joins too so lead and closer still hear each other
+    const closerLeg = whisperTargets(callLog)[0];
+    if (closerLeg) {
+      const joined = await telnyxService.joinConference(created.conferenceId, closerLeg);
+      if (!joined.success) {
+        logger.warn(`[Supervisor] Closer leg did not join conference for call ${callLog.callLogId}: ${joined.error}`);
+      }
+    }
+
+    await CallLog.updateOne({ _id: callLog._id }, { $set: { 'monitoring.conferenceId': created.conferenceId } });
+    return created.conferenceId;
+  }
+
+  /**
+   * Start monitoring a call, or switch mode when the user already is
+   * @param {Object} callLog - CallLog document
+   * @param {Object} user - Supervisor (req.user)
+   * @param {Object} options - { mode, phoneNumber: where to dial the supervisor, ipAddress }
+   * @returns {Object} { success, session, reason, error }
+   */
+  async startSession(callLog, user, options) {
+    const { mode, phoneNumber } = options;
+
+    const problem = checkAccess(user, callLog, mode) || checkMode(callLog, mode);
+    if (problem) return { success: false, reason: problem };
+
+    const existing = findOpenSession(callLog, user._id);
+    if (existing) return this.changeMode(callLog, existing.sessionId, mode, user, options);
+
+    const conferenceId = await this.ensureConference(callLog);
+    if (!conferenceId) return { success: false, reason: 'conference_failed' };
+
+    const sessionId = `SUP_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const session = {
+      sessionId,
+      userId: user._id,
+      userName: user.fullName,
+      mode,
+      phoneNumber,
+      status: 'dialing',
+      startedAt: new Date()
+    };
+
+    await CallLog.updateOne({ _id: callLog._id }, { $push: { 'monitoring.sessions': session } });
+
+    const result = await telnyxService.initiateCall(phoneNumber, `${callLog.callLogId}-${sessionId}`, {
+      supervisorSessionId: sessionId,
+      callLogId: callLog.callLogId
+    }, { from: callLog.from?.number });
+
+    if (!result.success) {
+      await this.setSessionStatus(callLog._id, sessionId, OPEN_SESSION_STATUSES, 'failed');
+      return { success: false, reason: 'dial_failed', error: result.error };
+    }
+
+    await CallLog.updateOne(
+      { _id: callLog._id, 'monitoring.sessions.sessionId': sessionId },
+      { $set: { 'monitoring.sessions.$.callControlId': result.callControlId } }
+    );
+
+    await auditLogger.logSupervisorAction(user._id, mode, {
+      callLogId: callLog.callLogId,
+      sessionId,
+      phoneNumber,
+      ipAddress: options.ipAddress
+    });
+
+    logger.info(`[Supervisor] ${user.fullName} dialed in to ${mode} on call ${callLog.callLogId}`);
+
+    return { success: true, session: { ...session, callControlId: result.callControlId } };
+  }
+
+  /**
+   * Switch a session between listen, whisper and barge
+   * @param {Object} callLog - CallLog document
+   * @param {String} sessionId - Session ID
+   * @param {String} mode - New mode
+   * @param {Object} user - Supervisor (req.user)
+   * @param {Object} options - { ipAddress }
+   * @returns {Object} { success, session, reason, error }
+   */
+  async changeMode(callLog, sessionId, mode, user, options = {}) {
+    const problem = checkAccess(user, callLog, mode) || checkMode(callLog, mode);
+    if (problem) return { success: false, reason: problem };
+
+    const session = (callLog.monitoring?.sessions || []).find(s => s.sessionId === sessionId);
+    if (!session || !OPEN_SESSION_STATUSES.includes(session.status)) return { success: false, reason: 'session_not_found' };
+
+    // A dialing supervisor joins in the new mode when they answer
+    if (session.status === 'active') {
+      const result = await telnyxService.updateConferenceParticipant(
+        callLog.monitoring.conferenceId,
+        session.callControlId,
+        this.participantOptions(callLog, mode)
+      );
+      if (!result.success) return { success: false, reason: 'telnyx_error', error: result.error };
+    }
+
+    await CallLog.updateOne(
+      { _id: callLog._id, 'monitoring.sessions.sessionId': sessionId },
+      { $set: { 'monitoring.sessions.$.mode': mode } }
+    );
+
+    await auditLogger.logSupervisorAction(user._id, 'mode_change', {
+      callLogId: callLog.callLogId,
+      sessionId,
+      from: session.mode,
+      to: mode,
+      ipAddress: options.ipAddress
+    });
+
+    if (mode === 'barge' || session.mode === 'barge') {
+      await this.notifyAgent(callLog, mode === 'barge' ? 'supervisor.barged' : 'supervisor.left');
+    }
+
+    return { success: true, session: { ...(session.toObject ? session.toObject() : session), mode } };
+  }
+
+  /**
+   * Hang up a supervisor's leg
+   * @param {Object} callLog - CallLog document
+   * @param {String} sessionId - Session ID
+   * @param {Object} user - Who ended it (req.user)
+   * @param {Object} options - { ipAddress }
+   * @returns {Object} { success, reason }
+   */
+  async endSession(callLog, sessionId, user, options = {}) {
+    if (!sameOrganization(user, callLog)) return { success: false, reason: 'wrong_organization' };
+
+    const session = (callLog.monitoring?.sessions || []).find(s => s.sessionId === sessionId);
+    if (!session || !OPEN_SESSION_STATUSES.includes(session.status)) return { success: false, reason: 'session_not_found' };
+    if (!canEndSession(user, session)) return { success: false, reason: 'forbidden_session' };
+
+    await this.setSessionStatus(callLog._id, sessionId, OPEN_SESSION_STATUSES, 'ended');
+    if (session.callControlId) await telnyxService.hangupCall(session.callControlId);
+
+    await auditLogger.logSupervisorAction(user._id, 'leave', {
+      callLogId: callLog.callLogId,
+      sessionId,
+      supervisorId: session.userId,
+      ipAddress: options.ipAddress
+    });
+
+    if (session.mode === 'barge') await this.notifyAgent(callLog, 'supervisor.left');
+
+    return { success: true };
+  }
+
+  /**
+   * Hang up every supervisor when the monitored call ends
+   * @param {Object} callLog - Ended CallLog
+   */
+  async endAllSessions(callLog) {
+    const open = (callLog.monitoring?.sessions || []).filter(s => OPEN_SESSION_STATUSES.includes(s.status));
+
+    for (const session of open) {
+      await this.setSessionStatus(callLog._id, session.sessionId, OPEN_SESSION_STATUSES, 'ended');
+      if (session.callControlId) await telnyxService.hangupCall(session.callControlId);
+    }
+  }
+
+  /**
+   * Handle a Telnyx event on a supervisor's leg
+   * @param {String} eventType - Telnyx event type
+   * @param {Object} clientState - { supervisorSessionId, callLogId }
+   * @param {Object} payload - Telnyx payload
+   */
+  async handleCallEvent(eventType, clientState, payload = {}) {
+    const { supervisorSessionId: sessionId, callLogId } = clientState;
+
+    const callLog = await CallLog.findOne({ callLogId, 'monitoring.sessions.sessionId': sessionId });
+    if (!callLog) return;
+
+    return runWithOrganization(callLog.organizationId, async () => {
+      const session = callLog.monitoring.sessions.find(s => s.sessionId === sessionId);
+
+      if (eventType === 'call.answered') {
+        await this.join(callLog, session, payload.call_control_id);
+      } else if (eventType === 'call.hangup') {
+        const ended = await this.setSessionStatus(callLog._id, sessionId, OPEN_SESSION_STATUSES, 'ended');
+        if (ended && session.mode === 'barge') await this.notifyAgent(callLog, 'supervisor.left');
+      }
+    });
+  }
+
+  /**
+   * Supervisor answered - join the conference in the session's mode
+   * @private
+   */
+  async join(callLog, session, callControlId) {
+    const leg = callControlId || session.callControlId;
+
+    if (session.status !== 'dialing' || !LIVE_STATUSES.includes(callLog.status)) {
+      await telnyxService.hangupCall(leg);
+      return;
+    }
+
+    const result = await telnyxService.joinConference(
+      callLog.monitoring.conferenceId,
+      leg,
+      this.participantOptions(callLog, session.mode)
+    );
+
+    if (!result.success) {
+      logger.warn(`[Supervisor] Session ${session.sessionId} could not join call ${callLog.callLogId}: ${result.error}`);
+      await this.setSessionStatus(callLog._id, session.sessionId, ['dialing'], 'failed');
+      await telnyxService.hangupCall(leg);
+      return;
+    }
+
+    await CallLog.updateOne(
+      { _id: callLog._id, 'monitoring.sessions': { $elemMatch: { sessionId: session.sessionId, status: 'dialing' } } },
+      { $set: { 'monitoring.sessions.$.status': 'active', 'monitoring.sessions.$.joinedAt': new Date() } }
+    );
+
+    if (session.mode === 'barge') await this.notifyAgent(callLog, 'supervisor.barged');
+
+    logger.info(`[Supervisor] ${session.userName} joined call ${callLog.callLogId} (${session.mode})`);
+  }
+
+  /**
+   * Move a session to a new status if it is still in an expected one
+   * @private
+   * @returns {Boolean} Whether this caller made the move
+   */
+  async setSessionStatus(callLogId, sessionId, fromStatuses, status) {
+    const result = await CallLog.updateOne(
+      { _id: callLogId, 'monitoring.sessions': { $elemMatch: { sessionId, status: { $in: fromStatuses } } } },
+      { $set: { 'monitoring.sessions.$.status': status, 'monitoring.sessions.$.endedAt': new Date() } }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Tell the voice agent a supervisor took over or left the conversation
+   * @private
+   */
+  async notifyAgent(callLog, type) {
+    if (!voiceAgentService.isConfigured()) return;
+
+    await voiceAgentService.sendCallEvent({
+      type,
+      callId: callLog.callLogId,
+      callControlId: callLog.telnyx?.callControlId,
+      data: {}
+    });
+  }
+}
+
+module.exports = new SupervisorService();
@@ -1,5 +1,8 @@
 const Telnyx = require('telnyx');
 const telnyxConfig = require('../config/telnyx.config');
+const callerIdPoolService = require('./callerIdPool.service');
+const { validateCallerID } = require('../security/caller-id-validator');
+const { instrumentTelnyx } = require('../utils/metrics');
 
 /**
  * Telnyx Service for Voice Call Management
@@ -19,22 +22,39 @@ class TelnyxService {
       console.warn('⚠️  Telnyx not properly configured. Features will be limited.');
       this.client = null;
     } else {
-      this.client = Telnyx(this.config.config.apiKey);
+      // Latency and error counts per API operation are exported at /metrics
+      this.client = instrumentTelnyx(Telnyx(this.config.config.apiKey));
       console.log('✅ Telnyx service initialized');
     }
   }
 
   /**
    * Initiate outbound call
+   * The caller ID is a local-presence number from the pool unless options.from
+   * is given; either way it must be an owned number
+   * @param {Object} options - { from: caller ID, lead: Lead being called (for local presence) }
    */
-  async initiateCall(phoneNumber, callId, metadata = {}) {
+  async initiateCall(phoneNumber, callId, metadata = {}, options = {}) {
     try {
       if (!this.client) {
         throw new Error('Telnyx client not initialized');
       }
 
+      const caller = options.from
+        ? { phoneNumber: options.from }
+        : await callerIdPoolService.selectNumber(phoneNumber, { lead: options.lead });
+
+      if (!caller) {
+        throw new Error('No caller ID available - every pool number has reached its daily cap');
+      }
+
+      const callerId = await validateCallerID(caller.phoneNumber);
+      if (!callerId.valid) {
+        throw new Error(`Caller ID ${caller.phoneNumber} rejected: ${callerId.reason}`);
+      }
+
       // Get call configuration from config module
-      const callData = this.config.getCallConfig(phoneNumber, callId, metadata);
+      const callData = this.config.getCallConfig(phoneNumber, callId, metadata, callerId.callerID);
 
       // Add custom headers for call tracking
       callData.custom_headers = [{
@@ -51,6 +71,7 @@ class TelnyxService {
         telnyxCallId: response.data.id,
         callControlId: response.data.call_control_id,
         status: response.data.status,
+        from: callerId.callerID,
         data: response.data
       };
 
@@ -115,19 +136,16 @@ class TelnyxService {
   }
 
   /**
-   * Create conference call for hot transfer to Kevin
+   * Create conference call for hot transfer to a closer
    */
-  async createConferenceCall(callControlId, kevinPhoneNumber, conferenceName) {
+  async createConferenceCall(callControlId, closerPhoneNumber, conferenceName) {
     try {
       if (!this.client) {
         throw new Error('Telnyx client not initialized');
       }
 
-      // Use Kevin's phone number from config if not provided
-      const kevinNumber = kevinPhoneNumber || this.config.config.kevinPhoneNumber;
-
-      if (!kevinNumber) {
-        throw new Error('Kevin phone number not configured');
+      if (!closerPhoneNumber) {
+        throw new Error('Closer phone number is required');
       }
 
       // Create conference and add original caller
@@ -137,29 +155,29 @@ class TelnyxService {
 
       console.log(`[Telnyx] Caller transferred to conference: ${conferenceName}`);
 
-      // Dial Kevin and add to conference
-      const kevinCallData = this.config.getCallConfig(
-        kevinNumber,
-        `kevin-transfer-${Date.now()}`,
+      // Dial the closer and add to conference
+      const closerCallData = this.config.getCallConfig(
+        closerPhoneNumber,
+        `closer-transfer-${Date.now()}`,
         { transferType: 'hot', conferenceName }
       );
 
-      const kevinCall = await this.client.calls.create(kevinCallData);
+      const closerCall = await this.client.calls.create(closerCallData);
 
-      console.log(`[Telnyx] Calling Kevin at ${kevinNumber}: ${kevinCall.data.id}`);
+      console.log(`[Telnyx] Calling closer at ${closerPhoneNumber}: ${closerCall.data.id}`);
 
-      // Join Kevin to conference
-      await this.client.calls.transfer(kevinCall.data.call_control_id, {
+      // Join the closer to conference
+      await this.client.calls.transfer(closerCall.data.call_control_id, {
         to: `conference:${conferenceName}`
       });
 
-      console.log(`[Telnyx] Conference created: ${conferenceName} with Kevin`);
+      console.log(`[Telnyx] Conference created: ${conferenceName} with closer`);
 
       return {
         success: true,
         conferenceName,
-        kevinCallId: kevinCall.data.id,
-        kevinCallControlId: kevinCall.data.call_control_id,
+        closerCallId: closerCall.data.id,
+        closerCallControlId: closerCall.data.call_control_id,
         message: 'Conference call created successfully'
       };
 
@@ -463,6 +481,174 @@ class TelnyxService {
     }
   }
 
+  /**
+   * Bridge two live calls (e.g. lead and closer after a warm transfer)
+   */
+  async bridgeCalls(callControlId, otherCallControlId) {
+    try {
+      if (!this.client) {
+        throw new Error('Telnyx client not initialized');
+      }
+
+      await this.client.calls.bridge(callControlId, {
+        call_control_id: otherCallControlId
+      });
+
+      return {
+        success: true,
+        message: 'Calls bridged'
+      };
+
+    } catch (error) {
+      console.error('[Telnyx] Bridge calls error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Move a live call into a new conference (e.g. before a supervisor joins)
+   * @param {String} callControlId - Call that becomes the first participant
+   * @param {String} name - Conference name
+   * @returns {Object} { success, conferenceId }
+   */
+  async createConference(callControlId, name) {
+    try {
+      if (!this.client) {
+        throw new Error('Telnyx client not initialized');
+      }
+
+      const response = await this.client.conferences.create({
+        call_control_id: callControlId,
+        name,
+        beep_enabled: 'never'
+      });
+
+      return {
+        success: true,
+        conferenceId: response.data.id
+      };
+
+    } catch (error) {
+      console.error('[Telnyx] Create conference error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Join a call to a conference
+   * @param {String} conferenceId - Conference ID
+   * @param {String} callControlId - Call to join
+   * @param {Object} options - { supervisorRole: monitor | whisper | barge, whisperCallControlIds }
+   */
+  async joinConference(conferenceId, callControlId, options = {}) {
+    try {
+      if (!this.client) {
+        throw new Error('Telnyx client not initialized');
+      }
+
+      const params = { call_control_id: callControlId, beep_enabled: 'never' };
+      if (options.supervisorRole) params.supervisor_role = options.supervisorRole;
+      if (options.whisperCallControlIds?.length) params.whisper_call_control_ids = options.whisperCallControlIds;
+
+      await this.client.conferences.join(conferenceId, params);
+
+      return {
+        success: true,
+        message: 'Joined conference'
+      };
+
+    } catch (error) {
+      console.error('[Telnyx] Join conference error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Change a conference participant's supervisor role
+   * @param {String} conferenceId - Conference ID
+   * @param {String} callControlId - Participant's call
+   * @param {Object} options - { supervisorRole: monitor | whisper | barge, whisperCallControlIds }
+   */
+  async updateConferenceParticipant(conferenceId, callControlId, options = {}) {
+    try {
+      if (!this.client) {
+        throw new Error('Telnyx client not initialized');
+      }
+
+      const params = { call_control_id: callControlId, supervisor_role: options.supervisorRole };
+      if (options.whisperCallControlIds?.length) params.whisper_call_control_ids = options.whisperCallControlIds;
+
+      await this.client.conferences.update(conferenceId, params);
+
+      return {
+        success: true,
+        message: 'Participant updated'
+      };
+
+    } catch (error) {
+      console.error('[Telnyx] Update conference participant error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Send SMS message
+   * @param {String} toNumber - Destination number
+   * @param {String} text - Message body
+   * @param {Object} options - { from, webhookUrl }
+   */
+  async sendSMS(toNumber, text, options = {}) {
+    try {
+      if (!this.client) {
+        throw new Error('Telnyx client not initialized');
+      }
+
+      const messageData = {
+        from: options.from || this.config.config.phoneNumber,
+        to: this.config.normalizePhoneNumber(toNumber),
+        text
+      };
+
+      if (this.config.config.messagingProfileId) {
+        messageData.messaging_profile_id = this.config.config.messagingProfileId;
+      }
+
+      if (options.webhookUrl) {
+        messageData.webhook_url = options.webhookUrl;
+      }
+
+      const response = await this.client.messages.create(messageData);
+
+      console.log(`[Telnyx] SMS sent: ${response.data.id} to ${toNumber}`);
+
+      return {
+        success: true,
+        messageId: response.data.id,
+        data: response.data
+      };
+
+    } catch (error) {
+      console.error('[Telnyx] Send SMS error:', error);
+      return {
+        success: false,
+        error: error.message,
+        details: error.response?.data
+      };
+    }
+  }
+
   /**
    * Test Telnyx API connectivity
    */
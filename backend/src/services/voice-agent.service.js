@@ -18,8 +18,11 @@ class VoiceAgentService {
 
   /**
    * Make HTTP request to voice agent service
+   * @param {Object} options - { timeout: ms, defaults to 30s }
    */
-  async request(method, path, data = null) {
+  async request(method, path, data = null, options = {}) {
+    const timeout = options.timeout || this.timeout;
+
     return new Promise((resolve, reject) => {
       const url = new URL(path, this.voiceAgentUrl);
       const isHttps = url.protocol === 'https:';
@@ -34,7 +37,7 @@ class VoiceAgentService {
           'Content-Type': 'application/json',
           'User-Agent': 'BMAD-Backend/1.0'
         },
-        timeout: this.timeout
+        timeout
       };
 
       // Add API key if configured
@@ -92,7 +95,7 @@ class VoiceAgentService {
         reject({
           success: false,
           error: 'Request timeout',
-          timeout: this.timeout
+          timeout
         });
       });
 
@@ -107,10 +110,11 @@ class VoiceAgentService {
 
   /**
    * Test voice agent connectivity
+   * @param {Object} options - { timeout: ms }
    */
-  async testConnection() {
+  async testConnection(options = {}) {
     try {
-      const result = await this.request('GET', '/health');
+      const result = await this.request('GET', '/health', null, options);
       return {
         success: result.success,
         message: result.success ? 'Voice agent is reachable' : 'Voice agent unreachable',
@@ -220,7 +224,7 @@ class VoiceAgentService {
   }
 
   /**
-   * Request transfer to Kevin
+   * Request transfer to a closer
    */
   async requestTransfer(callId, callControlId, qualificationScore, leadData) {
     try {
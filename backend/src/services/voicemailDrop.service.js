@@ -0,0 +1,177 @@
+const CallLog = require('../database/mongodb/schemas/calllog.schema');
+const Campaign = require('../database/mongodb/schemas/campaign.schema');
+const Lead = require('../database/mongodb/schemas/lead.schema');
+const telnyxService = require('./telnyx.service');
+const telnyxConfig = require('../config/telnyx.config');
+const { isFinal } = require('../utils/callStateMachine');
+const { renderTemplate } = require('../utils/mergeFields');
+const logger = require('../utils/logger');
+
+/**
+ * Voicemail Drop Service
+ * Leaves a pre-recorded or TTS message when a call reaches an answering machine
+ *
+ * Driven by call domain events (see integrations/callLifecycleSubscribers):
+ *
+ *   call.machine_detected → waiting_for_beep (or skipped + hangup when no message is set)
+ *   call.greeting_ended   → playing (playAudio / speak)
+ *   call.playback_ended   → left + hangup
+ *
+ * Progress is kept in CallLog.voicemail.status; every step is a conditional
+ * update so repeated events never play the message twice. The message comes
+ * from the call's campaign (Campaign.voicemail) or the VOICEMAIL_DROP_*
+ * defaults for calls placed outside a campaign.
+ */
+
+// AMD modes that report the end of the greeting; other modes drop right away
+const BEEP_MODES = ['detect_beep', 'greeting_end', 'premium'];
+
+class VoicemailDropService {
+  /**
+   * Voicemail message for a call
+   * @param {Object} callLog - CallLog
+   * @returns {Object|null} { audioUrl, text, voice, language }
+   */
+  async getMessage(callLog) {
+    if (callLog.campaignId) {
+      const campaign = await Campaign.findById(callLog.campaignId).select('voicemail').lean();
+      const voicemail = campaign?.voicemail;
+
+      if (voicemail?.enabled && (voicemail.audioUrl || voicemail.text)) {
+        return voicemail;
+      }
+    }
+
+    const audioUrl = process.env.VOICEMAIL_DROP_AUDIO_URL;
+    const text = process.env.VOICEMAIL_DROP_TEXT;
+
+    return audioUrl || text ? { audioUrl, text } : null;
+  }
+
+  /**
+   * Move the drop to a new status if it is still in an expected one
+   * @private
+   * @param {Array} fromStatuses - Expected statuses (null = not started)
+   * @returns {Boolean} Whether this caller made the move
+   */
+  async advance(callLog, fromStatuses, set) {
+    const result = await CallLog.updateOne(
+      { _id: callLog._id, 'voicemail.status': { $in: fromStatuses } },
+      { $set: set }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Hang up after the drop
+   * @private
+   */
+  async hangup(callLog) {
+    const result = await telnyxService.hangupCall(callLog.telnyx?.callControlId);
+
+    if (!result.success) {
+      logger.warn(`[Voicemail Drop] Hangup failed for call ${callLog.callLogId}: ${result.error}`);
+    }
+  }
+
+  /**
+   * Answering machine detected
+   * @param {Object} callLog - CallLog
+   */
+  async handleMachineDetected(callLog) {
+    if (isFinal(callLog.status)) return;
+
+    const message = await this.getMessage(callLog);
+
+    if (!message) {
+      const claimed = await this.advance(callLog, [null], {
+        'voicemail.status': 'skipped',
+        'outcome.result': 'voicemail'
+      });
+      if (claimed) {
+        logger.info(`[Voicemail Drop] No message for call ${callLog.callLogId} - hanging up on machine`);
+        await this.hangup(callLog);
+      }
+      return;
+    }
+
+    if (BEEP_MODES.includes(telnyxConfig.config.answeringMachineDetection)) {
+      await this.advance(callLog, [null], { 'voicemail.status': 'waiting_for_beep' });
+    } else {
+      await this.handleGreetingEnded(callLog, message);
+    }
+  }
+
+  /**
+   * Greeting ended (beep) - play the message
+   * @param {Object} callLog - CallLog
+   * @param {Object} message - Message (looked up when omitted)
+   */
+  async handleGreetingEnded(callLog, message = null) {
+    // The greeting can end before call.machine_detected has been handled
+    if (![undefined, null, 'waiting_for_beep'].includes(callLog.voicemail?.status) || isFinal(callLog.status)) return;
+
+    message = message || await this.getMessage(callLog);
+    if (!message) return;
+
+    const method = message.audioUrl ? 'audio' : 'tts';
+    const set = {
+      'voicemail.status': 'playing',
+      'voicemail.method': method,
+      'voicemail.startedAt': new Date()
+    };
+
+    let text;
+    if (method === 'audio') {
+      set['voicemail.audioUrl'] = message.audioUrl;
+    } else {
+      const lead = await Lead.findById(callLog.leadId).lean();
+      text = renderTemplate(message.text, lead || {});
+      set['voicemail.message'] = text;
+    }
+
+    if (!(await this.advance(callLog, [null, 'waiting_for_beep'], set))) return;
+
+    const callControlId = callLog.telnyx?.callControlId;
+    const speakOptions = {};
+    if (message.voice) speakOptions.voice = message.voice;
+    if (message.language) speakOptions.language = message.language;
+
+    const result = method === 'audio'
+      ? await telnyxService.playAudio(callControlId, message.audioUrl)
+      : await telnyxService.speak(callControlId, text, speakOptions);
+
+    if (!result.success) {
+      logger.warn(`[Voicemail Drop] Could not play message on call ${callLog.callLogId}: ${result.error}`);
+      await this.advance(callLog, ['playing'], { 'voicemail.status': 'failed', 'outcome.result': 'voicemail' });
+      await this.hangup(callLog);
+      return;
+    }
+
+    logger.info(`[Voicemail Drop] Playing ${method} message on call ${callLog.callLogId}`);
+  }
+
+  /**
+   * Message finished - mark it left and hang up
+   * @param {Object} callLog - CallLog
+   */
+  async handlePlaybackEnded(callLog) {
+    const startedAt = callLog.voicemail?.startedAt;
+    const set = {
+      'voicemail.status': 'left',
+      'voicemail.left': true,
+      'outcome.result': 'voicemail'
+    };
+    if (startedAt) set['voicemail.duration'] = Math.round((Date.now() - new Date(startedAt)) / 1000);
+
+    const claimed = await this.advance(callLog, ['playing'], set);
+
+    if (!claimed) return;
+
+    logger.info(`[Voicemail Drop] Voicemail left on call ${callLog.callLogId}`);
+    await this.hangup(callLog);
+  }
+}
+
+module.exports = new VoicemailDropService();
@@ -0,0 +1,416 @@
+const CallLog = require('../database/mongodb/schemas/calllog.schema');
+const telnyxService = require('./telnyx.service');
+const voiceAgentService = require('./voice-agent.service');
+const engagementService = require('./engagement.service');
+const closerService = require('./closer.service');
+const { resolveLeadLocation } = require('../security/tcpa/calling-window');
+const { buildWhisper, isAccepted, buildCallbackScript } = require('../utils/transferScripts');
+const { runWithOrganization } = require('../utils/tenant.util');
+const logger = require('../utils/logger');
+
+/**
+ * Warm Transfer Service
+ * Hands a live lead from the AI agent to a closer with a whisper briefing
+ *
+ * State machine (CallLog.transfer.state):
+ *
+ *   dialing_closer → whispering → awaiting_accept → bridged → completed
+ *          ↓              ↓              ↓
+ *      no_answer       declined       declined        (closer leg problems)
+ *          ↘              ↓              ↙
+ *                      fallback                       (lead back with the AI)
+ *
+ *   The lead hanging up before the bridge ends the transfer as abandoned.
+ *
+ * The lead stays with the AI while the closer is dialed and briefed; the
+ * whisper is spoken on the closer's leg only. Pressing 1 bridges the lead
+ * and ends the AI session; anything else (or no answer) hangs up the
+ * closer and sends the AI a callback-scheduling script.
+ *
+ * Telnyx webhooks drive every step after start(). Each step is an atomic
+ * state transition, so redelivered or out-of-order webhooks are ignored.
+ */
+
+// How long the closer's phone rings before the transfer falls back
+const RING_TIMEOUT_SECS = parseInt(process.env.WARM_TRANSFER_RING_TIMEOUT_SECS) || 25;
+
+// How long the closer has to press a key after the whisper
+const ACCEPT_TIMEOUT_MS = 10000;
+
+// States where the closer leg is live but the lead has not been bridged yet
+const PENDING_STATES = ['dialing_closer', 'whispering', 'awaiting_accept'];
+
+class WarmTransferService {
+  /**
+   * Start a warm transfer: dial the closer picked by closerService.routeTransfer
+   * @param {Object} callLog - CallLog document with leadId populated
+   * @param {Object} routing - { closer, strategy, matchedSkills }
+   * @returns {Object} { success, state, error }
+   */
+  async start(callLog, routing) {
+    const { closer } = routing;
+    const lead = callLog.populated('leadId') ? callLog.leadId : null;
+    const now = new Date();
+
+    const whisperText = this.buildWhisperText(callLog, lead, closer);
+
+    callLog.transfer = {
+      wasTransferred: false,
+      transferType: 'warm',
+      transferredTo: {
+        number: closer.phoneNumber,
+        userId: closer.userId,
+        name: closer.name
+      },
+      transferReason: 'Hot lead - warm transfer to closer',
+      closerId: closer._id,
+      routingStrategy: routing.strategy,
+      matchedSkills: routing.matchedSkills,
+      whisperText,
+      state: 'dialing_closer',
+      steps: [{ state: 'dialing_closer', at: now, detail: `Dialing ${closer.name}` }]
+    };
+    callLog.events.push({ eventType: 'transfer', timestamp: now, description: `Warm transfer to ${closer.name} started` });
+    await callLog.save();
+
+    const result = await telnyxService.initiateCall(closer.phoneNumber, `${callLog.callLogId}-closer`, {
+      warmTransfer: true,
+      callLogId: callLog.callLogId,
+      timeout_secs: RING_TIMEOUT_SECS
+    }, { from: callLog.from?.number });
+
+    if (!result.success) {
+      await this.fallback(callLog._id, 'failed', result.error);
+      return { success: false, state: 'fallback', error: result.error };
+    }
+
+    await CallLog.updateOne(
+      { _id: callLog._id },
+      { $set: { 'transfer.closerCallControlId': result.callControlId } }
+    );
+
+    // Let the AI keep the lead company while the closer is briefed
+    await this.notifyAgent(callLog, 'transfer.started', { closerName: closer.name });
+
+    logger.info(`[Warm Transfer] Dialing ${closer.name} for call ${callLog.callLogId}`);
+
+    return { success: true, state: 'dialing_closer' };
+  }
+
+  /**
+   * Build the whisper briefing for a call
+   * @private
+   */
+  buildWhisperText(callLog, lead, closer) {
+    const qualification = callLog.aiAnalysis?.qualification || {};
+    const conversationDuration = callLog.answeredAt
+      ? Math.floor((Date.now() - callLog.answeredAt.getTime()) / 1000)
+      : null;
+
+    const report = engagementService.generateReport({
+      score: qualification.score ?? lead?.qualificationScore ?? 0,
+      phase: 'transfer',
+      indicators: {},
+      buyingSignals: qualification.signals || [],
+      sentiment: callLog.aiAnalysis?.sentiment?.overall,
+      conversationDuration,
+      closerAvailable: true
+    }) || {};
+
+    return buildWhisper({
+      report,
+      lead: lead || {},
+      state: lead ? resolveLeadLocation({ lead }).state : null,
+      qualification,
+      closerName: closer.name
+    });
+  }
+
+  /**
+   * Handle a Telnyx webhook for the closer's leg
+   * @param {String} eventType - Telnyx event type
+   * @param {Object} clientState - Decoded client_state ({ warmTransfer, callLogId })
+   * @param {Object} payload - Telnyx event payload
+   */
+  async handleCallEvent(eventType, clientState, payload = {}) {
+    // Webhooks carry no tenant context; look the call up unscoped
+    const callLog = await runWithOrganization(null, () =>
+      CallLog.findOne({ callLogId: clientState.callLogId }).populate('leadId')
+    );
+
+    if (!callLog || !callLog.transfer?.state) {
+      logger.warn(`[Warm Transfer] No transfer for call ${clientState.callLogId} (${eventType})`);
+      return;
+    }
+
+    // Events from an earlier closer leg on the same call
+    if (callLog.transfer.closerCallControlId && callLog.transfer.closerCallControlId !== payload.call_control_id) {
+      return;
+    }
+
+    return runWithOrganization(callLog.organizationId, () => this.applyEvent(callLog, eventType, payload));
+  }
+
+  /**
+   * Advance the state machine for a closer-leg event
+   * @private
+   */
+  async applyEvent(callLog, eventType, payload) {
+    const closerCallControlId = payload.call_control_id;
+
+    switch (eventType) {
+      case 'call.answered': {
+        const updated = await this.transition(callLog._id, ['dialing_closer'], 'whispering', 'Closer answered');
+        if (!updated) return;
+
+        const result = await telnyxService.speak(closerCallControlId, updated.transfer.whisperText);
+        if (!result.success) {
+          await this.fallback(callLog._id, 'failed', `Whisper failed: ${result.error}`);
+        }
+        return;
+      }
+
+      case 'call.speak.ended': {
+        const updated = await this.transition(callLog._id, ['whispering'], 'awaiting_accept', 'Whisper played');
+        if (!updated) return;
+
+        const result = await telnyxService.gatherDTMF(closerCallControlId, {
+          minDigits: 1,
+          maxDigits: 1,
+          timeout: ACCEPT_TIMEOUT_MS
+        });
+        if (!result.success) {
+          await this.fallback(callLog._id, 'failed', `Gather failed: ${result.error}`);
+        }
+        return;
+      }
+
+      case 'call.gather.ended': {
+        const digits = payload.digits || '';
+
+        if (isAccepted(digits)) {
+          await this.bridge(callLog, digits);
+        } else {
+          await this.fallback(callLog._id, 'declined', digits ? `Closer pressed ${digits}` : 'No key pressed', { acceptDigits: digits });
+        }
+        return;
+      }
+
+      case 'call.hangup': {
+        if (callLog.transfer.state === 'bridged') {
+          await this.complete(callLog._id, 'Closer hung up');
+          return;
+        }
+
+        const reason = callLog.transfer.state === 'dialing_closer' ? 'no_answer' : 'declined';
+        await this.fallback(callLog._id, reason, `Closer leg ended (${payload.hangup_cause || 'unknown'})`, {}, false);
+        return;
+      }
+
+      default:
+        return;
+    }
+  }
+
+  /**
+   * Bridge the lead to the closer and end the AI session
+   * @private
+   */
+  async bridge(callLog, digits) {
+    const updated = await this.transition(callLog._id, ['awaiting_accept'], 'bridged', `Closer pressed ${digits}`, {
+      'transfer.acceptDigits': digits
+    });
+    if (!updated) return;
+
+    const result = await telnyxService.bridgeCalls(updated.telnyx.callControlId, updated.transfer.closerCallControlId);
+
+    if (!result.success) {
+      await this.fallback(callLog._id, 'failed', `Bridge failed: ${result.error}`, {}, true, ['bridged']);
+      return;
+    }
+
+    const now = new Date();
+    await CallLog.updateOne(
+      { _id: callLog._id },
+      {
+        $set: {
+          status: 'bridged',
+          'transfer.wasTransferred': true,
+          'transfer.transferSuccessful': true,
+          'transfer.transferredAt': now,
+          'transfer.bridgedAt': now
+        },
+        $push: { events: { eventType: 'bridged', timestamp: now, description: 'Lead bridged to closer' } }
+      }
+    );
+
+    // Drop the AI leg now the closer has the lead
+    await voiceAgentService.endCall(callLog.callLogId, 'warm_transfer');
+
+    await this.recordOutcome(updated, true);
+
+    logger.info(`[Warm Transfer] Call ${callLog.callLogId} bridged to ${updated.transfer.transferredTo?.name}`);
+  }
+
+  /**
+   * Mark a bridged transfer finished and free the closer
+   * @private
+   */
+  async complete(callLogId, detail) {
+    const updated = await this.transition(callLogId, ['bridged'], 'completed', detail, {
+      'transfer.completedAt': new Date()
+    });
+    if (!updated) return;
+
+    await closerService.setStatus(updated.transfer.closerId, { status: 'available', updatedBy: 'system' });
+  }
+
+  /**
+   * Return the lead to the AI with a callback-scheduling script
+   * @param {String} callLogId - CallLog _id
+   * @param {String} reason - declined | no_answer | failed
+   * @param {String} detail - What happened
+   * @param {Object} extra - Additional transfer fields to set
+   * @param {Boolean} hangupCloser - Whether the closer leg is still up
+   * @param {Array} fromStates - States this fallback may leave
+   */
+  async fallback(callLogId, reason, detail, extra = {}, hangupCloser = true, fromStates = PENDING_STATES) {
+    const callLog = await CallLog.findById(callLogId).populate('leadId');
+    if (!callLog) return;
+
+    const closerId = callLog.transfer?.closerId;
+    const nextAvailable = closerId
+      ? (await closerService.getRoster({ isActive: true }))
+        .filter(closer => !closer._id.equals(closerId))
+        .map(closer => closer.nextAvailableAt)
+        .filter(Boolean)
+        .sort((a, b) => a - b)[0]
+      : null;
+
+    const lead = callLog.leadId || null;
+    const fallbackScript = buildCallbackScript({
+      lead: lead || {},
+      reason,
+      nextAvailableAt: nextAvailable,
+      timezone: lead ? resolveLeadLocation({ lead }).timezones[0] : null
+    });
+
+    const extraFields = Object.entries(extra).reduce((fields, [key, value]) => {
+      fields[`transfer.${key}`] = value;
+      return fields;
+    }, {});
+
+    const updated = await this.transition(callLogId, fromStates, 'fallback', `${reason}: ${detail}`, {
+      ...extraFields,
+      'transfer.wasTransferred': false,
+      'transfer.transferSuccessful': false,
+      'transfer.fallbackReason': reason,
+      'transfer.fallbackScript': fallbackScript,
+      'transfer.completedAt': new Date()
+    });
+    if (!updated) return;
+
+    if (hangupCloser && updated.transfer.closerCallControlId) {
+      await telnyxService.hangupCall(updated.transfer.closerCallControlId);
+    }
+
+    await this.notifyAgent(updated, 'transfer.fallback', { reason, script: fallbackScript });
+    await this.recordOutcome(updated, false, `${reason}: ${detail}`);
+
+    logger.info(`[Warm Transfer] Call ${updated.callLogId} returned to AI (${reason})`);
+  }
+
+  /**
+   * Handle the lead's leg hanging up (any call, not just transfers)
+   * @param {String} callControlId - Lead leg call_control_id
+   */
+  async handleLeadHangup(callControlId) {
+    if (!callControlId) return;
+
+    const callLog = await runWithOrganization(null, () =>
+      CallLog.findOne({
+        'telnyx.callControlId': callControlId,
+        'transfer.state': { $in: [...PENDING_STATES, 'bridged'] }
+      })
+    );
+    if (!callLog) return;
+
+    return runWithOrganization(callLog.organizationId, async () => {
+      if (callLog.transfer.state === 'bridged') {
+        await this.complete(callLog._id, 'Lead hung up');
+        return;
+      }
+
+      const updated = await this.transition(callLog._id, PENDING_STATES, 'abandoned', 'Lead hung up before the bridge', {
+        'transfer.transferSuccessful': false,
+        'transfer.completedAt': new Date()
+      });
+      if (!updated) return;
+
+      if (updated.transfer.closerCallControlId) {
+        await telnyxService.hangupCall(updated.transfer.closerCallControlId);
+      }
+
+      await this.recordOutcome(updated, false, 'Lead hung up before the bridge');
+    });
+  }
+
+  /**
+   * Atomically move the transfer between states and log the step
+   * @private
+   * @returns {Object|null} Updated CallLog, or null if the transfer was not in a from-state
+   */
+  async transition(callLogId, fromStates, toState, detail, set = {}) {
+    const updated = await CallLog.findOneAndUpdate(
+      { _id: callLogId, 'transfer.state': { $in: fromStates } },
+      {
+        $set: { 'transfer.state': toState, ...set },
+        $push: { 'transfer.steps': { state: toState, at: new Date(), detail } }
+      },
+      { new: true }
+    );
+
+    if (updated) {
+      logger.debug(`[Warm Transfer] ${updated.callLogId}: ${toState} (${detail})`);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Persist the transfer in closer history; a failure frees the closer
+   * @private
+   */
+  async recordOutcome(callLog, success, notes = null) {
+    const { closerId, routingStrategy, matchedSkills } = callLog.transfer;
+    if (!closerId) return;
+
+    await closerService.recordTransfer({
+      closer: { _id: closerId },
+      callLogId: callLog._id,
+      leadId: callLog.leadId?._id || callLog.leadId,
+      engagementScore: callLog.aiAnalysis?.qualification?.score || 0,
+      success,
+      strategy: routingStrategy,
+      matchedSkills,
+      notes
+    });
+  }
+
+  /**
+   * Tell the voice agent about a transfer step on the lead's leg
+   * @private
+   */
+  async notifyAgent(callLog, type, data) {
+    if (!voiceAgentService.isConfigured()) return;
+
+    await voiceAgentService.sendCallEvent({
+      type,
+      callId: callLog.callLogId,
+      callControlId: callLog.telnyx?.callControlId,
+      data
+    });
+  }
+}
+
+module.exports = new WarmTransferService();
@@ -0,0 +1,56 @@
+/**
+ * Socket.io Rooms
+ *
+ * @description Every authenticated socket joins its organization's room and
+ *              its own user room (sockets/socket.handler). Managers and admins
+ *              that start monitoring also join the organization's
+ *              call-monitoring room. Server code emits through these helpers
+ *              so events never cross organizations, and agents only receive
+ *              the calls assigned to them.
+ */
+
+const organizationRoom = (organizationId) => `org:${organizationId || 'none'}`;
+
+const monitoringRoom = (organizationId) => `${organizationRoom(organizationId)}:call-monitoring`;
+
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Everyone in an organization
+ * @param {Object} io - Socket.io server
+ * @param {String} organizationId - Organization ID
+ */
+function toOrganization(io, organizationId) {
+  return io.to(organizationRoom(organizationId));
+}
+
+/**
+ * Managers and admins monitoring an organization's calls
+ * @param {Object} io - Socket.io server
+ * @param {String} organizationId - Organization ID
+ */
+function toMonitors(io, organizationId) {
+  return io.to(monitoringRoom(organizationId));
+}
+
+/**
+ * A call's live events: its organization's monitors plus its assigned agent
+ * @param {Object} io - Socket.io server
+ * @param {Object} call - CallLog ({ organizationId, assignedAgent })
+ */
+function toCall(io, call) {
+  const rooms = [monitoringRoom(call.organizationId)];
+  const agentId = call.assignedAgent?._id || call.assignedAgent;
+  if (agentId) rooms.push(userRoom(agentId));
+
+  return io.to(rooms);
+}
+
+module.exports = {
+  organizationRoom,
+  monitoringRoom,
+  userRoom,
+  toOrganization,
+  toMonitors,
+  toCall
+};
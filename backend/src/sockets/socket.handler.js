@@ -1,10 +1,33 @@
+const mongoose = require('mongoose');
 const CallLog = require('../database/mongodb/schemas/calllog.schema');
-const kevinService = require('../services/kevin.service');
+const Closer = require('../database/mongodb/schemas/closer.schema');
+const LeadImport = require('../database/mongodb/schemas/leadImport.schema');
+const User = require('../database/mongodb/schemas/user.schema');
+const closerService = require('../services/closer.service');
+const { verifyToken, extractTokenFromHeader, validateTokenType } = require('../utils/jwt.util');
+const { runWithOrganization } = require('../utils/tenant.util');
+const { canEmit, canMonitorAll, createEventLimiter, DEFAULT_RATE_LIMIT } = require('../utils/socketEvents');
+const { organizationRoom, monitoringRoom, userRoom, toOrganization, toCall } = require('./rooms');
+
+// Statuses shown as live calls on the dashboards
+const ACTIVE_STATUSES = ['active', 'answered', 'bridged'];
+
+// Rooms clients may ask to join, beyond the ones joined on connect
+const LEAD_IMPORT_ROOM = /^lead-import:([a-f0-9]{24})$/;
+
+// Longest setTimeout delay; tokens living longer aren't timed out
+const MAX_TIMER_MS = 2147483647;
 
 /**
  * Socket.io Event Handlers for Real-time Communication
  * Handles WebSocket connections for live call monitoring, engagement updates, and system status
  *
+ * Connections must present an access token (handshake auth.token or an
+ * Authorization header); the socket's identity comes from the token, never
+ * from event data. Each socket joins its organization and user rooms
+ * (sockets/rooms), events are role-checked and rate limited
+ * (utils/socketEvents), and handlers run scoped to the organization.
+ *
  * @author David Rodriguez - Backend Development Lead
  * @integration Socket.io, MongoDB
  */
@@ -14,37 +37,137 @@ class SocketHandler {
   constructor(io) {
     this.io = io;
     this.connectedClients = new Map();
+    this.rateLimit = {
+      max: parseInt(process.env.SOCKET_EVENT_RATE_LIMIT, 10) || DEFAULT_RATE_LIMIT.max,
+      windowMs: parseInt(process.env.SOCKET_EVENT_RATE_WINDOW_MS, 10) || DEFAULT_RATE_LIMIT.windowMs
+    };
+    this.io.use((socket, next) => this.authenticate(socket, next));
     this.setupEventHandlers();
   }
 
+  /**
+   * Handshake authentication - same checks as the HTTP authenticate middleware
+   */
+  async authenticate(socket, next) {
+    try {
+      const token = socket.handshake.auth?.token ||
+        extractTokenFromHeader(socket.handshake.headers?.authorization);
+
+      if (!token) {
+        return next(new Error('Authentication required. No token provided.'));
+      }
+
+      let decoded;
+      try {
+        decoded = verifyToken(token);
+      } catch (error) {
+        return next(new Error(error.message || 'Invalid or expired token'));
+      }
+
+      if (!validateTokenType(decoded, 'access')) {
+        return next(new Error('Invalid token type. Access token required.'));
+      }
+
+      const user = await User.findById(decoded.userId).select('-password -refreshTokens');
+
+      if (!user || !user.isActive || user.isLocked()) {
+        return next(new Error('Account is not available'));
+      }
+
+      // No organization would mean unscoped handlers and rooms - refuse the socket
+      const organizationId = user.organizationId ? String(user.organizationId) : null;
+      if (!organizationId) {
+        return next(new Error('Account is not assigned to an organization'));
+      }
+
+      if (decoded.orgId !== organizationId) {
+        return next(new Error('Organization membership has changed. Please log in again.'));
+      }
+
+      socket.userId = String(user._id);
+      socket.role = user.role;
+      socket.organizationId = organizationId;
+      socket.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
+
+      next();
+    } catch (error) {
+      console.error('[Socket.io] Authentication error:', error);
+      next(new Error('Authentication failed'));
+    }
+  }
+
   setupEventHandlers() {
     this.io.on('connection', (socket) => {
-      console.log(`[Socket.io] Client connected: ${socket.id}`);
+      console.log(`[Socket.io] User ${socket.userId} (${socket.role}) connected: ${socket.id}`);
+
+      socket.join([organizationRoom(socket.organizationId), userRoom(socket.userId)]);
 
       // Store client connection info
       this.connectedClients.set(socket.id, {
         socketId: socket.id,
+        userId: socket.userId,
+        role: socket.role,
+        organizationId: socket.organizationId,
         connectedAt: new Date(),
         rooms: []
       });
 
-      // Join rooms based on user role
-      socket.on('join-room', async (data) => {
+      // Drop the connection when its token expires; reconnecting needs a fresh one
+      const expiresIn = socket.tokenExpiresAt ? socket.tokenExpiresAt - Date.now() : null;
+      const expiryTimer = expiresIn && expiresIn < MAX_TIMER_MS
+        ? setTimeout(() => socket.disconnect(true), Math.max(expiresIn, 0))
+        : null;
+
+      // Rate limit and role-check every client-emitted event
+      const allowEvent = createEventLimiter(this.rateLimit);
+      socket.use(([event], next) => {
+        if (!allowEvent()) {
+          socket.emit('error', {
+            event,
+            message: 'Rate limit exceeded'
+          });
+          return;
+        }
+
+        if (!canEmit(socket.role, event)) {
+          socket.emit('error', {
+            event,
+            message: 'Unauthorized: Insufficient permissions'
+          });
+          return;
+        }
+
+        next();
+      });
+
+      // Handlers run scoped to the socket's organization, like HTTP requests
+      const on = (event, handler) => {
+        socket.on(event, (data) => runWithOrganization(socket.organizationId, () => handler(data || {})));
+      };
+
+      // Join a room the user is entitled to (lead import progress)
+      on('join-room', async (data) => {
         try {
-          const { room, userId, role } = data;
+          const { room } = data;
+          const importId = LEAD_IMPORT_ROOM.exec(room || '')?.[1];
+
+          if (!importId || !(await LeadImport.exists({ _id: importId }))) {
+            socket.emit('error', {
+              event: 'join-room',
+              message: 'Unauthorized: Unknown room'
+            });
+            return;
+          }
+
           socket.join(room);
-          socket.userId = userId;
-          socket.role = role;
 
           // Update client info
           const clientInfo = this.connectedClients.get(socket.id);
           if (clientInfo) {
-            clientInfo.userId = userId;
-            clientInfo.role = role;
             clientInfo.rooms.push(room);
           }
 
-          console.log(`[Socket.io] User ${userId} (${role}) joined room: ${room}`);
+          console.log(`[Socket.io] User ${socket.userId} (${socket.role}) joined room: ${room}`);
 
           // Send current system status
           await this.sendSystemStatus(socket);
@@ -65,20 +188,16 @@ class SocketHandler {
         }
       });
 
-      // Handle call monitoring requests
-      socket.on('monitor-calls', async () => {
+      // Handle call monitoring requests - managers see every call in the
+      // organization, agents already get their own calls in their user room
+      on('monitor-calls', async () => {
         try {
-          if (socket.role === 'admin' || socket.role === 'operator' || socket.role === 'agent') {
-            socket.join('call-monitoring');
-            await this.sendActiveCallsUpdate(socket);
-
-            console.log(`[Socket.io] ${socket.userId} started monitoring calls`);
-          } else {
-            socket.emit('error', {
-              event: 'monitor-calls',
-              message: 'Unauthorized: Insufficient permissions'
-            });
+          if (canMonitorAll(socket.role)) {
+            socket.join(monitoringRoom(socket.organizationId));
           }
+          await this.sendActiveCallsUpdate(socket);
+
+          console.log(`[Socket.io] ${socket.userId} started monitoring calls`);
         } catch (error) {
           console.error('[Socket.io] Monitor calls error:', error);
           socket.emit('error', {
@@ -89,48 +208,60 @@ class SocketHandler {
         }
       });
 
-      // Handle Kevin availability updates
-      socket.on('kevin-availability-update', async (data) => {
+      // Handle closer status updates
+      on('closer-status-update', async (data) => {
         try {
-          if (socket.role === 'kevin' || socket.role === 'admin') {
-            const { available, reason, until } = data;
+          const { closerId, status, reason, until } = data;
+          const closer = mongoose.isValidObjectId(closerId) ? await Closer.findById(closerId) : null;
 
-            // Update Kevin availability
-            await kevinService.updateAvailability({
-              available,
-              reason,
-              until,
-              updatedBy: socket.userId,
-              updatedAt: new Date()
+          if (!closer) {
+            socket.emit('error', {
+              event: 'closer-status-update',
+              message: 'Closer not found'
             });
+            return;
+          }
+
+          const isManager = canMonitorAll(socket.role);
+          const isSelf = closer.userId && closer.userId.toString() === socket.userId;
 
-            // Broadcast to all clients
-            this.io.emit('kevin-availability-changed', {
-              available,
+          if (isManager || isSelf) {
+            const updated = await closerService.setStatus(closer._id, {
+              status,
               reason,
               until,
+              updatedBy: socket.userId
+            });
+
+            // Broadcast to the organization
+            toOrganization(this.io, socket.organizationId).emit('closer-status-changed', {
+              closerId: updated._id,
+              name: updated.name,
+              status: updated.status,
+              reason: updated.statusReason,
+              until: updated.statusUntil,
               timestamp: new Date()
             });
 
-            console.log(`[Socket.io] Kevin availability updated: ${available}`);
+            console.log(`[Socket.io] Closer ${updated.name} status updated: ${updated.status}`);
           } else {
             socket.emit('error', {
-              event: 'kevin-availability-update',
-              message: 'Unauthorized: Only Kevin or admin can update availability'
+              event: 'closer-status-update',
+              message: 'Unauthorized: Only the closer or a manager can update status'
             });
           }
         } catch (error) {
-          console.error('[Socket.io] Kevin availability update error:', error);
+          console.error('[Socket.io] Closer status update error:', error);
           socket.emit('error', {
-            event: 'kevin-availability-update',
-            message: 'Failed to update Kevin availability',
+            event: 'closer-status-update',
+            message: 'Failed to update closer status',
             error: error.message
           });
         }
       });
 
       // Handle real-time engagement scoring
-      socket.on('engagement-update', async (data) => {
+      on('engagement-update', async (data) => {
         try {
           const { callId, score, phase, indicators } = data;
 
@@ -143,8 +274,11 @@ class SocketHandler {
             return;
           }
 
-          // Broadcast to call monitoring room
-          this.io.to('call-monitoring').emit('call:engagement-update', {
+          const call = await this.findCall(socket, 'engagement-update', callId);
+          if (!call) return;
+
+          // Broadcast to the call's monitors and agent
+          toCall(this.io, call).emit('call:engagement-update', {
             callId,
             engagementScore: score,
             phase,
@@ -154,14 +288,14 @@ class SocketHandler {
 
           // Check for transfer opportunity (score >= 85)
           if (score >= 85) {
-            const kevinAvailable = await kevinService.isAvailable();
+            const closerAvailable = await closerService.hasAvailableCloser();
 
-            if (kevinAvailable) {
-              this.io.to('call-monitoring').emit('transfer-opportunity', {
+            if (closerAvailable) {
+              toCall(this.io, call).emit('transfer-opportunity', {
                 callId,
                 engagementScore: score,
                 suggestTransfer: true,
-                kevinAvailable: true,
+                closerAvailable: true,
                 timestamp: new Date()
               });
 
@@ -179,11 +313,14 @@ class SocketHandler {
       });
 
       // Handle phase transitions
-      socket.on('phase-transition', (data) => {
+      on('phase-transition', async (data) => {
         try {
           const { callId, fromPhase, toPhase, timestamp } = data;
 
-          this.io.to('call-monitoring').emit('call:phase-transition', {
+          const call = await this.findCall(socket, 'phase-transition', callId);
+          if (!call) return;
+
+          toCall(this.io, call).emit('call:phase-transition', {
             callId,
             fromPhase,
             toPhase,
@@ -197,11 +334,14 @@ class SocketHandler {
       });
 
       // Handle call status updates
-      socket.on('call-status-update', (data) => {
+      on('call-status-update', async (data) => {
         try {
           const { callId, status, details } = data;
 
-          this.io.to('call-monitoring').emit('call:status-update', {
+          const call = await this.findCall(socket, 'call-status-update', callId);
+          if (!call) return;
+
+          toCall(this.io, call).emit('call:status-update', {
             callId,
             status,
             details,
@@ -215,7 +355,7 @@ class SocketHandler {
       });
 
       // Handle manual refresh requests
-      socket.on('refresh-dashboard', async () => {
+      on('refresh-dashboard', async () => {
         try {
           await this.sendSystemStatus(socket);
           await this.sendActiveCallsUpdate(socket);
@@ -237,6 +377,7 @@ class SocketHandler {
       // Handle disconnect
       socket.on('disconnect', () => {
         console.log(`[Socket.io] Client disconnected: ${socket.id}`);
+        clearTimeout(expiryTimer);
         this.connectedClients.delete(socket.id);
       });
 
@@ -247,14 +388,43 @@ class SocketHandler {
     });
   }
 
+  /**
+   * Calls a socket may see: all of its organization's for managers, its own for agents
+   * (the organization filter comes from the tenant context)
+   */
+  callScope(socket) {
+    return canMonitorAll(socket.role) ? {} : { assignedAgent: socket.userId };
+  }
+
+  /**
+   * Load a call the socket may emit events for, or tell the client it can't
+   * @param {String} callId - CallLog _id or callLogId
+   */
+  async findCall(socket, event, callId) {
+    const id = String(callId || '');
+    const call = id ? await CallLog.findOne({
+      ...(mongoose.isValidObjectId(id) ? { _id: id } : { callLogId: id }),
+      ...this.callScope(socket)
+    }).select('organizationId assignedAgent').lean() : null;
+
+    if (!call) {
+      socket.emit('error', {
+        event,
+        message: 'Call not found'
+      });
+    }
+
+    return call;
+  }
+
   /**
    * Send system status to connected client
    */
   async sendSystemStatus(socket) {
     try {
       const status = {
-        activeCalls: await this.getActiveCallsCount(),
-        kevinAvailable: await kevinService.isAvailable(),
+        activeCalls: await this.getActiveCallsCount(this.callScope(socket)),
+        closerAvailable: await closerService.hasAvailableCloser(),
         systemLoad: await this.getSystemLoad(),
         timestamp: new Date()
       };
@@ -266,12 +436,13 @@ class SocketHandler {
   }
 
   /**
-   * Broadcast active calls update
+   * Send the live calls the socket may see
    */
   async sendActiveCallsUpdate(socket) {
     try {
       const activeCalls = await CallLog.find({
-        status: { $in: ['active', 'answered', 'bridged'] }
+        status: { $in: ACTIVE_STATUSES },
+        ...this.callScope(socket)
       })
       .populate('leadId', 'firstName lastName phone')
       .sort({ initiatedAt: -1 })
@@ -290,11 +461,14 @@ class SocketHandler {
 
   /**
    * Get count of active calls
+   * @param {Object} scope - Extra filter (e.g. { assignedAgent }); unscoped
+   *                         outside a tenant context, as for /metrics
    */
-  async getActiveCallsCount() {
+  async getActiveCallsCount(scope = {}) {
     try {
       return await CallLog.countDocuments({
-        status: { $in: ['active', 'answered', 'bridged'] }
+        status: { $in: ACTIVE_STATUSES },
+        ...scope
       });
     } catch (error) {
       console.error('[Socket.io] Get active calls count error:', error);
@@ -0,0 +1,321 @@
+/**
+ * Audit Trail
+ *
+ * @description Hash chaining, change diffs, filters and CSV rows for the
+ *              audit log. Pure functions - services/audit.service stores the
+ *              entries.
+ *
+ * Each organization has its own chain. An entry's hash covers its content
+ * and the previous entry's hash, so editing, deleting or reordering any
+ * entry breaks every link after it. Retention purges the oldest entries and
+ * records the last purged hash in the chain, which anchors the first entry
+ * that remains.
+ */
+
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Fields covered by an entry's hash, in the order they're written
+const HASHED_FIELDS = [
+  'organizationId',
+  'sequence',
+  'actor',
+  'action',
+  'resource',
+  'changes',
+  'outcome',
+  'ipAddress',
+  'userAgent',
+  'requestId',
+  'metadata',
+  'createdAt'
+];
+
+// Never copied into the audit log, at any depth
+const REDACTED_FIELDS = [
+  'password',
+  'refreshTokens',
+  'passwordResetToken',
+  'secretHash',
+  'signingSecret',
+  'apiKey',
+  'token'
+];
+
+// Bookkeeping fields that change on every write
+const DEFAULT_IGNORED = ['updatedAt', 'updatedBy', '__v'];
+
+const OUTCOMES = ['success', 'failure'];
+
+/**
+ * JSON-safe copy (ObjectIds and Dates become strings) with secrets redacted
+ * @param {*} value - Value
+ * @returns {*}
+ */
+function sanitize(value) {
+  if (value === undefined) return undefined;
+
+  const plain = JSON.parse(JSON.stringify(value));
+
+  const redact = (node) => {
+    if (Array.isArray(node)) return node.map(redact);
+    if (!node || typeof node !== 'object') return node;
+
+    return Object.fromEntries(Object.entries(node).map(([key, child]) => [
+      key,
+      REDACTED_FIELDS.includes(key) ? '[REDACTED]' : redact(child)
+    ]));
+  };
+
+  return redact(plain);
+}
+
+/**
+ * Leaf paths of a plain object; arrays are compared whole
+ * @private
+ */
+function flatten(node, prefix = '', out = {}) {
+  Object.entries(node || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+      flatten(value, path, out);
+    } else {
+      out[path] = value;
+    }
+  });
+
+  return out;
+}
+
+/**
+ * Field-level changes between two versions of a document
+ * @param {Object} before - Previous version (null when created)
+ * @param {Object} after - New version (null when deleted)
+ * @param {Object} options - { ignore: top-level fields to skip }
+ * @returns {Array} [{ path, before, after }], sorted by path
+ */
+function diff(before, after, { ignore = DEFAULT_IGNORED } = {}) {
+  const left = flatten(sanitize(before) || {});
+  const right = flatten(sanitize(after) || {});
+  const skipped = (path) => ignore.includes(path.split('.')[0]);
+
+  return [...new Set([...Object.keys(left), ...Object.keys(right)])]
+    .filter(path => !skipped(path))
+    .filter(path => JSON.stringify(left[path]) !== JSON.stringify(right[path]))
+    .sort()
+    .map(path => ({
+      path,
+      before: left[path] === undefined ? null : left[path],
+      after: right[path] === undefined ? null : right[path]
+    }));
+}
+
+/**
+ * JSON with object keys sorted, so equal content always hashes the same
+ * @param {*} value - Value
+ * @returns {String}
+ */
+function canonicalize(value) {
+  if (value === undefined || value === null) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash of an entry chained to the previous entry's hash
+ * @param {Object} entry - Audit entry (HASHED_FIELDS)
+ * @param {String} prevHash - Previous entry's hash (GENESIS_HASH for the first)
+ * @returns {String} SHA-256, hex
+ */
+function hashEntry(entry, prevHash) {
+  const content = Object.fromEntries(HASHED_FIELDS.map(field => [field, entry[field]]));
+
+  return crypto.createHash('sha256')
+    .update(`${prevHash}\n${canonicalize(content)}`)
+    .digest('hex');
+}
+
+/**
+ * Incremental chain check - feed entries in sequence order
+ * @param {Object} options - { anchorHash: expected prevHash of the first entry }
+ *                           Without an anchor the first entry must start the chain
+ * @returns {Object} { push(entry), result() → { valid, checked, firstSequence, lastSequence, problems } }
+ */
+function createChainVerifier({ anchorHash } = {}) {
+  const problems = [];
+  let previous = null;
+  let checked = 0;
+  let firstSequence = null;
+
+  const push = (entry) => {
+    if (previous) {
+      if (entry.sequence !== previous.sequence + 1) {
+        problems.push({ sequence: entry.sequence, problem: 'sequence_gap', expected: previous.sequence + 1 });
+      }
+      if (entry.prevHash !== previous.hash) {
+        problems.push({ sequence: entry.sequence, problem: 'broken_link' });
+      }
+    } else {
+      firstSequence = entry.sequence;
+      const expected = anchorHash || (entry.sequence === 1 ? GENESIS_HASH : null);
+
+      if (!expected) {
+        problems.push({ sequence: entry.sequence, problem: 'missing_anchor' });
+      } else if (entry.prevHash !== expected) {
+        problems.push({ sequence: entry.sequence, problem: 'broken_link' });
+      }
+    }
+
+    if (hashEntry(entry, entry.prevHash) !== entry.hash) {
+      problems.push({ sequence: entry.sequence, problem: 'hash_mismatch' });
+    }
+
+    previous = entry;
+    checked += 1;
+  };
+
+  const result = () => ({
+    valid: problems.length === 0,
+    checked,
+    firstSequence,
+    lastSequence: previous ? previous.sequence : null,
+    problems
+  });
+
+  return { push, result };
+}
+
+/**
+ * Check a whole chain held in memory
+ * @param {Array} entries - Entries in sequence order
+ * @param {Object} options - { anchorHash }
+ * @returns {Object} createChainVerifier result
+ */
+function verifyChain(entries, options = {}) {
+  const verifier = createChainVerifier(options);
+  entries.forEach(verifier.push);
+  return verifier.result();
+}
+
+/**
+ * Parse a Date query parameter
+ * @private
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Build a query from GET /api/audit parameters
+ * @param {Object} query - { action, resourceType, resourceId, actorId, outcome, requestId, from, to }
+ *                         action may be a comma-separated list
+ * @returns {Object} { filter } or { error }
+ */
+function buildFilter(query = {}) {
+  const filter = {};
+
+  if (query.action) {
+    const actions = String(query.action).split(',').map(action => action.trim()).filter(Boolean);
+    filter.action = actions.length === 1 ? actions[0] : { $in: actions };
+  }
+  if (query.resourceType) filter['resource.type'] = String(query.resourceType);
+  if (query.resourceId) filter['resource.id'] = String(query.resourceId);
+  if (query.actorId) filter['actor.userId'] = String(query.actorId);
+  if (query.requestId) filter.requestId = String(query.requestId);
+
+  if (query.outcome) {
+    if (!OUTCOMES.includes(query.outcome)) {
+      return { error: `outcome must be one of: ${OUTCOMES.join(', ')}` };
+    }
+    filter.outcome = query.outcome;
+  }
+
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === undefined || to === undefined) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (from && to && from > to) {
+    return { error: 'from must be before to' };
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  return { filter };
+}
+
+/**
+ * Oldest createdAt kept by the retention policy
+ * @param {Date} now - Current time
+ * @param {Number} retentionDays - Days to keep
+ * @returns {Date}
+ */
+function retentionCutoff(now, retentionDays) {
+  return new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+}
+
+const CSV_COLUMNS = [
+  'sequence', 'createdAt', 'action', 'outcome', 'actorType', 'actorId', 'actorEmail', 'actorRole',
+  'resourceType', 'resourceId', 'changes', 'ipAddress', 'userAgent', 'requestId', 'metadata', 'hash', 'prevHash'
+];
+
+/**
+ * Flatten an entry into CSV_COLUMNS order
+ * @param {Object} entry - Audit entry
+ * @returns {Array}
+ */
+function toCsvRow(entry) {
+  const actor = entry.actor || {};
+  const resource = entry.resource || {};
+  const json = (value) => (value && (!Array.isArray(value) || value.length) ? JSON.stringify(value) : '');
+
+  return [
+    entry.sequence,
+    new Date(entry.createdAt).toISOString(),
+    entry.action,
+    entry.outcome,
+    actor.type,
+    actor.userId,
+    actor.email,
+    actor.role,
+    resource.type,
+    resource.id,
+    json(entry.changes),
+    entry.ipAddress,
+    entry.userAgent,
+    entry.requestId,
+    json(entry.metadata),
+    entry.hash,
+    entry.prevHash
+  ];
+}
+
+module.exports = {
+  sanitize,
+  diff,
+  canonicalize,
+  hashEntry,
+  createChainVerifier,
+  verifyChain,
+  buildFilter,
+  retentionCutoff,
+  toCsvRow,
+  CSV_COLUMNS,
+  HASHED_FIELDS,
+  GENESIS_HASH,
+  OUTCOMES
+};
@@ -0,0 +1,276 @@
+/**
+ * Cadence
+ *
+ * @description Retry cadence for unanswered leads: when the next attempt is
+ *              due, which policy applies and whether a number has hit its
+ *              daily attempt cap. Pure functions - services/cadence.service
+ *              does the I/O.
+ *
+ * A policy is a list of steps; step N applies to attempt N+1 and the last
+ * step repeats. Each step waits delayMinutes after the previous attempt and
+ * may pin the attempt to a time-of-day slot in the lead's local time
+ * ('rotate' picks a slot the lead has not been called in yet). A cadence
+ * ends after maxAttempts or windowDays after the first attempt.
+ *
+ * Example: attempt 1 immediately, 2 after 4h, 3+ next day at a different
+ * time of day, max 6 attempts in 14 days:
+ *
+ *   steps: [{ delayMinutes: 0 }, { delayMinutes: 240 }, { delayMinutes: 1440, slot: 'rotate' }]
+ */
+
+const { getZonedParts, zonedTimeToUtc } = require('../security/tcpa/calling-window');
+
+// Local time-of-day slots (hours, end exclusive)
+const TIME_SLOTS = {
+  morning: { start: 9, end: 12 },
+  afternoon: { start: 12, end: 17 },
+  evening: { start: 17, end: 20 }
+};
+
+const SLOT_NAMES = Object.keys(TIME_SLOTS);
+const STEP_SLOTS = ['any', 'rotate', ...SLOT_NAMES];
+
+const PRIORITY_RANK = { urgent: 0, high: 1, medium: 2, low: 3 };
+
+// Lead statuses whose scheduled follow-ups the dialer picks up
+const FOLLOW_UP_STATUSES = ['contacted', 'qualified', 'nurturing'];
+
+// Lead statuses a retry cadence keeps dialing
+const CADENCE_STATUSES = ['new', 'contacted', 'nurturing'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used when no policy matches a lead
+const DEFAULT_POLICY = {
+  name: 'Default',
+  steps: [
+    { delayMinutes: 0, slot: 'any' },
+    { delayMinutes: 240, slot: 'any' },
+    { delayMinutes: 1440, slot: 'rotate' }
+  ],
+  maxAttempts: 6,
+  windowDays: 14,
+  dailyCapPerNumber: 3
+};
+
+/**
+ * Time-of-day slot an instant falls in
+ * @param {Date} date - Instant
+ * @param {String} timezone - Lead's timezone
+ * @returns {String|null} Slot name
+ */
+function slotOf(date, timezone) {
+  const { hour } = getZonedParts(new Date(date), timezone);
+  return SLOT_NAMES.find(name => hour >= TIME_SLOTS[name].start && hour < TIME_SLOTS[name].end) || null;
+}
+
+/**
+ * Slot for a 'rotate' step: the first slot not used yet, else the one after the last used
+ * @param {String[]} usedSlots - Slots of earlier attempts, oldest first
+ * @returns {String}
+ */
+function rotateSlot(usedSlots = []) {
+  const unused = SLOT_NAMES.find(name => !usedSlots.includes(name));
+  if (unused) return unused;
+
+  const last = SLOT_NAMES.indexOf(usedSlots[usedSlots.length - 1]);
+  return SLOT_NAMES[(last + 1) % SLOT_NAMES.length];
+}
+
+/**
+ * First instant at or after `from` inside a slot, in the lead's local time
+ * @param {Date} from - Earliest instant
+ * @param {String} slot - Slot name
+ * @param {String} timezone - Lead's timezone
+ * @returns {Date}
+ */
+function nextSlotStart(from, slot, timezone) {
+  const { start, end } = TIME_SLOTS[slot];
+  const local = getZonedParts(from, timezone);
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+    const date = { year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate() };
+
+    if (from < zonedTimeToUtc(date, end, timezone)) {
+      const slotStart = zonedTimeToUtc(date, start, timezone);
+      return slotStart > from ? slotStart : new Date(from);
+    }
+  }
+
+  return new Date(from);
+}
+
+/**
+ * When the next attempt is due
+ * @param {Object} policy - Cadence policy
+ * @param {Object} cadence - Lead.cadence ({ attempts, firstAttemptAt, lastAttemptAt, slots })
+ * @param {String} timezone - Lead's timezone
+ * @returns {Date|null} null when the cadence is exhausted
+ */
+function nextAttemptAt(policy, cadence, timezone) {
+  const attempts = cadence.attempts || 0;
+  if (attempts >= policy.maxAttempts) return null;
+  if (!cadence.lastAttemptAt) return null;
+
+  const steps = policy.steps?.length ? policy.steps : DEFAULT_POLICY.steps;
+  const step = steps[Math.min(attempts, steps.length - 1)];
+  const earliest = new Date(new Date(cadence.lastAttemptAt).getTime() + (step.delayMinutes || 0) * 60000);
+
+  const slot = step.slot === 'rotate' ? rotateSlot(cadence.slots) : step.slot;
+  const dueAt = TIME_SLOTS[slot] ? nextSlotStart(earliest, slot, timezone) : earliest;
+
+  const deadline = new Date(new Date(cadence.firstAttemptAt || cadence.lastAttemptAt).getTime() + policy.windowDays * DAY_MS);
+  return dueAt <= deadline ? dueAt : null;
+}
+
+/**
+ * Per-number daily attempt cap over a rolling 24 hours
+ * @param {Date[]} attemptTimes - Recent attempts to the number
+ * @param {Number} cap - Attempts allowed per 24 hours
+ * @param {Date} now - Evaluation time
+ * @returns {Object} { allowed, attempts, cap, nextAllowedAt }
+ */
+function dailyCapStatus(attemptTimes, cap, now = new Date()) {
+  const since = now.getTime() - DAY_MS;
+  const recent = attemptTimes
+    .map(time => new Date(time).getTime())
+    .filter(time => time > since)
+    .sort((a, b) => a - b);
+
+  const allowed = recent.length < cap;
+
+  return {
+    allowed,
+    attempts: recent.length,
+    cap,
+    // The cap frees up when enough of the window's attempts age out
+    nextAllowedAt: allowed ? null : new Date(recent[recent.length - cap] + DAY_MS)
+  };
+}
+
+/**
+ * Pick the policy for a lead: the campaign's, then one listing the lead's source, then the default
+ * @param {Object[]} policies - Active policies
+ * @param {Object} lead - Lead
+ * @param {String} campaignPolicyId - Policy assigned to the dialing campaign (optional)
+ * @returns {Object} Policy (DEFAULT_POLICY when none applies)
+ */
+function selectPolicy(policies, lead, campaignPolicyId = null) {
+  const active = policies.filter(policy => policy.isActive !== false);
+
+  if (campaignPolicyId) {
+    const assigned = active.find(policy => String(policy._id) === String(campaignPolicyId));
+    if (assigned) return assigned;
+  }
+
+  const sources = [lead.source, lead.customFields?.leadSource].filter(Boolean);
+  return active.find(policy => (policy.sources || []).some(source => sources.includes(source))) ||
+    active.find(policy => policy.isDefault) ||
+    DEFAULT_POLICY;
+}
+
+/**
+ * When a lead is due for a call, or null when it is not
+ * @param {Object} lead - Lead
+ * @param {Date} now - Evaluation time
+ * @returns {Date|null}
+ */
+function dueAt(lead, now = new Date()) {
+  const due = [];
+
+  if (lead.nextFollowUpAt && FOLLOW_UP_STATUSES.includes(lead.status)) {
+    due.push(new Date(lead.nextFollowUpAt));
+  }
+
+  const cadence = lead.cadence;
+  if (cadence?.nextAttemptAt) {
+    if (CADENCE_STATUSES.includes(lead.status)) due.push(new Date(cadence.nextAttemptAt));
+  } else if (!cadence?.attempts && ['new', 'contacted'].includes(lead.status) &&
+    (lead.contactAttempts || 0) < DEFAULT_POLICY.maxAttempts) {
+    // Not on a cadence yet: due right away, or one retry delay after a call
+    // placed before cadences existed
+    due.push(lead.lastContactedAt
+      ? new Date(new Date(lead.lastContactedAt).getTime() + DEFAULT_POLICY.steps[1].delayMinutes * 60000)
+      : new Date(lead.createdAt || now));
+  }
+
+  const ready = due.filter(time => time <= now);
+  return ready.length ? new Date(Math.min(...ready)) : null;
+}
+
+/**
+ * Order due leads: higher priority first, then longest overdue
+ * @param {Object[]} leads - Leads
+ * @param {Date} now - Evaluation time
+ * @returns {Object[]} Due leads in dial order
+ */
+function rankDueLeads(leads, now = new Date()) {
+  return leads
+    .map(lead => ({ lead, due: dueAt(lead, now) }))
+    .filter(entry => entry.due)
+    .sort((a, b) =>
+      (PRIORITY_RANK[a.lead.priority] ?? 2) - (PRIORITY_RANK[b.lead.priority] ?? 2) ||
+      a.due - b.due
+    )
+    .map(entry => entry.lead);
+}
+
+/**
+ * Validate policy fields that are present
+ * @param {Object} data - Policy fields
+ * @returns {String|null} Error message
+ */
+function validatePolicy(data) {
+  const isWhole = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+  if (data.steps !== undefined) {
+    if (!Array.isArray(data.steps) || data.steps.length === 0 || data.steps.length > 20) {
+      return 'steps must be a list of 1 to 20 steps';
+    }
+
+    for (const [index, step] of data.steps.entries()) {
+      if (!step || !isWhole(step.delayMinutes, 0, 60 * 24 * 30)) {
+        return `steps[${index}].delayMinutes must be a whole number of minutes up to 30 days`;
+      }
+      if (step.slot !== undefined && !STEP_SLOTS.includes(step.slot)) {
+        return `steps[${index}].slot must be one of: ${STEP_SLOTS.join(', ')}`;
+      }
+    }
+  }
+
+  if (data.maxAttempts !== undefined && !isWhole(data.maxAttempts, 1, 50)) {
+    return 'maxAttempts must be a whole number from 1 to 50';
+  }
+
+  if (data.windowDays !== undefined && !isWhole(data.windowDays, 1, 365)) {
+    return 'windowDays must be a whole number from 1 to 365';
+  }
+
+  if (data.dailyCapPerNumber !== undefined && !isWhole(data.dailyCapPerNumber, 1, 20)) {
+    return 'dailyCapPerNumber must be a whole number from 1 to 20';
+  }
+
+  if (data.sources !== undefined &&
+    !(Array.isArray(data.sources) && data.sources.every(source => typeof source === 'string'))) {
+    return 'sources must be a list of strings';
+  }
+
+  return null;
+}
+
+module.exports = {
+  slotOf,
+  rotateSlot,
+  nextSlotStart,
+  nextAttemptAt,
+  dailyCapStatus,
+  selectPolicy,
+  dueAt,
+  rankDueLeads,
+  validatePolicy,
+  DEFAULT_POLICY,
+  TIME_SLOTS,
+  FOLLOW_UP_STATUSES,
+  CADENCE_STATUSES
+};
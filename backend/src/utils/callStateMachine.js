@@ -0,0 +1,317 @@
+/**
+ * Call State Machine
+ *
+ * @description Turns Telnyx call-control events into CallLog updates.
+ *              Pure functions - services/callLifecycle.service does the I/O.
+ *
+ * A call only moves forward:
+ *
+ *   initiated → ringing → answered → bridged → ended (completed | busy |
+ *                                               no-answer | rejected |
+ *                                               cancelled | failed)
+ *
+ * Events that would move a call backwards, or repeat a step it already
+ * took, are ignored. Once a call has ended only detail events (recording,
+ * DTMF, answering-machine detection) are still applied.
+ *
+ * Answering machine detection drives the voicemail drop: a machine result
+ * raises call.machine_detected, the end of its greeting (the beep)
+ * call.greeting_ended, and the end of the message call.playback_ended.
+ */
+
+// CallLog statuses that still occupy a line, in lifecycle order
+const STATUS_RANK = {
+  initiated: 0,
+  ringing: 1,
+  'early-media': 1,
+  answered: 2,
+  bridged: 3,
+  active: 3,
+  held: 3
+};
+
+const ACTIVE_CALL_STATUSES = Object.keys(STATUS_RANK);
+
+// Telnyx hangup_cause → CallLog status for unanswered calls
+const UNANSWERED_STATUSES = {
+  user_busy: 'busy',
+  no_answer: 'no-answer',
+  timeout: 'no-answer',
+  call_rejected: 'rejected',
+  originator_cancel: 'cancelled'
+};
+
+// Telnyx hangup_cause → CallLog hangupCause
+const HANGUP_CAUSES = {
+  normal_clearing: 'normal-clearing',
+  user_busy: 'user-busy',
+  no_answer: 'no-answer',
+  timeout: 'timeout',
+  time_limit: 'timeout',
+  call_rejected: 'call-rejected',
+  not_found: 'invalid-number',
+  unallocated_number: 'invalid-number',
+  originator_cancel: 'originator-cancel'
+};
+
+// Telnyx hangup_source → CallLog hangupSource
+const HANGUP_SOURCES = {
+  caller: 'caller',
+  callee: 'callee'
+};
+
+// Answering machine detection result → CallLog answerState
+const ANSWER_STATES = {
+  human: 'human',
+  human_residence: 'human',
+  human_business: 'human',
+  machine: 'machine',
+  fax_detected: 'fax',
+  silence: 'unknown',
+  not_sure: 'unknown',
+  beep_detected: 'voicemail'
+};
+
+// Call-status events: the step they move the call to and the timestamp they set
+const TRANSITIONS = {
+  'call.initiated': { status: 'ringing', field: 'ringingAt', eventType: 'ringing' },
+  'call.answered': { status: 'answered', field: 'answeredAt', eventType: 'answered' },
+  'call.bridged': { status: 'bridged', field: 'bridgedAt', eventType: 'bridged' },
+  'call.hangup': { status: null, field: 'endedAt', eventType: 'hangup' }
+};
+
+// Detail events → CallLog.events eventType
+const DETAILS = {
+  'call.dtmf.received': 'dtmf',
+  'call.recording.saved': 'recording-stopped',
+  'recording.started': 'recording-started',
+  'recording.stopped': 'recording-stopped',
+  'call.machine.detection.ended': 'other',
+  'call.machine.premium.detection.ended': 'other',
+  'call.machine.greeting.ended': 'other',
+  'call.machine.premium.greeting.ended': 'other',
+  'call.playback.ended': 'other',
+  'call.speak.ended': 'other'
+};
+
+// Detail events → domain event, when the result qualifies
+const DETAIL_DOMAIN_EVENTS = {
+  'call.machine.detection.ended': answerState => (answerState === 'machine' ? 'call.machine_detected' : null),
+  'call.machine.premium.detection.ended': answerState => (answerState === 'machine' ? 'call.machine_detected' : null),
+  'call.machine.greeting.ended': () => 'call.greeting_ended',
+  'call.machine.premium.greeting.ended': () => 'call.greeting_ended',
+  'call.playback.ended': () => 'call.playback_ended',
+  'call.speak.ended': () => 'call.playback_ended'
+};
+
+// Only tracked while a voicemail message is playing (the AI agent speaks constantly)
+const PLAYBACK_EVENTS = ['call.playback.ended', 'call.speak.ended'];
+
+const TRACKED_EVENTS = [...Object.keys(TRANSITIONS), ...Object.keys(DETAILS)];
+
+/**
+ * Normalize a Telnyx event from the webhook (body.data) or the WebSocket stream
+ * @param {Object} data - { id, event_type, occurred_at, payload }
+ * @returns {Object} { id, type, occurredAt, payload }
+ */
+function normalizeEvent(data = {}) {
+  const type = data.event_type || data.type;
+  const payload = data.payload || {};
+  const occurredAt = new Date(data.occurred_at || payload.occurred_at || Date.now());
+
+  return {
+    // Webhook and WebSocket deliveries of one event share its id; the
+    // fallback keeps id-less deliveries of the same event equal too
+    id: data.id || `${type}:${payload.call_control_id}:${occurredAt.toISOString()}`,
+    type,
+    occurredAt,
+    payload
+  };
+}
+
+/**
+ * Whether a CallLog status is final
+ * @param {String} status - CallLog status
+ * @returns {Boolean}
+ */
+function isFinal(status) {
+  return STATUS_RANK[status] === undefined;
+}
+
+/**
+ * Seconds between two dates, never negative
+ * @private
+ */
+function secondsBetween(from, to) {
+  if (!from || !to) return 0;
+  return Math.max(0, Math.floor((new Date(to) - new Date(from)) / 1000));
+}
+
+/**
+ * Domain events raised when a call ends
+ * @param {Object} callLog - CallLog after the hangup was applied
+ * @returns {String[]}
+ */
+function endedEvents(callLog) {
+  let outcome;
+
+  if (callLog.answeredAt) {
+    outcome = ['machine', 'voicemail'].includes(callLog.answerState) ? 'call.voicemail' : 'call.completed';
+  } else {
+    outcome = callLog.status === 'failed' ? 'call.failed' : 'call.no_answer';
+  }
+
+  return [outcome, 'call.ended'];
+}
+
+/**
+ * Fields a hangup sets
+ * @private
+ */
+function hangupFields(callLog, event) {
+  const { payload, occurredAt } = event;
+  const answeredAt = callLog.answeredAt;
+  const ringingFrom = callLog.ringingAt || callLog.initiatedAt;
+
+  const set = {
+    endedAt: occurredAt,
+    status: answeredAt ? 'completed' : (UNANSWERED_STATUSES[payload.hangup_cause] || 'failed'),
+    hangupCause: HANGUP_CAUSES[payload.hangup_cause] || 'other',
+    'duration.total': secondsBetween(callLog.initiatedAt, occurredAt),
+    'duration.ringing': secondsBetween(ringingFrom, answeredAt || occurredAt),
+    'duration.talking': answeredAt
+      ? Math.max(0, secondsBetween(answeredAt, occurredAt) - (callLog.duration?.hold || 0))
+      : 0
+  };
+
+  if (HANGUP_SOURCES[payload.hangup_source]) set.hangupSource = HANGUP_SOURCES[payload.hangup_source];
+  if (!answeredAt) set.answerState = 'no-answer';
+
+  return set;
+}
+
+/**
+ * Fields a detail event sets
+ * @private
+ */
+function detailFields(event) {
+  const { type, payload, occurredAt } = event;
+
+  if (type === 'call.dtmf.received') {
+    return { set: {}, push: { dtmfInputs: { digit: payload.digit, timestamp: occurredAt } } };
+  }
+
+  if (type === 'recording.started') {
+    return { set: { 'recording.enabled': true, 'recording.status': 'processing' } };
+  }
+
+  if (type === 'recording.stopped' || type === 'call.recording.saved') {
+    const urls = payload.recording_urls || {};
+    const publicUrls = payload.public_recording_urls || {};
+    const format = urls.mp3 ? 'mp3' : (urls.wav ? 'wav' : payload.format);
+    const set = { 'recording.enabled': true };
+
+    if (type === 'call.recording.saved') {
+      set['recording.status'] = 'available';
+      if (urls.mp3 || urls.wav) set['recording.recordingUrl'] = urls.mp3 || urls.wav;
+      if (publicUrls.mp3 || publicUrls.wav) set['recording.downloadUrl'] = publicUrls.mp3 || publicUrls.wav;
+      if (format) set['recording.recordingFormat'] = format;
+      if (payload.recording_started_at && payload.recording_ended_at) {
+        set['recording.recordingDuration'] = secondsBetween(payload.recording_started_at, payload.recording_ended_at);
+      }
+    }
+
+    return { set };
+  }
+
+  if (PLAYBACK_EVENTS.includes(type)) {
+    return { set: {} };
+  }
+
+  // Answering machine detection
+  const answerState = ANSWER_STATES[payload.result];
+  return { set: answerState ? { answerState } : {} };
+}
+
+/**
+ * Plan the CallLog update for one event
+ * @param {Object} callLog - Current CallLog (status, timestamps, duration, answerState)
+ * @param {Object} event - Normalized event (see normalizeEvent)
+ * @returns {Object} { ignored } or { set, push, guard, domainEvents }
+ *   guard - CallLog fields the update must still match (optimistic lock)
+ */
+function planEvent(callLog, event) {
+  const transition = TRANSITIONS[event.type];
+  const eventType = transition ? transition.eventType : DETAILS[event.type];
+
+  if (!eventType) return { ignored: 'untracked' };
+  if (PLAYBACK_EVENTS.includes(event.type) && callLog.voicemail?.status !== 'playing') {
+    return { ignored: 'untracked' };
+  }
+
+  const entry = {
+    eventType,
+    timestamp: event.occurredAt,
+    description: event.type,
+    data: {
+      eventId: event.id,
+      hangupCause: event.payload.hangup_cause,
+      digit: event.payload.digit,
+      result: event.payload.result
+    }
+  };
+  Object.keys(entry.data).forEach(key => entry.data[key] === undefined && delete entry.data[key]);
+
+  if (!transition) {
+    const { set, push = {} } = detailFields(event);
+    const domainEvent = DETAIL_DOMAIN_EVENTS[event.type]?.(set.answerState);
+
+    return { set, push: { ...push, events: entry }, guard: {}, domainEvents: domainEvent ? [domainEvent] : [] };
+  }
+
+  if (isFinal(callLog.status) || callLog.endedAt) return { ignored: 'call_ended' };
+  if (callLog[transition.field]) return { ignored: 'already_applied' };
+
+  const guard = { status: callLog.status, [transition.field]: null };
+
+  if (event.type === 'call.hangup') {
+    const set = hangupFields(callLog, event);
+    return {
+      set,
+      push: { events: entry },
+      guard,
+      domainEvents: endedEvents({ ...callLog, ...set })
+    };
+  }
+
+  if (transition.status && STATUS_RANK[transition.status] < STATUS_RANK[callLog.status]) {
+    return { ignored: 'out_of_order' };
+  }
+
+  const set = { status: transition.status, [transition.field]: event.occurredAt };
+
+  if (event.type === 'call.initiated') {
+    if (event.payload.call_session_id) set['telnyx.callSessionId'] = event.payload.call_session_id;
+    if (event.payload.call_leg_id) set['telnyx.callLegId'] = event.payload.call_leg_id;
+  }
+  if (event.type === 'call.answered') {
+    set['duration.ringing'] = secondsBetween(callLog.ringingAt || callLog.initiatedAt, event.occurredAt);
+  }
+
+  return {
+    set,
+    push: { events: entry },
+    guard,
+    domainEvents: event.type === 'call.answered' ? ['call.answered'] : []
+  };
+}
+
+module.exports = {
+  normalizeEvent,
+  planEvent,
+  endedEvents,
+  isFinal,
+  ACTIVE_CALL_STATUSES,
+  UNANSWERED_STATUSES,
+  TRACKED_EVENTS
+};
@@ -0,0 +1,159 @@
+/**
+ * Caller ID Pool
+ *
+ * @description Local-presence caller ID selection and number reputation.
+ *              Pure functions - services/callerIdPool.service does the I/O.
+ *
+ * Numbers are matched to the called party by area code, then by state,
+ * then anything left; within a match the least used number with the best
+ * answer rate goes first. Each number has a daily call cap.
+ *
+ * Reputation is a spam-flag heuristic: a flagged number's answer rate falls
+ * well below the rest of the pool. A number under the floor (absolute, or
+ * relative to the pool) rests for a while; one that keeps coming back
+ * flagged is retired.
+ */
+
+const { getAreaCode, lookupAreaCode } = require('../security/tcpa/timezones');
+
+const REPUTATION_DEFAULTS = {
+  minCalls: 30,           // Calls in the window before a number is judged
+  minAnswerRate: 0.05,    // Absolute floor
+  relativeFloor: 0.5,     // Share of the pool's answer rate a number must reach
+  maxRests: 2             // Rests before a flagged number is retired
+};
+
+const E164_PATTERN = /^\+1[2-9]\d{2}[2-9]\d{6}$/;
+
+/**
+ * UTC day a usage counter belongs to
+ * @param {Date} date - Instant
+ * @returns {String} YYYY-MM-DD
+ */
+function dayKey(date = new Date()) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Calls a number placed on a day
+ * @param {Object} number - CallerNumber
+ * @param {String} day - dayKey
+ * @returns {Number}
+ */
+function usageOn(number, day) {
+  return number.usage?.date === day ? number.usage.calls || 0 : 0;
+}
+
+/**
+ * Area code and state of a phone number
+ * @param {String} phoneNumber - Phone number
+ * @returns {Object} { areaCode, state }
+ */
+function locate(phoneNumber) {
+  const info = lookupAreaCode(phoneNumber);
+  return { areaCode: getAreaCode(phoneNumber), state: info?.state || null };
+}
+
+/**
+ * How well a pool number matches the called party
+ * @param {Object} number - CallerNumber
+ * @param {Object} target - { areaCode, state }
+ * @returns {String} 'area_code' | 'state' | 'none'
+ */
+function matchOf(number, target) {
+  if (target.areaCode && number.areaCode === target.areaCode) return 'area_code';
+  if (target.state && number.state === target.state) return 'state';
+  return 'none';
+}
+
+const MATCH_RANK = { area_code: 0, state: 1, none: 2 };
+
+/**
+ * Order usable pool numbers for a call
+ * @param {Object[]} numbers - Active CallerNumbers
+ * @param {Object} target - { areaCode, state } of the called party
+ * @param {String} day - dayKey for usage
+ * @returns {Object[]} [{ number, match }] best first, numbers at their cap left out
+ */
+function rankNumbers(numbers, target, day) {
+  return numbers
+    .filter(number => usageOn(number, day) < number.dailyCap)
+    .map(number => ({ number, match: matchOf(number, target) }))
+    .sort((a, b) =>
+      MATCH_RANK[a.match] - MATCH_RANK[b.match] ||
+      usageOn(a.number, day) / a.number.dailyCap - usageOn(b.number, day) / b.number.dailyCap ||
+      (b.number.reputation?.answerRate ?? 1) - (a.number.reputation?.answerRate ?? 1)
+    );
+}
+
+/**
+ * Judge a number's answer rate against the pool
+ * @param {Object} stats - { calls, answered } over the reputation window
+ * @param {Number} poolAnswerRate - Answer rate of the whole pool over the window
+ * @param {Object} options - REPUTATION_DEFAULTS overrides
+ * @returns {Object} { answerRate, score, status: 'good' | 'flagged' | 'unknown' }
+ */
+function evaluateReputation(stats, poolAnswerRate, options = {}) {
+  const { minCalls, minAnswerRate, relativeFloor } = { ...REPUTATION_DEFAULTS, ...options };
+  const calls = stats.calls || 0;
+  const answerRate = calls ? (stats.answered || 0) / calls : null;
+
+  if (calls < minCalls) {
+    return { answerRate, score: null, status: 'unknown' };
+  }
+
+  const floor = Math.max(minAnswerRate, (poolAnswerRate || 0) * relativeFloor);
+  const score = poolAnswerRate
+    ? Math.min(100, Math.round((answerRate / poolAnswerRate) * 100))
+    : Math.round(answerRate * 100);
+
+  return { answerRate, score, status: answerRate < floor ? 'flagged' : 'good' };
+}
+
+/**
+ * What to do with a number after evaluating it
+ * @param {Object} number - CallerNumber
+ * @param {Object} evaluation - evaluateReputation result
+ * @param {Object} options - REPUTATION_DEFAULTS overrides
+ * @returns {String} 'rest' | 'retire' | 'none'
+ */
+function reputationAction(number, evaluation, options = {}) {
+  const { maxRests } = { ...REPUTATION_DEFAULTS, ...options };
+
+  if (number.status !== 'active' || evaluation.status !== 'flagged') return 'none';
+  return (number.restCount || 0) >= maxRests ? 'retire' : 'rest';
+}
+
+/**
+ * Validate caller number fields that are present
+ * @param {Object} data - { phoneNumber, dailyCap, status }
+ * @returns {String|null} Error message
+ */
+function validateCallerNumber(data) {
+  if (data.phoneNumber !== undefined && !E164_PATTERN.test(data.phoneNumber)) {
+    return 'phoneNumber must be a US number in E.164 format (+1NXXNXXXXXX)';
+  }
+
+  if (data.dailyCap !== undefined &&
+    !(Number.isInteger(data.dailyCap) && data.dailyCap >= 1 && data.dailyCap <= 1000)) {
+    return 'dailyCap must be a whole number from 1 to 1000';
+  }
+
+  if (data.status !== undefined && !['active', 'resting', 'retired'].includes(data.status)) {
+    return 'status must be active, resting or retired';
+  }
+
+  return null;
+}
+
+module.exports = {
+  dayKey,
+  usageOn,
+  locate,
+  matchOf,
+  rankNumbers,
+  evaluateReputation,
+  reputationAction,
+  validateCallerNumber,
+  REPUTATION_DEFAULTS
+};
@@ -0,0 +1,129 @@
+/**
+ * Campaign Dialing
+ *
+ * @description Which leads a campaign dials, when its schedule is open and
+ *              how many calls it may place. Pure functions -
+ *              services/campaignEngine.service does the I/O.
+ */
+
+const { getZonedParts, DEFAULT_TIMEZONE } = require('../security/tcpa/calling-window');
+
+// Lead statuses dialed when the segment names none
+const DEFAULT_SEGMENT_STATUSES = ['new', 'contacted'];
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY_MINUTES = 240;
+
+/**
+ * Build the Lead query for a campaign's segment and retry rules
+ * With a cadence policy the policy decides when leads are due (pass its
+ * query fragment as options.dueQuery); otherwise the campaign's retry rules do.
+ * @param {Object} campaign - Campaign document
+ * @param {Date} now - Evaluation time
+ * @param {Object} options - { includeDeferred: also match leads waiting on a retry delay, hold or live call,
+ *                            dueQuery: cadence due-query fragment }
+ * @returns {Object} MongoDB query
+ */
+function buildSegmentQuery(campaign, now = new Date(), options = {}) {
+  const segment = campaign.segment || {};
+  const retry = campaign.retry || {};
+  const retryCutoff = new Date(now.getTime() - (retry.retryDelayMinutes || DEFAULT_RETRY_DELAY_MINUTES) * 60000);
+
+  const query = {
+    isActive: true,
+    'consent.canCall': true,
+    status: { $in: segment.statuses?.length ? segment.statuses : DEFAULT_SEGMENT_STATUSES }
+  };
+  query.$and = [];
+
+  if (campaign.cadencePolicyId) {
+    if (options.dueQuery) query.$and.push(options.dueQuery);
+  } else {
+    query.contactAttempts = { $lt: retry.maxAttempts || DEFAULT_MAX_ATTEMPTS };
+    if (!options.includeDeferred) {
+      query.$and.push({ $or: [{ lastContactedAt: null }, { lastContactedAt: { $lte: retryCutoff } }] });
+    }
+  }
+
+  if (!options.includeDeferred) {
+    query['customFields.callInProgress'] = { $ne: true };
+    query.$and.push({
+      $or: [
+        { 'customFields.campaignBlockedUntil': null },
+        { 'customFields.campaignBlockedUntil': { $lte: now } }
+      ]
+    });
+  }
+
+  if (query.$and.length === 0) delete query.$and;
+
+  if (segment.priorities?.length) query.priority = { $in: segment.priorities };
+  if (segment.sources?.length) query.source = { $in: segment.sources };
+  if (segment.tags?.length) query.tags = { $in: segment.tags };
+  if (segment.assignedTo?.length) query.assignedTo = { $in: segment.assignedTo };
+  if (segment.campaignLeadsOnly) query.campaignId = campaign._id;
+
+  if (segment.minQualificationScore != null || segment.maxQualificationScore != null) {
+    query.qualificationScore = {};
+    if (segment.minQualificationScore != null) query.qualificationScore.$gte = segment.minQualificationScore;
+    if (segment.maxQualificationScore != null) query.qualificationScore.$lte = segment.maxQualificationScore;
+  }
+
+  return query;
+}
+
+/**
+ * Check a campaign calling schedule
+ * Days and times are in the schedule's timezone; endTime is exclusive.
+ * @param {Object} schedule - { timezone, daysOfWeek (0 = Sunday), startTime, endTime ('HH:mm') }
+ * @param {Date} at - Instant to check
+ * @returns {Boolean}
+ */
+function isWithinSchedule(schedule = {}, at = new Date()) {
+  const parts = getZonedParts(at, schedule.timezone || DEFAULT_TIMEZONE);
+
+  if (schedule.daysOfWeek?.length && !schedule.daysOfWeek.includes(parts.weekday)) {
+    return false;
+  }
+
+  const current = parts.hour * 60 + parts.minute;
+  return current >= toMinutes(schedule.startTime || '00:00') &&
+    current < toMinutes(schedule.endTime || '23:59');
+}
+
+/**
+ * How many calls a campaign may place, given the live call counts
+ * The tightest of campaign concurrency, account-wide concurrency and
+ * calls/minute wins.
+ * @param {Object} campaign - Campaign document (pacing)
+ * @param {Object} counts - { campaignActive, accountActive, lastMinute }
+ * @param {Number} maxConcurrentCalls - Account-wide concurrent call limit
+ * @returns {Object} { available, limitedBy }
+ */
+function computeCapacity(campaign, counts, maxConcurrentCalls) {
+  const limits = {
+    campaign_concurrency: (campaign.pacing?.maxConcurrent || 1) - counts.campaignActive,
+    account_concurrency: maxConcurrentCalls - counts.accountActive,
+    calls_per_minute: (campaign.pacing?.callsPerMinute || 1) - counts.lastMinute
+  };
+
+  const [limitedBy, available] = Object.entries(limits).sort((a, b) => a[1] - b[1])[0];
+
+  return { available, limitedBy };
+}
+
+/**
+ * 'HH:mm' → minutes after midnight
+ * @private
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+module.exports = {
+  buildSegmentQuery,
+  isWithinSchedule,
+  computeCapacity,
+  DEFAULT_SEGMENT_STATUSES
+};
@@ -0,0 +1,182 @@
+/**
+ * Closer Routing
+ *
+ * @description Pure schedule and selection logic for hot-transfer routing.
+ *              services/closer.service loads the roster and persists the
+ *              result; everything here works on plain closer objects.
+ *
+ * Strategies:
+ * - round_robin: rotate through available closers in a stable order
+ * - least_recent: closer whose last transfer is oldest (never = first)
+ * - skill_match: must hold a license for the lead's state (when known),
+ *   then most matching skills, then priority, then least recent
+ */
+
+const { getZonedParts, zonedTimeToUtc, isValidTimezone, DEFAULT_TIMEZONE } = require('../security/tcpa/calling-window');
+
+const STRATEGIES = ['round_robin', 'least_recent', 'skill_match'];
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Convert HH:MM to minutes after midnight
+ * @private
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Closer timezone, falling back to the default
+ * @private
+ */
+function closerTimezone(closer) {
+  const timezone = closer.schedule?.timezone;
+  return isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Check whether an instant falls inside a closer's weekly hours
+ * @param {Object} closer - Closer document or object
+ * @param {Date} at - Instant to check
+ * @returns {Boolean}
+ */
+function isWithinCloserSchedule(closer, at = new Date()) {
+  const parts = getZonedParts(at, closerTimezone(closer));
+  const day = closer.schedule?.weekly?.[DAYS[parts.weekday]];
+
+  if (!day?.available || !day.start || !day.end) {
+    return false;
+  }
+
+  const minutes = parts.hour * 60 + parts.minute;
+  return minutes >= toMinutes(day.start) && minutes < toMinutes(day.end);
+}
+
+/**
+ * Next time a closer's weekly hours begin (now if already inside them)
+ * @param {Object} closer - Closer document or object
+ * @param {Date} from - Start of search
+ * @returns {Date|null} Null when the closer has no scheduled hours
+ */
+function getNextScheduledStart(closer, from = new Date()) {
+  if (isWithinCloserSchedule(closer, from)) {
+    return from;
+  }
+
+  const timezone = closerTimezone(closer);
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const probe = new Date(from.getTime() + offset * 24 * 60 * 60 * 1000);
+    const parts = getZonedParts(probe, timezone);
+    const day = closer.schedule?.weekly?.[DAYS[parts.weekday]];
+
+    if (!day?.available || !day.start || !day.end) continue;
+
+    const start = zonedTimeToUtc(parts, toMinutes(day.start) / 60, timezone);
+    if (start > from) {
+      return start;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Skills a closer shares with a lead
+ * @param {Object} closer - Closer
+ * @param {Object} leadProfile - { state, industry, language }
+ * @returns {Array<String>} Matched skills, e.g. ['state:TX', 'industry:insurance']
+ */
+function matchSkills(closer, leadProfile = {}) {
+  const skills = closer.skills || {};
+  const matched = [];
+
+  if (leadProfile.state && skills.licensedStates?.includes(leadProfile.state)) {
+    matched.push(`state:${leadProfile.state}`);
+  }
+
+  const industry = leadProfile.industry?.toLowerCase();
+  if (industry && skills.industries?.includes(industry)) {
+    matched.push(`industry:${industry}`);
+  }
+
+  const language = leadProfile.language?.toLowerCase();
+  if (language && skills.languages?.includes(language)) {
+    matched.push(`language:${language}`);
+  }
+
+  return matched;
+}
+
+/**
+ * Whether a closer may take a lead from a given state
+ * @param {Object} closer - Closer
+ * @param {String} state - Two-letter state (null when unknown)
+ * @returns {Boolean}
+ */
+function isLicensedFor(closer, state) {
+  const licensedStates = closer.skills?.licensedStates || [];
+  return !state || licensedStates.length === 0 || licensedStates.includes(state);
+}
+
+/**
+ * Sort key for "least recently transferred" (never transferred first)
+ * @private
+ */
+function lastTransferTime(closer) {
+  return closer.stats?.lastTransferAt ? new Date(closer.stats.lastTransferAt).getTime() : 0;
+}
+
+/**
+ * Pick the best closer for a transfer
+ * @param {Array<Object>} candidates - Available closers
+ * @param {Object} options
+ * @param {String} options.strategy - Routing strategy
+ * @param {Object} options.leadProfile - { state, industry, language }
+ * @param {Number} options.rotation - Round-robin counter
+ * @returns {Object|null} { closer, matchedSkills } or null when nobody fits
+ */
+function selectCloser(candidates, { strategy = 'skill_match', leadProfile = {}, rotation = 0 } = {}) {
+  const eligible = candidates.filter(closer => isLicensedFor(closer, leadProfile.state));
+
+  if (eligible.length === 0) {
+    return null;
+  }
+
+  let closer;
+
+  switch (strategy) {
+    case 'round_robin': {
+      const ordered = [...eligible].sort((a, b) => String(a._id).localeCompare(String(b._id)));
+      closer = ordered[Math.abs(rotation) % ordered.length];
+      break;
+    }
+
+    case 'least_recent':
+      closer = [...eligible].sort((a, b) => lastTransferTime(a) - lastTransferTime(b))[0];
+      break;
+
+    case 'skill_match':
+    default:
+      closer = eligible
+        .map(candidate => ({ candidate, score: matchSkills(candidate, leadProfile).length }))
+        .sort((a, b) =>
+          b.score - a.score ||
+          (b.candidate.priority || 0) - (a.candidate.priority || 0) ||
+          lastTransferTime(a.candidate) - lastTransferTime(b.candidate)
+        )[0].candidate;
+  }
+
+  return { closer, matchedSkills: matchSkills(closer, leadProfile) };
+}
+
+module.exports = {
+  STRATEGIES,
+  DAYS,
+  isWithinCloserSchedule,
+  getNextScheduledStart,
+  matchSkills,
+  isLicensedFor,
+  selectCloser
+};
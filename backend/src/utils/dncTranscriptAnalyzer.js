@@ -16,11 +16,12 @@
 
 const Anthropic = require('@anthropic-ai/sdk');
 const logger = require('./logger');
+const { instrumentAnthropic } = require('./metrics');
 
 // Initialize Claude client
-const anthropic = new Anthropic({
+const anthropic = instrumentAnthropic(new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY
-});
+}), 'dnc_analyzer');
 
 /**
  * Common opt-out phrases to detect
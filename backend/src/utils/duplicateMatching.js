@@ -0,0 +1,222 @@
+/**
+ * Duplicate Matching
+ *
+ * @description Fuzzy lead matching for the duplicate review queue:
+ *              - blocking keys stored on each lead (lead.dedupeKeys) so
+ *                candidates can be found with one indexed query
+ *              - a weighted score explaining why two leads look alike
+ *              Pure functions - services/leadDeduplication.service does the I/O.
+ */
+
+const { toE164 } = require('./leadImportMapping');
+
+// Points per signal; a pair scoring DUPLICATE_THRESHOLD or more goes to review
+const MATCH_WEIGHTS = {
+  phone: 60,            // Any phone of one lead equals any phone of the other (E.164)
+  email: 50,            // Same address
+  emailSimilar: 25,     // Near-identical local part (typo, dots, +tags)
+  name: 25,             // First and last names sound alike
+  lastNameInitial: 15,  // Last name sounds alike and first initial matches
+  company: 10           // Same company after dropping suffixes
+};
+
+const DUPLICATE_THRESHOLD = 50;
+const EMAIL_SIMILARITY = 0.85;
+
+const COMPANY_SUFFIXES = /\b(the|inc|incorporated|llc|l l c|ltd|limited|corp|corporation|co|company|plc|gmbh)\b/g;
+
+/**
+ * American Soundex code ("Robert" → "R163")
+ * @param {String} name - Name
+ * @returns {String|null}
+ */
+function soundex(name) {
+  const letters = String(name || '').toUpperCase().replace(/[^A-Z]/g, '');
+  if (!letters) return null;
+
+  const codes = {
+    B: 1, F: 1, P: 1, V: 1,
+    C: 2, G: 2, J: 2, K: 2, Q: 2, S: 2, X: 2, Z: 2,
+    D: 3, T: 3,
+    L: 4,
+    M: 5, N: 5,
+    R: 6
+  };
+
+  let result = letters[0];
+  let previous = codes[letters[0]] || 0;
+
+  for (let i = 1; i < letters.length && result.length < 4; i++) {
+    const letter = letters[i];
+    const code = codes[letter] || 0;
+
+    if (code && code !== previous) {
+      result += code;
+    }
+
+    // H and W don't separate letters with the same code; vowels do
+    if (letter !== 'H' && letter !== 'W') {
+      previous = code;
+    }
+  }
+
+  return result.padEnd(4, '0');
+}
+
+/**
+ * Levenshtein-based similarity in [0, 1]
+ * @param {String} a - First string
+ * @param {String} b - Second string
+ * @returns {Number}
+ */
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * Comparable email local part: lowercase, no "+tag", no dots
+ * ("Jane.Doe+promo@x.com" → "janedoe")
+ * @param {String} email - Email address
+ * @returns {String|null}
+ */
+function emailLocalPart(email) {
+  if (!email || !String(email).includes('@')) return null;
+
+  const local = String(email).toLowerCase().split('@')[0].split('+')[0].replace(/\./g, '');
+  return local || null;
+}
+
+/**
+ * Comparable company name ("The Acme Co., Inc." → "acme")
+ * @param {String} name - Company name
+ * @returns {String|null}
+ */
+function normalizeCompany(name) {
+  if (!name) return null;
+
+  const normalized = String(name).toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(COMPANY_SUFFIXES, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return normalized || null;
+}
+
+/**
+ * All of a lead's phones in E.164
+ * @param {Object} lead - Lead
+ * @returns {Array}
+ */
+function leadPhones(lead) {
+  return [...new Set([lead.phone, lead.alternatePhone].map(toE164).filter(Boolean))];
+}
+
+/**
+ * Blocking keys stored on the lead: two leads sharing any key are compared
+ * - p:<e164>        each phone
+ * - e:<email>       exact email
+ * - l:<local part>  normalized email local part
+ * - n:<soundex(last)>:<first initial>
+ * @param {Object} lead - Lead
+ * @returns {Array} Keys
+ */
+function dedupeKeys(lead) {
+  const keys = leadPhones(lead).map(phone => `p:${phone}`);
+
+  if (lead.email) {
+    keys.push(`e:${String(lead.email).toLowerCase().trim()}`);
+
+    const local = emailLocalPart(lead.email);
+    if (local && local.length >= 4) keys.push(`l:${local}`);
+  }
+
+  const last = soundex(lead.lastName);
+  const firstInitial = String(lead.firstName || '').trim().charAt(0).toUpperCase();
+  if (last && firstInitial) keys.push(`n:${last}:${firstInitial}`);
+
+  return keys;
+}
+
+/**
+ * Score how likely two leads are the same person
+ * @param {Object} a - Lead
+ * @param {Object} b - Lead
+ * @returns {Object} { score (0-100), reasons: [{ rule, points, detail }] }
+ */
+function scoreMatch(a, b) {
+  const reasons = [];
+  const add = (rule, detail) => reasons.push({ rule, points: MATCH_WEIGHTS[rule], detail });
+
+  const phonesB = leadPhones(b);
+  const sharedPhone = leadPhones(a).find(phone => phonesB.includes(phone));
+  if (sharedPhone) add('phone', sharedPhone);
+
+  const emailA = a.email ? String(a.email).toLowerCase().trim() : null;
+  const emailB = b.email ? String(b.email).toLowerCase().trim() : null;
+
+  if (emailA && emailA === emailB) {
+    add('email', emailA);
+  } else if (emailA && emailB) {
+    const localSimilarity = similarity(emailLocalPart(emailA), emailLocalPart(emailB));
+    if (localSimilarity >= EMAIL_SIMILARITY) {
+      add('emailSimilar', `${emailA} ~ ${emailB} (${Math.round(localSimilarity * 100)}%)`);
+    }
+  }
+
+  const sameLast = soundex(a.lastName) && soundex(a.lastName) === soundex(b.lastName);
+  if (sameLast && soundex(a.firstName) === soundex(b.firstName)) {
+    add('name', `${a.firstName} ${a.lastName} ~ ${b.firstName} ${b.lastName}`);
+  } else if (sameLast && String(a.firstName || '').charAt(0).toUpperCase() === String(b.firstName || '').charAt(0).toUpperCase()) {
+    add('lastNameInitial', `${a.firstName} ${a.lastName} ~ ${b.firstName} ${b.lastName}`);
+  }
+
+  const companyA = normalizeCompany(a.company?.name);
+  if (companyA && companyA === normalizeCompany(b.company?.name)) {
+    add('company', companyA);
+  }
+
+  const score = Math.min(100, reasons.reduce((total, reason) => total + reason.points, 0));
+
+  return { score, reasons };
+}
+
+/**
+ * Stable key for an unordered pair of lead IDs
+ * @param {String} idA - Lead ID
+ * @param {String} idB - Lead ID
+ * @returns {String} "<smaller>:<larger>"
+ */
+function pairKey(idA, idB) {
+  return [String(idA), String(idB)].sort().join(':');
+}
+
+module.exports = {
+  MATCH_WEIGHTS,
+  DUPLICATE_THRESHOLD,
+  soundex,
+  similarity,
+  emailLocalPart,
+  normalizeCompany,
+  leadPhones,
+  dedupeKeys,
+  scoreMatch,
+  pairKey
+};
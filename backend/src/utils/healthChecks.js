@@ -0,0 +1,84 @@
+/**
+ * Health Checks
+ *
+ * @description Runs dependency probes with a timeout and rolls them up into
+ *              the /health/ready status. Pure functions - the probes
+ *              themselves live in services/health.service.
+ *
+ * A check is critical when the API cannot serve requests without it. A
+ * failing critical check makes the service 'unavailable' (503, take it out
+ * of rotation); a failing non-critical one only makes it 'degraded' (200,
+ * keep serving, show it on dashboards).
+ */
+
+const DEFAULT_TIMEOUT_MS = 2000;
+
+/**
+ * Error text from a thrown Error or a rejected { error } object
+ * @private
+ */
+function errorMessage(error) {
+  if (!error) return 'Unknown error';
+  return error.message || error.error || String(error);
+}
+
+/**
+ * Run one probe
+ * @param {Object} check - { name, critical, probe: async () => details | undefined }
+ * @param {Number} timeoutMs - Give up after this long
+ * @returns {Object} { name, critical, status: 'up'|'down', latencyMs, details, error }
+ */
+async function runCheck(check, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  const startedAt = Date.now();
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+
+  const result = { name: check.name, critical: Boolean(check.critical) };
+
+  try {
+    const details = await Promise.race([Promise.resolve().then(check.probe), timeout]);
+    result.status = 'up';
+    if (details !== undefined) result.details = details;
+  } catch (error) {
+    result.status = 'down';
+    result.error = errorMessage(error);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  result.latencyMs = Date.now() - startedAt;
+  return result;
+}
+
+/**
+ * Roll check results up into an overall status
+ * @param {Array} results - runCheck results
+ * @returns {Object} { status: 'ok'|'degraded'|'unavailable', critical, dependencies, failing: { critical, degraded } }
+ */
+function summarize(results) {
+  const summary = {
+    critical: {},
+    dependencies: {},
+    failing: { critical: [], degraded: [] }
+  };
+
+  results.forEach(({ name, critical, ...check }) => {
+    summary[critical ? 'critical' : 'dependencies'][name] = check;
+    if (check.status !== 'up') summary.failing[critical ? 'critical' : 'degraded'].push(name);
+  });
+
+  if (summary.failing.critical.length > 0) summary.status = 'unavailable';
+  else if (summary.failing.degraded.length > 0) summary.status = 'degraded';
+  else summary.status = 'ok';
+
+  return summary;
+}
+
+module.exports = {
+  runCheck,
+  summarize,
+  DEFAULT_TIMEOUT_MS
+};
@@ -8,13 +8,14 @@ const config = require('../config/env');
  * @returns {String} JWT access token
  */
 const generateAccessToken = (payload) => {
-  const { _id, email, role } = payload;
+  const { _id, email, role, organizationId } = payload;
 
   return jwt.sign(
     {
       userId: _id,
       email,
       role,
+      orgId: organizationId ? String(organizationId) : null,
       type: 'access'
     },
     config.jwt.secret,
@@ -0,0 +1,407 @@
+/**
+ * Lead Import Mapping
+ *
+ * @description Turns uploaded rows (CSV / XLSX / JSON) into Lead documents:
+ *              CSV parsing, header detection, column → lead.schema field
+ *              mapping suggestions, and per-row normalization/validation.
+ *              Pure functions - the service handles files, duplicates and DNC.
+ */
+
+// Lead enums mirrored from lead.schema.js
+const LEAD_SOURCES = ['website', 'referral', 'cold-call', 'linkedin', 'event', 'partner', 'advertisement', 'other'];
+const LEAD_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+const E164_PATTERN = /^\+?[1-9]\d{1,14}$/;
+
+/**
+ * Importable lead fields and the header names that map to them
+ * Any "customFields.<name>" target is also accepted
+ */
+const LEAD_FIELDS = {
+  firstName: { label: 'First name', aliases: ['first name', 'firstname', 'first', 'fname', 'given name'] },
+  lastName: { label: 'Last name', aliases: ['last name', 'lastname', 'last', 'lname', 'surname', 'family name'] },
+  fullName: { label: 'Full name (split into first / last)', aliases: ['name', 'full name', 'fullname', 'contact name', 'contact'] },
+  email: { label: 'Email', aliases: ['email', 'e mail', 'email address', 'mail'] },
+  phone: { label: 'Phone', aliases: ['phone', 'phone number', 'mobile', 'cell', 'cell phone', 'telephone', 'tel', 'primary phone'] },
+  alternatePhone: { label: 'Alternate phone', aliases: ['alternate phone', 'alt phone', 'secondary phone', 'work phone', 'home phone', 'phone 2'] },
+  'company.name': { label: 'Company', aliases: ['company', 'company name', 'organization', 'organisation', 'business', 'employer'] },
+  'company.title': { label: 'Job title', aliases: ['title', 'job title', 'position', 'role'] },
+  'company.industry': { label: 'Industry', aliases: ['industry', 'vertical'] },
+  'company.website': { label: 'Website', aliases: ['website', 'url', 'web', 'company website'] },
+  source: { label: 'Source', aliases: ['source', 'lead source', 'channel'] },
+  priority: { label: 'Priority', aliases: ['priority'] },
+  timezone: { label: 'Timezone', aliases: ['timezone', 'time zone', 'tz'] },
+  tags: { label: 'Tags (comma separated)', aliases: ['tags', 'tag', 'labels'] },
+  notes: { label: 'Note', aliases: ['notes', 'note', 'comments', 'comment'] }
+};
+
+/**
+ * Normalize a header for alias matching: "E-Mail Address" → "e mail address"
+ * @private
+ */
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Digits-based E.164 normalization (10 digits are assumed US/Canada),
+ * matching the DNC list's normalization so scrub results line up
+ * @param {String} phone - Raw phone
+ * @returns {String|null}
+ */
+function toE164(phone) {
+  if (phone === null || phone === undefined) return null;
+
+  const digits = String(phone).replace(/\D/g, '');
+  if (!digits) return null;
+
+  return digits.length === 10 ? `+1${digits}` : `+${digits}`;
+}
+
+/**
+ * Pick the most likely CSV delimiter from the first line
+ * @private
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting; comma, semicolon or tab delimited)
+ * @param {String} text - CSV content
+ * @returns {Array} Rows as arrays of strings (blank lines dropped)
+ */
+function parseCsv(text) {
+  const content = String(text).replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(content);
+  const rows = [];
+
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => String(value).trim() !== ''));
+}
+
+/**
+ * Whether a cell looks like data rather than a column name
+ * @private
+ */
+function looksLikeValue(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return false;
+
+  return EMAIL_PATTERN.test(text) ||
+    String(text).replace(/\D/g, '').length >= 7 ||
+    /^-?\d+(\.\d+)?$/.test(text);
+}
+
+/**
+ * Detect whether the first row is a header row
+ * A header has no email / phone / numeric cells and no repeated names
+ * @param {Array} rows - Rows as arrays
+ * @returns {Boolean}
+ */
+function hasHeaderRow(rows) {
+  if (rows.length === 0) return false;
+
+  const first = rows[0].map(value => String(value ?? '').trim());
+  const named = first.filter(Boolean);
+
+  if (named.length === 0 || first.some(looksLikeValue)) return false;
+
+  return new Set(named.map(normalizeHeader)).size === named.length;
+}
+
+/**
+ * Turn rows into records keyed by header, auto-detecting the header row
+ * Headerless files get "Column 1", "Column 2", ...
+ * @param {Array} rows - Rows as arrays
+ * @returns {Object} { headers, records, hasHeader }
+ */
+function rowsToRecords(rows) {
+  const hasHeader = hasHeaderRow(rows);
+  const width = rows.reduce((max, cells) => Math.max(max, cells.length), 0);
+
+  const headers = [];
+  for (let index = 0; index < width; index++) {
+    const name = hasHeader ? String(rows[0][index] ?? '').trim() : '';
+    headers.push(name && !headers.includes(name) ? name : `Column ${index + 1}`);
+  }
+
+  const records = rows.slice(hasHeader ? 1 : 0).map(cells => (
+    headers.reduce((record, header, index) => {
+      record[header] = cells[index] === undefined || cells[index] === null ? '' : cells[index];
+      return record;
+    }, {})
+  ));
+
+  return { headers, records, hasHeader };
+}
+
+/**
+ * Flatten JSON import objects one level ({ company: { name } } → "company.name")
+ * so nested and flat exports map the same way
+ * @param {Array} items - Parsed JSON objects
+ * @returns {Object} { headers, records }
+ */
+function flattenJsonRecords(items) {
+  const headers = [];
+
+  const records = items.map(item => {
+    const record = {};
+
+    Object.entries(item || {}).forEach(([key, value]) => {
+      if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+        Object.entries(value).forEach(([nestedKey, nestedValue]) => {
+          record[`${key}.${nestedKey}`] = nestedValue;
+        });
+      } else {
+        record[key] = Array.isArray(value) ? value.join(', ') : value;
+      }
+    });
+
+    Object.keys(record).forEach(header => {
+      if (!headers.includes(header)) headers.push(header);
+    });
+
+    return record;
+  });
+
+  return { headers, records };
+}
+
+/**
+ * Whether a mapping target is importable
+ * @param {String} field - Target field
+ * @returns {Boolean}
+ */
+function isKnownField(field) {
+  return Boolean(LEAD_FIELDS[field]) || /^customFields\.[A-Za-z0-9_]+$/.test(field);
+}
+
+/**
+ * Suggest a column → field mapping from header names, falling back to the
+ * values themselves (emails / phone numbers) for unrecognised columns
+ * @param {Array} headers - Column headers
+ * @param {Array} records - Sample records
+ * @returns {Object} { [header]: field | null }
+ */
+function suggestMapping(headers, records = []) {
+  const mapping = {};
+  const used = new Set();
+
+  const claim = (header, field) => {
+    if (field && !used.has(field)) {
+      mapping[header] = field;
+      used.add(field);
+      return true;
+    }
+    return false;
+  };
+
+  headers.forEach(header => {
+    const normalized = normalizeHeader(header);
+    const field = isKnownField(header)
+      ? header
+      : Object.keys(LEAD_FIELDS).find(name => (
+        normalizeHeader(name) === normalized || LEAD_FIELDS[name].aliases.includes(normalized)
+      ));
+
+    if (!claim(header, field)) mapping[header] = null;
+  });
+
+  const sample = records.slice(0, 20);
+  headers.filter(header => mapping[header] === null).forEach(header => {
+    const values = sample.map(record => String(record[header] ?? '').trim()).filter(Boolean);
+    if (values.length === 0) return;
+
+    if (values.every(value => EMAIL_PATTERN.test(value))) {
+      claim(header, 'email');
+    } else if (values.every(value => /^[\d\s()+.-]+$/.test(value) && value.replace(/\D/g, '').length >= 10)) {
+      claim(header, used.has('phone') ? 'alternatePhone' : 'phone');
+    }
+  });
+
+  return mapping;
+}
+
+/**
+ * Validate a column mapping
+ * @param {Object} mapping - { [header]: field | null }
+ * @returns {String|null} Error message
+ */
+function validateMapping(mapping) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return 'mapping must be an object of column → lead field';
+  }
+
+  const targets = Object.values(mapping).filter(Boolean);
+
+  const unknown = targets.filter(field => !isKnownField(field));
+  if (unknown.length > 0) {
+    return `Unknown lead field(s): ${unknown.join(', ')}`;
+  }
+
+  const repeated = targets.filter((field, index) => targets.indexOf(field) !== index && field !== 'notes' && field !== 'tags');
+  if (repeated.length > 0) {
+    return `Field(s) mapped more than once: ${[...new Set(repeated)].join(', ')}`;
+  }
+
+  if (!targets.includes('phone')) {
+    return 'A column must be mapped to phone';
+  }
+
+  if (!targets.includes('fullName') && !(targets.includes('firstName') && targets.includes('lastName'))) {
+    return 'Map firstName and lastName, or a fullName column';
+  }
+
+  return null;
+}
+
+/**
+ * Split a list cell ("a, b; c") into values
+ * @private
+ */
+function splitList(value) {
+  return String(value).split(/[,;|]/).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Map one record to lead data and validate it
+ * @param {Object} record - Source record keyed by header
+ * @param {Object} mapping - { [header]: field | null }
+ * @param {Object} defaults - { source, priority, tags, campaignId } applied to every row
+ * @returns {Object} { lead, errors }
+ */
+function mapRecord(record, mapping, defaults = {}) {
+  const lead = {
+    source: defaults.source || 'other',
+    priority: defaults.priority || 'medium',
+    tags: [...(defaults.tags || [])],
+    customFields: {}
+  };
+  const errors = [];
+
+  if (defaults.campaignId) lead.campaignId = defaults.campaignId;
+
+  Object.entries(mapping).forEach(([header, field]) => {
+    if (!field) return;
+
+    const raw = record[header];
+    const value = raw instanceof Date ? raw.toISOString() : String(raw ?? '').trim();
+    if (!value) return;
+
+    if (field === 'fullName') {
+      // "Doe, Jane" is last-name first
+      const parts = value.includes(',')
+        ? value.split(',').map(part => part.trim()).filter(Boolean).reverse()
+        : value.split(/\s+/);
+      lead.firstName = lead.firstName || parts[0];
+      lead.lastName = lead.lastName || (parts.length > 1 ? parts.slice(1).join(' ') : undefined);
+    } else if (field === 'firstName' || field === 'lastName') {
+      lead[field] = value.replace(/\s+/g, ' ');
+    } else if (field === 'email') {
+      lead.email = value.toLowerCase();
+    } else if (field === 'phone' || field === 'alternatePhone') {
+      lead[field] = toE164(value);
+    } else if (field === 'source') {
+      const source = value.toLowerCase().replace(/[\s_]+/g, '-');
+      if (LEAD_SOURCES.includes(source)) {
+        lead.source = source;
+      } else {
+        lead.source = 'other';
+        lead.customFields.originalSource = value;
+      }
+    } else if (field === 'priority') {
+      lead.priority = value.toLowerCase();
+    } else if (field === 'tags') {
+      lead.tags.push(...splitList(value));
+    } else if (field === 'notes') {
+      (lead.notes = lead.notes || []).push({ text: value, type: 'general' });
+    } else if (field.startsWith('company.')) {
+      (lead.company = lead.company || {})[field.slice('company.'.length)] = value;
+    } else if (field.startsWith('customFields.')) {
+      lead.customFields[field.slice('customFields.'.length)] = value;
+    } else {
+      lead[field] = value;
+    }
+  });
+
+  lead.tags = [...new Set(lead.tags)];
+
+  if (!lead.firstName) errors.push('firstName is required');
+  if (!lead.lastName) errors.push('lastName is required');
+
+  if (!lead.phone) {
+    errors.push('phone is required');
+  } else if (!E164_PATTERN.test(lead.phone)) {
+    errors.push(`Invalid phone: ${lead.phone}`);
+  }
+
+  if (lead.alternatePhone && !E164_PATTERN.test(lead.alternatePhone)) {
+    errors.push(`Invalid alternate phone: ${lead.alternatePhone}`);
+  }
+
+  if (lead.email && !EMAIL_PATTERN.test(lead.email)) {
+    errors.push(`Invalid email: ${lead.email}`);
+  }
+
+  if (!LEAD_PRIORITIES.includes(lead.priority)) {
+    errors.push(`Invalid priority: ${lead.priority} (expected ${LEAD_PRIORITIES.join(', ')})`);
+  }
+
+  return { lead, errors };
+}
+
+module.exports = {
+  LEAD_FIELDS,
+  LEAD_SOURCES,
+  LEAD_PRIORITIES,
+  toE164,
+  parseCsv,
+  hasHeaderRow,
+  rowsToRecords,
+  flattenJsonRecords,
+  isKnownField,
+  suggestMapping,
+  validateMapping,
+  mapRecord
+};
@@ -0,0 +1,244 @@
+/**
+ * Lead Intake
+ *
+ * @description Helpers for the inbound lead webhook (POST /api/intake/:sourceSlug):
+ *              - intake credentials: API keys ("lsk_<keyId>_<secret>") and
+ *                HMAC-SHA256 request signatures
+ *              - mapping a posted form / JSON body to lead fields
+ *              - reading TCPA consent evidence from the payload
+ *              Pure functions - services/leadIntake.service does the I/O.
+ */
+
+const crypto = require('crypto');
+const { flattenJsonRecords, suggestMapping, validateMapping, mapRecord } = require('./leadImportMapping');
+const { fieldsToMapping } = require('./leadSourceParsers');
+
+const KEY_PREFIX = 'lsk';
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Payload keys read as consent evidence (compared lowercase, punctuation as spaces)
+const CONSENT_KEYS = {
+  granted: ['consent', 'tcpa consent', 'consent granted', 'tcpa opt in', 'opt in'],
+  disclosureText: ['tcpa disclosure', 'tcpa text', 'disclosure', 'disclosure text', 'consent text', 'consent disclosure text'],
+  pageUrl: ['page url', 'pageurl', 'landing page', 'source url', 'consent page url', 'consent pageurl'],
+  ipAddress: ['ip', 'ip address', 'ipaddress', 'consent ip', 'consent ip address', 'consent ipaddress'],
+  userAgent: ['user agent', 'useragent', 'consent user agent', 'consent useragent'],
+  consentedAt: ['consented at', 'consent timestamp', 'consent date', 'consent consented at']
+};
+
+// Consent values that grant; anything else (or no consent field at all) does not
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'on', 'agreed', 'accepted'];
+
+/**
+ * Comparable payload key: "Consent.IP_Address" → "consent ip address"
+ * @private
+ */
+function comparable(key) {
+  return String(key).replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * New intake credential. The secret is returned once and only its hash is
+ * stored for API keys; HMAC keys keep the secret to verify signatures.
+ * @returns {Object} { keyId, secret, apiKey }
+ */
+function generateKey() {
+  const keyId = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+
+  return {
+    keyId,
+    secret,
+    apiKey: `${KEY_PREFIX}_${keyId}_${secret}`
+  };
+}
+
+/**
+ * Split an API key into its parts
+ * @param {String} apiKey - "lsk_<keyId>_<secret>"
+ * @returns {Object|null} { keyId, secret }
+ */
+function parseApiKey(apiKey) {
+  const match = String(apiKey || '').trim().match(/^lsk_([0-9a-f]{12})_([A-Za-z0-9_-]+)$/);
+  return match ? { keyId: match[1], secret: match[2] } : null;
+}
+
+/**
+ * SHA-256 of a secret, hex
+ * @param {String} secret - Secret
+ * @returns {String}
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+/**
+ * Constant-time string comparison
+ * @private
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Whether an API key secret matches a stored hash
+ * @param {String} secret - Presented secret
+ * @param {String} secretHash - Stored hash
+ * @returns {Boolean}
+ */
+function verifyApiKey(secret, secretHash) {
+  return Boolean(secretHash) && safeEqual(hashSecret(secret), secretHash);
+}
+
+/**
+ * Signature for a request: hex HMAC-SHA256 of "<timestamp>.<raw body>"
+ * @param {String} secret - Signing secret
+ * @param {String|Number} timestamp - Unix seconds (X-Timestamp)
+ * @param {Buffer|String} rawBody - Exact request body
+ * @returns {String}
+ */
+function signPayload(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody || '')
+    .digest('hex');
+}
+
+/**
+ * Verify a signed request (X-Signature: sha256=<hex>, X-Timestamp: <unix seconds>)
+ * @param {Object} request - { secret, timestamp, signature, rawBody, now (ms) }
+ * @returns {String|null} Error message
+ */
+function verifySignature({ secret, timestamp, signature, rawBody, now = Date.now() }) {
+  if (!timestamp || !signature) {
+    return 'X-Timestamp and X-Signature headers are required';
+  }
+
+  const seconds = Number(timestamp);
+  if (!Number.isFinite(seconds) || Math.abs(now / 1000 - seconds) > SIGNATURE_TOLERANCE_SECONDS) {
+    return 'Request timestamp is missing or outside the allowed window';
+  }
+
+  const presented = String(signature).replace(/^sha256=/, '');
+  if (!safeEqual(presented, signPayload(secret, timestamp, rawBody))) {
+    return 'Invalid signature';
+  }
+
+  return null;
+}
+
+/**
+ * SHA-256 of a request body, to detect an idempotency key reused for a different lead
+ * @param {Buffer|String|Object} body - Raw body (or parsed body when raw is unavailable)
+ * @returns {String}
+ */
+function payloadHash(body) {
+  const content = Buffer.isBuffer(body) || typeof body === 'string' ? body : JSON.stringify(body || {});
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Flatten a posted body to one record ({ consent: { ip } } → "consent.ip")
+ * @param {Object} body - Parsed JSON / form body
+ * @returns {Object} { headers, record }
+ */
+function readPayload(body) {
+  const { headers, records } = flattenJsonRecords([body || {}]);
+  return { headers, record: records[0] || {} };
+}
+
+/**
+ * Payload key holding a consent item: configured name first, then the usual names
+ * @private
+ */
+function findConsentKey(headers, item, configured) {
+  if (configured) {
+    return headers.find(header => comparable(header) === comparable(configured)) || null;
+  }
+  return headers.find(header => CONSENT_KEYS[item].includes(comparable(header))) || null;
+}
+
+/**
+ * TCPA consent evidence in a payload
+ * @param {Object} record - Flattened payload
+ * @param {Object} config - { fields: { granted, disclosureText, pageUrl, ipAddress, userAgent, consentedAt }, disclosureText }
+ * @returns {Object} { granted, missing (no consent value posted), disclosureText, pageUrl,
+ *                   ipAddress, userAgent, consentedAt, keys }
+ */
+function extractConsent(record, config = {}) {
+  const headers = Object.keys(record);
+  const configured = config.fields || {};
+  const evidence = { keys: [] };
+
+  Object.keys(CONSENT_KEYS).forEach(item => {
+    const key = findConsentKey(headers, item, configured[item]);
+    if (!key) return;
+
+    evidence.keys.push(key);
+    const value = record[key];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      evidence[item] = String(value).trim();
+    }
+  });
+
+  // Only an explicit affirmative value is consent - submitting the form is not
+  evidence.missing = evidence.granted === undefined;
+  evidence.granted = !evidence.missing && TRUE_VALUES.includes(evidence.granted.toLowerCase());
+
+  // Forms rarely post their own disclosure copy; the source stores it
+  evidence.disclosureText = evidence.disclosureText || config.disclosureText || undefined;
+
+  if (evidence.consentedAt) {
+    const consentedAt = new Date(evidence.consentedAt);
+    evidence.consentedAt = isNaN(consentedAt) ? undefined : consentedAt;
+  }
+
+  return evidence;
+}
+
+/**
+ * Map a payload to lead data
+ * @param {Object} record - Flattened payload
+ * @param {Object} options - { fields: [{ label, field }], defaults, excludeKeys (consent keys) }
+ * @returns {Object} { lead, errors, mapping }
+ */
+function mapPayload(record, { fields = [], defaults = {}, excludeKeys = [] } = {}) {
+  const headers = Object.keys(record).filter(header => !excludeKeys.includes(header));
+
+  let mapping;
+  if (fields.length > 0) {
+    // Configured labels are matched case-insensitively against payload keys
+    const configured = fieldsToMapping(fields);
+    mapping = headers.reduce((result, header) => {
+      const label = Object.keys(configured).find(name => comparable(name) === comparable(header));
+      result[header] = label ? configured[label] : null;
+      return result;
+    }, {});
+  } else {
+    mapping = suggestMapping(headers, [record]);
+  }
+
+  const mappingError = validateMapping(mapping);
+  if (mappingError) {
+    return { lead: null, errors: [mappingError], mapping };
+  }
+
+  return { ...mapRecord(record, mapping, defaults), mapping };
+}
+
+module.exports = {
+  KEY_PREFIX,
+  SIGNATURE_TOLERANCE_SECONDS,
+  generateKey,
+  parseApiKey,
+  hashSecret,
+  verifyApiKey,
+  signPayload,
+  verifySignature,
+  payloadHash,
+  readPayload,
+  extractConsent,
+  mapPayload
+};
@@ -0,0 +1,383 @@
+/**
+ * Lead Source Parsers
+ *
+ * @description Match rules and field-extraction templates for lead emails:
+ *              - which source an email belongs to (sender / subject rules)
+ *              - how its lead data is laid out (labeled lines, HTML table,
+ *                JSON body or attached CSV)
+ *              Extracted records go through the same column mapping as file
+ *              imports (utils/leadImportMapping), keyed by normalized label.
+ *              Pure functions - services/leadSource.service does the I/O.
+ */
+
+const {
+  parseCsv,
+  rowsToRecords,
+  flattenJsonRecords,
+  suggestMapping,
+  validateMapping,
+  mapRecord
+} = require('./leadImportMapping');
+
+const TEMPLATE_FORMATS = ['labeled_lines', 'html_table', 'json', 'csv_attachment'];
+
+// Longer "labels" are sentences that happen to contain a colon
+const MAX_LABEL_LENGTH = 60;
+
+const ENTITIES = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+/**
+ * Comparable label: "  Lead  Category: " → "LEAD CATEGORY"
+ * @param {String} label - Label, header or JSON path
+ * @returns {String}
+ */
+function normalizeLabel(label) {
+  return String(label ?? '').replace(/\s+/g, ' ').replace(/\s*:\s*$/, '').trim().toUpperCase();
+}
+
+/**
+ * Decode the HTML entities lead vendors actually use
+ * @private
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Plain text of an HTML body, one line per block element
+ * @param {String} html - HTML
+ * @returns {String}
+ */
+function htmlToText(html) {
+  return decodeEntities(String(html || '')
+    .replace(/<(style|script|head)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|tr|li|h[1-6]|table)>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, ' ')
+    .replace(/<[^>]+>/g, ''))
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Email address from a From header ("Leads <Leads@Vendor.com>" → "leads@vendor.com")
+ * @param {String} from - From header
+ * @returns {String}
+ */
+function senderAddress(from) {
+  const value = String(from || '');
+  const bracketed = value.match(/<([^>]+)>/);
+  return (bracketed ? bracketed[1] : value).trim().toLowerCase();
+}
+
+/**
+ * Re-key records and headers by normalized label so templates match
+ * regardless of case and spacing
+ * @private
+ */
+function normalizeRecords({ headers, records }) {
+  return {
+    headers: [...new Set(headers.map(normalizeLabel))],
+    records: records.map(record => Object.entries(record).reduce((normalized, [key, value]) => {
+      const label = normalizeLabel(key);
+      if (!(label in normalized)) normalized[label] = value;
+      return normalized;
+    }, {}))
+  };
+}
+
+/**
+ * "Label: value" lines - one lead per email, first occurrence of a label wins
+ * @param {String} text - Plain-text body
+ * @returns {Object} { headers, records }
+ */
+function extractLabeledLines(text) {
+  const record = {};
+
+  String(text || '').split(/\r?\n/).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator <= 0) return;
+
+    const label = line.slice(0, separator).trim();
+    const value = line.slice(separator + 1).trim();
+
+    if (!label || !value || label.length > MAX_LABEL_LENGTH) return;
+    if (!(label in record)) record[label] = value;
+  });
+
+  const headers = Object.keys(record);
+  return { headers, records: headers.length > 0 ? [record] : [] };
+}
+
+/**
+ * HTML tables: two-cell rows are label / value pairs of one lead; wider
+ * tables are a header row followed by one lead per row
+ * @param {String} html - HTML body
+ * @returns {Object} { headers, records }
+ */
+function extractHtmlTable(html) {
+  const rows = [...String(html || '').matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)]
+    .map(([, row]) => [...row.matchAll(/<t[dh][^>]*>([\s\S]*?)<\/t[dh]>/gi)]
+      .map(([, cell]) => htmlToText(cell).replace(/\n/g, ' ')))
+    .filter(cells => cells.some(Boolean));
+
+  if (rows.some(cells => cells.length > 2)) {
+    const grid = rows.filter(cells => cells.length > 2);
+    return rowsToRecords(grid);
+  }
+
+  const record = {};
+  rows.filter(cells => cells.length === 2 && cells[0] && cells[1]).forEach(([label, value]) => {
+    const key = label.replace(/\s*:\s*$/, '');
+    if (!(key in record)) record[key] = value;
+  });
+
+  const headers = Object.keys(record);
+  return { headers, records: headers.length > 0 ? [record] : [] };
+}
+
+/**
+ * JSON body - an object or array, optionally nested under jsonRoot ("data.leads")
+ * @param {String} text - Body text
+ * @param {String} jsonRoot - Dot path to the lead object / array
+ * @returns {Object} { headers, records }
+ */
+function extractJson(text, jsonRoot) {
+  const body = String(text || '').trim();
+  let parsed;
+
+  try {
+    parsed = JSON.parse(body);
+  } catch (error) {
+    // Tolerate signatures and footers around the payload
+    const start = body.search(/[[{]/);
+    const end = Math.max(body.lastIndexOf('}'), body.lastIndexOf(']'));
+    if (start < 0 || end <= start) throw new Error('Body is not JSON');
+    parsed = JSON.parse(body.slice(start, end + 1));
+  }
+
+  const root = jsonRoot
+    ? jsonRoot.split('.').reduce((value, key) => (value == null ? value : value[key]), parsed)
+    : parsed;
+
+  if (root == null || typeof root !== 'object') {
+    throw new Error(jsonRoot ? `No JSON object at "${jsonRoot}"` : 'Body is not a JSON object');
+  }
+
+  return flattenJsonRecords([].concat(root));
+}
+
+/**
+ * Every CSV attachment, one lead per row
+ * @param {Array} attachments - [{ filename, mimeType, content }]
+ * @returns {Object} { headers, records }
+ */
+function extractCsvAttachments(attachments = []) {
+  const headers = [];
+  const records = [];
+
+  attachments
+    .filter(file => /\.csv$/i.test(file.filename || '') || /csv/i.test(file.mimeType || ''))
+    .forEach(file => {
+      const parsed = rowsToRecords(parseCsv(String(file.content || '')));
+      parsed.headers.forEach(header => {
+        if (!headers.includes(header)) headers.push(header);
+      });
+      records.push(...parsed.records);
+    });
+
+  return { headers, records };
+}
+
+/**
+ * Records laid out per the template
+ * @param {Object} template - { format, jsonRoot }
+ * @param {Object} message - { body, html, attachments }
+ * @returns {Object} { headers, records } keyed by normalized label
+ */
+function extractRecords(template, message) {
+  const text = message.body || htmlToText(message.html);
+
+  switch (template.format) {
+    case 'labeled_lines':
+      return normalizeRecords(extractLabeledLines(text));
+    case 'html_table':
+      return normalizeRecords(extractHtmlTable(message.html));
+    case 'json':
+      return normalizeRecords(extractJson(text, template.jsonRoot));
+    case 'csv_attachment':
+      return normalizeRecords(extractCsvAttachments(message.attachments));
+    default:
+      throw new Error(`Unknown template format: ${template.format}`);
+  }
+}
+
+/**
+ * Template field list → mapping keyed by normalized label
+ * @param {Array} fields - [{ label, field }]
+ * @returns {Object} { [LABEL]: field | null }
+ */
+function fieldsToMapping(fields = []) {
+  return fields.reduce((mapping, { label, field }) => {
+    mapping[normalizeLabel(label)] = field || null;
+    return mapping;
+  }, {});
+}
+
+/**
+ * Whether an email satisfies a source's match rules. Every rule group that
+ * is set must match; a source without rules never matches.
+ * - senders: exact addresses or "@domain.com"
+ * - subjectPatterns: case-insensitive regular expressions
+ * @param {Object} source - { match: { senders, subjectPatterns } }
+ * @param {Object} message - { from, subject }
+ * @returns {Boolean}
+ */
+function matchesSource(source, message) {
+  const { senders = [], subjectPatterns = [] } = source.match || {};
+  if (senders.length === 0 && subjectPatterns.length === 0) return false;
+
+  const sender = senderAddress(message.from);
+  const senderMatches = senders.length === 0 || senders.some(rule => {
+    const expected = String(rule).trim().toLowerCase();
+    return expected.startsWith('@') ? sender.endsWith(expected) : sender === expected;
+  });
+
+  const subjectMatches = subjectPatterns.length === 0 || subjectPatterns.some(pattern => {
+    try {
+      return new RegExp(pattern, 'i').test(message.subject || '');
+    } catch (error) {
+      return false;
+    }
+  });
+
+  return senderMatches && subjectMatches;
+}
+
+/**
+ * Validate match rules
+ * @param {Object} match - { senders, subjectPatterns }
+ * @returns {String|null} Error message
+ */
+function validateMatchRules(match) {
+  const { senders = [], subjectPatterns = [] } = match || {};
+
+  if (!Array.isArray(senders) || !Array.isArray(subjectPatterns)) {
+    return 'match.senders and match.subjectPatterns must be arrays';
+  }
+
+  if (senders.length === 0 && subjectPatterns.length === 0) {
+    return 'At least one sender or subject pattern is required';
+  }
+
+  const badSender = senders.find(sender => !/^[^\s@]*@[^\s@]+\.[^\s@]+$/.test(String(sender).trim()));
+  if (badSender !== undefined) {
+    return `Invalid sender: ${badSender} (use an address or @domain.com)`;
+  }
+
+  for (const pattern of subjectPatterns) {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      return `Invalid subject pattern: ${pattern}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate an extraction template
+ * @param {Object} template - { format, fields, jsonRoot }
+ * @returns {String|null} Error message
+ */
+function validateTemplate(template) {
+  if (!template || !TEMPLATE_FORMATS.includes(template.format)) {
+    return `template.format must be one of: ${TEMPLATE_FORMATS.join(', ')}`;
+  }
+
+  if (template.fields !== undefined && !Array.isArray(template.fields)) {
+    return 'template.fields must be an array of { label, field }';
+  }
+
+  // Without fields the labels are mapped by name, like file imports
+  if (template.fields && template.fields.length > 0) {
+    if (template.fields.some(entry => !entry || !entry.label)) {
+      return 'Every template field needs a label';
+    }
+    return validateMapping(fieldsToMapping(template.fields));
+  }
+
+  return null;
+}
+
+/**
+ * Extract and validate the leads in an email
+ * @param {Object} source - { template, defaults }
+ * @param {Object} message - { body, html, attachments }
+ * @returns {Object} { leads, rejected: [{ row, errors }], headers, mapping } or { error, headers }
+ */
+function parseMessage(source, message) {
+  if (!source.template || !source.template.format) {
+    return { error: 'Source has no email template' };
+  }
+
+  let extracted;
+  try {
+    extracted = extractRecords(source.template, message);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const { headers, records } = extracted;
+  if (records.length === 0) {
+    return { error: 'No lead data found in the email', headers };
+  }
+
+  const fields = source.template.fields || [];
+  const mapping = fields.length > 0 ? fieldsToMapping(fields) : suggestMapping(headers, records);
+
+  const mappingError = validateMapping(mapping);
+  if (mappingError) {
+    return { error: mappingError, headers, mapping };
+  }
+
+  const leads = [];
+  const rejected = [];
+
+  records.forEach((record, index) => {
+    const { lead, errors } = mapRecord(record, mapping, source.defaults || {});
+    if (errors.length > 0) {
+      rejected.push({ row: index + 1, errors });
+    } else {
+      leads.push(lead);
+    }
+  });
+
+  return { leads, rejected, headers, mapping };
+}
+
+module.exports = {
+  TEMPLATE_FORMATS,
+  normalizeLabel,
+  htmlToText,
+  senderAddress,
+  extractLabeledLines,
+  extractHtmlTable,
+  extractJson,
+  extractCsvAttachments,
+  extractRecords,
+  fieldsToMapping,
+  matchesSource,
+  validateMatchRules,
+  validateTemplate,
+  parseMessage
+};
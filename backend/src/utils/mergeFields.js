@@ -0,0 +1,62 @@
+/**
+ * Merge Field Renderer
+ *
+ * @description Fills {{path.to.field}} placeholders in message templates.
+ *              Paths resolve against a context object (nurture sequences
+ *              use leadContextService.assembleLeadContext output), e.g.
+ *              {{contactInfo.firstName}}, {{status.current}},
+ *              {{qualificationScores.total}}, {{organization.name}}.
+ *
+ * A fallback can follow a pipe: {{contactInfo.firstName | there}}.
+ * Unknown paths with no fallback render as an empty string.
+ */
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*(?:\|\s*([^}]*?)\s*)?\}\}/g;
+
+/**
+ * Resolve a dotted path against an object
+ * @param {Object} context - Source object
+ * @param {String} path - Dotted path
+ * @returns {*} Value or undefined
+ */
+function resolvePath(context, path) {
+  return path.split('.').reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    context
+  );
+}
+
+/**
+ * Render a template
+ * @param {String} template - Template text
+ * @param {Object} context - Merge context
+ * @returns {String} Rendered text
+ */
+function renderTemplate(template, context = {}) {
+  if (!template) return '';
+
+  return String(template).replace(PLACEHOLDER, (match, path, fallback) => {
+    const value = resolvePath(context, path);
+
+    if (value === undefined || value === null || value === '') {
+      return fallback !== undefined ? fallback : '';
+    }
+
+    return value instanceof Date ? value.toISOString() : String(value);
+  });
+}
+
+/**
+ * List the merge fields a template uses
+ * @param {String} template - Template text
+ * @returns {Array<String>} Field paths
+ */
+function extractMergeFields(template) {
+  return [...String(template || '').matchAll(PLACEHOLDER)].map(match => match[1]);
+}
+
+module.exports = {
+  renderTemplate,
+  extractMergeFields,
+  resolvePath
+};
@@ -0,0 +1,226 @@
+/**
+ * BMAD V4 - Prometheus Metrics
+ *
+ * @description prom-client registry served at GET /metrics
+ *              (middleware/metrics.middleware). Metrics are prefixed bmad_;
+ *              infrastructure/monitoring/grafana-dashboard.json charts them.
+ *
+ * Instrumented here rather than at each call site:
+ * - Telnyx: instrumentTelnyx wraps the SDK client in telnyx.service
+ * - Anthropic: instrumentAnthropic wraps each service's client
+ * - Bull: trackQueue reads job counts at scrape time
+ * - Active calls: setActiveCallsSource (the Socket.io handler, set in server.js)
+ */
+
+const client = require('prom-client');
+const logger = require('./logger');
+
+const register = new client.Registry();
+register.setDefaultLabels({ service: 'bmad-backend' });
+client.collectDefaultMetrics({ register, prefix: 'bmad_' });
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const AI_LATENCY_BUCKETS = [0.25, 0.5, 1, 2, 4, 8, 15, 30, 60];
+
+// Telnyx SDK resources whose methods are timed
+const TELNYX_RESOURCES = ['calls', 'conferences', 'messages'];
+
+// Bull job states reported as queue depth
+const QUEUE_STATES = ['waiting', 'active', 'delayed', 'failed'];
+
+const trackedQueues = new Map();
+let activeCallsSource = null;
+
+const httpRequestDuration = new client.Histogram({
+  name: 'bmad_http_request_duration_seconds',
+  help: 'HTTP request latency by route',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register]
+});
+
+new client.Gauge({
+  name: 'bmad_active_calls',
+  help: 'Calls currently active, answered or bridged',
+  registers: [register],
+  async collect() {
+    if (activeCallsSource) this.set(await activeCallsSource());
+  }
+});
+
+const telnyxRequestDuration = new client.Histogram({
+  name: 'bmad_telnyx_request_duration_seconds',
+  help: 'Telnyx API call latency by operation',
+  labelNames: ['operation', 'outcome'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register]
+});
+
+const telnyxErrors = new client.Counter({
+  name: 'bmad_telnyx_errors_total',
+  help: 'Failed Telnyx API calls by operation and HTTP status',
+  labelNames: ['operation', 'status'],
+  registers: [register]
+});
+
+new client.Gauge({
+  name: 'bmad_queue_jobs',
+  help: 'Bull queue depth by job state',
+  labelNames: ['queue', 'state'],
+  registers: [register],
+  async collect() {
+    await Promise.all([...trackedQueues].map(async ([name, queue]) => {
+      try {
+        const counts = await queue.getJobCounts();
+        QUEUE_STATES.forEach(state => this.set({ queue: name, state }, counts[state] || 0));
+      } catch (error) {
+        logger.warn(`[Metrics] Could not read ${name} queue counts: ${error.message}`);
+      }
+    }));
+  }
+});
+
+const queueJobsFailed = new client.Counter({
+  name: 'bmad_queue_jobs_failed_total',
+  help: 'Bull jobs that failed an attempt',
+  labelNames: ['queue'],
+  registers: [register]
+});
+
+const anthropicRequestDuration = new client.Histogram({
+  name: 'bmad_anthropic_request_duration_seconds',
+  help: 'Anthropic API latency by calling service',
+  labelNames: ['service', 'model', 'outcome'],
+  buckets: AI_LATENCY_BUCKETS,
+  registers: [register]
+});
+
+const anthropicTokens = new client.Counter({
+  name: 'bmad_anthropic_tokens_total',
+  help: 'Anthropic tokens used by calling service',
+  labelNames: ['service', 'model', 'type'],
+  registers: [register]
+});
+
+const dncChecks = new client.Counter({
+  name: 'bmad_dnc_checks_total',
+  help: 'DNC lookups by source and result (listed = number is on the DNC list)',
+  labelNames: ['source', 'result'],
+  registers: [register]
+});
+
+/**
+ * Time a Telnyx SDK promise; the caller still gets the original promise
+ * @private
+ */
+function observeTelnyx(operation, request) {
+  const end = telnyxRequestDuration.startTimer({ operation });
+
+  Promise.resolve(request).then(
+    () => end({ outcome: 'success' }),
+    (error) => {
+      end({ outcome: 'error' });
+      telnyxErrors.inc({ operation, status: String(error?.status || error?.statusCode || 'network') });
+    }
+  );
+
+  return request;
+}
+
+/**
+ * Wrap a Telnyx SDK client so calls, conferences and messages methods are timed
+ * @param {Object} telnyxClient - Telnyx SDK client
+ * @returns {Object} Client with the same interface
+ */
+function instrumentTelnyx(telnyxClient) {
+  return new Proxy(telnyxClient, {
+    get(target, resource) {
+      const api = target[resource];
+      if (!TELNYX_RESOURCES.includes(resource) || !api) return api;
+
+      return new Proxy(api, {
+        get(resourceApi, method) {
+          const fn = resourceApi[method];
+          if (typeof fn !== 'function') return fn;
+
+          return (...args) => observeTelnyx(`${resource}.${method}`, fn.apply(resourceApi, args));
+        }
+      });
+    }
+  });
+}
+
+/**
+ * Time messages.create and count its token usage
+ * @param {Object} anthropicClient - Anthropic SDK client
+ * @param {String} service - Label for the calling service (e.g. 'lead_scoring')
+ * @returns {Object} The same client
+ */
+function instrumentAnthropic(anthropicClient, service) {
+  const { messages } = anthropicClient;
+  if (typeof messages?.create !== 'function') return anthropicClient;
+
+  const create = messages.create.bind(messages);
+
+  messages.create = async (params, options) => {
+    const model = params?.model || 'unknown';
+    const end = anthropicRequestDuration.startTimer({ service, model });
+
+    try {
+      const message = await create(params, options);
+      end({ outcome: 'success' });
+
+      if (message?.usage) {
+        anthropicTokens.inc({ service, model, type: 'input' }, message.usage.input_tokens || 0);
+        anthropicTokens.inc({ service, model, type: 'output' }, message.usage.output_tokens || 0);
+      }
+
+      return message;
+    } catch (error) {
+      end({ outcome: 'error' });
+      throw error;
+    }
+  };
+
+  return anthropicClient;
+}
+
+/**
+ * Report a Bull queue's depth and failures
+ * @param {String} name - Queue name label
+ * @param {Object} queue - Bull queue
+ */
+function trackQueue(name, queue) {
+  if (trackedQueues.has(name)) return;
+
+  trackedQueues.set(name, queue);
+  queue.on('failed', () => queueJobsFailed.inc({ queue: name }));
+}
+
+/**
+ * Set where the active call count comes from
+ * @param {Function} source - async () => Number
+ */
+function setActiveCallsSource(source) {
+  activeCallsSource = source;
+}
+
+/**
+ * Count DNC lookups
+ * @param {String} source - 'cache', 'database' or 'scrub'
+ * @param {String} result - 'listed', 'clear' or 'error'
+ * @param {Number} count - Numbers checked (bulk scrubs)
+ */
+function recordDncCheck(source, result, count = 1) {
+  if (count > 0) dncChecks.inc({ source, result }, count);
+}
+
+module.exports = {
+  register,
+  httpRequestDuration,
+  instrumentTelnyx,
+  instrumentAnthropic,
+  trackQueue,
+  setActiveCallsSource,
+  recordDncCheck
+};
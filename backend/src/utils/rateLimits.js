@@ -0,0 +1,115 @@
+/**
+ * Rate Limits
+ *
+ * @description Fixed-window limit arithmetic for middleware/rate-limit.
+ *              Pure functions - the counters live in Redis so every backend
+ *              replica shares them.
+ *
+ * A policy is { name, max, windowMs, roles, anonymousMax }: max requests (or
+ * cost units) per window, overridden per role by roles[role] and for callers
+ * without a user or API key by anonymousMax. Windows are aligned to the epoch,
+ * so a 24h window is a UTC day.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Who a request counts against
+ * @param {Object} caller - { userId, role, organizationId, apiKeyId, ip }
+ * @param {String} per - 'caller' (user, else API key, else IP) or 'organization'
+ * @returns {Object} { key, type, role }
+ */
+function identify(caller, per = 'caller') {
+  const role = caller.role || null;
+
+  if (per === 'organization' && caller.organizationId) {
+    return { key: `org:${caller.organizationId}`, type: 'organization', role };
+  }
+  if (caller.userId) return { key: `user:${caller.userId}`, type: 'user', role };
+  if (caller.apiKeyId) return { key: `key:${caller.apiKeyId}`, type: 'api_key', role };
+
+  return { key: `ip:${caller.ip || 'unknown'}`, type: 'ip', role };
+}
+
+/**
+ * Limit that applies to a caller
+ * @param {Object} policy - Rate limit policy
+ * @param {Object} identity - identify() result
+ * @returns {Number}
+ */
+function resolveMax(policy, identity) {
+  if (identity.type === 'ip' && policy.anonymousMax != null) return policy.anonymousMax;
+  if (identity.role && policy.roles?.[identity.role] != null) return policy.roles[identity.role];
+  return policy.max;
+}
+
+/**
+ * Current window
+ * @param {Number} now - Epoch ms
+ * @param {Number} windowMs - Window length
+ * @returns {Object} { index, resetAt }
+ */
+function currentWindow(now, windowMs) {
+  const index = Math.floor(now / windowMs);
+  return { index, resetAt: (index + 1) * windowMs };
+}
+
+/**
+ * Outcome of counting a request
+ * @param {Object} input - { count (after this request), max, resetAt, now }
+ * @returns {Object} { allowed, limit, remaining, resetSeconds }
+ */
+function evaluate({ count, max, resetAt, now }) {
+  return {
+    allowed: count <= max,
+    limit: max,
+    remaining: Math.max(max - count, 0),
+    resetSeconds: Math.max(Math.ceil((resetAt - now) / 1000), 0)
+  };
+}
+
+/**
+ * Standard RateLimit headers (IETF draft, as express-rate-limit sends them)
+ * @param {Object} result - evaluate() result
+ * @param {Number} windowMs - Window length
+ * @returns {Object} Header name → value
+ */
+function limitHeaders(result, windowMs) {
+  const headers = {
+    'RateLimit-Policy': `${result.limit};w=${Math.round(windowMs / 1000)}`,
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.resetSeconds)
+  };
+
+  if (!result.allowed) headers['Retry-After'] = String(result.resetSeconds);
+  return headers;
+}
+
+/**
+ * Validate a policy
+ * @param {Object} policy - Rate limit policy
+ * @returns {String|null} Error message
+ */
+function validatePolicy(policy) {
+  if (!policy.name) return 'Rate limit policy needs a name';
+  if (!(policy.windowMs > 0)) return `${policy.name}: windowMs must be positive`;
+  if (policy.max == null) return `${policy.name}: max is required`;
+
+  const limits = [policy.max, policy.anonymousMax, ...Object.values(policy.roles || {})];
+  if (limits.some(limit => limit != null && !(Number.isInteger(limit) && limit >= 0))) {
+    return `${policy.name}: limits must be non-negative integers`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  identify,
+  resolveMax,
+  currentWindow,
+  evaluate,
+  limitHeaders,
+  validatePolicy,
+  DAY_MS
+};
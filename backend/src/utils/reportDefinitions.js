@@ -0,0 +1,366 @@
+/**
+ * Report Definitions
+ *
+ * @description Shared definition of the metrics, dimensions and periods
+ *              behind /api/reports. The daily, weekly, monthly and custom
+ *              endpoints all build a definition here and hand it to
+ *              services/report.service, so they can never disagree on what
+ *              a metric means.
+ *
+ * A definition is { period, range: { start, end }, timezone, metrics, breakdowns }
+ * where breakdowns is a list of dimension lists, e.g. [['campaign'], ['agent', 'day']].
+ * Ranges are half-open: start <= t < end.
+ */
+
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToUtc
+} = require('../security/tcpa/calling-window');
+
+// Raw counters each data source produces
+const SOURCE_FIELDS = {
+  calls: ['callsPlaced', 'callsAnswered', 'totalTalkSeconds', 'transfers', 'transferSuccesses', 'voicemails', 'voicemailsLeft'],
+  leads: ['leadsCreated', 'leadsQualified', 'conversions', 'revenue', 'leadsDialed', 'secondsToFirstDial', 'dialedWithin5Minutes'],
+  conversations: ['conversations', 'meetingsScheduled'],
+  dnc: ['dncAdditions'],
+  scores: ['scoreCalculations', 'scoreTotal']
+};
+
+const percent = (part, whole) => (whole > 0 ? parseFloat(((part / whole) * 100).toFixed(2)) : 0);
+const average = (total, count) => (count > 0 ? parseFloat((total / count).toFixed(2)) : 0);
+
+/**
+ * Public metrics
+ * Raw metrics are read straight from a source; derived metrics are computed
+ * from raw ones after aggregation (so they stay correct when rows are merged).
+ */
+const METRICS = {
+  callsPlaced: { source: 'calls', label: 'Calls placed' },
+  callsAnswered: { source: 'calls', label: 'Calls answered' },
+  contactRate: {
+    source: 'calls',
+    label: 'Contact rate (%)',
+    inputs: ['callsAnswered', 'callsPlaced'],
+    compute: v => percent(v.callsAnswered, v.callsPlaced)
+  },
+  totalTalkSeconds: { source: 'calls', label: 'Total talk time (s)' },
+  averageTalkTime: {
+    source: 'calls',
+    label: 'Average talk time (s)',
+    inputs: ['totalTalkSeconds', 'callsAnswered'],
+    compute: v => average(v.totalTalkSeconds, v.callsAnswered)
+  },
+  transfers: { source: 'calls', label: 'Transfers attempted' },
+  transferSuccesses: { source: 'calls', label: 'Transfers completed' },
+  transferSuccessRate: {
+    source: 'calls',
+    label: 'Transfer success rate (%)',
+    inputs: ['transferSuccesses', 'transfers'],
+    compute: v => percent(v.transferSuccesses, v.transfers)
+  },
+  voicemails: { source: 'calls', label: 'Calls reaching voicemail' },
+  voicemailsLeft: { source: 'calls', label: 'Voicemails left' },
+  voicemailRate: {
+    source: 'calls',
+    label: 'Voicemail rate (% of answered)',
+    inputs: ['voicemails', 'callsAnswered'],
+    compute: v => percent(v.voicemails, v.callsAnswered)
+  },
+  leadsCreated: { source: 'leads', label: 'New leads' },
+  leadsQualified: { source: 'leads', label: 'Leads qualified' },
+  qualificationRate: {
+    source: 'leads',
+    label: 'Qualification rate (%)',
+    inputs: ['leadsQualified', 'leadsCreated'],
+    compute: v => percent(v.leadsQualified, v.leadsCreated)
+  },
+  conversions: { source: 'leads', label: 'Conversions' },
+  conversionRate: {
+    source: 'leads',
+    label: 'Conversion rate (%)',
+    inputs: ['conversions', 'leadsCreated'],
+    compute: v => percent(v.conversions, v.leadsCreated)
+  },
+  revenue: { source: 'leads', label: 'Revenue' },
+  leadsDialed: { source: 'leads', label: 'New leads dialed' },
+  averageTimeToFirstDial: {
+    source: 'leads',
+    label: 'Average time to first dial (s)',
+    inputs: ['secondsToFirstDial', 'leadsDialed'],
+    compute: v => average(v.secondsToFirstDial, v.leadsDialed)
+  },
+  speedToLeadRate: {
+    source: 'leads',
+    label: 'New leads dialed within 5 min (%)',
+    inputs: ['dialedWithin5Minutes', 'leadsCreated'],
+    compute: v => percent(v.dialedWithin5Minutes, v.leadsCreated)
+  },
+  conversations: { source: 'conversations', label: 'Conversations' },
+  meetingsScheduled: { source: 'conversations', label: 'Meetings scheduled' },
+  dncAdditions: { source: 'dnc', label: 'DNC additions' },
+  scoreCalculations: { source: 'scores', label: 'Score calculations' },
+  averageScore: {
+    source: 'scores',
+    label: 'Average lead score',
+    inputs: ['scoreTotal', 'scoreCalculations'],
+    compute: v => average(v.scoreTotal, v.scoreCalculations)
+  }
+};
+
+const TIME_SOURCES = Object.keys(SOURCE_FIELDS);
+const RECORD_SOURCES = ['calls', 'leads', 'conversations'];
+
+/**
+ * Dimensions and the sources that can be broken down by them
+ * DNC entries and score history only carry a timestamp, so they support
+ * time buckets only.
+ */
+const DIMENSIONS = {
+  campaign: { label: 'Campaign', sources: RECORD_SOURCES },
+  agent: { label: 'Agent', sources: RECORD_SOURCES },
+  source: { label: 'Lead source', sources: RECORD_SOURCES },
+  day: { label: 'Day', sources: TIME_SOURCES, time: 'day' },
+  week: { label: 'Week', sources: TIME_SOURCES, time: 'week' },
+  month: { label: 'Month', sources: TIME_SOURCES, time: 'month' }
+};
+
+// Longest custom range, to keep aggregations bounded
+const MAX_RANGE_DAYS = 366;
+const MAX_DIMENSIONS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Breakdowns included in each preset period
+ */
+const PERIODS = {
+  daily: { breakdowns: [['campaign'], ['agent'], ['source']] },
+  weekly: { breakdowns: [['day'], ['campaign'], ['agent'], ['source']] },
+  monthly: { breakdowns: [['day'], ['campaign'], ['agent'], ['source']] }
+};
+
+/**
+ * Midnight (local) of a calendar date in a timezone
+ * @private
+ */
+function startOfLocalDay({ year, month, day }, timezone) {
+  return zonedTimeToUtc({ year, month, day }, 0, timezone);
+}
+
+/**
+ * Parse a YYYY-MM-DD date into calendar parts
+ * @private
+ */
+function parseDateParts(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+
+  return { year, month, day };
+}
+
+/**
+ * Resolve the date range of a preset period
+ * daily = the calendar day, weekly = Monday-Sunday week, monthly = calendar month,
+ * all containing `date` in the report timezone
+ * @param {String} period - daily | weekly | monthly
+ * @param {Object} options - { date: 'YYYY-MM-DD' | Date, timezone }
+ * @returns {Object} { start, end }
+ */
+function resolvePeriodRange(period, { date, timezone = DEFAULT_TIMEZONE } = {}) {
+  const local = (typeof date === 'string' && parseDateParts(date))
+    || getZonedParts(date instanceof Date ? date : new Date(), timezone);
+  const { year, month, day } = local;
+
+  if (period === 'daily') {
+    return {
+      start: startOfLocalDay({ year, month, day }, timezone),
+      end: startOfLocalDay({ year, month, day: day + 1 }, timezone)
+    };
+  }
+
+  if (period === 'weekly') {
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    const monday = day - ((weekday + 6) % 7);
+    return {
+      start: startOfLocalDay({ year, month, day: monday }, timezone),
+      end: startOfLocalDay({ year, month, day: monday + 7 }, timezone)
+    };
+  }
+
+  if (period === 'monthly') {
+    return {
+      start: startOfLocalDay({ year, month, day: 1 }, timezone),
+      end: startOfLocalDay({ year, month: month + 1, day: 1 }, timezone)
+    };
+  }
+
+  throw new Error(`Unknown report period: ${period}`);
+}
+
+/**
+ * Raw fields needed to produce a set of public metrics
+ * @param {Array} metrics - Metric names
+ * @returns {Object} { source: [rawField, ...] }
+ */
+function requiredFields(metrics) {
+  return metrics.reduce((fields, name) => {
+    const metric = METRICS[name];
+    const raw = metric.inputs || [name];
+    fields[metric.source] = [...new Set([...(fields[metric.source] || []), ...raw])];
+    return fields;
+  }, {});
+}
+
+/**
+ * Whether a metric can be broken down by every dimension in a list
+ * @param {String} metric - Metric name
+ * @param {Array} dimensions - Dimension names
+ * @returns {Boolean}
+ */
+function supportsDimensions(metric, dimensions) {
+  return dimensions.every(dimension => DIMENSIONS[dimension].sources.includes(METRICS[metric].source));
+}
+
+/**
+ * Compute public metric values from merged raw counters
+ * @param {Object} raw - Raw counters
+ * @param {Array} metrics - Metric names to output
+ * @returns {Object} { metric: value }
+ */
+function deriveMetrics(raw, metrics) {
+  return metrics.reduce((values, name) => {
+    const metric = METRICS[name];
+    if (metric.compute) {
+      values[name] = metric.compute(raw);
+    } else {
+      const value = raw[name] || 0;
+      values[name] = name === 'revenue' ? parseFloat(value.toFixed(2)) : value;
+    }
+    return values;
+  }, {});
+}
+
+/**
+ * Build the definition for a preset period
+ * @param {String} period - daily | weekly | monthly
+ * @param {Object} options - { date, timezone }
+ * @returns {Object} Report definition
+ */
+function buildPeriodDefinition(period, { date, timezone } = {}) {
+  const tz = isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+
+  return {
+    period,
+    timezone: tz,
+    range: resolvePeriodRange(period, { date, timezone: tz }),
+    metrics: Object.keys(METRICS),
+    breakdowns: PERIODS[period].breakdowns
+  };
+}
+
+/**
+ * Validate a custom report request and build its definition
+ * @param {Object} body - { metrics, dimensions, startDate, endDate, timezone }
+ *   endDate is inclusive when given as YYYY-MM-DD
+ * @returns {Object} { definition } or { error }
+ */
+function buildCustomDefinition(body = {}) {
+  const { metrics, dimensions = [], startDate, endDate } = body;
+  const timezone = body.timezone || DEFAULT_TIMEZONE;
+
+  if (!isValidTimezone(timezone)) {
+    return { error: `Invalid timezone: ${timezone}` };
+  }
+
+  if (!Array.isArray(metrics) || metrics.length === 0) {
+    return { error: 'metrics must be a non-empty array' };
+  }
+
+  const unknownMetrics = metrics.filter(name => !METRICS[name]);
+  if (unknownMetrics.length > 0) {
+    return { error: `Unknown metrics: ${unknownMetrics.join(', ')}` };
+  }
+
+  if (!Array.isArray(dimensions)) {
+    return { error: 'dimensions must be an array' };
+  }
+
+  const unknownDimensions = dimensions.filter(name => !DIMENSIONS[name]);
+  if (unknownDimensions.length > 0) {
+    return { error: `Unknown dimensions: ${unknownDimensions.join(', ')}` };
+  }
+
+  if (dimensions.length > MAX_DIMENSIONS) {
+    return { error: `At most ${MAX_DIMENSIONS} dimensions are allowed` };
+  }
+
+  if (dimensions.filter(name => DIMENSIONS[name].time).length > 1) {
+    return { error: 'Only one time dimension (day, week, month) is allowed' };
+  }
+
+  const unsupported = metrics.filter(name => !supportsDimensions(name, dimensions));
+  if (unsupported.length > 0) {
+    return { error: `Metrics ${unsupported.join(', ')} cannot be broken down by ${dimensions.join(', ')}` };
+  }
+
+  const start = parseBoundary(startDate, timezone, 0);
+  const end = parseBoundary(endDate, timezone, 1);
+
+  if (!start || !end) {
+    return { error: 'startDate and endDate are required (YYYY-MM-DD or ISO 8601)' };
+  }
+
+  if (end <= start) {
+    return { error: 'endDate must be after startDate' };
+  }
+
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+    return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+
+  return {
+    definition: {
+      period: 'custom',
+      timezone,
+      range: { start, end },
+      metrics: [...new Set(metrics)],
+      breakdowns: dimensions.length > 0 ? [dimensions] : []
+    }
+  };
+}
+
+/**
+ * Parse a range boundary; plain dates resolve to local midnight,
+ * shifted by dayOffset (1 makes an inclusive end date exclusive)
+ * @private
+ */
+function parseBoundary(value, timezone, dayOffset) {
+  if (!value) return null;
+
+  const parts = parseDateParts(value);
+  if (parts) {
+    return startOfLocalDay({ ...parts, day: parts.day + dayOffset }, timezone);
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = {
+  SOURCE_FIELDS,
+  METRICS,
+  DIMENSIONS,
+  PERIODS,
+  resolvePeriodRange,
+  requiredFields,
+  supportsDimensions,
+  deriveMetrics,
+  buildPeriodDefinition,
+  buildCustomDefinition
+};
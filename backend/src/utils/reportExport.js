@@ -0,0 +1,117 @@
+/**
+ * Report Export
+ *
+ * @description Flattens a report from services/report.service into tables
+ *              and renders them as CSV. The PDF renderer (utils/reportPdf)
+ *              lays out the same tables, so both attachments always match.
+ */
+
+const { METRICS, DIMENSIONS } = require('./reportDefinitions');
+
+/**
+ * Display value of a row's dimension ({ id, name } objects show their name)
+ * @private
+ */
+function dimensionValue(value) {
+  if (value && typeof value === 'object') return value.name;
+  return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * Local date (YYYY-MM-DD) of an instant in a timezone
+ * @private
+ */
+function localDate(date, timezone) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone: timezone });
+}
+
+/**
+ * Human-readable range; the end is exclusive, so show the day before it
+ * @param {Object} report - Report output
+ * @returns {String} e.g. "2026-03-09 to 2026-03-15 (America/Chicago)"
+ */
+function describeRange(report) {
+  const start = localDate(report.range.start, report.timezone);
+  const lastDay = localDate(new Date(new Date(report.range.end).getTime() - 1), report.timezone);
+
+  return start === lastDay
+    ? `${start} (${report.timezone})`
+    : `${start} to ${lastDay} (${report.timezone})`;
+}
+
+/**
+ * Flatten a report into titled tables
+ * @param {Object} report - Report output
+ * @returns {Array} [{ title, columns: [String], rows: [[String|Number]] }]
+ */
+function toTables(report) {
+  const tables = [{
+    title: 'Totals',
+    columns: ['Metric', 'Value'],
+    rows: report.metrics.map(name => [METRICS[name]?.label || name, report.totals[name]])
+  }];
+
+  report.breakdowns.forEach(breakdown => {
+    tables.push({
+      title: `By ${breakdown.dimensions.map(name => DIMENSIONS[name]?.label || name).join(' / ')}`,
+      columns: [
+        ...breakdown.dimensions.map(name => DIMENSIONS[name]?.label || name),
+        ...breakdown.metrics.map(name => METRICS[name]?.label || name)
+      ],
+      rows: breakdown.rows.map(row => [
+        ...breakdown.dimensions.map(name => dimensionValue(row[name])),
+        ...breakdown.metrics.map(name => row.metrics[name])
+      ])
+    });
+  });
+
+  return tables;
+}
+
+/**
+ * Quote a CSV cell when needed (RFC 4180) and neutralize spreadsheet formulas
+ * @param {*} value - Cell value
+ * @returns {String}
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a report as CSV: a header block, then one section per table
+ * @param {Object} report - Report output
+ * @param {Object} options - { title }
+ * @returns {String} CSV text
+ */
+function toCsv(report, { title = 'Report' } = {}) {
+  const lines = [
+    [title],
+    ['Period', describeRange(report)],
+    ['Generated', new Date(report.generatedAt || Date.now()).toISOString()]
+  ];
+
+  (report.warnings || []).forEach(warning => lines.push(['Warning', warning]));
+
+  toTables(report).forEach(table => {
+    lines.push([]);
+    lines.push([table.title]);
+    lines.push(table.columns);
+    table.rows.forEach(row => lines.push(row));
+  });
+
+  return lines.map(line => line.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  csvCell,
+  describeRange,
+  toTables,
+  toCsv
+};
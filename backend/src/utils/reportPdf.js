@@ -0,0 +1,103 @@
+const PDFDocument = require('pdfkit');
+const { describeRange, toTables } = require('./reportExport');
+
+/**
+ * Report PDF Renderer
+ *
+ * @description Renders a report as a simple tabular PDF (landscape A4):
+ *              title, period, warnings, then the same tables as the CSV
+ */
+
+const PAGE_MARGIN = 36;
+const ROW_HEIGHT = 16;
+const FONT_SIZE = 8;
+
+// Breakdown rows beyond this are left to the CSV attachment
+const MAX_ROWS_PER_TABLE = 200;
+
+/**
+ * Draw one table, breaking across pages as needed
+ * @private
+ */
+function drawTable(doc, table) {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const bottom = doc.page.height - PAGE_MARGIN;
+
+  // First column (label) gets extra room when there are many metric columns
+  const firstWidth = Math.min(160, width / 3);
+  const otherWidth = table.columns.length > 1 ? (width - firstWidth) / (table.columns.length - 1) : width;
+  const columnX = table.columns.map((_, index) => (
+    PAGE_MARGIN + (index === 0 ? 0 : firstWidth + otherWidth * (index - 1))
+  ));
+  const columnWidth = index => (index === 0 ? firstWidth : otherWidth) - 4;
+
+  const drawRow = (cells, bold) => {
+    if (doc.y + ROW_HEIGHT > bottom) {
+      doc.addPage();
+    }
+
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(FONT_SIZE);
+    cells.forEach((cell, index) => {
+      doc.text(cell === null || cell === undefined ? '' : String(cell), columnX[index], y, {
+        width: columnWidth(index),
+        height: ROW_HEIGHT,
+        ellipsis: true,
+        lineBreak: false
+      });
+    });
+    doc.x = PAGE_MARGIN;
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  if (doc.y + ROW_HEIGHT * 3 > bottom) {
+    doc.addPage();
+  }
+
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(11).text(table.title, PAGE_MARGIN, doc.y);
+  doc.moveDown(0.3);
+
+  drawRow(table.columns, true);
+  table.rows.slice(0, MAX_ROWS_PER_TABLE).forEach(row => drawRow(row, false));
+
+  if (table.rows.length > MAX_ROWS_PER_TABLE) {
+    doc.font('Helvetica-Oblique').fontSize(FONT_SIZE)
+      .text(`${table.rows.length - MAX_ROWS_PER_TABLE} more rows in the CSV attachment`, PAGE_MARGIN, doc.y);
+  }
+}
+
+/**
+ * Render a report as a PDF
+ * @param {Object} report - Report output from services/report.service
+ * @param {Object} options - { title }
+ * @returns {Promise<Buffer>}
+ */
+function toPdf(report, { title = 'Report' } = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: PAGE_MARGIN });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(16).text(title);
+    doc.font('Helvetica').fontSize(10).text(describeRange(report));
+    doc.fontSize(8).fillColor('#666666')
+      .text(`Generated ${new Date(report.generatedAt || Date.now()).toISOString()}`)
+      .fillColor('#000000');
+
+    (report.warnings || []).forEach(warning => {
+      doc.fontSize(9).fillColor('#b00020').text(warning).fillColor('#000000');
+    });
+
+    toTables(report).forEach(table => drawTable(doc, table));
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  toPdf
+};
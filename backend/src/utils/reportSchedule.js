@@ -0,0 +1,114 @@
+/**
+ * Report Schedule
+ *
+ * @description Delivery times and report ranges for scheduled report
+ *              subscriptions. Everything is evaluated in the recipient's
+ *              timezone, so "weekly on Monday at 08:00" arrives at 8am
+ *              local time for every recipient and covers their last week.
+ */
+
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToUtc
+} = require('../security/tcpa/calling-window');
+const { buildPeriodDefinition, buildCustomDefinition } = require('./reportDefinitions');
+
+// Longest gap between two deliveries (monthly) plus slack
+const MAX_LOOKAHEAD_DAYS = 62;
+
+/**
+ * Format calendar parts as YYYY-MM-DD (day may overflow; Date.UTC normalizes it)
+ * @private
+ */
+function formatDate({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a local calendar date is a delivery day
+ * @private
+ */
+function isDeliveryDay(schedule, { year, month, day }) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  switch (schedule.frequency) {
+    case 'daily':
+      return true;
+    case 'weekly':
+      return date.getUTCDay() === (schedule.dayOfWeek ?? 1);
+    case 'monthly':
+      return date.getUTCDate() === (schedule.dayOfMonth ?? 1);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Next delivery strictly after a given instant
+ * @param {Object} schedule - { frequency, dayOfWeek, dayOfMonth, time: 'HH:MM' }
+ * @param {String} timezone - Recipient timezone
+ * @param {Date} after - Instant to search from
+ * @returns {Date|null}
+ */
+function getNextDelivery(schedule, timezone, after = new Date()) {
+  const tz = isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+  const [hours, minutes] = String(schedule.time || '08:00').split(':').map(Number);
+  const local = getZonedParts(after, tz);
+
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    const candidateDay = { year: local.year, month: local.month, day: local.day + offset };
+    const normalized = new Date(Date.UTC(candidateDay.year, candidateDay.month - 1, candidateDay.day));
+    const day = {
+      year: normalized.getUTCFullYear(),
+      month: normalized.getUTCMonth() + 1,
+      day: normalized.getUTCDate()
+    };
+
+    if (!isDeliveryDay(schedule, day)) continue;
+
+    const at = zonedTimeToUtc(day, hours + minutes / 60, tz);
+    if (at > after) return at;
+  }
+
+  return null;
+}
+
+/**
+ * Report definition for a delivery: the last complete period before `at`
+ * in the recipient's timezone (custom reports cover the last lookbackDays)
+ * @param {Object} report - Subscription report { period, metrics, dimensions, lookbackDays }
+ * @param {Date} at - Delivery time
+ * @param {String} timezone - Recipient timezone
+ * @returns {Object} { definition } or { error }
+ */
+function getDeliveryDefinition(report, at, timezone) {
+  const tz = isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+  const { year, month, day } = getZonedParts(at, tz);
+
+  switch (report.period) {
+    case 'daily':
+      return { definition: buildPeriodDefinition('daily', { date: formatDate({ year, month, day: day - 1 }), timezone: tz }) };
+    case 'weekly':
+      return { definition: buildPeriodDefinition('weekly', { date: formatDate({ year, month, day: day - 7 }), timezone: tz }) };
+    case 'monthly':
+      // Day 0 is the last day of the previous month
+      return { definition: buildPeriodDefinition('monthly', { date: formatDate({ year, month, day: 0 }), timezone: tz }) };
+    case 'custom':
+      return buildCustomDefinition({
+        metrics: report.metrics,
+        dimensions: report.dimensions,
+        startDate: formatDate({ year, month, day: day - (report.lookbackDays || 7) }),
+        endDate: formatDate({ year, month, day: day - 1 }),
+        timezone: tz
+      });
+    default:
+      return { error: `Unknown report period: ${report.period}` };
+  }
+}
+
+module.exports = {
+  getNextDelivery,
+  getDeliveryDefinition
+};
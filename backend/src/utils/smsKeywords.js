@@ -0,0 +1,76 @@
+/**
+ * SMS Keyword Parser
+ *
+ * @description Detects carrier-mandated SMS keywords (CTIA short code /
+ *              10DLC guidelines) in inbound messages and builds the
+ *              required confirmation replies
+ *
+ * Keywords only match when they are the whole message (ignoring case,
+ * whitespace and trailing punctuation) so "please stop by tomorrow" is a
+ * normal reply, not an opt-out.
+ */
+
+const KEYWORD_TYPES = {
+  OPT_OUT: 'opt_out',
+  OPT_IN: 'opt_in',
+  HELP: 'help'
+};
+
+const KEYWORDS = {
+  [KEYWORD_TYPES.OPT_OUT]: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT', 'REVOKE'],
+  // Not YES - it's an ordinary answer to a nurture text, and must go
+  // through the normal reply path (pause sequences, rescore)
+  [KEYWORD_TYPES.OPT_IN]: ['START', 'UNSTOP'],
+  [KEYWORD_TYPES.HELP]: ['HELP', 'INFO']
+};
+
+/**
+ * Detect a keyword in an inbound message
+ * @param {String} text - Message body
+ * @returns {Object|null} { type, keyword } or null for a normal message
+ */
+function parseKeyword(text) {
+  if (!text) return null;
+
+  const normalized = String(text)
+    .trim()
+    .toUpperCase()
+    .replace(/[\s.!?,;:'"-]+/g, '');
+
+  for (const [type, keywords] of Object.entries(KEYWORDS)) {
+    if (keywords.includes(normalized)) {
+      return { type, keyword: normalized };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the confirmation reply for a keyword
+ * @param {String} type - Keyword type
+ * @param {Object} options - { brand, supportContact }
+ * @returns {String} Reply text
+ */
+function buildKeywordReply(type, options = {}) {
+  const brand = options.brand || process.env.SMS_BRAND_NAME || 'BMAD';
+  const support = options.supportContact || process.env.SMS_SUPPORT_CONTACT || 'support';
+
+  switch (type) {
+    case KEYWORD_TYPES.OPT_OUT:
+      return `${brand}: You have been unsubscribed and will not receive any more messages. Reply START to resubscribe.`;
+    case KEYWORD_TYPES.OPT_IN:
+      return `${brand}: You have been resubscribed to messages. Msg frequency varies. Msg&data rates may apply. Reply HELP for help, STOP to cancel.`;
+    case KEYWORD_TYPES.HELP:
+      return `${brand}: For help, contact ${support}. Msg&data rates may apply. Reply STOP to cancel.`;
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  KEYWORD_TYPES,
+  KEYWORDS,
+  parseKeyword,
+  buildKeywordReply
+};
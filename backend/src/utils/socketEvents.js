@@ -0,0 +1,74 @@
+/**
+ * Socket Events
+ *
+ * @description Who may emit which Socket.io event, and the per-socket rate
+ *              limit on client-emitted events. Pure functions -
+ *              sockets/socket.handler applies them.
+ */
+
+const ALL_ROLES = ['user', 'agent', 'manager', 'admin'];
+const CALL_ROLES = ['agent', 'manager', 'admin'];
+
+// Client-emitted event → roles allowed to emit it. Agents may only emit
+// call events for calls assigned to them (checked by the handler).
+const EVENT_ROLES = {
+  'join-room': ALL_ROLES,
+  'monitor-calls': CALL_ROLES,
+  'closer-status-update': ALL_ROLES,
+  'engagement-update': CALL_ROLES,
+  'phase-transition': CALL_ROLES,
+  'call-status-update': CALL_ROLES,
+  'refresh-dashboard': ALL_ROLES
+};
+
+// Roles that see every call in their organization, not only their own
+const MONITOR_ALL_ROLES = ['manager', 'admin'];
+
+const DEFAULT_RATE_LIMIT = { max: 60, windowMs: 10000 };
+
+/**
+ * Whether a role may emit an event; unknown events are refused
+ * @param {String} role - User role
+ * @param {String} event - Event name
+ * @returns {Boolean}
+ */
+function canEmit(role, event) {
+  return (EVENT_ROLES[event] || []).includes(role);
+}
+
+/**
+ * Whether a role sees every call in the organization
+ * @param {String} role - User role
+ * @returns {Boolean}
+ */
+function canMonitorAll(role) {
+  return MONITOR_ALL_ROLES.includes(role);
+}
+
+/**
+ * Fixed-window event counter for one socket
+ * @param {Object} options - { max, windowMs }
+ * @returns {Function} (now) => Boolean, false once the window's budget is spent
+ */
+function createEventLimiter({ max = DEFAULT_RATE_LIMIT.max, windowMs = DEFAULT_RATE_LIMIT.windowMs } = {}) {
+  let windowStart = 0;
+  let count = 0;
+
+  return (now = Date.now()) => {
+    if (now - windowStart >= windowMs) {
+      windowStart = now;
+      count = 0;
+    }
+
+    count += 1;
+    return count <= max;
+  };
+}
+
+module.exports = {
+  canEmit,
+  canMonitorAll,
+  createEventLimiter,
+  EVENT_ROLES,
+  DEFAULT_RATE_LIMIT
+};
@@ -0,0 +1,134 @@
+/**
+ * Speed to Lead
+ *
+ * @description Rule matching for auto-dialing newly imported leads and the
+ *              time-to-first-dial summary behind /api/analytics/speed-to-lead.
+ *              Pure functions - services/speedToLead.service does the I/O.
+ *
+ * A rule's criteria are lists; every list that is set must contain the
+ * lead's value (tags: any one tag). A rule without criteria matches every
+ * new lead.
+ */
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Criteria list → how to read the lead's value(s)
+const CRITERIA = {
+  priorities: lead => [lead.priority],
+  sources: lead => [lead.source],
+  leadSources: lead => [lead.customFields?.leadSource],
+  categories: lead => [lead.customFields?.category],
+  tags: lead => lead.tags || []
+};
+
+// Upper bounds (seconds) of the time-to-first-dial histogram
+const DELAY_BUCKETS = [60, 300, 900, 3600, 86400];
+
+/**
+ * Whether a lead meets a rule's criteria
+ * @param {Object} rule - { criteria }
+ * @param {Object} lead - Lead
+ * @returns {Boolean}
+ */
+function matchesRule(rule, lead) {
+  const criteria = rule.criteria || {};
+
+  return Object.entries(CRITERIA).every(([name, read]) => {
+    const allowed = criteria[name];
+    if (!Array.isArray(allowed) || allowed.length === 0) return true;
+    return read(lead).some(value => value != null && allowed.includes(value));
+  });
+}
+
+/**
+ * First active rule, in priority order, that a lead matches
+ * @param {Array} rules - Rules
+ * @param {Object} lead - Lead
+ * @returns {Object|null}
+ */
+function selectRule(rules, lead) {
+  return [...rules]
+    .sort((a, b) => (a.priority ?? 100) - (b.priority ?? 100))
+    .find(rule => rule.isActive !== false && matchesRule(rule, lead)) || null;
+}
+
+/**
+ * Validate rule criteria
+ * @param {Object} criteria - { priorities, sources, leadSources, categories, tags }
+ * @returns {String|null} Error message
+ */
+function validateCriteria(criteria) {
+  if (criteria === undefined) return null;
+
+  if (!criteria || typeof criteria !== 'object' || Array.isArray(criteria)) {
+    return 'criteria must be an object';
+  }
+
+  const unknown = Object.keys(criteria).filter(name => !CRITERIA[name]);
+  if (unknown.length > 0) {
+    return `Unknown criteria: ${unknown.join(', ')}. Use ${Object.keys(CRITERIA).join(', ')}`;
+  }
+
+  for (const [name, values] of Object.entries(criteria)) {
+    if (!Array.isArray(values) || values.some(value => typeof value !== 'string' || !value)) {
+      return `criteria.${name} must be a list of strings`;
+    }
+  }
+
+  const invalid = (criteria.priorities || []).filter(priority => !PRIORITIES.includes(priority));
+  if (invalid.length > 0) {
+    return `Invalid priority: ${invalid.join(', ')}. Use ${PRIORITIES.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ * @private
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0)];
+}
+
+/**
+ * Summarize seconds from lead creation to first dial
+ * @param {Array} delays - Seconds per dialed lead (null / undefined for leads never dialed)
+ * @returns {Object} { leads, dialed, notDialed, averageSeconds, medianSeconds, p90Seconds, within1Minute, within5Minutes, buckets }
+ */
+function summarizeDelays(delays) {
+  const sorted = delays
+    .filter(value => typeof value === 'number' && value >= 0)
+    .sort((a, b) => a - b);
+
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+  const within = seconds => sorted.filter(value => value <= seconds).length;
+
+  const buckets = DELAY_BUCKETS.map((upTo, index) => ({
+    upToSeconds: upTo,
+    count: sorted.filter(value => value > (DELAY_BUCKETS[index - 1] ?? -1) && value <= upTo).length
+  }));
+  buckets.push({ upToSeconds: null, count: sorted.filter(value => value > DELAY_BUCKETS[DELAY_BUCKETS.length - 1]).length });
+
+  return {
+    leads: delays.length,
+    dialed: sorted.length,
+    notDialed: delays.length - sorted.length,
+    averageSeconds: sorted.length > 0 ? Math.round(total / sorted.length) : null,
+    medianSeconds: percentile(sorted, 50),
+    p90Seconds: percentile(sorted, 90),
+    within1Minute: within(60),
+    within5Minutes: within(300),
+    buckets
+  };
+}
+
+module.exports = {
+  CRITERIA_NAMES: Object.keys(CRITERIA),
+  DELAY_BUCKETS,
+  matchesRule,
+  selectRule,
+  validateCriteria,
+  summarizeDelays
+};
@@ -0,0 +1,117 @@
+/**
+ * Supervisor Monitoring
+ *
+ * @description Who may listen, whisper or barge on which call, and whether
+ *              the call can take it right now. Pure functions -
+ *              services/supervisor.service does the Telnyx and CallLog work.
+ */
+
+// Mode → Telnyx conference supervisor role
+const SUPERVISOR_ROLES = {
+  listen: 'monitor',
+  whisper: 'whisper',
+  barge: 'barge'
+};
+
+const MODES = Object.keys(SUPERVISOR_ROLES);
+
+// User roles allowed to use each mode (routes/calls.routes authorizes with these too)
+const MODE_ROLES = {
+  listen: ['admin', 'manager', 'agent'],
+  whisper: ['admin', 'manager'],
+  barge: ['admin', 'manager']
+};
+
+// Call statuses a supervisor can join
+const LIVE_STATUSES = ['answered', 'bridged', 'active', 'held'];
+
+const OPEN_SESSION_STATUSES = ['dialing', 'active'];
+
+/**
+ * Why a user may not monitor a call in a mode, if they may not
+ * @param {Object} user - Supervisor (req.user)
+ * @param {Object} callLog - CallLog document
+ * @param {String} mode - listen | whisper | barge
+ * @returns {String|null} invalid_mode | forbidden_role | wrong_organization
+ */
+function checkAccess(user, callLog, mode) {
+  if (!MODES.includes(mode)) return 'invalid_mode';
+  if (!MODE_ROLES[mode].includes(user.role)) return 'forbidden_role';
+  if (!sameOrganization(user, callLog)) return 'wrong_organization';
+
+  return null;
+}
+
+/**
+ * Whether a call belongs to the user's organization
+ * Users without an organization are unscoped - they never match a tenant's call.
+ * @param {Object} user - req.user
+ * @param {Object} callLog - CallLog document
+ * @returns {Boolean}
+ */
+function sameOrganization(user, callLog) {
+  return Boolean(user.organizationId) && String(user.organizationId) === String(callLog.organizationId);
+}
+
+/**
+ * Why a mode cannot be used on a call, if it cannot
+ * @param {Object} callLog - CallLog document
+ * @param {String} mode - listen | whisper | barge
+ * @returns {String|null} invalid_mode | call_not_live | no_closer_leg
+ */
+function checkMode(callLog, mode) {
+  if (!MODES.includes(mode)) return 'invalid_mode';
+  if (!LIVE_STATUSES.includes(callLog.status) || !callLog.telnyx?.callControlId) return 'call_not_live';
+
+  // The AI agent has no audio leg of its own to whisper to
+  if (mode === 'whisper' && whisperTargets(callLog).length === 0) return 'no_closer_leg';
+
+  return null;
+}
+
+/**
+ * Whether a user may end a monitoring session: their own, or any as admin
+ * @param {Object} user - req.user
+ * @param {Object} session - Monitoring session
+ * @returns {Boolean}
+ */
+function canEndSession(user, session) {
+  return String(session.userId) === String(user._id) || user.role === 'admin';
+}
+
+/**
+ * Legs a whisper is heard on: the closer after a warm transfer
+ * @param {Object} callLog - CallLog document
+ * @returns {Array<String>} Call control IDs
+ */
+function whisperTargets(callLog) {
+  return callLog.transfer?.state === 'bridged' && callLog.transfer.closerCallControlId
+    ? [callLog.transfer.closerCallControlId]
+    : [];
+}
+
+/**
+ * Open session of a user on a call
+ * @param {Object} callLog - CallLog document
+ * @param {String} userId - User ID
+ * @returns {Object|undefined} Session
+ */
+function findOpenSession(callLog, userId) {
+  return (callLog.monitoring?.sessions || []).find(session =>
+    String(session.userId) === String(userId) && OPEN_SESSION_STATUSES.includes(session.status)
+  );
+}
+
+module.exports = {
+  checkAccess,
+  sameOrganization,
+  checkMode,
+  canEndSession,
+  whisperTargets,
+  findOpenSession,
+  SUPERVISOR_ROLES,
+  MODES,
+  MODE_ROLES,
+  LIVE_STATUSES,
+  OPEN_SESSION_STATUSES
+};
@@ -0,0 +1,39 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-request organization (tenant) context
+ *
+ * authenticate() runs the rest of the request inside runWithOrganization(),
+ * so any code on that async path - controllers, services, mongoose hooks -
+ * can read the caller's organization without threading it through every call.
+ * Code outside a request (cron jobs, queue workers, webhooks) has no context
+ * and must pass organizationId explicitly or wrap its work in runWithOrganization().
+ * The unscoped (null) context is for those system jobs only - authenticate()
+ * rejects users without an organization rather than running them unscoped.
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with an organization context
+ * @param {String} organizationId - Organization ID (null = unscoped)
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+const runWithOrganization = (organizationId, fn) => {
+  return storage.run({ organizationId: organizationId ? String(organizationId) : null }, fn);
+};
+
+/**
+ * Get the organization ID for the current async context
+ * @returns {String|null} Organization ID or null when unscoped
+ */
+const getOrganizationId = () => {
+  const store = storage.getStore();
+  return store ? store.organizationId : null;
+};
+
+module.exports = {
+  runWithOrganization,
+  getOrganizationId
+};
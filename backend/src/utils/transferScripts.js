@@ -0,0 +1,143 @@
+/**
+ * Warm Transfer Scripts
+ *
+ * @description Builds the whisper briefing the closer hears before a warm
+ *              transfer and the callback script handed back to the AI
+ *              agent when the closer declines or doesn't answer
+ *
+ * The whisper is spoken on the closer's leg only, before the lead is
+ * bridged, so it can mention scores and objections freely.
+ */
+
+const ACCEPT_DIGIT = '1';
+const DECLINE_DIGIT = '2';
+
+// Why the lead went back to the AI, in words the agent can use
+const FALLBACK_REASONS = {
+  declined: 'the specialist is tied up with another client',
+  no_answer: 'the specialist is not available right now',
+  failed: 'we could not connect the specialist line'
+};
+
+/**
+ * Join a list into "a, b and c"
+ * @private
+ */
+function joinList(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/**
+ * Build the whisper briefing for the closer
+ * @param {Object} data - { report, lead, state, qualification, closerName }
+ *   report: engagementService.generateReport() output
+ *   state: lead's US state, when known
+ *   qualification: CallLog aiAnalysis.qualification
+ * @returns {String} Text to speak on the closer's leg
+ */
+function buildWhisper({ report = {}, lead = {}, state, qualification = {}, closerName } = {}) {
+  const parts = [];
+
+  parts.push(closerName ? `${closerName}, incoming warm transfer.` : 'Incoming warm transfer.');
+
+  const name = [lead.firstName, lead.lastName].filter(Boolean).join(' ') || 'Unknown caller';
+  const company = lead.company || {};
+  const about = [
+    company.title && company.name ? `${company.title} at ${company.name}` : company.name,
+    company.industry && `${company.industry} industry`,
+    state
+  ].filter(Boolean);
+
+  parts.push(about.length > 0 ? `${name}, ${about.join(', ')}.` : `${name}.`);
+
+  if (report.score !== undefined && report.score !== null) {
+    const level = report.scoreLevel ? `, ${report.scoreLevel.replace('_', ' ')}` : '';
+    parts.push(`Engagement score ${Math.round(report.score)}${level}.`);
+  }
+
+  const signals = report.buyingSignals?.signals || [];
+  if (signals.length > 0) {
+    parts.push(`Buying signals: ${joinList(signals.slice(0, 3))}.`);
+  }
+
+  const interests = qualification.interests || [];
+  if (interests.length > 0) {
+    parts.push(`Interested in ${joinList(interests.slice(0, 3))}.`);
+  }
+
+  const concerns = [...(qualification.objections || []), ...(qualification.concerns || [])];
+  if (concerns.length > 0) {
+    parts.push(`Watch for ${joinList(concerns.slice(0, 3))}.`);
+  }
+
+  if (report.sentiment) {
+    parts.push(`Sentiment ${report.sentiment}.`);
+  }
+
+  if (report.conversationDuration) {
+    const minutes = Math.max(1, Math.round(report.conversationDuration / 60));
+    parts.push(`On the call for ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+  }
+
+  parts.push(`Press ${ACCEPT_DIGIT} to accept, or ${DECLINE_DIGIT} to decline.`);
+
+  return parts.join(' ');
+}
+
+/**
+ * Whether the closer's DTMF input accepts the transfer
+ * Anything other than the accept digit (including a timeout) is a decline
+ * @param {String} digits - Gathered digits
+ * @returns {Boolean}
+ */
+function isAccepted(digits) {
+  return typeof digits === 'string' && digits.trim().charAt(0) === ACCEPT_DIGIT;
+}
+
+/**
+ * Build the callback-scheduling script for the AI agent
+ * @param {Object} data - { lead, reason, nextAvailableAt, timezone }
+ *   reason: declined | no_answer | failed
+ *   nextAvailableAt: earliest time a closer can call back (optional)
+ * @returns {String} Instructions for the voice agent
+ */
+function buildCallbackScript({ lead = {}, reason, nextAvailableAt, timezone } = {}) {
+  const firstName = lead.firstName || 'the caller';
+  const why = FALLBACK_REASONS[reason] || FALLBACK_REASONS.no_answer;
+
+  const lines = [
+    `The warm transfer did not go through because ${why}.`,
+    `Apologize briefly to ${firstName} and let them know a specialist will call them back.`,
+    'Offer to schedule the callback: ask for the best day and time, and confirm the best number to reach them.'
+  ];
+
+  if (nextAvailableAt) {
+    let when;
+    try {
+      when = new Date(nextAvailableAt).toLocaleString('en-US', {
+        weekday: 'long',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZone: timezone || 'America/New_York',
+        timeZoneName: 'short'
+      });
+    } catch (error) {
+      when = new Date(nextAvailableAt).toISOString();
+    }
+    lines.push(`The earliest a specialist is free is ${when}; do not offer anything sooner.`);
+  }
+
+  lines.push('Do not attempt another transfer on this call.');
+
+  return lines.join(' ');
+}
+
+module.exports = {
+  ACCEPT_DIGIT,
+  DECLINE_DIGIT,
+  FALLBACK_REASONS,
+  buildWhisper,
+  isAccepted,
+  buildCallbackScript
+};
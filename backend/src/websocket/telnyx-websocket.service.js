@@ -1,5 +1,7 @@
 const WebSocket = require('ws');
 const telnyxConfig = require('../config/telnyx.config');
+const callLifecycle = require('../services/callLifecycle.service');
+const { toCall } = require('../sockets/rooms');
 
 /**
  * Telnyx WebSocket Service
@@ -84,7 +86,9 @@ class TelnyxWebSocketService {
     this.ws.on('message', (data) => {
       try {
         const event = JSON.parse(data.toString());
-        this.handleTelnyxEvent(event);
+        this.handleTelnyxEvent(event).catch(error => {
+          console.error('[Telnyx WS] Error handling event:', error);
+        });
       } catch (error) {
         console.error('[Telnyx WS] Error parsing message:', error);
       }
@@ -128,24 +132,39 @@ class TelnyxWebSocketService {
 
   /**
    * Handle incoming Telnyx events
+   * Persisted first, then broadcast to the call's organization (its monitors
+   * and assigned agent); events that match no call are not broadcast
    */
-  handleTelnyxEvent(event) {
+  async handleTelnyxEvent(event) {
     const eventType = event.event_type || event.type;
 
     console.log(`[Telnyx WS] Event received: ${eventType}`);
 
+    let call;
+    try {
+      // Persist call events; webhook deliveries of the same event are ignored
+      const result = await callLifecycle.handleEvent(event);
+      call = result.callLog ||
+        (result.reason === 'untracked' ? await callLifecycle.findCallForEvent(event) : null);
+    } catch (error) {
+      console.error(`[Telnyx WS] Error persisting ${eventType}:`, error);
+      return;
+    }
+
+    if (!call) return;
+
     // Call registered event handlers
     if (this.eventHandlers.has(eventType)) {
       const handler = this.eventHandlers.get(eventType);
-      handler(event);
+      handler(event, call);
     } else {
       // Default handler - broadcast to Socket.io
-      this.broadcastEvent(eventType, event);
+      this.broadcastEvent(eventType, event, call);
     }
 
-    // Always broadcast to call-monitoring room
+    // Always broadcast to the call's monitors
     if (this.io) {
-      this.io.to('call-monitoring').emit('telnyx:event', {
+      toCall(this.io, call).emit('telnyx:event', {
         type: eventType,
         data: event,
         timestamp: new Date()
@@ -158,81 +177,81 @@ class TelnyxWebSocketService {
    */
   setupDefaultEventHandlers() {
     // Call initiated
-    this.on('call.initiated', (event) => {
+    this.on('call.initiated', (event, call) => {
       console.log('[Telnyx WS] Call initiated:', event.payload?.call_control_id);
-      this.broadcastEvent('call:initiated', event);
+      this.broadcastEvent('call:initiated', event, call);
     });
 
     // Call answered
-    this.on('call.answered', (event) => {
+    this.on('call.answered', (event, call) => {
       console.log('[Telnyx WS] Call answered:', event.payload?.call_control_id);
-      this.broadcastEvent('call:answered', event);
+      this.broadcastEvent('call:answered', event, call);
     });
 
     // Call bridged
-    this.on('call.bridged', (event) => {
+    this.on('call.bridged', (event, call) => {
       console.log('[Telnyx WS] Call bridged:', event.payload?.call_control_id);
-      this.broadcastEvent('call:bridged', event);
+      this.broadcastEvent('call:bridged', event, call);
     });
 
     // Call hangup
-    this.on('call.hangup', (event) => {
+    this.on('call.hangup', (event, call) => {
       console.log('[Telnyx WS] Call hangup:', event.payload?.call_control_id);
-      this.broadcastEvent('call:hangup', event);
+      this.broadcastEvent('call:hangup', event, call);
     });
 
     // Recording started
-    this.on('recording.started', (event) => {
+    this.on('recording.started', (event, call) => {
       console.log('[Telnyx WS] Recording started:', event.payload?.recording_id);
-      this.broadcastEvent('recording:started', event);
+      this.broadcastEvent('recording:started', event, call);
     });
 
     // Recording stopped
-    this.on('recording.stopped', (event) => {
+    this.on('recording.stopped', (event, call) => {
       console.log('[Telnyx WS] Recording stopped:', event.payload?.recording_id);
-      this.broadcastEvent('recording:stopped', event);
+      this.broadcastEvent('recording:stopped', event, call);
     });
 
     // DTMF received
-    this.on('call.dtmf.received', (event) => {
+    this.on('call.dtmf.received', (event, call) => {
       console.log('[Telnyx WS] DTMF received:', event.payload?.digit);
-      this.broadcastEvent('call:dtmf', event);
+      this.broadcastEvent('call:dtmf', event, call);
     });
 
     // Speak started
-    this.on('call.speak.started', (event) => {
+    this.on('call.speak.started', (event, call) => {
       console.log('[Telnyx WS] Speak started:', event.payload?.call_control_id);
-      this.broadcastEvent('call:speak-started', event);
+      this.broadcastEvent('call:speak-started', event, call);
     });
 
     // Speak ended
-    this.on('call.speak.ended', (event) => {
+    this.on('call.speak.ended', (event, call) => {
       console.log('[Telnyx WS] Speak ended:', event.payload?.call_control_id);
-      this.broadcastEvent('call:speak-ended', event);
+      this.broadcastEvent('call:speak-ended', event, call);
     });
 
     // Conference created
-    this.on('conference.created', (event) => {
+    this.on('conference.created', (event, call) => {
       console.log('[Telnyx WS] Conference created:', event.payload?.conference_id);
-      this.broadcastEvent('conference:created', event);
+      this.broadcastEvent('conference:created', event, call);
     });
 
     // Conference ended
-    this.on('conference.ended', (event) => {
+    this.on('conference.ended', (event, call) => {
       console.log('[Telnyx WS] Conference ended:', event.payload?.conference_id);
-      this.broadcastEvent('conference:ended', event);
+      this.broadcastEvent('conference:ended', event, call);
     });
 
     // Participant joined
-    this.on('conference.participant.joined', (event) => {
+    this.on('conference.participant.joined', (event, call) => {
       console.log('[Telnyx WS] Participant joined conference');
-      this.broadcastEvent('conference:participant-joined', event);
+      this.broadcastEvent('conference:participant-joined', event, call);
     });
 
     // Participant left
-    this.on('conference.participant.left', (event) => {
+    this.on('conference.participant.left', (event, call) => {
       console.log('[Telnyx WS] Participant left conference');
-      this.broadcastEvent('conference:participant-left', event);
+      this.broadcastEvent('conference:participant-left', event, call);
     });
   }
 
@@ -244,11 +263,11 @@ class TelnyxWebSocketService {
   }
 
   /**
-   * Broadcast event to Socket.io clients
+   * Broadcast event to the call's Socket.io clients
    */
-  broadcastEvent(eventName, data) {
+  broadcastEvent(eventName, data, call) {
     if (this.io) {
-      this.io.to('call-monitoring').emit(eventName, {
+      toCall(this.io, call).emit(eventName, {
         ...data,
         timestamp: new Date()
       });
@@ -0,0 +1,103 @@
+/**
+ * Consent Controller Tests
+ *
+ * Unit tests for tenant isolation: the consent ledger is keyed by lead only,
+ * so a lead from another organization must look like it does not exist
+ */
+
+jest.mock('../../src/database/mongodb/schemas/lead.schema', () => ({ exists: jest.fn() }));
+jest.mock('../../src/security/consent-manager', () => ({
+  recordConsent: jest.fn(),
+  revokeConsent: jest.fn(),
+  getConsentStatus: jest.fn(),
+  getConsentHistory: jest.fn(),
+  getConsentProof: jest.fn(),
+  CHANNELS: ['call', 'sms', 'email']
+}));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const Lead = require('../../src/database/mongodb/schemas/lead.schema');
+const consentManager = require('../../src/security/consent-manager');
+const { runWithOrganization, getOrganizationId } = require('../../src/utils/tenant.util');
+const consentController = require('../../src/controllers/consent.controller');
+
+const ORG_A = '64b000000000000000000a01';
+const ORG_B = '64b000000000000000000b02';
+const LEAD_A = '64b0000000000000000001aa';
+
+function request({ params = {}, body = {}, query = {} } = {}) {
+  return {
+    params,
+    body,
+    query,
+    ip: '203.0.113.7',
+    user: { id: 'user1' },
+    get: () => 'jest'
+  };
+}
+
+function response() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+/**
+ * Call a controller action as a member of organizationId
+ */
+async function callAs(organizationId, action, req) {
+  const res = response();
+  const next = jest.fn();
+  await runWithOrganization(organizationId, () => consentController[action](req, res, next));
+  return { res, next };
+}
+
+describe('Consent Controller - tenant isolation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // Stand-in for the organizationScope plugin: LEAD_A belongs to ORG_A only
+    Lead.exists.mockImplementation(async ({ _id }) => (
+      _id === LEAD_A && getOrganizationId() === ORG_A ? { _id } : null
+    ));
+    consentManager.getConsentStatus.mockResolvedValue({ call: { granted: true } });
+    consentManager.getConsentHistory.mockResolvedValue([]);
+    consentManager.getConsentProof.mockResolvedValue({ granted: true });
+    consentManager.recordConsent.mockResolvedValue([]);
+    consentManager.revokeConsent.mockResolvedValue([]);
+  });
+
+  it('returns consent for a lead in the caller\'s organization', async () => {
+    const { res } = await callAs(ORG_A, 'getConsentStatus', request({ params: { leadId: LEAD_A } }));
+
+    expect(consentManager.getConsentStatus).toHaveBeenCalledWith(LEAD_A);
+    expect(res.json).toHaveBeenCalledWith({ success: true, data: { call: { granted: true } } });
+  });
+
+  it.each(['getConsentStatus', 'getConsentHistory', 'getConsentProof'])('%s returns 404 for another organization\'s lead', async action => {
+    const { res } = await callAs(ORG_B, action, request({ params: { leadId: LEAD_A } }));
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Lead not found' });
+    expect(consentManager[action]).not.toHaveBeenCalled();
+  });
+
+  it('does not write to another organization\'s ledger', async () => {
+    const grant = await callAs(ORG_B, 'recordConsent', request({ body: { leadId: LEAD_A, source: 'manual' } }));
+    const revoke = await callAs(ORG_B, 'revokeConsent', request({ body: { leadId: LEAD_A } }));
+
+    expect(grant.res.status).toHaveBeenCalledWith(404);
+    expect(revoke.res.status).toHaveBeenCalledWith(404);
+    expect(consentManager.recordConsent).not.toHaveBeenCalled();
+    expect(consentManager.revokeConsent).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for a malformed lead ID without querying', async () => {
+    const { res } = await callAs(ORG_A, 'getConsentHistory', request({ params: { leadId: 'not-an-id' } }));
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(Lead.exists).not.toHaveBeenCalled();
+    expect(consentManager.getConsentHistory).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Webhook Controller Tests
+ *
+ * Unit tests for the Telnyx messaging webhook: inbound keywords change
+ * consent and DNC, so only signed requests may reach them
+ */
+
+jest.mock('../../src/security/validation/webhook-validator', () => ({}));
+jest.mock('../../src/services/telnyx.service', () => ({ validateWebhookSignature: jest.fn() }));
+jest.mock('../../src/config/telnyx.config', () => ({ config: { publicKey: 'telnyx-public-key' } }));
+jest.mock('../../src/services/voice-agent.service', () => ({}));
+jest.mock('../../src/services/callLifecycle.service', () => ({}));
+jest.mock('../../src/services/sms.service', () => ({ handleInboundMessage: jest.fn() }));
+jest.mock('../../src/services/warmTransfer.service', () => ({}));
+jest.mock('../../src/services/supervisor.service', () => ({}));
+jest.mock('../../src/sockets/rooms', () => ({ toCall: jest.fn(), toMonitors: jest.fn() }));
+
+const telnyxService = require('../../src/services/telnyx.service');
+const telnyxConfig = require('../../src/config/telnyx.config');
+const smsService = require('../../src/services/sms.service');
+const webhookController = require('../../src/controllers/webhook.controller');
+
+const STOP_EVENT = {
+  data: {
+    event_type: 'message.received',
+    payload: { id: 'msg1', from: { phone_number: '+15551234567' }, text: 'STOP' }
+  }
+};
+
+function request(headers = {}) {
+  return {
+    headers,
+    body: STOP_EVENT,
+    app: { get: () => null }
+  };
+}
+
+function response() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+const SIGNED = { 'telnyx-signature': 'c2lnbmF0dXJl', 'telnyx-timestamp': '1700000000' };
+
+describe('Webhook Controller - messaging', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    telnyxConfig.config.publicKey = 'telnyx-public-key';
+    telnyxService.validateWebhookSignature.mockReturnValue(true);
+    smsService.handleInboundMessage.mockResolvedValue({ processed: false });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('processes a correctly signed message', async () => {
+    const res = response();
+
+    await webhookController.handleMessagingEvent(request(SIGNED), res, jest.fn());
+
+    expect(telnyxService.validateWebhookSignature).toHaveBeenCalledWith(STOP_EVENT, SIGNED['telnyx-signature'], SIGNED['telnyx-timestamp']);
+    expect(smsService.handleInboundMessage).toHaveBeenCalledWith(STOP_EVENT.data.payload);
+    expect(res.json).toHaveBeenCalledWith({ success: true });
+  });
+
+  it.each([
+    ['no signature headers', {}],
+    ['a signature without a timestamp', { 'telnyx-signature': SIGNED['telnyx-signature'] }],
+    ['a timestamp without a signature', { 'telnyx-timestamp': SIGNED['telnyx-timestamp'] }]
+  ])('rejects %s before any keyword is processed', async (_case, headers) => {
+    const res = response();
+
+    await webhookController.handleMessagingEvent(request(headers), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Missing signature' });
+    expect(smsService.handleInboundMessage).not.toHaveBeenCalled();
+  });
+
+  it('rejects an invalid signature', async () => {
+    telnyxService.validateWebhookSignature.mockReturnValue(false);
+    const res = response();
+
+    await webhookController.handleMessagingEvent(request(SIGNED), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Invalid signature' });
+    expect(smsService.handleInboundMessage).not.toHaveBeenCalled();
+  });
+
+  it('rejects everything while the Telnyx public key is not configured', async () => {
+    telnyxConfig.config.publicKey = undefined;
+    const res = response();
+
+    await webhookController.handleMessagingEvent(request(SIGNED), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(telnyxService.validateWebhookSignature).not.toHaveBeenCalled();
+    expect(smsService.handleInboundMessage).not.toHaveBeenCalled();
+  });
+});
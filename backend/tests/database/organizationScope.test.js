@@ -0,0 +1,112 @@
+/**
+ * Organization Scope Plugin Tests
+ *
+ * Verifies tenant filtering is applied from the async request context
+ */
+
+const organizationScope = require('../../src/database/mongodb/plugins/organizationScope.plugin');
+const { runWithOrganization, getOrganizationId } = require('../../src/utils/tenant.util');
+
+const ORG_A = '6f1c1f0e-7d4b-4b8e-9a55-0c1f3c2d9a01';
+const ORG_B = '0b8a4e2c-1f6d-4c3b-8e7a-5d2c9f1e3b02';
+
+/**
+ * Minimal stand-in for a mongoose Schema that records registered hooks
+ */
+function createSchema() {
+  const hooks = {};
+  const paths = {};
+
+  return {
+    hooks,
+    paths,
+    path: (name) => paths[name],
+    add: (definition) => Object.assign(paths, definition),
+    pre: (names, fn) => {
+      [].concat(names).forEach(name => { hooks[name] = fn; });
+    }
+  };
+}
+
+function createQuery(filter = {}, update = null) {
+  return {
+    filter,
+    update,
+    where(conditions) { Object.assign(this.filter, conditions); return this; },
+    getUpdate() { return this.update; }
+  };
+}
+
+describe('Organization Scope', () => {
+  let schema;
+
+  beforeEach(() => {
+    schema = createSchema();
+    organizationScope(schema);
+  });
+
+  it('should add an organizationId path', () => {
+    expect(schema.paths.organizationId).toBeDefined();
+  });
+
+  it('should not filter outside a request context', () => {
+    const query = createQuery({ status: 'new' });
+    schema.hooks.find.call(query);
+
+    expect(query.filter).toEqual({ status: 'new' });
+  });
+
+  it('should filter queries by the current organization', () => {
+    const query = createQuery({ status: 'new' });
+    runWithOrganization(ORG_A, () => schema.hooks.find.call(query));
+
+    expect(query.filter).toEqual({ status: 'new', organizationId: ORG_A });
+  });
+
+  it('should override an organizationId supplied by the caller', () => {
+    const query = createQuery({ organizationId: ORG_B });
+    runWithOrganization(ORG_A, () => schema.hooks.findOne.call(query));
+
+    expect(query.filter.organizationId).toBe(ORG_A);
+  });
+
+  it('should strip organizationId from updates', () => {
+    const query = createQuery({}, { $set: { status: 'won', organizationId: ORG_B } });
+    runWithOrganization(ORG_A, () => schema.hooks.updateOne.call(query));
+
+    expect(query.update.$set).toEqual({ status: 'won' });
+  });
+
+  it('should prepend a $match stage to aggregations', () => {
+    const pipeline = [{ $group: { _id: '$status' } }];
+    const aggregate = { pipeline: () => pipeline };
+    runWithOrganization(ORG_A, () => schema.hooks.aggregate.call(aggregate));
+
+    expect(pipeline[0]).toEqual({ $match: { organizationId: ORG_A } });
+  });
+
+  it('should keep $geoNear as the first aggregation stage', () => {
+    const pipeline = [{ $geoNear: { near: [0, 0] } }];
+    const aggregate = { pipeline: () => pipeline };
+    runWithOrganization(ORG_A, () => schema.hooks.aggregate.call(aggregate));
+
+    expect(Object.keys(pipeline[1])).toEqual(['$match']);
+  });
+
+  it('should stamp new documents with the current organization', () => {
+    const doc = { isNew: true, organizationId: ORG_B };
+    runWithOrganization(ORG_A, () => schema.hooks.validate.call(doc));
+
+    expect(doc.organizationId).toBe(ORG_A);
+  });
+
+  it('should keep the context across awaits', async () => {
+    const seen = await runWithOrganization(ORG_A, async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      return getOrganizationId();
+    });
+
+    expect(seen).toBe(ORG_A);
+    expect(getOrganizationId()).toBeNull();
+  });
+});
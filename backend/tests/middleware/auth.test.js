@@ -0,0 +1,97 @@
+/**
+ * Auth Middleware Tests
+ *
+ * Unit tests for the organization context: a user without an organization
+ * must never run with the unscoped (null) context
+ */
+
+jest.mock('../../src/database/mongodb/schemas/user.schema', () => ({ findById: jest.fn() }));
+jest.mock('../../src/utils/jwt.util', () => ({
+  verifyToken: jest.fn(),
+  extractTokenFromHeader: jest.fn(header => (header ? header.replace(/^Bearer\s+/i, '') : null)),
+  validateTokenType: jest.fn(() => true)
+}));
+
+const User = require('../../src/database/mongodb/schemas/user.schema');
+const { verifyToken } = require('../../src/utils/jwt.util');
+const { getOrganizationId } = require('../../src/utils/tenant.util');
+const { authenticate, optionalAuth } = require('../../src/middleware/auth.middleware');
+
+const ORG = '64b000000000000000000a01';
+
+function userWith(organizationId) {
+  return {
+    _id: 'user1',
+    organizationId,
+    isActive: true,
+    isLocked: () => false
+  };
+}
+
+function givenUser(user, orgId) {
+  verifyToken.mockReturnValue({ userId: 'user1', orgId });
+  User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+}
+
+function request() {
+  return { headers: { authorization: 'Bearer access-token' } };
+}
+
+function response() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+/**
+ * Run a middleware and capture the organization context next() ran in
+ */
+async function run(middleware, req) {
+  const res = response();
+  let context;
+  const next = jest.fn(() => { context = getOrganizationId(); });
+  await middleware(req, res, next);
+  return { res, next, context };
+}
+
+describe('Auth Middleware - organization context', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('scopes the request to the user\'s organization', async () => {
+    givenUser(userWith(ORG), ORG);
+    const req = request();
+
+    const { next, context } = await run(authenticate, req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.organizationId).toBe(ORG);
+    expect(context).toBe(ORG);
+  });
+
+  it('rejects a user without an organization instead of running unscoped', async () => {
+    givenUser(userWith(null), undefined);
+
+    const { res, next } = await run(authenticate, request());
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      success: false,
+      message: expect.stringMatching(/not assigned to an organization/)
+    }));
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('treats a user without an organization as anonymous on optional auth', async () => {
+    givenUser(userWith(undefined), undefined);
+    const req = request();
+
+    const { next, context } = await run(optionalAuth, req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toBeUndefined();
+    expect(context).toBeNull();
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Metrics Middleware Tests
+ *
+ * Unit tests for the HTTP latency route label and the /metrics token check
+ */
+
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { EventEmitter } = require('events');
+const { register, httpRequestDuration } = require('../../src/utils/metrics');
+const { httpMetrics, metricsEndpoint, routeLabel } = require('../../src/middleware/metrics.middleware');
+
+function request({ authorization, ...rest } = {}) {
+  return {
+    method: 'GET',
+    baseUrl: '',
+    get: (header) => (header.toLowerCase() === 'authorization' ? authorization : undefined),
+    ...rest
+  };
+}
+
+function response() {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  res.end = jest.fn(() => res);
+  return res;
+}
+
+describe('routeLabel', () => {
+  it('uses the matched route pattern, not the raw path', () => {
+    expect(routeLabel(request({
+      baseUrl: '/api/leads',
+      originalUrl: '/api/leads/6650f0c2a1b2c3d4e5f60718',
+      route: { path: '/:id' }
+    }))).toBe('/api/leads/:id');
+  });
+
+  it('uses the route path alone for app-level routes', () => {
+    expect(routeLabel(request({ route: { path: '/health' } }))).toBe('/health');
+  });
+
+  it('is "unmatched" when no route handled the request', () => {
+    expect(routeLabel(request({ originalUrl: '/wp-admin/setup.php' }))).toBe('unmatched');
+  });
+});
+
+describe('httpMetrics', () => {
+  beforeEach(() => {
+    httpRequestDuration.reset();
+  });
+
+  it('observes latency under the route pattern once the response finishes', async () => {
+    const req = request({ method: 'PUT', baseUrl: '/api/leads' });
+    const res = response();
+    const next = jest.fn();
+
+    httpMetrics(req, res, next);
+    expect(next).toHaveBeenCalled();
+
+    // Express sets req.route while routing, after this middleware ran
+    req.route = { path: '/:id' };
+    res.statusCode = 204;
+    res.emit('finish');
+
+    const { values } = await httpRequestDuration.get();
+    const count = values.find(value => value.metricName === 'bmad_http_request_duration_seconds_count');
+    expect(count.labels).toEqual({ method: 'PUT', route: '/api/leads/:id', status_code: 204 });
+    expect(count.value).toBe(1);
+  });
+});
+
+describe('metricsEndpoint', () => {
+  const originalToken = process.env.METRICS_TOKEN;
+
+  afterEach(() => {
+    if (originalToken === undefined) delete process.env.METRICS_TOKEN;
+    else process.env.METRICS_TOKEN = originalToken;
+  });
+
+  it('serves the registry with the right token', async () => {
+    process.env.METRICS_TOKEN = 'scrape-secret';
+    const res = response();
+
+    await metricsEndpoint(request({ authorization: 'Bearer scrape-secret' }), res, jest.fn());
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.set).toHaveBeenCalledWith('Content-Type', register.contentType);
+    expect(res.end).toHaveBeenCalledWith(expect.stringContaining('bmad_http_request_duration_seconds'));
+  });
+
+  it.each([
+    ['a wrong token', 'Bearer wrong-secret!'],
+    ['a token of another length', 'Bearer scrape'],
+    ['the token without the Bearer scheme', 'scrape-secret'],
+    ['no Authorization header', undefined]
+  ])('rejects %s', async (_case, authorization) => {
+    process.env.METRICS_TOKEN = 'scrape-secret';
+    const res = response();
+
+    await metricsEndpoint(request({ authorization }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Invalid metrics token' });
+    expect(res.end).not.toHaveBeenCalled();
+  });
+
+  it('is open when no token is configured', async () => {
+    delete process.env.METRICS_TOKEN;
+    const res = response();
+
+    await metricsEndpoint(request(), res, jest.fn());
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.end).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * TCPA Calling-Window Engine Tests
+ *
+ * Unit tests for timezone resolution, state quiet hours and holidays
+ */
+
+const {
+  checkCallingWindow,
+  resolveLeadLocation,
+  getFederalHolidays,
+  zonedTimeToUtc,
+  REASONS
+} = require('../../src/security/tcpa/calling-window');
+
+describe('Calling Window Engine', () => {
+
+  describe('resolveLeadLocation', () => {
+    it('should prefer an explicit lead timezone', () => {
+      const location = resolveLeadLocation({
+        lead: { phone: '+12125551234', timezone: 'America/Denver' }
+      });
+
+      expect(location.source).toBe('explicit');
+      expect(location.timezones).toEqual(['America/Denver']);
+      expect(location.state).toBe('NY');
+    });
+
+    it('should use the contact address state before the area code', () => {
+      const location = resolveLeadLocation({
+        lead: { phone: '+12125551234' },
+        contact: { address: { state: 'ca' } }
+      });
+
+      expect(location.source).toBe('address');
+      expect(location.state).toBe('CA');
+      expect(location.timezones).toEqual(['America/Los_Angeles']);
+    });
+
+    it('should fall back to the phone area code', () => {
+      const location = resolveLeadLocation({ phoneNumber: '(512) 555-0100' });
+
+      expect(location.source).toBe('area_code');
+      expect(location.state).toBe('TX');
+      expect(location.timezones).toEqual(['America/Chicago']);
+    });
+
+    it('should return every zone for a split area code', () => {
+      const location = resolveLeadLocation({ phoneNumber: '+18505550100' });
+
+      expect(location.timezones).toEqual(['America/New_York', 'America/Chicago']);
+    });
+
+    it('should use the default timezone for unknown numbers', () => {
+      const location = resolveLeadLocation({ phoneNumber: '+441234567890' });
+
+      expect(location.source).toBe('default');
+      expect(location.timezones).toEqual(['America/New_York']);
+    });
+  });
+
+  describe('checkCallingWindow', () => {
+    it('should allow a call at 10am local time', () => {
+      // Wednesday 2025-03-12 10:00 America/New_York (EDT, UTC-4)
+      const result = checkCallingWindow({
+        phoneNumber: '+12125551234',
+        at: new Date('2025-03-12T14:00:00Z')
+      });
+
+      expect(result.allowed).toBe(true);
+      expect(result.nextAllowedAt).toBeNull();
+    });
+
+    it('should block a call at 7am local time and return the 8am opening', () => {
+      // Wednesday 2025-03-12 07:00 America/Los_Angeles (PDT, UTC-7)
+      const result = checkCallingWindow({
+        phoneNumber: '+14155551234',
+        at: new Date('2025-03-12T14:00:00Z')
+      });
+
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toBe(REASONS.OUTSIDE_CALLING_HOURS);
+      expect(result.nextAllowedAt.toISOString()).toBe('2025-03-12T15:00:00.000Z');
+    });
+
+    it('should roll over to the next morning after 9pm', () => {
+      // Wednesday 2025-03-12 21:30 America/New_York
+      const result = checkCallingWindow({
+        phoneNumber: '+12125551234',
+        at: new Date('2025-03-13T01:30:00Z')
+      });
+
+      expect(result.allowed).toBe(false);
+      expect(result.nextAllowedAt.toISOString()).toBe('2025-03-13T12:00:00.000Z');
+    });
+
+    it('should apply Florida 8pm cutoff', () => {
+      // Wednesday 2025-03-12 20:30 America/New_York
+      const result = checkCallingWindow({
+        phoneNumber: '+13055551234',
+        at: new Date('2025-03-13T00:30:00Z')
+      });
+
+      expect(result.allowed).toBe(false);
+      expect(result.state).toBe('FL');
+    });
+
+    it('should block Sunday calls in states that prohibit them', () => {
+      // Sunday 2025-03-16 11:00 America/Chicago (CDT, UTC-5), Mississippi
+      const result = checkCallingWindow({
+        phoneNumber: '+16015551234',
+        at: new Date('2025-03-16T16:00:00Z')
+      });
+
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toBe(REASONS.RESTRICTED_DAY);
+      // Monday 8am CDT
+      expect(result.nextAllowedAt.toISOString()).toBe('2025-03-17T13:00:00.000Z');
+    });
+
+    it('should apply Texas Sunday noon start', () => {
+      // Sunday 2025-03-16 10:00 America/Chicago
+      const result = checkCallingWindow({
+        phoneNumber: '+15125551234',
+        at: new Date('2025-03-16T15:00:00Z')
+      });
+
+      expect(result.allowed).toBe(false);
+      expect(result.nextAllowedAt.toISOString()).toBe('2025-03-16T17:00:00.000Z');
+    });
+
+    it('should block federal holidays in states with holiday rules', () => {
+      // Thursday 2025-07-04 12:00 America/Denver (MDT, UTC-6), Utah
+      const result = checkCallingWindow({
+        phoneNumber: '+18015551234',
+        at: new Date('2025-07-04T18:00:00Z')
+      });
+
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toBe(REASONS.HOLIDAY);
+    });
+
+    it('should require the window to be open in every zone of a split area code', () => {
+      // Wednesday 2025-03-12 08:30 Eastern = 07:30 Central
+      const result = checkCallingWindow({
+        phoneNumber: '+18505550100',
+        at: new Date('2025-03-12T12:30:00Z')
+      });
+
+      expect(result.allowed).toBe(false);
+      // 8am Central
+      expect(result.nextAllowedAt.toISOString()).toBe('2025-03-12T13:00:00.000Z');
+    });
+  });
+
+  describe('getFederalHolidays', () => {
+    it('should compute floating holidays', () => {
+      const holidays = getFederalHolidays(2025);
+
+      expect(holidays).toContain('2025-01-20'); // MLK Day
+      expect(holidays).toContain('2025-05-26'); // Memorial Day
+      expect(holidays).toContain('2025-11-27'); // Thanksgiving
+    });
+  });
+
+  describe('zonedTimeToUtc', () => {
+    it('should handle daylight saving time', () => {
+      const winter = zonedTimeToUtc({ year: 2025, month: 1, day: 15 }, 8, 'America/New_York');
+      const summer = zonedTimeToUtc({ year: 2025, month: 7, day: 15 }, 8, 'America/New_York');
+
+      expect(winter.toISOString()).toBe('2025-01-15T13:00:00.000Z');
+      expect(summer.toISOString()).toBe('2025-07-15T12:00:00.000Z');
+    });
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Consent Manager Tests
+ *
+ * Unit tests for the consent ledger: per-channel grants and revocations,
+ * point-in-time proof and the Lead/Contact consent projection.
+ * pgPool is replaced by an in-memory ledger that answers the module's queries.
+ */
+
+jest.mock('../../src/config/database', () => ({ pgPool: { query: jest.fn() } }));
+jest.mock('../../src/database/mongodb/schemas/lead.schema', () => ({
+  findById: jest.fn(),
+  find: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../src/database/mongodb/schemas/contact.schema', () => ({
+  findOne: jest.fn(),
+  updateMany: jest.fn()
+}));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { pgPool } = require('../../src/config/database');
+const Lead = require('../../src/database/mongodb/schemas/lead.schema');
+const Contact = require('../../src/database/mongodb/schemas/contact.schema');
+const consentManager = require('../../src/security/consent-manager');
+
+const INSERT_COLUMNS = [
+  'lead_id', 'contact_id', 'phone_number', 'email', 'channel', 'action',
+  'source', 'ip_address', 'user_agent', 'proof_reference', 'disclosure_text',
+  'reason', 'recorded_by_user_id', 'metadata', 'occurred_at'
+];
+
+const JAN_1 = new Date(Date.UTC(2025, 0, 1));
+const JAN_10 = new Date(Date.UTC(2025, 0, 10));
+const JAN_20 = new Date(Date.UTC(2025, 0, 20));
+
+let ledger;
+
+/**
+ * Answer the consent manager's ledger queries from `ledger`
+ */
+function ledgerQuery(sql, params) {
+  const byTime = (a, b) => (a.occurred_at - b.occurred_at) || (a.id - b.id);
+
+  if (sql.includes('INSERT INTO consent_ledger')) {
+    const row = { id: ledger.length + 1, recorded_at: new Date() };
+    INSERT_COLUMNS.forEach((column, i) => { row[column] = params[i]; });
+    ledger.push(row);
+    return { rows: [row] };
+  }
+
+  if (sql.includes('DISTINCT ON (channel)')) {
+    const [leadId, at] = params;
+    const latest = {};
+    ledger
+      .filter(row => row.lead_id === leadId && row.occurred_at <= at)
+      .sort(byTime)
+      .forEach(row => { latest[row.channel] = row; });
+    return { rows: Object.values(latest) };
+  }
+
+  if (sql.includes('SELECT * FROM consent_ledger')) {
+    const param = pattern => {
+      const match = sql.match(pattern);
+      return match ? params[Number(match[1]) - 1] : undefined;
+    };
+    const channel = param(/channel = \$(\d+)/);
+    const startDate = param(/occurred_at >= \$(\d+)/);
+    const endDate = param(/occurred_at <= \$(\d+)/);
+
+    return {
+      rows: ledger
+        .filter(row => row.lead_id === params[0])
+        .filter(row => !channel || row.channel === channel)
+        .filter(row => !startDate || row.occurred_at >= startDate)
+        .filter(row => !endDate || row.occurred_at <= endDate)
+        .sort(byTime)
+    };
+  }
+
+  throw new Error(`Unexpected query: ${sql}`);
+}
+
+function lastProjection() {
+  const calls = Lead.updateOne.mock.calls;
+  return calls[calls.length - 1][1].$set;
+}
+
+describe('Consent Manager', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ledger = [];
+
+    pgPool.query.mockImplementation(async (sql, params) => ledgerQuery(sql, params));
+    Lead.findById.mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve({ _id: 'lead1', phone: '(555) 123-4567', email: 'jane@example.com' }) })
+    });
+    Contact.findOne.mockReturnValue({ select: () => ({ lean: () => Promise.resolve({ _id: 'contact1' }) }) });
+  });
+
+  describe('recordConsent / revokeConsent', () => {
+    it('grants only the requested channel', async () => {
+      const entries = await consentManager.recordConsent('lead1', {
+        type: 'sms',
+        source: 'web_form',
+        proofReference: 'form-42'
+      });
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({
+        leadId: 'lead1',
+        contactId: 'contact1',
+        phoneNumber: '+15551234567',
+        email: 'jane@example.com',
+        channel: 'sms',
+        action: 'grant',
+        source: 'web_form',
+        proofReference: 'form-42'
+      });
+
+      const status = await consentManager.getConsentStatus('lead1');
+      expect(status).toMatchObject({ call: false, sms: true, email: false });
+    });
+
+    it('writes one ledger row per channel and maps voice to call', async () => {
+      const entries = await consentManager.recordConsent('lead1', {
+        channels: ['voice', 'email'],
+        source: 'web_form'
+      });
+
+      expect(entries.map(entry => entry.channel)).toEqual(['call', 'email']);
+      expect(ledger).toHaveLength(2);
+    });
+
+    it('revokes one channel and leaves the others granted', async () => {
+      await consentManager.recordConsent('lead1', { channels: 'all', source: 'web_form' });
+      await consentManager.revokeConsent('lead1', 'sms', { source: 'sms_keyword', reason: 'STOP' });
+
+      const status = await consentManager.getConsentStatus('lead1');
+      expect(status).toMatchObject({ call: true, sms: false, email: true });
+      expect(status.entries.sms).toMatchObject({ action: 'revoke', source: 'sms_keyword', reason: 'STOP' });
+    });
+
+    it('revokes every channel for "all" and never updates or deletes rows', async () => {
+      await consentManager.recordConsent('lead1', { channels: ['call', 'sms'], source: 'web_form' });
+      const entries = await consentManager.revokeConsent('lead1', 'all');
+
+      expect(entries.map(entry => entry.channel)).toEqual(['call', 'sms', 'email']);
+      expect(entries.every(entry => entry.source === 'manual')).toBe(true);
+      expect(ledger.map(row => row.action)).toEqual(['grant', 'grant', 'revoke', 'revoke', 'revoke']);
+
+      for (const [sql] of pgPool.query.mock.calls) {
+        expect(sql).not.toMatch(/UPDATE|DELETE/);
+      }
+    });
+
+    it('rejects unknown channels and grants without a source', async () => {
+      await expect(consentManager.recordConsent('lead1', { type: 'fax', source: 'web_form' }))
+        .rejects.toThrow(/Invalid consent channel/);
+      await expect(consentManager.recordConsent('lead1', { type: 'sms' }))
+        .rejects.toThrow(/source is required/);
+      expect(ledger).toHaveLength(0);
+    });
+
+    it('fails for an unknown lead', async () => {
+      Lead.findById.mockReturnValue({ select: () => ({ lean: () => Promise.resolve(null) }) });
+
+      await expect(consentManager.revokeConsent('missing', 'call')).rejects.toThrow(/not found/);
+      expect(ledger).toHaveLength(0);
+    });
+  });
+
+  describe('getConsentProof', () => {
+    beforeEach(async () => {
+      await consentManager.recordConsent('lead1', { type: 'call', source: 'web_form', occurredAt: JAN_1 });
+      await consentManager.revokeConsent('lead1', 'call', { source: 'ivr', occurredAt: JAN_10 });
+      await consentManager.recordConsent('lead1', { type: 'call', source: 'agent_verbal', occurredAt: JAN_20 });
+    });
+
+    it('proves the state that governed a past instant', async () => {
+      const proof = await consentManager.getConsentProof('lead1', 'call', new Date(Date.UTC(2025, 0, 5)));
+
+      expect(proof.consented).toBe(true);
+      expect(proof.entry).toMatchObject({ action: 'grant', source: 'web_form' });
+      expect(proof.history).toHaveLength(1);
+    });
+
+    it('reflects a revocation until the next grant', async () => {
+      const revoked = await consentManager.getConsentProof('lead1', 'call', new Date(Date.UTC(2025, 0, 15)));
+      expect(revoked.consented).toBe(false);
+      expect(revoked.entry).toMatchObject({ action: 'revoke', source: 'ivr' });
+      expect(revoked.history.map(entry => entry.action)).toEqual(['grant', 'revoke']);
+
+      const regranted = await consentManager.getConsentProof('lead1', 'call', JAN_20);
+      expect(regranted.consented).toBe(true);
+      expect(regranted.history).toHaveLength(3);
+    });
+
+    it('has no consent before the first ledger entry or on other channels', async () => {
+      const before = await consentManager.getConsentProof('lead1', 'call', new Date(Date.UTC(2024, 11, 31)));
+      expect(before).toMatchObject({ consented: false, entry: null, history: [] });
+
+      const sms = await consentManager.getConsentProof('lead1', 'sms', JAN_20);
+      expect(sms).toMatchObject({ channel: 'sms', consented: false, entry: null });
+    });
+  });
+
+  describe('syncConsentProjection', () => {
+    it('projects each channel onto Lead and Contact consent', async () => {
+      await consentManager.recordConsent('lead1', { channels: ['call', 'email'], source: 'web_form', occurredAt: JAN_1 });
+
+      expect(Lead.updateOne).toHaveBeenLastCalledWith({ _id: 'lead1' }, { $set: expect.any(Object) });
+      expect(Contact.updateMany).toHaveBeenLastCalledWith({ leadId: 'lead1' }, { $set: lastProjection() });
+      expect(lastProjection()).toMatchObject({
+        'consent.canCall': true,
+        'consent.canSMS': false,
+        'consent.canEmail': true,
+        'consent.consentDate': JAN_1,
+        'consent.consentSource': 'web_form'
+      });
+    });
+
+    it('sets a channel with no ledger rows to false', async () => {
+      await consentManager.syncConsentProjection('lead1');
+
+      expect(lastProjection()).toMatchObject({
+        'consent.canCall': false,
+        'consent.canSMS': false,
+        'consent.canEmail': false,
+        'consent.consentDate': null,
+        'consent.consentSource': null
+      });
+      expect(lastProjection()['consent.ledgerSyncedAt']).toBeInstanceOf(Date);
+    });
+
+    it('clears a channel once its grant is revoked', async () => {
+      await consentManager.recordConsent('lead1', { type: 'sms', source: 'web_form', occurredAt: JAN_1 });
+      await consentManager.recordConsent('lead1', { type: 'email', source: 'import', occurredAt: JAN_10 });
+      await consentManager.revokeConsent('lead1', 'email', { source: 'unsubscribe_link', occurredAt: JAN_20 });
+
+      expect(lastProjection()).toMatchObject({
+        'consent.canCall': false,
+        'consent.canSMS': true,
+        'consent.canEmail': false,
+        'consent.consentDate': JAN_1,
+        'consent.consentSource': 'web_form'
+      });
+    });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Campaign Engine Service Tests
+ *
+ * Unit tests for a dialing tick: the account-wide concurrency limit and
+ * skipping leads that fail a compliance check
+ */
+
+jest.mock('../../src/database/mongodb/schemas/campaign.schema', () => ({ updateOne: jest.fn() }));
+jest.mock('../../src/database/mongodb/schemas/calllog.schema', () => ({ create: jest.fn(), countDocuments: jest.fn() }));
+jest.mock('../../src/database/mongodb/schemas/lead.schema', () => ({
+  find: jest.fn(),
+  countDocuments: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../src/services/leadQueueService', () => ({ reserveLead: jest.fn(), releaseLead: jest.fn() }));
+jest.mock('../../src/services/cadence.service', () => ({ buildDueQuery: jest.fn(), checkDailyCap: jest.fn() }));
+jest.mock('../../src/services/telnyx.service', () => ({ initiateCall: jest.fn() }));
+jest.mock('../../src/services/dncService', () => ({ checkDNC: jest.fn() }));
+jest.mock('../../src/config/telnyx.config', () => ({
+  config: { maxConcurrentCalls: 10, callTimeout: 120000, phoneNumber: '+15550000001' }
+}));
+jest.mock('../../src/security/tcpa-compliance', () => ({ checkCallingWindow: jest.fn() }));
+jest.mock('../../src/security/consent-manager', () => ({ getConsentProof: jest.fn() }));
+jest.mock('../../src/queues/campaign.queue', () => ({ scheduleCampaignTicks: jest.fn(), unscheduleCampaignTicks: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const Campaign = require('../../src/database/mongodb/schemas/campaign.schema');
+const CallLog = require('../../src/database/mongodb/schemas/calllog.schema');
+const Lead = require('../../src/database/mongodb/schemas/lead.schema');
+const leadQueueService = require('../../src/services/leadQueueService');
+const cadenceService = require('../../src/services/cadence.service');
+const telnyxService = require('../../src/services/telnyx.service');
+const dncService = require('../../src/services/dncService');
+const tcpaCompliance = require('../../src/security/tcpa-compliance');
+const consentManager = require('../../src/security/consent-manager');
+const campaignEngine = require('../../src/services/campaignEngine.service');
+
+// Monday 10:00 in New York
+const NOW = new Date('2025-01-06T15:00:00Z');
+
+const CAMPAIGN = {
+  _id: 'camp1',
+  organizationId: 'orgA',
+  scriptType: 'initial_call',
+  schedule: { timezone: 'America/New_York', daysOfWeek: [1, 2, 3, 4, 5], startTime: '09:00', endTime: '17:00' },
+  pacing: { maxConcurrent: 5, callsPerMinute: 5 }
+};
+
+function lead(id) {
+  return { _id: id, phone: `+1555000000${id.slice(-1)}`, firstName: 'Lead', lastName: id };
+}
+
+/**
+ * Make CallLog.countDocuments answer the campaign, account and last-minute counts
+ */
+function activeCalls({ campaignActive = 0, accountActive = 0, lastMinute = 0 } = {}) {
+  CallLog.countDocuments.mockImplementation(async (filter) => {
+    if (!filter.status) return lastMinute;
+    return filter.campaignId ? campaignActive : accountActive;
+  });
+}
+
+function segment(leads) {
+  const chain = {
+    sort: () => chain,
+    limit: () => chain,
+    lean: () => Promise.resolve(leads)
+  };
+  Lead.find.mockReturnValue(chain);
+}
+
+describe('Campaign Engine - dialing tick', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    activeCalls();
+    leadQueueService.reserveLead.mockImplementation(async (id) => lead(id));
+    dncService.checkDNC.mockResolvedValue({ onDNCList: false });
+    consentManager.getConsentProof.mockResolvedValue({ consented: true, entry: { id: 42 } });
+    tcpaCompliance.checkCallingWindow.mockResolvedValue({ allowed: true });
+    cadenceService.checkDailyCap.mockResolvedValue({ allowed: true });
+    CallLog.create.mockImplementation(async (data) => ({ ...data, from: { ...data.from }, save: jest.fn() }));
+    telnyxService.initiateCall.mockResolvedValue({ success: true, callControlId: 'cc1', from: '+15550000001' });
+  });
+
+  describe('capacity', () => {
+    it('stops dialing at the account-wide maxConcurrentCalls', async () => {
+      activeCalls({ accountActive: 10 });
+
+      const result = await campaignEngine.dialBatch(CAMPAIGN, NOW);
+
+      expect(result).toEqual({ dialed: 0, reason: 'limited_by_account_concurrency' });
+      expect(Lead.find).not.toHaveBeenCalled();
+    });
+
+    it('reports the counts behind the available capacity', async () => {
+      activeCalls({ campaignActive: 1, accountActive: 8, lastMinute: 1 });
+
+      expect(await campaignEngine.getAvailableCapacity(CAMPAIGN, NOW)).toEqual({
+        available: 2,
+        limitedBy: 'account_concurrency',
+        campaignActive: 1,
+        accountActive: 8,
+        lastMinute: 1
+      });
+    });
+
+    it('dials no more leads than the account has lines for', async () => {
+      activeCalls({ accountActive: 9 });
+      segment([lead('lead1'), lead('lead2'), lead('lead3')]);
+
+      const result = await campaignEngine.dialBatch(CAMPAIGN, NOW);
+
+      expect(result).toEqual({ dialed: 1, reason: 'dialed' });
+      expect(telnyxService.initiateCall).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not dial outside the campaign schedule', async () => {
+      const result = await campaignEngine.dialBatch(CAMPAIGN, new Date('2025-01-06T23:00:00Z'));
+
+      expect(result).toEqual({ dialed: 0, reason: 'outside_schedule' });
+      expect(CallLog.countDocuments).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('compliance', () => {
+    it('skips a lead on the DNC list and dials the next one', async () => {
+      segment([lead('lead1'), lead('lead2')]);
+      dncService.checkDNC.mockImplementation(async (phone) => ({ onDNCList: phone === lead('lead1').phone }));
+
+      const result = await campaignEngine.dialBatch(CAMPAIGN, NOW);
+
+      expect(result).toEqual({ dialed: 1, reason: 'dialed' });
+      expect(dncService.checkDNC).toHaveBeenCalledWith(lead('lead1').phone, 'orgA');
+      expect(leadQueueService.releaseLead).toHaveBeenCalledWith('lead1');
+      expect(Lead.updateOne).toHaveBeenCalledWith(
+        { _id: 'lead1' },
+        { $set: { 'customFields.campaignBlockedUntil': expect.any(Date) } }
+      );
+      expect(Campaign.updateOne).toHaveBeenCalledWith({ _id: 'camp1' }, { $inc: { 'metrics.leadsSkipped': 1 } });
+
+      expect(CallLog.create).toHaveBeenCalledTimes(1);
+      expect(CallLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        leadId: 'lead2',
+        compliance: expect.objectContaining({ consentLedgerEntryId: '42' })
+      }));
+    });
+
+    it('skips a lead without call consent', async () => {
+      consentManager.getConsentProof.mockResolvedValue({ consented: false, entry: null });
+
+      const result = await campaignEngine.dialLead(CAMPAIGN, lead('lead1'));
+
+      expect(result).toEqual({ dialed: false, reason: 'no_consent' });
+      expect(telnyxService.initiateCall).not.toHaveBeenCalled();
+      expect(leadQueueService.releaseLead).toHaveBeenCalledWith('lead1');
+    });
+
+    it('holds a lead outside its calling window until the window reopens', async () => {
+      const reopens = new Date('2025-01-07T14:00:00Z');
+      tcpaCompliance.checkCallingWindow.mockResolvedValue({ allowed: false, nextAllowedAt: reopens });
+
+      const result = await campaignEngine.dialLead(CAMPAIGN, lead('lead1'));
+
+      expect(result).toEqual({ dialed: false, reason: 'calling_window' });
+      expect(Lead.updateOne).toHaveBeenCalledWith(
+        { _id: 'lead1' },
+        { $set: { 'customFields.campaignBlockedUntil': reopens } }
+      );
+      expect(CallLog.create).not.toHaveBeenCalled();
+    });
+
+    it('holds a lead that hit its daily attempt cap', async () => {
+      const tomorrow = new Date('2025-01-07T05:00:00Z');
+      cadenceService.checkDailyCap.mockResolvedValue({ allowed: false, nextAllowedAt: tomorrow });
+
+      const result = await campaignEngine.dialLead(CAMPAIGN, lead('lead1'));
+
+      expect(result).toEqual({ dialed: false, reason: 'daily_cap' });
+      expect(Lead.updateOne).toHaveBeenCalledWith(
+        { _id: 'lead1' },
+        { $set: { 'customFields.campaignBlockedUntil': tomorrow } }
+      );
+    });
+
+    it('reports no dialable leads when every lead is skipped', async () => {
+      segment([lead('lead1'), lead('lead2')]);
+      dncService.checkDNC.mockResolvedValue({ onDNCList: true });
+
+      const result = await campaignEngine.dialBatch(CAMPAIGN, NOW);
+
+      expect(result).toEqual({ dialed: 0, reason: 'no_dialable_leads' });
+      expect(leadQueueService.releaseLead).toHaveBeenCalledTimes(2);
+      expect(telnyxService.initiateCall).not.toHaveBeenCalled();
+    });
+  });
+});
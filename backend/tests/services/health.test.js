@@ -0,0 +1,54 @@
+/**
+ * Health Service Tests
+ *
+ * Unit tests for the queue probe: it must count jobs without loading the
+ * queue modules, which register workers when required
+ */
+
+jest.mock('bull', () => jest.fn().mockImplementation(name => ({
+  name,
+  process: jest.fn(),
+  getJobCounts: jest.fn().mockResolvedValue({ waiting: 1, active: 0, completed: 9, delayed: 2, failed: 0 })
+})));
+jest.mock('../../src/config/database', () => ({ pgPool: {}, redisClient: {} }));
+jest.mock('../../src/services/graph-rag.service', () => ({}));
+jest.mock('../../src/services/voice-agent.service', () => ({}));
+jest.mock('../../src/websocket/telnyx-websocket.service', () => ({}));
+
+const QUEUE_MODULES = ['campaign', 'leadImport', 'leadScoring', 'nurture', 'recommendation', 'speedToLead'];
+for (const queue of QUEUE_MODULES) {
+  jest.mock(`../../src/queues/${queue}.queue`, () => {
+    throw new Error('queue module loaded by the health probe');
+  });
+}
+
+const Bull = require('bull');
+const healthService = require('../../src/services/health.service');
+
+describe('Health Service - queues', () => {
+  it('counts jobs on every queue, including recommendations, without starting workers', async () => {
+    const counts = await healthService.checkQueues();
+
+    expect(Object.keys(counts)).toEqual([
+      'lead-scoring',
+      'campaign-dialer',
+      'speed-to-lead',
+      'nurture-sequences',
+      'lead-imports',
+      'recommendations'
+    ]);
+    expect(counts.recommendations).toEqual({ waiting: 1, active: 0, delayed: 2, failed: 0 });
+
+    for (const { value: queue } of Bull.mock.results) {
+      expect(queue.process).not.toHaveBeenCalled();
+    }
+  });
+
+  it('reuses its queue handles across probes', async () => {
+    const created = Bull.mock.calls.length;
+
+    await healthService.checkQueues();
+
+    expect(Bull.mock.calls.length).toBe(created);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Lead Intake Service Tests
+ *
+ * Unit tests for recording form consent: only an explicit affirmative
+ * consent value reaches the consent ledger
+ */
+
+jest.mock('../../src/database/mongodb/schemas/leadSource.schema', () => ({ updateOne: jest.fn() }));
+jest.mock('../../src/database/mongodb/schemas/intakeRequest.schema', () => ({}));
+jest.mock('../../src/services/leadImporter', () => ({ intakeLead: jest.fn(), autoDial: jest.fn() }));
+jest.mock('../../src/security/consent-manager', () => ({ recordConsent: jest.fn(), CHANNELS: ['call', 'sms', 'email'] }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const leadImporter = require('../../src/services/leadImporter');
+const consentManager = require('../../src/security/consent-manager');
+const leadIntakeService = require('../../src/services/leadIntake.service');
+
+const SOURCE = {
+  _id: 'src1',
+  slug: 'quote-form',
+  defaults: {},
+  intake: {
+    fields: [],
+    consent: { channels: ['call', 'sms'], disclosureText: 'By checking the box you agree to calls and texts...' }
+  }
+};
+
+const CLIENT = { ipAddress: '203.0.113.7', userAgent: 'Mozilla/5.0' };
+
+function intakeRequest() {
+  return { _id: 'req1', warnings: [] };
+}
+
+describe('Lead Intake Service - consent', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    leadImporter.intakeLead.mockResolvedValue({ result: 'imported', lead: { _id: 'lead1' } });
+    consentManager.recordConsent.mockResolvedValue([]);
+  });
+
+  const form = { first_name: 'Jane', last_name: 'Doe', phone: '5551234567' };
+
+  it('records consent for an explicit checkbox value', async () => {
+    const request = intakeRequest();
+
+    const { response } = await leadIntakeService.process(SOURCE, request, { ...form, tcpa_consent: 'on' }, CLIENT);
+
+    expect(consentManager.recordConsent).toHaveBeenCalledWith('lead1', expect.objectContaining({
+      channels: ['call', 'sms'],
+      disclosureText: SOURCE.intake.consent.disclosureText
+    }));
+    expect(response.body.data).toMatchObject({ consentRecorded: true, warnings: undefined });
+  });
+
+  it('records no consent and warns when the form posted no consent field', async () => {
+    const request = intakeRequest();
+
+    const { response } = await leadIntakeService.process(SOURCE, request, form, CLIENT);
+
+    expect(consentManager.recordConsent).not.toHaveBeenCalled();
+    expect(response.statusCode).toBe(201);
+    expect(response.body.data.consentRecorded).toBeUndefined();
+    expect(response.body.data.warnings).toEqual(['No consent value was posted; consent not recorded']);
+    // Speed-to-lead still runs - its own consent check finds no ledger entry
+    expect(leadImporter.autoDial).toHaveBeenCalledWith({ _id: 'lead1' });
+  });
+
+  it('records no consent when the checkbox was explicitly declined', async () => {
+    const request = intakeRequest();
+
+    const { response } = await leadIntakeService.process(SOURCE, request, { ...form, consent: 'false' }, CLIENT);
+
+    expect(consentManager.recordConsent).not.toHaveBeenCalled();
+    expect(response.body.data.warnings).toEqual(['Consent was not affirmatively given on the form; none recorded']);
+  });
+});
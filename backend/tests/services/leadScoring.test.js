@@ -20,12 +20,14 @@ const {
 // Mock dependencies
 jest.mock('../../src/database/mongodb/schemas/lead.schema');
 jest.mock('../../src/database/mongodb/schemas/call.schema');
+jest.mock('../../src/database/mongodb/schemas/conversation.schema');
 jest.mock('../../src/config/database');
 jest.mock('../../src/config/redis');
 jest.mock('@anthropic-ai/sdk');
 
 const Lead = require('../../src/database/mongodb/schemas/lead.schema');
 const Call = require('../../src/database/mongodb/schemas/call.schema');
+const Conversation = require('../../src/database/mongodb/schemas/conversation.schema');
 
 describe('Lead Scoring Service', () => {
 
@@ -138,6 +140,22 @@ describe('Lead Scoring Service', () => {
       expect(points).toBeGreaterThanOrEqual(25); // 15 (recent) + 10 (5+ calls)
     });
 
+    it('should award 5 points for a recent inbound SMS reply', async () => {
+      const lead = { _id: 'lead1' };
+
+      Conversation.exists.mockResolvedValue(null);
+      const withoutReply = await getEngagementPoints(lead, []);
+
+      Conversation.exists.mockResolvedValue({ _id: 'conv1' });
+      const withReply = await getEngagementPoints(lead, []);
+
+      expect(withReply - withoutReply).toBe(5);
+      expect(Conversation.exists).toHaveBeenCalledWith(expect.objectContaining({
+        leadId: 'lead1',
+        channel: 'sms'
+      }));
+    });
+
     it('should not exceed 30 points cap', async () => {
       const lead = {
         lastContactedAt: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000),
@@ -0,0 +1,108 @@
+/**
+ * Nurture Sequence Service Tests
+ *
+ * Unit tests for pausing enrollments when a lead replies, by SMS or by email
+ */
+
+jest.mock('../../src/database/mongodb/schemas/nurtureSequence.schema', () => ({ findById: jest.fn() }));
+jest.mock('../../src/database/mongodb/schemas/sequenceEnrollment.schema', () => ({ find: jest.fn() }));
+jest.mock('../../src/database/mongodb/schemas/lead.schema', () => ({ find: jest.fn() }));
+jest.mock('../../src/database/mongodb/schemas/organization.schema', () => ({}));
+jest.mock('../../src/services/sms.service', () => ({}));
+jest.mock('../../src/services/gmailService', () => ({}));
+jest.mock('../../src/services/dncService', () => ({}));
+jest.mock('../../src/security/tcpa-compliance', () => ({}));
+jest.mock('../../src/security/consent-manager', () => ({}));
+jest.mock('../../src/services/leadContextService', () => ({ assembleLeadContext: jest.fn() }));
+jest.mock('../../src/integrations/leadScoringTriggers', () => ({ triggerScoreAfterNurtureInteraction: jest.fn() }));
+jest.mock('../../src/queues/nurture.queue', () => ({ scheduleStep: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const NurtureSequence = require('../../src/database/mongodb/schemas/nurtureSequence.schema');
+const SequenceEnrollment = require('../../src/database/mongodb/schemas/sequenceEnrollment.schema');
+const Lead = require('../../src/database/mongodb/schemas/lead.schema');
+const { triggerScoreAfterNurtureInteraction } = require('../../src/integrations/leadScoringTriggers');
+const { getOrganizationId } = require('../../src/utils/tenant.util');
+const nurtureSequenceService = require('../../src/services/nurtureSequence.service');
+
+function enrollment(id, sequenceId) {
+  return { _id: id, sequenceId, status: 'active', save: jest.fn().mockResolvedValue() };
+}
+
+function sequenceLookup(pauseOnReply) {
+  return { select: () => ({ lean: () => Promise.resolve({ pauseOnReply }) }) };
+}
+
+function leadLookup(leads) {
+  return { select: () => ({ lean: () => Promise.resolve(leads) }) };
+}
+
+describe('Nurture Sequence Service - replies', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    NurtureSequence.findById.mockReturnValue(sequenceLookup(true));
+  });
+
+  describe('pauseForReply', () => {
+    it.each(['sms', 'email'])('pauses active enrollments on a %s reply', async (channel) => {
+      const enrollments = [enrollment('e1', 's1'), enrollment('e2', 's2')];
+      SequenceEnrollment.find.mockResolvedValue(enrollments);
+
+      const paused = await nurtureSequenceService.pauseForReply('lead1', channel);
+
+      expect(paused).toBe(2);
+      expect(SequenceEnrollment.find).toHaveBeenCalledWith({ leadId: 'lead1', status: 'active' });
+      for (const pausedEnrollment of enrollments) {
+        expect(pausedEnrollment.status).toBe('paused');
+        expect(pausedEnrollment.pauseReason).toBe(`lead_replied_${channel}`);
+        expect(pausedEnrollment.nextStepAt).toBeNull();
+        expect(pausedEnrollment.save).toHaveBeenCalled();
+      }
+    });
+
+    it('leaves sequences with pauseOnReply off running', async () => {
+      const running = enrollment('e1', 's1');
+      SequenceEnrollment.find.mockResolvedValue([running]);
+      NurtureSequence.findById.mockReturnValue(sequenceLookup(false));
+
+      expect(await nurtureSequenceService.pauseForReply('lead1', 'email')).toBe(0);
+      expect(running.status).toBe('active');
+      expect(running.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleEmailReplies', () => {
+    it('pauses the sender\'s enrollments in its organization and rescores', async () => {
+      const active = enrollment('e1', 's1');
+      Lead.find.mockReturnValue(leadLookup([{ _id: 'lead1', organizationId: 'orgA' }]));
+
+      let organizationId;
+      SequenceEnrollment.find.mockImplementation(async () => {
+        organizationId = getOrganizationId();
+        return [active];
+      });
+
+      const result = await nurtureSequenceService.handleEmailReplies([
+        { id: 'm1', from: 'Jane Lead <Jane@Example.com>' }
+      ]);
+
+      expect(Lead.find).toHaveBeenCalledWith({ email: 'jane@example.com' });
+      expect(organizationId).toBe('orgA');
+      expect(active.pauseReason).toBe('lead_replied_email');
+      expect(triggerScoreAfterNurtureInteraction).toHaveBeenCalledWith('lead1', { type: 'email', action: 'reply' });
+      expect(result).toEqual({ replyIds: ['m1'], paused: 1 });
+    });
+
+    it('ignores mail from senders that are not leads', async () => {
+      Lead.find.mockReturnValue(leadLookup([]));
+
+      const result = await nurtureSequenceService.handleEmailReplies([
+        { id: 'm1', from: 'newsletter@vendor.test' }
+      ]);
+
+      expect(SequenceEnrollment.find).not.toHaveBeenCalled();
+      expect(triggerScoreAfterNurtureInteraction).not.toHaveBeenCalled();
+      expect(result).toEqual({ replyIds: [], paused: 0 });
+    });
+  });
+});
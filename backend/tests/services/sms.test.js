@@ -0,0 +1,148 @@
+/**
+ * SMS Service Tests
+ *
+ * Unit tests for the inbound keyword flow: STOP revokes consent and adds the
+ * number to DNC, START re-grants SMS consent, HELP only replies, and every
+ * other message is a reply that pauses nurture sequences
+ */
+
+jest.mock('../../src/database/mongodb/schemas/conversation.schema', () => ({ exists: jest.fn() }));
+jest.mock('../../src/database/mongodb/schemas/lead.schema', () => ({ find: jest.fn() }));
+jest.mock('../../src/database/mongodb/schemas/organization.schema', () => ({ findOne: jest.fn(), findById: jest.fn() }));
+jest.mock('../../src/services/telnyx.service', () => ({ sendSMS: jest.fn() }));
+jest.mock('../../src/services/dncService', () => ({ addToDNC: jest.fn() }));
+jest.mock('../../src/security/consent-manager', () => ({ revokeConsent: jest.fn(), recordConsent: jest.fn() }));
+jest.mock('../../src/integrations/leadScoringTriggers', () => ({ triggerScoreAfterNurtureInteraction: jest.fn() }));
+jest.mock('../../src/services/nurtureSequence.service', () => ({ pauseForReply: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const Conversation = require('../../src/database/mongodb/schemas/conversation.schema');
+const Lead = require('../../src/database/mongodb/schemas/lead.schema');
+const Organization = require('../../src/database/mongodb/schemas/organization.schema');
+const telnyxService = require('../../src/services/telnyx.service');
+const dncService = require('../../src/services/dncService');
+const consentManager = require('../../src/security/consent-manager');
+const { triggerScoreAfterNurtureInteraction } = require('../../src/integrations/leadScoringTriggers');
+const nurtureSequenceService = require('../../src/services/nurtureSequence.service');
+const smsService = require('../../src/services/sms.service');
+
+const ORG_A = { _id: 'orgA', name: 'Acme', settings: { callerIdNumber: '+15550000001' } };
+
+function lead(id, organizationId) {
+  return { _id: id, organizationId, name: `Lead ${id}` };
+}
+
+function inbound(text, id = `msg-${text}`) {
+  return {
+    id,
+    from: { phone_number: '+15551234567' },
+    to: [{ phone_number: ORG_A.settings.callerIdNumber }],
+    text
+  };
+}
+
+describe('SMS Service - inbound messages', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    Conversation.exists.mockResolvedValue(false);
+    Organization.findOne.mockReturnValue({ lean: () => Promise.resolve(ORG_A) });
+    Lead.find.mockResolvedValue([lead('lead1', 'orgA')]);
+    telnyxService.sendSMS.mockResolvedValue({ success: true, messageId: 'reply-1' });
+    dncService.addToDNC.mockResolvedValue({ id: 1 });
+
+    jest.spyOn(smsService, 'appendMessage').mockImplementation(async (appendedLead) => ({
+      conversationId: `conv-${appendedLead._id}`,
+      organizationId: appendedLead.organizationId,
+      addMessage: jest.fn(),
+      save: jest.fn().mockResolvedValue()
+    }));
+  });
+
+  it('treats "yes" as a reply - pauses sequences and rescores, no consent change', async () => {
+    const result = await smsService.handleInboundMessage(inbound('Yes'));
+
+    expect(result.keyword).toBeNull();
+    expect(nurtureSequenceService.pauseForReply).toHaveBeenCalledWith('lead1', 'sms');
+    expect(triggerScoreAfterNurtureInteraction).toHaveBeenCalledWith('lead1', { type: 'sms', action: 'reply' });
+    expect(consentManager.recordConsent).not.toHaveBeenCalled();
+    expect(telnyxService.sendSMS).not.toHaveBeenCalled();
+  });
+
+  it('revokes consent before adding the number to DNC on STOP', async () => {
+    const result = await smsService.handleInboundMessage(inbound(' stop '));
+
+    expect(result.keyword).toBe('opt_out');
+    expect(consentManager.revokeConsent).toHaveBeenCalledWith('lead1', 'all', expect.objectContaining({
+      source: 'sms_keyword',
+      proofReference: 'msg- stop '
+    }));
+    expect(dncService.addToDNC).toHaveBeenCalledWith(expect.objectContaining({
+      phoneNumber: '+15551234567',
+      organizationId: 'orgA',
+      reason: 'lead_requested'
+    }));
+    expect(consentManager.revokeConsent.mock.invocationCallOrder[0])
+      .toBeLessThan(dncService.addToDNC.mock.invocationCallOrder[0]);
+
+    expect(telnyxService.sendSMS).toHaveBeenCalledWith('+15551234567', expect.stringMatching(/unsubscribed/), {
+      from: ORG_A.settings.callerIdNumber
+    });
+    expect(nurtureSequenceService.pauseForReply).not.toHaveBeenCalled();
+  });
+
+  it('treats a number already on DNC through another organization as opted out', async () => {
+    Organization.findOne.mockReturnValue({ lean: () => Promise.resolve(null) });
+    Lead.find.mockResolvedValue([lead('lead1', 'orgA'), lead('lead2', 'orgB')]);
+
+    const duplicate = Object.assign(new Error('Failed to add to DNC: duplicate key'), { code: '23505' });
+    dncService.addToDNC
+      .mockResolvedValueOnce({ id: 1 })
+      .mockRejectedValueOnce(duplicate);
+
+    const result = await smsService.handleInboundMessage(inbound('STOP'));
+
+    expect(result.processed).toBe(true);
+    expect(dncService.addToDNC).toHaveBeenCalledTimes(2);
+    expect(consentManager.revokeConsent).toHaveBeenCalledTimes(2);
+    expect(telnyxService.sendSMS).toHaveBeenCalled();
+  });
+
+  it('keeps consent revoked and fails for redelivery when the DNC write fails', async () => {
+    dncService.addToDNC.mockRejectedValue(new Error('Failed to add to DNC: connection refused'));
+
+    await expect(smsService.handleInboundMessage(inbound('STOP'))).rejects.toThrow(/connection refused/);
+
+    expect(consentManager.revokeConsent).toHaveBeenCalledWith('lead1', 'all', expect.any(Object));
+    expect(smsService.appendMessage).not.toHaveBeenCalled();
+  });
+
+  it('re-grants SMS consent on START', async () => {
+    const result = await smsService.handleInboundMessage(inbound('START'));
+
+    expect(result.keyword).toBe('opt_in');
+    expect(consentManager.recordConsent).toHaveBeenCalledWith('lead1', expect.objectContaining({ type: 'sms' }));
+    expect(dncService.addToDNC).not.toHaveBeenCalled();
+    expect(telnyxService.sendSMS).toHaveBeenCalledWith('+15551234567', expect.stringMatching(/resubscribed/), expect.any(Object));
+  });
+
+  it('only replies on HELP', async () => {
+    const result = await smsService.handleInboundMessage(inbound('help'));
+
+    expect(result.keyword).toBe('help');
+    expect(consentManager.revokeConsent).not.toHaveBeenCalled();
+    expect(consentManager.recordConsent).not.toHaveBeenCalled();
+    expect(dncService.addToDNC).not.toHaveBeenCalled();
+    expect(nurtureSequenceService.pauseForReply).not.toHaveBeenCalled();
+    expect(telnyxService.sendSMS).toHaveBeenCalledWith('+15551234567', expect.stringMatching(/For help/), expect.any(Object));
+  });
+
+  it('skips messages it already stored', async () => {
+    Conversation.exists.mockResolvedValue(true);
+
+    const result = await smsService.handleInboundMessage(inbound('STOP'));
+
+    expect(result).toEqual({ processed: false, reason: 'duplicate', messageId: 'msg-STOP' });
+    expect(consentManager.revokeConsent).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Supervisor Service Tests
+ *
+ * Unit tests for listen, whisper and barge: access checks, calls that are
+ * not live and the audit-log entry every action writes
+ */
+
+jest.mock('../../src/database/mongodb/schemas/calllog.schema', () => ({ updateOne: jest.fn(), findOne: jest.fn() }));
+jest.mock('../../src/services/telnyx.service', () => ({
+  createConference: jest.fn(),
+  joinConference: jest.fn(),
+  initiateCall: jest.fn(),
+  updateConferenceParticipant: jest.fn(),
+  hangupCall: jest.fn()
+}));
+jest.mock('../../src/services/voice-agent.service', () => ({ isConfigured: jest.fn(), sendCallEvent: jest.fn() }));
+jest.mock('../../src/security/audit-logger', () => ({ logSupervisorAction: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const CallLog = require('../../src/database/mongodb/schemas/calllog.schema');
+const telnyxService = require('../../src/services/telnyx.service');
+const voiceAgentService = require('../../src/services/voice-agent.service');
+const auditLogger = require('../../src/security/audit-logger');
+const supervisorService = require('../../src/services/supervisor.service');
+
+const MANAGER = { _id: 'u1', role: 'manager', organizationId: 'orgA', fullName: 'Maria Manager' };
+const AGENT = { _id: 'u2', role: 'agent', organizationId: 'orgA', fullName: 'Alex Agent' };
+const OPTIONS = { phoneNumber: '+15559876543', ipAddress: '10.0.0.1' };
+
+function liveCall(overrides = {}) {
+  return {
+    _id: 'call1',
+    callLogId: 'CALL_1',
+    organizationId: 'orgA',
+    status: 'bridged',
+    from: { number: '+15550000001' },
+    telnyx: { callControlId: 'lead-leg' },
+    transfer: { state: 'bridged', closerCallControlId: 'closer-leg' },
+    monitoring: { sessions: [] },
+    ...overrides
+  };
+}
+
+describe('Supervisor Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    CallLog.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    telnyxService.createConference.mockResolvedValue({ success: true, conferenceId: 'conf1' });
+    telnyxService.joinConference.mockResolvedValue({ success: true });
+    telnyxService.initiateCall.mockResolvedValue({ success: true, callControlId: 'supervisor-leg' });
+    telnyxService.updateConferenceParticipant.mockResolvedValue({ success: true });
+    voiceAgentService.isConfigured.mockReturnValue(false);
+  });
+
+  describe('startSession', () => {
+    it.each(['listen', 'whisper', 'barge'])('dials the supervisor in to %s and audit-logs it', async (mode) => {
+      const result = await supervisorService.startSession(liveCall(), MANAGER, { mode, ...OPTIONS });
+
+      expect(result.success).toBe(true);
+      expect(result.session).toMatchObject({ mode, status: 'dialing', callControlId: 'supervisor-leg' });
+      expect(telnyxService.initiateCall).toHaveBeenCalledWith(
+        OPTIONS.phoneNumber,
+        expect.stringMatching(/^CALL_1-SUP_/),
+        expect.objectContaining({ supervisorSessionId: result.session.sessionId, callLogId: 'CALL_1' }),
+        { from: '+15550000001' }
+      );
+      expect(auditLogger.logSupervisorAction).toHaveBeenCalledWith('u1', mode, {
+        callLogId: 'CALL_1',
+        sessionId: result.session.sessionId,
+        phoneNumber: OPTIONS.phoneNumber,
+        ipAddress: OPTIONS.ipAddress
+      });
+    });
+
+    it('moves the lead and closer legs into one conference', async () => {
+      await supervisorService.startSession(liveCall(), MANAGER, { mode: 'listen', ...OPTIONS });
+
+      expect(telnyxService.createConference).toHaveBeenCalledWith('lead-leg', 'monitor-CALL_1');
+      expect(telnyxService.joinConference).toHaveBeenCalledWith('conf1', 'closer-leg');
+      expect(CallLog.updateOne).toHaveBeenCalledWith({ _id: 'call1' }, { $set: { 'monitoring.conferenceId': 'conf1' } });
+    });
+
+    it.each(['whisper', 'barge'])('refuses %s to an agent', async (mode) => {
+      const result = await supervisorService.startSession(liveCall(), AGENT, { mode, ...OPTIONS });
+
+      expect(result).toEqual({ success: false, reason: 'forbidden_role' });
+      expect(telnyxService.initiateCall).not.toHaveBeenCalled();
+      expect(auditLogger.logSupervisorAction).not.toHaveBeenCalled();
+    });
+
+    it.each(['listen', 'whisper', 'barge'])('refuses %s on another organization\'s call', async (mode) => {
+      const result = await supervisorService.startSession(liveCall({ organizationId: 'orgB' }), MANAGER, { mode, ...OPTIONS });
+
+      expect(result).toEqual({ success: false, reason: 'wrong_organization' });
+      expect(telnyxService.createConference).not.toHaveBeenCalled();
+      expect(auditLogger.logSupervisorAction).not.toHaveBeenCalled();
+    });
+
+    it.each(['listen', 'whisper', 'barge'])('refuses %s on a call that is not live', async (mode) => {
+      const result = await supervisorService.startSession(liveCall({ status: 'completed' }), MANAGER, { mode, ...OPTIONS });
+
+      expect(result).toEqual({ success: false, reason: 'call_not_live' });
+      expect(telnyxService.createConference).not.toHaveBeenCalled();
+      expect(auditLogger.logSupervisorAction).not.toHaveBeenCalled();
+    });
+
+    it('refuses whisper on an AI call with no closer leg', async () => {
+      const result = await supervisorService.startSession(liveCall({ status: 'active', transfer: null }), MANAGER, { mode: 'whisper', ...OPTIONS });
+
+      expect(result).toEqual({ success: false, reason: 'no_closer_leg' });
+    });
+
+    it('does not audit-log a supervisor that could not be dialed', async () => {
+      telnyxService.initiateCall.mockResolvedValue({ success: false, error: 'busy' });
+
+      const result = await supervisorService.startSession(liveCall(), MANAGER, { mode: 'listen', ...OPTIONS });
+
+      expect(result).toEqual({ success: false, reason: 'dial_failed', error: 'busy' });
+      expect(auditLogger.logSupervisorAction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('changeMode', () => {
+    const activeSession = { sessionId: 'SUP_1', userId: 'u1', mode: 'listen', status: 'active', callControlId: 'supervisor-leg' };
+
+    it('switches an active supervisor to barge, audit-logs it and tells the agent', async () => {
+      voiceAgentService.isConfigured.mockReturnValue(true);
+      const call = liveCall({ monitoring: { conferenceId: 'conf1', sessions: [activeSession] } });
+
+      const result = await supervisorService.startSession(call, MANAGER, { mode: 'barge', ...OPTIONS });
+
+      expect(result.success).toBe(true);
+      expect(telnyxService.initiateCall).not.toHaveBeenCalled();
+      expect(telnyxService.updateConferenceParticipant).toHaveBeenCalledWith('conf1', 'supervisor-leg', {
+        supervisorRole: 'barge',
+        whisperCallControlIds: undefined
+      });
+      expect(auditLogger.logSupervisorAction).toHaveBeenCalledWith('u1', 'mode_change', expect.objectContaining({
+        callLogId: 'CALL_1',
+        sessionId: 'SUP_1',
+        from: 'listen',
+        to: 'barge'
+      }));
+      expect(voiceAgentService.sendCallEvent).toHaveBeenCalledWith(expect.objectContaining({ type: 'supervisor.barged' }));
+    });
+
+    it('refuses a mode the user\'s role does not allow', async () => {
+      const call = liveCall({ monitoring: { conferenceId: 'conf1', sessions: [{ ...activeSession, userId: 'u2' }] } });
+
+      const result = await supervisorService.changeMode(call, 'SUP_1', 'barge', AGENT);
+
+      expect(result).toEqual({ success: false, reason: 'forbidden_role' });
+      expect(telnyxService.updateConferenceParticipant).not.toHaveBeenCalled();
+      expect(auditLogger.logSupervisorAction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('endSession', () => {
+    const session = { sessionId: 'SUP_1', userId: 'u1', mode: 'listen', status: 'active', callControlId: 'supervisor-leg' };
+
+    it('hangs up the supervisor and audit-logs the leave', async () => {
+      const call = liveCall({ monitoring: { sessions: [session] } });
+
+      expect(await supervisorService.endSession(call, 'SUP_1', MANAGER, { ipAddress: '10.0.0.1' })).toEqual({ success: true });
+      expect(telnyxService.hangupCall).toHaveBeenCalledWith('supervisor-leg');
+      expect(auditLogger.logSupervisorAction).toHaveBeenCalledWith('u1', 'leave', {
+        callLogId: 'CALL_1',
+        sessionId: 'SUP_1',
+        supervisorId: 'u1',
+        ipAddress: '10.0.0.1'
+      });
+    });
+
+    it('refuses another supervisor\'s session unless admin', async () => {
+      const call = liveCall({ monitoring: { sessions: [session] } });
+
+      expect(await supervisorService.endSession(call, 'SUP_1', AGENT)).toEqual({ success: false, reason: 'forbidden_session' });
+      expect(telnyxService.hangupCall).not.toHaveBeenCalled();
+
+      const admin = { _id: 'u3', role: 'admin', organizationId: 'orgA' };
+      expect(await supervisorService.endSession(call, 'SUP_1', admin)).toEqual({ success: true });
+    });
+
+    it('refuses a session on another organization\'s call', async () => {
+      const call = liveCall({ organizationId: 'orgB', monitoring: { sessions: [session] } });
+
+      expect(await supervisorService.endSession(call, 'SUP_1', MANAGER)).toEqual({ success: false, reason: 'wrong_organization' });
+      expect(auditLogger.logSupervisorAction).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Audit Trail Tests
+ *
+ * Unit tests for change diffs, hash chaining, tamper detection and filters
+ */
+
+const {
+  sanitize,
+  diff,
+  canonicalize,
+  hashEntry,
+  verifyChain,
+  buildFilter,
+  retentionCutoff,
+  toCsvRow,
+  CSV_COLUMNS,
+  GENESIS_HASH
+} = require('../../src/utils/auditTrail');
+
+/**
+ * Build a valid chain of n entries
+ */
+function buildChain(n, { start = 1, prevHash = GENESIS_HASH } = {}) {
+  const entries = [];
+
+  for (let i = 0; i < n; i++) {
+    const entry = {
+      organizationId: 'org1',
+      sequence: start + i,
+      actor: { type: 'user', userId: 'u1' },
+      action: 'LEAD_VIEWED',
+      resource: { type: 'lead', id: `lead${i}` },
+      changes: [],
+      outcome: 'success',
+      createdAt: new Date(Date.UTC(2025, 0, 1, 0, i))
+    };
+    entry.prevHash = entries.length ? entries[entries.length - 1].hash : prevHash;
+    entry.hash = hashEntry(entry, entry.prevHash);
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+describe('sanitize', () => {
+  it('redacts secrets at any depth and stringifies dates', () => {
+    const result = sanitize({
+      email: 'a@b.com',
+      password: 'hunter2',
+      keys: [{ keyId: 'k1', secretHash: 'abc' }],
+      at: new Date(Date.UTC(2025, 0, 1))
+    });
+
+    expect(result).toEqual({
+      email: 'a@b.com',
+      password: '[REDACTED]',
+      keys: [{ keyId: 'k1', secretHash: '[REDACTED]' }],
+      at: '2025-01-01T00:00:00.000Z'
+    });
+  });
+});
+
+describe('diff', () => {
+  it('lists changed leaf paths with before and after values', () => {
+    const before = { firstName: 'Ann', address: { city: 'Austin', state: 'TX' }, tags: ['a'] };
+    const after = { firstName: 'Ann', address: { city: 'Dallas', state: 'TX' }, tags: ['a', 'b'], score: 80 };
+
+    expect(diff(before, after)).toEqual([
+      { path: 'address.city', before: 'Austin', after: 'Dallas' },
+      { path: 'score', before: null, after: 80 },
+      { path: 'tags', before: ['a'], after: ['a', 'b'] }
+    ]);
+  });
+
+  it('skips bookkeeping fields and diffs creations against nothing', () => {
+    expect(diff({ status: 'new', updatedAt: 1 }, { status: 'new', updatedAt: 2 })).toEqual([]);
+    expect(diff(null, { reason: 'lead_requested' })).toEqual([
+      { path: 'reason', before: null, after: 'lead_requested' }
+    ]);
+  });
+
+  it('never leaks secrets into changes', () => {
+    expect(diff({ password: 'old' }, { password: 'new' })).toEqual([]);
+  });
+});
+
+describe('canonicalize', () => {
+  it('is independent of key order', () => {
+    expect(canonicalize({ b: 1, a: { d: 2, c: 3 } })).toBe(canonicalize({ a: { c: 3, d: 2 }, b: 1 }));
+    expect(canonicalize({ a: 1, b: undefined })).toBe(canonicalize({ a: 1 }));
+  });
+});
+
+describe('hashEntry', () => {
+  it('depends on the content and the previous hash', () => {
+    const [entry] = buildChain(1);
+
+    expect(hashEntry(entry, GENESIS_HASH)).toBe(entry.hash);
+    expect(hashEntry({ ...entry, action: 'LEAD_UPDATED' }, GENESIS_HASH)).not.toBe(entry.hash);
+    expect(hashEntry(entry, 'f'.repeat(64))).not.toBe(entry.hash);
+  });
+});
+
+describe('verifyChain', () => {
+  it('accepts an untouched chain', () => {
+    expect(verifyChain(buildChain(5))).toEqual({
+      valid: true,
+      checked: 5,
+      firstSequence: 1,
+      lastSequence: 5,
+      problems: []
+    });
+  });
+
+  it('detects an edited entry', () => {
+    const entries = buildChain(5);
+    entries[2].resource = { type: 'lead', id: 'someone-else' };
+
+    expect(verifyChain(entries).problems).toEqual([{ sequence: 3, problem: 'hash_mismatch' }]);
+  });
+
+  it('detects a deleted entry', () => {
+    const entries = buildChain(5);
+    entries.splice(2, 1);
+
+    const { valid, problems } = verifyChain(entries);
+    expect(valid).toBe(false);
+    expect(problems.map(problem => problem.problem)).toEqual(['sequence_gap', 'broken_link']);
+  });
+
+  it('detects a re-hashed entry through the next link', () => {
+    const entries = buildChain(4);
+    entries[1].action = 'LEAD_DELETED';
+    entries[1].hash = hashEntry(entries[1], entries[1].prevHash);
+
+    expect(verifyChain(entries).problems).toEqual([{ sequence: 3, problem: 'broken_link' }]);
+  });
+
+  it('needs an anchor once the start of the chain was purged', () => {
+    const purged = buildChain(6);
+    const remaining = purged.slice(3);
+
+    expect(verifyChain(remaining).problems).toEqual([{ sequence: 4, problem: 'missing_anchor' }]);
+    expect(verifyChain(remaining, { anchorHash: purged[2].hash }).valid).toBe(true);
+    expect(verifyChain(remaining, { anchorHash: purged[1].hash }).valid).toBe(false);
+  });
+});
+
+describe('buildFilter', () => {
+  it('maps query parameters to fields', () => {
+    expect(buildFilter({
+      action: 'LEAD_VIEWED, LEAD_UPDATED',
+      resourceType: 'lead',
+      resourceId: 'l1',
+      actorId: 'u1',
+      outcome: 'failure',
+      from: '2025-01-01',
+      to: '2025-01-31'
+    })).toEqual({
+      filter: {
+        action: { $in: ['LEAD_VIEWED', 'LEAD_UPDATED'] },
+        'resource.type': 'lead',
+        'resource.id': 'l1',
+        'actor.userId': 'u1',
+        outcome: 'failure',
+        createdAt: { $gte: new Date('2025-01-01'), $lte: new Date('2025-01-31') }
+      }
+    });
+  });
+
+  it('rejects bad outcomes and dates', () => {
+    expect(buildFilter({ outcome: 'maybe' }).error).toMatch(/outcome/);
+    expect(buildFilter({ from: 'yesterday' }).error).toMatch(/valid dates/);
+    expect(buildFilter({ from: '2025-02-01', to: '2025-01-01' }).error).toMatch(/before/);
+  });
+
+  it('never passes operators through', () => {
+    expect(buildFilter({ resourceId: { $ne: null } }).filter['resource.id']).toBe('[object Object]');
+  });
+});
+
+describe('retentionCutoff', () => {
+  it('counts back whole days', () => {
+    expect(retentionCutoff(new Date(Date.UTC(2025, 0, 31)), 30)).toEqual(new Date(Date.UTC(2025, 0, 1)));
+  });
+});
+
+describe('toCsvRow', () => {
+  it('lines up with the CSV columns', () => {
+    const [entry] = buildChain(1);
+    const row = toCsvRow(entry);
+
+    expect(row).toHaveLength(CSV_COLUMNS.length);
+    expect(row[CSV_COLUMNS.indexOf('action')]).toBe('LEAD_VIEWED');
+    expect(row[CSV_COLUMNS.indexOf('changes')]).toBe('');
+    expect(row[CSV_COLUMNS.indexOf('hash')]).toBe(entry.hash);
+  });
+});
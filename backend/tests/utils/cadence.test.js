@@ -0,0 +1,151 @@
+/**
+ * Cadence Tests
+ *
+ * Unit tests for retry scheduling, daily caps and due-lead ordering
+ */
+
+const {
+  slotOf,
+  rotateSlot,
+  nextSlotStart,
+  nextAttemptAt,
+  dailyCapStatus,
+  selectPolicy,
+  dueAt,
+  rankDueLeads,
+  validatePolicy,
+  DEFAULT_POLICY
+} = require('../../src/utils/cadence');
+
+const TZ = 'America/New_York';
+
+// Times in New York (UTC-5 in January)
+const ny = (day, hour, minute = 0) => new Date(Date.UTC(2026, 0, day, hour + 5, minute));
+
+describe('slots', () => {
+  it('places an instant in the lead\'s local time-of-day slot', () => {
+    expect(slotOf(ny(5, 10), TZ)).toBe('morning');
+    expect(slotOf(ny(5, 18), TZ)).toBe('evening');
+    expect(slotOf(ny(5, 21), TZ)).toBeNull();
+  });
+
+  it('rotates to a slot the lead has not been called in', () => {
+    expect(rotateSlot([])).toBe('morning');
+    expect(rotateSlot(['morning', 'morning'])).toBe('afternoon');
+    expect(rotateSlot(['morning', 'afternoon', 'evening'])).toBe('morning');
+  });
+
+  it('finds the next start of a slot', () => {
+    expect(nextSlotStart(ny(5, 10), 'evening', TZ)).toEqual(ny(5, 17));
+    expect(nextSlotStart(ny(5, 18, 30), 'morning', TZ)).toEqual(ny(6, 9));
+    expect(nextSlotStart(ny(5, 13), 'afternoon', TZ)).toEqual(ny(5, 13));
+  });
+});
+
+describe('nextAttemptAt', () => {
+  it('waits the step delay after the last attempt', () => {
+    const cadence = { attempts: 1, firstAttemptAt: ny(5, 10), lastAttemptAt: ny(5, 10), slots: ['morning'] };
+
+    expect(nextAttemptAt(DEFAULT_POLICY, cadence, TZ)).toEqual(ny(5, 14));
+  });
+
+  it('moves rotating steps to a new time of day', () => {
+    const cadence = { attempts: 2, firstAttemptAt: ny(5, 10), lastAttemptAt: ny(5, 14), slots: ['morning', 'afternoon'] };
+
+    expect(nextAttemptAt(DEFAULT_POLICY, cadence, TZ)).toEqual(ny(6, 17));
+  });
+
+  it('repeats the last step', () => {
+    const cadence = {
+      attempts: 3,
+      firstAttemptAt: ny(5, 10),
+      lastAttemptAt: ny(6, 17),
+      slots: ['morning', 'afternoon', 'evening']
+    };
+
+    expect(nextAttemptAt(DEFAULT_POLICY, cadence, TZ)).toEqual(ny(8, 9));
+  });
+
+  it('ends after maxAttempts or the window', () => {
+    expect(nextAttemptAt(DEFAULT_POLICY, { attempts: 6, firstAttemptAt: ny(5, 10), lastAttemptAt: ny(9, 10) }, TZ)).toBeNull();
+    expect(nextAttemptAt(DEFAULT_POLICY, { attempts: 3, firstAttemptAt: ny(5, 10), lastAttemptAt: ny(19, 10) }, TZ)).toBeNull();
+  });
+});
+
+describe('dailyCapStatus', () => {
+  const now = ny(5, 12);
+  const hoursAgo = hours => new Date(now.getTime() - hours * 3600000);
+
+  it('counts attempts in the last 24 hours', () => {
+    expect(dailyCapStatus([hoursAgo(30), hoursAgo(2)], 2, now)).toMatchObject({ allowed: true, attempts: 1 });
+  });
+
+  it('frees up when the oldest attempt in the window ages out', () => {
+    const status = dailyCapStatus([hoursAgo(1), hoursAgo(23), hoursAgo(2)], 3, now);
+
+    expect(status).toMatchObject({ allowed: false, attempts: 3, cap: 3 });
+    expect(status.nextAllowedAt).toEqual(new Date(now.getTime() + 3600000));
+  });
+});
+
+describe('selectPolicy', () => {
+  const policies = [
+    { _id: 'p1', name: 'Web', sources: ['website'] },
+    { _id: 'p2', name: 'Default', isDefault: true },
+    { _id: 'p3', name: 'Aggressive', sources: ['leadpower'] },
+    { _id: 'p4', name: 'Off', isActive: false, sources: ['referral'] }
+  ];
+
+  it('prefers the campaign policy, then the source, then the default', () => {
+    expect(selectPolicy(policies, { source: 'website' }, 'p3').name).toBe('Aggressive');
+    expect(selectPolicy(policies, { source: 'website' }).name).toBe('Web');
+    expect(selectPolicy(policies, { source: 'api', customFields: { leadSource: 'leadpower' } }).name).toBe('Aggressive');
+    expect(selectPolicy(policies, { source: 'referral' }).name).toBe('Default');
+  });
+
+  it('falls back to the built-in policy', () => {
+    expect(selectPolicy([], { source: 'website' })).toBe(DEFAULT_POLICY);
+  });
+});
+
+describe('dueAt and rankDueLeads', () => {
+  const now = ny(5, 12);
+
+  it('is due on the cadence, a follow-up or right away when never dialed', () => {
+    expect(dueAt({ status: 'contacted', cadence: { attempts: 1, nextAttemptAt: ny(5, 11) } }, now)).toEqual(ny(5, 11));
+    expect(dueAt({ status: 'contacted', cadence: { attempts: 1, nextAttemptAt: ny(5, 13) } }, now)).toBeNull();
+    expect(dueAt({ status: 'qualified', nextFollowUpAt: ny(5, 9) }, now)).toEqual(ny(5, 9));
+    expect(dueAt({ status: 'new', contactAttempts: 0, createdAt: ny(5, 8) }, now)).toEqual(ny(5, 8));
+  });
+
+  it('is not due once a cadence has finished or the lead has moved on', () => {
+    expect(dueAt({ status: 'contacted', cadence: { attempts: 6, exhaustedAt: ny(5, 10) } }, now)).toBeNull();
+    expect(dueAt({ status: 'converted', cadence: { attempts: 2, nextAttemptAt: ny(5, 11) } }, now)).toBeNull();
+  });
+
+  it('orders by priority, then longest due', () => {
+    const leads = [
+      { _id: 'a', priority: 'medium', status: 'new', createdAt: ny(5, 7) },
+      { _id: 'b', priority: 'high', status: 'new', createdAt: ny(5, 11) },
+      { _id: 'c', priority: 'high', status: 'contacted', cadence: { attempts: 1, nextAttemptAt: ny(5, 10) } },
+      { _id: 'd', priority: 'urgent', status: 'contacted', cadence: { attempts: 1, nextAttemptAt: ny(5, 13) } }
+    ];
+
+    expect(rankDueLeads(leads, now).map(lead => lead._id)).toEqual(['c', 'b', 'a']);
+  });
+});
+
+describe('validatePolicy', () => {
+  it('accepts a valid policy', () => {
+    expect(validatePolicy({ ...DEFAULT_POLICY, sources: ['website'] })).toBeNull();
+  });
+
+  it('rejects invalid steps and limits', () => {
+    expect(validatePolicy({ steps: [] })).toMatch(/steps/);
+    expect(validatePolicy({ steps: [{ delayMinutes: -5 }] })).toMatch(/delayMinutes/);
+    expect(validatePolicy({ steps: [{ delayMinutes: 60, slot: 'night' }] })).toMatch(/slot/);
+    expect(validatePolicy({ maxAttempts: 0 })).toMatch(/maxAttempts/);
+    expect(validatePolicy({ dailyCapPerNumber: 2.5 })).toMatch(/dailyCapPerNumber/);
+    expect(validatePolicy({ sources: 'website' })).toMatch(/sources/);
+  });
+});
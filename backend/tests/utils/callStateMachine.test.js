@@ -0,0 +1,169 @@
+/**
+ * Call State Machine Tests
+ *
+ * Unit tests for planning CallLog updates from Telnyx call events
+ */
+
+const {
+  normalizeEvent,
+  planEvent,
+  endedEvents,
+  isFinal
+} = require('../../src/utils/callStateMachine');
+
+const at = seconds => new Date(Date.UTC(2026, 0, 5, 15, 0, seconds));
+
+const event = (type, seconds, payload = {}) => normalizeEvent({
+  id: `evt-${type}-${seconds}`,
+  event_type: type,
+  occurred_at: at(seconds).toISOString(),
+  payload: { call_control_id: 'v3:abc', ...payload }
+});
+
+describe('normalizeEvent', () => {
+  it('reads webhook and WebSocket shapes', () => {
+    const normalized = normalizeEvent({
+      id: 'evt-1',
+      event_type: 'call.answered',
+      occurred_at: '2026-01-05T15:00:10.000Z',
+      payload: { call_control_id: 'v3:abc' }
+    });
+
+    expect(normalized).toMatchObject({ id: 'evt-1', type: 'call.answered' });
+    expect(normalized.occurredAt.toISOString()).toBe('2026-01-05T15:00:10.000Z');
+  });
+
+  it('derives a stable id when the event has none', () => {
+    const data = { type: 'call.hangup', payload: { call_control_id: 'v3:abc', occurred_at: '2026-01-05T15:01:00.000Z' } };
+
+    expect(normalizeEvent(data).id).toBe('call.hangup:v3:abc:2026-01-05T15:01:00.000Z');
+    expect(normalizeEvent(data).id).toBe(normalizeEvent({ ...data }).id);
+  });
+});
+
+describe('planEvent', () => {
+  const initiated = { status: 'initiated', initiatedAt: at(0), duration: {} };
+
+  it('moves a call forward and guards on the state it planned from', () => {
+    const plan = planEvent(initiated, event('call.initiated', 1, { call_session_id: 'session-1' }));
+
+    expect(plan.set).toMatchObject({ status: 'ringing', ringingAt: at(1), 'telnyx.callSessionId': 'session-1' });
+    expect(plan.guard).toEqual({ status: 'initiated', ringingAt: null });
+    expect(plan.push.events).toMatchObject({ eventType: 'ringing', data: { eventId: 'evt-call.initiated-1' } });
+    expect(plan.domainEvents).toEqual([]);
+  });
+
+  it('raises call.answered with the ringing time', () => {
+    const plan = planEvent({ ...initiated, status: 'ringing', ringingAt: at(1) }, event('call.answered', 9));
+
+    expect(plan.set).toMatchObject({ status: 'answered', answeredAt: at(9), 'duration.ringing': 8 });
+    expect(plan.domainEvents).toEqual(['call.answered']);
+  });
+
+  it('ignores events that move a call backwards or repeat a step', () => {
+    const answered = { ...initiated, status: 'answered', answeredAt: at(9) };
+
+    expect(planEvent(answered, event('call.initiated', 1))).toEqual({ ignored: 'out_of_order' });
+    expect(planEvent(answered, event('call.answered', 10))).toEqual({ ignored: 'already_applied' });
+  });
+
+  it('ignores status events once the call has ended', () => {
+    const completed = { ...initiated, status: 'completed', answeredAt: at(9), endedAt: at(60) };
+
+    expect(planEvent(completed, event('call.answered', 9))).toEqual({ ignored: 'call_ended' });
+    expect(planEvent(completed, event('call.hangup', 61))).toEqual({ ignored: 'call_ended' });
+  });
+
+  it('completes an answered call with durations', () => {
+    const answered = { ...initiated, status: 'answered', ringingAt: at(1), answeredAt: at(9), duration: { hold: 5 } };
+    const plan = planEvent(answered, event('call.hangup', 69, { hangup_cause: 'normal_clearing', hangup_source: 'callee' }));
+
+    expect(plan.set).toMatchObject({
+      status: 'completed',
+      endedAt: at(69),
+      hangupCause: 'normal-clearing',
+      hangupSource: 'callee',
+      'duration.total': 69,
+      'duration.ringing': 8,
+      'duration.talking': 55
+    });
+    expect(plan.domainEvents).toEqual(['call.completed', 'call.ended']);
+  });
+
+  it('maps unanswered hangups to their status and outcome', () => {
+    const ringing = { ...initiated, status: 'ringing', ringingAt: at(1) };
+
+    const busy = planEvent(ringing, event('call.hangup', 5, { hangup_cause: 'user_busy' }));
+    expect(busy.set).toMatchObject({ status: 'busy', hangupCause: 'user-busy', answerState: 'no-answer', 'duration.talking': 0 });
+    expect(busy.domainEvents).toEqual(['call.no_answer', 'call.ended']);
+
+    const failed = planEvent(ringing, event('call.hangup', 5, { hangup_cause: 'unspecified' }));
+    expect(failed.set).toMatchObject({ status: 'failed', hangupCause: 'other' });
+    expect(failed.domainEvents).toEqual(['call.failed', 'call.ended']);
+  });
+
+  it('applies detail events after the call has ended', () => {
+    const completed = { ...initiated, status: 'completed', answeredAt: at(9), endedAt: at(60) };
+
+    const recording = planEvent(completed, event('call.recording.saved', 62, {
+      recording_urls: { mp3: 'https://recordings.example/a.mp3' },
+      recording_started_at: at(9).toISOString(),
+      recording_ended_at: at(60).toISOString()
+    }));
+    expect(recording.set).toMatchObject({
+      'recording.status': 'available',
+      'recording.recordingUrl': 'https://recordings.example/a.mp3',
+      'recording.recordingFormat': 'mp3',
+      'recording.recordingDuration': 51
+    });
+    expect(recording.guard).toEqual({});
+
+    const dtmf = planEvent(completed, event('call.dtmf.received', 30, { digit: '1' }));
+    expect(dtmf.push.dtmfInputs).toEqual({ digit: '1', timestamp: at(30) });
+    expect(dtmf.push.events).toMatchObject({ eventType: 'dtmf', data: { digit: '1' } });
+  });
+
+  it('records answering machine detection', () => {
+    const answered = { ...initiated, status: 'answered', answeredAt: at(9) };
+
+    expect(planEvent(answered, event('call.machine.detection.ended', 12, { result: 'machine' })).set)
+      .toEqual({ answerState: 'machine' });
+    expect(planEvent(answered, event('call.machine.premium.detection.ended', 12, { result: 'human_business' })).set)
+      .toEqual({ answerState: 'human' });
+  });
+
+  it('raises voicemail drop events from machine detection and playback', () => {
+    const answered = { ...initiated, status: 'answered', answeredAt: at(9) };
+
+    expect(planEvent(answered, event('call.machine.detection.ended', 12, { result: 'machine' })).domainEvents)
+      .toEqual(['call.machine_detected']);
+    expect(planEvent(answered, event('call.machine.detection.ended', 12, { result: 'human' })).domainEvents)
+      .toEqual([]);
+
+    const greeting = planEvent(answered, event('call.machine.greeting.ended', 20, { result: 'beep_detected' }));
+    expect(greeting.set).toEqual({ answerState: 'voicemail' });
+    expect(greeting.domainEvents).toEqual(['call.greeting_ended']);
+
+    const playing = { ...answered, answerState: 'voicemail', voicemail: { status: 'playing' } };
+    expect(planEvent(playing, event('call.playback.ended', 40)).domainEvents).toEqual(['call.playback_ended']);
+    expect(planEvent(answered, event('call.speak.ended', 40))).toEqual({ ignored: 'untracked' });
+  });
+
+  it('skips events it does not track', () => {
+    expect(planEvent(initiated, event('call.speak.started', 3))).toEqual({ ignored: 'untracked' });
+  });
+});
+
+describe('endedEvents', () => {
+  it('reports voicemail for calls answered by a machine', () => {
+    expect(endedEvents({ status: 'completed', answeredAt: at(9), answerState: 'machine' }))
+      .toEqual(['call.voicemail', 'call.ended']);
+  });
+});
+
+describe('isFinal', () => {
+  it('treats any status outside the active ones as final', () => {
+    expect(isFinal('bridged')).toBe(false);
+    expect(isFinal('no-answer')).toBe(true);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Caller ID Pool Tests
+ *
+ * Unit tests for local-presence number selection and reputation
+ */
+
+const {
+  dayKey,
+  usageOn,
+  locate,
+  rankNumbers,
+  evaluateReputation,
+  reputationAction,
+  validateCallerNumber
+} = require('../../src/utils/callerIdPool');
+
+const DAY = '2026-01-05';
+
+const number = (phoneNumber, overrides = {}) => ({
+  phoneNumber,
+  ...locate(phoneNumber),
+  status: 'active',
+  dailyCap: 100,
+  usage: { date: DAY, calls: 0 },
+  ...overrides
+});
+
+describe('usage', () => {
+  it('counts calls for the current UTC day only', () => {
+    expect(dayKey(new Date('2026-01-05T23:59:00Z'))).toBe(DAY);
+    expect(usageOn({ usage: { date: DAY, calls: 12 } }, DAY)).toBe(12);
+    expect(usageOn({ usage: { date: '2026-01-04', calls: 12 } }, DAY)).toBe(0);
+  });
+});
+
+describe('locate', () => {
+  it('reads area code and state from a number', () => {
+    expect(locate('+12125550100')).toEqual({ areaCode: 212, state: 'NY' });
+    expect(locate('(310) 555-0100')).toEqual({ areaCode: 310, state: 'CA' });
+  });
+});
+
+describe('rankNumbers', () => {
+  const pool = [
+    number('+13105550100'),
+    number('+17185550100'),
+    number('+12125550100', { usage: { date: DAY, calls: 40 } }),
+    number('+12125550101', { usage: { date: DAY, calls: 10 } })
+  ];
+
+  it('prefers the same area code, then the same state, then the least used', () => {
+    const ranked = rankNumbers(pool, locate('+12125559999'), DAY);
+
+    expect(ranked.map(entry => entry.number.phoneNumber))
+      .toEqual(['+12125550101', '+12125550100', '+17185550100', '+13105550100']);
+    expect(ranked.map(entry => entry.match)).toEqual(['area_code', 'area_code', 'state', 'none']);
+  });
+
+  it('leaves out numbers at their daily cap', () => {
+    const capped = [number('+12125550100', { dailyCap: 10, usage: { date: DAY, calls: 10 } }), number('+13105550100')];
+
+    expect(rankNumbers(capped, locate('+12125559999'), DAY).map(entry => entry.number.phoneNumber))
+      .toEqual(['+13105550100']);
+  });
+
+  it('breaks ties on answer rate', () => {
+    const tied = [
+      number('+13105550100', { reputation: { answerRate: 0.1 } }),
+      number('+13105550101', { reputation: { answerRate: 0.3 } })
+    ];
+
+    expect(rankNumbers(tied, locate('+12125559999'), DAY)[0].number.phoneNumber).toBe('+13105550101');
+  });
+});
+
+describe('evaluateReputation', () => {
+  it('waits for enough calls', () => {
+    expect(evaluateReputation({ calls: 10, answered: 0 }, 0.3)).toMatchObject({ status: 'unknown', score: null });
+  });
+
+  it('flags numbers far below the pool answer rate', () => {
+    expect(evaluateReputation({ calls: 100, answered: 28 }, 0.3)).toMatchObject({ status: 'good', score: 93 });
+    expect(evaluateReputation({ calls: 100, answered: 12 }, 0.3)).toMatchObject({ status: 'flagged', score: 40 });
+  });
+
+  it('flags numbers under the absolute floor', () => {
+    expect(evaluateReputation({ calls: 100, answered: 4 }, 0.05).status).toBe('flagged');
+  });
+});
+
+describe('reputationAction', () => {
+  const flagged = { status: 'flagged' };
+
+  it('rests a flagged number, then retires one that keeps getting flagged', () => {
+    expect(reputationAction({ status: 'active', restCount: 0 }, flagged)).toBe('rest');
+    expect(reputationAction({ status: 'active', restCount: 2 }, flagged)).toBe('retire');
+  });
+
+  it('leaves good and already rested numbers alone', () => {
+    expect(reputationAction({ status: 'active' }, { status: 'good' })).toBe('none');
+    expect(reputationAction({ status: 'resting' }, flagged)).toBe('none');
+  });
+});
+
+describe('validateCallerNumber', () => {
+  it('requires an E.164 US number and a sane cap', () => {
+    expect(validateCallerNumber({ phoneNumber: '+12125550100', dailyCap: 80 })).toBeNull();
+    expect(validateCallerNumber({ phoneNumber: '212-555-0100' })).toMatch(/E\.164/);
+    expect(validateCallerNumber({ dailyCap: 0 })).toMatch(/dailyCap/);
+    expect(validateCallerNumber({ status: 'paused' })).toMatch(/status/);
+  });
+});
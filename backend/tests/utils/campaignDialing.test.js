@@ -0,0 +1,143 @@
+/**
+ * Campaign Dialing Tests
+ *
+ * Unit tests for campaign segment queries, calling schedules and capacity
+ */
+
+const {
+  buildSegmentQuery,
+  isWithinSchedule,
+  computeCapacity,
+  DEFAULT_SEGMENT_STATUSES
+} = require('../../src/utils/campaignDialing');
+
+const NOW = new Date('2025-01-06T15:00:00Z');
+
+describe('buildSegmentQuery', () => {
+  it('dials callable new and contacted leads under the default retry rules', () => {
+    const query = buildSegmentQuery({ _id: 'c1' }, NOW);
+
+    expect(query).toEqual({
+      isActive: true,
+      'consent.canCall': true,
+      status: { $in: DEFAULT_SEGMENT_STATUSES },
+      contactAttempts: { $lt: 3 },
+      'customFields.callInProgress': { $ne: true },
+      $and: [
+        { $or: [{ lastContactedAt: null }, { lastContactedAt: { $lte: new Date('2025-01-06T11:00:00Z') } }] },
+        {
+          $or: [
+            { 'customFields.campaignBlockedUntil': null },
+            { 'customFields.campaignBlockedUntil': { $lte: NOW } }
+          ]
+        }
+      ]
+    });
+  });
+
+  it('applies the segment filters and retry settings', () => {
+    const query = buildSegmentQuery({
+      _id: 'c1',
+      segment: {
+        statuses: ['qualified'],
+        priorities: ['high'],
+        sources: ['web'],
+        tags: ['solar'],
+        assignedTo: ['u1'],
+        campaignLeadsOnly: true,
+        minQualificationScore: 50,
+        maxQualificationScore: 0
+      },
+      retry: { maxAttempts: 5, retryDelayMinutes: 60 }
+    }, NOW);
+
+    expect(query).toMatchObject({
+      status: { $in: ['qualified'] },
+      priority: { $in: ['high'] },
+      source: { $in: ['web'] },
+      tags: { $in: ['solar'] },
+      assignedTo: { $in: ['u1'] },
+      campaignId: 'c1',
+      contactAttempts: { $lt: 5 },
+      qualificationScore: { $gte: 50, $lte: 0 }
+    });
+    expect(query.$and[0].$or[1].lastContactedAt.$lte).toEqual(new Date('2025-01-06T14:00:00Z'));
+  });
+
+  it('still counts leads on a retry delay, hold or live call when including deferred', () => {
+    const query = buildSegmentQuery({ _id: 'c1' }, NOW, { includeDeferred: true });
+
+    expect(query.$and).toBeUndefined();
+    expect(query['customFields.callInProgress']).toBeUndefined();
+    expect(query.contactAttempts).toEqual({ $lt: 3 });
+  });
+
+  it('lets a cadence policy decide when leads are due', () => {
+    const dueQuery = { $or: [{ 'cadence.nextAttemptAt': { $lte: NOW } }] };
+    const query = buildSegmentQuery({ _id: 'c1', cadencePolicyId: 'p1' }, NOW, { dueQuery });
+
+    expect(query.contactAttempts).toBeUndefined();
+    expect(query.$and[0]).toBe(dueQuery);
+    expect(query.$and).toHaveLength(2);
+  });
+});
+
+describe('isWithinSchedule', () => {
+  const weekdays = { timezone: 'America/New_York', daysOfWeek: [1, 2, 3, 4, 5], startTime: '09:00', endTime: '17:00' };
+
+  it('opens at startTime and closes at endTime in the schedule timezone', () => {
+    // Monday, EST is UTC-5
+    expect(isWithinSchedule(weekdays, new Date('2025-01-06T13:59:00Z'))).toBe(false);
+    expect(isWithinSchedule(weekdays, new Date('2025-01-06T14:00:00Z'))).toBe(true);
+    expect(isWithinSchedule(weekdays, new Date('2025-01-06T21:59:00Z'))).toBe(true);
+    expect(isWithinSchedule(weekdays, new Date('2025-01-06T22:00:00Z'))).toBe(false);
+  });
+
+  it('follows daylight saving time', () => {
+    // Monday, EDT is UTC-4
+    expect(isWithinSchedule(weekdays, new Date('2025-07-07T12:59:00Z'))).toBe(false);
+    expect(isWithinSchedule(weekdays, new Date('2025-07-07T13:00:00Z'))).toBe(true);
+  });
+
+  it('uses the local day, not the UTC day', () => {
+    const allDay = { timezone: 'America/Los_Angeles', daysOfWeek: [1, 2, 3, 4, 5] };
+
+    // Saturday in UTC, Friday 16:30 in Los Angeles
+    expect(isWithinSchedule(allDay, new Date('2025-01-11T00:30:00Z'))).toBe(true);
+    // Monday in UTC, Sunday 23:30 in Los Angeles
+    expect(isWithinSchedule(allDay, new Date('2025-01-06T07:30:00Z'))).toBe(false);
+    // Monday 00:00 in Los Angeles
+    expect(isWithinSchedule(allDay, new Date('2025-01-06T08:00:00Z'))).toBe(true);
+  });
+
+  it('is open all day, every day without a schedule', () => {
+    expect(isWithinSchedule(undefined, new Date('2025-01-05T05:00:00Z'))).toBe(true);
+    expect(isWithinSchedule({}, new Date('2025-01-11T12:00:00Z'))).toBe(true);
+  });
+});
+
+describe('computeCapacity', () => {
+  const campaign = { pacing: { maxConcurrent: 5, callsPerMinute: 10 } };
+
+  it('is limited by the campaign concurrency', () => {
+    expect(computeCapacity(campaign, { campaignActive: 3, accountActive: 3, lastMinute: 3 }, 50))
+      .toEqual({ available: 2, limitedBy: 'campaign_concurrency' });
+  });
+
+  it('is limited by the account-wide maxConcurrentCalls', () => {
+    expect(computeCapacity(campaign, { campaignActive: 1, accountActive: 48, lastMinute: 1 }, 50))
+      .toEqual({ available: 2, limitedBy: 'account_concurrency' });
+    expect(computeCapacity(campaign, { campaignActive: 0, accountActive: 52, lastMinute: 0 }, 50))
+      .toEqual({ available: -2, limitedBy: 'account_concurrency' });
+  });
+
+  it('is limited by calls per minute', () => {
+    expect(computeCapacity(campaign, { campaignActive: 0, accountActive: 0, lastMinute: 9 }, 50))
+      .toEqual({ available: 1, limitedBy: 'calls_per_minute' });
+  });
+
+  it('defaults to one call at a time without pacing', () => {
+    expect(computeCapacity({}, { campaignActive: 0, accountActive: 0, lastMinute: 0 }, 50))
+      .toEqual({ available: 1, limitedBy: 'campaign_concurrency' });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Closer Routing Tests
+ *
+ * Unit tests for closer schedules and transfer routing strategies
+ */
+
+const {
+  isWithinCloserSchedule,
+  getNextScheduledStart,
+  isLicensedFor,
+  selectCloser
+} = require('../../src/utils/closerRouting');
+
+const weekdays = {
+  sunday: { available: false },
+  monday: { available: true, start: '09:00', end: '17:00' },
+  tuesday: { available: true, start: '09:00', end: '17:00' },
+  wednesday: { available: true, start: '09:00', end: '17:00' },
+  thursday: { available: true, start: '09:00', end: '17:00' },
+  friday: { available: true, start: '09:00', end: '17:00' },
+  saturday: { available: false }
+};
+
+const closer = (id, overrides = {}) => ({
+  _id: id,
+  name: id,
+  schedule: { timezone: 'America/Chicago', weekly: weekdays },
+  skills: { industries: [], licensedStates: [], languages: [], tags: [] },
+  priority: 0,
+  stats: {},
+  ...overrides
+});
+
+describe('Closer Routing', () => {
+
+  describe('isWithinCloserSchedule', () => {
+    it('should use the closer timezone', () => {
+      // Wednesday 2025-06-11 15:30 UTC = 10:30 in Chicago
+      expect(isWithinCloserSchedule(closer('a'), new Date('2025-06-11T15:30:00Z'))).toBe(true);
+      // 13:30 UTC = 08:30 in Chicago
+      expect(isWithinCloserSchedule(closer('a'), new Date('2025-06-11T13:30:00Z'))).toBe(false);
+    });
+
+    it('should respect days off', () => {
+      // Saturday 2025-06-14 17:00 UTC = 12:00 in Chicago
+      expect(isWithinCloserSchedule(closer('a'), new Date('2025-06-14T17:00:00Z'))).toBe(false);
+    });
+  });
+
+  describe('getNextScheduledStart', () => {
+    it('should return Monday 09:00 local after a weekend', () => {
+      const next = getNextScheduledStart(closer('a'), new Date('2025-06-14T17:00:00Z'));
+      expect(next.toISOString()).toBe('2025-06-16T14:00:00.000Z');
+    });
+
+    it('should return null without scheduled hours', () => {
+      const offDuty = closer('a', { schedule: { timezone: 'America/Chicago', weekly: {} } });
+      expect(getNextScheduledStart(offDuty, new Date('2025-06-14T17:00:00Z'))).toBeNull();
+    });
+  });
+
+  describe('isLicensedFor', () => {
+    it('should treat an empty license list as unrestricted', () => {
+      expect(isLicensedFor(closer('a'), 'TX')).toBe(true);
+    });
+
+    it('should require a matching license when licenses are listed', () => {
+      const licensed = closer('a', { skills: { licensedStates: ['CA'] } });
+      expect(isLicensedFor(licensed, 'TX')).toBe(false);
+      expect(isLicensedFor(licensed, 'CA')).toBe(true);
+      expect(isLicensedFor(licensed, null)).toBe(true);
+    });
+  });
+
+  describe('selectCloser', () => {
+    const recent = closer('recent', { stats: { lastTransferAt: new Date('2025-06-11T10:00:00Z') } });
+    const older = closer('older', { stats: { lastTransferAt: new Date('2025-06-10T10:00:00Z') } });
+    const never = closer('never');
+
+    it('should return null when nobody is available', () => {
+      expect(selectCloser([], {})).toBeNull();
+    });
+
+    it('should pick the least recently transferred closer', () => {
+      expect(selectCloser([recent, older, never], { strategy: 'least_recent' }).closer._id).toBe('never');
+      expect(selectCloser([recent, older], { strategy: 'least_recent' }).closer._id).toBe('older');
+    });
+
+    it('should rotate through closers for round robin', () => {
+      const picks = [0, 1, 2, 3].map(rotation =>
+        selectCloser([recent, older, never], { strategy: 'round_robin', rotation }).closer._id
+      );
+      expect(picks).toEqual(['never', 'older', 'recent', 'never']);
+    });
+
+    it('should prefer skill matches and exclude unlicensed closers', () => {
+      const insurance = closer('insurance', { skills: { industries: ['insurance'], licensedStates: ['TX'] } });
+      const californian = closer('californian', { skills: { industries: ['insurance'], licensedStates: ['CA'] } });
+
+      const result = selectCloser([never, californian, insurance], {
+        strategy: 'skill_match',
+        leadProfile: { state: 'TX', industry: 'Insurance' }
+      });
+
+      expect(result.closer._id).toBe('insurance');
+      expect(result.matchedSkills).toEqual(['state:TX', 'industry:insurance']);
+    });
+
+    it('should break skill ties by priority, then least recent', () => {
+      const senior = closer('senior', { priority: 5, stats: { lastTransferAt: new Date() } });
+
+      expect(selectCloser([never, senior], { strategy: 'skill_match' }).closer._id).toBe('senior');
+      expect(selectCloser([recent, older], { strategy: 'skill_match' }).closer._id).toBe('older');
+    });
+  });
+});
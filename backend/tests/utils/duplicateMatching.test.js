@@ -0,0 +1,82 @@
+/**
+ * Duplicate Matching Tests
+ *
+ * Unit tests for phonetic names, blocking keys and duplicate scoring
+ */
+
+const {
+  DUPLICATE_THRESHOLD,
+  soundex,
+  emailLocalPart,
+  normalizeCompany,
+  dedupeKeys,
+  scoreMatch,
+  pairKey
+} = require('../../src/utils/duplicateMatching');
+
+describe('soundex', () => {
+  it('matches the standard codes', () => {
+    expect(soundex('Robert')).toBe('R163');
+    expect(soundex('Rupert')).toBe('R163');
+    expect(soundex('Ashcraft')).toBe('A261');
+    expect(soundex('Tymczak')).toBe('T522');
+    expect(soundex('Lee')).toBe('L000');
+    expect(soundex('')).toBeNull();
+  });
+});
+
+describe('normalizers', () => {
+  it('reduces email local parts and company names to comparable forms', () => {
+    expect(emailLocalPart('Jane.Doe+promo@Example.com')).toBe('janedoe');
+    expect(normalizeCompany('The Acme Co., Inc.')).toBe('acme');
+  });
+});
+
+describe('dedupeKeys', () => {
+  it('builds phone, email, local-part and phonetic name keys', () => {
+    expect(dedupeKeys({
+      firstName: 'Jane',
+      lastName: 'Smith',
+      phone: '+15551234567',
+      alternatePhone: '(555) 765-4321',
+      email: 'Jane.Smith@example.com'
+    })).toEqual([
+      'p:+15551234567',
+      'p:+15557654321',
+      'e:jane.smith@example.com',
+      'l:janesmith',
+      'n:S530:J'
+    ]);
+  });
+});
+
+describe('scoreMatch', () => {
+  const lead = { firstName: 'Jon', lastName: 'Smith', phone: '+15551234567', email: 'jon.smith@gmail.com', company: { name: 'Acme Inc' } };
+
+  it('matches a second number stored as alternatePhone', () => {
+    const { score, reasons } = scoreMatch(lead, { firstName: 'Jane', lastName: 'Roe', phone: '+15550000000', alternatePhone: '555.123.4567' });
+
+    expect(reasons.map(reason => reason.rule)).toEqual(['phone']);
+    expect(score).toBeGreaterThanOrEqual(DUPLICATE_THRESHOLD);
+  });
+
+  it('matches a typo\'d email plus a phonetically equal name', () => {
+    const { score, reasons } = scoreMatch(lead, { firstName: 'John', lastName: 'Smyth', phone: '+15559999999', email: 'jonsmith@gmial.com' });
+
+    expect(reasons.map(reason => reason.rule)).toEqual(['emailSimilar', 'name']);
+    expect(score).toBe(50);
+  });
+
+  it('does not flag different people who share a company', () => {
+    const { score } = scoreMatch(lead, { firstName: 'Maria', lastName: 'Garcia', phone: '+15558888888', email: 'maria@acme.com', company: { name: 'ACME' } });
+
+    expect(score).toBeLessThan(DUPLICATE_THRESHOLD);
+  });
+});
+
+describe('pairKey', () => {
+  it('is the same regardless of order', () => {
+    expect(pairKey('b', 'a')).toBe('a:b');
+    expect(pairKey('a', 'b')).toBe('a:b');
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Health Check Tests
+ *
+ * Unit tests for probe timeouts and the readiness rollup
+ */
+
+const { runCheck, summarize } = require('../../src/utils/healthChecks');
+
+describe('runCheck', () => {
+  it('reports details and latency for a passing probe', async () => {
+    const result = await runCheck({ name: 'queues', probe: async () => ({ waiting: 2 }) });
+
+    expect(result).toMatchObject({ name: 'queues', critical: false, status: 'up', details: { waiting: 2 } });
+    expect(result.latencyMs).toEqual(expect.any(Number));
+  });
+
+  it('reports thrown errors and rejected error objects', async () => {
+    const thrown = await runCheck({ name: 'postgres', critical: true, probe: () => { throw new Error('ECONNREFUSED'); } });
+    const rejected = await runCheck({ name: 'voiceAgent', probe: () => Promise.reject({ error: 'Request timeout' }) });
+
+    expect(thrown).toMatchObject({ critical: true, status: 'down', error: 'ECONNREFUSED' });
+    expect(rejected).toMatchObject({ status: 'down', error: 'Request timeout' });
+  });
+
+  it('gives up on a probe that does not answer in time', async () => {
+    const result = await runCheck({ name: 'neo4j', probe: () => new Promise(() => {}) }, 20);
+
+    expect(result).toMatchObject({ status: 'down', error: 'Timed out after 20ms' });
+  });
+});
+
+describe('summarize', () => {
+  const up = (name, critical) => ({ name, critical, status: 'up', latencyMs: 3 });
+  const down = (name, critical) => ({ name, critical, status: 'down', latencyMs: 3, error: 'down' });
+
+  it('is ok when everything is up', () => {
+    const summary = summarize([up('mongodb', true), up('neo4j', false)]);
+
+    expect(summary.status).toBe('ok');
+    expect(summary.critical.mongodb).toEqual({ status: 'up', latencyMs: 3 });
+    expect(summary.dependencies.neo4j.status).toBe('up');
+  });
+
+  it('is degraded when only a non-critical dependency is down', () => {
+    const summary = summarize([up('mongodb', true), down('chromadb', false)]);
+
+    expect(summary.status).toBe('degraded');
+    expect(summary.failing).toEqual({ critical: [], degraded: ['chromadb'] });
+  });
+
+  it('is unavailable when a critical dependency is down', () => {
+    const summary = summarize([down('redis', true), down('chromadb', false)]);
+
+    expect(summary.status).toBe('unavailable');
+    expect(summary.failing).toEqual({ critical: ['redis'], degraded: ['chromadb'] });
+  });
+});
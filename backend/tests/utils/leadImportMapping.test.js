@@ -0,0 +1,112 @@
+/**
+ * Lead Import Mapping Tests
+ *
+ * Unit tests for CSV parsing, header detection, mapping suggestions and row mapping
+ */
+
+const {
+  parseCsv,
+  rowsToRecords,
+  flattenJsonRecords,
+  suggestMapping,
+  validateMapping,
+  mapRecord
+} = require('../../src/utils/leadImportMapping');
+
+describe('parseCsv', () => {
+  it('handles quoted delimiters, escaped quotes, CRLF and blank lines', () => {
+    const rows = parseCsv('Name,Notes\r\n"Doe, Jane","said ""call me"""\r\n\r\nJohn Smith,\n');
+
+    expect(rows).toEqual([
+      ['Name', 'Notes'],
+      ['Doe, Jane', 'said "call me"'],
+      ['John Smith', '']
+    ]);
+  });
+
+  it('detects semicolon and tab delimiters', () => {
+    expect(parseCsv('a;b;c\n1;2;3')[1]).toEqual(['1', '2', '3']);
+    expect(parseCsv('a\tb\n1\t2')[1]).toEqual(['1', '2']);
+  });
+});
+
+describe('rowsToRecords', () => {
+  it('uses the first row as headers when it looks like one', () => {
+    const { headers, records, hasHeader } = rowsToRecords([['First', 'Phone'], ['Jane', '5551234567']]);
+
+    expect(hasHeader).toBe(true);
+    expect(headers).toEqual(['First', 'Phone']);
+    expect(records).toEqual([{ First: 'Jane', Phone: '5551234567' }]);
+  });
+
+  it('names columns when the file has no header row', () => {
+    const { headers, records, hasHeader } = rowsToRecords([['Jane', 'Doe', 'jane@example.com', '5551234567']]);
+
+    expect(hasHeader).toBe(false);
+    expect(headers).toEqual(['Column 1', 'Column 2', 'Column 3', 'Column 4']);
+    expect(records).toHaveLength(1);
+  });
+});
+
+describe('suggestMapping', () => {
+  it('maps common header names and sniffs unlabeled email / phone columns', () => {
+    const headers = ['First Name', 'Surname', 'E-Mail', 'Column 4', 'Favourite colour'];
+    const records = [{ 'First Name': 'Jane', Surname: 'Doe', 'E-Mail': 'jane@example.com', 'Column 4': '(555) 123-4567', 'Favourite colour': 'red' }];
+
+    expect(suggestMapping(headers, records)).toEqual({
+      'First Name': 'firstName',
+      Surname: 'lastName',
+      'E-Mail': 'email',
+      'Column 4': 'phone',
+      'Favourite colour': null
+    });
+  });
+
+  it('keeps flattened JSON paths that are lead fields', () => {
+    const { headers } = flattenJsonRecords([{ name: 'Jane Doe', phone: '5551234567', company: { name: 'Acme' } }]);
+
+    expect(suggestMapping(headers)).toEqual({ name: 'fullName', phone: 'phone', 'company.name': 'company.name' });
+  });
+});
+
+describe('validateMapping', () => {
+  it('requires a phone and a name', () => {
+    expect(validateMapping({ Name: 'fullName' })).toMatch(/phone/);
+    expect(validateMapping({ Phone: 'phone', First: 'firstName' })).toMatch(/lastName/);
+    expect(validateMapping({ Phone: 'phone', Name: 'fullName', Extra: 'customFields.shoeSize' })).toBeNull();
+  });
+
+  it('rejects unknown targets', () => {
+    expect(validateMapping({ Phone: 'phone', Name: 'fullName', Score: 'qualificationScore' })).toMatch(/Unknown lead field/);
+  });
+});
+
+describe('mapRecord', () => {
+  const mapping = { Name: 'fullName', Phone: 'phone', Email: 'email', Source: 'source', Tags: 'tags' };
+
+  it('normalizes a row into lead data', () => {
+    const { lead, errors } = mapRecord(
+      { Name: 'Doe, Jane', Phone: '(555) 123-4567', Email: 'Jane@Example.com', Source: 'Trade show', Tags: 'hot; spring' },
+      mapping,
+      { tags: ['upload'], priority: 'high' }
+    );
+
+    expect(errors).toEqual([]);
+    expect(lead).toMatchObject({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      phone: '+15551234567',
+      email: 'jane@example.com',
+      source: 'other',
+      priority: 'high',
+      tags: ['upload', 'hot', 'spring'],
+      customFields: { originalSource: 'Trade show' }
+    });
+  });
+
+  it('reports every validation problem', () => {
+    const { errors } = mapRecord({ Name: 'Cher', Phone: '', Email: 'not-an-email' }, mapping);
+
+    expect(errors).toEqual(['lastName is required', 'phone is required', 'Invalid email: not-an-email']);
+  });
+});
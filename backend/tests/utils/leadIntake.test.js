@@ -0,0 +1,152 @@
+/**
+ * Lead Intake Tests
+ *
+ * Unit tests for intake credentials, request signatures, consent evidence
+ * and payload mapping
+ */
+
+const {
+  generateKey,
+  parseApiKey,
+  hashSecret,
+  verifyApiKey,
+  signPayload,
+  verifySignature,
+  payloadHash,
+  readPayload,
+  extractConsent,
+  mapPayload
+} = require('../../src/utils/leadIntake');
+
+describe('intake credentials', () => {
+  it('issues API keys that verify only against their own hash', () => {
+    const { keyId, secret, apiKey } = generateKey();
+    const parsed = parseApiKey(apiKey);
+
+    expect(parsed).toEqual({ keyId, secret });
+    expect(verifyApiKey(parsed.secret, hashSecret(secret))).toBe(true);
+    expect(verifyApiKey('wrong', hashSecret(secret))).toBe(false);
+    expect(verifyApiKey(secret, undefined)).toBe(false);
+  });
+
+  it('rejects malformed API keys', () => {
+    expect(parseApiKey('')).toBeNull();
+    expect(parseApiKey('lsk_nothex_secret')).toBeNull();
+    expect(parseApiKey('sk_0123456789ab_secret')).toBeNull();
+  });
+});
+
+describe('verifySignature', () => {
+  const secret = 'signing-secret';
+  const rawBody = Buffer.from('{"phone":"5551234567"}');
+  const now = 1700000000000;
+  const timestamp = String(now / 1000);
+
+  it('accepts a signature over the timestamp and raw body', () => {
+    const signature = signPayload(secret, timestamp, rawBody);
+
+    expect(verifySignature({ secret, timestamp, signature, rawBody, now })).toBeNull();
+    expect(verifySignature({ secret, timestamp, signature: `sha256=${signature}`, rawBody, now })).toBeNull();
+  });
+
+  it('rejects altered bodies, stale timestamps and missing headers', () => {
+    const signature = signPayload(secret, timestamp, rawBody);
+
+    expect(verifySignature({ secret, timestamp, signature, rawBody: Buffer.from('{"phone":"5550000000"}'), now }))
+      .toBe('Invalid signature');
+    expect(verifySignature({ secret, timestamp, signature, rawBody, now: now + 301 * 1000 }))
+      .toMatch(/allowed window/);
+    expect(verifySignature({ secret, signature, rawBody, now })).toMatch(/required/);
+  });
+
+  it('hashes raw and parsed bodies', () => {
+    expect(payloadHash('{"a":1}')).toBe(payloadHash(Buffer.from('{"a":1}')));
+    expect(payloadHash({ a: 1 })).toBe(payloadHash('{"a":1}'));
+  });
+});
+
+describe('extractConsent', () => {
+  it('reads common consent keys, including nested ones', () => {
+    const { record } = readPayload({
+      phone: '5551234567',
+      tcpa_consent: 'yes',
+      consent: { page_url: 'https://example.com/quote', ip: '203.0.113.7' },
+      consentedAt: '2026-01-05T14:00:00Z'
+    });
+
+    const consent = extractConsent(record, { disclosureText: 'By submitting you agree...' });
+
+    expect(consent).toMatchObject({
+      granted: true,
+      disclosureText: 'By submitting you agree...',
+      pageUrl: 'https://example.com/quote',
+      ipAddress: '203.0.113.7'
+    });
+    expect(consent.consentedAt.toISOString()).toBe('2026-01-05T14:00:00.000Z');
+    expect(consent.keys).toEqual(expect.arrayContaining(['tcpa_consent', 'consent.page_url', 'consent.ip', 'consentedAt']));
+  });
+
+  it('uses configured keys and honours a declined checkbox', () => {
+    const consent = extractConsent(
+      { agree_to_calls: 'No', disclosure: 'Posted text', landing: 'https://x.io' },
+      { fields: { granted: 'Agree To Calls', pageUrl: 'landing' }, disclosureText: 'Configured text' }
+    );
+
+    expect(consent.granted).toBe(false);
+    expect(consent.disclosureText).toBe('Posted text');
+    expect(consent.pageUrl).toBe('https://x.io');
+  });
+
+  it('does not treat a submission without a consent value as consent', () => {
+    const consent = extractConsent(
+      { phone: '5551234567', page_url: 'https://example.com/quote' },
+      { disclosureText: 'Configured text' }
+    );
+
+    expect(consent).toMatchObject({ granted: false, missing: true });
+
+    expect(extractConsent({ phone: '5551234567', consent: '' })).toMatchObject({ granted: false, missing: true });
+  });
+
+  it('grants only on explicit affirmative values', () => {
+    for (const value of ['true', 'Yes', 'y', '1', 'ON', 'agreed', true, 1]) {
+      expect(extractConsent({ consent: value })).toMatchObject({ granted: true, missing: false });
+    }
+
+    for (const value of ['false', 'no', '0', 'off', 'declined', 'maybe', false, 0]) {
+      expect(extractConsent({ consent: value })).toMatchObject({ granted: false, missing: false });
+    }
+  });
+});
+
+describe('mapPayload', () => {
+  it('matches configured fields case-insensitively and leaves out consent keys', () => {
+    const { lead, errors } = mapPayload(
+      { Full_Name: 'Jane Doe', Mobile: '555.123.4567', 'Loan Type': 'FHA', ip: '203.0.113.7' },
+      {
+        fields: [
+          { label: 'full name', field: 'fullName' },
+          { label: 'mobile', field: 'phone' },
+          { label: 'loan type', field: 'customFields.loanType' }
+        ],
+        defaults: { source: 'website' },
+        excludeKeys: ['ip']
+      }
+    );
+
+    expect(errors).toEqual([]);
+    expect(lead).toMatchObject({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      phone: '+15551234567',
+      source: 'website',
+      customFields: { loanType: 'FHA' }
+    });
+    expect(lead.customFields.ip).toBeUndefined();
+  });
+
+  it('suggests a mapping without configured fields and reports missing data', () => {
+    expect(mapPayload({ first_name: 'Jane', last_name: 'Doe', phone: '5551234567' }).errors).toEqual([]);
+    expect(mapPayload({ first_name: 'Jane', last_name: 'Doe' }).errors[0]).toMatch(/phone/);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Lead Source Parser Tests
+ *
+ * Unit tests for email match rules and the labeled-line, HTML table,
+ * JSON and CSV attachment templates
+ */
+
+const {
+  htmlToText,
+  senderAddress,
+  extractRecords,
+  matchesSource,
+  validateMatchRules,
+  validateTemplate,
+  parseMessage
+} = require('../../src/utils/leadSourceParsers');
+
+describe('matchesSource', () => {
+  const source = {
+    match: { senders: ['@vendor.com', 'leads@other.io'], subjectPatterns: ['^new lead'] }
+  };
+
+  it('requires every rule group that is set', () => {
+    expect(matchesSource(source, { from: 'Vendor Leads <Leads@Vendor.com>', subject: 'New Lead #42' })).toBe(true);
+    expect(matchesSource(source, { from: 'leads@other.io', subject: 'new lead' })).toBe(true);
+    expect(matchesSource(source, { from: 'leads@vendor.com', subject: 'Invoice' })).toBe(false);
+    expect(matchesSource(source, { from: 'someone@notvendor.org', subject: 'New lead' })).toBe(false);
+  });
+
+  it('never matches a source without rules', () => {
+    expect(matchesSource({ match: {} }, { from: 'a@b.com', subject: 'x' })).toBe(false);
+  });
+
+  it('validates rules', () => {
+    expect(validateMatchRules({ senders: ['@vendor.com'] })).toBeNull();
+    expect(validateMatchRules({})).toMatch(/At least one/);
+    expect(validateMatchRules({ senders: ['vendor'] })).toMatch(/Invalid sender/);
+    expect(validateMatchRules({ subjectPatterns: ['(unclosed'] })).toMatch(/Invalid subject pattern/);
+  });
+});
+
+describe('extractRecords', () => {
+  it('reads labeled lines case-insensitively, first label wins', () => {
+    const { records } = extractRecords({ format: 'labeled_lines' }, {
+      body: 'First Name:  Jane\nlast name: Doe\nPhone: (555) 123-4567\nphone: 999\nNote: see https://x.io'
+    });
+
+    expect(records).toEqual([{
+      'FIRST NAME': 'Jane',
+      'LAST NAME': 'Doe',
+      PHONE: '(555) 123-4567',
+      NOTE: 'see https://x.io'
+    }]);
+  });
+
+  it('reduces HTML bodies and From headers to plain values', () => {
+    expect(htmlToText('<p>Name:&nbsp;Jane <b>Doe</b></p><br>Phone: 5551234567')).toBe('Name: Jane Doe\nPhone: 5551234567');
+    expect(senderAddress('"Leads" <LEADS@X.COM>')).toBe('leads@x.com');
+  });
+
+  it('reads key / value tables and grid tables', () => {
+    const keyValue = extractRecords({ format: 'html_table' }, {
+      html: '<table><tr><th>First Name:</th><td>Jane</td></tr><tr><td>Phone</td><td>555-123-4567</td></tr></table>'
+    });
+    expect(keyValue.records).toEqual([{ 'FIRST NAME': 'Jane', PHONE: '555-123-4567' }]);
+
+    const grid = extractRecords({ format: 'html_table' }, {
+      html: '<table><tr><th>Name</th><th>Phone</th><th>Email</th></tr>' +
+        '<tr><td>Jane Doe</td><td>5551234567</td><td>jane@x.com</td></tr>' +
+        '<tr><td>John Roe</td><td>5559876543</td><td>john@x.com</td></tr></table>'
+    });
+    expect(grid.headers).toEqual(['NAME', 'PHONE', 'EMAIL']);
+    expect(grid.records).toHaveLength(2);
+  });
+
+  it('reads JSON under a root path, tolerating text around it', () => {
+    const { records } = extractRecords({ format: 'json', jsonRoot: 'data.leads' }, {
+      body: 'Lead delivery:\n{"data":{"leads":[{"contact":{"first":"Jane"},"phone":"5551234567"}]}}\n-- \nVendor'
+    });
+    expect(records).toEqual([{ 'CONTACT.FIRST': 'Jane', PHONE: '5551234567' }]);
+
+    expect(() => extractRecords({ format: 'json', jsonRoot: 'missing' }, { body: '{}' })).toThrow(/missing/);
+  });
+
+  it('reads every CSV attachment and ignores other files', () => {
+    const { records } = extractRecords({ format: 'csv_attachment' }, {
+      attachments: [
+        { filename: 'leads.csv', content: 'name,phone\nJane Doe,5551234567\n' },
+        { filename: 'more.CSV', content: 'name,phone\nJohn Roe,5559876543\n' },
+        { filename: 'logo.png', mimeType: 'image/png', content: 'x' }
+      ]
+    });
+    expect(records.map(record => record.NAME)).toEqual(['Jane Doe', 'John Roe']);
+  });
+});
+
+describe('parseMessage', () => {
+  it('maps labels through template fields and source defaults', () => {
+    const source = {
+      slug: 'acme',
+      template: {
+        format: 'labeled_lines',
+        fields: [
+          { label: 'Applicant', field: 'fullName' },
+          { label: 'Best number', field: 'phone' },
+          { label: 'Loan type', field: 'customFields.loanType' },
+          { label: 'Internal ref', field: null }
+        ]
+      },
+      defaults: { source: 'partner', tags: ['acme'] }
+    };
+
+    const result = parseMessage(source, {
+      body: 'APPLICANT: Jane Doe\nBEST NUMBER: 555.123.4567\nLoan Type: FHA\nInternal Ref: 991'
+    });
+
+    expect(result.rejected).toEqual([]);
+    expect(result.leads).toEqual([{
+      firstName: 'Jane',
+      lastName: 'Doe',
+      phone: '+15551234567',
+      source: 'partner',
+      priority: 'medium',
+      tags: ['acme'],
+      customFields: { loanType: 'FHA' }
+    }]);
+  });
+
+  it('suggests a mapping when the template has no fields', () => {
+    const result = parseMessage({ template: { format: 'csv_attachment' } }, {
+      attachments: [{ filename: 'a.csv', content: 'First Name,Last Name,Phone\nJane,Doe,5551234567\nJohn,,5559876543\n' }]
+    });
+
+    expect(result.leads).toHaveLength(1);
+    expect(result.rejected).toEqual([{ row: 2, errors: ['lastName is required'] }]);
+  });
+
+  it('reports unusable emails instead of throwing', () => {
+    expect(parseMessage({ template: { format: 'labeled_lines' } }, { body: 'Hello there' }).error)
+      .toBe('No lead data found in the email');
+    expect(parseMessage({ template: { format: 'labeled_lines' } }, { body: 'Name: Jane Doe' }).error)
+      .toMatch(/phone/);
+    expect(parseMessage({ template: { format: 'json' } }, { body: 'not json' }).error)
+      .toBe('Body is not JSON');
+  });
+
+  it('validates templates', () => {
+    expect(validateTemplate({ format: 'json' })).toBeNull();
+    expect(validateTemplate({ format: 'pdf' })).toMatch(/template.format/);
+    expect(validateTemplate({ format: 'labeled_lines', fields: [{ label: 'Name', field: 'fullName' }] })).toMatch(/phone/);
+  });
+});
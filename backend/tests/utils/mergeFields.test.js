@@ -0,0 +1,47 @@
+/**
+ * Merge Field Renderer Tests
+ *
+ * Unit tests for nurture sequence template rendering
+ */
+
+const { renderTemplate, extractMergeFields } = require('../../src/utils/mergeFields');
+
+describe('Merge Fields', () => {
+
+  const context = {
+    contactInfo: { firstName: 'Dana', lastName: 'Reyes', email: '' },
+    qualificationScores: { total: 0 },
+    organization: { name: 'Acme' }
+  };
+
+  describe('renderTemplate', () => {
+    it('should replace nested paths', () => {
+      expect(renderTemplate('Hi {{contactInfo.firstName}}, this is {{ organization.name }}.', context))
+        .toBe('Hi Dana, this is Acme.');
+    });
+
+    it('should use the fallback for missing or empty values', () => {
+      expect(renderTemplate('Hi {{contactInfo.nickname | there}}', context)).toBe('Hi there');
+      expect(renderTemplate('Email: {{contactInfo.email|n/a}}', context)).toBe('Email: n/a');
+    });
+
+    it('should render unknown paths without a fallback as empty', () => {
+      expect(renderTemplate('[{{status.current}}]', context)).toBe('[]');
+    });
+
+    it('should keep falsy non-empty values', () => {
+      expect(renderTemplate('Score {{qualificationScores.total}}', context)).toBe('Score 0');
+    });
+
+    it('should return an empty string for an empty template', () => {
+      expect(renderTemplate(undefined, context)).toBe('');
+    });
+  });
+
+  describe('extractMergeFields', () => {
+    it('should list the fields a template uses', () => {
+      expect(extractMergeFields('{{contactInfo.firstName}} {{organization.name | us}}'))
+        .toEqual(['contactInfo.firstName', 'organization.name']);
+    });
+  });
+});
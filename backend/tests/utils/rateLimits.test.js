@@ -0,0 +1,98 @@
+/**
+ * Rate Limit Tests
+ *
+ * Unit tests for caller keys, per-role limits, window math and headers
+ */
+
+const {
+  identify,
+  resolveMax,
+  currentWindow,
+  evaluate,
+  limitHeaders,
+  validatePolicy,
+  DAY_MS
+} = require('../../src/utils/rateLimits');
+
+describe('identify', () => {
+  it('prefers the user, then the API key, then the IP', () => {
+    expect(identify({ userId: 'u1', apiKeyId: 'k1', ip: '1.2.3.4' }).key).toBe('user:u1');
+    expect(identify({ apiKeyId: 'k1', ip: '1.2.3.4' }).key).toBe('key:k1');
+    expect(identify({ ip: '1.2.3.4' })).toEqual({ key: 'ip:1.2.3.4', type: 'ip', role: null });
+  });
+
+  it('keys organization quotas by organization when there is one', () => {
+    const caller = { userId: 'u1', role: 'agent', organizationId: 'o1' };
+
+    expect(identify(caller, 'organization')).toEqual({ key: 'org:o1', type: 'organization', role: 'agent' });
+    expect(identify({ userId: 'u1' }, 'organization').key).toBe('user:u1');
+  });
+});
+
+describe('resolveMax', () => {
+  const policy = { name: 'api', windowMs: 1000, max: 100, roles: { admin: 500 }, anonymousMax: 20 };
+
+  it('uses the role override, else the default', () => {
+    expect(resolveMax(policy, { type: 'user', role: 'admin' })).toBe(500);
+    expect(resolveMax(policy, { type: 'user', role: 'agent' })).toBe(100);
+    expect(resolveMax(policy, { type: 'api_key', role: null })).toBe(100);
+  });
+
+  it('uses the anonymous limit for IP callers', () => {
+    expect(resolveMax(policy, { type: 'ip', role: null })).toBe(20);
+    expect(resolveMax({ ...policy, anonymousMax: undefined }, { type: 'ip', role: null })).toBe(100);
+  });
+});
+
+describe('currentWindow', () => {
+  it('aligns windows to the epoch', () => {
+    expect(currentWindow(61000, 60000)).toEqual({ index: 1, resetAt: 120000 });
+    expect(currentWindow(Date.UTC(2025, 0, 2, 15), DAY_MS).resetAt).toBe(Date.UTC(2025, 0, 3));
+  });
+});
+
+describe('evaluate', () => {
+  it('allows up to max and counts down remaining', () => {
+    expect(evaluate({ count: 10, max: 10, resetAt: 61000, now: 1000 })).toEqual({
+      allowed: true,
+      limit: 10,
+      remaining: 0,
+      resetSeconds: 60
+    });
+    expect(evaluate({ count: 11, max: 10, resetAt: 61000, now: 60500 })).toMatchObject({
+      allowed: false,
+      remaining: 0,
+      resetSeconds: 1
+    });
+  });
+});
+
+describe('limitHeaders', () => {
+  it('sends RateLimit headers, and Retry-After once blocked', () => {
+    const allowed = limitHeaders({ allowed: true, limit: 100, remaining: 40, resetSeconds: 30 }, 900000);
+
+    expect(allowed).toEqual({
+      'RateLimit-Policy': '100;w=900',
+      'RateLimit-Limit': '100',
+      'RateLimit-Remaining': '40',
+      'RateLimit-Reset': '30'
+    });
+
+    const blocked = limitHeaders({ allowed: false, limit: 100, remaining: 0, resetSeconds: 30 }, 900000);
+    expect(blocked['Retry-After']).toBe('30');
+  });
+});
+
+describe('validatePolicy', () => {
+  it('accepts a complete policy', () => {
+    expect(validatePolicy({ name: 'api', windowMs: 1000, max: 10, roles: { admin: 20 } })).toBeNull();
+  });
+
+  it('rejects missing names, windows and bad limits', () => {
+    expect(validatePolicy({ windowMs: 1000, max: 10 })).toMatch(/name/);
+    expect(validatePolicy({ name: 'api', max: 10 })).toMatch(/windowMs/);
+    expect(validatePolicy({ name: 'api', windowMs: 1000 })).toMatch(/max/);
+    expect(validatePolicy({ name: 'api', windowMs: 1000, max: -1 })).toMatch(/non-negative/);
+    expect(validatePolicy({ name: 'api', windowMs: 1000, max: 10, roles: { admin: 1.5 } })).toMatch(/non-negative/);
+  });
+});
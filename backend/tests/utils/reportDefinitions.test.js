@@ -0,0 +1,99 @@
+/**
+ * Report Definition Tests
+ *
+ * Unit tests for report periods, custom report validation and derived metrics
+ */
+
+const {
+  resolvePeriodRange,
+  requiredFields,
+  deriveMetrics,
+  buildPeriodDefinition,
+  buildCustomDefinition
+} = require('../../src/utils/reportDefinitions');
+
+describe('resolvePeriodRange', () => {
+  it('covers one local calendar day', () => {
+    const { start, end } = resolvePeriodRange('daily', { date: '2026-03-10', timezone: 'America/Chicago' });
+
+    expect(start.toISOString()).toBe('2026-03-10T05:00:00.000Z');
+    expect(end.toISOString()).toBe('2026-03-11T05:00:00.000Z');
+  });
+
+  it('starts weeks on Monday', () => {
+    // 2026-03-12 is a Thursday
+    const { start, end } = resolvePeriodRange('weekly', { date: '2026-03-12', timezone: 'UTC' });
+
+    expect(start.toISOString()).toBe('2026-03-09T00:00:00.000Z');
+    expect(end.toISOString()).toBe('2026-03-16T00:00:00.000Z');
+  });
+
+  it('covers the calendar month across a year boundary', () => {
+    const { start, end } = resolvePeriodRange('monthly', { date: '2026-12-15', timezone: 'UTC' });
+
+    expect(start.toISOString()).toBe('2026-12-01T00:00:00.000Z');
+    expect(end.toISOString()).toBe('2027-01-01T00:00:00.000Z');
+  });
+});
+
+describe('buildPeriodDefinition', () => {
+  it('falls back to the default timezone for an unknown one', () => {
+    const definition = buildPeriodDefinition('daily', { date: '2026-03-10', timezone: 'Mars/Base' });
+
+    expect(definition.timezone).toBe('America/New_York');
+    expect(definition.breakdowns).toEqual([['campaign'], ['agent'], ['source']]);
+  });
+});
+
+describe('buildCustomDefinition', () => {
+  const base = { metrics: ['callsPlaced', 'contactRate'], startDate: '2026-03-01', endDate: '2026-03-31', timezone: 'UTC' };
+
+  it('treats a plain endDate as inclusive', () => {
+    const { definition, error } = buildCustomDefinition({ ...base, dimensions: ['campaign', 'day'] });
+
+    expect(error).toBeUndefined();
+    expect(definition.range.end.toISOString()).toBe('2026-04-01T00:00:00.000Z');
+    expect(definition.breakdowns).toEqual([['campaign', 'day']]);
+  });
+
+  it('rejects unknown metrics and dimensions', () => {
+    expect(buildCustomDefinition({ ...base, metrics: ['profit'] }).error).toMatch(/Unknown metrics: profit/);
+    expect(buildCustomDefinition({ ...base, dimensions: ['region'] }).error).toMatch(/Unknown dimensions: region/);
+  });
+
+  it('rejects metrics that cannot be broken down by a dimension', () => {
+    const { error } = buildCustomDefinition({ ...base, metrics: ['dncAdditions'], dimensions: ['campaign'] });
+
+    expect(error).toMatch(/dncAdditions cannot be broken down by campaign/);
+  });
+
+  it('rejects bad or reversed date ranges', () => {
+    expect(buildCustomDefinition({ ...base, startDate: undefined }).error).toMatch(/required/);
+    expect(buildCustomDefinition({ ...base, startDate: '2026-04-01' }).error).toMatch(/after startDate/);
+    expect(buildCustomDefinition({ ...base, startDate: '2024-01-01' }).error).toMatch(/cannot exceed/);
+  });
+});
+
+describe('derived metrics', () => {
+  it('collects the raw fields derived metrics depend on', () => {
+    expect(requiredFields(['contactRate', 'averageScore'])).toEqual({
+      calls: ['callsAnswered', 'callsPlaced'],
+      scores: ['scoreTotal', 'scoreCalculations']
+    });
+  });
+
+  it('computes rates and averages without dividing by zero', () => {
+    const values = deriveMetrics(
+      { callsPlaced: 8, callsAnswered: 2, totalTalkSeconds: 300, transfers: 0, revenue: 1234.567 },
+      ['contactRate', 'averageTalkTime', 'transferSuccessRate', 'revenue', 'leadsCreated']
+    );
+
+    expect(values).toEqual({
+      contactRate: 25,
+      averageTalkTime: 150,
+      transferSuccessRate: 0,
+      revenue: 1234.57,
+      leadsCreated: 0
+    });
+  });
+});
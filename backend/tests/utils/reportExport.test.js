@@ -0,0 +1,49 @@
+/**
+ * Report Export Tests
+ *
+ * Unit tests for report CSV rendering
+ */
+
+const { toCsv, describeRange } = require('../../src/utils/reportExport');
+
+const report = {
+  period: 'weekly',
+  timezone: 'UTC',
+  range: { start: new Date('2026-03-09T00:00:00Z'), end: new Date('2026-03-16T00:00:00Z') },
+  metrics: ['callsPlaced', 'contactRate'],
+  totals: { callsPlaced: 10, contactRate: 40 },
+  breakdowns: [{
+    dimensions: ['campaign'],
+    metrics: ['callsPlaced'],
+    rows: [
+      { campaign: { id: 'c1', name: 'Spring, "promo"' }, metrics: { callsPlaced: 7 } },
+      { campaign: { id: null, name: '=cmd' }, metrics: { callsPlaced: 3 } }
+    ]
+  }],
+  warnings: [],
+  generatedAt: new Date('2026-03-16T08:00:00Z')
+};
+
+describe('describeRange', () => {
+  it('shows the inclusive last day', () => {
+    expect(describeRange(report)).toBe('2026-03-09 to 2026-03-15 (UTC)');
+  });
+});
+
+describe('toCsv', () => {
+  it('renders totals and breakdown sections with metric labels', () => {
+    const lines = toCsv(report, { title: 'Weekly numbers' }).split('\r\n');
+
+    expect(lines.slice(0, 2)).toEqual(['Weekly numbers', 'Period,2026-03-09 to 2026-03-15 (UTC)']);
+    expect(lines).toContain('Metric,Value');
+    expect(lines).toContain('Contact rate (%),40');
+    expect(lines).toContain('Campaign,Calls placed');
+  });
+
+  it('quotes special characters and neutralizes formulas', () => {
+    const csv = toCsv(report);
+
+    expect(csv).toContain('"Spring, ""promo""",7');
+    expect(csv).toContain('\'=cmd,3');
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Report Schedule Tests
+ *
+ * Unit tests for per-recipient delivery times and delivered report ranges
+ */
+
+const { getNextDelivery, getDeliveryDefinition } = require('../../src/utils/reportSchedule');
+
+describe('getNextDelivery', () => {
+  it('delivers weekly at the local time in the recipient timezone', () => {
+    // Wednesday 2026-03-11 12:00 UTC
+    const after = new Date('2026-03-11T12:00:00Z');
+    const schedule = { frequency: 'weekly', dayOfWeek: 1, time: '08:00' };
+
+    expect(getNextDelivery(schedule, 'America/Chicago', after).toISOString()).toBe('2026-03-16T13:00:00.000Z');
+    expect(getNextDelivery(schedule, 'Europe/London', after).toISOString()).toBe('2026-03-16T08:00:00.000Z');
+  });
+
+  it('moves to tomorrow once today\'s daily slot has passed', () => {
+    const schedule = { frequency: 'daily', time: '07:30' };
+
+    expect(getNextDelivery(schedule, 'UTC', new Date('2026-03-11T07:29:00Z')).toISOString()).toBe('2026-03-11T07:30:00.000Z');
+    expect(getNextDelivery(schedule, 'UTC', new Date('2026-03-11T07:30:00Z')).toISOString()).toBe('2026-03-12T07:30:00.000Z');
+  });
+
+  it('finds the next month for monthly schedules', () => {
+    const schedule = { frequency: 'monthly', dayOfMonth: 1, time: '06:00' };
+
+    expect(getNextDelivery(schedule, 'UTC', new Date('2026-12-15T00:00:00Z')).toISOString()).toBe('2027-01-01T06:00:00.000Z');
+  });
+});
+
+describe('getDeliveryDefinition', () => {
+  // Monday 2026-03-16 08:00 in Chicago
+  const at = new Date('2026-03-16T13:00:00Z');
+
+  it('sends the previous complete week', () => {
+    const { definition } = getDeliveryDefinition({ period: 'weekly' }, at, 'America/Chicago');
+
+    expect(definition.range.start.toISOString()).toBe('2026-03-09T05:00:00.000Z');
+    expect(definition.range.end.toISOString()).toBe('2026-03-16T05:00:00.000Z');
+  });
+
+  it('sends the previous month on the first of the month', () => {
+    const { definition } = getDeliveryDefinition({ period: 'monthly' }, new Date('2026-04-01T12:00:00Z'), 'UTC');
+
+    expect(definition.range.start.toISOString()).toBe('2026-03-01T00:00:00.000Z');
+    expect(definition.range.end.toISOString()).toBe('2026-04-01T00:00:00.000Z');
+  });
+
+  it('sends the last lookbackDays for custom reports', () => {
+    const { definition } = getDeliveryDefinition(
+      { period: 'custom', metrics: ['callsPlaced'], dimensions: ['day'], lookbackDays: 3 },
+      at,
+      'UTC'
+    );
+
+    expect(definition.range.start.toISOString()).toBe('2026-03-13T00:00:00.000Z');
+    expect(definition.range.end.toISOString()).toBe('2026-03-16T00:00:00.000Z');
+  });
+
+  it('reports invalid custom definitions', () => {
+    expect(getDeliveryDefinition({ period: 'custom', metrics: [] }, at, 'UTC').error).toMatch(/metrics/);
+  });
+});
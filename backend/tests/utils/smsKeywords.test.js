@@ -0,0 +1,69 @@
+/**
+ * SMS Keyword Tests
+ *
+ * Unit tests for STOP / START / HELP detection and confirmation replies
+ */
+
+const { parseKeyword, buildKeywordReply, KEYWORD_TYPES } = require('../../src/utils/smsKeywords');
+
+describe('parseKeyword', () => {
+  it('detects opt-out, opt-in and help keywords', () => {
+    expect(parseKeyword('STOP')).toEqual({ type: KEYWORD_TYPES.OPT_OUT, keyword: 'STOP' });
+    expect(parseKeyword('unsubscribe')).toEqual({ type: KEYWORD_TYPES.OPT_OUT, keyword: 'UNSUBSCRIBE' });
+    expect(parseKeyword('Start')).toEqual({ type: KEYWORD_TYPES.OPT_IN, keyword: 'START' });
+    expect(parseKeyword('UNSTOP')).toEqual({ type: KEYWORD_TYPES.OPT_IN, keyword: 'UNSTOP' });
+    expect(parseKeyword('help')).toEqual({ type: KEYWORD_TYPES.HELP, keyword: 'HELP' });
+  });
+
+  it('ignores case, surrounding whitespace and punctuation', () => {
+    expect(parseKeyword('  stop  ')?.keyword).toBe('STOP');
+    expect(parseKeyword('Stop!')?.keyword).toBe('STOP');
+    expect(parseKeyword('\nsToP.\n')?.keyword).toBe('STOP');
+    expect(parseKeyword('STOP ALL')?.keyword).toBe('STOPALL');
+    expect(parseKeyword('opt-out')?.keyword).toBe('OPTOUT');
+  });
+
+  it('treats ordinary replies as messages, not keywords', () => {
+    expect(parseKeyword('yes')).toBeNull();
+    expect(parseKeyword('Yes!')).toBeNull();
+    expect(parseKeyword('stop calling me later')).toBeNull();
+    expect(parseKeyword('please stop by tomorrow')).toBeNull();
+    expect(parseKeyword('I need help with my account')).toBeNull();
+    expect(parseKeyword('start tomorrow?')).toBeNull();
+  });
+
+  it('returns null for empty messages', () => {
+    expect(parseKeyword('')).toBeNull();
+    expect(parseKeyword(null)).toBeNull();
+    expect(parseKeyword('   ')).toBeNull();
+  });
+});
+
+describe('buildKeywordReply', () => {
+  it('confirms opt-out and tells the lead how to resubscribe', () => {
+    const reply = buildKeywordReply(KEYWORD_TYPES.OPT_OUT, { brand: 'Acme' });
+
+    expect(reply).toMatch(/^Acme: /);
+    expect(reply).toMatch(/unsubscribed/);
+    expect(reply).toMatch(/Reply START/);
+  });
+
+  it('includes rates, HELP and STOP in the opt-in confirmation', () => {
+    const reply = buildKeywordReply(KEYWORD_TYPES.OPT_IN, { brand: 'Acme' });
+
+    expect(reply).toMatch(/resubscribed/);
+    expect(reply).toMatch(/Msg&data rates may apply/);
+    expect(reply).toMatch(/HELP/);
+    expect(reply).toMatch(/STOP/);
+  });
+
+  it('points HELP at the support contact', () => {
+    const reply = buildKeywordReply(KEYWORD_TYPES.HELP, { brand: 'Acme', supportContact: 'help@acme.test' });
+
+    expect(reply).toBe('Acme: For help, contact help@acme.test. Msg&data rates may apply. Reply STOP to cancel.');
+  });
+
+  it('has no reply for unknown types', () => {
+    expect(buildKeywordReply('unknown')).toBeNull();
+  });
+});
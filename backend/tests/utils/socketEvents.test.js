@@ -0,0 +1,45 @@
+/**
+ * Socket Event Tests
+ *
+ * Unit tests for per-event role checks and the per-socket rate limit
+ */
+
+const { canEmit, canMonitorAll, createEventLimiter } = require('../../src/utils/socketEvents');
+
+describe('canEmit', () => {
+  it('lets only call roles emit call events', () => {
+    expect(canEmit('agent', 'engagement-update')).toBe(true);
+    expect(canEmit('manager', 'phase-transition')).toBe(true);
+    expect(canEmit('user', 'engagement-update')).toBe(false);
+    expect(canEmit('user', 'monitor-calls')).toBe(false);
+  });
+
+  it('lets every role refresh and join rooms', () => {
+    expect(canEmit('user', 'refresh-dashboard')).toBe(true);
+    expect(canEmit('user', 'join-room')).toBe(true);
+  });
+
+  it('refuses unknown events and roles', () => {
+    expect(canEmit('admin', 'kevin-availability-update')).toBe(false);
+    expect(canEmit(undefined, 'join-room')).toBe(false);
+  });
+});
+
+describe('canMonitorAll', () => {
+  it('is limited to managers and admins', () => {
+    expect(canMonitorAll('admin')).toBe(true);
+    expect(canMonitorAll('manager')).toBe(true);
+    expect(canMonitorAll('agent')).toBe(false);
+  });
+});
+
+describe('createEventLimiter', () => {
+  it('allows max events per window, then resets', () => {
+    const allow = createEventLimiter({ max: 2, windowMs: 1000 });
+
+    expect(allow(0)).toBe(true);
+    expect(allow(10)).toBe(true);
+    expect(allow(20)).toBe(false);
+    expect(allow(1000)).toBe(true);
+  });
+});
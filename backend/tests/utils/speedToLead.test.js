@@ -0,0 +1,94 @@
+/**
+ * Speed-to-Lead Tests
+ *
+ * Unit tests for rule matching and the time-to-first-dial summary
+ */
+
+const {
+  matchesRule,
+  selectRule,
+  validateCriteria,
+  summarizeDelays
+} = require('../../src/utils/speedToLead');
+
+describe('matchesRule', () => {
+  const lead = {
+    priority: 'high',
+    source: 'website',
+    tags: ['gmail_import', 'category:fresh'],
+    customFields: { leadSource: 'leadpower', category: 'fresh' }
+  };
+
+  it('requires every criteria list that is set', () => {
+    expect(matchesRule({ criteria: { priorities: ['high', 'urgent'], leadSources: ['leadpower'] } }, lead)).toBe(true);
+    expect(matchesRule({ criteria: { priorities: ['urgent'], leadSources: ['leadpower'] } }, lead)).toBe(false);
+    expect(matchesRule({ criteria: { categories: ['fresh'], tags: ['vip', 'category:fresh'] } }, lead)).toBe(true);
+    expect(matchesRule({ criteria: { sources: ['referral'] } }, lead)).toBe(false);
+  });
+
+  it('matches every lead when no criteria are set', () => {
+    expect(matchesRule({ criteria: {} }, {})).toBe(true);
+    expect(matchesRule({ criteria: { tags: [] } }, lead)).toBe(true);
+  });
+
+  it('does not match leads missing the value', () => {
+    expect(matchesRule({ criteria: { leadSources: ['leadpower'] } }, { priority: 'high' })).toBe(false);
+  });
+});
+
+describe('selectRule', () => {
+  it('picks the first active matching rule by priority', () => {
+    const rules = [
+      { name: 'all', priority: 200, criteria: {} },
+      { name: 'hot', priority: 10, criteria: { priorities: ['urgent'] } },
+      { name: 'fresh', priority: 50, criteria: { priorities: ['high'] } },
+      { name: 'paused', priority: 1, isActive: false, criteria: {} }
+    ];
+
+    expect(selectRule(rules, { priority: 'high' }).name).toBe('fresh');
+    expect(selectRule(rules, { priority: 'urgent' }).name).toBe('hot');
+    expect(selectRule(rules, { priority: 'low' }).name).toBe('all');
+    expect(selectRule([], { priority: 'low' })).toBeNull();
+  });
+});
+
+describe('validateCriteria', () => {
+  it('accepts known lists of strings', () => {
+    expect(validateCriteria(undefined)).toBeNull();
+    expect(validateCriteria({ priorities: ['urgent'], leadSources: ['leadpower'] })).toBeNull();
+  });
+
+  it('rejects unknown names, bad values and priorities', () => {
+    expect(validateCriteria([])).toMatch(/object/);
+    expect(validateCriteria({ score: ['80'] })).toMatch(/Unknown criteria: score/);
+    expect(validateCriteria({ tags: 'vip' })).toMatch(/list of strings/);
+    expect(validateCriteria({ priorities: ['hot'] })).toMatch(/Invalid priority: hot/);
+  });
+});
+
+describe('summarizeDelays', () => {
+  it('summarizes dialed leads and counts the rest as not dialed', () => {
+    const summary = summarizeDelays([12, 45, null, 240, 600, undefined, 90000]);
+
+    expect(summary).toMatchObject({
+      leads: 7,
+      dialed: 5,
+      notDialed: 2,
+      averageSeconds: 18179,
+      medianSeconds: 240,
+      p90Seconds: 90000,
+      within1Minute: 2,
+      within5Minutes: 3
+    });
+    expect(summary.buckets.map(bucket => bucket.count)).toEqual([2, 1, 1, 0, 0, 1]);
+  });
+
+  it('handles ranges without dialed leads', () => {
+    expect(summarizeDelays([null])).toMatchObject({
+      leads: 1,
+      dialed: 0,
+      averageSeconds: null,
+      medianSeconds: null
+    });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Supervisor Monitoring Tests
+ *
+ * Unit tests for who may listen, whisper or barge and when a call can take it
+ */
+
+const {
+  checkAccess,
+  sameOrganization,
+  checkMode,
+  canEndSession,
+  whisperTargets,
+  findOpenSession,
+  MODES
+} = require('../../src/utils/supervisorMonitoring');
+
+const MANAGER = { _id: 'u1', role: 'manager', organizationId: 'orgA' };
+const AGENT = { _id: 'u2', role: 'agent', organizationId: 'orgA' };
+const ADMIN = { _id: 'u3', role: 'admin', organizationId: 'orgA' };
+
+const AI_CALL = { organizationId: 'orgA', status: 'active', telnyx: { callControlId: 'lead-leg' } };
+const TRANSFERRED_CALL = {
+  ...AI_CALL,
+  status: 'bridged',
+  transfer: { state: 'bridged', closerCallControlId: 'closer-leg' }
+};
+
+describe('checkAccess', () => {
+  it('lets managers and admins use every mode', () => {
+    for (const mode of MODES) {
+      expect(checkAccess(MANAGER, AI_CALL, mode)).toBeNull();
+      expect(checkAccess(ADMIN, AI_CALL, mode)).toBeNull();
+    }
+  });
+
+  it('lets agents listen but not whisper or barge', () => {
+    expect(checkAccess(AGENT, AI_CALL, 'listen')).toBeNull();
+    expect(checkAccess(AGENT, AI_CALL, 'whisper')).toBe('forbidden_role');
+    expect(checkAccess(AGENT, AI_CALL, 'barge')).toBe('forbidden_role');
+  });
+
+  it('refuses other roles and unknown modes', () => {
+    expect(checkAccess({ ...AGENT, role: 'user' }, AI_CALL, 'listen')).toBe('forbidden_role');
+    expect(checkAccess(MANAGER, AI_CALL, 'record')).toBe('invalid_mode');
+  });
+
+  it('refuses calls of another organization', () => {
+    expect(checkAccess(MANAGER, { ...AI_CALL, organizationId: 'orgB' }, 'listen')).toBe('wrong_organization');
+    expect(checkAccess({ ...ADMIN, organizationId: 'orgB' }, AI_CALL, 'barge')).toBe('wrong_organization');
+  });
+});
+
+describe('sameOrganization', () => {
+  it('compares IDs as strings', () => {
+    expect(sameOrganization({ organizationId: { toString: () => 'orgA' } }, AI_CALL)).toBe(true);
+  });
+
+  it('never matches a user without an organization', () => {
+    expect(sameOrganization({ organizationId: null }, { organizationId: null })).toBe(false);
+    expect(sameOrganization({}, AI_CALL)).toBe(false);
+  });
+});
+
+describe('checkMode', () => {
+  it('accepts live calls', () => {
+    for (const status of ['answered', 'bridged', 'active', 'held']) {
+      expect(checkMode({ ...AI_CALL, status }, 'listen')).toBeNull();
+    }
+  });
+
+  it('refuses calls that are not live', () => {
+    for (const status of ['initiated', 'ringing', 'completed', 'failed']) {
+      expect(checkMode({ ...AI_CALL, status }, 'barge')).toBe('call_not_live');
+    }
+    expect(checkMode({ ...AI_CALL, telnyx: {} }, 'listen')).toBe('call_not_live');
+  });
+
+  it('only allows whisper once a closer is on the call', () => {
+    expect(checkMode(AI_CALL, 'whisper')).toBe('no_closer_leg');
+    expect(checkMode(TRANSFERRED_CALL, 'whisper')).toBeNull();
+  });
+});
+
+describe('whisperTargets', () => {
+  it('is the closer leg of a bridged transfer', () => {
+    expect(whisperTargets(TRANSFERRED_CALL)).toEqual(['closer-leg']);
+    expect(whisperTargets({ transfer: { state: 'dialing', closerCallControlId: 'closer-leg' } })).toEqual([]);
+    expect(whisperTargets(AI_CALL)).toEqual([]);
+  });
+});
+
+describe('findOpenSession / canEndSession', () => {
+  const call = {
+    monitoring: {
+      sessions: [
+        { sessionId: 's1', userId: 'u1', status: 'ended' },
+        { sessionId: 's2', userId: 'u1', status: 'active' }
+      ]
+    }
+  };
+
+  it('finds the user\'s dialing or active session', () => {
+    expect(findOpenSession(call, 'u1').sessionId).toBe('s2');
+    expect(findOpenSession(call, 'u2')).toBeUndefined();
+    expect(findOpenSession({}, 'u1')).toBeUndefined();
+  });
+
+  it('lets supervisors end their own session and admins any', () => {
+    const session = call.monitoring.sessions[1];
+
+    expect(canEndSession(MANAGER, session)).toBe(true);
+    expect(canEndSession(AGENT, session)).toBe(false);
+    expect(canEndSession(ADMIN, session)).toBe(true);
+  });
+});
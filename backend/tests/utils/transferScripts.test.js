@@ -0,0 +1,78 @@
+/**
+ * Warm Transfer Script Tests
+ *
+ * Unit tests for the closer whisper, DTMF accept and AI callback script
+ */
+
+const {
+  buildWhisper,
+  isAccepted,
+  buildCallbackScript
+} = require('../../src/utils/transferScripts');
+
+describe('buildWhisper', () => {
+  it('summarizes the lead, score and objections and ends with the accept prompt', () => {
+    const whisper = buildWhisper({
+      closerName: 'Dana',
+      lead: {
+        firstName: 'Jane',
+        lastName: 'Doe',
+        company: { name: 'Acme', title: 'VP Sales', industry: 'insurance' }
+      },
+      state: 'TX',
+      report: {
+        score: 82.4,
+        scoreLevel: 'good',
+        buyingSignals: { count: 2, signals: ['budget approved', 'wants to start this month'] },
+        sentiment: 'positive',
+        conversationDuration: 250
+      },
+      qualification: { interests: ['family plan'], objections: ['price'] }
+    });
+
+    expect(whisper).toContain('Dana, incoming warm transfer.');
+    expect(whisper).toContain('Jane Doe, VP Sales at Acme, insurance industry, TX.');
+    expect(whisper).toContain('Engagement score 82, good.');
+    expect(whisper).toContain('Buying signals: budget approved and wants to start this month.');
+    expect(whisper).toContain('Watch for price.');
+    expect(whisper).toContain('On the call for 4 minutes.');
+    expect(whisper.endsWith('Press 1 to accept, or 2 to decline.')).toBe(true);
+  });
+
+  it('works with no lead or report data', () => {
+    expect(buildWhisper()).toBe('Incoming warm transfer. Unknown caller. Press 1 to accept, or 2 to decline.');
+  });
+});
+
+describe('isAccepted', () => {
+  it('accepts only the accept digit', () => {
+    expect(isAccepted('1')).toBe(true);
+    expect(isAccepted('1#')).toBe(true);
+    expect(isAccepted('2')).toBe(false);
+    expect(isAccepted('')).toBe(false);
+    expect(isAccepted(undefined)).toBe(false);
+  });
+});
+
+describe('buildCallbackScript', () => {
+  it('explains the reason and asks the agent to schedule a callback', () => {
+    const script = buildCallbackScript({ lead: { firstName: 'Jane' }, reason: 'declined' });
+
+    expect(script).toContain('tied up with another client');
+    expect(script).toContain('Apologize briefly to Jane');
+    expect(script).toContain('schedule the callback');
+    expect(script).not.toContain('earliest');
+  });
+
+  it('includes the earliest callback time in the lead timezone', () => {
+    const script = buildCallbackScript({
+      lead: { firstName: 'Jane' },
+      reason: 'no_answer',
+      nextAvailableAt: new Date('2026-03-02T15:00:00Z'),
+      timezone: 'America/Chicago'
+    });
+
+    expect(script).toContain('not available right now');
+    expect(script).toContain('Monday, 9:00 AM CST');
+  });
+});
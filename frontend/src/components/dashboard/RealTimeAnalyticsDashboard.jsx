@@ -21,7 +21,14 @@ export default function RealTimeAnalyticsDashboard() {
   const [learningMetrics, setLearningMetrics] = useState([]);
 
   useEffect(() => {
-    const socket = io(import.meta.env.VITE_API_URL || 'http://localhost:3550');
+    // The backend only accepts sockets that present the user's access token
+    const socket = io(import.meta.env.VITE_API_URL || 'http://localhost:3550', {
+      auth: { token: localStorage.getItem('token') }
+    });
+
+    socket.on('connect_error', (error) => {
+      console.error('Real-time connection refused:', error.message);
+    });
 
     socket.on('dashboard:metrics-update', (newMetrics) => {
       setMetrics(newMetrics);
@@ -1,10 +1,12 @@
 const http = require('http');
 
+// /health/ready answers 503 when a critical dependency (MongoDB, PostgreSQL,
+// Redis) is down; a degraded optional one still passes
 const options = {
   host: 'localhost',
   port: process.env.PORT || 3550,
-  path: '/health',
-  timeout: 2000
+  path: process.env.HEALTHCHECK_PATH || '/health/ready',
+  timeout: 5000
 };
 
 const request = http.request(options, (res) => {
@@ -15,5 +17,9 @@ const request = http.request(options, (res) => {
   }
 });
 
+request.on('timeout', () => {
+  request.destroy();
+  process.exit(1);
+});
 request.on('error', () => process.exit(1));
 request.end();